@@ -1,9 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import * as Diff from 'diff';
+import EventForwardingAdmin from './EventForwardingAdmin';
+import FieldCacheBuildPanel from './FieldCacheBuildPanel';
 import './AdminConsoleTab.css';
 
-const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
+const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility, socketRef }) => {
   // State management
   const [selectedSection, setSelectedSection] = useState('system-overview');
   const [sectionData, setSectionData] = useState(null);
@@ -98,6 +100,13 @@ const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
       icon: '📋',
       endpoint: '/api/admin/server-logs'
     },
+    {
+      id: 'event-forwarding',
+      name: 'Event Forwarding',
+      description: 'Platform event forwarding rules, delivery log and dead letters',
+      icon: '📮',
+      endpoint: '/api/platform-events/forwarding/deliveries'
+    },
     {
       id: 'tab-visibility',
       name: 'Tab Visibility',
@@ -3108,38 +3117,6 @@ const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
     }
   };
 
-  const rebuildSObjectCache = async () => {
-    if (!window.confirm('Are you sure you want to rebuild the SObject field cache? This will take 1-2 minutes.')) {
-      return;
-    }
-
-    try {
-      setLoading(true);
-      setError('');
-      
-      console.log('🔄 [ADMIN] Starting SObject field cache rebuild...');
-      
-      const response = await axios.post('/api/sobjects/field-search/build-cache', {}, {
-        withCredentials: true
-      });
-      
-      if (response.data.success) {
-        console.log('✅ [ADMIN] Cache rebuilt successfully:', response.data);
-        alert(`Cache rebuilt successfully!\n\n${response.data.sobjectCount} SObjects cached\nErrors: ${response.data.errorCount}`);
-        
-        // Reload the cache data
-        await loadSectionData('sobject-field-cache');
-      } else {
-        setError('Failed to rebuild cache: ' + response.data.message);
-      }
-    } catch (error) {
-      console.error('❌ [ADMIN] Error rebuilding cache:', error);
-      setError('Error rebuilding cache: ' + (error.response?.data?.message || error.message));
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const renderSObjectFieldCache = (data) => {
     if (!data.cached) {
       return (
@@ -3147,20 +3124,10 @@ const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
           <h3>🔍 SObject Field Cache</h3>
           <div className="empty-state">
             <p>{data.message || 'No SObject field cache found for this organization.'}</p>
-            <p>Click the button below to build the cache (takes 1-2 minutes):</p>
-            <button 
-              onClick={rebuildSObjectCache}
-              className="regenerate-btn"
-              style={{ 
-                background: '#3b82f6',
-                marginTop: '16px',
-                padding: '12px 24px',
-                fontSize: '16px'
-              }}
-              disabled={loading}
-            >
-              {loading ? '🔄 Building Cache...' : '🔧 Build Cache Now'}
-            </button>
+            <p>Build the cache in the background (takes 1-2 minutes); an interrupted build can be resumed:</p>
+            <div style={{ maxWidth: '480px', margin: '16px auto 0' }}>
+              <FieldCacheBuildPanel socketRef={socketRef} onComplete={() => loadSectionData('sobject-field-cache')} />
+            </div>
           </div>
         </div>
       );
@@ -3196,14 +3163,6 @@ const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
           )}
           
           <div className="cache-actions">
-            <button 
-              onClick={rebuildSObjectCache}
-              className="regenerate-btn"
-              style={{ background: '#f59e0b' }}
-              disabled={loading}
-            >
-              {loading ? '⏳ Rebuilding...' : '🔄 Rebuild Cache'}
-            </button>
             <button 
               onClick={exportCacheToJSON}
               className="regenerate-btn"
@@ -3220,6 +3179,16 @@ const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
           </div>
         </div>
 
+        {/* Cache Build */}
+        <div className="cache-org-card" style={{ marginTop: '24px' }}>
+          <h4>🔧 Cache Build</h4>
+          <p style={{ color: '#718096', fontSize: '14px' }}>
+            Builds run in the background. A refresh describes only the SObjects modified since the last build;
+            a cancelled or failed build resumes where it stopped.
+          </p>
+          <FieldCacheBuildPanel socketRef={socketRef} onComplete={() => loadSectionData('sobject-field-cache')} />
+        </div>
+
         {/* Statistics Grid */}
         <div className="info-grid">
           <div className="info-card">
@@ -3653,6 +3622,8 @@ const AdminConsoleTab = ({ onTabLoad, tabVisibility, updateTabVisibility }) => {
         return renderRedisManagement(sectionData);
       case 'server-logs':
         return renderServerLogs(sectionData);
+      case 'event-forwarding':
+        return <EventForwardingAdmin data={sectionData} onRefresh={() => loadSectionData('event-forwarding')} />;
       case 'tab-visibility':
         return renderTabVisibility();
       default:
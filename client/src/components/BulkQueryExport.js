@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './BulkQueryExport.css';
+
+const POLL_INTERVAL_MS = 3000;
+const FINAL_JOB_STATES = ['JobComplete', 'Failed', 'Aborted'];
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+// Still waiting on Salesforce, or on the server writing the export file
+const isJobRunning = (job) => {
+  if (!job) return false;
+  if (!FINAL_JOB_STATES.includes(job.state)) return true;
+  return job.state === 'JobComplete' && job.export !== null && ['waiting', 'writing'].includes(job.export.state);
+};
+
+// Bulk API 2.0 export of the editor's query, for extracts too large for Execute Query
+const BulkQueryExport = ({ query }) => {
+  const [destination, setDestination] = useState('download'); // download | disk
+  const [queryAll, setQueryAll] = useState(false);
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  const running = isJobRunning(job);
+  const jobId = job?.id;
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(async () => {
+      try {
+        const response = await axios.get(`/api/sobjects/bulk-query/${jobId}`, { withCredentials: true });
+        if (response.data.success) {
+          setJob(response.data.job);
+        }
+      } catch (err) {
+        setError('Failed to refresh job progress: ' + (err.response?.data?.message || err.message));
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [running, jobId]);
+
+  const startExport = async () => {
+    try {
+      setStarting(true);
+      setError('');
+      setJob(null);
+      const response = await axios.post('/api/sobjects/bulk-query', {
+        query: query.trim(),
+        queryAll,
+        destination
+      }, { withCredentials: true });
+      if (response.data.success) {
+        setJob(response.data.job);
+      }
+    } catch (err) {
+      setError('Failed to start bulk export: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const abortJob = async () => {
+    if (!window.confirm(`Abort bulk query job ${jobId}?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/sobjects/bulk-query/${jobId}`, { withCredentials: true });
+      setJob(prev => ({ ...prev, state: 'Aborted', export: prev.export ? { ...prev.export, state: 'failed', error: 'Aborted' } : null }));
+    } catch (err) {
+      setError('Failed to abort job: ' + (err.response?.data?.message || err.message));
+    }
+  };
+
+  const downloadResults = () => {
+    window.open(`/api/sobjects/bulk-query/${jobId}/results`, '_blank');
+  };
+
+  const ready = job && job.state === 'JobComplete' && (!job.export || job.export.state === 'complete');
+
+  return (
+    <div className="bulk-query-export">
+      <div className="bulk-query-controls">
+        <strong>📦 Bulk Export</strong>
+        <select value={destination} onChange={(e) => setDestination(e.target.value)} disabled={running || starting}>
+          <option value="download">Download in browser</option>
+          <option value="disk">Save on server</option>
+        </select>
+        <label>
+          <input type="checkbox" checked={queryAll} onChange={(e) => setQueryAll(e.target.checked)} disabled={running || starting} />
+          Include deleted/archived
+        </label>
+        <button className="bulk-query-button" onClick={startExport} disabled={running || starting || !query.trim()}>
+          {starting ? '⏳ Starting...' : '🚀 Start Bulk Export'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">⚠️ {error}</div>}
+
+      {job && (
+        <div className={`bulk-query-job state-${job.state.toLowerCase()}`}>
+          <div className="bulk-query-job-header">
+            <code>{job.id}</code>
+            <span className="bulk-query-state">{running ? '⏳' : job.state === 'JobComplete' ? '✅' : '❌'} {job.state}</span>
+            {running && <button className="bulk-query-abort" onClick={abortJob}>🛑 Abort</button>}
+          </div>
+          <div className="bulk-query-progress">
+            <span>{(job.numberRecordsProcessed || 0).toLocaleString()} records processed</span>
+            {job.export && (
+              <span>
+                Server export: {job.export.state}
+                {job.export.state !== 'waiting' && ` — ${(job.export.recordsWritten || 0).toLocaleString()} records, ${formatBytes(job.export.bytesWritten)}`}
+              </span>
+            )}
+            {running && <div className="progress-bar"><div className="progress-fill"></div></div>}
+          </div>
+          {(job.errorMessage || job.export?.error) && (
+            <div className="bulk-query-error">⚠️ {job.errorMessage || job.export.error}</div>
+          )}
+          {ready && (
+            <button className="bulk-query-button" onClick={downloadResults}>⬇️ Download CSV</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkQueryExport;
@@ -0,0 +1,57 @@
+import React from 'react';
+import './ChangeEventDiff.css';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '∅';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Field-level view of a Change Data Capture event (decoded ChangeEventHeader + fieldChanges)
+const ChangeEventDiff = ({ changeEvent }) => {
+  const { entityName, changeType, recordIds = [], commitUser, commitTimestamp, changeOrigin, fieldChanges = [] } = changeEvent;
+
+  return (
+    <div className="change-event-diff">
+      <div className="change-event-header">
+        <span className={`change-type-badge change-type-${(changeType || '').toLowerCase()}`}>{changeType}</span>
+        <strong>{entityName}</strong>
+        <span className="change-event-records" title={recordIds.join(', ')}>
+          {recordIds.length === 1 ? recordIds[0] : `${recordIds.length} records`}
+        </span>
+      </div>
+      <div className="change-event-meta">
+        {commitUser && <span>👤 {commitUser}</span>}
+        {commitTimestamp && <span>🕒 {new Date(commitTimestamp).toLocaleString()}</span>}
+        {changeOrigin && <span title="changeOrigin">🔗 {changeOrigin}</span>}
+      </div>
+
+      {fieldChanges.length > 0 ? (
+        <table className="change-event-fields">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Previous</th>
+              <th>New</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fieldChanges.map(change => (
+              <tr key={change.field}>
+                <td className="change-field-name">{change.field}</td>
+                <td className="change-field-previous">
+                  {'previousValue' in change ? formatValue(change.previousValue) : <span className="change-field-unknown">—</span>}
+                </td>
+                <td className="change-field-new">{formatValue(change.value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className="change-event-no-fields">No field values in this {changeType} event.</div>
+      )}
+    </div>
+  );
+};
+
+export default ChangeEventDiff;
@@ -280,6 +280,14 @@ const Dashboard = ({ user, onLogout }) => {
     platformEvents: [],
     selectedEvents: new Set(),
     subscribed: false,
+    transport: 'cometd',
+    replayFrom: 'stored',
+    customReplayId: '',
+    replayNotice: '',
+    eventFilters: {}, // eventName -> { filter, fields } applied server-side
+    changeEventChannels: [], // Change Data Capture channels ({ channel, label, type, entities })
+    changeEventDiscoveryError: '',
+    subscriptionStates: {}, // channel -> { state, reason, nextRetryAt } pushed by the subscriptionState socket event
     loading: false,
     error: ''
   });
@@ -299,7 +307,10 @@ const Dashboard = ({ user, onLogout }) => {
   // OM Tab State (lifted up to preserve across tab switches)
   const [omState, setOMState] = useState({
     searchQuery: '',
+    searchParams: {}, // filters, sorting and page sent along with the query
     searchResults: [],
+    searchTotal: 0,
+    searchHasMore: false,
     activatingOrders: new Set(),
     pollingOrders: new Set(),
     refreshingOrders: new Set(),
@@ -392,14 +403,37 @@ const Dashboard = ({ user, onLogout }) => {
         });
       };
 
+      const handleReplayGap = (gapData) => {
+        console.warn('⚠️ [CLIENT] Replay gap detected:', gapData);
+        setPlatformEventsState(prevState => ({
+          ...prevState,
+          replayNotice: `ReplayId ${gapData.requestedReplayId} for ${gapData.eventName} is no longer retained - replaying all retained events instead.`
+        }));
+      };
+
+      const handleSubscriptionState = (stateData) => {
+        console.log(`🔌 [CLIENT] ${stateData.channel} is ${stateData.state}`, stateData.reason || '');
+        setPlatformEventsState(prevState => ({
+          ...prevState,
+          subscriptionStates: {
+            ...prevState.subscriptionStates,
+            [stateData.channel]: stateData
+          }
+        }));
+      };
+
       console.log('🎧 [CLIENT] Setting up platformEvent listener');
       socketRef.current.on('platformEvent', handlePlatformEvent);
+      socketRef.current.on('platformEventReplayGap', handleReplayGap);
+      socketRef.current.on('subscriptionState', handleSubscriptionState);
 
       // Cleanup
       return () => {
         if (socketRef.current) {
           console.log('🧹 [CLIENT] Cleaning up platformEvent listener');
           socketRef.current.off('platformEvent', handlePlatformEvent);
+          socketRef.current.off('platformEventReplayGap', handleReplayGap);
+          socketRef.current.off('subscriptionState', handleSubscriptionState);
         }
       };
     }
@@ -422,7 +456,9 @@ const Dashboard = ({ user, onLogout }) => {
       if (response.data.success) {
         setPlatformEventsState(prev => ({
           ...prev,
-          platformEvents: response.data.platformEvents
+          platformEvents: response.data.platformEvents,
+          changeEventChannels: response.data.changeEventChannels || [],
+          changeEventDiscoveryError: response.data.changeEventDiscoveryError || ''
         }));
       }
     } catch (error) {
@@ -455,6 +491,33 @@ const Dashboard = ({ user, onLogout }) => {
     }));
   };
 
+  const handleReplayFromChange = (replayFrom, customReplayId) => {
+    setPlatformEventsState(prev => ({
+      ...prev,
+      replayFrom,
+      customReplayId: customReplayId !== undefined ? customReplayId : prev.customReplayId
+    }));
+  };
+
+  const handleTransportChange = (transport) => {
+    setPlatformEventsState(prev => ({
+      ...prev,
+      transport,
+      // CometD and Pub/Sub API replayIds are not interchangeable
+      customReplayId: prev.transport === transport ? prev.customReplayId : ''
+    }));
+  };
+
+  const handleEventFilterChange = (eventName, key, value) => {
+    setPlatformEventsState(prev => ({
+      ...prev,
+      eventFilters: {
+        ...prev.eventFilters,
+        [eventName]: { ...prev.eventFilters[eventName], [key]: value }
+      }
+    }));
+  };
+
   const subscribeToPlatformEvents = async () => {
     if (platformEventsState.selectedEvents.size === 0) {
       setPlatformEventsState(prev => ({
@@ -464,15 +527,40 @@ const Dashboard = ({ user, onLogout }) => {
       return;
     }
 
+    const { replayFrom, customReplayId, transport } = platformEventsState;
+    const replayIdPattern = transport === 'pubsub' ? /^[A-Za-z0-9+/]+={0,2}$/ : /^-?\d+$/;
+    if (replayFrom === 'custom' && !replayIdPattern.test(customReplayId.trim())) {
+      setPlatformEventsState(prev => ({
+        ...prev,
+        error: `Please enter a ${transport === 'pubsub' ? 'base64' : 'numeric'} ReplayId to replay from.`
+      }));
+      return;
+    }
+
+    // Only send filters for selected events that have a filter or field projection
+    const filters = {};
+    platformEventsState.selectedEvents.forEach(eventName => {
+      const { filter = '', fields = '' } = platformEventsState.eventFilters[eventName] || {};
+      const fieldList = fields.split(',').map(field => field.trim()).filter(Boolean);
+      if (filter.trim() || fieldList.length > 0) {
+        filters[eventName] = { filter: filter.trim() || undefined, fields: fieldList };
+      }
+    });
+
     setPlatformEventsState(prev => ({
       ...prev,
       loading: true,
+      replayNotice: '',
       error: ''
     }));
     
     try {
       const response = await axios.post('/api/platform-events/subscribe', {
-        selectedEvents: Array.from(platformEventsState.selectedEvents)
+        selectedEvents: Array.from(platformEventsState.selectedEvents),
+        replayFrom: replayFrom === 'custom' ? customReplayId.trim() : replayFrom,
+        transport,
+        socketId: socketRef.current?.id,
+        filters
       }, {
         withCredentials: true
       });
@@ -481,6 +569,10 @@ const Dashboard = ({ user, onLogout }) => {
         setPlatformEventsState(prev => ({
           ...prev,
           subscribed: true,
+          subscriptionStates: Object.fromEntries(response.data.subscriptions.map(subscription => [
+            subscription.channel,
+            { eventName: subscription.eventName, channel: subscription.channel, transport: subscription.transport, state: subscription.state }
+          ])),
           error: '',
           loading: false
         }));
@@ -643,12 +735,21 @@ const Dashboard = ({ user, onLogout }) => {
   };
 
   // OM functions (moved from OMTab)
-  const searchOrders = async (query) => {
-    if (!query || query.trim().length === 0) {
+  const hasOrderSearchCriteria = (query, searchParams) =>
+    Boolean((query && query.trim()) || searchParams.status || searchParams.subtype || searchParams.createdWithinDays ||
+      searchParams.createdFrom || searchParams.createdTo || searchParams.effectiveFrom || searchParams.effectiveTo ||
+      searchParams.minAmount || searchParams.maxAmount || searchParams.owner || searchParams.ownerName);
+
+  const searchOrders = async (query, searchParams = {}) => {
+    const trimmedQuery = (query || '').trim();
+    if (!hasOrderSearchCriteria(trimmedQuery, searchParams)) {
       setOMState(prev => ({
         ...prev,
-        searchQuery: '',
-        searchResults: []
+        searchQuery: query || '',
+        searchParams,
+        searchResults: [],
+        searchTotal: 0,
+        searchHasMore: false
       }));
       return;
     }
@@ -656,12 +757,14 @@ const Dashboard = ({ user, onLogout }) => {
     setOMState(prev => ({
       ...prev,
       searchQuery: query,
+      searchParams,
       loading: true,
       error: ''
     }));
 
     try {
-      const response = await axios.get(`/api/orders/search?query=${encodeURIComponent(query)}`, {
+      const response = await axios.get('/api/orders/search', {
+        params: { ...searchParams, query: trimmedQuery },
         withCredentials: true
       });
       
@@ -669,6 +772,8 @@ const Dashboard = ({ user, onLogout }) => {
         setOMState(prev => ({
           ...prev,
           searchResults: response.data.orders,
+          searchTotal: response.data.total,
+          searchHasMore: response.data.hasMore,
           loading: false
         }));
       }
@@ -692,9 +797,10 @@ const Dashboard = ({ user, onLogout }) => {
         refreshingOrders: new Set([...prev.refreshingOrders, orderId])
       }));
       
-      // Use current search query to get updated order information
+      // Use current search query and filters to get updated order information
       const currentQuery = omState.searchQuery;
-      if (!currentQuery) {
+      const currentParams = omState.searchParams;
+      if (!hasOrderSearchCriteria(currentQuery, currentParams)) {
         // Remove from refreshing set
         setOMState(prev => ({
           ...prev,
@@ -703,7 +809,8 @@ const Dashboard = ({ user, onLogout }) => {
         return;
       }
       
-      const response = await axios.get(`/api/orders/search?query=${encodeURIComponent(currentQuery)}`, {
+      const response = await axios.get('/api/orders/search', {
+        params: { ...currentParams, query: currentQuery.trim() },
         withCredentials: true
       });
       
@@ -833,7 +940,10 @@ const Dashboard = ({ user, onLogout }) => {
     setOMState(prev => ({
       ...prev,
       searchQuery: '',
+      searchParams: {},
       searchResults: [],
+      searchTotal: 0,
+      searchHasMore: false,
       error: ''
     }));
   };
@@ -970,13 +1080,24 @@ const Dashboard = ({ user, onLogout }) => {
             // Platform Events State
             events={platformEventsState.events}
             platformEvents={platformEventsState.platformEvents}
+            changeEventChannels={platformEventsState.changeEventChannels}
+            changeEventDiscoveryError={platformEventsState.changeEventDiscoveryError}
             selectedEvents={platformEventsState.selectedEvents}
             subscribed={platformEventsState.subscribed}
+            transport={platformEventsState.transport}
+            replayFrom={platformEventsState.replayFrom}
+            customReplayId={platformEventsState.customReplayId}
+            replayNotice={platformEventsState.replayNotice}
+            subscriptionStates={platformEventsState.subscriptionStates}
+            eventFilters={platformEventsState.eventFilters}
             loading={platformEventsState.loading}
             error={platformEventsState.error}
             // Platform Events Functions
             handleEventSelection={handleEventSelection}
             handleSelectAll={handleSelectAll}
+            handleReplayFromChange={handleReplayFromChange}
+            handleTransportChange={handleTransportChange}
+            handleEventFilterChange={handleEventFilterChange}
             subscribeToPlatformEvents={subscribeToPlatformEvents}
             clearEvents={clearEvents}
             formatEventData={formatEventData}
@@ -999,6 +1120,8 @@ const Dashboard = ({ user, onLogout }) => {
             selectSObject={selectSObject}
             toggleShowAllSObjects={toggleShowAllSObjects}
             clearSObjectsState={clearSObjectsState}
+            user={user}
+            socketRef={socketRef}
           />
         );
       case 'om':
@@ -1006,7 +1129,10 @@ const Dashboard = ({ user, onLogout }) => {
           <OMTab 
             // OM State
             searchQuery={omState.searchQuery}
+            searchParams={omState.searchParams}
             searchResults={omState.searchResults}
+            searchTotal={omState.searchTotal}
+            searchHasMore={omState.searchHasMore}
             activatingOrders={omState.activatingOrders}
             pollingOrders={omState.pollingOrders}
             refreshingOrders={omState.refreshingOrders}
@@ -1017,6 +1143,7 @@ const Dashboard = ({ user, onLogout }) => {
             searchOrders={searchOrders}
             activateOrder={activateOrder}
             clearOMState={clearOMState}
+            user={user}
           />
         );
       case 'omnistudio':
@@ -1068,6 +1195,7 @@ const Dashboard = ({ user, onLogout }) => {
             onTabLoad={loadOmnistudioGlobalData}
             tabVisibility={tabVisibility}
             updateTabVisibility={updateTabVisibility}
+            socketRef={socketRef}
           />
         );
       case 'swagger':
@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import './EditableRecordsGrid.css';
+import RecordIdLink, { isRecordId } from './RecordIdLink';
+
+const NUMBER_TYPES = ['int', 'double', 'currency', 'percent', 'long'];
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  return String(value);
+};
+
+// datetime-local inputs work in local time without seconds
+const toLocalDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Convert an editor's raw input into the value sent to Salesforce
+const parseEditorValue = (field, raw) => {
+  if (field.type === 'boolean') return raw;
+  if (raw === '' || raw === null || raw === undefined) return null;
+  if (NUMBER_TYPES.includes(field.type)) return Number(raw);
+  if (field.type === 'datetime') return new Date(raw).toISOString();
+  return raw;
+};
+
+const CellEditor = ({ field, value, onCommit, onCancel }) => {
+  const [draft, setDraft] = useState(() => {
+    if (field.type === 'boolean') return Boolean(value);
+    if (field.type === 'datetime') return toLocalDateTimeInput(value);
+    return value === null || value === undefined ? '' : String(value);
+  });
+
+  const commit = (next = draft) => onCommit(parseEditorValue(field, next));
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onCancel();
+    } else if (e.key === 'Enter' && field.type !== 'textarea') {
+      e.preventDefault();
+      commit();
+    }
+  };
+  const common = { autoFocus: true, onBlur: () => commit(), onKeyDown: handleKeyDown, className: 'cell-editor' };
+
+  if (field.type === 'boolean') {
+    return <input type="checkbox" checked={draft} {...common} onChange={(e) => setDraft(e.target.checked)} />;
+  }
+  if (field.type === 'picklist') {
+    const options = (field.picklistValues || []).filter(option => option.active);
+    return (
+      <select value={draft} {...common} onChange={(e) => { setDraft(e.target.value); commit(e.target.value); }}>
+        {(field.nillable || draft === '') && <option value="">--None--</option>}
+        {draft !== '' && !options.some(option => option.value === draft) && <option value={draft}>{draft}</option>}
+        {options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  }
+  if (field.type === 'textarea') {
+    return <textarea rows={3} maxLength={field.length || undefined} value={draft} {...common} onChange={(e) => setDraft(e.target.value)} />;
+  }
+
+  let type = 'text';
+  if (NUMBER_TYPES.includes(field.type)) type = 'number';
+  else if (field.type === 'date') type = 'date';
+  else if (field.type === 'datetime') type = 'datetime-local';
+  else if (field.type === 'email') type = 'email';
+
+  return (
+    <input
+      type={type}
+      step={type === 'number' && field.scale ? 1 / Math.pow(10, field.scale) : undefined}
+      maxLength={type === 'text' && field.length ? field.length : undefined}
+      placeholder={field.type === 'multipicklist' ? 'Value1;Value2' : undefined}
+      value={draft}
+      {...common}
+      onChange={(e) => setDraft(e.target.value)}
+    />
+  );
+};
+
+// Query results grid with inline editing, create/clone/delete and a batched save
+const EditableRecordsGrid = ({ sobjectName, records, fields, onSaved, emptyMessage, onOpenRecord }) => {
+  const [describe, setDescribe] = useState(null);
+  const [describeError, setDescribeError] = useState('');
+  const [edits, setEdits] = useState({}); // Id -> { field: newValue }
+  const [newRows, setNewRows] = useState([]); // [{ key, values }]
+  const [deletions, setDeletions] = useState([]); // Ids
+  const [rowErrors, setRowErrors] = useState({}); // row key -> [messages]
+  const [editingCell, setEditingCell] = useState(null); // { rowKey, field }
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState('');
+  const [nextRowNumber, setNextRowNumber] = useState(1);
+
+  useEffect(() => {
+    let cancelled = false;
+    setDescribe(null);
+    setDescribeError('');
+    setEdits({});
+    setNewRows([]);
+    setDeletions([]);
+    setRowErrors({});
+    setSaveMessage('');
+
+    axios.get(`/api/sobjects/${sobjectName}/describe`, { withCredentials: true })
+      .then(response => {
+        if (!cancelled && response.data.success) {
+          setDescribe(response.data.describe);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setDescribeError('Editing unavailable: ' + (err.response?.data?.message || err.message));
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [sobjectName]);
+
+  const fieldsByName = useMemo(
+    () => new Map((describe?.fields || []).map(field => [field.name, field])),
+    [describe]
+  );
+  const columns = fields.filter(field => field !== 'attributes');
+  const recordsById = useMemo(() => new Map(records.map(record => [record.Id, record])), [records]);
+
+  const missingRequiredFields = (describe?.fields || [])
+    .filter(field => field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean')
+    .map(field => field.name)
+    .filter(name => !columns.includes(name));
+
+  const isEditable = (fieldName, isNew) => {
+    const field = fieldsByName.get(fieldName);
+    return Boolean(field && (isNew ? field.createable : field.updateable));
+  };
+
+  const clearRowError = (rowKey) => {
+    setRowErrors(prev => {
+      if (!prev[rowKey]) return prev;
+      const next = { ...prev };
+      delete next[rowKey];
+      return next;
+    });
+  };
+
+  const commitEdit = (rowKey, fieldName, value) => {
+    setEditingCell(null);
+    clearRowError(rowKey);
+    if (rowKey.startsWith('new-')) {
+      setNewRows(prev => prev.map(row => row.key === rowKey ? { ...row, values: { ...row.values, [fieldName]: value } } : row));
+      return;
+    }
+
+    const original = recordsById.get(rowKey)?.[fieldName] ?? null;
+    setEdits(prev => {
+      const rowEdits = { ...(prev[rowKey] || {}) };
+      if (value === original) {
+        delete rowEdits[fieldName];
+      } else {
+        rowEdits[fieldName] = value;
+      }
+      const next = { ...prev };
+      if (Object.keys(rowEdits).length > 0) {
+        next[rowKey] = rowEdits;
+      } else {
+        delete next[rowKey];
+      }
+      return next;
+    });
+  };
+
+  const addRow = (values = {}) => {
+    setNewRows(prev => [...prev, { key: `new-${nextRowNumber}`, values }]);
+    setNextRowNumber(n => n + 1);
+  };
+
+  const cloneRecord = (record) => {
+    const values = {};
+    columns.forEach(name => {
+      if (isEditable(name, true) && record[name] !== null && record[name] !== undefined) {
+        values[name] = record[name];
+      }
+    });
+    addRow(values);
+  };
+
+  const toggleDeletion = (id) => {
+    setDeletions(prev => prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]);
+  };
+
+  const discardEdit = (id, fieldName) => commitEdit(id, fieldName, recordsById.get(id)?.[fieldName] ?? null);
+
+  const discardAll = () => {
+    setEdits({});
+    setNewRows([]);
+    setDeletions([]);
+    setRowErrors({});
+    setSaveMessage('');
+  };
+
+  const pendingCount = Object.keys(edits).length + newRows.length + deletions.length;
+
+  const saveChanges = async () => {
+    if (deletions.length > 0 && !window.confirm(`Delete ${deletions.length} ${sobjectName} record(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    const updateIds = Object.keys(edits);
+    const payload = {
+      create: newRows.map(row => row.values),
+      update: updateIds.map(id => ({ Id: id, ...edits[id] })),
+      delete: deletions
+    };
+    const rowKeyFor = {
+      create: (index) => newRows[index].key,
+      update: (index) => updateIds[index],
+      delete: (index) => deletions[index]
+    };
+
+    try {
+      setSaving(true);
+      setSaveMessage('');
+      const response = await axios.patch(`/api/sobjects/${sobjectName}/records`, payload, { withCredentials: true });
+      const { results, summary } = response.data;
+
+      const saved = { create: new Set(), update: new Set(), delete: new Set() };
+      const errors = {};
+      results.forEach(result => {
+        const rowKey = rowKeyFor[result.operation](result.index);
+        if (result.success) {
+          saved[result.operation].add(rowKey);
+        } else {
+          errors[rowKey] = result.errors.map(error =>
+            error.fields?.length ? `${error.fields.join(', ')}: ${error.message}` : error.message);
+        }
+      });
+
+      setNewRows(prev => prev.filter(row => !saved.create.has(row.key)));
+      setEdits(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !saved.update.has(id))));
+      setDeletions(prev => prev.filter(id => !saved.delete.has(id)));
+      setRowErrors(errors);
+      setSaveMessage(`✅ ${summary.created} created, ${summary.updated} updated, ${summary.deleted} deleted` +
+        (summary.failed > 0 ? ` — ⚠️ ${summary.failed} failed` : ''));
+
+      if (summary.created + summary.updated + summary.deleted > 0 && onSaved) {
+        onSaved();
+      }
+    } catch (err) {
+      setSaveMessage('❌ Failed to save changes: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderCell = (rowKey, fieldName, value, isNew) => {
+    const editable = !deletions.includes(rowKey) && isEditable(fieldName, isNew);
+    const isEditing = editingCell && editingCell.rowKey === rowKey && editingCell.field === fieldName;
+    const changed = !isNew && edits[rowKey] && fieldName in edits[rowKey];
+
+    return (
+      <td
+        key={fieldName}
+        className={`field-value ${editable ? 'editable-cell' : 'readonly-cell'} ${changed ? 'changed-cell' : ''}`}
+        title={editable ? 'Click to edit' : undefined}
+        onClick={() => editable && !isEditing && setEditingCell({ rowKey, field: fieldName })}
+      >
+        {isEditing ? (
+          <CellEditor
+            field={fieldsByName.get(fieldName)}
+            value={value}
+            onCommit={(next) => commitEdit(rowKey, fieldName, next)}
+            onCancel={() => setEditingCell(null)}
+          />
+        ) : onOpenRecord && isRecordId(value) ? (
+          <RecordIdLink id={value} onOpen={onOpenRecord} />
+        ) : formatFieldValue(value)}
+      </td>
+    );
+  };
+
+  const renderErrorRow = (rowKey) => rowErrors[rowKey] && (
+    <tr key={`${rowKey}-errors`} className="row-error-details">
+      <td colSpan={columns.length + 1}>
+        {rowErrors[rowKey].map((message, index) => <div key={index}>⚠️ {message}</div>)}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="editable-records-grid">
+      <div className="grid-toolbar">
+        <span className="grid-hint">
+          {describeError || (describe ? '✏️ Click a highlighted cell to edit' : '⏳ Loading field metadata...')}
+        </span>
+        {describe?.createable && (
+          <button className="grid-button" onClick={() => addRow()} disabled={saving}>➕ New Record</button>
+        )}
+      </div>
+
+      {newRows.length > 0 && missingRequiredFields.length > 0 && (
+        <div className="grid-warning">
+          ⚠️ Required fields not in these results: {missingRequiredFields.join(', ')}
+        </div>
+      )}
+
+      {pendingCount > 0 && (
+        <div className="pending-changes-panel">
+          <div className="pending-changes-header">
+            <strong>📝 Pending changes ({pendingCount})</strong>
+            <button className="grid-button" onClick={discardAll} disabled={saving}>↩️ Discard All</button>
+            <button className="grid-button primary" onClick={saveChanges} disabled={saving}>
+              {saving ? '⏳ Saving...' : `💾 Save ${pendingCount} change${pendingCount === 1 ? '' : 's'}`}
+            </button>
+          </div>
+          <ul className="pending-changes-list">
+            {Object.entries(edits).map(([id, rowEdits]) => Object.entries(rowEdits).map(([fieldName, value]) => (
+              <li key={`${id}-${fieldName}`} className="pending-update">
+                <code>{id}</code> {fieldName}:{' '}
+                <span className="diff-old">{formatFieldValue(recordsById.get(id)?.[fieldName]) || '∅'}</span>
+                {' → '}
+                <span className="diff-new">{formatFieldValue(value) || '∅'}</span>
+                <button className="link-button" onClick={() => discardEdit(id, fieldName)}>undo</button>
+              </li>
+            )))}
+            {newRows.map((row, index) => (
+              <li key={row.key} className="pending-create">
+                ➕ New record #{index + 1}: {Object.entries(row.values).map(([name, value]) => `${name} = ${formatFieldValue(value)}`).join(', ') || '(no values yet)'}
+                <button className="link-button" onClick={() => setNewRows(prev => prev.filter(r => r.key !== row.key))}>remove</button>
+              </li>
+            ))}
+            {deletions.map(id => (
+              <li key={`delete-${id}`} className="pending-delete">
+                🗑️ Delete <code>{id}</code>
+                <button className="link-button" onClick={() => toggleDeletion(id)}>undo</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {saveMessage && <div className="grid-save-message">{saveMessage}</div>}
+
+      {records.length === 0 && newRows.length === 0 ? (
+        <div className="no-results">
+          <p>{emptyMessage || 'No records found.'}</p>
+        </div>
+      ) : (
+        <div className="results-table-container">
+          <table className="results-table records-grid">
+            <thead>
+              <tr>
+                {columns.map(field => (
+                  <th key={field} className={isEditable(field, false) ? 'editable-column' : ''}>{field}</th>
+                ))}
+                <th className="actions-column">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {newRows.map(row => (
+                <React.Fragment key={row.key}>
+                  <tr className={`new-row ${rowErrors[row.key] ? 'row-error' : ''}`}>
+                    {columns.map(field => renderCell(row.key, field, row.values[field], true))}
+                    <td className="actions-column">
+                      <button className="link-button" onClick={() => setNewRows(prev => prev.filter(r => r.key !== row.key))}>remove</button>
+                    </td>
+                  </tr>
+                  {renderErrorRow(row.key)}
+                </React.Fragment>
+              ))}
+              {records.map((record, index) => {
+                const rowKey = record.Id || `row-${index}`;
+                const rowEdits = edits[rowKey] || {};
+                const deleted = deletions.includes(rowKey);
+                return (
+                  <React.Fragment key={rowKey}>
+                    <tr className={`${deleted ? 'deleted-row' : ''} ${rowErrors[rowKey] ? 'row-error' : ''}`}>
+                      {columns.map(field => renderCell(rowKey, field, field in rowEdits ? rowEdits[field] : record[field], false))}
+                      <td className="actions-column">
+                        {describe?.createable && (
+                          <button className="link-button" onClick={() => cloneRecord(record)} title="Clone into a new record">📄 Clone</button>
+                        )}
+                        {describe?.deletable && record.Id && (
+                          <button className="link-button" onClick={() => toggleDeletion(record.Id)}>
+                            {deleted ? '↩️ Undo' : '🗑️ Delete'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {renderErrorRow(rowKey)}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditableRecordsGrid;
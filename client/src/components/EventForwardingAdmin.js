@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './EventForwardingAdmin.css';
+
+const EMPTY_RULE = { name: '', channel: '', filter: '', url: '', secret: '', maxAttempts: 5 };
+
+// Admin Console section: outbound forwarding rules, delivery log and dead letters
+const EventForwardingAdmin = ({ data, onRefresh }) => {
+  const [rules, setRules] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [retrying, setRetrying] = useState(null);
+  const [error, setError] = useState('');
+
+  const { deliveries = [], deadLetters = [], stats = {} } = data || {};
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/platform-events/forwarding/rules', { withCredentials: true });
+      if (response.data.success) {
+        setRules(response.data.rules);
+        setSubscriptions(response.data.subscriptions || []);
+      }
+    } catch (err) {
+      setError('Failed to load forwarding rules: ' + (err.response?.data?.message || err.message));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const createRule = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const response = await axios.post('/api/platform-events/forwarding/rules', {
+        ...newRule,
+        filter: newRule.filter.trim() || null,
+        secret: newRule.secret || null,
+        maxAttempts: parseInt(newRule.maxAttempts, 10)
+      }, { withCredentials: true });
+      if (response.data.success) {
+        setNewRule(EMPTY_RULE);
+        fetchRules();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await axios.put(`/api/platform-events/forwarding/rules/${rule.id}`, { enabled: !rule.enabled }, { withCredentials: true });
+      fetchRules();
+    } catch (err) {
+      setError('Failed to update rule: ' + (err.response?.data?.message || err.message));
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete forwarding rule "${rule.name}"?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/platform-events/forwarding/rules/${rule.id}`, { withCredentials: true });
+      fetchRules();
+    } catch (err) {
+      setError('Failed to delete rule: ' + (err.response?.data?.message || err.message));
+    }
+  };
+
+  const retryDeadLetter = async (deadLetter) => {
+    try {
+      setRetrying(deadLetter.id);
+      const response = await axios.post(`/api/platform-events/forwarding/dead-letters/${deadLetter.id}/retry`, {}, { withCredentials: true });
+      if (!response.data.success) {
+        setError(response.data.message);
+      }
+    } catch (err) {
+      setError('Failed to retry delivery: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setRetrying(null);
+      onRefresh();
+    }
+  };
+
+  const clearDeadLetters = async () => {
+    if (!window.confirm('Clear the dead-lettered deliveries of your rules and of deleted rules? They cannot be retried afterwards.')) {
+      return;
+    }
+    try {
+      await axios.delete('/api/platform-events/forwarding/dead-letters', { withCredentials: true });
+      onRefresh();
+    } catch (err) {
+      setError('Failed to clear dead letters: ' + (err.response?.data?.message || err.message));
+    }
+  };
+
+  const updateNewRule = (key, value) => setNewRule(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="admin-section-content event-forwarding">
+      <h3>📮 Event Forwarding</h3>
+      <p className="event-forwarding-hint">
+        The server subscribes to the channel of every enabled rule and POSTs each matching event as JSON to the rule's URL.
+        Signed rules send <code>X-Event-Signature: sha256=HMAC(secret, "&lt;X-Event-Timestamp&gt;.&lt;body&gt;")</code>.
+      </p>
+
+      {error && <div className="error-message">⚠️ {error}</div>}
+
+      <div className="info-grid">
+        <div className="info-card">
+          <h4>Deliveries</h4>
+          <div className="info-item"><strong>Attempts:</strong> {stats.attempts || 0}</div>
+          <div className="info-item"><strong>Succeeded:</strong> {stats.succeeded || 0}</div>
+          <div className="info-item"><strong>Failed:</strong> {stats.failed || 0}</div>
+          <div className="info-item"><strong>Dead letters:</strong> {stats.deadLetters || 0}</div>
+        </div>
+      </div>
+
+      <h4>Rules</h4>
+      <form className="forwarding-rule-form" onSubmit={createRule}>
+        <input type="text" placeholder="Name" value={newRule.name} onChange={(e) => updateNewRule('name', e.target.value)} required />
+        <input type="text" placeholder="/event/Order_Event__e" value={newRule.channel} onChange={(e) => updateNewRule('channel', e.target.value)} required />
+        <input type="text" placeholder="Filter (optional), e.g. Status__c == 'Failed'" value={newRule.filter} onChange={(e) => updateNewRule('filter', e.target.value)} />
+        <input type="url" placeholder="https://example.com/hooks/orders" value={newRule.url} onChange={(e) => updateNewRule('url', e.target.value)} required />
+        <input type="password" placeholder="Signing secret (optional)" value={newRule.secret} onChange={(e) => updateNewRule('secret', e.target.value)} autoComplete="new-password" />
+        <input type="number" min="1" max="10" title="Max attempts" value={newRule.maxAttempts} onChange={(e) => updateNewRule('maxAttempts', e.target.value)} />
+        <button type="submit" disabled={saving}>{saving ? '⏳ Saving...' : '➕ Add Rule'}</button>
+      </form>
+
+      {rules.length === 0 ? (
+        <div className="empty-state"><p>No forwarding rules configured.</p></div>
+      ) : (
+        <table className="forwarding-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Channel</th>
+              <th>Filter</th>
+              <th>URL</th>
+              <th>Signed</th>
+              <th>Attempts</th>
+              <th>Created by</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className={rule.enabled ? '' : 'forwarding-rule-disabled'}>
+                <td>{rule.name}</td>
+                <td className="forwarding-mono">
+                  {rule.channel}
+                  {subscriptions.filter(entry => entry.channel === rule.channel && entry.error).map(entry => (
+                    <span key={entry.channel} title={entry.error}> ⚠️</span>
+                  ))}
+                </td>
+                <td className="forwarding-mono">{rule.filter || '—'}</td>
+                <td className="forwarding-mono">{rule.url}</td>
+                <td>{rule.hasSecret ? '🔒' : '—'}</td>
+                <td>{rule.maxAttempts}</td>
+                <td>{rule.createdBy || '—'}</td>
+                <td className="forwarding-actions" title={rule.canEdit ? undefined : 'Only the user who created this rule can change it'}>
+                  <button onClick={() => toggleRule(rule)} disabled={!rule.canEdit}>{rule.enabled ? '⏸️ Disable' : '▶️ Enable'}</button>
+                  <button onClick={() => deleteRule(rule)} disabled={!rule.canEdit}>🗑️</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="forwarding-section-header">
+        <h4>Dead Letters ({deadLetters.length})</h4>
+        <button onClick={clearDeadLetters} disabled={deadLetters.length === 0}>🧹 Clear</button>
+      </div>
+      {deadLetters.length === 0 ? (
+        <div className="empty-state"><p>No failed deliveries.</p></div>
+      ) : (
+        <table className="forwarding-table">
+          <thead>
+            <tr>
+              <th>Failed at</th>
+              <th>Rule</th>
+              <th>Event</th>
+              <th>Attempts</th>
+              <th>Last error</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {deadLetters.map(deadLetter => (
+              <tr key={deadLetter.id}>
+                <td>{new Date(deadLetter.failedAt).toLocaleString()}</td>
+                <td>{deadLetter.ruleName}</td>
+                <td className="forwarding-mono" title={JSON.stringify(deadLetter.payload, null, 2)}>
+                  {deadLetter.eventName} #{deadLetter.replayId}
+                </td>
+                <td>{deadLetter.attempts}</td>
+                <td className="forwarding-error">{deadLetter.lastError}</td>
+                <td className="forwarding-actions">
+                  <button
+                    onClick={() => retryDeadLetter(deadLetter)}
+                    disabled={retrying !== null || !deadLetter.canRetry}
+                    title={deadLetter.canRetry ? undefined : 'Only the user who created the rule can retry its deliveries'}
+                  >
+                    {retrying === deadLetter.id ? '⏳' : '🔁 Retry'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="forwarding-section-header">
+        <h4>Delivery Log</h4>
+        <button onClick={onRefresh}>🔄 Refresh</button>
+      </div>
+      {deliveries.length === 0 ? (
+        <div className="empty-state"><p>No deliveries yet.</p></div>
+      ) : (
+        <table className="forwarding-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Rule</th>
+              <th>Event</th>
+              <th>Attempt</th>
+              <th>Result</th>
+              <th>Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map(delivery => (
+              <tr key={`${delivery.deliveryId}-${delivery.attempt}`}>
+                <td>{new Date(delivery.timestamp).toLocaleString()}</td>
+                <td>{delivery.ruleName}</td>
+                <td className="forwarding-mono">{delivery.eventName} #{delivery.replayId}</td>
+                <td>{delivery.attempt}/{delivery.maxAttempts}</td>
+                <td className={delivery.success ? 'forwarding-success' : 'forwarding-error'}>
+                  {delivery.success ? `✅ ${delivery.status}` : `❌ ${delivery.error}`}
+                </td>
+                <td>{delivery.durationMs} ms</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default EventForwardingAdmin;
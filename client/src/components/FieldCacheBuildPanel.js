@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import './FieldCacheBuildPanel.css';
+
+// Polling is only a fallback for when the socket is down; progress normally arrives over socket.io
+const POLL_INTERVAL_MS = 3000;
+
+const resultMessage = (job) => {
+  switch (job.status) {
+    case 'completed':
+      return `✅ Cache ${job.mode === 'incremental' ? 'refreshed' : 'built'}: ${job.sobjectCount} SObjects ` +
+        `(${job.describedCount} described, ${job.unchangedCount} unchanged, ${job.errorCount} errors)`;
+    case 'cancelled':
+      return `⏹️ Build cancelled after ${job.processedCount} of ${job.totalCount} SObjects`;
+    case 'failed':
+      return `❌ Build failed after ${job.processedCount} SObjects: ${job.error}`;
+    default:
+      return '';
+  }
+};
+
+// Starts, follows and cancels background builds of the SObject field metadata cache. An interrupted
+// build resumes from its checkpoint; an existing cache is refreshed with only the modified objects.
+const FieldCacheBuildPanel = ({ socketRef, onComplete }) => {
+  const [job, setJob] = useState(null);
+  const [checkpoint, setCheckpoint] = useState(null);
+  const [cached, setCached] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [error, setError] = useState('');
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  }, [onComplete]);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/sobjects/field-search/cache-status', { withCredentials: true });
+      setJob(response.data.buildJob || null);
+      setCheckpoint(response.data.checkpoint || null);
+      setCached(!!response.data.cached);
+    } catch (err) {
+      console.error('Error loading cache build status:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleProgress = useCallback((status) => {
+    setJob(status);
+    if (status.status !== 'running') {
+      setCancelling(false);
+      loadStatus();
+      if (status.status === 'completed' && onCompleteRef.current) {
+        onCompleteRef.current(status);
+      }
+    }
+  }, [loadStatus]);
+
+  useEffect(() => {
+    const socket = socketRef?.current;
+    if (!socket) return;
+
+    socket.on('fieldCacheBuildProgress', handleProgress);
+    return () => {
+      socket.off('fieldCacheBuildProgress', handleProgress);
+    };
+  }, [socketRef, handleProgress]);
+
+  const running = job?.status === 'running';
+  const jobId = job?.jobId;
+
+  useEffect(() => {
+    if (!running || socketRef?.current?.connected) return;
+
+    const intervalId = setInterval(async () => {
+      try {
+        const response = await axios.get(`/api/sobjects/field-search/build-jobs/${jobId}`, { withCredentials: true });
+        handleProgress(response.data.job);
+      } catch (err) {
+        console.error('Error polling cache build job:', err);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [running, jobId, socketRef, handleProgress]);
+
+  const startBuild = async (options) => {
+    setStarting(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/sobjects/field-search/build-cache', options, { withCredentials: true });
+      setJob(response.data.job);
+    } catch (err) {
+      console.error('Error starting cache build:', err);
+      setError('Failed to start cache build: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const cancelBuild = async () => {
+    if (!window.confirm('Cancel the cache build? The SObjects described so far are kept and the next build resumes from there.')) {
+      return;
+    }
+
+    setCancelling(true);
+    setError('');
+    try {
+      await axios.delete(`/api/sobjects/field-search/build-jobs/${jobId}`, { withCredentials: true });
+    } catch (err) {
+      console.error('Error cancelling cache build:', err);
+      setError('Failed to cancel cache build: ' + (err.response?.data?.message || err.message));
+      setCancelling(false);
+    }
+  };
+
+  const percent = running && job.totalCount ? Math.round((job.processedCount / job.totalCount) * 100) : 0;
+
+  return (
+    <div className="field-cache-build">
+      {running ? (
+        <>
+          <div className="field-cache-build-title">
+            🔄 {job.mode === 'incremental' ? 'Refreshing' : 'Building'} field cache{job.resumedFrom ? ' (resumed)' : ''}
+          </div>
+          <div className="field-cache-build-bar">
+            <div className="field-cache-build-bar-fill" style={{ width: `${percent}%` }} />
+          </div>
+          <div className="field-cache-build-detail">
+            {job.processedCount}/{job.totalCount ?? '…'} SObjects · {job.describedCount} described · {job.unchangedCount} unchanged · {job.errorCount} errors
+          </div>
+          {job.currentSObject && <div className="field-cache-build-detail">Last: {job.currentSObject}</div>}
+          <div className="field-cache-build-actions">
+            <button type="button" className="field-cache-build-button" onClick={cancelBuild} disabled={cancelling}>
+              {cancelling ? '⏳ Cancelling...' : '⏹️ Cancel'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {job && <div className={`field-cache-build-result ${job.status}`}>{resultMessage(job)}</div>}
+          {checkpoint && (
+            <div className="field-cache-build-detail">
+              ⏸️ An interrupted build saved {checkpoint.processedCount} SObjects ({new Date(checkpoint.savedAt).toLocaleString()}).
+            </div>
+          )}
+          <div className="field-cache-build-actions">
+            {checkpoint ? (
+              <>
+                <button type="button" className="field-cache-build-button primary" onClick={() => startBuild({})} disabled={starting}>
+                  ▶️ Resume build
+                </button>
+                <button type="button" className="field-cache-build-button" onClick={() => startBuild({ restart: true })} disabled={starting}>
+                  🔁 Start over
+                </button>
+              </>
+            ) : cached ? (
+              <>
+                <button type="button" className="field-cache-build-button primary" onClick={() => startBuild({})} disabled={starting}
+                  title="Describe only the SObjects modified since the last build">
+                  🔄 Refresh changed
+                </button>
+                <button type="button" className="field-cache-build-button" onClick={() => startBuild({ full: true })} disabled={starting}>
+                  🧹 Full rebuild
+                </button>
+              </>
+            ) : (
+              <button type="button" className="field-cache-build-button primary" onClick={() => startBuild({})} disabled={starting}>
+                🔧 Build Cache Now
+              </button>
+            )}
+          </div>
+        </>
+      )}
+      {error && <div className="error-message">❌ {error}</div>}
+    </div>
+  );
+};
+
+export default FieldCacheBuildPanel;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './FieldUsageReport.css';
+
+const METADATA_SECTIONS = [
+  ['apexClasses', 'Apex classes'],
+  ['apexTriggers', 'Apex triggers'],
+  ['flows', 'Flows'],
+  ['validationRules', 'Validation rules'],
+  ['layouts', 'Layouts'],
+  ['other', 'Other metadata']
+];
+
+const COMPONENT_TYPE_LABELS = {
+  'integration-procedure': 'Integration Procedure',
+  omniscript: 'OmniScript',
+  'data-mapper': 'Data Mapper'
+};
+
+const formatCount = (value) => (value === null || value === undefined ? '?' : value.toLocaleString());
+
+// Renders the status of a report section that could not be checked, if any
+const SectionStatus = ({ section }) => {
+  if (section.error) {
+    return <div className="field-usage-warning">⚠️ Not checked: {section.error}</div>;
+  }
+  if (!section.checked) {
+    return <div className="field-usage-warning">⚠️ {section.note || 'Not checked'}</div>;
+  }
+  return null;
+};
+
+const DataSummary = ({ data }) => {
+  if (!data.checked) {
+    return <SectionStatus section={data} />;
+  }
+  if (data.sampled) {
+    return (
+      <div>
+        {data.hasData ? '✅' : '➖'} {formatCount(data.populatedCount)} of {formatCount(data.sampleSize)} sampled records have a value
+      </div>
+    );
+  }
+  return (
+    <div>
+      {data.hasData ? '✅' : '➖'} {formatCount(data.populatedCount)} of {formatCount(data.totalCount)} records have a value
+    </div>
+  );
+};
+
+// Where a field is referenced (OmniStudio, Apex, flows, validation rules, layouts) and whether
+// records hold a value, so unused fields can be retired safely
+const FieldUsageReport = ({ sobjectName, fieldName, onClose }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(
+        `/api/sobjects/${encodeURIComponent(sobjectName)}/fields/${encodeURIComponent(fieldName)}/usage`,
+        { withCredentials: true }
+      );
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error analyzing field usage:', err);
+      setError('Failed to analyze field usage: ' + (err.response?.data?.message || err.message));
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [sobjectName, fieldName]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const omniStudioItems = report ? [...(report.omniStudio.items || []), ...(report.dataMappers.items || [])] : [];
+
+  return (
+    <div className="field-usage-report">
+      <div className="field-usage-header">
+        <h5>🔎 Usage of {sobjectName}.{fieldName}</h5>
+        <div className="field-usage-actions">
+          <button type="button" className="field-usage-button" onClick={loadReport} disabled={loading}>
+            🔄 Re-run
+          </button>
+          <button type="button" className="field-usage-button" onClick={onClose}>
+            ✕ Close
+          </button>
+        </div>
+      </div>
+
+      {loading && <div className="field-usage-muted">🔄 Analyzing references and data...</div>}
+      {error && <div className="error-message">❌ {error}</div>}
+
+      {report && !loading && (
+        <>
+          <div className={`field-usage-verdict ${report.summary.retirementCandidate ? 'unused' : report.summary.referenceCount > 0 || report.summary.hasData ? 'used' : 'unknown'}`}>
+            {report.summary.retirementCandidate
+              ? '🗑️ No references and no data found: this field is a candidate for retirement'
+              : report.summary.referenceCount > 0 || report.summary.hasData
+                ? `📌 In use: ${report.summary.referenceCount} reference${report.summary.referenceCount !== 1 ? 's' : ''}${report.summary.hasData ? ', records hold values' : ''}`
+                : '❔ Nothing found, but some sources could not be checked completely'}
+          </div>
+
+          <div className="field-usage-section">
+            <h6>📊 Data</h6>
+            <DataSummary data={report.data} />
+          </div>
+
+          <div className="field-usage-section">
+            <h6>🧩 OmniStudio</h6>
+            <SectionStatus section={report.omniStudio} />
+            <SectionStatus section={report.dataMappers} />
+            {omniStudioItems.length > 0 ? (
+              <ul className="field-usage-list">
+                {omniStudioItems.map(item => (
+                  <li key={`${item.componentType}:${item.name}`}>
+                    <strong>{item.name}</strong>
+                    <span className="field-usage-muted"> · {COMPONENT_TYPE_LABELS[item.componentType] || item.componentType}</span>
+                    {item.matches && (
+                      <div className="field-usage-muted">
+                        {item.matches.map(match => match.step).join(', ')}
+                      </div>
+                    )}
+                    {item.fieldPaths && (
+                      <div className="field-usage-muted">Mapped as {item.fieldPaths.join(', ')}</div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            ) : (report.omniStudio.checked || report.dataMappers.checked) && (
+              <div className="field-usage-muted">No references found</div>
+            )}
+          </div>
+
+          <div className="field-usage-section">
+            <h6>⚙️ Metadata</h6>
+            <SectionStatus section={report.metadata} />
+            {report.metadata.note && <div className="field-usage-muted">ℹ️ {report.metadata.note}</div>}
+            {report.metadata.checked && METADATA_SECTIONS.map(([key, label]) => (
+              <div key={key} className="field-usage-metadata-row">
+                <span className="field-usage-metadata-label">{label}</span>
+                {report.metadata[key] === null ? (
+                  <span className="field-usage-muted">not checked</span>
+                ) : report.metadata[key].length === 0 ? (
+                  <span className="field-usage-muted">none</span>
+                ) : (
+                  <span>
+                    {report.metadata[key].map(item => (key === 'other' ? `${item.name} (${item.type})` : item.name)).join(', ')}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="field-usage-muted">Analyzed {new Date(report.analyzedAt).toLocaleString()}</div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FieldUsageReport;
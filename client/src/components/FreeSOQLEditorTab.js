@@ -1,12 +1,52 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import EditableRecordsGrid from './EditableRecordsGrid';
+import BulkQueryExport from './BulkQueryExport';
+import SOQLEditor from './SOQLEditor';
+import SOQLQueryLibrary from './SOQLQueryLibrary';
+import SOQLQueryPlan from './SOQLQueryPlan';
+import RecordViewer from './RecordViewer';
+import RecordIdLink, { isRecordId } from './RecordIdLink';
 
-const FreeSOQLEditorTab = () => {
+const MAX_HISTORY_ENTRIES = 25;
+
+// Query history is kept in the browser, per org
+const getHistoryKey = (user) => `soql_history_${user?.organizationId || 'default'}`;
+
+const loadQueryHistory = (user) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getHistoryKey(user)));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const FreeSOQLEditorTab = ({ user, allSObjects }) => {
   const [soqlQuery, setSoqlQuery] = useState('');
   const [queryResults, setQueryResults] = useState(null);
   const [queryLoading, setQueryLoading] = useState(false);
   const [queryError, setQueryError] = useState(null);
   const [executedQuery, setExecutedQuery] = useState('');
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [queryPlan, setQueryPlan] = useState(null);
+  const [explainLoading, setExplainLoading] = useState(false);
+  const [queryHistory, setQueryHistory] = useState(() => loadQueryHistory(user));
+  const [viewerRecordId, setViewerRecordId] = useState(null);
+
+  useEffect(() => {
+    setQueryHistory(loadQueryHistory(user));
+  }, [user]);
+
+  const updateQueryHistory = (entries) => {
+    setQueryHistory(entries);
+    localStorage.setItem(getHistoryKey(user), JSON.stringify(entries));
+  };
+
+  const recordQueryHistory = (query, recordCount) => {
+    const entry = { query, recordCount, executedAt: new Date().toISOString() };
+    updateQueryHistory([entry, ...queryHistory.filter(previous => previous.query !== query)].slice(0, MAX_HISTORY_ENTRIES));
+  };
 
   const executeSOQLQuery = async () => {
     if (!soqlQuery.trim()) {
@@ -14,6 +54,13 @@ const FreeSOQLEditorTab = () => {
       return;
     }
 
+    if (diagnostics.length > 0) {
+      const problems = diagnostics.map(diagnostic => `• ${diagnostic.message}`).join('\n');
+      if (!window.confirm(`The query has ${diagnostics.length} problem${diagnostics.length === 1 ? '' : 's'}:\n${problems}\n\nRun it anyway?`)) {
+        return;
+      }
+    }
+
     setQueryLoading(true);
     setQueryError(null);
     setQueryResults(null);
@@ -28,6 +75,7 @@ const FreeSOQLEditorTab = () => {
 
       if (response.data.success) {
         setQueryResults(response.data);
+        recordQueryHistory(soqlQuery.trim(), response.data.totalSize ?? response.data.records?.length ?? null);
       } else {
         setQueryError(response.data.message || 'Failed to execute query');
       }
@@ -39,8 +87,55 @@ const FreeSOQLEditorTab = () => {
     }
   };
 
-  const handleQueryChange = (e) => {
-    setSoqlQuery(e.target.value);
+  const explainSOQLQuery = async () => {
+    setExplainLoading(true);
+    setQueryError(null);
+    setQueryPlan(null);
+
+    try {
+      const response = await axios.post('/api/sobjects/explain', {
+        query: soqlQuery.trim()
+      }, {
+        withCredentials: true
+      });
+
+      if (response.data.success) {
+        setQueryPlan(response.data);
+      } else {
+        setQueryError(response.data.message || 'Failed to explain query');
+      }
+    } catch (error) {
+      console.error('Error explaining SOQL query:', error);
+      setQueryError(error.response?.data?.message || 'Failed to explain query');
+    } finally {
+      setExplainLoading(false);
+    }
+  };
+
+  // Re-run the executed query after a save without clearing the grid's pending changes
+  const refreshResults = async () => {
+    try {
+      const response = await axios.post('/api/sobjects/execute-soql', {
+        query: executedQuery
+      }, {
+        withCredentials: true
+      });
+      if (response.data.success) {
+        setQueryResults(response.data);
+      }
+    } catch (error) {
+      console.error('Error refreshing SOQL query results:', error);
+    }
+  };
+
+  // Results are editable when every row is a record of the same SObject and includes its Id
+  const getEditableSObject = (records) => {
+    if (!records || records.length === 0) {
+      return null;
+    }
+    const type = records[0].attributes?.type;
+    const editable = type && records.every(record => record.attributes?.type === type && record.Id);
+    return editable ? type : null;
   };
 
   const handleClearQuery = () => {
@@ -48,13 +143,7 @@ const FreeSOQLEditorTab = () => {
     setQueryResults(null);
     setQueryError(null);
     setExecutedQuery('');
-  };
-
-  const handleKeyDown = (e) => {
-    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-      e.preventDefault();
-      executeSOQLQuery();
-    }
+    setQueryPlan(null);
   };
 
   const formatFieldValue = (value) => {
@@ -79,18 +168,19 @@ const FreeSOQLEditorTab = () => {
       <div className="soql-editor-section">
         <h4>✏️ Free SOQL Editor</h4>
         <div className="editor-container">
-          <textarea
+          <SOQLEditor
             value={soqlQuery}
-            onChange={handleQueryChange}
-            onKeyDown={handleKeyDown}
-            placeholder="Enter your SOQL query here...&#10;&#10;Examples:&#10;SELECT Id, Name, CreatedDate FROM Account LIMIT 10&#10;SELECT Id, Name, Email FROM Contact WHERE Name LIKE '%Test%'&#10;SELECT Id, Name, Amount FROM Opportunity WHERE StageName = 'Closed Won'"
-            className="soql-editor"
-            rows={8}
+            onChange={setSoqlQuery}
+            onExecute={executeSOQLQuery}
+            onDiagnosticsChange={setDiagnostics}
+            allSObjects={allSObjects}
+            placeholder={'Enter your SOQL query here...\n\nExamples:\nSELECT Id, Name, CreatedDate FROM Account LIMIT 10\nSELECT Id, Name, Email FROM Contact WHERE Name LIKE \'%Test%\'\nSELECT Id, Name, Amount FROM Opportunity WHERE StageName = \'Closed Won\''}
             disabled={queryLoading}
           />
           <div className="editor-help">
             <small>
-              💡 <strong>Tips:</strong> Press Ctrl+Enter (or Cmd+Enter on Mac) to execute the query
+              💡 <strong>Tips:</strong> Press Ctrl+Enter (or Cmd+Enter on Mac) to execute the query, Ctrl+Space for suggestions
+              and Shift+Alt+F to format
             </small>
           </div>
         </div>
@@ -103,6 +193,14 @@ const FreeSOQLEditorTab = () => {
           >
             {queryLoading ? '⏳ Executing...' : '▶️ Execute Query'}
           </button>
+          <button
+            onClick={explainSOQLQuery}
+            className="explain-button"
+            disabled={queryLoading || explainLoading || !soqlQuery.trim()}
+            title="Show the query plans Salesforce considers, without running the query"
+          >
+            {explainLoading ? '⏳ Explaining...' : '🧭 Explain'}
+          </button>
           <button 
             onClick={handleClearQuery}
             className="clear-button"
@@ -111,6 +209,16 @@ const FreeSOQLEditorTab = () => {
             🗑️ Clear
           </button>
         </div>
+
+        <BulkQueryExport query={soqlQuery} />
+
+        <SOQLQueryLibrary
+          user={user}
+          query={soqlQuery}
+          history={queryHistory}
+          onSelect={setSoqlQuery}
+          onClearHistory={() => updateQueryHistory([])}
+        />
       </div>
 
       {/* Query Results Section */}
@@ -137,6 +245,8 @@ const FreeSOQLEditorTab = () => {
           </div>
         )}
 
+        {queryPlan && <SOQLQueryPlan explain={queryPlan} />}
+
         {executedQuery && !queryLoading && (
           <div className="executed-query-info">
             <h5>📋 Executed Query:</h5>
@@ -168,7 +278,15 @@ const FreeSOQLEditorTab = () => {
               </div>
             </div>
             
-            {queryResults.records && queryResults.records.length > 0 ? (
+            {getEditableSObject(queryResults.records) ? (
+              <EditableRecordsGrid
+                sobjectName={getEditableSObject(queryResults.records)}
+                records={queryResults.records}
+                fields={Object.keys(queryResults.records[0])}
+                onSaved={refreshResults}
+                onOpenRecord={setViewerRecordId}
+              />
+            ) : queryResults.records && queryResults.records.length > 0 ? (
               <div className="results-table-container">
                 <table className="results-table">
                   <thead>
@@ -183,7 +301,9 @@ const FreeSOQLEditorTab = () => {
                       <tr key={record.Id || index}>
                         {Object.keys(queryResults.records[0]).map(field => (
                           <td key={field} className="field-value">
-                            {formatFieldValue(record[field])}
+                            {isRecordId(record[field]) ? (
+                              <RecordIdLink id={record[field]} onOpen={setViewerRecordId} />
+                            ) : formatFieldValue(record[field])}
                           </td>
                         ))}
                       </tr>
@@ -199,6 +319,10 @@ const FreeSOQLEditorTab = () => {
           </div>
         )}
       </div>
+
+      {viewerRecordId && (
+        <RecordViewer recordId={viewerRecordId} onClose={() => setViewerRecordId(null)} />
+      )}
     </div>
   );
 };
@@ -1,10 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import OrderItemsPopup from './OrderItemsPopup';
+import RecordViewer from './RecordViewer';
+import OrderSearchFilters, { countActiveFilters } from './OrderSearchFilters';
+
+const SORT_OPTIONS = [
+  ['createdDate', 'Created date'],
+  ['effectiveDate', 'Effective date'],
+  ['orderNumber', 'Order number'],
+  ['totalAmount', 'Total amount'],
+  ['status', 'Status'],
+  ['subtype', 'Subtype'],
+  ['accountName', 'Account'],
+  ['ownerName', 'Owner']
+];
+const PAGE_SIZES = ['25', '50', '100', '200'];
+const DEFAULT_PAGE_SIZE = 50;
+// SOQL OFFSET limit; pages starting beyond it cannot be fetched
+const MAX_OFFSET = 2000;
+
+// Drop empty values so untouched filters compare equal to the last search
+const toRequestParams = (params) =>
+  Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value !== undefined && value !== null));
 
 const OMTab = ({
   // State props
   searchQuery,
+  searchParams,
   searchResults,
+  searchTotal,
+  searchHasMore,
   activatingOrders,
   pollingOrders,
   refreshingOrders,
@@ -14,32 +38,50 @@ const OMTab = ({
   // Function props
   searchOrders,
   activateOrder,
-  clearOMState
+  clearOMState,
+  user
 }) => {
   const [searchInput, setSearchInput] = useState(searchQuery || '');
+  const [params, setParams] = useState(searchParams || {});
   
   // Order items popup state - simplified approach
   const [showOrderItemsPopup, setShowOrderItemsPopup] = useState(false);
   const [hoveredOrderId, setHoveredOrderId] = useState(null);
   const [popupPosition, setPopupPosition] = useState({ x: 0, y: 0 });
   const [hideTimeout, setHideTimeout] = useState(null);
+  const [viewerRecordId, setViewerRecordId] = useState(null);
 
-  // Debounced search
+  // Debounced search, repeated whenever the query, filters, sorting or page change
   useEffect(() => {
+    const requestParams = toRequestParams(params);
     const timeoutId = setTimeout(() => {
-      if (searchInput.trim() !== searchQuery) {
-        searchOrders(searchInput);
+      if (searchInput !== searchQuery || JSON.stringify(requestParams) !== JSON.stringify(searchParams)) {
+        searchOrders(searchInput, requestParams);
       }
     }, 500); // Longer delay for server queries
 
     return () => clearTimeout(timeoutId);
-  }, [searchInput, searchQuery, searchOrders]);
+  }, [searchInput, searchQuery, params, searchParams, searchOrders]);
 
   // Update local input when prop changes (for tab switching)
   useEffect(() => {
     setSearchInput(searchQuery || '');
   }, [searchQuery]);
 
+  // Any change other than paging starts again from the first page
+  const updateParams = (changes) => {
+    setParams(prev => ({ ...prev, ...changes, page: '' }));
+  };
+
+  const goToPage = (page) => {
+    setParams(prev => ({ ...prev, page: String(page) }));
+  };
+
+  const applyView = (view) => {
+    setSearchInput(view.query || '');
+    setParams({ ...view.params });
+  };
+
   const handleActivate = (orderId) => {
     activateOrder(orderId);
   };
@@ -98,6 +140,12 @@ const OMTab = ({
     setHoveredOrderId(null);
   };
 
+  // The viewer replaces the hover popup, which would otherwise close under it on mouse leave
+  const openRecord = (recordId) => {
+    handlePopupClose();
+    setViewerRecordId(recordId);
+  };
+
   // Cleanup timeout on unmount
   useEffect(() => {
     return () => {
@@ -135,6 +183,7 @@ const OMTab = ({
       case 'draft':
         return 'status-draft';
       case 'cancelled':
+      case 'failed':
         return 'status-cancelled';
       default:
         return 'status-default';
@@ -197,6 +246,13 @@ const OMTab = ({
     return null;
   };
 
+  const page = Number(params.page) || 1;
+  const pageSize = Number(params.pageSize) || DEFAULT_PAGE_SIZE;
+  const sortDirection = params.sortDirection || 'desc';
+  const totalPages = Math.max(1, Math.ceil(searchTotal / pageSize));
+  const firstShown = (page - 1) * pageSize + 1;
+  const canPageForward = searchHasMore && page * pageSize <= MAX_OFFSET;
+
   return (
     <div className="tab-content">
       <div className="dashboard-content om-content">
@@ -211,14 +267,19 @@ const OMTab = ({
                   type="text"
                   placeholder="Search by account name or order number..."
                   value={searchInput}
-                  onChange={(e) => setSearchInput(e.target.value)}
+                  onChange={(e) => {
+                    setSearchInput(e.target.value);
+                    updateParams({});
+                  }}
                   className="order-search-input"
                 />
                 {searchInput && (
                   <button
                     onClick={() => {
                       setSearchInput('');
-                      clearOMState();
+                      if (countActiveFilters(params) === 0) {
+                        clearOMState();
+                      }
                     }}
                     className="clear-search-btn"
                     title="Clear search"
@@ -228,12 +289,21 @@ const OMTab = ({
                 )}
               </div>
 
+              <OrderSearchFilters
+                user={user}
+                query={searchInput}
+                params={params}
+                onChange={updateParams}
+                onApplyView={applyView}
+              />
+
               <div className="search-info">
                 <p>💡 <strong>Search Tips:</strong></p>
                 <ul>
                   <li>Enter account name (e.g., "Acme Corp")</li>
                   <li>Enter order number (e.g., "00000123")</li>
                   <li>Partial matches are supported</li>
+                  <li>Filters work with or without search text</li>
                 </ul>
               </div>
 
@@ -258,18 +328,18 @@ const OMTab = ({
               <div className="no-results-placeholder">
                 <div className="placeholder-content">
                   <h3>⚙️ Order Management</h3>
-                  {searchInput ? (
+                  {searchInput.trim() || countActiveFilters(params) > 0 ? (
                     <div>
-                      <p>No orders found for: "{searchInput}"</p>
+                      <p>No orders match {searchInput.trim() ? `"${searchInput.trim()}" and ` : ''}the selected filters</p>
                       <p className="help-text">
-                        Try searching with a different account name or order number.
+                        Try a different account name or order number, or relax the filters.
                       </p>
                     </div>
                   ) : (
                     <div>
-                      <p>Search for orders by account name or order number</p>
+                      <p>Search for orders by account name or order number, or filter them</p>
                       <p className="help-text">
-                        Enter search criteria in the left panel to find orders.
+                        Enter search criteria or pick a view in the left panel to find orders.
                       </p>
                     </div>
                   )}
@@ -278,10 +348,51 @@ const OMTab = ({
             ) : (
               <div className="orders-results">
                 <div className="results-header">
-                  <h3>📋 Order Results ({searchResults.length})</h3>
+                  <h3>📋 Order Results ({searchTotal})</h3>
                   {searchResults.length > 0 && (
                     <div className="results-summary">
-                      Found {searchResults.length} order(s) for "{searchQuery}"
+                      Showing {firstShown}–{firstShown + searchResults.length - 1} of {searchTotal} order(s)
+                      {searchQuery.trim() && ` for "${searchQuery.trim()}"`}
+                      {countActiveFilters(params) > 0 && ` · ${countActiveFilters(params)} filter(s)`}
+                    </div>
+                  )}
+                  <div className="order-results-toolbar">
+                    <label>
+                      Sort by{' '}
+                      <select value={params.sortBy || 'createdDate'} onChange={(e) => updateParams({ sortBy: e.target.value })}>
+                        {SORT_OPTIONS.map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      type="button"
+                      className="order-results-button"
+                      onClick={() => updateParams({ sortDirection: sortDirection === 'asc' ? 'desc' : 'asc' })}
+                    >
+                      {sortDirection === 'asc' ? '↑ Ascending' : '↓ Descending'}
+                    </button>
+                    <label>
+                      Per page{' '}
+                      <select value={String(pageSize)} onChange={(e) => updateParams({ pageSize: e.target.value })}>
+                        {PAGE_SIZES.map(size => (
+                          <option key={size} value={size}>{size}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <div className="order-results-pager">
+                      <button type="button" className="order-results-button" onClick={() => goToPage(page - 1)} disabled={page <= 1 || loading}>
+                        ◀ Prev
+                      </button>
+                      <span>Page {page} of {totalPages}</span>
+                      <button type="button" className="order-results-button" onClick={() => goToPage(page + 1)} disabled={!canPageForward || loading}>
+                        Next ▶
+                      </button>
+                    </div>
+                  </div>
+                  {searchHasMore && !canPageForward && (
+                    <div className="order-results-note">
+                      Salesforce only pages through the first {MAX_OFFSET + pageSize} matches; narrow the filters to see the rest.
                     </div>
                   )}
                 </div>
@@ -348,6 +459,10 @@ const OMTab = ({
                           <label>Created Date:</label>
                           <span>{formatDate(order.createdDate)}</span>
                         </div>
+                        <div className="order-field">
+                          <label>Owner:</label>
+                          <span>{order.ownerName || 'N/A'}</span>
+                        </div>
                       </div>
 
                       {/* Orchestration Status */}
@@ -369,8 +484,13 @@ const OMTab = ({
           onClose={handlePopupClose}
           onMouseEnter={cancelHide}
           onMouseLeave={scheduleHide}
+          onOpenRecord={openRecord}
         />
       )}
+
+      {viewerRecordId && (
+        <RecordViewer recordId={viewerRecordId} onClose={() => setViewerRecordId(null)} />
+      )}
     </div>
   );
 };
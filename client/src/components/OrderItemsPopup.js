@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import './OrderItemsPopup.css';
+import RecordIdLink from './RecordIdLink';
 
-const OrderItemsPopup = ({ orderId, position, onClose, onMouseEnter, onMouseLeave }) => {
+const OrderItemsPopup = ({ orderId, position, onClose, onMouseEnter, onMouseLeave, onOpenRecord }) => {
   const [orderItems, setOrderItems] = useState([]);
   const [groupedItems, setGroupedItems] = useState([]);
   const [expandedGroups, setExpandedGroups] = useState(new Set());
@@ -104,6 +105,14 @@ const OrderItemsPopup = ({ orderId, position, onClose, onMouseEnter, onMouseLeav
     });
   };
 
+  // Order item and product IDs open the record viewer when the parent supports it
+  const renderRecordLinks = (item) => onOpenRecord && (
+    <div className="item-record-links">
+      <span>Item <RecordIdLink id={item.id} onOpen={onOpenRecord} /></span>
+      {item.productId && <span>Product <RecordIdLink id={item.productId} onOpen={onOpenRecord} /></span>}
+    </div>
+  );
+
   // Calculate popup position to stay within viewport
   const getPopupStyle = () => {
     const popupWidth = 400;
@@ -149,7 +158,14 @@ const OrderItemsPopup = ({ orderId, position, onClose, onMouseEnter, onMouseLeav
         }}
       >
         <div className="popup-header">
-          <h4>📦 Order Items</h4>
+          <h4>
+            📦 Order Items
+            {onOpenRecord && (
+              <span className="popup-order-link">
+                <RecordIdLink id={orderId} onOpen={onOpenRecord}>{orderId}</RecordIdLink>
+              </span>
+            )}
+          </h4>
           <button 
             className="popup-close-btn" 
             onClick={onClose}
@@ -240,6 +256,8 @@ const OrderItemsPopup = ({ orderId, position, onClose, onMouseEnter, onMouseLeav
                         {group.description}
                       </div>
                     )}
+
+                    {renderRecordLinks(group)}
                   </div>
 
                                         {/* Child Items */}
@@ -287,6 +305,8 @@ const OrderItemsPopup = ({ orderId, position, onClose, onMouseEnter, onMouseLeav
                               {child.description}
                             </div>
                           )}
+
+                          {renderRecordLinks(child)}
                         </div>
                       ))}
                     </div>
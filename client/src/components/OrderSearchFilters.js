@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './OrderSearchFilters.css';
+
+// vlocity_cmt__OrderStatus__c values offered as chips
+const ORDER_STATUSES = ['Draft', 'Ready To Submit', 'In Progress', 'Activated', 'Completed', 'Failed', 'Cancelled'];
+
+const CREATED_PRESETS = [
+  ['', 'Any time'],
+  ['1', 'Last 24 hours'],
+  ['7', 'Last 7 days'],
+  ['30', 'Last 30 days'],
+  ['90', 'Last 90 days']
+];
+
+// Built-in views; saved views are added per user and org
+const QUICK_VIEWS = [
+  { name: '❌ Failed · last 7 days', query: '', params: { status: 'Failed', createdWithinDays: '7' } },
+  { name: '⏳ In progress · mine', query: '', params: { status: 'In Progress', owner: 'me' } }
+];
+
+// Filter parameters; sorting and page size are kept with a view, the page is not
+const FILTER_PARAMS = ['status', 'subtype', 'createdWithinDays', 'createdFrom', 'createdTo', 'effectiveFrom', 'effectiveTo', 'minAmount', 'maxAmount', 'owner', 'ownerName'];
+const VIEW_PARAMS = [...FILTER_PARAMS, 'sortBy', 'sortDirection', 'pageSize'];
+
+// Saved views are stored per user and org through the Redis user settings endpoints
+const getSavedViewsUrl = (user) =>
+  `/api/redis/settings/user/${encodeURIComponent(user.userId)}/order_search_views_${encodeURIComponent(user.organizationId)}`;
+
+const pickViewParams = (params) =>
+  Object.fromEntries(VIEW_PARAMS.filter(name => params[name]).map(name => [name, params[name]]));
+
+export const countActiveFilters = (params) => FILTER_PARAMS.filter(name => params[name]).length;
+
+// Status, subtype, date, amount and owner filters for the order search, with quick and saved views
+const OrderSearchFilters = ({ user, query, params, onChange, onApplyView }) => {
+  const [savedViews, setSavedViews] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const canSave = Boolean(user && user.userId && user.organizationId);
+
+  useEffect(() => {
+    if (!canSave) return;
+    const loadSavedViews = async () => {
+      try {
+        const response = await axios.get(getSavedViewsUrl(user), { withCredentials: true });
+        setSavedViews(Array.isArray(response.data.value) ? response.data.value : []);
+      } catch (err) {
+        if (err.response?.status === 404) {
+          setSavedViews([]);
+        } else {
+          setError('Failed to load saved views: ' + (err.response?.data?.message || err.message));
+        }
+      }
+    };
+    loadSavedViews();
+  }, [canSave, user]);
+
+  const storeSavedViews = async (views) => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await axios.post(getSavedViewsUrl(user), { value: views }, { withCredentials: true });
+      if (!response.data.success) {
+        setError(response.data.message || 'Failed to store saved views');
+        return;
+      }
+      setSavedViews(views);
+    } catch (err) {
+      setError('Failed to store saved views: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCurrentView = async () => {
+    const name = window.prompt('Name for this view:');
+    if (!name || !name.trim()) {
+      return;
+    }
+    if (savedViews.some(view => view.name === name.trim()) && !window.confirm(`Replace the saved view "${name.trim()}"?`)) {
+      return;
+    }
+    const entry = { name: name.trim(), query: query.trim(), params: pickViewParams(params), savedAt: new Date().toISOString() };
+    await storeSavedViews(
+      [entry, ...savedViews.filter(view => view.name !== entry.name)].sort((a, b) => a.name.localeCompare(b.name))
+    );
+  };
+
+  const deleteSavedView = async (view) => {
+    if (!window.confirm(`Delete the saved view "${view.name}"?`)) {
+      return;
+    }
+    await storeSavedViews(savedViews.filter(entry => entry.name !== view.name));
+  };
+
+  const selectedStatuses = params.status ? params.status.split(',') : [];
+  const toggleStatus = (status) => {
+    const statuses = selectedStatuses.includes(status)
+      ? selectedStatuses.filter(entry => entry !== status)
+      : [...selectedStatuses, status];
+    onChange({ status: statuses.join(',') });
+  };
+
+  const hasCriteria = Boolean(query.trim()) || countActiveFilters(params) > 0;
+
+  return (
+    <div className="order-filters">
+      <div className="order-filters-views">
+        {QUICK_VIEWS.map(view => (
+          <button key={view.name} type="button" className="order-filters-view" onClick={() => onApplyView(view)}>
+            {view.name}
+          </button>
+        ))}
+        {savedViews.map(view => (
+          <span key={view.name} className="order-filters-saved-view">
+            <button type="button" className="order-filters-view" onClick={() => onApplyView(view)}>
+              ⭐ {view.name}
+            </button>
+            <button type="button" className="order-filters-delete" onClick={() => deleteSavedView(view)} disabled={saving} title="Delete saved view">
+              ✕
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <div className="order-filters-group">
+        <label>Status</label>
+        <div className="order-filters-chips">
+          {ORDER_STATUSES.map(status => (
+            <button
+              key={status}
+              type="button"
+              className={`order-filters-chip ${selectedStatuses.includes(status) ? 'active' : ''}`}
+              onClick={() => toggleStatus(status)}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="order-filters-group">
+        <label>Subtype</label>
+        <input
+          type="text"
+          placeholder="e.g. New, Change (comma-separated)"
+          value={params.subtype || ''}
+          onChange={(e) => onChange({ subtype: e.target.value })}
+        />
+      </div>
+
+      <div className="order-filters-group">
+        <label>Created</label>
+        <select
+          value={params.createdWithinDays || ''}
+          onChange={(e) => onChange({ createdWithinDays: e.target.value, createdFrom: '', createdTo: '' })}
+        >
+          {CREATED_PRESETS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <div className="order-filters-range">
+          <input type="date" value={params.createdFrom || ''} onChange={(e) => onChange({ createdFrom: e.target.value, createdWithinDays: '' })} />
+          <span>to</span>
+          <input type="date" value={params.createdTo || ''} onChange={(e) => onChange({ createdTo: e.target.value, createdWithinDays: '' })} />
+        </div>
+      </div>
+
+      <div className="order-filters-group">
+        <label>Effective date</label>
+        <div className="order-filters-range">
+          <input type="date" value={params.effectiveFrom || ''} onChange={(e) => onChange({ effectiveFrom: e.target.value })} />
+          <span>to</span>
+          <input type="date" value={params.effectiveTo || ''} onChange={(e) => onChange({ effectiveTo: e.target.value })} />
+        </div>
+      </div>
+
+      <div className="order-filters-group">
+        <label>Total amount</label>
+        <div className="order-filters-range">
+          <input type="number" placeholder="Min" value={params.minAmount || ''} onChange={(e) => onChange({ minAmount: e.target.value })} />
+          <span>to</span>
+          <input type="number" placeholder="Max" value={params.maxAmount || ''} onChange={(e) => onChange({ maxAmount: e.target.value })} />
+        </div>
+      </div>
+
+      <div className="order-filters-group">
+        <label>Owner</label>
+        <div className="order-filters-range">
+          <select value={params.owner || ''} onChange={(e) => onChange({ owner: e.target.value })}>
+            <option value="">Anyone</option>
+            <option value="me">Me</option>
+          </select>
+          <input
+            type="text"
+            placeholder="Owner name contains..."
+            value={params.ownerName || ''}
+            onChange={(e) => onChange({ ownerName: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="order-filters-actions">
+        <button type="button" className="order-filters-button" onClick={saveCurrentView} disabled={!canSave || saving || !hasCriteria}>
+          {saving ? '⏳ Saving...' : '💾 Save view'}
+        </button>
+        <button
+          type="button"
+          className="order-filters-button"
+          onClick={() => onChange(Object.fromEntries(FILTER_PARAMS.map(name => [name, ''])))}
+          disabled={countActiveFilters(params) === 0}
+        >
+          Reset filters
+        </button>
+      </div>
+      {error && <div className="order-filters-error">⚠️ {error}</div>}
+    </div>
+  );
+};
+
+export default OrderSearchFilters;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './PicklistMatrix.css';
+
+const PICKLIST_TYPES = ['picklist', 'multipicklist'];
+
+const picklistUrl = (sobjectName, fieldName, resource) =>
+  `/api/sobjects/${encodeURIComponent(sobjectName)}/picklists/${encodeURIComponent(fieldName)}/${resource}`;
+
+const ValueName = ({ entry }) => (
+  <span className={entry.active ? '' : 'picklist-matrix-inactive'} title={entry.label !== entry.value ? entry.label : undefined}>
+    {entry.value}
+    {!entry.active && ' (inactive)'}
+  </span>
+);
+
+// Dependent picklist matrix (controller -> dependent values, decoded from validFor) and the
+// picklist values offered by each record type, both exportable as CSV
+const PicklistMatrix = ({ describe }) => {
+  const picklistFields = describe.fields.filter(field => PICKLIST_TYPES.includes(field.type));
+  const initialField = picklistFields.find(field => field.dependentPicklist) || picklistFields[0];
+
+  const [fieldName, setFieldName] = useState(initialField ? initialField.name : '');
+  const [view, setView] = useState('matrix'); // 'matrix' or 'recordTypes'
+  const [layout, setLayout] = useState('grid'); // 'grid' or 'list'
+  const [recordTypeId, setRecordTypeId] = useState('');
+  const [valueFilter, setValueFilter] = useState('');
+  const [matrix, setMatrix] = useState(null);
+  const [recordTypes, setRecordTypes] = useState([]);
+  const [availability, setAvailability] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!fieldName || view !== 'matrix') return;
+
+    let cancelled = false;
+    const loadMatrix = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await axios.get(picklistUrl(describe.name, fieldName, 'dependency-matrix'), {
+          params: recordTypeId ? { recordTypeId } : {},
+          withCredentials: true
+        });
+        if (!cancelled) {
+          setMatrix(response.data.matrix);
+          setRecordTypes(response.data.recordTypes);
+        }
+      } catch (err) {
+        console.error('Error loading picklist matrix:', err);
+        if (!cancelled) {
+          setError('Failed to load picklist matrix: ' + (err.response?.data?.message || err.message));
+          setMatrix(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadMatrix();
+    return () => {
+      cancelled = true;
+    };
+  }, [describe.name, fieldName, recordTypeId, view]);
+
+  useEffect(() => {
+    if (!fieldName || view !== 'recordTypes') return;
+
+    let cancelled = false;
+    const loadAvailability = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await axios.get(picklistUrl(describe.name, fieldName, 'record-type-availability'), { withCredentials: true });
+        if (!cancelled) setAvailability(response.data.availability);
+      } catch (err) {
+        console.error('Error loading record type availability:', err);
+        if (!cancelled) {
+          setError('Failed to load record type availability: ' + (err.response?.data?.message || err.message));
+          setAvailability(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadAvailability();
+    return () => {
+      cancelled = true;
+    };
+  }, [describe.name, fieldName, view]);
+
+  if (picklistFields.length === 0) {
+    return null;
+  }
+
+  const selectField = (name) => {
+    setFieldName(name);
+    setRecordTypeId('');
+    setValueFilter('');
+  };
+
+  const downloadCsv = () => {
+    const resource = view === 'matrix' ? 'dependency-matrix' : 'record-type-availability';
+    const query = new URLSearchParams({ format: 'csv', ...(view === 'matrix' && recordTypeId ? { recordTypeId } : {}) }).toString();
+    window.open(`${picklistUrl(describe.name, fieldName, resource)}?${query}`, '_blank');
+  };
+
+  const filterText = valueFilter.trim().toLowerCase();
+  const matchesFilter = (entry) => !filterText ||
+    entry.value.toLowerCase().includes(filterText) || (entry.label || '').toLowerCase().includes(filterText);
+
+  const renderMatrix = () => {
+    if (!matrix.controller) {
+      return (
+        <>
+          <div className="picklist-matrix-note">ℹ️ {matrix.dependent.name} has no controlling field; its values are listed below.</div>
+          <ul className="picklist-matrix-values">
+            {matrix.dependentValues.filter(matchesFilter).map(entry => (
+              <li key={entry.value}><ValueName entry={entry} />{entry.defaultValue && ' ★'}</li>
+            ))}
+          </ul>
+        </>
+      );
+    }
+
+    const dependentValues = matrix.dependentValues.filter(matchesFilter);
+    return (
+      <>
+        <div className="picklist-matrix-note">
+          {matrix.controller.name} ({matrix.controllerValues.length} values) controls {matrix.dependent.name} ({matrix.dependentValues.length} values)
+        </div>
+        {matrix.unreachableValues.length > 0 && (
+          <div className="picklist-matrix-warning">
+            ⚠️ Not valid for any {matrix.controller.name} value, so never selectable: {matrix.unreachableValues.join(', ')}
+          </div>
+        )}
+        {layout === 'grid' ? (
+          <div className="picklist-matrix-grid">
+            <table>
+              <thead>
+                <tr>
+                  <th className="picklist-matrix-corner">{matrix.dependent.name} ↓ / {matrix.controller.name} →</th>
+                  {matrix.controllerValues.map(controllerValue => (
+                    <th key={controllerValue.value}><ValueName entry={controllerValue} /></th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {dependentValues.map(entry => (
+                  <tr key={entry.value}>
+                    <th><ValueName entry={entry} /></th>
+                    {matrix.controllerValues.map(controllerValue => (
+                      <td
+                        key={controllerValue.value}
+                        className={entry.validFor.includes(controllerValue.value) ? 'valid' : ''}
+                        title={`${matrix.controller.name} = ${controllerValue.value} → ${matrix.dependent.name} = ${entry.value}`}
+                      >
+                        {entry.validFor.includes(controllerValue.value) ? '✓' : ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <ul className="picklist-matrix-mappings">
+            {matrix.mappings
+              .filter(mapping => !filterText || mapping.controllerValue.toLowerCase().includes(filterText) ||
+                mapping.dependentValues.some(value => value.toLowerCase().includes(filterText)))
+              .map(mapping => (
+                <li key={mapping.controllerValue}>
+                  <strong>{mapping.controllerValue}</strong> →{' '}
+                  {mapping.dependentValues.length > 0 ? mapping.dependentValues.join(', ') : <em>no values</em>}
+                </li>
+              ))}
+          </ul>
+        )}
+      </>
+    );
+  };
+
+  const renderAvailability = () => (
+    <div className="picklist-matrix-grid">
+      <table>
+        <thead>
+          <tr>
+            <th className="picklist-matrix-corner">Value ↓ / Record type →</th>
+            {availability.recordTypes.map(recordType => (
+              <th key={recordType.recordTypeId} title={recordType.developerName}>{recordType.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {availability.values.filter(matchesFilter).map(entry => (
+            <tr key={entry.value}>
+              <th><ValueName entry={entry} /></th>
+              {availability.recordTypes.map(recordType => (
+                <td key={recordType.recordTypeId} className={entry.availableIn.includes(recordType.recordTypeId) ? 'valid' : ''}>
+                  {entry.availableIn.includes(recordType.recordTypeId) ? '✓' : ''}
+                  {recordType.defaultValue === entry.value && ' ★'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="picklist-matrix">
+      <h4>🧮 Picklist Dependencies & Record Types</h4>
+      <div className="picklist-matrix-controls">
+        <select className="picklist-matrix-select" value={fieldName} onChange={(e) => selectField(e.target.value)}>
+          {picklistFields.map(field => (
+            <option key={field.name} value={field.name}>
+              {field.name}{field.controllerName ? ` (controlled by ${field.controllerName})` : ''}
+            </option>
+          ))}
+        </select>
+        <div className="picklist-matrix-toggle">
+          <button type="button" className={view === 'matrix' ? 'active' : ''} onClick={() => setView('matrix')}>
+            Dependency matrix
+          </button>
+          <button type="button" className={view === 'recordTypes' ? 'active' : ''} onClick={() => setView('recordTypes')}>
+            By record type
+          </button>
+        </div>
+        {view === 'matrix' && recordTypes.length > 0 && (
+          <select className="picklist-matrix-select" value={recordTypeId} onChange={(e) => setRecordTypeId(e.target.value)}>
+            <option value="">All values (describe)</option>
+            {recordTypes.map(recordType => (
+              <option key={recordType.recordTypeId} value={recordType.recordTypeId}>Record type: {recordType.name}</option>
+            ))}
+          </select>
+        )}
+        {view === 'matrix' && matrix?.controller && (
+          <div className="picklist-matrix-toggle">
+            <button type="button" className={layout === 'grid' ? 'active' : ''} onClick={() => setLayout('grid')}>Grid</button>
+            <button type="button" className={layout === 'list' ? 'active' : ''} onClick={() => setLayout('list')}>List</button>
+          </div>
+        )}
+        <input
+          type="text"
+          className="picklist-matrix-filter"
+          placeholder="Filter values..."
+          value={valueFilter}
+          onChange={(e) => setValueFilter(e.target.value)}
+        />
+        <button type="button" className="picklist-matrix-button" onClick={downloadCsv} disabled={!fieldName}>
+          📥 CSV
+        </button>
+      </div>
+
+      {loading && <div className="picklist-matrix-note">🔄 Loading...</div>}
+      {error && <div className="error-message">❌ {error}</div>}
+      {!loading && !error && view === 'matrix' && matrix && matrix.dependent.name === fieldName && renderMatrix()}
+      {!loading && !error && view === 'recordTypes' && availability && availability.field.name === fieldName && (
+        <>
+          <div className="picklist-matrix-note">✓ offered by the record type · ★ record type default</div>
+          {renderAvailability()}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PicklistMatrix;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import ChangeEventDiff from './ChangeEventDiff';
+import './PlatformEventHistory.css';
+
+const PAGE_SIZE = 25;
+
+const PlatformEventHistory = ({ formatEventData }) => {
+  const [filters, setFilters] = useState({ channel: '', search: '', from: '', to: '' });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [offset, setOffset] = useState(0);
+  const [history, setHistory] = useState({ events: [], channels: [], total: 0, hasMore: false, storage: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // datetime-local inputs are local time; the API expects ISO timestamps
+  const buildParams = useCallback((extra = {}) => {
+    const params = { ...extra };
+    if (appliedFilters.channel) params.channel = appliedFilters.channel;
+    if (appliedFilters.search.trim()) params.search = appliedFilters.search.trim();
+    if (appliedFilters.from) params.from = new Date(appliedFilters.from).toISOString();
+    if (appliedFilters.to) params.to = new Date(appliedFilters.to).toISOString();
+    return params;
+  }, [appliedFilters]);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await axios.get('/api/platform-events/history', {
+        params: buildParams({ limit: PAGE_SIZE, offset }),
+        withCredentials: true
+      });
+      if (response.data.success) {
+        setHistory(response.data);
+      } else {
+        setError(response.data.message || 'Failed to load event history');
+      }
+    } catch (err) {
+      setError('Failed to load event history: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [buildParams, offset]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setAppliedFilters(filters);
+  };
+
+  const exportHistory = (format) => {
+    const query = new URLSearchParams(buildParams({ format })).toString();
+    window.open(`/api/platform-events/history/export?${query}`, '_blank');
+  };
+
+  const page = Math.floor(offset / PAGE_SIZE) + 1;
+  const pageCount = Math.max(1, Math.ceil(history.total / PAGE_SIZE));
+
+  return (
+    <div className="pe-history">
+      <form className="pe-history-filters" onSubmit={applyFilters}>
+        <select
+          value={filters.channel}
+          onChange={(e) => setFilters(prev => ({ ...prev, channel: e.target.value }))}
+        >
+          <option value="">All channels</option>
+          {history.channels.map(channel => (
+            <option key={channel} value={channel}>{channel}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Search payloads…"
+          value={filters.search}
+          onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+        />
+        <input
+          type="datetime-local"
+          title="From"
+          value={filters.from}
+          onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+        />
+        <input
+          type="datetime-local"
+          title="To"
+          value={filters.to}
+          onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+        />
+        <button type="submit" disabled={loading}>🔍 Search</button>
+        <button type="button" onClick={() => exportHistory('csv')} disabled={history.total === 0}>⬇️ CSV</button>
+        <button type="button" onClick={() => exportHistory('ndjson')} disabled={history.total === 0}>⬇️ NDJSON</button>
+      </form>
+
+      {error && <div className="error-message">⚠️ {error}</div>}
+
+      <div className="pe-history-summary">
+        {loading ? '🔄 Loading…' : `${history.total} stored event${history.total === 1 ? '' : 's'}`}
+        {history.storage && <span className="pe-history-storage">{history.storage === 'redis' ? 'Redis' : 'In-memory'}</span>}
+      </div>
+
+      <div className="pe-history-list">
+        {history.events.map((event, index) => (
+          <div key={`${event.channel}-${event.replayId}-${index}`} className="event-card">
+            <div className="event-header">
+              <div className="event-title">
+                <strong>{event.eventLabel || event.eventName}</strong>
+                <span className="event-name">{event.channel}</span>
+                {event.transport === 'pubsub' && <span className="event-transport-badge">Pub/Sub</span>}
+              </div>
+              <div className="event-timestamp">
+                {event.replayId !== undefined && event.replayId !== null && (
+                  <span className="event-replay-id">#{event.replayId} · </span>
+                )}
+                {new Date(event.timestamp).toLocaleString()}
+              </div>
+            </div>
+            <div className="event-data">
+              {event.changeEvent && <ChangeEventDiff changeEvent={event.changeEvent} />}
+              <pre>{formatEventData(event.payload)}</pre>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {history.total > PAGE_SIZE && (
+        <div className="pe-history-pagination">
+          <button onClick={() => setOffset(offset - PAGE_SIZE)} disabled={offset === 0 || loading}>← Newer</button>
+          <span>Page {page} of {pageCount}</span>
+          <button onClick={() => setOffset(offset + PAGE_SIZE)} disabled={!history.hasMore || loading}>Older →</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlatformEventHistory;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './PlatformEventMetrics.css';
+
+const REFRESH_INTERVAL_MS = 15000;
+
+// Minimal inline SVG sparkline; null values (no samples that minute) leave a gap
+const Sparkline = ({ values, width = 160, height = 32, className = '' }) => {
+  const max = Math.max(1, ...values.filter(value => value !== null));
+  const step = values.length > 1 ? width / (values.length - 1) : width;
+  const segments = [];
+  let current = [];
+
+  values.forEach((value, index) => {
+    if (value === null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${(index * step).toFixed(1)},${(height - 2 - (value / max) * (height - 4)).toFixed(1)}`);
+  });
+  if (current.length > 0) segments.push(current);
+
+  return (
+    <svg className={`sparkline ${className}`} width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      {segments.map((points, index) => (
+        points.length === 1
+          ? <circle key={index} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="1.5" />
+          : <polyline key={index} points={points.join(' ')} fill="none" />
+      ))}
+    </svg>
+  );
+};
+
+const formatLatency = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+};
+
+const PlatformEventMetrics = () => {
+  const [metrics, setMetrics] = useState({ channels: [], totals: null, generatedAt: null });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchMetrics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/platform-events/metrics', { withCredentials: true });
+      if (response.data.success) {
+        setMetrics(response.data);
+        setError('');
+      }
+    } catch (err) {
+      setError('Failed to load metrics: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMetrics();
+    const interval = setInterval(fetchMetrics, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchMetrics]);
+
+  const { totals, channels } = metrics;
+
+  return (
+    <div className="pe-metrics">
+      <div className="pe-metrics-toolbar">
+        <span className="pe-metrics-updated">
+          {loading ? '🔄 Refreshing…' : metrics.generatedAt && `Updated ${new Date(metrics.generatedAt).toLocaleTimeString()}`}
+        </span>
+        <button onClick={fetchMetrics} disabled={loading}>🔄 Refresh</button>
+        <button onClick={() => window.open('/api/platform-events/metrics?format=prometheus', '_blank')}>📄 Prometheus</button>
+      </div>
+
+      {error && <div className="error-message">⚠️ {error}</div>}
+
+      {totals && (
+        <div className="pe-metrics-totals">
+          <div><strong>{totals.activeChannels}</strong>/{totals.channels} channels active</div>
+          <div><strong>{totals.received}</strong> events received</div>
+          <div><strong>{totals.eventsPerMinute}</strong> events/min</div>
+          <div className={totals.connectionErrors > 0 ? 'pe-metrics-errors' : ''}><strong>{totals.connectionErrors}</strong> connection errors</div>
+        </div>
+      )}
+
+      {channels.length === 0 ? (
+        <div className="no-events-placeholder">
+          <p>No metrics yet. Metrics are collected for channels with an active subscription.</p>
+        </div>
+      ) : (
+        <div className="pe-metrics-channels">
+          {channels.map(channel => {
+            const connectionErrors = channel.connection.handshakeError + channel.connection.connectError + channel.connection.streamError;
+            return (
+              <div key={`${channel.transport}|${channel.channel}`} className="pe-metrics-card">
+                <div className="pe-metrics-card-header">
+                  <span className={`pe-metrics-status ${channel.active ? 'active' : ''}`} title={channel.active ? 'Subscribed' : 'Not subscribed'} />
+                  <strong>{channel.eventName || channel.channel}</strong>
+                  <span className="event-name">{channel.channel}</span>
+                  {channel.transport === 'pubsub' && <span className="event-transport-badge">Pub/Sub</span>}
+                </div>
+
+                <div className="pe-metrics-sparklines">
+                  <div>
+                    <span className="pe-metrics-label">Events/min (last {channel.series.length} min)</span>
+                    <Sparkline values={channel.series.map(point => point.count)} className="sparkline-count" />
+                  </div>
+                  <div>
+                    <span className="pe-metrics-label">Avg latency</span>
+                    <Sparkline values={channel.series.map(point => point.avgLatencyMs)} className="sparkline-latency" />
+                  </div>
+                </div>
+
+                <div className="pe-metrics-stats">
+                  <span title="Events received (excluding duplicates)">📨 {channel.received}</span>
+                  <span title="Average over the last 5 minutes">⚡ {channel.eventsPerMinute}/min</span>
+                  <span title="Publish-to-receive latency p50 / p95">
+                    ⏱️ {formatLatency(channel.latency?.p50Ms)} / {formatLatency(channel.latency?.p95Ms)}
+                  </span>
+                  {channel.replayed > 0 && <span title="Published before the subscription started">⏪ {channel.replayed} replayed</span>}
+                  {channel.duplicates > 0 && <span title="Same EventUuid received again">♊ {channel.duplicates} duplicates</span>}
+                  {channel.connection.reconnect > 0 && <span title="CometD rehandshakes">🔄 {channel.connection.reconnect} reconnects</span>}
+                  {connectionErrors > 0 && (
+                    <span className="pe-metrics-errors" title={channel.lastError ? `Last error: ${channel.lastError}` : ''}>
+                      ⚠️ {connectionErrors} errors
+                    </span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlatformEventMetrics;
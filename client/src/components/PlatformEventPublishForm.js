@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './PlatformEventPublishForm.css';
+
+const NUMBER_TYPES = ['int', 'double', 'currency', 'percent'];
+
+const PlatformEventPublishForm = ({ platformEvents }) => {
+  const [selectedEventName, setSelectedEventName] = useState('');
+  const [fields, setFields] = useState([]);
+  const [values, setValues] = useState({});
+  const [mode, setMode] = useState('form');
+  const [bulkJson, setBulkJson] = useState('[\n  {}\n]');
+  const [results, setResults] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [loadingDescribe, setLoadingDescribe] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the event's describe to build the form
+  useEffect(() => {
+    if (!selectedEventName) {
+      setFields([]);
+      return;
+    }
+
+    const fetchDescribe = async () => {
+      try {
+        setLoadingDescribe(true);
+        setError('');
+        setValues({});
+        setResults(null);
+        setValidationErrors([]);
+
+        const response = await axios.get(`/api/sobjects/${selectedEventName}/describe`, {
+          withCredentials: true
+        });
+
+        if (response.data.success) {
+          setFields(response.data.describe.fields.filter(field => field.createable));
+        } else {
+          setError(response.data.message || 'Failed to describe platform event');
+        }
+      } catch (err) {
+        setError('Failed to describe platform event: ' + (err.response?.data?.message || err.message));
+      } finally {
+        setLoadingDescribe(false);
+      }
+    };
+
+    fetchDescribe();
+  }, [selectedEventName]);
+
+  const isRequired = (field) => !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean';
+
+  const handleValueChange = (fieldName, value) => {
+    setValues(prev => ({ ...prev, [fieldName]: value }));
+  };
+
+  // Convert raw input values into a typed payload, skipping empty inputs
+  const buildPayload = () => {
+    const payload = {};
+    fields.forEach(field => {
+      const value = values[field.name];
+      if (field.type === 'boolean') {
+        if (value !== undefined) {
+          payload[field.name] = !!value;
+        }
+        return;
+      }
+      if (value === undefined || value === '') {
+        return;
+      }
+      if (NUMBER_TYPES.includes(field.type)) {
+        payload[field.name] = Number(value);
+      } else if (field.type === 'datetime') {
+        payload[field.name] = new Date(value).toISOString();
+      } else {
+        payload[field.name] = value;
+      }
+    });
+    return payload;
+  };
+
+  const publish = async () => {
+    let body;
+    if (mode === 'bulk') {
+      try {
+        const events = JSON.parse(bulkJson);
+        if (!Array.isArray(events)) {
+          setError('Bulk payload must be a JSON array of event objects');
+          return;
+        }
+        body = { events };
+      } catch (parseError) {
+        setError('Invalid JSON: ' + parseError.message);
+        return;
+      }
+    } else {
+      body = { payload: buildPayload() };
+    }
+
+    try {
+      setPublishing(true);
+      setError('');
+      setResults(null);
+      setValidationErrors([]);
+
+      const response = await axios.post(`/api/platform-events/${selectedEventName}/publish`, body, {
+        withCredentials: true
+      });
+      setResults(response.data);
+    } catch (err) {
+      if (err.response?.data?.validationErrors) {
+        setValidationErrors(err.response.data.validationErrors);
+      }
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const renderInput = (field) => {
+    const value = values[field.name];
+
+    if (field.type === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={!!value}
+          onChange={(e) => handleValueChange(field.name, e.target.checked)}
+        />
+      );
+    }
+
+    if (field.type === 'picklist' && field.picklistValues?.length > 0) {
+      return (
+        <select value={value || ''} onChange={(e) => handleValueChange(field.name, e.target.value)}>
+          <option value="">-- None --</option>
+          {field.picklistValues.filter(pv => pv.active).map(pv => (
+            <option key={pv.value} value={pv.value}>{pv.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (field.type === 'textarea') {
+      return (
+        <textarea
+          rows={3}
+          maxLength={field.length || undefined}
+          value={value || ''}
+          onChange={(e) => handleValueChange(field.name, e.target.value)}
+        />
+      );
+    }
+
+    let inputType = 'text';
+    if (NUMBER_TYPES.includes(field.type)) inputType = 'number';
+    if (field.type === 'date') inputType = 'date';
+    if (field.type === 'datetime') inputType = 'datetime-local';
+
+    return (
+      <input
+        type={inputType}
+        step={field.type === 'int' ? 1 : 'any'}
+        maxLength={inputType === 'text' && field.length ? field.length : undefined}
+        value={value || ''}
+        onChange={(e) => handleValueChange(field.name, e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <div className="pe-publish-form">
+      <div className="pe-publish-row">
+        <select
+          value={selectedEventName}
+          onChange={(e) => setSelectedEventName(e.target.value)}
+          className="pe-publish-event-select"
+        >
+          <option value="">Select a platform event to publish…</option>
+          {platformEvents.map(event => (
+            <option key={event.QualifiedApiName} value={event.QualifiedApiName}>
+              {event.QualifiedApiName}
+            </option>
+          ))}
+        </select>
+        {selectedEventName && (
+          <div className="pe-publish-mode">
+            <button className={mode === 'form' ? 'active' : ''} onClick={() => setMode('form')}>Form</button>
+            <button className={mode === 'bulk' ? 'active' : ''} onClick={() => setMode('bulk')}>Bulk JSON</button>
+          </div>
+        )}
+      </div>
+
+      {loadingDescribe && <div className="pe-publish-info">🔄 Loading fields…</div>}
+
+      {selectedEventName && !loadingDescribe && mode === 'form' && (
+        <div className="pe-publish-fields">
+          {fields.length === 0 && <div className="pe-publish-info">This event has no publishable fields.</div>}
+          {fields.map(field => (
+            <label key={field.name} className="pe-publish-field">
+              <span className="pe-publish-field-label" title={`${field.name} (${field.type}${field.length ? `, max ${field.length}` : ''})`}>
+                {field.label}{isRequired(field) && <span className="pe-publish-required"> *</span>}
+                <span className="pe-publish-field-api">{field.name}</span>
+              </span>
+              {renderInput(field)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {selectedEventName && !loadingDescribe && mode === 'bulk' && (
+        <textarea
+          className="pe-publish-bulk"
+          rows={8}
+          value={bulkJson}
+          onChange={(e) => setBulkJson(e.target.value)}
+          spellCheck={false}
+        />
+      )}
+
+      {selectedEventName && (
+        <button
+          className="subscribe-btn"
+          onClick={publish}
+          disabled={publishing || loadingDescribe}
+        >
+          {publishing ? '🔄 Publishing...' : `📤 Publish ${mode === 'bulk' ? 'Events' : 'Event'}`}
+        </button>
+      )}
+
+      {error && <div className="error-message">⚠️ {error}</div>}
+
+      {validationErrors.length > 0 && (
+        <ul className="pe-publish-results">
+          {validationErrors.map(result => (
+            <li key={result.index} className="failed">
+              Event #{result.index + 1}: {result.errors.join('; ')}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {results && (
+        <div>
+          <div className="pe-publish-info">{results.message}</div>
+          <ul className="pe-publish-results">
+            {results.results.map(result => (
+              <li key={result.index} className={result.success ? 'success' : 'failed'}>
+                Event #{result.index + 1}: {result.success ? `✅ ${result.id || 'published'}` : `❌ ${result.errors.join('; ')}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlatformEventPublishForm;
@@ -1,4 +1,8 @@
 import React, { useState, useMemo } from 'react';
+import PlatformEventPublishForm from './PlatformEventPublishForm';
+import PlatformEventHistory from './PlatformEventHistory';
+import PlatformEventMetrics from './PlatformEventMetrics';
+import ChangeEventDiff from './ChangeEventDiff';
 
 const PlatformEventsTab = ({ 
   socketRef, 
@@ -7,19 +11,34 @@ const PlatformEventsTab = ({
   // State props
   events,
   platformEvents,
+  changeEventChannels,
+  changeEventDiscoveryError,
   selectedEvents,
   subscribed,
+  transport,
+  replayFrom,
+  customReplayId,
+  replayNotice,
+  subscriptionStates = {},
+  eventFilters,
   loading,
   error,
   // Function props
   handleEventSelection,
   handleSelectAll,
+  handleReplayFromChange,
+  handleTransportChange,
+  handleEventFilterChange,
   subscribeToPlatformEvents,
   clearEvents,
   formatEventData
 }) => {
   // Search state for filtering platform events
   const [searchTerm, setSearchTerm] = useState('');
+  // Publish panel visibility
+  const [showPublishForm, setShowPublishForm] = useState(false);
+  // Toggle between live events and the server-side history
+  const [view, setView] = useState('live'); // live | history | metrics
 
   // Filter and sort platform events based on search term
   const filteredPlatformEvents = useMemo(() => {
@@ -40,6 +59,41 @@ const PlatformEventsTab = ({
     );
   }, [platformEvents, searchTerm]);
 
+  // Change Data Capture channels matching the search term
+  const filteredChangeEventChannels = useMemo(() => {
+    if (!searchTerm.trim()) {
+      return changeEventChannels;
+    }
+    const term = searchTerm.toLowerCase();
+    return changeEventChannels.filter(channel =>
+      channel.channel.toLowerCase().includes(term) ||
+      channel.label.toLowerCase().includes(term) ||
+      channel.entities.some(entity => entity.toLowerCase().includes(term))
+    );
+  }, [changeEventChannels, searchTerm]);
+
+  // Filter expression and field projection inputs for a selected event or channel
+  const renderFilterInputs = (name) => selectedEvents.has(name) && (
+    <div className="event-filter-inputs">
+      <input
+        type="text"
+        placeholder="Filter, e.g. Status__c == 'Failed' && Amount__c > 1000"
+        value={eventFilters[name]?.filter || ''}
+        onChange={(e) => handleEventFilterChange(name, 'filter', e.target.value)}
+        disabled={subscribed}
+        className="event-filter-input"
+      />
+      <input
+        type="text"
+        placeholder="Fields to show (comma separated, default all)"
+        value={eventFilters[name]?.fields || ''}
+        onChange={(e) => handleEventFilterChange(name, 'fields', e.target.value)}
+        disabled={subscribed}
+        className="event-filter-input"
+      />
+    </div>
+  );
+
   return (
     <div className="tab-content">
       <div className="dashboard-content platform-events-content">
@@ -109,6 +163,7 @@ const PlatformEventsTab = ({
                           {event.Label && <span className="event-label"> - {event.Label}</span>}
                         </span>
                       </label>
+                      {renderFilterInputs(event.QualifiedApiName)}
                     </div>
                   ))}
                 </div>
@@ -118,12 +173,84 @@ const PlatformEventsTab = ({
             ) : (
               <p className="no-events">No platform events found in this org.</p>
             )}
+
+            {filteredChangeEventChannels.length > 0 && (
+              <div className="change-event-channels">
+                <h4>🔄 Change Data Capture Channels ({changeEventChannels.length})</h4>
+                {changeEventDiscoveryError && (
+                  <p className="help-text">Only the standard channel is listed: {changeEventDiscoveryError}</p>
+                )}
+                <div className="events-list">
+                  {filteredChangeEventChannels.map(channel => (
+                    <div key={channel.channel} className="event-item">
+                      <label className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={selectedEvents.has(channel.channel)}
+                          onChange={(e) => handleEventSelection(channel.channel, e.target.checked)}
+                          className="checkbox-input"
+                        />
+                        <span className="event-details">
+                          <strong>{channel.channel}</strong>
+                          <span className="event-label"> - {channel.label}</span>
+                          {channel.type !== 'entity' && channel.entities.length > 0 && (
+                            <span className="event-label"> ({channel.entities.join(', ')})</span>
+                          )}
+                        </span>
+                      </label>
+                      {renderFilterInputs(channel.channel)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
+          {!subscribed && (
+            <div className="replay-from-container">
+              <label htmlFor="transport-select" className="replay-from-label">🔌 Transport</label>
+              <select
+                id="transport-select"
+                value={transport}
+                onChange={(e) => handleTransportChange(e.target.value)}
+                className="replay-from-select"
+              >
+                <option value="cometd">Streaming API (CometD)</option>
+                <option value="pubsub">Pub/Sub API (gRPC)</option>
+              </select>
+            </div>
+          )}
+
+          {!subscribed && (
+            <div className="replay-from-container">
+              <label htmlFor="replay-from-select" className="replay-from-label">⏪ Replay from</label>
+              <select
+                id="replay-from-select"
+                value={replayFrom}
+                onChange={(e) => handleReplayFromChange(e.target.value)}
+                className="replay-from-select"
+              >
+                <option value="stored">Last received event (resume)</option>
+                <option value="latest">New events only (-1)</option>
+                <option value="all">All retained events (-2)</option>
+                <option value="custom">Specific ReplayId…</option>
+              </select>
+              {replayFrom === 'custom' && (
+                <input
+                  type="text"
+                  placeholder={transport === 'pubsub' ? 'Base64 ReplayId' : 'ReplayId'}
+                  value={customReplayId}
+                  onChange={(e) => handleReplayFromChange('custom', e.target.value)}
+                  className="replay-from-input"
+                />
+              )}
+            </div>
+          )}
+
           {!subscribed ? (
             <button
               onClick={subscribeToPlatformEvents}
-              disabled={loading || filteredPlatformEvents.length === 0 || selectedEvents.size === 0}
+              disabled={loading || selectedEvents.size === 0}
               className="subscribe-btn"
             >
               {loading ? '🔄 Subscribing...' : 
@@ -137,11 +264,54 @@ const PlatformEventsTab = ({
             </div>
           )}
 
+          {subscribed && Object.keys(subscriptionStates).length > 0 && (
+            <div className="subscription-states">
+              {Object.values(subscriptionStates).map(subscription => (
+                <div key={subscription.channel} className={`subscription-state subscription-state-${subscription.state}`}>
+                  <span className="subscription-state-badge">
+                    {subscription.state === 'connected' && '🟢 Connected'}
+                    {subscription.state === 'reconnecting' && '🟠 Reconnecting'}
+                    {subscription.state === 'failed' && '🔴 Failed'}
+                  </span>
+                  <span className="subscription-state-channel">{subscription.channel}</span>
+                  {subscription.state !== 'connected' && subscription.reason && (
+                    <span className="subscription-state-reason">
+                      {subscription.reason}
+                      {subscription.state === 'reconnecting' && subscription.nextRetryAt &&
+                        ` · retry ${subscription.reconnectAttempts} at ${new Date(subscription.nextRetryAt).toLocaleTimeString()}`}
+                    </span>
+                  )}
+                </div>
+              ))}
+              {Object.values(subscriptionStates).some(subscription => subscription.state === 'failed') && (
+                <button onClick={subscribeToPlatformEvents} disabled={loading} className="resubscribe-btn">
+                  🔁 Resubscribe
+                </button>
+              )}
+            </div>
+          )}
+
+          {replayNotice && (
+            <div className="replay-notice">
+              ⏪ {replayNotice}
+            </div>
+          )}
+
           {error && (
             <div className="error-message">
               ⚠️ {error}
             </div>
           )}
+
+          <div className="publish-event-section">
+            <button
+              className="publish-event-toggle"
+              onClick={() => setShowPublishForm(!showPublishForm)}
+            >
+              {showPublishForm ? '▾' : '▸'} 📤 Publish Test Event
+            </button>
+            {showPublishForm && <PlatformEventPublishForm platformEvents={platformEvents} />}
+          </div>
             </div>
           </div>
 
@@ -149,17 +319,38 @@ const PlatformEventsTab = ({
           <div className="platform-events-right-panel">
             <div className="events-section">
           <div className="events-header">
-            <h3>📨 Received Events ({events.length})</h3>
-            {events.length > 0 && (
-              <button 
-                onClick={clearEvents}
-                className="clear-btn"
+            <h3>
+              {view === 'history' && '🕘 Event History'}
+              {view === 'metrics' && '📈 Channel Metrics'}
+              {view === 'live' && `📨 Received Events (${events.length})`}
+            </h3>
+            <div className="events-header-actions">
+              <button
+                onClick={() => setView(view === 'metrics' ? 'live' : 'metrics')}
+                className={`view-toggle-btn ${view === 'metrics' ? 'active' : ''}`}
               >
-                🗑️ Clear
+                📈 Metrics
               </button>
-            )}
+              <button
+                onClick={() => setView(view === 'history' ? 'live' : 'history')}
+                className={`view-toggle-btn ${view === 'history' ? 'active' : ''}`}
+              >
+                🕘 History
+              </button>
+              {view === 'live' && events.length > 0 && (
+                <button 
+                  onClick={clearEvents}
+                  className="clear-btn"
+                >
+                  🗑️ Clear
+                </button>
+              )}
+            </div>
           </div>
 
+          {view === 'history' && <PlatformEventHistory formatEventData={formatEventData} />}
+          {view === 'metrics' && <PlatformEventMetrics />}
+          {view === 'live' && (
           <div className="events-container" ref={eventsContainerRef}>
             {events.length === 0 ? (
               <div className="no-events-placeholder">
@@ -181,18 +372,24 @@ const PlatformEventsTab = ({
                     <div className="event-title">
                       <strong>{event.eventLabel || event.eventName}</strong>
                       <span className="event-name">{event.eventName}</span>
+                      {event.transport === 'pubsub' && <span className="event-transport-badge">Pub/Sub</span>}
                     </div>
                     <div className="event-timestamp">
+                      {event.replayId !== undefined && event.replayId !== null && (
+                        <span className="event-replay-id">#{event.replayId} · </span>
+                      )}
                       {new Date(event.timestamp).toLocaleString()}
                     </div>
                   </div>
                   <div className="event-data">
+                    {event.changeEvent && <ChangeEventDiff changeEvent={event.changeEvent} />}
                     <pre>{formatEventData(event.message)}</pre>
                   </div>
                 </div>
               ))
             )}
-            </div>
+          </div>
+          )}
           </div>
         </div>
       </div>
@@ -0,0 +1,44 @@
+import React from 'react';
+import './RecordIdLink.css';
+
+const ID_CHECKSUM_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+
+/**
+ * True for 18 character Salesforce IDs with a valid case-safe checksum. The API always returns
+ * 18 character IDs, and the checksum keeps other 18 character strings from being taken for one.
+ */
+export const isRecordId = (value) => {
+  if (typeof value !== 'string' || !/^[a-zA-Z0-9]{18}$/.test(value)) {
+    return false;
+  }
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let flags = 0;
+    for (let i = 0; i < 5; i++) {
+      const char = value[chunk * 5 + i];
+      if (char >= 'A' && char <= 'Z') {
+        flags |= 1 << i;
+      }
+    }
+    if (value[15 + chunk] !== ID_CHECKSUM_CHARS[flags]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// A record ID that opens the record viewer; clicks do not reach the surrounding cell or card
+const RecordIdLink = ({ id, onOpen, children }) => (
+  <button
+    type="button"
+    className="record-id-link"
+    title={`Open record ${id}`}
+    onClick={(e) => {
+      e.stopPropagation();
+      onOpen(id);
+    }}
+  >
+    {children || id}
+  </button>
+);
+
+export default RecordIdLink;
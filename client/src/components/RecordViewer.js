@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './RecordViewer.css';
+import RecordIdLink, { isRecordId } from './RecordIdLink';
+
+// Audit fields that crowd the related list tables
+const RELATED_LIST_HIDDEN_FIELDS = new Set([
+  'IsDeleted', 'CreatedById', 'LastModifiedById', 'LastModifiedDate', 'SystemModstamp',
+  'LastViewedDate', 'LastReferencedDate', 'LastActivityDate'
+]);
+const RELATED_LIST_MAX_COLUMNS = 6;
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  return String(value);
+};
+
+// Id plus the first populated scalar fields of the rows
+const relatedListColumns = (records) => {
+  const columns = ['Id'];
+  records.forEach(row => {
+    Object.entries(row).forEach(([field, value]) => {
+      if (columns.length < RELATED_LIST_MAX_COLUMNS && !columns.includes(field) &&
+          !RELATED_LIST_HIDDEN_FIELDS.has(field) && value !== null && typeof value !== 'object') {
+        columns.push(field);
+      }
+    });
+  });
+  return columns;
+};
+
+// Modal record viewer: every readable field of a record plus its related lists. Record IDs open the
+// referenced record in place; the breadcrumbs lead back through the records visited.
+const RecordViewer = ({ recordId, onClose }) => {
+  const [trail, setTrail] = useState([recordId]);
+  const [records, setRecords] = useState({}); // id -> GET /api/sobjects/record/:id response
+  const [errors, setErrors] = useState({}); // id -> message
+  const [fieldFilter, setFieldFilter] = useState('');
+  const [showEmptyLists, setShowEmptyLists] = useState(false);
+
+  const currentId = trail[trail.length - 1];
+  const current = records[currentId];
+  const error = errors[currentId];
+
+  useEffect(() => {
+    setTrail([recordId]);
+  }, [recordId]);
+
+  useEffect(() => {
+    if (records[currentId] || errors[currentId]) return;
+
+    let cancelled = false;
+    axios.get(`/api/sobjects/record/${currentId}`, { withCredentials: true })
+      .then(response => {
+        if (cancelled) return;
+        if (response.data.success) {
+          setRecords(prev => ({ ...prev, [currentId]: response.data }));
+        } else {
+          setErrors(prev => ({ ...prev, [currentId]: response.data.message || 'Failed to load record' }));
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setErrors(prev => ({ ...prev, [currentId]: 'Failed to load record: ' + (err.response?.data?.message || err.message) }));
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [currentId, records, errors]);
+
+  // Handle escape key to close the viewer
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscapeKey);
+    return () => {
+      document.removeEventListener('keydown', handleEscapeKey);
+    };
+  }, [onClose]);
+
+  // Opening a record already in the trail goes back to it instead of growing the trail
+  const openRecord = (id) => {
+    setFieldFilter('');
+    setTrail(prev => {
+      const index = prev.indexOf(id);
+      return index >= 0 ? prev.slice(0, index + 1) : [...prev, id];
+    });
+  };
+
+  const retry = () => {
+    setErrors(prev => {
+      const next = { ...prev };
+      delete next[currentId];
+      return next;
+    });
+  };
+
+  const crumbLabel = (id) => {
+    const loaded = records[id];
+    return loaded ? `${loaded.sobject.label}: ${loaded.name || id}` : id;
+  };
+
+  const renderValue = (value) => (
+    isRecordId(value) ? <RecordIdLink id={value} onOpen={openRecord} /> : formatFieldValue(value)
+  );
+
+  const filterText = fieldFilter.trim().toLowerCase();
+  const visibleFields = current
+    ? current.fields.filter(field => !filterText ||
+        field.name.toLowerCase().includes(filterText) || field.label.toLowerCase().includes(filterText))
+    : [];
+  const relatedLists = current
+    ? current.relatedLists.filter(list => showEmptyLists || list.records.length > 0 || list.error)
+    : [];
+  const populatedListCount = current ? current.relatedLists.filter(list => list.records.length > 0).length : 0;
+
+  return (
+    <div className="record-viewer-overlay" onClick={onClose}>
+      <div className="record-viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="record-viewer-header">
+          <h4>🗂️ Record Viewer</h4>
+          <button className="record-viewer-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <nav className="record-viewer-breadcrumbs">
+          {trail.map((id, index) => (
+            <span key={id} className="record-viewer-crumb">
+              {index > 0 && <span className="record-viewer-crumb-separator">›</span>}
+              {index === trail.length - 1 ? (
+                <strong>{crumbLabel(id)}</strong>
+              ) : (
+                <RecordIdLink id={id} onOpen={openRecord}>{crumbLabel(id)}</RecordIdLink>
+              )}
+            </span>
+          ))}
+        </nav>
+
+        <div className="record-viewer-content">
+          {!current && !error && <div className="record-viewer-loading">⏳ Loading record {currentId}...</div>}
+
+          {error && (
+            <div className="error-message">
+              ❌ {error}
+              <button className="record-viewer-button" onClick={retry}>🔄 Retry</button>
+            </div>
+          )}
+
+          {current && (
+            <>
+              <div className="record-viewer-title">
+                <span className="record-viewer-sobject">{current.sobject.label} ({current.sobject.name})</span>
+                <h3>{current.name || current.id}</h3>
+                <code>{current.id}</code>
+              </div>
+
+              <div className="record-viewer-section">
+                <div className="record-viewer-section-header">
+                  <h5>📋 Fields ({current.fields.length})</h5>
+                  <input
+                    type="text"
+                    className="record-viewer-filter"
+                    placeholder="Filter fields..."
+                    value={fieldFilter}
+                    onChange={(e) => setFieldFilter(e.target.value)}
+                  />
+                </div>
+                <div className="results-table-container">
+                  <table className="results-table record-viewer-fields">
+                    <tbody>
+                      {visibleFields.map(field => (
+                        <tr key={field.name}>
+                          <th>
+                            {field.label}
+                            <div className="record-viewer-api-name">{field.name}</div>
+                          </th>
+                          <td className="field-value">
+                            {field.name === 'Id' ? formatFieldValue(current.record.Id) : renderValue(current.record[field.name])}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              <div className="record-viewer-section">
+                <div className="record-viewer-section-header">
+                  <h5>🔗 Related Lists ({populatedListCount} of {current.relatedLists.length} with records)</h5>
+                  <label className="record-viewer-option">
+                    <input
+                      type="checkbox"
+                      checked={showEmptyLists}
+                      onChange={(e) => setShowEmptyLists(e.target.checked)}
+                    />
+                    Show empty related lists
+                  </label>
+                </div>
+
+                {relatedLists.length === 0 && (
+                  <p className="record-viewer-empty">No related records.</p>
+                )}
+
+                {relatedLists.map(list => {
+                  const columns = relatedListColumns(list.records);
+                  return (
+                    <details key={list.relationshipName} className="record-viewer-related-list" open={list.records.length > 0}>
+                      <summary>
+                        <strong>{list.relationshipName}</strong>
+                        <span className="record-viewer-api-name"> {list.childSObject}.{list.field}</span>
+                        <span className="record-viewer-count">
+                          {list.records.length}{list.hasMore ? '+' : ''}
+                        </span>
+                      </summary>
+                      {list.error && <div className="record-viewer-list-error">⚠️ {list.error}</div>}
+                      {list.records.length > 0 && (
+                        <div className="results-table-container">
+                          <table className="results-table">
+                            <thead>
+                              <tr>
+                                {columns.map(column => <th key={column}>{column}</th>)}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {list.records.map(row => (
+                                <tr key={row.Id}>
+                                  {columns.map(column => (
+                                    <td key={column} className="field-value">{renderValue(row[column])}</td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                      {list.hasMore && (
+                        <div className="record-viewer-more">
+                          Showing the first {current.relatedLimit} rows.
+                        </div>
+                      )}
+                    </details>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordViewer;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import axios from 'axios';
+import {
+  SOQL_KEYWORDS,
+  parseSOQL,
+  validateSOQL,
+  formatSOQL,
+  getCompletionContext,
+  resolveRelationshipPath
+} from './soqlParser';
+import './SOQLEditor.css';
+
+const MAX_SUGGESTIONS = 50;
+
+// Prefix matches first, then matches anywhere in the name or label
+const rankMatches = (items, partial) => {
+  const needle = partial.toLowerCase();
+  if (!needle) return items;
+  const prefix = [];
+  const contains = [];
+  items.forEach(item => {
+    const name = item.label.toLowerCase();
+    if (name.startsWith(needle)) {
+      prefix.push(item);
+    } else if (name.includes(needle) || (item.detail || '').toLowerCase().includes(needle)) {
+      contains.push(item);
+    }
+  });
+  return prefix.concat(contains);
+};
+
+const keywordItems = (partial) => {
+  if (!partial) return [];
+  return SOQL_KEYWORDS
+    .filter(keyword => keyword.toLowerCase().startsWith(partial.toLowerCase()))
+    .map(keyword => ({ label: keyword, insert: keyword, detail: 'keyword', kind: 'keyword' }));
+};
+
+const fieldItems = (fields, withRelationships) => {
+  const items = fields.map(field => ({
+    label: field.name,
+    insert: field.name,
+    detail: `${field.label} · ${field.type}`,
+    kind: 'field'
+  }));
+  if (withRelationships) {
+    fields
+      .filter(field => field.relationshipName && field.referenceTo && field.referenceTo.length > 0)
+      .forEach(field => items.push({
+        label: `${field.relationshipName}.`,
+        insert: `${field.relationshipName}.`,
+        detail: `→ ${field.referenceTo.join(', ')}`,
+        kind: 'relationship',
+        reopen: true
+      }));
+  }
+  return items.sort((a, b) => a.label.localeCompare(b.label));
+};
+
+/**
+ * Build the suggestion list for a completion context.
+ * Returns { items, needs } where needs lists SObjects whose metadata should be loaded.
+ */
+const buildSuggestions = (context, sobjects, describes, cachedFields) => {
+  const needs = [];
+
+  if (context.kind === 'object') {
+    const items = sobjects.map(sobject => ({ label: sobject.name, insert: sobject.name, detail: sobject.label, kind: 'object' }));
+    return { items: rankMatches(items, context.partial), needs };
+  }
+
+  if (context.kind === 'childRelationship') {
+    const parent = context.sobject && describes[context.sobject.toLowerCase()];
+    if (!parent) {
+      if (context.sobject) needs.push(context.sobject);
+      return { items: [], needs };
+    }
+    const items = (parent.childRelationships || [])
+      .filter(rel => rel.relationshipName)
+      .map(rel => ({ label: rel.relationshipName, insert: rel.relationshipName, detail: rel.childSObject, kind: 'relationship' }));
+    return { items: rankMatches(items, context.partial), needs };
+  }
+
+  if (context.kind === 'keyword' || !context.sobject) {
+    return { items: keywordItems(context.partial), needs };
+  }
+
+  // Resolve the object the fields belong to: the FROM object, or the child object of a subquery
+  let baseSObject = context.sobject;
+  if (context.parentSObject) {
+    const parent = describes[context.parentSObject.toLowerCase()];
+    if (!parent) {
+      needs.push(context.parentSObject);
+      return { items: keywordItems(context.partial), needs };
+    }
+    const relationship = (parent.childRelationships || []).find(rel =>
+      rel.relationshipName && rel.relationshipName.toLowerCase() === context.sobject.toLowerCase()
+    );
+    if (!relationship) {
+      return { items: keywordItems(context.partial), needs };
+    }
+    baseSObject = relationship.childSObject;
+  }
+
+  const resolved = resolveRelationshipPath(baseSObject, context.path, describes);
+  let items = [];
+  if (resolved.describe) {
+    items = fieldItems(resolved.describe.fields, true);
+  } else if (resolved.missing) {
+    needs.push(resolved.missing);
+    // The field search cache answers instantly for the FROM object while its describe loads
+    const cached = context.path.length === 0 && cachedFields[baseSObject.toLowerCase()];
+    if (cached) {
+      items = fieldItems(cached, false);
+    }
+  }
+
+  const ranked = rankMatches(items, context.partial);
+  return { items: context.path.length === 0 ? ranked.concat(keywordItems(context.partial)) : ranked, needs };
+};
+
+// Line and column (1-based) of a character offset, for diagnostics
+const toLineColumn = (text, offset) => {
+  const lines = text.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+const SOQLEditor = ({ value, onChange, onExecute, onDiagnosticsChange, allSObjects, disabled, placeholder }) => {
+  const [sobjects, setSObjects] = useState(allSObjects || []);
+  const [describes, setDescribes] = useState({}); // lower-cased SObject name -> describe
+  const [cachedFields, setCachedFields] = useState({}); // lower-cased SObject name -> field search cache fields
+  const [completion, setCompletion] = useState(null); // { cursor, force } while the suggestion list is open
+  const [activeIndex, setActiveIndex] = useState(0);
+  const textareaRef = useRef(null);
+  const listRef = useRef(null);
+  const requestedRef = useRef(new Set());
+  const pendingCursorRef = useRef(null);
+
+  useEffect(() => {
+    if (allSObjects && allSObjects.length > 0) {
+      setSObjects(allSObjects);
+      return;
+    }
+    const fetchSObjects = async () => {
+      try {
+        const response = await axios.get('/api/sobjects/all', { withCredentials: true });
+        if (response.data.success) {
+          setSObjects(response.data.sobjects);
+        }
+      } catch (err) {
+        console.error('Error loading SObjects for SOQL autocomplete:', err);
+      }
+    };
+    fetchSObjects();
+  }, [allSObjects]);
+
+  // Load the field search cache entry (fast) and the full describe (authoritative) once per SObject
+  const loadSObjectMetadata = useCallback((sobjectName) => {
+    const key = sobjectName.toLowerCase();
+    if (requestedRef.current.has(key)) {
+      return;
+    }
+    requestedRef.current.add(key);
+
+    axios.get(`/api/sobjects/field-search/sobject/${encodeURIComponent(sobjectName)}`, { withCredentials: true })
+      .then(response => {
+        if (response.data.success && response.data.cached) {
+          setCachedFields(prev => ({ ...prev, [key]: response.data.sobject.fields }));
+        }
+      })
+      .catch(() => {
+        // Not cached for this org; the describe below still provides fields
+      });
+
+    axios.get(`/api/sobjects/${encodeURIComponent(sobjectName)}/describe`, { withCredentials: true })
+      .then(response => {
+        if (response.data.success) {
+          setDescribes(prev => ({ ...prev, [key]: response.data.describe }));
+        }
+      })
+      .catch(err => {
+        console.error(`Error describing ${sobjectName} for SOQL autocomplete:`, err);
+      });
+  }, []);
+
+  const parsed = useMemo(() => parseSOQL(value), [value]);
+  const sobjectNames = useMemo(() => (sobjects.length > 0 ? sobjects.map(sobject => sobject.name) : null), [sobjects]);
+  const validation = useMemo(() => validateSOQL(parsed.query, describes, sobjectNames), [parsed, describes, sobjectNames]);
+  const diagnostics = useMemo(() => parsed.errors.concat(validation.errors), [parsed, validation]);
+
+  useEffect(() => {
+    if (parsed.query && (!sobjectNames || sobjectNames.some(name => name.toLowerCase() === parsed.query.sobject.toLowerCase()))) {
+      loadSObjectMetadata(parsed.query.sobject);
+    }
+    validation.missing.forEach(loadSObjectMetadata);
+  }, [parsed, validation, sobjectNames, loadSObjectMetadata]);
+
+  useEffect(() => {
+    if (onDiagnosticsChange) {
+      onDiagnosticsChange(diagnostics);
+    }
+  }, [diagnostics, onDiagnosticsChange]);
+
+  const context = useMemo(
+    () => (completion ? getCompletionContext(value, completion.cursor) : null),
+    [completion, value]
+  );
+  const suggestions = useMemo(
+    () => (context ? buildSuggestions(context, sobjects, describes, cachedFields) : { items: [], needs: [] }),
+    [context, sobjects, describes, cachedFields]
+  );
+  const visibleItems = suggestions.items.slice(0, MAX_SUGGESTIONS);
+  const open = Boolean(context) && visibleItems.length > 0 && (completion.force || context.partial.length > 0);
+
+  useEffect(() => {
+    suggestions.needs.forEach(loadSObjectMetadata);
+  }, [suggestions, loadSObjectMetadata]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [context]);
+
+  useEffect(() => {
+    const active = listRef.current?.children[activeIndex];
+    if (active) {
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeIndex]);
+
+  // Restore the caret after programmatic edits (completion, formatting)
+  useEffect(() => {
+    if (pendingCursorRef.current !== null && textareaRef.current) {
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(pendingCursorRef.current, pendingCursorRef.current);
+      pendingCursorRef.current = null;
+    }
+  }, [value]);
+
+  const acceptSuggestion = (item) => {
+    const cursor = completion.cursor;
+    const newValue = value.slice(0, context.replaceStart) + item.insert + value.slice(cursor);
+    const newCursor = context.replaceStart + item.insert.length;
+    pendingCursorRef.current = newCursor;
+    onChange(newValue);
+    setCompletion(item.reopen ? { cursor: newCursor, force: true } : null);
+  };
+
+  const formatQuery = () => {
+    const formatted = formatSOQL(value);
+    if (formatted !== value) {
+      pendingCursorRef.current = formatted.length;
+      onChange(formatted);
+    }
+    setCompletion(null);
+  };
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const cursor = e.target.selectionStart;
+    onChange(text);
+    // Keep suggesting while a word or relationship path is being typed
+    setCompletion(/[A-Za-z0-9_.]$/.test(text.slice(0, cursor)) ? { cursor, force: false } : null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (open) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveIndex(index => (index + 1) % visibleItems.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveIndex(index => (index - 1 + visibleItems.length) % visibleItems.length);
+        return;
+      }
+      if ((e.key === 'Enter' && !e.ctrlKey && !e.metaKey) || e.key === 'Tab') {
+        e.preventDefault();
+        acceptSuggestion(visibleItems[activeIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setCompletion(null);
+        return;
+      }
+    }
+
+    if (e.key === ' ' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      setCompletion({ cursor: e.target.selectionStart, force: true });
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      setCompletion(null);
+      onExecute();
+    } else if ((e.key === 'F' || e.key === 'f') && e.shiftKey && e.altKey) {
+      e.preventDefault();
+      formatQuery();
+    }
+  };
+
+  const selectRange = (start, end) => {
+    if (textareaRef.current) {
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(start, Math.max(start, end));
+    }
+  };
+
+  return (
+    <div className="soql-editor-wrapper">
+      <div className="soql-editor-input">
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onClick={() => setCompletion(null)}
+          onBlur={() => setCompletion(null)}
+          placeholder={placeholder}
+          className={`soql-editor ${diagnostics.length > 0 ? 'has-problems' : ''}`}
+          rows={8}
+          disabled={disabled}
+          spellCheck={false}
+        />
+        {open && (
+          <ul className="soql-suggestions" ref={listRef}>
+            {visibleItems.map((item, index) => (
+              <li
+                key={`${item.kind}-${item.label}`}
+                className={`soql-suggestion kind-${item.kind} ${index === activeIndex ? 'active' : ''}`}
+                onMouseDown={(e) => {
+                  e.preventDefault(); // keep focus in the textarea
+                  acceptSuggestion(item);
+                }}
+              >
+                <span className="soql-suggestion-label">{item.label}</span>
+                <span className="soql-suggestion-detail">{item.detail}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="soql-editor-toolbar">
+        <button className="soql-format-button" onClick={formatQuery} disabled={disabled || !value.trim() || parsed.errors.length > 0}>
+          🧹 Format
+        </button>
+        {value.trim() && (
+          diagnostics.length === 0 ? (
+            <span className="soql-status valid">{validation.missing.length > 0 ? '⏳ Checking fields...' : '✅ Valid SOQL'}</span>
+          ) : (
+            <span className="soql-status invalid">⚠️ {diagnostics.length} problem{diagnostics.length === 1 ? '' : 's'}</span>
+          )
+        )}
+      </div>
+
+      {diagnostics.length > 0 && (
+        <ul className="soql-diagnostics">
+          {diagnostics.map((diagnostic, index) => {
+            const { line, column } = toLineColumn(value, diagnostic.start);
+            return (
+              <li key={index} onClick={() => selectRange(diagnostic.start, diagnostic.end)}>
+                <span className="soql-diagnostic-position">Ln {line}, Col {column}</span>
+                {diagnostic.message}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SOQLEditor;
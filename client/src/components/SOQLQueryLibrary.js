@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './SOQLQueryLibrary.css';
+
+// Named queries are stored per user and org through the Redis user settings endpoints
+const getSavedQueriesUrl = (user) =>
+  `/api/redis/settings/user/${encodeURIComponent(user.userId)}/soql_saved_queries_${encodeURIComponent(user.organizationId)}`;
+
+const SOQLQueryLibrary = ({ user, query, history, onSelect, onClearHistory }) => {
+  const [savedQueries, setSavedQueries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const canSave = Boolean(user && user.userId && user.organizationId);
+
+  useEffect(() => {
+    if (!canSave) return;
+    const loadSavedQueries = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(getSavedQueriesUrl(user), { withCredentials: true });
+        setSavedQueries(Array.isArray(response.data.value) ? response.data.value : []);
+      } catch (err) {
+        if (err.response?.status === 404) {
+          setSavedQueries([]);
+        } else {
+          setError('Failed to load saved queries: ' + (err.response?.data?.message || err.message));
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSavedQueries();
+  }, [canSave, user]);
+
+  const storeSavedQueries = async (queries) => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await axios.post(getSavedQueriesUrl(user), { value: queries }, { withCredentials: true });
+      if (!response.data.success) {
+        setError(response.data.message || 'Failed to store saved queries');
+        return false;
+      }
+      setSavedQueries(queries);
+      return true;
+    } catch (err) {
+      setError('Failed to store saved queries: ' + (err.response?.data?.message || err.message));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCurrentQuery = async () => {
+    const current = savedQueries.find(saved => saved.query === query.trim());
+    const name = window.prompt('Name for this query:', current ? current.name : '');
+    if (!name || !name.trim()) {
+      return;
+    }
+    const existing = savedQueries.find(saved => saved.name === name.trim());
+    if (existing && existing.query !== query.trim() && !window.confirm(`Replace the saved query "${existing.name}"?`)) {
+      return;
+    }
+    const entry = { name: name.trim(), query: query.trim(), savedAt: new Date().toISOString() };
+    await storeSavedQueries(
+      [entry, ...savedQueries.filter(saved => saved.name !== entry.name)].sort((a, b) => a.name.localeCompare(b.name))
+    );
+  };
+
+  const deleteSavedQuery = async (saved) => {
+    if (!window.confirm(`Delete the saved query "${saved.name}"?`)) {
+      return;
+    }
+    await storeSavedQueries(savedQueries.filter(entry => entry.name !== saved.name));
+  };
+
+  return (
+    <div className="soql-query-library">
+      <div className="soql-library-panel">
+        <div className="soql-library-header">
+          <h5>⭐ Saved Queries</h5>
+          <button className="soql-library-button" onClick={saveCurrentQuery} disabled={!canSave || saving || !query.trim()}>
+            {saving ? '⏳ Saving...' : '💾 Save Query'}
+          </button>
+        </div>
+        {error && <div className="soql-library-error">⚠️ {error}</div>}
+        {loading ? (
+          <div className="soql-library-empty">⏳ Loading saved queries...</div>
+        ) : savedQueries.length === 0 ? (
+          <div className="soql-library-empty">No saved queries for this org yet</div>
+        ) : (
+          <ul className="soql-library-list">
+            {savedQueries.map(saved => (
+              <li key={saved.name}>
+                <button className="soql-library-entry" onClick={() => onSelect(saved.query)} title={saved.query}>
+                  <strong>{saved.name}</strong>
+                  <code>{saved.query}</code>
+                </button>
+                <button className="soql-library-delete" onClick={() => deleteSavedQuery(saved)} disabled={saving} title="Delete saved query">
+                  🗑️
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="soql-library-panel">
+        <div className="soql-library-header">
+          <h5>🕘 History</h5>
+          <button className="soql-library-button" onClick={onClearHistory} disabled={history.length === 0}>
+            Clear
+          </button>
+        </div>
+        {history.length === 0 ? (
+          <div className="soql-library-empty">Executed queries appear here</div>
+        ) : (
+          <ul className="soql-library-list">
+            {history.map(entry => (
+              <li key={entry.executedAt}>
+                <button className="soql-library-entry" onClick={() => onSelect(entry.query)} title={entry.query}>
+                  <span className="soql-library-meta">
+                    {new Date(entry.executedAt).toLocaleString()}
+                    {entry.recordCount !== null && ` · ${entry.recordCount.toLocaleString()} records`}
+                  </span>
+                  <code>{entry.query}</code>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SOQLQueryLibrary;
@@ -0,0 +1,84 @@
+import React from 'react';
+import './SOQLQueryPlan.css';
+
+const formatCost = (cost) => (typeof cost === 'number' ? cost.toFixed(cost < 10 ? 3 : 1) : '—');
+const formatCount = (count) => (typeof count === 'number' ? count.toLocaleString() : '—');
+
+// Query plans from POST /api/sobjects/explain; the first plan is the one Salesforce runs
+const SOQLQueryPlan = ({ explain }) => {
+  if (explain.plans.length === 0) {
+    return (
+      <div className="soql-query-plan">
+        <h5>🧭 Query Plan</h5>
+        <p className="soql-plan-empty">Salesforce returned no plans for this query.</p>
+      </div>
+    );
+  }
+
+  const leadingPlan = explain.plans[0];
+
+  return (
+    <div className="soql-query-plan">
+      <div className="soql-plan-header">
+        <h5>🧭 Query Plan</h5>
+        <span className={`soql-plan-badge ${explain.selective ? 'selective' : 'non-selective'}`}>
+          {explain.selective ? '✅ Selective' : '⚠️ Non-selective'}
+        </span>
+      </div>
+
+      {!explain.selective && (
+        <div className="soql-plan-warning">
+          The plan Salesforce will use is a <strong>{leadingPlan.leadingOperationType}</strong> with relative cost{' '}
+          <strong>{formatCost(leadingPlan.relativeCost)}</strong>. Costs above 1 mean the filters are not selective — on large
+          objects the query may time out or fail as a non-selective query. Filter on indexed fields (Id, Name, lookups,
+          external IDs or custom indexes) to bring the cost down.
+        </div>
+      )}
+
+      <div className="results-table-container">
+        <table className="results-table soql-plan-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Leading Operation</th>
+              <th>Cardinality</th>
+              <th>SObject Cardinality</th>
+              <th>Relative Cost</th>
+              <th>Index Fields</th>
+              <th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {explain.plans.map((plan, index) => (
+              <tr key={index} className={`${index === 0 ? 'chosen' : ''} ${plan.selective ? '' : 'non-selective'}`}>
+                <td>{index === 0 ? '▶️' : index + 1}</td>
+                <td>
+                  {plan.leadingOperationType}
+                  <div className="soql-plan-sobject">{plan.sobjectType}</div>
+                </td>
+                <td>{formatCount(plan.cardinality)}</td>
+                <td>{formatCount(plan.sobjectCardinality)}</td>
+                <td className="soql-plan-cost">{formatCost(plan.relativeCost)}</td>
+                <td>{plan.fields.length > 0 ? plan.fields.join(', ') : '—'}</td>
+                <td>
+                  {plan.notes.length === 0 ? '—' : (
+                    <ul className="soql-plan-notes">
+                      {plan.notes.map((note, noteIndex) => (
+                        <li key={noteIndex}>
+                          {note.description}
+                          {note.fields.length > 0 && <code>{note.fields.join(', ')}</code>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SOQLQueryPlan;
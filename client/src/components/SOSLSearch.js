@@ -0,0 +1,302 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './SOSLSearch.css';
+import RecordViewer from './RecordViewer';
+import RecordIdLink, { isRecordId } from './RecordIdLink';
+
+const SEARCH_GROUPS = [
+  { value: 'ALL', label: 'All fields' },
+  { value: 'NAME', label: 'Name fields' },
+  { value: 'EMAIL', label: 'Email fields' },
+  { value: 'PHONE', label: 'Phone fields' }
+];
+const DEFAULT_OBJECT_LIMIT = 20;
+const DEFAULT_SEARCH_OBJECTS = [
+  { name: 'Account', fields: 'Name, Phone', limit: DEFAULT_OBJECT_LIMIT },
+  { name: 'Contact', fields: 'Name, Email, Phone, AccountId', limit: DEFAULT_OBJECT_LIMIT },
+  { name: 'Order', fields: 'OrderNumber, Status, AccountId, BillToContactId, EffectiveDate', limit: DEFAULT_OBJECT_LIMIT }
+];
+// Extra fields suggested for a newly added object, after its name field
+const SUGGESTED_FIELD_TYPES = ['email', 'phone'];
+const MAX_SUGGESTED_FIELDS = 3;
+
+// The objects searched, with their field lists and limits, are kept in the browser per org
+const getObjectsKey = (user) => `sosl_objects_${user?.organizationId || 'default'}`;
+
+const loadSearchObjects = (user) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getObjectsKey(user)));
+    return Array.isArray(stored) && stored.length > 0 ? stored : DEFAULT_SEARCH_OBJECTS;
+  } catch (error) {
+    return DEFAULT_SEARCH_OBJECTS;
+  }
+};
+
+const parseFieldList = (fields) => fields.split(',').map(field => field.trim()).filter(Boolean);
+
+// Relationship paths such as Account.Name come back as nested objects
+const getFieldValue = (record, path) => path.split('.').reduce((value, part) => (value ? value[part] : undefined), record);
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Global record search (SOSL) across a chosen set of objects, results grouped per object
+const SOSLSearch = ({ user, allSObjects }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searchIn, setSearchIn] = useState('ALL');
+  const [searchObjects, setSearchObjects] = useState(() => loadSearchObjects(user));
+  const [sobjects, setSObjects] = useState(allSObjects || []);
+  const [objectToAdd, setObjectToAdd] = useState('');
+  const [addingObject, setAddingObject] = useState(false);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [viewerRecordId, setViewerRecordId] = useState(null);
+
+  useEffect(() => {
+    setSearchObjects(loadSearchObjects(user));
+  }, [user]);
+
+  // The object picker needs the full list, which the SObjects tab only loads for "Show all SObjects"
+  useEffect(() => {
+    if (allSObjects && allSObjects.length > 0) {
+      setSObjects(allSObjects);
+      return;
+    }
+    axios.get('/api/sobjects/all', { withCredentials: true })
+      .then(response => {
+        if (response.data.success) {
+          setSObjects(response.data.sobjects);
+        }
+      })
+      .catch(err => console.error('Error loading SObjects for record search:', err));
+  }, [allSObjects]);
+
+  const updateSearchObjects = (objects) => {
+    setSearchObjects(objects);
+    localStorage.setItem(getObjectsKey(user), JSON.stringify(objects));
+  };
+
+  const updateSearchObject = (name, changes) => {
+    updateSearchObjects(searchObjects.map(object => (object.name === name ? { ...object, ...changes } : object)));
+  };
+
+  const removeSearchObject = (name) => {
+    updateSearchObjects(searchObjects.filter(object => object.name !== name));
+  };
+
+  // Suggest the name field plus email and phone fields from the describe
+  const addSearchObject = async () => {
+    if (!objectToAdd || searchObjects.some(object => object.name === objectToAdd)) return;
+
+    setAddingObject(true);
+    setError('');
+    try {
+      const response = await axios.get(`/api/sobjects/${objectToAdd}/describe`, { withCredentials: true });
+      const fields = response.data.describe?.fields || [];
+      const nameField = fields.find(field => field.nameField);
+      const suggested = fields
+        .filter(field => SUGGESTED_FIELD_TYPES.includes(field.type))
+        .slice(0, MAX_SUGGESTED_FIELDS)
+        .map(field => field.name);
+      updateSearchObjects([
+        ...searchObjects,
+        {
+          name: objectToAdd,
+          fields: [nameField?.name, ...suggested].filter(Boolean).join(', '),
+          limit: DEFAULT_OBJECT_LIMIT
+        }
+      ]);
+      setObjectToAdd('');
+    } catch (err) {
+      setError(`Failed to describe ${objectToAdd}: ` + (err.response?.data?.message || err.message));
+    } finally {
+      setAddingObject(false);
+    }
+  };
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    if (searchTerm.trim().length < 2) {
+      setError('Type at least 2 characters to search');
+      return;
+    }
+    if (searchObjects.length === 0) {
+      setError('Add at least one object to search');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/sobjects/sosl', {
+        searchTerm: searchTerm.trim(),
+        searchIn,
+        objects: searchObjects.map(object => ({
+          name: object.name,
+          fields: parseFieldList(object.fields),
+          limit: Number(object.limit) || DEFAULT_OBJECT_LIMIT
+        }))
+      }, { withCredentials: true });
+
+      if (response.data.success) {
+        setResults(response.data);
+      } else {
+        setError(response.data.message || 'Search failed');
+      }
+    } catch (err) {
+      console.error('Error running SOSL search:', err);
+      setError(err.response?.data?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const availableObjects = sobjects.filter(sobject => !searchObjects.some(object => object.name === sobject.name));
+
+  return (
+    <div className="sosl-search">
+      <h3>🔎 Record Search</h3>
+      <p className="sosl-search-help">
+        Search records across objects with SOSL. Use * and ? as wildcards; click any ID to open the record.
+      </p>
+
+      <form className="sosl-search-form" onSubmit={runSearch}>
+        <input
+          type="text"
+          className="sosl-search-input"
+          placeholder="Name, email, phone, order number..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+        <select value={searchIn} onChange={(e) => setSearchIn(e.target.value)} className="sosl-search-select">
+          {SEARCH_GROUPS.map(group => (
+            <option key={group.value} value={group.value}>{group.label}</option>
+          ))}
+        </select>
+        <button type="submit" className="sosl-search-button primary" disabled={loading}>
+          {loading ? '⏳ Searching...' : '🔎 Search'}
+        </button>
+      </form>
+
+      <div className="sosl-search-objects">
+        <table className="sosl-search-objects-table">
+          <thead>
+            <tr>
+              <th>Object</th>
+              <th>Fields returned (besides Id)</th>
+              <th>Limit</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {searchObjects.map(object => (
+              <tr key={object.name}>
+                <td><strong>{object.name}</strong></td>
+                <td>
+                  <input
+                    type="text"
+                    value={object.fields}
+                    onChange={(e) => updateSearchObject(object.name, { fields: e.target.value })}
+                    placeholder="Name, Email"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    max="2000"
+                    value={object.limit}
+                    onChange={(e) => updateSearchObject(object.name, { limit: e.target.value })}
+                  />
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="sosl-search-remove"
+                    onClick={() => removeSearchObject(object.name)}
+                    title={`Stop searching ${object.name}`}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="sosl-search-add">
+          <select value={objectToAdd} onChange={(e) => setObjectToAdd(e.target.value)} className="sosl-search-select">
+            <option value="">-- Add an object --</option>
+            {availableObjects.map(sobject => (
+              <option key={sobject.name} value={sobject.name}>{sobject.name} - {sobject.label}</option>
+            ))}
+          </select>
+          <button type="button" className="sosl-search-button" onClick={addSearchObject} disabled={!objectToAdd || addingObject}>
+            {addingObject ? '⏳ Adding...' : '➕ Add'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">❌ {error}</div>}
+
+      {results && (
+        <div className="sosl-search-results">
+          <div className="sosl-search-summary">
+            {results.totalSize} record{results.totalSize === 1 ? '' : 's'} found
+            <code>{results.sosl}</code>
+          </div>
+
+          {results.results.map(group => {
+            const searchObject = searchObjects.find(object => object.name === group.sobject);
+            const columns = ['Id', ...parseFieldList(searchObject?.fields || '').filter(field => field.toLowerCase() !== 'id')];
+            return (
+              <div key={group.sobject} className="sosl-search-group">
+                <h5>{group.sobject} ({group.records.length})</h5>
+                {group.records.length === 0 ? (
+                  <p className="sosl-search-empty">No matching {group.sobject} records.</p>
+                ) : (
+                  <div className="results-table-container">
+                    <table className="results-table">
+                      <thead>
+                        <tr>
+                          {columns.map(column => <th key={column}>{column}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {group.records.map(record => (
+                          <tr key={record.Id}>
+                            {columns.map(column => {
+                              const value = getFieldValue(record, column);
+                              return (
+                                <td key={column} className="field-value">
+                                  {isRecordId(value) ? <RecordIdLink id={value} onOpen={setViewerRecordId} /> : formatFieldValue(value)}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {viewerRecordId && (
+        <RecordViewer recordId={viewerRecordId} onClose={() => setViewerRecordId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default SOSLSearch;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import './SObjectDataLoaderTab.css';
+
+const POLL_INTERVAL_MS = 3000;
+const FINAL_JOB_STATES = ['JobComplete', 'Failed', 'Aborted'];
+const OPERATIONS = [
+  { value: 'insert', label: '➕ Insert' },
+  { value: 'update', label: '✏️ Update' },
+  { value: 'upsert', label: '🔀 Upsert' },
+  { value: 'delete', label: '🗑️ Delete' }
+];
+
+// Fields a CSV column may be mapped to for an operation (mirrors the server-side mapping check)
+const isFieldEligible = (field, operation) => {
+  if (operation === 'delete') return field.name === 'Id';
+  if (operation === 'update') return field.name === 'Id' || field.updateable;
+  if (operation === 'upsert') return field.name === 'Id' || field.externalId || field.createable || field.updateable;
+  return field.createable;
+};
+
+const SObjectDataLoaderTab = ({ selectedSObject, describe }) => {
+  const [operation, setOperation] = useState('insert');
+  const [file, setFile] = useState(null);
+  const [upload, setUpload] = useState(null);
+  const [suggestedMapping, setSuggestedMapping] = useState({});
+  const [mapping, setMapping] = useState({});
+  const [externalIdField, setExternalIdField] = useState('');
+  const [blankAsNull, setBlankAsNull] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+
+  const fields = useMemo(() => (describe?.fields || []).slice().sort((a, b) => a.name.localeCompare(b.name)), [describe]);
+  const externalIdFields = fields.filter(field => field.name === 'Id' || field.externalId);
+  const eligibleFields = fields.filter(field => isFieldEligible(field, operation));
+
+  const running = job && !FINAL_JOB_STATES.includes(job.state);
+  const jobId = job?.id;
+
+  useEffect(() => {
+    setFile(null);
+    setUpload(null);
+    setSuggestedMapping({});
+    setMapping({});
+    setExternalIdField('');
+    setJob(null);
+    setError('');
+  }, [selectedSObject]);
+
+  // Re-apply the suggested mapping whenever the operation (and so the set of writable fields) changes
+  useEffect(() => {
+    const allowed = new Set(
+      (describe?.fields || []).filter(field => isFieldEligible(field, operation)).map(field => field.name)
+    );
+    setMapping(Object.fromEntries(
+      Object.entries(suggestedMapping).map(([header, fieldName]) => [header, fieldName && allowed.has(fieldName) ? fieldName : ''])
+    ));
+  }, [suggestedMapping, operation, describe]);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(async () => {
+      try {
+        const response = await axios.get(`/api/sobjects/bulk-ingest/${jobId}`, { withCredentials: true });
+        if (response.data.success) {
+          setJob(response.data.job);
+        }
+      } catch (err) {
+        setError('Failed to refresh job progress: ' + (err.response?.data?.message || err.message));
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [running, jobId]);
+
+  const uploadFile = async () => {
+    const form = new FormData();
+    form.append('file', file);
+    try {
+      setUploading(true);
+      setError('');
+      setJob(null);
+      const response = await axios.post(`/api/sobjects/${selectedSObject.name}/bulk-ingest/upload`, form, { withCredentials: true });
+      if (response.data.success) {
+        setUpload(response.data.upload);
+        setSuggestedMapping(response.data.mapping);
+      }
+    } catch (err) {
+      setError('Failed to upload CSV: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const startJob = async () => {
+    if (operation === 'delete' && !window.confirm(`Delete up to ${upload.recordCount} ${selectedSObject.name} records? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      setStarting(true);
+      setError('');
+      const response = await axios.post(`/api/sobjects/${selectedSObject.name}/bulk-ingest`, {
+        uploadId: upload.id,
+        operation,
+        mapping,
+        externalIdFieldName: operation === 'upsert' ? externalIdField : null,
+        blankAsNull
+      }, { withCredentials: true });
+      if (response.data.success) {
+        setJob(response.data.job);
+        setUpload(null); // The server hands the upload to the job
+      }
+    } catch (err) {
+      setError('Failed to start data load: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const downloadResults = (kind) => {
+    window.open(`/api/sobjects/bulk-ingest/${jobId}/results/${kind}`, '_blank');
+  };
+
+  if (!selectedSObject) {
+    return (
+      <div className="no-selection-placeholder">
+        <p>Select an SObject to load data</p>
+      </div>
+    );
+  }
+
+  const mappedCount = Object.values(mapping).filter(Boolean).length;
+
+  return (
+    <div className="data-loader-content">
+      <div className="data-loader-section">
+        <h4>📥 Bulk Data Loader</h4>
+        <div className="data-loader-operations">
+          {OPERATIONS.map(option => (
+            <label key={option.value} className={operation === option.value ? 'active' : ''}>
+              <input
+                type="radio"
+                name="operation"
+                value={option.value}
+                checked={operation === option.value}
+                onChange={() => setOperation(option.value)}
+                disabled={uploading || starting}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+        <div className="data-loader-upload">
+          <input type="file" accept=".csv,text/csv" onChange={(e) => setFile(e.target.files[0] || null)} disabled={uploading || starting} />
+          <button className="data-loader-button" onClick={uploadFile} disabled={!file || uploading || starting}>
+            {uploading ? '⏳ Uploading...' : '📤 Upload CSV'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-query"><p>⚠️ {error}</p></div>}
+
+      {upload && (
+        <div className="data-loader-section">
+          <h5>🗺️ Map Columns — {upload.fileName} ({upload.recordCount.toLocaleString()} records)</h5>
+          <pre className="data-loader-preview">{upload.preview}</pre>
+
+          {operation === 'upsert' && (
+            <div className="data-loader-option">
+              <label htmlFor="externalIdField">Match records on:</label>
+              <select id="externalIdField" value={externalIdField} onChange={(e) => setExternalIdField(e.target.value)}>
+                <option value="">— Select an external ID field —</option>
+                {externalIdFields.map(field => (
+                  <option key={field.name} value={field.name}>{field.label} ({field.name})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <table className="results-table data-loader-mapping">
+            <thead>
+              <tr>
+                <th>CSV Column</th>
+                <th>Field</th>
+              </tr>
+            </thead>
+            <tbody>
+              {upload.headers.map(header => (
+                <tr key={header}>
+                  <td>{header}</td>
+                  <td>
+                    <select value={mapping[header] || ''} onChange={(e) => setMapping(prev => ({ ...prev, [header]: e.target.value }))}>
+                      <option value="">— Skip —</option>
+                      {eligibleFields.map(field => (
+                        <option key={field.name} value={field.name}>{field.label} ({field.name})</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {operation !== 'delete' && (
+            <label className="data-loader-option">
+              <input type="checkbox" checked={blankAsNull} onChange={(e) => setBlankAsNull(e.target.checked)} />
+              Clear fields for blank cells (otherwise blank cells leave the field unchanged)
+            </label>
+          )}
+
+          <button
+            className="data-loader-button primary"
+            onClick={startJob}
+            disabled={starting || mappedCount === 0 || (operation === 'upsert' && !externalIdField)}
+          >
+            {starting ? '⏳ Starting...' : `🚀 Run ${operation} (${mappedCount} field${mappedCount === 1 ? '' : 's'})`}
+          </button>
+        </div>
+      )}
+
+      {job && (
+        <div className={`data-loader-section data-loader-job state-${job.state.toLowerCase()}`}>
+          <h5>📦 Job <code>{job.id}</code> — {running ? '⏳' : job.state === 'JobComplete' ? '✅' : '❌'} {job.state}</h5>
+          <div className="data-loader-stats">
+            <span>{job.operation} {job.object}{job.fileName && ` from ${job.fileName}`}</span>
+            <span>{job.numberRecordsProcessed.toLocaleString()} processed</span>
+            <span className={job.numberRecordsFailed > 0 ? 'data-loader-failed' : ''}>{job.numberRecordsFailed.toLocaleString()} failed</span>
+            {job.recordCount !== null && <span>{job.recordCount.toLocaleString()} in file</span>}
+          </div>
+          {job.errorMessage && <div className="data-loader-failed">⚠️ {job.errorMessage}</div>}
+          {FINAL_JOB_STATES.includes(job.state) && (
+            <div className="data-loader-downloads">
+              <button className="data-loader-button" onClick={() => downloadResults('successful')}>⬇️ Successful records</button>
+              <button className="data-loader-button" onClick={() => downloadResults('failed')}>⬇️ Failed records</button>
+              {job.state !== 'JobComplete' && (
+                <button className="data-loader-button" onClick={() => downloadResults('unprocessed')}>⬇️ Unprocessed records</button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SObjectDataLoaderTab;
@@ -1,4 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import FieldUsageReport from './FieldUsageReport';
+import PicklistMatrix from './PicklistMatrix';
 
 const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
   const [hoveredField, setHoveredField] = useState(null);
@@ -8,6 +10,25 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
   const [hideSystemFields, setHideSystemFields] = useState(true); // Hide by default
   const [sortField, setSortField] = useState(null); // null, 'name', or 'label'
   const [sortOrder, setSortOrder] = useState('asc'); // 'asc' or 'desc'
+  const [usageFieldName, setUsageFieldName] = useState(null); // Field whose usage report is shown
+
+  // A usage report belongs to the SObject it was opened on
+  useEffect(() => {
+    setUsageFieldName(null);
+  }, [describe?.name]);
+
+  const renderUsageButton = (field) => (
+    <td>
+      <button
+        type="button"
+        className="field-usage-trigger"
+        onClick={() => setUsageFieldName(field.name)}
+        title="Find where this field is used and whether it holds data"
+      >
+        🔎
+      </button>
+    </td>
+  );
 
   const renderFieldType = (field) => {
     let typeDisplay = field.type;
@@ -371,6 +392,15 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
               )}
             </div>
           </div>
+
+          {usageFieldName && (
+            <FieldUsageReport
+              key={`${describe.name}.${usageFieldName}`}
+              sobjectName={describe.name}
+              fieldName={usageFieldName}
+              onClose={() => setUsageFieldName(null)}
+            />
+          )}
           
           {(() => {
             const { standard, custom } = groupFieldsByCategory(describe.fields);
@@ -432,6 +462,7 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
                             </th>
                             <th>Type</th>
                             <th>Properties</th>
+                            <th>Usage</th>
                           </tr>
                         </thead>
                         <tbody>
@@ -470,6 +501,7 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
                                 )}
                               </td>
                               <td className="field-properties">{renderFieldProperties(field)}</td>
+                              {renderUsageButton(field)}
                             </tr>
                           ))}
                         </tbody>
@@ -500,6 +532,7 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
                           </th>
                           <th>Type</th>
                           <th>Properties</th>
+                          <th>Usage</th>
                         </tr>
                       </thead>
                       <tbody>
@@ -538,6 +571,7 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
                               )}
                             </td>
                             <td className="field-properties">{renderFieldProperties(field)}</td>
+                            {renderUsageButton(field)}
                           </tr>
                         ))}
                       </tbody>
@@ -549,6 +583,9 @@ const SObjectDetailsTab = ({ selectedSObject, describe, loading, error }) => {
           })()}
         </div>
 
+        {/* Picklist Dependencies */}
+        <PicklistMatrix key={describe.name} describe={describe} />
+
         {/* Child Relationships */}
         {describe.childRelationships && describe.childRelationships.length > 0 && (
           <div className="relationships-section">
@@ -1,11 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import EditableRecordsGrid from './EditableRecordsGrid';
+import RecordViewer from './RecordViewer';
 
 const SObjectQueryTab = ({ selectedSObject }) => {
   const [queryCondition, setQueryCondition] = useState('');
   const [queryResults, setQueryResults] = useState(null);
   const [queryLoading, setQueryLoading] = useState(false);
   const [queryError, setQueryError] = useState(null);
+  const [viewerRecordId, setViewerRecordId] = useState(null);
 
   // SOQL Query Functions - Use useCallback to prevent unnecessary re-renders
   const executeSOQLQuery = useCallback(async (condition = '') => {
@@ -126,42 +129,25 @@ const SObjectQueryTab = ({ selectedSObject }) => {
         )}
 
         {/* SOQL Query Results */}
-        {queryResults && queryResults.records && queryResults.records.length > 0 && (
+        {queryResults && queryResults.records && (
           <div className="query-results">
             <h5>📊 Query Results ({queryResults.records.length} records)</h5>
-            <div className="results-table-container">
-              <table className="results-table">
-                <thead>
-                  <tr>
-                    {queryResults.fields.map(field => (
-                      <th key={field}>{field}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {queryResults.records.map((record, index) => (
-                    <tr key={record.Id || index}>
-                      {queryResults.fields.map(field => (
-                        <td key={field}>
-                          {record[field] ? String(record[field]) : ''}
-                        </td>
-                      ))}
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
-        )}
-
-        {/* No Results Message */}
-        {queryResults && queryResults.records && queryResults.records.length === 0 && (
-          <div className="no-results">
-            <p>No records found matching your criteria.</p>
+            <EditableRecordsGrid
+              sobjectName={selectedSObject.name}
+              records={queryResults.records}
+              fields={queryResults.fields}
+              onSaved={() => executeSOQLQuery(queryCondition)}
+              emptyMessage="No records found matching your criteria."
+              onOpenRecord={setViewerRecordId}
+            />
           </div>
         )}
 
       </div>
+
+      {viewerRecordId && (
+        <RecordViewer recordId={viewerRecordId} onClose={() => setViewerRecordId(null)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import axios from 'axios';
+import './SObjectRelationshipGraph.css';
+import {
+  CUSTOM_ALL,
+  CUSTOM_NONE,
+  CUSTOM_UNMANAGED,
+  DEFAULT_GRAPH_FILTER,
+  buildGraph,
+  collectNamespaces,
+  layoutGraph,
+  toMermaid,
+  toDot
+} from './erdGraph';
+
+const LAYOUT = { nodeWidth: 220, nodeHeight: 44, columnGap: 140, rowGap: 12, padding: 16 };
+// Ask before "Expand next level" describes more objects than this in one go
+const EXPAND_CONFIRM_THRESHOLD = 10;
+const EXPORT_FORMATS = {
+  mermaid: { label: 'Mermaid', extension: 'mmd', render: toMermaid },
+  dot: { label: 'GraphViz DOT', extension: 'dot', render: toDot }
+};
+
+const truncate = (text, length) => (text.length > length ? text.slice(0, length - 1) + '…' : text);
+
+// Bezier between the facing sides of two nodes; nodes in the same column are joined on their right side
+const edgePath = (from, to) => {
+  const { nodeWidth, nodeHeight } = LAYOUT;
+  const fromY = from.y + nodeHeight / 2;
+  const toY = to.y + nodeHeight / 2;
+
+  if (from === to) {
+    const x = from.x + nodeWidth;
+    return `M ${x} ${fromY - 8} C ${x + 40} ${fromY - 30}, ${x + 40} ${fromY + 30}, ${x} ${fromY + 8}`;
+  }
+  if (from.x === to.x) {
+    const x = from.x + nodeWidth;
+    const bulge = Math.min(LAYOUT.columnGap / 2, 20 + Math.abs(toY - fromY) / 4);
+    return `M ${x} ${fromY} C ${x + bulge} ${fromY}, ${x + bulge} ${toY}, ${x} ${toY}`;
+  }
+
+  const [left, right, leftY, rightY] = from.x < to.x ? [from, to, fromY, toY] : [to, from, toY, fromY];
+  const startX = left.x + nodeWidth;
+  const endX = right.x;
+  const midX = (startX + endX) / 2;
+  return `M ${startX} ${leftY} C ${midX} ${leftY}, ${midX} ${rightY}, ${endX} ${rightY}`;
+};
+
+// Interactive ERD around the selected SObject: click an object to expand or collapse its
+// parent and child relationships one level at a time, then export what is on screen
+const SObjectRelationshipGraph = ({ selectedSObject, describe, allSObjects = [] }) => {
+  const [describes, setDescribes] = useState({});
+  const [expanded, setExpanded] = useState(new Set());
+  const [loadingObjects, setLoadingObjects] = useState([]);
+  const [filter, setFilter] = useState(DEFAULT_GRAPH_FILTER);
+  const [focusedObject, setFocusedObject] = useState(null);
+  const [exportFormat, setExportFormat] = useState('mermaid');
+  const [showExport, setShowExport] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  // Root the in-flight describes belong to, so a slow response cannot expand a newly selected graph
+  const rootRef = useRef(null);
+
+  const root = selectedSObject.name;
+
+  useEffect(() => {
+    rootRef.current = root;
+    setDescribes(describe && describe.name === root ? { [root]: describe } : {});
+    setExpanded(new Set([root]));
+    setFocusedObject(null);
+    setMessage('');
+    setError('');
+  }, [root, describe]);
+
+  const labels = useMemo(
+    () => Object.fromEntries(allSObjects.map(sobject => [sobject.name, sobject.label])),
+    [allSObjects]
+  );
+  const namespaces = useMemo(
+    () => collectNamespaces(allSObjects.map(sobject => sobject.name).concat(Object.keys(describes))),
+    [allSObjects, describes]
+  );
+
+  const graph = useMemo(
+    () => buildGraph({ root, describes, expanded, filter, labels }),
+    [root, describes, expanded, filter, labels]
+  );
+  const layout = useMemo(() => layoutGraph(graph, LAYOUT), [graph]);
+  const exportText = useMemo(() => EXPORT_FORMATS[exportFormat].render(graph), [graph, exportFormat]);
+
+  const expandObjects = async (names) => {
+    const graphRoot = rootRef.current;
+    const missing = names.filter(name => !describes[name]);
+    const loaded = {};
+
+    setError('');
+    setLoadingObjects(missing);
+    try {
+      // One at a time: expanding a busy level can mean dozens of describe calls
+      for (const name of missing) {
+        const response = await axios.get(`/api/sobjects/${encodeURIComponent(name)}/describe`, { withCredentials: true });
+        if (!response.data.success) {
+          throw new Error(response.data.message || `Failed to describe ${name}`);
+        }
+        loaded[name] = response.data.describe;
+      }
+    } catch (err) {
+      console.error('❌ Error describing SObject for relationship graph:', err);
+      setError('Failed to load relationships: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setLoadingObjects([]);
+    }
+
+    if (rootRef.current !== graphRoot) return;
+    setDescribes(prev => ({ ...prev, ...loaded }));
+    setExpanded(prev => new Set([...prev, ...names.filter(name => describes[name] || loaded[name])]));
+  };
+
+  const toggleObject = (name) => {
+    if (loadingObjects.length > 0) return;
+    if (expanded.has(name)) {
+      setExpanded(prev => {
+        const next = new Set(prev);
+        next.delete(name);
+        return next;
+      });
+      return;
+    }
+    expandObjects([name]);
+  };
+
+  const expandNextLevel = () => {
+    const collapsed = graph.nodes.filter(node => !node.expanded).map(node => node.name);
+    if (collapsed.length === 0) return;
+    if (collapsed.length > EXPAND_CONFIRM_THRESHOLD &&
+        !window.confirm(`Expand ${collapsed.length} objects? Each one not yet loaded needs a describe call.`)) {
+      return;
+    }
+    expandObjects(collapsed);
+  };
+
+  const collapseAll = () => {
+    setExpanded(new Set([root]));
+    setFocusedObject(null);
+  };
+
+  const copyExport = async () => {
+    try {
+      await navigator.clipboard.writeText(exportText);
+      setMessage(`✅ ${EXPORT_FORMATS[exportFormat].label} copied to clipboard`);
+    } catch (err) {
+      console.error('Failed to copy to clipboard:', err);
+      setError('Failed to copy to clipboard: ' + err.message);
+    }
+  };
+
+  const downloadExport = () => {
+    const blob = new Blob([exportText], { type: 'text/plain;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${root}_relationships.${EXPORT_FORMATS[exportFormat].extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const isFocusedEdge = (edge) => focusedObject && (edge.child === focusedObject || edge.parent === focusedObject);
+
+  return (
+    <div className="relationship-graph">
+      <div className="relationship-graph-toolbar">
+        <label className="relationship-graph-option">
+          <input
+            type="checkbox"
+            checked={filter.standard}
+            onChange={(e) => setFilter(prev => ({ ...prev, standard: e.target.checked }))}
+          />
+          Standard objects
+        </label>
+        <label className="relationship-graph-option">
+          Custom objects:
+          <select value={filter.custom} onChange={(e) => setFilter(prev => ({ ...prev, custom: e.target.value }))}>
+            <option value={CUSTOM_ALL}>All</option>
+            <option value={CUSTOM_UNMANAGED}>No namespace</option>
+            {namespaces.map(namespace => (
+              <option key={namespace} value={namespace}>{namespace}__</option>
+            ))}
+            <option value={CUSTOM_NONE}>None</option>
+          </select>
+        </label>
+        <label className="relationship-graph-option">
+          <input
+            type="checkbox"
+            checked={filter.hideSystem}
+            onChange={(e) => setFilter(prev => ({ ...prev, hideSystem: e.target.checked }))}
+          />
+          Hide history, share and feed objects
+        </label>
+        <div className="relationship-graph-actions">
+          <button className="relationship-graph-button" onClick={expandNextLevel} disabled={loadingObjects.length > 0}>
+            ➕ Expand next level
+          </button>
+          <button className="relationship-graph-button" onClick={collapseAll} disabled={loadingObjects.length > 0}>
+            ➖ Collapse all
+          </button>
+          <button className="relationship-graph-button" onClick={() => setShowExport(prev => !prev)}>
+            📤 Export
+          </button>
+        </div>
+      </div>
+
+      <div className="relationship-graph-summary">
+        {graph.nodes.length} objects, {graph.edges.length} relationships. Click an object to expand or collapse its
+        relationships; hover it to highlight them.
+        {loadingObjects.length > 0 && (
+          <span className="relationship-graph-loading"> ⏳ Describing {loadingObjects.join(', ')}…</span>
+        )}
+      </div>
+
+      {error && <div className="error-message">❌ {error}</div>}
+      {message && <div className="relationship-graph-message">{message}</div>}
+
+      {showExport && (
+        <div className="relationship-graph-export">
+          <div className="relationship-graph-export-header">
+            <select value={exportFormat} onChange={(e) => { setExportFormat(e.target.value); setMessage(''); }}>
+              {Object.entries(EXPORT_FORMATS).map(([value, format]) => (
+                <option key={value} value={value}>{format.label}</option>
+              ))}
+            </select>
+            <button className="relationship-graph-button" onClick={copyExport}>📋 Copy</button>
+            <button className="relationship-graph-button" onClick={downloadExport}>
+              ⬇️ Download .{EXPORT_FORMATS[exportFormat].extension}
+            </button>
+          </div>
+          <pre className="relationship-graph-export-preview">{exportText}</pre>
+        </div>
+      )}
+
+      <div className="relationship-graph-canvas">
+        <svg width={layout.width} height={layout.height}>
+          <defs>
+            <marker id="relationship-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" className="relationship-arrow-head" />
+            </marker>
+          </defs>
+
+          {graph.edges.map(edge => {
+            const from = layout.positions[edge.child];
+            const to = layout.positions[edge.parent];
+            const focused = isFocusedEdge(edge);
+            const path = edgePath(from, to);
+            return (
+              <g key={`${edge.child}.${edge.field}->${edge.parent}`}>
+                <path
+                  d={path}
+                  className={`relationship-edge ${edge.masterDetail ? 'master-detail' : 'lookup'} ${focused ? 'focused' : ''} ${focusedObject && !focused ? 'dimmed' : ''}`}
+                  markerEnd={from.x <= to.x ? 'url(#relationship-arrow)' : undefined}
+                  markerStart={from.x > to.x ? 'url(#relationship-arrow)' : undefined}
+                >
+                  <title>{`${edge.child}.${edge.field} → ${edge.parent}${edge.relationshipName ? ` (${edge.relationshipName})` : ''}${edge.masterDetail ? ' · master-detail' : ''}`}</title>
+                </path>
+                {focused && from !== to && (
+                  <text
+                    className="relationship-edge-label"
+                    x={(Math.min(from.x, to.x) + Math.max(from.x, to.x) + LAYOUT.nodeWidth) / 2}
+                    y={(from.y + to.y + LAYOUT.nodeHeight) / 2 - 4}
+                    textAnchor="middle"
+                  >
+                    {edge.field}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {graph.nodes.map(node => {
+            const { x, y } = layout.positions[node.name];
+            const loading = loadingObjects.includes(node.name);
+            return (
+              <g
+                key={node.name}
+                className={`relationship-node ${node.root ? 'root' : ''} ${node.custom ? 'custom' : ''} ${node.expanded ? 'expanded' : ''}`}
+                transform={`translate(${x}, ${y})`}
+                onClick={() => toggleObject(node.name)}
+                onMouseEnter={() => setFocusedObject(node.name)}
+                onMouseLeave={() => setFocusedObject(null)}
+              >
+                <title>{`${node.label} (${node.name})${node.namespace ? ` · ${node.namespace}__` : ''}`}</title>
+                <rect width={LAYOUT.nodeWidth} height={LAYOUT.nodeHeight} rx="6" />
+                <text x="10" y="18" className="relationship-node-label">{truncate(node.label, 26)}</text>
+                <text x="10" y="34" className="relationship-node-name">{truncate(node.name, 32)}</text>
+                <text x={LAYOUT.nodeWidth - 10} y="27" textAnchor="end" className="relationship-node-toggle">
+                  {loading ? '⏳' : node.expanded ? '−' : '+'}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="relationship-graph-legend">
+        <span><span className="legend-swatch root" /> Selected object</span>
+        <span><span className="legend-swatch standard" /> Standard</span>
+        <span><span className="legend-swatch custom" /> Custom</span>
+        <span><span className="legend-line master-detail" /> Master-detail / cascade delete</span>
+        <span><span className="legend-line lookup" /> Lookup</span>
+        <span>Arrows point from the child's reference field to the parent</span>
+      </div>
+    </div>
+  );
+};
+
+export default SObjectRelationshipGraph;
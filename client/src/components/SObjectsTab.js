@@ -4,6 +4,28 @@ import './SObjectsTab.css';
 import SObjectDetailsTab from './SObjectDetailsTab';
 import SObjectQueryTab from './SObjectQueryTab';
 import FreeSOQLEditorTab from './FreeSOQLEditorTab';
+import SObjectDataLoaderTab from './SObjectDataLoaderTab';
+import SObjectRelationshipGraph from './SObjectRelationshipGraph';
+import SOSLSearch from './SOSLSearch';
+import SchemaSnapshots from './SchemaSnapshots';
+import FieldCacheBuildPanel from './FieldCacheBuildPanel';
+
+// Field types offered as filter chips in field search mode
+const FIELD_TYPE_FILTERS = ['reference', 'picklist', 'multipicklist', 'string', 'textarea', 'boolean', 'double', 'currency', 'date', 'datetime'];
+
+const EMPTY_FIELD_FILTERS = { types: [], externalId: false, custom: '', namespace: '', referenceTo: '', picklistValue: '' };
+
+// Query parameters of /api/sobjects/field-search/search for the active filters
+const toFieldFilterParams = (filters) => {
+  const params = {};
+  if (filters.types.length > 0) params.type = filters.types.join(',');
+  if (filters.externalId) params.externalId = 'true';
+  if (filters.custom) params.custom = filters.custom;
+  ['namespace', 'referenceTo', 'picklistValue'].forEach(name => {
+    if (filters[name].trim()) params[name] = filters[name].trim();
+  });
+  return params;
+};
 
 const SObjectsTab = ({
   // State props
@@ -19,22 +41,27 @@ const SObjectsTab = ({
   searchSObjects,
   selectSObject,
   toggleShowAllSObjects,
-  clearSObjectsState
+  clearSObjectsState,
+  // Logged-in user, for per-org query history and saved queries
+  user,
+  // Shared socket, for field cache build progress
+  socketRef
 }) => {
   const [searchInput, setSearchInput] = useState(searchQuery || '');
   const [dropdownSelection, setDropdownSelection] = useState('');
   
   // Sub-tab state
-  const [activeSubTab, setActiveSubTab] = useState('details'); // 'details', 'query', or 'free-soql'
+  const [activeSubTab, setActiveSubTab] = useState('details'); // 'details', 'relationships', 'query', 'free-soql' or 'data-loader'
   
   // Field search state
-  const [searchMode, setSearchMode] = useState('object'); // 'object' or 'field'
+  const [searchMode, setSearchMode] = useState('object'); // 'object', 'field', 'records' or 'schema'
   const [fieldSearchInput, setFieldSearchInput] = useState('');
   const [fieldSearchResults, setFieldSearchResults] = useState([]);
   const [fieldSearchLoading, setFieldSearchLoading] = useState(false);
   const [fieldSearchError, setFieldSearchError] = useState(null);
+  const [fieldFilters, setFieldFilters] = useState(EMPTY_FIELD_FILTERS);
+  const [fieldSearchMeta, setFieldSearchMeta] = useState({ totalFieldMatches: 0, outdatedCache: false });
   const [cacheStatus, setCacheStatus] = useState({ cached: false, checking: true });
-  const [buildingCache, setBuildingCache] = useState(false)
 
   // Filter out objects with unwanted suffixes
   // eslint-disable-next-line no-unused-vars
@@ -103,28 +130,10 @@ const SObjectsTab = ({
     }
   };
 
-  const buildCache = async () => {
-    setBuildingCache(true);
-    setFieldSearchError(null);
-    try {
-      const response = await axios.post('/api/sobjects/field-search/build-cache');
-      setCacheStatus({
-        cached: true,
-        sobjectCount: response.data.sobjectCount,
-        cachedAt: response.data.cachedAt,
-        checking: false
-      });
-      alert(`Cache built successfully! ${response.data.sobjectCount} SObjects cached.`);
-    } catch (err) {
-      console.error('Error building cache:', err);
-      setFieldSearchError('Failed to build cache: ' + (err.response?.data?.message || err.message));
-    } finally {
-      setBuildingCache(false);
-    }
-  };
-
-  const searchByFieldName = async (query) => {
-    if (!query || query.trim().length < 2) {
+  const searchByFieldName = async (query, filters) => {
+    const filterParams = toFieldFilterParams(filters);
+    // Filters alone are enough to search; a query needs at least 2 characters
+    if ((!query || query.trim().length < 2) && Object.keys(filterParams).length === 0) {
       setFieldSearchResults([]);
       setFieldSearchError(null);
       return;
@@ -135,7 +144,7 @@ const SObjectsTab = ({
     
     try {
       const response = await axios.get('/api/sobjects/field-search/search', {
-        params: { query: query.trim() }
+        params: { ...(query.trim().length >= 2 ? { query: query.trim() } : {}), ...filterParams }
       });
       
       if (response.data.cacheRequired) {
@@ -143,6 +152,10 @@ const SObjectsTab = ({
         setFieldSearchResults([]);
       } else {
         setFieldSearchResults(response.data.sobjects || []);
+        setFieldSearchMeta({
+          totalFieldMatches: response.data.totalFieldMatches || 0,
+          outdatedCache: !!response.data.outdatedCache
+        });
       }
     } catch (err) {
       console.error('Error searching by field:', err);
@@ -164,11 +177,24 @@ const SObjectsTab = ({
   useEffect(() => {
     if (searchMode === 'field') {
       const timeoutId = setTimeout(() => {
-        searchByFieldName(fieldSearchInput);
+        searchByFieldName(fieldSearchInput, fieldFilters);
       }, 500);
       return () => clearTimeout(timeoutId);
     }
-  }, [fieldSearchInput, searchMode]);
+  }, [fieldSearchInput, fieldFilters, searchMode]);
+
+  const updateFieldFilter = (name, value) => {
+    setFieldFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleFieldTypeFilter = (type) => {
+    setFieldFilters(prev => ({
+      ...prev,
+      types: prev.types.includes(type) ? prev.types.filter(t => t !== type) : [...prev.types, type]
+    }));
+  };
+
+  const hasFieldFilters = Object.keys(toFieldFilterParams(fieldFilters)).length > 0;
 
   const handleSearchModeChange = (mode) => {
     setSearchMode(mode);
@@ -230,6 +256,42 @@ const SObjectsTab = ({
                 >
                   📝 By Field Name
                 </button>
+                <button
+                  className={`mode-tab ${searchMode === 'records' ? 'active' : ''}`}
+                  onClick={() => handleSearchModeChange('records')}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    background: searchMode === 'records' ? '#374151' : 'transparent',
+                    color: searchMode === 'records' ? '#fff' : '#9ca3af',
+                    border: 'none',
+                    borderBottom: searchMode === 'records' ? '2px solid #3b82f6' : '2px solid transparent',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    transition: 'all 0.2s'
+                  }}
+                >
+                  🔎 Records
+                </button>
+                <button
+                  className={`mode-tab ${searchMode === 'schema' ? 'active' : ''}`}
+                  onClick={() => handleSearchModeChange('schema')}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    background: searchMode === 'schema' ? '#374151' : 'transparent',
+                    color: searchMode === 'schema' ? '#fff' : '#9ca3af',
+                    border: 'none',
+                    borderBottom: searchMode === 'schema' ? '2px solid #3b82f6' : '2px solid transparent',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    transition: 'all 0.2s'
+                  }}
+                >
+                  🧬 Schema
+                </button>
               </div>
               
               {/* Object Search Mode */}
@@ -387,25 +449,9 @@ const SObjectsTab = ({
                         ⚠️ Cache not built yet
                       </p>
                       <p style={{ color: '#9ca3af', fontSize: '13px', marginBottom: '15px' }}>
-                        To search by field name, we need to build a cache of all field metadata first. This is a one-time operation that takes 1-2 minutes.
+                        To search by field name, we need to build a cache of all field metadata first. The build runs in the background (1-2 minutes) and can be cancelled and resumed.
                       </p>
-                      <button
-                        onClick={buildCache}
-                        disabled={buildingCache}
-                        style={{
-                          width: '100%',
-                          padding: '10px',
-                          background: buildingCache ? '#6b7280' : '#3b82f6',
-                          color: 'white',
-                          border: 'none',
-                          borderRadius: '6px',
-                          cursor: buildingCache ? 'not-allowed' : 'pointer',
-                          fontSize: '14px',
-                          fontWeight: '500'
-                        }}
-                      >
-                        {buildingCache ? '🔄 Building Cache...' : '🔧 Build Cache Now'}
-                      </button>
+                      <FieldCacheBuildPanel socketRef={socketRef} onComplete={checkCacheStatus} />
                     </div>
                   ) : (
                     <>
@@ -424,12 +470,18 @@ const SObjectsTab = ({
                             Updated: {new Date(cacheStatus.cachedAt).toLocaleString()}
                           </div>
                         )}
+                        <details style={{ marginTop: '8px' }}>
+                          <summary style={{ cursor: 'pointer', fontSize: '12px' }}>Refresh cache</summary>
+                          <div style={{ marginTop: '8px' }}>
+                            <FieldCacheBuildPanel socketRef={socketRef} onComplete={checkCacheStatus} />
+                          </div>
+                        </details>
                       </div>
                       
                       <div className="search-input-container">
                         <input
                           type="text"
-                          placeholder="Search by field API name or label..."
+                          placeholder="Search by field API name or label (typos are fine)..."
                           value={fieldSearchInput}
                           onChange={(e) => setFieldSearchInput(e.target.value)}
                           className="sobject-search-input"
@@ -450,6 +502,84 @@ const SObjectsTab = ({
                         )}
                       </div>
 
+                      {/* Field Search Filters */}
+                      <div className="field-search-filters">
+                        <div className="field-search-chips">
+                          {FIELD_TYPE_FILTERS.map(type => (
+                            <button
+                              key={type}
+                              type="button"
+                              className={`field-search-chip ${fieldFilters.types.includes(type) ? 'active' : ''}`}
+                              onClick={() => toggleFieldTypeFilter(type)}
+                            >
+                              {type}
+                            </button>
+                          ))}
+                        </div>
+                        <div className="field-search-chips">
+                          <button
+                            type="button"
+                            className={`field-search-chip ${fieldFilters.externalId ? 'active' : ''}`}
+                            onClick={() => updateFieldFilter('externalId', !fieldFilters.externalId)}
+                          >
+                            🔑 External ID
+                          </button>
+                          <button
+                            type="button"
+                            className={`field-search-chip ${fieldFilters.custom === 'true' ? 'active' : ''}`}
+                            onClick={() => updateFieldFilter('custom', fieldFilters.custom === 'true' ? '' : 'true')}
+                          >
+                            Custom
+                          </button>
+                          <button
+                            type="button"
+                            className={`field-search-chip ${fieldFilters.custom === 'false' ? 'active' : ''}`}
+                            onClick={() => updateFieldFilter('custom', fieldFilters.custom === 'false' ? '' : 'false')}
+                          >
+                            Standard
+                          </button>
+                          {hasFieldFilters && (
+                            <button
+                              type="button"
+                              className="field-search-chip clear"
+                              onClick={() => setFieldFilters(EMPTY_FIELD_FILTERS)}
+                            >
+                              ✕ Clear filters
+                            </button>
+                          )}
+                        </div>
+                        <div className="field-search-filter-inputs">
+                          <input
+                            type="text"
+                            placeholder="Namespace (e.g. vlocity_cmt)"
+                            value={fieldFilters.namespace}
+                            onChange={(e) => updateFieldFilter('namespace', e.target.value)}
+                            className="field-search-filter-input"
+                          />
+                          <input
+                            type="text"
+                            placeholder="References (e.g. Account)"
+                            value={fieldFilters.referenceTo}
+                            onChange={(e) => updateFieldFilter('referenceTo', e.target.value)}
+                            className="field-search-filter-input"
+                          />
+                          <input
+                            type="text"
+                            placeholder="Picklist value contains..."
+                            value={fieldFilters.picklistValue}
+                            onChange={(e) => updateFieldFilter('picklistValue', e.target.value)}
+                            className="field-search-filter-input"
+                          />
+                        </div>
+                      </div>
+
+                      {fieldSearchMeta.outdatedCache && (
+                        <div className="field-search-outdated">
+                          ⚠️ The cache was built before External ID, reference and picklist details were stored.
+                          Run a full rebuild under "Refresh cache" to use those filters.
+                        </div>
+                      )}
+
                       {/* Field Search Results */}
                       <div className="search-results" style={{ marginTop: '15px' }}>
                         {fieldSearchLoading ? (
@@ -470,7 +600,7 @@ const SObjectsTab = ({
                         ) : fieldSearchResults.length > 0 ? (
                           <React.Fragment>
                             <div className="results-header" style={{ color: '#e5e7eb' }}>
-                              <span>Found {fieldSearchResults.length} SObjects with matching fields</span>
+                              <span>Found {fieldSearchResults.length} SObjects with {fieldSearchMeta.totalFieldMatches} matching fields</span>
                             </div>
                             <div className="results-list">
                               {fieldSearchResults.map((sobject) => (
@@ -517,6 +647,9 @@ const SObjectsTab = ({
                                     {sobject.matchingFields.slice(0, 5).map((field, idx) => (
                                       <span
                                         key={idx}
+                                        title={`Matched on ${field.matchedOn} (score ${field.score})` +
+                                          (field.matchingPicklistValues?.length ? `\nValues: ${field.matchingPicklistValues.join(', ')}` : '') +
+                                          (field.referenceTo?.length ? `\nReferences: ${field.referenceTo.join(', ')}` : '')}
                                         style={{
                                           fontSize: '11px',
                                           padding: '2px 6px',
@@ -526,7 +659,7 @@ const SObjectsTab = ({
                                           color: '#93c5fd'
                                         }}
                                       >
-                                        {field.name} ({field.type})
+                                        {field.matchedOn === 'fuzzy' ? '≈ ' : ''}{field.name} ({field.type})
                                       </span>
                                     ))}
                                     {sobject.matchingFields.length > 5 && (
@@ -543,13 +676,13 @@ const SObjectsTab = ({
                               ))}
                             </div>
                           </React.Fragment>
-                        ) : fieldSearchInput.trim().length >= 2 ? (
+                        ) : fieldSearchInput.trim().length >= 2 || hasFieldFilters ? (
                           <div className="no-results-message" style={{ color: '#9ca3af' }}>
                             <p>No SObjects found with matching fields.</p>
                           </div>
                         ) : (
                           <div className="no-results-message" style={{ color: '#9ca3af' }}>
-                            <p>Type at least 2 characters to search for fields...</p>
+                            <p>Type at least 2 characters or pick a filter to search for fields...</p>
                           </div>
                         )}
                       </div>
@@ -557,12 +690,40 @@ const SObjectsTab = ({
                   )}
                 </>
               )}
+
+              {/* Record Search Mode */}
+              {searchMode === 'records' && (
+                <div className="help-text" style={{ color: '#9ca3af', fontSize: '13px' }}>
+                  <p>🔎 Search record data (not metadata) across objects with SOSL.</p>
+                  <ul>
+                    <li>Pick the objects, fields and limits in the panel on the right</li>
+                    <li>Use "Email fields" to find a customer by email address</li>
+                    <li>Click any ID in the results to open the record viewer</li>
+                  </ul>
+                </div>
+              )}
+
+              {/* Schema Snapshot Mode */}
+              {searchMode === 'schema' && (
+                <div className="help-text" style={{ color: '#9ca3af', fontSize: '13px' }}>
+                  <p>🧬 Track schema drift between orgs and over time.</p>
+                  <ul>
+                    <li>Take a snapshot in each org you want to compare (log in to the sandbox, then production)</li>
+                    <li>Snapshots of every org are listed, so any two can be compared</li>
+                    <li>Download the diff as Markdown for the deployment checklist</li>
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
 
-          {/* Right Panel - Details with Sub-tabs */}
+          {/* Right Panel - Record search, schema snapshots, or details with sub-tabs */}
           <div className="sobjects-right-panel-expanded">
-            {!selectedSObject ? (
+            {searchMode === 'records' ? (
+              <SOSLSearch user={user} allSObjects={allSObjects} />
+            ) : searchMode === 'schema' ? (
+              <SchemaSnapshots user={user} />
+            ) : !selectedSObject ? (
               <div className="no-selection-placeholder">
                 <div className="placeholder-content">
                   <h3>🗃️ SObject Details</h3>
@@ -616,6 +777,12 @@ const SObjectsTab = ({
                   >
                     📊 Details
                   </button>
+                  <button 
+                    className={`subtab-button ${activeSubTab === 'relationships' ? 'active' : ''}`}
+                    onClick={() => setActiveSubTab('relationships')}
+                  >
+                    🕸️ Relationships
+                  </button>
                   <button 
                     className={`subtab-button ${activeSubTab === 'query' ? 'active' : ''}`}
                     onClick={() => setActiveSubTab('query')}
@@ -628,6 +795,12 @@ const SObjectsTab = ({
                   >
                     ✏️ Free SOQL Editor
                   </button>
+                  <button 
+                    className={`subtab-button ${activeSubTab === 'data-loader' ? 'active' : ''}`}
+                    onClick={() => setActiveSubTab('data-loader')}
+                  >
+                    📥 Data Loader
+                  </button>
                 </div>
 
                 {/* Sub-tab Content */}
@@ -642,6 +815,15 @@ const SObjectsTab = ({
                     />
                   )}
 
+                  {/* Relationship Graph Tab Content */}
+                  {activeSubTab === 'relationships' && (
+                    <SObjectRelationshipGraph
+                      selectedSObject={selectedSObject}
+                      describe={describe}
+                      allSObjects={allSObjects}
+                    />
+                  )}
+
                   {/* SOQL Query Tab Content */}
                   {activeSubTab === 'query' && (
                     <SObjectQueryTab
@@ -651,7 +833,18 @@ const SObjectsTab = ({
 
                   {/* Free SOQL Editor Tab Content */}
                   {activeSubTab === 'free-soql' && (
-                    <FreeSOQLEditorTab />
+                    <FreeSOQLEditorTab
+                      user={user}
+                      allSObjects={allSObjects}
+                    />
+                  )}
+
+                  {/* Data Loader Tab Content */}
+                  {activeSubTab === 'data-loader' && (
+                    <SObjectDataLoaderTab
+                      selectedSObject={selectedSObject}
+                      describe={describe}
+                    />
                   )}
                 </div>
               </div>
@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './SchemaSnapshots.css';
+
+const SUMMARY_LABELS = [
+  ['addedObjects', 'Objects added'],
+  ['removedObjects', 'Objects removed'],
+  ['changedObjects', 'Objects changed'],
+  ['addedFields', 'Fields added'],
+  ['removedFields', 'Fields removed'],
+  ['changedFields', 'Fields changed'],
+  ['picklistValueChanges', 'Picklist value changes']
+];
+
+const defaultSnapshotName = (user) => `${user?.orgName || user?.organizationId || 'Org'} ${new Date().toISOString().slice(0, 10)}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const formatDiffValue = (value) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ') || '—';
+  }
+  return String(value);
+};
+
+const snapshotLabel = (snapshot) => `${snapshot.name} — ${snapshot.orgName || snapshot.instanceUrl || snapshot.orgId} (${formatDate(snapshot.createdAt)})`;
+
+// Named schema snapshots of the connected orgs and the drift between any two of them
+const SchemaSnapshots = ({ user }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState(() => defaultSnapshotName(user));
+  const [taking, setTaking] = useState(false);
+  const [baseId, setBaseId] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffing, setDiffing] = useState(false);
+  const [objectFilter, setObjectFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadSnapshots = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/sobjects/schema-snapshots', { withCredentials: true });
+      if (response.data.success) {
+        setSnapshots(response.data.snapshots);
+      }
+    } catch (err) {
+      console.error('Error loading schema snapshots:', err);
+      setError('Failed to load schema snapshots: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  useEffect(() => {
+    setSnapshotName(defaultSnapshotName(user));
+  }, [user]);
+
+  // Compare the two newest snapshots until the user picks others
+  useEffect(() => {
+    if (snapshots.length < 2) return;
+    setBaseId(prev => (snapshots.some(snapshot => snapshot.id === prev) ? prev : snapshots[1].id));
+    setTargetId(prev => (snapshots.some(snapshot => snapshot.id === prev) ? prev : snapshots[0].id));
+  }, [snapshots]);
+
+  const takeSnapshot = async (e) => {
+    e.preventDefault();
+    if (!snapshotName.trim()) {
+      setError('Give the snapshot a name');
+      return;
+    }
+
+    setTaking(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await axios.post('/api/sobjects/schema-snapshots', { name: snapshotName.trim() }, { withCredentials: true });
+      if (response.data.success) {
+        const { snapshot } = response.data;
+        setMessage(`✅ Saved '${snapshot.name}': ${snapshot.sobjectCount} objects, ${snapshot.fieldCount} fields` +
+          (snapshot.errorCount > 0 ? ` (${snapshot.errorCount} objects could not be described)` : ''));
+        await loadSnapshots();
+      } else {
+        setError(response.data.message || 'Failed to take snapshot');
+      }
+    } catch (err) {
+      console.error('Error taking schema snapshot:', err);
+      setError('Failed to take snapshot: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setTaking(false);
+    }
+  };
+
+  const deleteSnapshot = async (snapshot) => {
+    if (!window.confirm(`Delete schema snapshot '${snapshot.name}'?`)) return;
+
+    setError('');
+    try {
+      await axios.delete(`/api/sobjects/schema-snapshots/${snapshot.id}`, { withCredentials: true });
+      if (diff && (diff.base.id === snapshot.id || diff.target.id === snapshot.id)) {
+        setDiff(null);
+      }
+      await loadSnapshots();
+    } catch (err) {
+      console.error('Error deleting schema snapshot:', err);
+      setError('Failed to delete snapshot: ' + (err.response?.data?.message || err.message));
+    }
+  };
+
+  const runDiff = async () => {
+    if (!baseId || !targetId || baseId === targetId) {
+      setError('Pick two different snapshots to compare');
+      return;
+    }
+
+    setDiffing(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/sobjects/schema-snapshots/diff', {
+        params: { base: baseId, target: targetId },
+        withCredentials: true
+      });
+      if (response.data.success) {
+        setDiff(response.data.diff);
+        setObjectFilter('');
+      } else {
+        setError(response.data.message || 'Failed to compare snapshots');
+      }
+    } catch (err) {
+      console.error('Error diffing schema snapshots:', err);
+      setError('Failed to compare snapshots: ' + (err.response?.data?.message || err.message));
+    } finally {
+      setDiffing(false);
+    }
+  };
+
+  const downloadDiffJson = () => {
+    const blob = new Blob([JSON.stringify(diff, null, 2)], { type: 'application/json;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'schema-diff.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadDiffMarkdown = () => {
+    const query = new URLSearchParams({ base: diff.base.id, target: diff.target.id, format: 'markdown' }).toString();
+    window.open(`/api/sobjects/schema-snapshots/diff?${query}`, '_blank');
+  };
+
+  const filterText = objectFilter.trim().toLowerCase();
+  const matchesFilter = (object) => !filterText ||
+    object.name.toLowerCase().includes(filterText) || (object.label || '').toLowerCase().includes(filterText);
+
+  return (
+    <div className="schema-snapshots">
+      <h3>🧬 Schema Snapshots</h3>
+      <p className="schema-snapshots-help">
+        Save the objects, fields, types, lengths and picklist values of the connected org, then compare any two
+        snapshots — sandbox vs production, or today vs last week — to catch schema drift before a deployment.
+      </p>
+
+      <form className="schema-snapshots-form" onSubmit={takeSnapshot}>
+        <input
+          type="text"
+          className="schema-snapshots-input"
+          value={snapshotName}
+          maxLength={80}
+          onChange={(e) => setSnapshotName(e.target.value)}
+          placeholder="Snapshot name"
+        />
+        <button type="submit" className="schema-snapshots-button primary" disabled={taking}>
+          {taking ? '⏳ Describing all objects...' : '📸 Take snapshot'}
+        </button>
+      </form>
+      {taking && (
+        <p className="schema-snapshots-help">Every queryable object is described; this can take a few minutes on large orgs.</p>
+      )}
+
+      {error && <div className="error-message">❌ {error}</div>}
+      {message && <div className="schema-snapshots-message">{message}</div>}
+
+      <div className="schema-snapshots-section">
+        <h5>📚 Saved snapshots ({snapshots.length})</h5>
+        {loading && snapshots.length === 0 && <p className="schema-snapshots-help">⏳ Loading snapshots...</p>}
+        {!loading && snapshots.length === 0 && <p className="schema-snapshots-help">No snapshots yet.</p>}
+        {snapshots.length > 0 && (
+          <div className="results-table-container">
+            <table className="results-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Org</th>
+                  <th>Taken</th>
+                  <th>Objects</th>
+                  <th>Fields</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(snapshot => (
+                  <tr key={snapshot.id}>
+                    <td><strong>{snapshot.name}</strong></td>
+                    <td>
+                      {snapshot.orgName || snapshot.instanceUrl || snapshot.orgId}
+                      {snapshot.currentOrg && <span className="schema-snapshots-badge">current org</span>}
+                    </td>
+                    <td>{formatDate(snapshot.createdAt)}{snapshot.createdBy ? ` by ${snapshot.createdBy}` : ''}</td>
+                    <td>{snapshot.sobjectCount}</td>
+                    <td>{snapshot.fieldCount}</td>
+                    <td className="schema-snapshots-actions">
+                      <button
+                        type="button"
+                        className="schema-snapshots-button"
+                        onClick={() => window.open(`/api/sobjects/schema-snapshots/${snapshot.id}`, '_blank')}
+                        title="Download the full snapshot as JSON"
+                      >
+                        📥 JSON
+                      </button>
+                      {snapshot.canDelete && (
+                        <button
+                          type="button"
+                          className="schema-snapshots-button"
+                          onClick={() => deleteSnapshot(snapshot)}
+                          title="Delete snapshot"
+                        >
+                          🗑️
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {snapshots.length >= 2 && (
+        <div className="schema-snapshots-section">
+          <h5>🔀 Compare</h5>
+          <div className="schema-snapshots-compare">
+            <label>
+              Base
+              <select value={baseId} onChange={(e) => setBaseId(e.target.value)} className="schema-snapshots-select">
+                {snapshots.map(snapshot => <option key={snapshot.id} value={snapshot.id}>{snapshotLabel(snapshot)}</option>)}
+              </select>
+            </label>
+            <label>
+              Target
+              <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className="schema-snapshots-select">
+                {snapshots.map(snapshot => <option key={snapshot.id} value={snapshot.id}>{snapshotLabel(snapshot)}</option>)}
+              </select>
+            </label>
+            <button type="button" className="schema-snapshots-button primary" onClick={runDiff} disabled={diffing}>
+              {diffing ? '⏳ Comparing...' : '🔀 Compare'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {diff && (
+        <div className="schema-snapshots-section">
+          <div className="schema-snapshots-diff-header">
+            <h5>📝 {diff.base.name} → {diff.target.name}</h5>
+            <div className="schema-snapshots-actions">
+              <button type="button" className="schema-snapshots-button" onClick={downloadDiffJson}>📥 JSON</button>
+              <button type="button" className="schema-snapshots-button" onClick={downloadDiffMarkdown}>📥 Markdown</button>
+            </div>
+          </div>
+
+          {diff.identical ? (
+            <p className="schema-snapshots-message">✅ No differences.</p>
+          ) : (
+            <>
+              <div className="schema-snapshots-summary">
+                {SUMMARY_LABELS.map(([key, label]) => (
+                  <div key={key} className={`schema-snapshots-stat ${diff.summary[key] > 0 ? 'has-changes' : ''}`}>
+                    <strong>{diff.summary[key]}</strong>
+                    <span>{label}</span>
+                  </div>
+                ))}
+              </div>
+
+              <input
+                type="text"
+                className="schema-snapshots-input"
+                placeholder="Filter objects..."
+                value={objectFilter}
+                onChange={(e) => setObjectFilter(e.target.value)}
+              />
+
+              {[['➕ Added objects', diff.addedObjects], ['➖ Removed objects', diff.removedObjects]].map(([title, objects]) => (
+                objects.filter(matchesFilter).length > 0 && (
+                  <div key={title}>
+                    <h6>{title}</h6>
+                    <ul className="schema-snapshots-list">
+                      {objects.filter(matchesFilter).map(object => (
+                        <li key={object.name}><code>{object.name}</code> {object.label} ({object.fieldCount} fields)</li>
+                      ))}
+                    </ul>
+                  </div>
+                )
+              ))}
+
+              {diff.changedObjects.filter(matchesFilter).map(object => (
+                <details key={object.name} className="schema-snapshots-object" open={diff.changedObjects.length <= 5}>
+                  <summary>
+                    <strong>{object.name}</strong> {object.label}
+                    <span className="schema-snapshots-counts">
+                      +{object.addedFields.length} −{object.removedFields.length} ~{object.changedFields.length}
+                    </span>
+                  </summary>
+                  {object.labelChange && (
+                    <p>Label: {formatDiffValue(object.labelChange.from)} → {formatDiffValue(object.labelChange.to)}</p>
+                  )}
+                  {object.addedFields.length + object.removedFields.length > 0 && (
+                    <ul className="schema-snapshots-list">
+                      {object.addedFields.map(field => (
+                        <li key={field.name} className="added">➕ <code>{field.name}</code> {field.label} ({field.type})</li>
+                      ))}
+                      {object.removedFields.map(field => (
+                        <li key={field.name} className="removed">➖ <code>{field.name}</code> {field.label} ({field.type})</li>
+                      ))}
+                    </ul>
+                  )}
+                  {object.changedFields.length > 0 && (
+                    <div className="results-table-container">
+                      <table className="results-table">
+                        <thead>
+                          <tr>
+                            <th>Field</th>
+                            <th>Change</th>
+                            <th>{diff.base.name}</th>
+                            <th>{diff.target.name}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {object.changedFields.flatMap(field => [
+                            ...field.changes.map(change => [change.property, formatDiffValue(change.from), formatDiffValue(change.to)]),
+                            ...field.picklist.added.map(entry => ['picklist value added', '—', entry.value]),
+                            ...field.picklist.removed.map(entry => ['picklist value removed', entry.value, '—']),
+                            ...field.picklist.changed.flatMap(entry => entry.changes.map(change => [
+                              `picklist value ${change.property} (${entry.value})`, formatDiffValue(change.from), formatDiffValue(change.to)
+                            ]))
+                          ].map(([change, from, to], index) => (
+                            <tr key={`${field.name}-${index}`}>
+                              <td><code>{field.name}</code></td>
+                              <td>{change}</td>
+                              <td className="field-value">{from}</td>
+                              <td className="field-value">{to}</td>
+                            </tr>
+                          )))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </details>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaSnapshots;
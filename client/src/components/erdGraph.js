@@ -0,0 +1,233 @@
+// Relationship graph model for the SObject relationship explorer: turns describe payloads from
+// /api/sobjects/:name/describe into nodes and edges, lays them out in columns (parents to the left,
+// children to the right) and exports the graph as a Mermaid erDiagram or GraphViz DOT digraph.
+
+// Objects that clutter most graphs without explaining the data model (same list as the SObject search)
+const SYSTEM_OBJECT_SUFFIXES = ['history', 'changeevent', 'feed', 'share', 'sharingrule'];
+
+// Custom object filter values; namespaces never start with an underscore so these cannot collide
+export const CUSTOM_ALL = '__all';
+export const CUSTOM_NONE = '__none';
+export const CUSTOM_UNMANAGED = '__unmanaged';
+
+export const DEFAULT_GRAPH_FILTER = { standard: true, custom: CUSTOM_ALL, hideSystem: true };
+
+/**
+ * Classify an API name: Order is standard, Invoice__c is custom without a namespace,
+ * vlocity_cmt__OrderItemAttribute__c is custom in the vlocity_cmt namespace.
+ */
+export const getObjectKind = (name) => {
+  const parts = name.split('__');
+  if (parts.length === 1) {
+    return { custom: false, namespace: null };
+  }
+  return { custom: true, namespace: parts.length > 2 ? parts[0] : null };
+};
+
+export const isSystemObject = (name) => {
+  const lower = name.toLowerCase();
+  return SYSTEM_OBJECT_SUFFIXES.some(suffix => lower.endsWith(suffix));
+};
+
+export const matchesObjectFilter = (name, filter) => {
+  if (filter.hideSystem && isSystemObject(name)) return false;
+
+  const { custom, namespace } = getObjectKind(name);
+  if (!custom) return filter.standard;
+  if (filter.custom === CUSTOM_ALL) return true;
+  if (filter.custom === CUSTOM_NONE) return false;
+  if (filter.custom === CUSTOM_UNMANAGED) return namespace === null;
+  return namespace === filter.custom;
+};
+
+/**
+ * Sorted, distinct namespaces of the given API names
+ */
+export const collectNamespaces = (names) => (
+  [...new Set(names.map(name => getObjectKind(name).namespace).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+);
+
+/**
+ * Every relationship a describe knows about, as { child, parent, field, relationshipName, masterDetail, describedOn }.
+ * Reference fields give the parents (one entry per referenceTo target of a polymorphic lookup),
+ * childRelationships give the children.
+ */
+export const getRelationships = (describe) => {
+  const relationships = [];
+
+  (describe.fields || []).forEach(field => {
+    if (field.type !== 'reference' || !field.referenceTo) return;
+    field.referenceTo.forEach(parent => relationships.push({
+      child: describe.name,
+      parent,
+      field: field.name,
+      relationshipName: field.relationshipName,
+      masterDetail: field.relationshipOrder !== null && field.relationshipOrder !== undefined,
+      describedOn: describe.name
+    }));
+  });
+
+  (describe.childRelationships || []).forEach(rel => {
+    if (rel.deprecatedAndHidden || !rel.field) return;
+    relationships.push({
+      child: rel.childSObject,
+      parent: describe.name,
+      field: rel.field,
+      relationshipName: rel.relationshipName,
+      // Best guess until the child is described: master-detail children always cascade delete
+      masterDetail: Boolean(rel.cascadeDelete),
+      describedOn: describe.name
+    });
+  });
+
+  return relationships;
+};
+
+/**
+ * Walk the relationships of every expanded object reachable from the root. Each newly reached
+ * object is placed one level left (parent) or right (child) of the object it was reached from;
+ * objects rejected by the filter are left out together with their edges.
+ */
+export const buildGraph = ({ root, describes, expanded, filter, labels = {} }) => {
+  const levels = new Map([[root, 0]]);
+  const edges = new Map();
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (!expanded.has(name) || !describes[name]) continue;
+
+    getRelationships(describes[name]).forEach(rel => {
+      const neighbour = rel.child === name ? rel.parent : rel.child;
+
+      if (!levels.has(neighbour)) {
+        if (!matchesObjectFilter(neighbour, filter)) return;
+        levels.set(neighbour, levels.get(name) + (neighbour === rel.parent ? -1 : 1));
+        queue.push(neighbour);
+      }
+
+      // The same relationship is seen from both ends; the child's reference field is authoritative
+      const key = `${rel.child}.${rel.field}->${rel.parent}`;
+      const existing = edges.get(key);
+      if (!existing || rel.describedOn === rel.child) {
+        edges.set(key, rel);
+      }
+    });
+  }
+
+  const nodes = [...levels.entries()].map(([name, level]) => ({
+    name,
+    level,
+    label: describes[name]?.label || labels[name] || name,
+    ...getObjectKind(name),
+    root: name === root,
+    expanded: expanded.has(name),
+    described: Boolean(describes[name])
+  }));
+
+  return {
+    root,
+    nodes,
+    edges: [...edges.values()].sort((a, b) => (
+      a.parent.localeCompare(b.parent) || a.child.localeCompare(b.child) || a.field.localeCompare(b.field)
+    ))
+  };
+};
+
+/**
+ * Column layout: one column per level, the root first in its column and the rest by name.
+ * Returns { positions: { name: { x, y } }, width, height }.
+ */
+export const layoutGraph = (graph, { nodeWidth, nodeHeight, columnGap, rowGap, padding }) => {
+  const columns = new Map();
+  graph.nodes.forEach(node => {
+    if (!columns.has(node.level)) columns.set(node.level, []);
+    columns.get(node.level).push(node);
+  });
+
+  const levels = [...columns.keys()].sort((a, b) => a - b);
+  const positions = {};
+  let tallestColumn = 0;
+
+  levels.forEach((level, columnIndex) => {
+    const column = columns.get(level).sort((a, b) => (b.root - a.root) || a.name.localeCompare(b.name));
+    tallestColumn = Math.max(tallestColumn, column.length);
+    column.forEach((node, rowIndex) => {
+      positions[node.name] = {
+        x: padding + columnIndex * (nodeWidth + columnGap),
+        y: padding + rowIndex * (nodeHeight + rowGap)
+      };
+    });
+  });
+
+  return {
+    positions,
+    width: padding * 2 + Math.max(levels.length, 1) * nodeWidth + Math.max(levels.length - 1, 0) * columnGap,
+    height: padding * 2 + Math.max(tallestColumn, 1) * nodeHeight + Math.max(tallestColumn - 1, 0) * rowGap
+  };
+};
+
+// Reference fields of an object in the graph, polymorphic targets merged: [{ field, parents }]
+const referenceFieldsOf = (graph, name) => {
+  const fields = new Map();
+  graph.edges.filter(edge => edge.child === name).forEach(edge => {
+    if (!fields.has(edge.field)) fields.set(edge.field, []);
+    fields.get(edge.field).push(edge.parent);
+  });
+  return [...fields.entries()].map(([field, parents]) => ({ field, parents }));
+};
+
+const mermaidName = (name) => name.replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * Mermaid erDiagram: one entity per object listing its Id and the reference fields in the graph,
+ * master-detail as ||--o{ and lookups as |o--o{
+ */
+export const toMermaid = (graph) => {
+  const lines = ['erDiagram'];
+
+  graph.nodes.forEach(node => {
+    lines.push(`  ${mermaidName(node.name)} {`);
+    lines.push('    id Id PK');
+    referenceFieldsOf(graph, node.name).forEach(({ field, parents }) => {
+      lines.push(`    reference ${mermaidName(field)} FK "${parents.join(', ')}"`);
+    });
+    lines.push('  }');
+  });
+
+  graph.edges.forEach(edge => {
+    const cardinality = edge.masterDetail ? '||--o{' : '|o--o{';
+    lines.push(`  ${mermaidName(edge.parent)} ${cardinality} ${mermaidName(edge.child)} : "${edge.field}"`);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+const dotEscape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+const dotString = (value) => `"${dotEscape(value)}"`;
+
+/**
+ * GraphViz DOT digraph with edges pointing from child to parent, master-detail edges drawn bold
+ */
+export const toDot = (graph) => {
+  const lines = [
+    'digraph SObjectRelationships {',
+    '  rankdir=RL;',
+    '  node [shape=box, style="rounded,filled", fillcolor="#f8fafc", fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+
+  graph.nodes.forEach(node => {
+    const fill = node.root ? '#dbeafe' : node.custom ? '#fef3c7' : '#f8fafc';
+    const label = node.label === node.name ? dotEscape(node.name) : `${dotEscape(node.label)}\\n${dotEscape(node.name)}`;
+    lines.push(`  ${dotString(node.name)} [label="${label}", fillcolor="${fill}"];`);
+  });
+
+  graph.edges.forEach(edge => {
+    const style = edge.masterDetail ? ', style=bold' : '';
+    lines.push(`  ${dotString(edge.child)} -> ${dotString(edge.parent)} [label=${dotString(edge.field)}${style}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
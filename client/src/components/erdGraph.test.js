@@ -0,0 +1,187 @@
+import {
+  CUSTOM_UNMANAGED,
+  DEFAULT_GRAPH_FILTER,
+  getObjectKind,
+  matchesObjectFilter,
+  getRelationships,
+  buildGraph,
+  layoutGraph,
+  toMermaid,
+  toDot
+} from './erdGraph';
+
+const describes = {
+  Account: {
+    name: 'Account',
+    label: 'Account',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'ParentId', type: 'reference', referenceTo: ['Account'], relationshipName: 'Parent', relationshipOrder: null },
+      { name: 'Primary_Contact__c', type: 'reference', referenceTo: ['Contact'], relationshipName: 'Primary_Contact__r', relationshipOrder: null }
+    ],
+    childRelationships: [
+      { childSObject: 'Account', field: 'ParentId', relationshipName: 'ChildAccounts', cascadeDelete: false },
+      // Wrong guess on purpose: Contact's own describe says AccountId is a lookup
+      { childSObject: 'Contact', field: 'AccountId', relationshipName: 'Contacts', cascadeDelete: true },
+      { childSObject: 'AccountHistory', field: 'AccountId', relationshipName: 'Histories', cascadeDelete: true },
+      { childSObject: 'Invoice__c', field: 'Account__c', relationshipName: 'Invoices__r', cascadeDelete: true },
+      { childSObject: 'acme__Score__c', field: 'acme__Account__c', relationshipName: 'acme__Scores__r', cascadeDelete: false },
+      { childSObject: 'Legacy__c', field: 'Account__c', relationshipName: null, deprecatedAndHidden: true }
+    ]
+  },
+  Contact: {
+    name: 'Contact',
+    label: 'Contact',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'AccountId', type: 'reference', referenceTo: ['Account'], relationshipName: 'Account', relationshipOrder: null }
+    ],
+    childRelationships: [
+      { childSObject: 'Account', field: 'Primary_Contact__c', relationshipName: 'Primary_Accounts__r', cascadeDelete: false }
+    ]
+  },
+  Task: {
+    name: 'Task',
+    label: 'Task',
+    fields: [{ name: 'WhatId', type: 'reference', referenceTo: ['Account', 'Opportunity'], relationshipName: 'What', relationshipOrder: null }],
+    childRelationships: []
+  }
+};
+
+const edgeKeys = (graph) => graph.edges.map(edge => `${edge.child}.${edge.field}->${edge.parent}${edge.masterDetail ? ' (MD)' : ''}`);
+
+describe('object classification and filters', () => {
+  test('tells standard, unmanaged custom and namespaced objects apart', () => {
+    expect(getObjectKind('Order')).toEqual({ custom: false, namespace: null });
+    expect(getObjectKind('Invoice__c')).toEqual({ custom: true, namespace: null });
+    expect(getObjectKind('vlocity_cmt__OrderItemAttribute__c')).toEqual({ custom: true, namespace: 'vlocity_cmt' });
+  });
+
+  test('hides system objects and filters custom objects by namespace', () => {
+    expect(matchesObjectFilter('AccountHistory', DEFAULT_GRAPH_FILTER)).toBe(false);
+    expect(matchesObjectFilter('acme__Score__c', DEFAULT_GRAPH_FILTER)).toBe(true);
+    expect(matchesObjectFilter('acme__Score__c', { ...DEFAULT_GRAPH_FILTER, custom: CUSTOM_UNMANAGED })).toBe(false);
+    expect(matchesObjectFilter('acme__Score__c', { ...DEFAULT_GRAPH_FILTER, custom: 'acme' })).toBe(true);
+    expect(matchesObjectFilter('Account', { ...DEFAULT_GRAPH_FILTER, standard: false })).toBe(false);
+  });
+});
+
+describe('getRelationships', () => {
+  test('lists one parent per polymorphic target and skips hidden child relationships', () => {
+    expect(getRelationships(describes.Task).map(rel => rel.parent)).toEqual(['Account', 'Opportunity']);
+    expect(getRelationships(describes.Account).some(rel => rel.child === 'Legacy__c')).toBe(false);
+  });
+
+  test('reads master-detail from relationshipOrder, or guesses it from cascadeDelete for children', () => {
+    const invoice = { name: 'Invoice__c', fields: [{ name: 'Account__c', type: 'reference', referenceTo: ['Account'], relationshipOrder: 0 }] };
+    expect(getRelationships(invoice)[0].masterDetail).toBe(true);
+
+    const invoiceFromAccount = getRelationships(describes.Account).find(rel => rel.child === 'Invoice__c');
+    expect(invoiceFromAccount).toMatchObject({ parent: 'Account', field: 'Account__c', masterDetail: true, describedOn: 'Account' });
+  });
+});
+
+describe('buildGraph', () => {
+  test('places parents left and children right of the root and leaves out filtered objects', () => {
+    const graph = buildGraph({ root: 'Account', describes, expanded: new Set(['Account']), filter: DEFAULT_GRAPH_FILTER });
+
+    expect(graph.nodes.map(node => [node.name, node.level])).toEqual([
+      ['Account', 0],
+      ['Contact', -1],
+      ['Invoice__c', 1],
+      ['acme__Score__c', 1]
+    ]);
+    expect(graph.nodes[0]).toMatchObject({ root: true, expanded: true, described: true });
+    expect(graph.nodes.find(node => node.name === 'Invoice__c')).toMatchObject({ label: 'Invoice__c', custom: true, described: false });
+    expect(edgeKeys(graph)).toEqual([
+      'Account.ParentId->Account',
+      'acme__Score__c.acme__Account__c->Account',
+      'Contact.AccountId->Account (MD)',
+      'Invoice__c.Account__c->Account (MD)',
+      'Account.Primary_Contact__c->Contact'
+    ]);
+  });
+
+  test('visits each object of a relationship cycle once and keeps one edge per relationship', () => {
+    const graph = buildGraph({ root: 'Account', describes, expanded: new Set(['Account', 'Contact']), filter: DEFAULT_GRAPH_FILTER });
+
+    expect(graph.nodes.map(node => node.name)).toEqual(['Account', 'Contact', 'Invoice__c', 'acme__Score__c']);
+    // Account -> Contact -> Account and the self lookup Account.ParentId each appear once
+    expect(edgeKeys(graph).filter(key => key.startsWith('Contact.AccountId') || key.startsWith('Account.'))).toEqual([
+      'Account.ParentId->Account',
+      'Contact.AccountId->Account',
+      'Account.Primary_Contact__c->Contact'
+    ]);
+  });
+
+  test('uses known labels for objects that are not described yet', () => {
+    const graph = buildGraph({
+      root: 'Account', describes, expanded: new Set(['Account']), filter: DEFAULT_GRAPH_FILTER, labels: { Invoice__c: 'Invoice' }
+    });
+    expect(graph.nodes.find(node => node.name === 'Invoice__c').label).toBe('Invoice');
+  });
+});
+
+test('lays the graph out in one column per level with the root on top of its column', () => {
+  const graph = buildGraph({ root: 'Account', describes, expanded: new Set(['Account']), filter: DEFAULT_GRAPH_FILTER });
+  const layout = layoutGraph(graph, { nodeWidth: 100, nodeHeight: 40, columnGap: 20, rowGap: 10, padding: 5 });
+
+  expect(layout.positions).toEqual({
+    Contact: { x: 5, y: 5 },
+    Account: { x: 125, y: 5 },
+    acme__Score__c: { x: 245, y: 5 },
+    Invoice__c: { x: 245, y: 55 }
+  });
+  expect(layout.width).toBe(5 * 2 + 3 * 100 + 2 * 20);
+  expect(layout.height).toBe(5 * 2 + 2 * 40 + 10);
+});
+
+describe('exports', () => {
+  // Hand-built graph with names and labels that need escaping
+  const graph = {
+    root: 'Account',
+    nodes: [
+      { name: 'Account', label: 'Account', custom: false, root: true },
+      { name: 'My.Object__c', label: 'Say "Hi" \\ Co', custom: true, root: false },
+      { name: 'Task', label: 'Task', custom: false, root: false }
+    ],
+    edges: [
+      { child: 'My.Object__c', parent: 'Account', field: 'Account__c', masterDetail: true },
+      { child: 'Task', parent: 'Account', field: 'WhatId', masterDetail: false },
+      { child: 'Task', parent: 'My.Object__c', field: 'WhatId', masterDetail: false }
+    ]
+  };
+
+  test('writes a Mermaid erDiagram with safe entity names and merged polymorphic references', () => {
+    expect(toMermaid(graph)).toBe([
+      'erDiagram',
+      '  Account {',
+      '    id Id PK',
+      '  }',
+      '  My_Object__c {',
+      '    id Id PK',
+      '    reference Account__c FK "Account"',
+      '  }',
+      '  Task {',
+      '    id Id PK',
+      '    reference WhatId FK "Account, My.Object__c"',
+      '  }',
+      '  Account ||--o{ My_Object__c : "Account__c"',
+      '  Account |o--o{ Task : "WhatId"',
+      '  My_Object__c |o--o{ Task : "WhatId"',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes a DOT digraph with escaped labels, child to parent edges and bold master-detail', () => {
+    const lines = toDot(graph).split('\n');
+
+    expect(lines[0]).toBe('digraph SObjectRelationships {');
+    expect(lines).toContain('  "Account" [label="Account", fillcolor="#dbeafe"];');
+    expect(lines).toContain('  "My.Object__c" [label="Say \\"Hi\\" \\\\ Co\\nMy.Object__c", fillcolor="#fef3c7"];');
+    expect(lines).toContain('  "Task" [label="Task", fillcolor="#f8fafc"];');
+    expect(lines).toContain('  "My.Object__c" -> "Account" [label="Account__c", style=bold];');
+    expect(lines).toContain('  "Task" -> "My.Object__c" [label="WhatId"];');
+    expect(lines.slice(-2)).toEqual(['}', '']);
+  });
+});
@@ -0,0 +1,756 @@
+// Lightweight SOQL tokenizer, parser, formatter and completion helper for the SOQL editor.
+// It is deliberately forgiving: it checks clause structure and collects field references so the
+// editor can flag mistakes before a round trip to Salesforce, not re-implement the SOQL grammar.
+
+const CLAUSE_KEYWORDS = ['SELECT', 'FROM', 'USING SCOPE', 'WHERE', 'WITH', 'GROUP BY', 'HAVING', 'ORDER BY', 'LIMIT', 'OFFSET', 'FOR'];
+
+export const SOQL_KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'LIKE', 'IN', 'NOT IN', 'INCLUDES', 'EXCLUDES',
+  'NULL', 'TRUE', 'FALSE', 'GROUP BY', 'HAVING', 'ORDER BY', 'ASC', 'DESC', 'NULLS FIRST', 'NULLS LAST',
+  'LIMIT', 'OFFSET', 'WITH SECURITY_ENFORCED', 'WITH USER_MODE', 'USING SCOPE', 'FOR VIEW', 'FOR REFERENCE',
+  'FOR UPDATE', 'TYPEOF', 'WHEN', 'THEN', 'ELSE', 'END', 'FIELDS(ALL)', 'FIELDS(STANDARD)', 'FIELDS(CUSTOM)',
+  'COUNT()', 'TODAY', 'YESTERDAY', 'TOMORROW', 'THIS_WEEK', 'LAST_WEEK', 'THIS_MONTH', 'LAST_MONTH',
+  'THIS_YEAR', 'LAST_YEAR', 'LAST_N_DAYS:', 'NEXT_N_DAYS:'
+];
+
+const RESERVED_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'LIKE', 'IN', 'INCLUDES', 'EXCLUDES', 'NULL', 'TRUE', 'FALSE',
+  'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'LIMIT', 'OFFSET', 'WITH', 'USING',
+  'SCOPE', 'FOR', 'VIEW', 'REFERENCE', 'UPDATE', 'TYPEOF', 'WHEN', 'THEN', 'ELSE', 'END', 'ROLLUP', 'CUBE', 'TRACKING', 'VIEWSTAT'
+]);
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '>', '<=', '>='];
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2}))?/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*(?::\d+)?/;
+
+/**
+ * Split a query into tokens: { type, value, upper, start, end }.
+ * Types are string, number, datetime, identifier, bind, operator, punct and unknown.
+ */
+export const tokenizeSOQL = (query) => {
+  const tokens = [];
+  const errors = [];
+  let position = 0;
+
+  while (position < query.length) {
+    const char = query[position];
+    const rest = query.slice(position);
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '\'') {
+      let end = position + 1;
+      while (end < query.length && query[end] !== '\'') {
+        end += query[end] === '\\' ? 2 : 1;
+      }
+      if (end >= query.length) {
+        errors.push({ message: 'Unterminated string literal', start: position, end: query.length });
+        tokens.push({ type: 'string', value: query.slice(position), upper: '', start: position, end: query.length, unterminated: true });
+        break;
+      }
+      tokens.push({ type: 'string', value: query.slice(position, end + 1), upper: '', start: position, end: end + 1 });
+      position = end + 1;
+      continue;
+    }
+
+    const datetime = rest.match(DATETIME_PATTERN);
+    if (datetime) {
+      tokens.push({ type: 'datetime', value: datetime[0], upper: datetime[0], start: position, end: position + datetime[0].length });
+      position += datetime[0].length;
+      continue;
+    }
+
+    const number = rest.match(NUMBER_PATTERN);
+    if (number && (char !== '-' || !tokens.length || tokens[tokens.length - 1].type === 'operator' || tokens[tokens.length - 1].value === '(' || tokens[tokens.length - 1].value === ',')) {
+      tokens.push({ type: 'number', value: number[0], upper: number[0], start: position, end: position + number[0].length });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = rest.match(IDENTIFIER_PATTERN);
+    if (identifier) {
+      const value = identifier[0];
+      tokens.push({ type: 'identifier', value, upper: value.toUpperCase(), start: position, end: position + value.length });
+      position += value.length;
+      continue;
+    }
+
+    const bind = rest.match(/^:[A-Za-z_][A-Za-z0-9_.]*/);
+    if (bind) {
+      tokens.push({ type: 'bind', value: bind[0], upper: bind[0], start: position, end: position + bind[0].length });
+      position += bind[0].length;
+      continue;
+    }
+
+    const operator = ['<=', '>=', '!=', '<>', '=', '<', '>'].find(op => rest.startsWith(op));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, upper: operator, start: position, end: position + operator.length });
+      position += operator.length;
+      continue;
+    }
+
+    if ('(),'.includes(char)) {
+      tokens.push({ type: 'punct', value: char, upper: char, start: position, end: position + 1 });
+      position++;
+      continue;
+    }
+
+    errors.push({ message: `Unexpected character '${char}'`, start: position, end: position + 1 });
+    tokens.push({ type: 'unknown', value: char, upper: char, start: position, end: position + 1 });
+    position++;
+  }
+
+  return { tokens, errors };
+};
+
+class SOQLParseError extends Error {
+  constructor(message, token, query) {
+    super(message);
+    this.start = token ? token.start : query.length;
+    this.end = token ? token.end : query.length;
+  }
+}
+
+// Recursive-descent parser over the token list; one instance per (sub)query
+class SOQLParser {
+  constructor(tokens, query) {
+    this.tokens = tokens;
+    this.query = query;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === 'identifier' && token.upper === word);
+  }
+
+  isValue(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type !== 'string' && token.value === value);
+  }
+
+  isClauseStart() {
+    return this.isWord('FROM') || this.isWord('WHERE') || this.isWord('WITH') || this.isWord('LIMIT') ||
+      this.isWord('OFFSET') || this.isWord('HAVING') || this.isWord('FOR') ||
+      (this.isWord('GROUP') && this.isWord('BY', 1)) || (this.isWord('ORDER') && this.isWord('BY', 1)) ||
+      (this.isWord('USING') && this.isWord('SCOPE', 1));
+  }
+
+  fail(message, token = this.peek()) {
+    throw new SOQLParseError(message, token, this.query);
+  }
+
+  describeToken(token) {
+    return token ? `'${token.value}'` : 'end of query';
+  }
+
+  expectWord(word) {
+    if (!this.isWord(word)) {
+      this.fail(`Expected ${word} but found ${this.describeToken(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  expectValue(value) {
+    if (!this.isValue(value)) {
+      this.fail(`Expected '${value}' but found ${this.describeToken(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  expectName(what) {
+    const token = this.peek();
+    if (!token || token.type !== 'identifier' || RESERVED_WORDS.has(token.upper)) {
+      this.fail(`Expected ${what} but found ${this.describeToken(token)}`);
+    }
+    return this.next();
+  }
+
+  fieldReference(token, clause) {
+    return { path: token.value, start: token.start, end: token.end, clause };
+  }
+
+  // SELECT ... FROM ... [clauses]; `nested` is true for parent-to-child subqueries
+  parseQuery(nested = false) {
+    const result = { sobject: null, alias: null, fields: [], subqueries: [], start: this.peek()?.start ?? 0 };
+
+    this.expectWord('SELECT');
+    this.parseSelectList(result);
+    this.expectWord('FROM');
+    const sobjectToken = this.expectName(nested ? 'a child relationship name' : 'an SObject name');
+    result.sobject = sobjectToken.value;
+    result.sobjectStart = sobjectToken.start;
+    result.sobjectEnd = sobjectToken.end;
+
+    if (this.peek() && this.peek().type === 'identifier' && !RESERVED_WORDS.has(this.peek().upper)) {
+      result.alias = this.next().value;
+    }
+
+    if (this.isWord('USING')) {
+      this.next();
+      this.expectWord('SCOPE');
+      this.expectName('a filter scope');
+    }
+    if (this.isWord('WHERE')) {
+      this.next();
+      this.parseCondition(result, 'where');
+    }
+    if (this.isWord('WITH')) {
+      this.next();
+      this.parseWith();
+    }
+    if (this.isWord('GROUP') && this.isWord('BY', 1)) {
+      this.position += 2;
+      this.parseGroupBy(result);
+      if (this.isWord('HAVING')) {
+        this.next();
+        this.parseCondition(result, 'having');
+      }
+    }
+    if (this.isWord('ORDER') && this.isWord('BY', 1)) {
+      this.position += 2;
+      this.parseOrderBy(result);
+    }
+    if (this.isWord('LIMIT')) {
+      this.next();
+      result.limit = this.parseCount('LIMIT');
+    }
+    if (this.isWord('OFFSET')) {
+      this.next();
+      result.offset = this.parseCount('OFFSET');
+    }
+    if (this.isWord('FOR')) {
+      this.next();
+      // VIEW, REFERENCE and UPDATE are reserved words, so they are matched directly
+      if (!this.isWord('VIEW') && !this.isWord('REFERENCE') && !this.isWord('UPDATE')) {
+        this.fail(`Expected VIEW, REFERENCE or UPDATE after FOR but found ${this.describeToken(this.peek())}`);
+      }
+      this.next();
+    }
+    if (this.isWord('UPDATE') && (this.isWord('TRACKING', 1) || this.isWord('VIEWSTAT', 1))) {
+      this.position += 2;
+    }
+
+    return result;
+  }
+
+  parseSelectList(result) {
+    if (this.isWord('FROM')) {
+      this.fail('SELECT needs at least one field');
+    }
+    do {
+      this.parseSelectItem(result);
+    } while (this.isValue(',') && this.next());
+  }
+
+  parseSelectItem(result) {
+    const token = this.peek();
+    if (!token) {
+      this.fail('Expected a field but the query ended');
+    }
+
+    if (this.isValue('(')) {
+      const open = this.next();
+      if (!this.isWord('SELECT')) {
+        this.fail('Expected a subquery after \'(\'');
+      }
+      const subquery = this.parseQuery(true);
+      subquery.start = open.start;
+      subquery.end = this.expectValue(')').end;
+      result.subqueries.push(subquery);
+      return;
+    }
+
+    if (this.isWord('TYPEOF')) {
+      this.parseTypeof(result);
+      return;
+    }
+
+    if (token.type !== 'identifier' || RESERVED_WORDS.has(token.upper)) {
+      this.fail(`Expected a field but found ${this.describeToken(token)}`);
+    }
+
+    if (!this.isValue('(', 1)) {
+      result.fields.push(this.fieldReference(this.next(), 'select'));
+      return;
+    }
+
+    this.parseFunction(result, 'select');
+    // Aggregate and function results may be aliased: COUNT(Id) total
+    const alias = this.peek();
+    if (alias && alias.type === 'identifier' && !RESERVED_WORDS.has(alias.upper)) {
+      this.next();
+    }
+  }
+
+  // TYPEOF What WHEN Account THEN Name ELSE Id END — polymorphic fields are not validated
+  parseTypeof() {
+    this.expectWord('TYPEOF');
+    this.expectName('a polymorphic relationship');
+    if (!this.isWord('WHEN')) {
+      this.fail('TYPEOF needs at least one WHEN clause');
+    }
+    while (this.peek() && !this.isWord('END')) {
+      this.next();
+    }
+    this.expectWord('END');
+  }
+
+  // COUNT(), COUNT(Id), toLabel(Status), FIELDS(ALL), CALENDAR_YEAR(CreatedDate), convertCurrency(Amount)...
+  parseFunction(result, clause) {
+    const name = this.next();
+    this.expectValue('(');
+    if (name.upper === 'FIELDS') {
+      const scope = this.expectName('ALL, STANDARD or CUSTOM');
+      if (!['ALL', 'STANDARD', 'CUSTOM'].includes(scope.upper)) {
+        this.fail(`FIELDS() accepts ALL, STANDARD or CUSTOM, not '${scope.value}'`, scope);
+      }
+    } else if (!this.isValue(')')) {
+      do {
+        if (this.peek() && this.peek().type === 'identifier' && this.isValue('(', 1)) {
+          this.parseFunction(result, clause);
+        } else {
+          const argument = this.expectName('a field');
+          result.fields.push(this.fieldReference(argument, clause));
+        }
+      } while (this.isValue(',') && this.next());
+    }
+    this.expectValue(')');
+  }
+
+  parseCondition(result, clause) {
+    this.parseConditionTerm(result, clause);
+    while (this.isWord('AND') || this.isWord('OR')) {
+      this.next();
+      this.parseConditionTerm(result, clause);
+    }
+  }
+
+  parseConditionTerm(result, clause) {
+    if (this.isWord('NOT')) {
+      this.next();
+    }
+    if (this.isValue('(')) {
+      this.next();
+      this.parseCondition(result, clause);
+      this.expectValue(')');
+      return;
+    }
+
+    const token = this.peek();
+    if (!token || token.type !== 'identifier' || RESERVED_WORDS.has(token.upper)) {
+      this.fail(`Expected a field in ${clause.toUpperCase()} but found ${this.describeToken(token)}`);
+    }
+    if (this.isValue('(', 1)) {
+      this.parseFunction(result, clause);
+    } else {
+      result.fields.push(this.fieldReference(this.next(), clause));
+    }
+
+    if (this.isWord('NOT') && this.isWord('IN', 1)) {
+      this.position += 2;
+      this.parseList(result);
+      return;
+    }
+    if (this.isWord('IN') || this.isWord('INCLUDES') || this.isWord('EXCLUDES')) {
+      this.next();
+      this.parseList(result);
+      return;
+    }
+    if (this.isWord('LIKE')) {
+      this.next();
+      this.parseValue();
+      return;
+    }
+    const operator = this.peek();
+    if (!operator || operator.type !== 'operator' || !COMPARISON_OPERATORS.includes(operator.value)) {
+      this.fail(`Expected a comparison operator after '${token.value}' but found ${this.describeToken(operator)}`);
+    }
+    this.next();
+    this.parseValue();
+  }
+
+  // ('a', 'b'), (SELECT ... semi-join) or :bindVariable
+  parseList(result) {
+    if (this.peek()?.type === 'bind') {
+      this.next();
+      return;
+    }
+    this.expectValue('(');
+    if (this.isWord('SELECT')) {
+      // Semi-join subqueries select from their own object; their fields are not checked here
+      this.parseQuery();
+    } else {
+      do {
+        this.parseValue();
+      } while (this.isValue(',') && this.next());
+    }
+    this.expectValue(')');
+  }
+
+  parseValue() {
+    const token = this.peek();
+    if (!token) {
+      this.fail('Expected a value but the query ended');
+    }
+    if (['string', 'number', 'datetime', 'bind'].includes(token.type)) {
+      if (token.unterminated) {
+        this.fail('Unterminated string literal', token);
+      }
+      this.next();
+      return;
+    }
+    if (token.type === 'identifier' && (['NULL', 'TRUE', 'FALSE'].includes(token.upper) || /^[A-Z_]+(?::\d+)?$/.test(token.upper))) {
+      // Date literals such as TODAY or LAST_N_DAYS:30, and currency-prefixed values are identifiers here
+      this.next();
+      return;
+    }
+    this.fail(`Expected a value but found ${this.describeToken(token)}`);
+  }
+
+  parseWith() {
+    if (this.isWord('SECURITY_ENFORCED') || this.isWord('USER_MODE') || this.isWord('SYSTEM_MODE')) {
+      this.next();
+      return;
+    }
+    if (this.isWord('DATA') && this.isWord('CATEGORY', 1)) {
+      // Data category filters have their own grammar; skip to the next clause
+      while (this.peek() && !this.isClauseStart()) {
+        this.next();
+      }
+      return;
+    }
+    this.fail(`Expected SECURITY_ENFORCED, USER_MODE or DATA CATEGORY after WITH but found ${this.describeToken(this.peek())}`);
+  }
+
+  parseGroupBy(result) {
+    if (this.isWord('ROLLUP') || this.isWord('CUBE')) {
+      this.parseFunction(result, 'group');
+      return;
+    }
+    do {
+      if (this.isValue('(', 1)) {
+        this.parseFunction(result, 'group');
+      } else {
+        result.fields.push(this.fieldReference(this.expectName('a field to group by'), 'group'));
+      }
+    } while (this.isValue(',') && this.next());
+  }
+
+  parseOrderBy(result) {
+    do {
+      if (this.isValue('(', 1)) {
+        this.parseFunction(result, 'order');
+      } else {
+        result.fields.push(this.fieldReference(this.expectName('a field to order by'), 'order'));
+      }
+      if (this.isWord('ASC') || this.isWord('DESC')) {
+        this.next();
+      }
+      if (this.isWord('NULLS')) {
+        this.next();
+        if (!this.isWord('FIRST') && !this.isWord('LAST')) {
+          this.fail(`Expected FIRST or LAST after NULLS but found ${this.describeToken(this.peek())}`);
+        }
+        this.next();
+      }
+    } while (this.isValue(',') && this.next());
+  }
+
+  parseCount(clause) {
+    const token = this.peek();
+    if (token && token.type === 'bind') {
+      this.next();
+      return null;
+    }
+    if (!token || token.type !== 'number' || !/^\d+$/.test(token.value)) {
+      this.fail(`${clause} expects a whole number but found ${this.describeToken(token)}`);
+    }
+    this.next();
+    return Number(token.value);
+  }
+}
+
+/**
+ * Parse a SOQL query. Returns { query, errors } where query is null when the structure is invalid.
+ * Each error has { message, start, end } character offsets into the query text.
+ */
+export const parseSOQL = (query) => {
+  const { tokens, errors } = tokenizeSOQL(query);
+  if (tokens.length === 0) {
+    return { query: null, errors: [] };
+  }
+  if (errors.length > 0) {
+    return { query: null, errors };
+  }
+
+  const parser = new SOQLParser(tokens, query);
+  try {
+    const parsed = parser.parseQuery();
+    const leftover = parser.peek();
+    if (leftover) {
+      const clause = CLAUSE_KEYWORDS.find(keyword => keyword.startsWith(leftover.upper));
+      parser.fail(clause
+        ? `Unexpected ${leftover.value.toUpperCase()} — clauses must follow the order ${CLAUSE_KEYWORDS.join(', ')}`
+        : `Unexpected ${parser.describeToken(leftover)} after the end of the query`, leftover);
+    }
+    return { query: parsed, errors: [] };
+  } catch (error) {
+    if (error instanceof SOQLParseError) {
+      return { query: null, errors: [{ message: error.message, start: error.start, end: error.end }] };
+    }
+    throw error;
+  }
+};
+
+const findField = (describe, name) => {
+  const lower = name.toLowerCase();
+  return describe.fields.find(field => field.name.toLowerCase() === lower);
+};
+
+const findRelationshipField = (describe, relationshipName) => {
+  const lower = relationshipName.toLowerCase();
+  return describe.fields.find(field => field.relationshipName && field.relationshipName.toLowerCase() === lower);
+};
+
+/**
+ * Walk a dotted relationship path (e.g. ['Account', 'Owner']) from an SObject.
+ * Returns { describe } for the final object, { missing } when a describe on the way is not loaded,
+ * { polymorphic: true } for references to several object types, or { error } for an unknown relationship.
+ */
+export const resolveRelationshipPath = (sobjectName, path, describes) => {
+  let describe = describes[sobjectName.toLowerCase()];
+  for (const segment of path) {
+    if (!describe) {
+      return { missing: sobjectName };
+    }
+    const field = findRelationshipField(describe, segment);
+    if (!field) {
+      return { error: `Unknown relationship '${segment}' on ${describe.name}` };
+    }
+    if (!field.referenceTo || field.referenceTo.length !== 1) {
+      return { polymorphic: true };
+    }
+    sobjectName = field.referenceTo[0];
+    describe = describes[sobjectName.toLowerCase()];
+  }
+  return describe ? { describe } : { missing: sobjectName };
+};
+
+const validateFieldReferences = (parsed, sobjectName, describes, errors, missing) => {
+  const aliasPrefix = parsed.alias ? `${parsed.alias.toLowerCase()}.` : null;
+
+  parsed.fields.forEach(reference => {
+    let path = reference.path;
+    if (aliasPrefix && path.toLowerCase().startsWith(aliasPrefix)) {
+      path = path.slice(aliasPrefix.length);
+    }
+    const segments = path.split('.');
+    const fieldName = segments.pop();
+    const resolved = resolveRelationshipPath(sobjectName, segments, describes);
+
+    if (resolved.missing) {
+      missing.add(resolved.missing);
+    } else if (resolved.error) {
+      errors.push({ message: resolved.error, start: reference.start, end: reference.end });
+    } else if (resolved.describe && !findField(resolved.describe, fieldName)) {
+      errors.push({ message: `Unknown field '${fieldName}' on ${resolved.describe.name}`, start: reference.start, end: reference.end });
+    }
+  });
+};
+
+/**
+ * Check the fields, relationships and child relationships of a parsed query against describes,
+ * keyed by lower-cased SObject name. Returns { errors, missing } where missing lists the SObjects
+ * whose describe is needed to finish the check.
+ */
+export const validateSOQL = (parsed, describes, knownSObjects = null) => {
+  const errors = [];
+  const missing = new Set();
+  if (!parsed) {
+    return { errors, missing: [] };
+  }
+
+  if (knownSObjects && !knownSObjects.some(name => name.toLowerCase() === parsed.sobject.toLowerCase())) {
+    errors.push({ message: `Unknown or non-queryable SObject '${parsed.sobject}'`, start: parsed.sobjectStart, end: parsed.sobjectEnd });
+    return { errors, missing: [] };
+  }
+
+  validateFieldReferences(parsed, parsed.sobject, describes, errors, missing);
+
+  const parentDescribe = describes[parsed.sobject.toLowerCase()];
+  parsed.subqueries.forEach(subquery => {
+    if (!parentDescribe) {
+      missing.add(parsed.sobject);
+      return;
+    }
+    const relationship = (parentDescribe.childRelationships || []).find(rel =>
+      rel.relationshipName && rel.relationshipName.toLowerCase() === subquery.sobject.toLowerCase()
+    );
+    if (!relationship) {
+      errors.push({
+        message: `Unknown child relationship '${subquery.sobject}' on ${parentDescribe.name}`,
+        start: subquery.sobjectStart,
+        end: subquery.sobjectEnd
+      });
+      return;
+    }
+    validateFieldReferences(subquery, relationship.childSObject, describes, errors, missing);
+  });
+
+  return { errors, missing: Array.from(missing) };
+};
+
+// Words printed in upper case by the formatter
+const FORMAT_KEYWORDS = new Set([...RESERVED_WORDS, 'SECURITY_ENFORCED', 'USER_MODE', 'SYSTEM_MODE', 'DATA', 'CATEGORY']);
+
+/**
+ * Pretty-print a query: one clause per line, one selected field per line and
+ * one WHERE/HAVING condition per line. Subqueries stay on a single line.
+ * Queries that do not tokenize are returned unchanged.
+ */
+export const formatSOQL = (query) => {
+  const { tokens, errors } = tokenizeSOQL(query);
+  if (errors.length > 0 || tokens.length === 0) {
+    return query;
+  }
+
+  const indent = '    ';
+  let output = '';
+  let depth = 0;
+  let clause = null;
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const isKeyword = token.type === 'identifier' && FORMAT_KEYWORDS.has(token.upper);
+    const text = isKeyword ? token.upper : token.value;
+    const startsClause = depth === 0 && token.type === 'identifier' &&
+      ['SELECT', 'FROM', 'WHERE', 'WITH', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'FOR', 'USING'].includes(token.upper);
+
+    if (startsClause) {
+      clause = token.upper;
+      output += (output ? '\n' : '') + text;
+    } else if (depth === 0 && isKeyword && ['AND', 'OR'].includes(token.upper) && ['WHERE', 'HAVING'].includes(clause)) {
+      output += `\n${indent}${text}`;
+    } else if (!previous || token.value === ',' || token.value === ')' || previous.value === '(' ||
+      (token.value === '(' && previous.type === 'identifier' && !FORMAT_KEYWORDS.has(previous.upper))) {
+      output += text;
+    } else if (depth === 0 && previous.value === ',' && clause === 'SELECT') {
+      output += `\n${indent}${text}`;
+    } else {
+      output += ` ${text}`;
+    }
+
+    if (token.value === '(') depth++;
+    if (token.value === ')') depth = Math.max(0, depth - 1);
+  });
+
+  return output;
+};
+
+/**
+ * Work out what to suggest at the cursor. Returns null inside string literals, otherwise
+ * { kind, sobject, parentSObject, path, partial, replaceStart } where kind is 'object',
+ * 'childRelationship', 'field' or 'keyword' and path holds the relationship names typed
+ * before the partial word.
+ */
+export const getCompletionContext = (query, cursor) => {
+  const before = query.slice(0, cursor);
+  const { tokens } = tokenizeSOQL(before);
+  const lastToken = tokens[tokens.length - 1];
+  if (lastToken && lastToken.type === 'string' && (lastToken.unterminated || lastToken.end > cursor)) {
+    return null;
+  }
+
+  const word = before.match(/[A-Za-z0-9_.]*$/)[0];
+  const replaceStart = cursor - word.length;
+  const segments = word.split('.');
+  const partial = segments.pop();
+
+  // Tokens before the word being typed, and the innermost open parenthesis that starts a subquery
+  const preceding = tokens.filter(token => token.end <= replaceStart);
+  const openScopes = [];
+  preceding.forEach((token, index) => {
+    if (token.value === '(') {
+      openScopes.push({ index, subquery: preceding[index + 1]?.upper === 'SELECT' });
+    } else if (token.value === ')') {
+      openScopes.pop();
+    }
+  });
+  const scope = [...openScopes].reverse().find(entry => entry.subquery);
+  const scopeStart = scope ? scope.index + 1 : 0;
+
+  // Clause keywords at the scope's own depth
+  let depth = 0;
+  let clause = null;
+  for (let index = scopeStart; index < preceding.length; index++) {
+    const token = preceding[index];
+    if (token.value === '(') depth++;
+    else if (token.value === ')') depth--;
+    else if (depth === 0 && token.type === 'identifier' &&
+      ['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'WITH', 'FOR'].includes(token.upper)) {
+      clause = { keyword: token.upper, index };
+    }
+  }
+
+  // FROM clause of this scope: search the whole query so fields typed before FROM still resolve
+  const allTokens = tokenizeSOQL(query).tokens;
+  const findFrom = (startIndex) => {
+    let level = 0;
+    for (let index = startIndex; index < allTokens.length; index++) {
+      const token = allTokens[index];
+      if (token.value === '(') level++;
+      else if (token.value === ')') {
+        if (level === 0) return null;
+        level--;
+      } else if (level === 0 && token.upper === 'FROM') {
+        const target = allTokens[index + 1];
+        if (!target || target.type !== 'identifier' || target.start === replaceStart) return null;
+        const alias = allTokens[index + 2];
+        return { sobject: target.value, alias: alias && alias.type === 'identifier' && !RESERVED_WORDS.has(alias.upper) ? alias.value : null };
+      }
+    }
+    return null;
+  };
+  const absoluteScopeStart = scope ? allTokens.findIndex(token => token.start === preceding[scope.index].start) + 1 : 0;
+  const from = findFrom(absoluteScopeStart);
+  const sobject = from ? from.sobject : null;
+  const parentSObject = scope ? findFrom(0)?.sobject || null : null;
+
+  if (clause && clause.keyword === 'FROM' && clause.index === preceding.length - 1) {
+    return scope
+      ? { kind: 'childRelationship', sobject: parentSObject, path: [], partial, replaceStart }
+      : { kind: 'object', sobject: null, path: [], partial, replaceStart };
+  }
+  if (!clause || ['LIMIT', 'OFFSET', 'WITH', 'FOR'].includes(clause.keyword) ||
+    (clause.keyword === 'FROM' && clause.index < preceding.length - 1)) {
+    return { kind: 'keyword', sobject, path: [], partial, replaceStart: cursor - partial.length };
+  }
+
+  // A value after a comparison operator is not a field
+  const previousToken = preceding[preceding.length - 1];
+  if (previousToken && (previousToken.type === 'operator' || ['LIKE', 'INCLUDES', 'EXCLUDES'].includes(previousToken.upper))) {
+    return { kind: 'keyword', sobject, path: [], partial, replaceStart: cursor - partial.length };
+  }
+
+  // Strip the FROM alias (SELECT a.Name FROM Account a)
+  const path = from && from.alias && segments[0] && segments[0].toLowerCase() === from.alias.toLowerCase()
+    ? segments.slice(1)
+    : segments;
+
+  // Inside a subquery the FROM target is a child relationship of parentSObject
+  return { kind: 'field', sobject, parentSObject, path, partial, replaceStart: cursor - partial.length, clause: clause.keyword };
+};
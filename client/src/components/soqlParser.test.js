@@ -0,0 +1,208 @@
+import { tokenizeSOQL, parseSOQL, validateSOQL, formatSOQL, getCompletionContext } from './soqlParser';
+
+// Completion context at the '|' marker
+const contextAt = (text) => getCompletionContext(text.replace('|', ''), text.indexOf('|'));
+
+const describes = {
+  account: {
+    name: 'Account',
+    fields: [
+      { name: 'Id' },
+      { name: 'Name' },
+      { name: 'OwnerId', relationshipName: 'Owner', referenceTo: ['User'] }
+    ],
+    childRelationships: [{ relationshipName: 'Contacts', childSObject: 'Contact' }]
+  },
+  contact: {
+    name: 'Contact',
+    fields: [{ name: 'Id' }, { name: 'LastName' }, { name: 'WhatId', relationshipName: 'What', referenceTo: ['Account', 'Opportunity'] }],
+    childRelationships: []
+  },
+  user: { name: 'User', fields: [{ name: 'Id' }, { name: 'Name' }], childRelationships: [] }
+};
+
+describe('tokenizeSOQL', () => {
+  test('splits strings, dates, numbers, binds and operators', () => {
+    const { tokens, errors } = tokenizeSOQL("WHERE Name = 'O\\'Brien' AND CreatedDate > 2026-01-01T00:00:00Z AND Amount >= -5 AND Id IN :ids");
+
+    expect(errors).toEqual([]);
+    expect(tokens.map(token => token.type)).toEqual([
+      'identifier', 'identifier', 'operator', 'string',
+      'identifier', 'identifier', 'operator', 'datetime',
+      'identifier', 'identifier', 'operator', 'number',
+      'identifier', 'identifier', 'identifier', 'bind'
+    ]);
+    expect(tokens[3].value).toBe("'O\\'Brien'");
+    expect(tokens[11].value).toBe('-5');
+  });
+
+  test('reports unterminated strings and unexpected characters with their offsets', () => {
+    expect(tokenizeSOQL("SELECT Id FROM Account WHERE Name = 'Acme").errors)
+      .toEqual([{ message: 'Unterminated string literal', start: 36, end: 41 }]);
+    expect(tokenizeSOQL('SELECT Id; FROM Account').errors)
+      .toEqual([{ message: "Unexpected character ';'", start: 9, end: 10 }]);
+  });
+});
+
+describe('parseSOQL clause detection', () => {
+  test('parses every clause in order and collects field references per clause', () => {
+    const { query, errors } = parseSOQL(
+      "SELECT Name, COUNT(Id) total FROM Account a USING SCOPE mine WHERE (Name LIKE 'A%' OR NOT Owner.Name = null) " +
+      'WITH SECURITY_ENFORCED GROUP BY Name HAVING COUNT(Id) > 1 ORDER BY Name DESC NULLS LAST LIMIT 10 OFFSET 5 FOR VIEW'
+    );
+
+    expect(errors).toEqual([]);
+    expect(query.sobject).toBe('Account');
+    expect(query.alias).toBe('a');
+    expect(query.limit).toBe(10);
+    expect(query.offset).toBe(5);
+    expect(query.fields.map(field => `${field.clause}:${field.path}`)).toEqual([
+      'select:Name', 'select:Id', 'where:Name', 'where:Owner.Name', 'group:Name', 'having:Id', 'order:Name'
+    ]);
+  });
+
+  test('parses parent-to-child subqueries, semi-joins and TYPEOF', () => {
+    const { query, errors } = parseSOQL(
+      'SELECT Id, (SELECT LastName FROM Contacts WHERE LastName != null), TYPEOF What WHEN Account THEN Name END ' +
+      'FROM Account WHERE Id IN (SELECT AccountId FROM Opportunity)'
+    );
+
+    expect(errors).toEqual([]);
+    expect(query.subqueries).toHaveLength(1);
+    expect(query.subqueries[0].sobject).toBe('Contacts');
+    expect(query.subqueries[0].fields.map(field => field.path)).toEqual(['LastName', 'LastName']);
+    // Semi-join fields belong to another object and are not collected
+    expect(query.fields.map(field => field.path)).toEqual(['Id', 'Id']);
+  });
+
+  test('reports clauses out of order', () => {
+    const { query, errors } = parseSOQL('SELECT Id FROM Account LIMIT 5 WHERE Name = null');
+
+    expect(query).toBeNull();
+    expect(errors[0].message).toMatch(/^Unexpected WHERE — clauses must follow the order SELECT, FROM/);
+    expect(errors[0].start).toBe(31);
+  });
+});
+
+describe('parseSOQL with incomplete or malformed input', () => {
+  test('treats an empty query as neither valid nor an error', () => {
+    expect(parseSOQL('   ')).toEqual({ query: null, errors: [] });
+  });
+
+  test.each([
+    ['SELECT', 'Expected a field but the query ended'],
+    ['SELECT FROM Account', 'SELECT needs at least one field'],
+    ['SELECT Id, FROM Account', "Expected a field but found 'FROM'"],
+    ['SELECT Id', 'Expected FROM but found end of query'],
+    ['SELECT Id FROM', 'Expected an SObject name but found end of query'],
+    ['SELECT Id FROM Account WHERE', 'Expected a field in WHERE but found end of query'],
+    ['SELECT Id FROM Account WHERE Name', "Expected a comparison operator after 'Name' but found end of query"],
+    ['SELECT Id FROM Account WHERE Name =', 'Expected a value but the query ended'],
+    ['SELECT Id FROM Account WHERE (Name = null', "Expected ')' but found end of query"],
+    ['SELECT Id, (SELECT Id FROM Contacts FROM Account', "Expected ')' but found 'FROM'"],
+    ['SELECT FIELDS(SOME) FROM Account', "FIELDS() accepts ALL, STANDARD or CUSTOM, not 'SOME'"],
+    ['SELECT Id FROM Account LIMIT ten', "LIMIT expects a whole number but found 'ten'"],
+    ['SELECT Id FROM Account ORDER BY Name NULLS', 'Expected FIRST or LAST after NULLS but found end of query'],
+    ['SELECT Id FROM Account WITH EVERYTHING', "Expected SECURITY_ENFORCED, USER_MODE or DATA CATEGORY after WITH but found 'EVERYTHING'"],
+    ['SELECT Id FROM Account FOR LATER', "Expected VIEW, REFERENCE or UPDATE after FOR but found 'LATER'"],
+    ["SELECT Id FROM Account WHERE Name = 'Acme", 'Unterminated string literal'],
+    ['SELECT Id FROM Account Contact Extra', "Unexpected 'Extra' after the end of the query"]
+  ])('%s', (text, message) => {
+    const { query, errors } = parseSOQL(text);
+    expect(query).toBeNull();
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toBe(message);
+    expect(errors[0].start).toBeLessThanOrEqual(errors[0].end);
+    expect(errors[0].end).toBeLessThanOrEqual(text.length);
+  });
+});
+
+describe('validateSOQL', () => {
+  test('checks fields, relationship paths, aliases and child relationships against describes', () => {
+    const { query } = parseSOQL(
+      'SELECT a.Name, Owner.Name, Owner.Nickname, Parent.Name, Bogus, (SELECT LastName, FirstName FROM Contacts), ' +
+      '(SELECT Id FROM Cases) FROM Account a'
+    );
+    const { errors, missing } = validateSOQL(query, describes);
+
+    expect(errors.map(error => error.message)).toEqual([
+      "Unknown field 'Nickname' on User",
+      "Unknown relationship 'Parent' on Account",
+      "Unknown field 'Bogus' on Account",
+      "Unknown field 'FirstName' on Contact",
+      "Unknown child relationship 'Cases' on Account"
+    ]);
+    expect(missing).toEqual([]);
+  });
+
+  test('lists describes it still needs and skips polymorphic relationships', () => {
+    expect(validateSOQL(parseSOQL('SELECT What.Name FROM Contact').query, describes)).toEqual({ errors: [], missing: [] });
+    expect(validateSOQL(parseSOQL('SELECT Owner.Name FROM Account').query, { account: describes.account })).toEqual({ errors: [], missing: ['User'] });
+    expect(validateSOQL(parseSOQL('SELECT Id FROM Case').query, describes)).toEqual({ errors: [], missing: ['Case'] });
+  });
+
+  test('rejects unknown SObjects', () => {
+    const { query } = parseSOQL('SELECT Id FROM Acount');
+    const { errors } = validateSOQL(query, describes, ['Account', 'Contact']);
+
+    expect(errors).toEqual([{ message: "Unknown or non-queryable SObject 'Acount'", start: 15, end: 21 }]);
+  });
+});
+
+describe('formatSOQL', () => {
+  test('puts clauses, selected fields and conditions on their own lines', () => {
+    expect(formatSOQL("select id, name, (select id from contacts) from account where name = 'x' and id != null limit 5")).toBe(
+      'SELECT id,\n    name,\n    (SELECT id FROM contacts)\nFROM account\nWHERE name = \'x\'\n    AND id != NULL\nLIMIT 5'
+    );
+  });
+
+  test('returns queries that do not tokenize unchanged', () => {
+    expect(formatSOQL("select id from account where name = 'x")).toBe("select id from account where name = 'x");
+  });
+});
+
+describe('getCompletionContext', () => {
+  test('suggests objects after FROM and keywords after the object', () => {
+    expect(contextAt('SELECT Id FROM Acc|')).toEqual({ kind: 'object', sobject: null, path: [], partial: 'Acc', replaceStart: 15 });
+    expect(contextAt('SELECT Id FROM Account |')).toMatchObject({ kind: 'keyword', sobject: 'Account', partial: '' });
+    expect(contextAt('SELECT Id FROM Account LIMIT |')).toMatchObject({ kind: 'keyword' });
+    expect(contextAt('|')).toMatchObject({ kind: 'keyword', sobject: null, partial: '' });
+  });
+
+  test('resolves the FROM object for fields typed before it', () => {
+    expect(contextAt('SELECT Na| FROM Account')).toEqual({
+      kind: 'field', sobject: 'Account', parentSObject: null, path: [], partial: 'Na', replaceStart: 7, clause: 'SELECT'
+    });
+    expect(contextAt('SELECT Id FROM Account WHERE Ty|')).toMatchObject({ kind: 'field', sobject: 'Account', clause: 'WHERE' });
+    expect(contextAt('SELECT Id FROM Account ORDER BY |')).toMatchObject({ kind: 'field', sobject: 'Account', clause: 'ORDER' });
+  });
+
+  test('splits relationship paths and strips the FROM alias', () => {
+    expect(contextAt('SELECT Owner.Manager.Na| FROM Account')).toMatchObject({
+      kind: 'field', sobject: 'Account', path: ['Owner', 'Manager'], partial: 'Na', replaceStart: 21
+    });
+    expect(contextAt('SELECT a.Owner.| FROM Account a')).toMatchObject({
+      kind: 'field', sobject: 'Account', path: ['Owner'], partial: '', replaceStart: 15
+    });
+  });
+
+  test('uses the subquery scope inside parent-to-child subqueries', () => {
+    expect(contextAt('SELECT Id, (SELECT Last| FROM Contacts) FROM Account')).toMatchObject({
+      kind: 'field', sobject: 'Contacts', parentSObject: 'Account', path: [], partial: 'Last'
+    });
+    expect(contextAt('SELECT Id, (SELECT Id FROM Con|) FROM Account')).toEqual({
+      kind: 'childRelationship', sobject: 'Account', path: [], partial: 'Con', replaceStart: 27
+    });
+    // Back in the outer query after the subquery closes
+    expect(contextAt('SELECT Id, (SELECT Id FROM Contacts), Na| FROM Account')).toMatchObject({
+      kind: 'field', sobject: 'Account', parentSObject: null, clause: 'SELECT'
+    });
+  });
+
+  test('does not suggest fields for values or inside string literals', () => {
+    expect(contextAt("SELECT Id FROM Account WHERE Name = 'Ac|")).toBeNull();
+    expect(contextAt("SELECT Id FROM Account WHERE Name = 'Acme' AND Industry = |")).toMatchObject({ kind: 'keyword' });
+    expect(contextAt('SELECT Id FROM Account WHERE Name LIKE |')).toMatchObject({ kind: 'keyword' });
+    expect(contextAt("SELECT Id FROM Account WHERE Name = 'Acme' AND |")).toMatchObject({ kind: 'field', clause: 'WHERE' });
+  });
+});
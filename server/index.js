@@ -38,8 +38,13 @@ console.log(`📝 [LOGGING] Server logs will be written to: ${logFilePath}`);
 // Import modules
 const LoginModule = require('./modules/login');
 const PlatformEventsModule = require('./modules/platformEvents');
+const PlatformEventHistoryModule = require('./modules/platformEventHistory');
+const PlatformEventForwardingModule = require('./modules/platformEventForwarding');
 const SObjectsModule = require('./modules/sobjects');
+const BulkApiModule = require('./modules/bulkApi');
 const SObjectFieldSearchModule = require('./modules/sobjectFieldSearch');
+const SchemaSnapshotModule = require('./modules/schemaSnapshots');
+const FieldUsageModule = require('./modules/fieldUsage');
 const OrderManagementModule = require('./modules/orderManagement');
 const OmnistudioModule = require('./modules/omnistudio');
 const AdminModule = require('./modules/admin');
@@ -86,12 +91,17 @@ let reactProcess = null;
 // Initialize modules (no more global connection sharing)
 const redisModule = new RedisModule();
 const loginModule = new LoginModule();
-const platformEventsModule = new PlatformEventsModule(io, platformEventSubscriptions);
+const platformEventHistoryModule = new PlatformEventHistoryModule(redisModule);
+const platformEventsModule = new PlatformEventsModule(io, platformEventSubscriptions, redisModule, platformEventHistoryModule);
+const platformEventForwardingModule = new PlatformEventForwardingModule(redisModule, platformEventsModule);
 const sObjectsModule = new SObjectsModule();
-const sobjectFieldSearchModule = new SObjectFieldSearchModule();
+const bulkApiModule = new BulkApiModule();
+const sobjectFieldSearchModule = new SObjectFieldSearchModule(io);
+const schemaSnapshotModule = new SchemaSnapshotModule(redisModule, sobjectFieldSearchModule);
 const orderManagementModule = new OrderManagementModule();
 const omnistudioModule = new OmnistudioModule(redisModule);
 const adminModule = new AdminModule(omnistudioModule);
+const fieldUsageModule = new FieldUsageModule(omnistudioModule);
 const agentforceModule = new AgentforceModule();
 const envManagerModule = new EnvManagerModule();
 const dataCloudModule = new DataCloudModule();
@@ -158,12 +168,20 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(session({
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'your-secret-key',
   resave: false,
   saveUninitialized: false,
   cookie: { secure: false, maxAge: 24 * 60 * 60 * 1000 } // 24 hours
-}));
+});
+app.use(sessionMiddleware);
+// Share the Express session with socket.io so sockets can join their org + user room
+io.engine.use(sessionMiddleware);
+// Event forwarding subscriptions are started again once a session of their org shows up after a restart
+app.use((req, res, next) => {
+  platformEventForwardingModule.resumeSubscriptions(req.session);
+  next();
+});
 
 // Serve React build files in production
 if (NODE_ENV === 'production') {
@@ -357,7 +375,7 @@ app.get('/api/auth/user', (req, res) => {
  *         description: Server error
  */
 app.post('/api/auth/logout', (req, res) => {
-  loginModule.handleLogout(req, res, platformEventsModule.cleanupSubscriptions.bind(platformEventsModule));
+  loginModule.handleLogout(req, res, () => platformEventsModule.releaseSessionSubscriptions(req.session.id));
 });
 
 // Platform Events Routes
@@ -366,7 +384,7 @@ app.post('/api/auth/logout', (req, res) => {
  * /api/platform-events:
  *   get:
  *     summary: Get available platform events
- *     description: Retrieve list of available Salesforce platform events
+ *     description: Retrieve list of available Salesforce platform events and Change Data Capture channels
  *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
@@ -394,6 +412,28 @@ app.post('/api/auth/logout', (req, res) => {
  *                       description:
  *                         type: string
  *                         description: Event description
+ *                 changeEventChannels:
+ *                   type: array
+ *                   description: /data/ChangeEvents, one channel per entity selected for CDC and custom channels
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       channel:
+ *                         type: string
+ *                         example: /data/OrderChangeEvent
+ *                       label:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: [standard, entity, custom]
+ *                       entities:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 changeEventDiscoveryError:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Set when the Tooling API could not be queried (only the standard channel is listed)
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
@@ -425,7 +465,37 @@ app.get('/api/platform-events', loginModule.requireAuth, (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: Array of platform event names to subscribe to
+ *                 description: Array of platform event names and/or Change Data Capture channels (e.g. /data/OrderChangeEvent) to subscribe to. Change events are emitted with a decoded changeEvent (ChangeEventHeader and field-level changes).
+ *               replayFrom:
+ *                 oneOf:
+ *                   - type: string
+ *                     enum: [stored, latest, all]
+ *                   - type: integer
+ *                 default: stored
+ *                 description: Where to start each channel - 'stored' resumes after the last received replayId, 'latest' (-1) only new events, 'all' (-2) every retained event, or an explicit ReplayId (base64 for the Pub/Sub API)
+ *               transport:
+ *                 type: string
+ *                 enum: [cometd, pubsub]
+ *                 default: cometd
+ *                 description: Streaming API (CometD) or Pub/Sub API (gRPC, Avro decoded) transport
+ *               socketId:
+ *                 type: string
+ *                 description: socket.io id of the caller, joined to its org + user room if not already registered
+ *               filters:
+ *                 type: object
+ *                 description: Per-event filter and field projection, keyed by event name, applied before events are emitted
+ *                 additionalProperties:
+ *                   type: object
+ *                   properties:
+ *                     filter:
+ *                       type: string
+ *                       example: "Status__c == 'Failed' && Amount__c > 1000"
+ *                       description: Supports || && ! == != > >= < <= in [..] contains startsWith and parentheses
+ *                     fields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Payload fields to keep (all when empty)
  *     responses:
  *       200:
  *         description: Subscription successful
@@ -445,8 +515,19 @@ app.get('/api/platform-events', loginModule.requireAuth, (req, res) => {
  *                         type: string
  *                       status:
  *                         type: string
+ *                       shared:
+ *                         type: boolean
+ *                         description: True when the session joined a subscription another user already holds (replayFrom is not applied)
+ *                       state:
+ *                         type: string
+ *                         enum: [connected, reconnecting, failed]
+ *                       listenerCount:
+ *                         type: number
+ *                 room:
+ *                   type: string
+ *                   description: socket.io room the events are delivered to
  *       400:
- *         description: Bad request - invalid event names
+ *         description: Bad request - invalid event names, replay options or filters (filterErrors lists each invalid filter)
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
@@ -461,7 +542,7 @@ app.post('/api/platform-events/subscribe', loginModule.requireAuth, (req, res) =
  * /api/platform-events/cleanup:
  *   post:
  *     summary: Cleanup platform event subscriptions
- *     description: Manually cleanup and unsubscribe from all platform event subscriptions
+ *     description: Release the current session's platform event subscriptions. Shared subscriptions stay active while other sessions still listen.
  *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
@@ -494,7 +575,7 @@ app.post('/api/platform-events/cleanup', loginModule.requireAuth, (req, res) =>
  * /api/platform-events/status:
  *   get:
  *     summary: Get platform event subscription status
- *     description: Retrieve the status of all active platform event subscriptions
+ *     description: Retrieve the status of the current session's platform event subscriptions
  *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
@@ -523,6 +604,55 @@ app.post('/api/platform-events/cleanup', loginModule.requireAuth, (req, res) =>
  *                 totalCount:
  *                   type: number
  *                   description: Total number of active subscriptions
+ *                 channels:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       eventName:
+ *                         type: string
+ *                       channel:
+ *                         type: string
+ *                       replayFrom:
+ *                         type: integer
+ *                       lastReplayId:
+ *                         type: integer
+ *                         nullable: true
+ *                       state:
+ *                         type: string
+ *                         enum: [connected, reconnecting, failed]
+ *                         description: Health of the CometD / Pub/Sub connection (also pushed as the subscriptionState socket event)
+ *                       stateReason:
+ *                         type: string
+ *                         nullable: true
+ *                       reconnectAttempts:
+ *                         type: integer
+ *                       nextRetryAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       lastConnectedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       listenerCount:
+ *                         type: number
+ *                         description: Sessions sharing this subscription
+ *                       filter:
+ *                         type: string
+ *                         nullable: true
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 failedSubscriptionsCount:
+ *                   type: number
+ *                   description: Subscriptions that gave up reconnecting (not counted as active)
+ *                 reconnectingSubscriptionsCount:
+ *                   type: number
+ *                 sharedSubscriptionsCount:
+ *                   type: number
+ *                   description: Subscriptions held by the server across all sessions
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
@@ -532,32 +662,26 @@ app.get('/api/platform-events/status', loginModule.requireAuth, (req, res) => {
   platformEventsModule.getSubscriptionStatus(req, res);
 });
 
-// SObjects Routes
 /**
  * @swagger
- * /api/sobjects/search:
+ * /api/platform-events/metrics:
  *   get:
- *     summary: Search Salesforce SObjects
- *     description: Search for Salesforce SObjects by name or label
- *     tags: [SObjects]
+ *     summary: Platform event throughput and latency metrics
+ *     description: Per-channel event counts, events/minute, publish-to-receive latency (payload CreatedDate or change event commitTimestamp vs receive time) and CometD/Pub/Sub connection events for the current org
+ *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
  *     parameters:
  *       - in: query
- *         name: q
- *         required: true
+ *         name: format
  *         schema:
  *           type: string
- *         description: Search query
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *         description: Maximum number of results to return
+ *           enum: [json, prometheus]
+ *           default: json
+ *         description: prometheus returns the Prometheus text exposition format
  *     responses:
  *       200:
- *         description: Search results retrieved successfully
+ *         description: Channel metrics
  *         content:
  *           application/json:
  *             schema:
@@ -565,40 +689,117 @@ app.get('/api/platform-events/status', loginModule.requireAuth, (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 results:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 totals:
+ *                   type: object
+ *                 channels:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       name:
+ *                       channel:
  *                         type: string
- *                       label:
- *                         type: string
- *                       keyPrefix:
+ *                       transport:
  *                         type: string
+ *                       active:
+ *                         type: boolean
+ *                       received:
+ *                         type: integer
+ *                       duplicates:
+ *                         type: integer
+ *                       replayed:
+ *                         type: integer
+ *                       eventsPerMinute:
+ *                         type: number
+ *                       latency:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           avgMs:
+ *                             type: integer
+ *                           p50Ms:
+ *                             type: integer
+ *                           p95Ms:
+ *                             type: integer
+ *                           maxMs:
+ *                             type: integer
+ *                       connection:
+ *                         type: object
+ *                         description: Counts of handshake, reconnect, handshakeError, connectError, transportDown and streamError
+ *                       series:
+ *                         type: array
+ *                         description: Per-minute counts and average latency for the last 30 minutes
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             minute:
+ *                               type: string
+ *                               format: date-time
+ *                             count:
+ *                               type: integer
+ *                             avgLatencyMs:
+ *                               type: integer
+ *                               nullable: true
+ *           text/plain:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Bad request - missing search query
+ *         description: Unknown format
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
  *         description: Server error
  */
-app.get('/api/sobjects/search', loginModule.requireAuth, (req, res) => {
-  sObjectsModule.searchSObjects(req, res);
+app.get('/api/platform-events/metrics', loginModule.requireAuth, (req, res) => {
+  platformEventsModule.getMetrics(req, res);
 });
 
 /**
  * @swagger
- * /api/sobjects/all:
+ * /api/platform-events/history:
  *   get:
- *     summary: Get all Salesforce SObjects
- *     description: Retrieve list of all available Salesforce SObjects
- *     tags: [SObjects]
+ *     summary: Search received platform event history
+ *     description: Events received for the current org, newest first. Stored per channel in a capped Redis stream (in-memory ring buffer when Redis is offline).
+ *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *         description: Comma separated channels or event names (all channels when omitted)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start of the time range (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End of the time range (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive full-text search in the payload, event name and replayId
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
  *     responses:
  *       200:
- *         description: SObjects retrieved successfully
+ *         description: Matching events
  *         content:
  *           application/json:
  *             schema:
@@ -606,165 +807,111 @@ app.get('/api/sobjects/search', loginModule.requireAuth, (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 sobjects:
+ *                 storage:
+ *                   type: string
+ *                   enum: [redis, memory]
+ *                 channels:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *                 events:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       name:
+ *                       eventName:
  *                         type: string
- *                       label:
+ *                       channel:
  *                         type: string
- *                       keyPrefix:
+ *                       transport:
  *                         type: string
- *                       custom:
- *                         type: boolean
+ *                       replayId:
+ *                         type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       payload:
+ *                         type: object
+ *       400:
+ *         description: Invalid time range or pagination parameters
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
  *         description: Server error
  */
-app.get('/api/sobjects/all', loginModule.requireAuth, (req, res) => {
-  sObjectsModule.fetchAllSObjects(req, res);
+app.get('/api/platform-events/history', loginModule.requireAuth, (req, res) => {
+  platformEventHistoryModule.getHistory(req, res);
 });
 
 /**
  * @swagger
- * /api/sobjects/{sobjectName}/describe:
+ * /api/platform-events/history/export:
  *   get:
- *     summary: Describe a Salesforce SObject
- *     description: Get detailed metadata and field information for a specific SObject
- *     tags: [SObjects]
+ *     summary: Export platform event history
+ *     description: Download all events matching the history filters as CSV (one column per payload field) or NDJSON
+ *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
  *     parameters:
- *       - in: path
- *         name: sobjectName
- *         required: true
+ *       - in: query
+ *         name: format
  *         schema:
  *           type: string
- *         description: Name of the SObject to describe
- *     responses:
- *       200:
- *         description: SObject description retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 describe:
- *                   type: object
- *                   properties:
- *                     name:
- *                       type: string
- *                     label:
- *                       type: string
- *                     fields:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           name:
- *                             type: string
- *                           label:
- *                             type: string
- *                           type:
- *                             type: string
- *       401:
- *         description: Unauthorized - user not authenticated
- *       404:
- *         description: SObject not found
- *       500:
- *         description: Server error
- */
-app.get('/api/sobjects/:sobjectName/describe', loginModule.requireAuth, (req, res) => {
-  sObjectsModule.describeSObject(req, res);
-});
-
-/**
- * @swagger
- * /api/sobjects/{sobjectName}/query:
- *   get:
- *     summary: Query records from a Salesforce SObject
- *     description: Execute SOQL query to retrieve records from a specific SObject
- *     tags: [SObjects]
- *     security:
- *       - sessionAuth: []
- *     parameters:
- *       - in: path
- *         name: sobjectName
- *         required: true
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: channel
  *         schema:
  *           type: string
- *         description: Name of the SObject to query
  *       - in: query
- *         name: fields
+ *         name: from
  *         schema:
  *           type: string
- *         description: Comma-separated list of fields to retrieve
  *       - in: query
- *         name: where
+ *         name: to
  *         schema:
  *           type: string
- *         description: WHERE clause for the SOQL query
  *       - in: query
- *         name: limit
+ *         name: search
  *         schema:
- *           type: integer
- *           default: 100
- *         description: Maximum number of records to return
+ *           type: string
  *     responses:
  *       200:
- *         description: Query executed successfully
+ *         description: Export file
  *         content:
- *           application/json:
+ *           text/csv:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 records:
- *                   type: array
- *                   items:
- *                     type: object
- *                 totalSize:
- *                   type: number
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Bad request - invalid query parameters
+ *         description: Invalid format or filters
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
  *         description: Server error
  */
-app.get('/api/sobjects/:sobjectName/query', loginModule.requireAuth, (req, res) => {
-  sObjectsModule.querySObjectRecords(req, res);
+app.get('/api/platform-events/history/export', loginModule.requireAuth, (req, res) => {
+  platformEventHistoryModule.exportHistory(req, res);
 });
 
 /**
  * @swagger
- * /api/sobjects/execute-soql:
- *   post:
- *     summary: Execute free text SOQL query
- *     description: Execute a custom SOQL query provided by the user
- *     tags: [SObjects]
+ * /api/platform-events/forwarding/rules:
+ *   get:
+ *     summary: List event forwarding rules
+ *     description: Outbound forwarding rules of the current org. The server keeps its own subscription to the channel of every enabled rule, so events are forwarded without a browser listening.
+ *     tags: [Platform Events]
  *     security:
  *       - sessionAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               query:
- *                 type: string
- *                 description: The SOQL query to execute
- *                 example: "SELECT Id, Name, CreatedDate FROM Account LIMIT 10"
  *     responses:
  *       200:
- *         description: Query executed successfully
+ *         description: Forwarding rules (secrets are never returned)
  *         content:
  *           application/json:
  *             schema:
@@ -772,116 +919,2085 @@ app.get('/api/sobjects/:sobjectName/query', loginModule.requireAuth, (req, res)
  *               properties:
  *                 success:
  *                   type: boolean
- *                 records:
+ *                 rules:
  *                   type: array
  *                   items:
  *                     type: object
- *                 totalSize:
- *                   type: integer
- *                 done:
- *                   type: boolean
- *       400:
- *         description: Bad request - invalid SOQL query
- *       401:
- *         description: Unauthorized - user not authenticated
- *       500:
- *         description: Server error
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       channel:
+ *                         type: string
+ *                         description: Platform event (/event/Name__e) or change event (/data/...) channel
+ *                       filter:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Optional filter expression (same syntax as subscription filters)
+ *                       url:
+ *                         type: string
+ *                         description: http(s) endpoint receiving a JSON POST per matching event
+ *                       hasSecret:
+ *                         type: boolean
+ *                         description: "Whether deliveries are signed (X-Event-Signature: sha256=HMAC of \"<X-Event-Timestamp>.<body>\")"
+ *                       enabled:
+ *                         type: boolean
+ *                       maxAttempts:
+ *                         type: integer
+ *                         minimum: 1
+ *                         maximum: 10
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 subscriptions:
+ *                   type: array
+ *                   description: Forwarding subscription of each channel with an enabled rule
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       channel:
+ *                         type: string
+ *                       subscribed:
+ *                         type: boolean
+ *                       error:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Why the last subscribe attempt failed
+ *       401:
+ *         description: Unauthorized - not authenticated, or the session has no org
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create an event forwarding rule
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, channel, url]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *               filter:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *                 description: HMAC-SHA256 signing secret
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               maxAttempts:
+ *                 type: integer
+ *                 default: 5
+ *     responses:
+ *       200:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule (channel, URL or filter)
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/platform-events/forwarding/rules', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.listRules(req, res);
+});
+
+app.post('/api/platform-events/forwarding/rules', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.createRule(req, res);
+});
+
+/**
+ * @swagger
+ * /api/platform-events/forwarding/rules/{ruleId}:
+ *   put:
+ *     summary: Update an event forwarding rule
+ *     description: Fields that are omitted (including the secret) keep their current value
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *               filter:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               secret:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *               maxAttempts:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid rule
+ *       403:
+ *         description: The rule was created by another user
+ *       404:
+ *         description: Rule not found
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete an event forwarding rule
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       403:
+ *         description: The rule was created by another user
+ *       404:
+ *         description: Rule not found
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.put('/api/platform-events/forwarding/rules/:ruleId', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.updateRule(req, res);
+});
+
+app.delete('/api/platform-events/forwarding/rules/:ruleId', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.deleteRule(req, res);
+});
+
+/**
+ * @swagger
+ * /api/platform-events/forwarding/deliveries:
+ *   get:
+ *     summary: Event forwarding delivery log
+ *     description: Recent delivery attempts (newest first) and dead-lettered deliveries that exhausted their retries
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           deliveryId:
+ *                             type: string
+ *                           ruleName:
+ *                             type: string
+ *                           eventName:
+ *                             type: string
+ *                           attempt:
+ *                             type: integer
+ *                           status:
+ *                             type: integer
+ *                             nullable: true
+ *                           success:
+ *                             type: boolean
+ *                           error:
+ *                             type: string
+ *                             nullable: true
+ *                           durationMs:
+ *                             type: integer
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                     deadLetters:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     stats:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/platform-events/forwarding/deliveries', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.getDeliveries(req, res);
+});
+
+/**
+ * @swagger
+ * /api/platform-events/forwarding/dead-letters/{deliveryId}/retry:
+ *   post:
+ *     summary: Retry a dead-lettered delivery
+ *     description: Removes the delivery from the dead letters and makes one delivery attempt; if it fails the delivery is dead-lettered again
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retry result
+ *       403:
+ *         description: The delivery's rule was created by another user
+ *       404:
+ *         description: Dead letter not found
+ *       409:
+ *         description: The delivery's rule no longer exists
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/platform-events/forwarding/dead-letters/:deliveryId/retry', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.retryDeadLetter(req, res);
+});
+
+/**
+ * @swagger
+ * /api/platform-events/forwarding/dead-letters:
+ *   delete:
+ *     summary: Clear dead-lettered deliveries
+ *     description: Clears the dead letters of the caller's rules and of rules that no longer exist
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Dead letters cleared
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.delete('/api/platform-events/forwarding/dead-letters', loginModule.requireAuth, (req, res) => {
+  platformEventForwardingModule.clearDeadLetters(req, res);
+});
+
+/**
+ * @swagger
+ * /api/platform-events/{eventName}/publish:
+ *   post:
+ *     summary: Publish platform events
+ *     description: Validate payloads against the platform event's describe metadata (types, required fields, lengths) and publish a single event or a bulk batch via the REST / sObject collections API
+ *     tags: [Platform Events]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Platform event API name (ending in __e)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payload:
+ *                 type: object
+ *                 description: Field values for a single event
+ *                 example: { "Status__c": "Failed", "Order_Id__c": "801000000000001AAA" }
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 description: Field values for each event of a bulk publish
+ *     responses:
+ *       200:
+ *         description: Publish attempted; per-event results returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: True when every event was published
+ *                 publishedCount:
+ *                   type: integer
+ *                 failedCount:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       success:
+ *                         type: boolean
+ *                       id:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Validation failed - per-event validationErrors returned
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/platform-events/:eventName/publish', loginModule.requireAuth, (req, res) => {
+  platformEventsModule.publishPlatformEvent(req, res);
+});
+
+// SObjects Routes
+/**
+ * @swagger
+ * /api/sobjects/search:
+ *   get:
+ *     summary: Search Salesforce SObjects
+ *     description: Search for Salesforce SObjects by name or label
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Maximum number of results to return
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       keyPrefix:
+ *                         type: string
+ *       400:
+ *         description: Bad request - missing search query
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/search', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.searchSObjects(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/all:
+ *   get:
+ *     summary: Get all Salesforce SObjects
+ *     description: Retrieve list of all available Salesforce SObjects
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: SObjects retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sobjects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       keyPrefix:
+ *                         type: string
+ *                       custom:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/all', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.fetchAllSObjects(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/describe:
+ *   get:
+ *     summary: Describe a Salesforce SObject
+ *     description: Get detailed metadata and field information for a specific SObject
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the SObject to describe
+ *     responses:
+ *       200:
+ *         description: SObject description retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 describe:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     fields:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       404:
+ *         description: SObject not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/:sobjectName/describe', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.describeSObject(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/fields/{fieldName}/usage:
+ *   get:
+ *     summary: Analyze where a field is used
+ *     description: |
+ *       Usage report of one field, to decide whether it can be retired. Checks cached OmniStudio Integration
+ *       Procedures and OmniScripts, Data Mapper items, metadata dependencies from the Tooling API (Apex classes,
+ *       triggers, flows, validation rules, layouts) and whether records hold a value. Standard fields are not
+ *       tracked by the dependency API, so only Apex source is scanned for them. A section that cannot be
+ *       checked reports its error and the rest of the report is still returned.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SObject API name
+ *       - in: path
+ *         name: fieldName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Field API name
+ *     responses:
+ *       200:
+ *         description: Field usage report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sobject:
+ *                   type: string
+ *                 field:
+ *                   type: object
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     referenceCount:
+ *                       type: integer
+ *                     hasData:
+ *                       type: boolean
+ *                       nullable: true
+ *                     retirementCandidate:
+ *                       type: boolean
+ *                       description: No references and no data, with every source checked
+ *                 omniStudio:
+ *                   type: object
+ *                   description: Cached IPs and OmniScripts whose steps mention the field
+ *                 dataMappers:
+ *                   type: object
+ *                   description: Data Mapper bundles mapping the field
+ *                 metadata:
+ *                   type: object
+ *                   description: apexClasses, apexTriggers, flows, validationRules, layouts and other references (null when not checked)
+ *                 data:
+ *                   type: object
+ *                   description: populatedCount and totalCount, or sampleSize when only a sample of records was read
+ *                 analyzedAt:
+ *                   type: string
+ *       400:
+ *         description: Invalid SObject or field name
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Field not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/:sobjectName/fields/:fieldName/usage', loginModule.requireAuth, (req, res) => {
+  fieldUsageModule.getFieldUsage(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/picklists/{fieldName}/dependency-matrix:
+ *   get:
+ *     summary: Dependent picklist matrix
+ *     description: |
+ *       Controller to dependent value mappings of a picklist, decoded from the validFor bitmaps of the describe.
+ *       With recordTypeId the matrix is read from the UI API and limited to the values of that record type.
+ *       A picklist without a controlling field returns its values only.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SObject API name
+ *       - in: path
+ *         name: fieldName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dependent picklist field API name
+ *       - in: query
+ *         name: recordTypeId
+ *         schema:
+ *           type: string
+ *         description: Limit the matrix to the values available in this record type
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv downloads one row per dependent value and one column per controller value
+ *     responses:
+ *       200:
+ *         description: Dependency matrix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sobject:
+ *                   type: string
+ *                 recordTypeId:
+ *                   type: string
+ *                   nullable: true
+ *                 recordTypes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 matrix:
+ *                   type: object
+ *                   properties:
+ *                     controller:
+ *                       type: object
+ *                       nullable: true
+ *                     dependent:
+ *                       type: object
+ *                     controllerValues:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     dependentValues:
+ *                       type: array
+ *                       description: Values with validFor, the controller values under which they can be picked
+ *                       items:
+ *                         type: object
+ *                     mappings:
+ *                       type: array
+ *                       description: Each controller value with the dependent values it allows
+ *                       items:
+ *                         type: object
+ *                     unreachableValues:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid name, record type ID or format, or the field is not a picklist
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Field not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/:sobjectName/picklists/:fieldName/dependency-matrix', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.getPicklistDependencyMatrix(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/picklists/{fieldName}/record-type-availability:
+ *   get:
+ *     summary: Picklist values per record type
+ *     description: Which available record types offer each value of a picklist, and their default value, from the UI API
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SObject API name
+ *       - in: path
+ *         name: fieldName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Picklist field API name
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv downloads one row per value and one column per record type
+ *     responses:
+ *       200:
+ *         description: Availability of each value by record type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sobject:
+ *                   type: string
+ *                 availability:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: object
+ *                     recordTypes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     values:
+ *                       type: array
+ *                       description: Values with availableIn, the IDs of the record types offering them
+ *                       items:
+ *                         type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid name or format, or the field is not a picklist
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Field not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/:sobjectName/picklists/:fieldName/record-type-availability', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.getPicklistRecordTypeAvailability(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/record/{id}:
+ *   get:
+ *     summary: Get a single record by ID
+ *     description: Resolve the SObject from the key prefix of the record ID, return every readable field of the record (binary fields excluded) and the first rows of each child relationship.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 15 or 18 character Salesforce record ID
+ *       - in: query
+ *         name: relatedLimit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 50
+ *         description: Rows to fetch per related list
+ *     responses:
+ *       200:
+ *         description: Record retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 id:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Value of the SObject's name field
+ *                 sobject:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     keyPrefix:
+ *                       type: string
+ *                 fields:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       referenceTo:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       relationshipName:
+ *                         type: string
+ *                 record:
+ *                   type: object
+ *                 relatedLimit:
+ *                   type: integer
+ *                 relatedLists:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       relationshipName:
+ *                         type: string
+ *                       childSObject:
+ *                         type: string
+ *                       field:
+ *                         type: string
+ *                       records:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       hasMore:
+ *                         type: boolean
+ *                       error:
+ *                         type: string
+ *                         description: Set when the relationship could not be queried
+ *       400:
+ *         description: Invalid record ID
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       404:
+ *         description: No SObject for the key prefix, or no record with this ID
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/record/:id', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.getRecord(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/query:
+ *   get:
+ *     summary: Query records from a Salesforce SObject
+ *     description: Execute SOQL query to retrieve records from a specific SObject
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the SObject to query
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of fields to retrieve
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *         description: WHERE condition for the SOQL query. It may not contain clauses such as LIMIT or ORDER BY outside parentheses, and strings and parentheses must be balanced.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of records to return
+ *     responses:
+ *       200:
+ *         description: Query executed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 totalSize:
+ *                   type: number
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/:sobjectName/query', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.querySObjectRecords(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/execute-soql:
+ *   post:
+ *     summary: Execute free text SOQL query
+ *     description: Execute a custom SOQL query provided by the user
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 description: The SOQL query to execute
+ *                 example: "SELECT Id, Name, CreatedDate FROM Account LIMIT 10"
+ *     responses:
+ *       200:
+ *         description: Query executed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 totalSize:
+ *                   type: integer
+ *                 done:
+ *                   type: boolean
+ *       400:
+ *         description: Bad request - invalid SOQL query
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/execute-soql', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.executeFreeSOQLQuery(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/explain:
+ *   post:
+ *     summary: Explain a SOQL query plan
+ *     description: Return the query plans Salesforce considers for a SOQL query (REST query resource with explain), without running the query. Plans come cheapest first; the first plan is the one Salesforce uses. A relative cost above 1 means the query is not selective.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 description: The SOQL query to explain
+ *                 example: "SELECT Id FROM Account WHERE Name = 'Acme'"
+ *     responses:
+ *       200:
+ *         description: Query plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sourceQuery:
+ *                   type: string
+ *                 selective:
+ *                   type: boolean
+ *                   description: Whether the plan Salesforce uses is selective
+ *                 plans:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       leadingOperationType:
+ *                         type: string
+ *                         description: Index, Other, Sharing or TableScan
+ *                       sobjectType:
+ *                         type: string
+ *                       cardinality:
+ *                         type: integer
+ *                       sobjectCardinality:
+ *                         type: integer
+ *                       relativeCost:
+ *                         type: number
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       selective:
+ *                         type: boolean
+ *                       notes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             description:
+ *                               type: string
+ *                             fields:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                             tableEnumOrId:
+ *                               type: string
+ *       400:
+ *         description: SOQL query is required, or Salesforce rejected it (errorCode is MALFORMED_QUERY, INVALID_FIELD, INVALID_TYPE, ...)
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/explain', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.explainQuery(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/sosl:
+ *   post:
+ *     summary: Search records with SOSL
+ *     description: Build and run a SOSL query (FIND {term} IN group FIELDS RETURNING Object(fields LIMIT n), ...). The search term is escaped and object and field names are validated. Results are grouped per requested object.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - searchTerm
+ *               - objects
+ *             properties:
+ *               searchTerm:
+ *                 type: string
+ *                 description: Text to find; * and ? wildcards are supported
+ *                 example: jane.doe@example.com
+ *               searchIn:
+ *                 type: string
+ *                 enum: [ALL, NAME, EMAIL, PHONE, SIDEBAR]
+ *                 default: ALL
+ *               objects:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Contact
+ *                     fields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Fields to return in addition to Id
+ *                       example: [Name, Email, AccountId]
+ *                     limit:
+ *                       type: integer
+ *                       maximum: 2000
+ *               limit:
+ *                 type: integer
+ *                 maximum: 2000
+ *                 description: Overall limit across all objects
+ *     responses:
+ *       200:
+ *         description: Search completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sosl:
+ *                   type: string
+ *                 totalSize:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sobject:
+ *                         type: string
+ *                       records:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Invalid search term, search group, object or field name, or limit
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/sosl', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.searchRecords(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/records:
+ *   patch:
+ *     summary: Save record changes
+ *     description: Create, update and delete records of an SObject in one batched save through the sObject Collections API. Fields are checked against the describe (createable/updateable); rows are saved independently (allOrNone false) and results are reported per row.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The API name of the SObject
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               create:
+ *                 type: array
+ *                 description: New records (field name to value)
+ *                 items:
+ *                   type: object
+ *                 example: [{ "Name": "Acme" }]
+ *               update:
+ *                 type: array
+ *                 description: Changed fields of existing records, each with its Id
+ *                 items:
+ *                   type: object
+ *                 example: [{ "Id": "001000000000001AAA", "Industry": "Energy" }]
+ *               delete:
+ *                 type: array
+ *                 description: Ids of records to delete
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Changes processed; check each row's success flag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       operation:
+ *                         type: string
+ *                         enum: [create, update, delete]
+ *                       index:
+ *                         type: integer
+ *                         description: Position of the row in its request array
+ *                       id:
+ *                         type: string
+ *                       success:
+ *                         type: boolean
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             statusCode:
+ *                               type: string
+ *                             message:
+ *                               type: string
+ *                             fields:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     deleted:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *       400:
+ *         description: Bad request - invalid SObject name, no changes or malformed body
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.patch('/api/sobjects/:sobjectName/records', loginModule.requireAuth, (req, res) => {
+  sObjectsModule.saveRecords(req, res);
+});
+
+// Bulk API 2.0 Query Routes
+/**
+ * @swagger
+ * /api/sobjects/bulk-query:
+ *   post:
+ *     summary: Create a Bulk API 2.0 query job
+ *     description: Start a Bulk API 2.0 query job for extracts too large for execute-soql. With destination "download" the CSV is streamed to the browser from the results endpoint once the job completes; with "disk" the server writes the CSV to BULK_EXPORT_DIR in the background and serves the file when done. Jobs and their server-side exports are removed after a day.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: "SELECT Id, OrderId, Product2Id, Quantity FROM OrderItem"
+ *               queryAll:
+ *                 type: boolean
+ *                 description: Include deleted and archived records
+ *                 default: false
+ *               destination:
+ *                 type: string
+ *                 enum: [download, disk]
+ *                 default: download
+ *     responses:
+ *       200:
+ *         description: Job created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *                       enum: [UploadComplete, InProgress, JobComplete, Failed, Aborted]
+ *                     destination:
+ *                       type: string
+ *       400:
+ *         description: Bad request - missing query or invalid destination
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/bulk-query', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.createQueryJob(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/bulk-query/{jobId}:
+ *   get:
+ *     summary: Get bulk query job progress
+ *     description: Salesforce job state and processed record count, plus the server-side export progress for disk exports
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *                     numberRecordsProcessed:
+ *                       type: integer
+ *                     errorMessage:
+ *                       type: string
+ *                     export:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         state:
+ *                           type: string
+ *                           enum: [waiting, writing, complete, failed]
+ *                         recordsWritten:
+ *                           type: integer
+ *                         bytesWritten:
+ *                           type: integer
+ *                         error:
+ *                           type: string
+ *       400:
+ *         description: Invalid job Id
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Abort or remove a bulk query job
+ *     description: Aborts the job if it is still running and deletes its server-side export file
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job aborted or removed
+ *       400:
+ *         description: Invalid job Id
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/bulk-query/:jobId', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.getQueryJob(req, res);
+});
+
+app.delete('/api/sobjects/bulk-query/:jobId', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.deleteQueryJob(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/bulk-query/{jobId}/results:
+ *   get:
+ *     summary: Download bulk query results
+ *     description: Streams the result CSV page by page (header written once), or sends the finished server-side export file
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid job Id
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       409:
+ *         description: The job or the server-side export has not completed
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/bulk-query/:jobId/results', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.downloadQueryResults(req, res);
+});
+
+// Bulk API 2.0 Ingest (Data Loader) Routes
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/bulk-ingest/upload:
+ *   post:
+ *     summary: Upload a CSV for a bulk data load
+ *     description: Stores the CSV on the server (100 MB max), returns its columns, record count and a preview, and suggests a field for each column by API name or label
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: CSV stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 upload:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     fileName:
+ *                       type: string
+ *                     recordCount:
+ *                       type: integer
+ *                     headers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     preview:
+ *                       type: string
+ *                 mapping:
+ *                   type: object
+ *                   description: Suggested field API name (or null) per CSV column
+ *                   additionalProperties:
+ *                     type: string
+ *                     nullable: true
+ *       400:
+ *         description: Missing, empty or oversized file
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/:sobjectName/bulk-ingest/upload', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.uploadIngestFile(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/{sobjectName}/bulk-ingest:
+ *   post:
+ *     summary: Start a bulk data load
+ *     description: Rewrites an uploaded CSV with the mapped fields as columns and runs it as a Bulk API 2.0 ingest job. Mapped fields are checked against the describe for the operation.
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - uploadId
+ *               - operation
+ *               - mapping
+ *             properties:
+ *               uploadId:
+ *                 type: string
+ *               operation:
+ *                 type: string
+ *                 enum: [insert, update, upsert, delete]
+ *               mapping:
+ *                 type: object
+ *                 description: Field API name per CSV column; null or missing columns are skipped
+ *                 example: { "Account Name": "Name", "Ext Id": "External_Id__c" }
+ *               externalIdFieldName:
+ *                 type: string
+ *                 description: Match field for upsert (Id or an external ID field)
+ *               blankAsNull:
+ *                 type: boolean
+ *                 description: Clear fields for blank cells (Bulk API ignores blank values otherwise)
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Job created and data uploaded
+ *       400:
+ *         description: Invalid operation or mapping
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       404:
+ *         description: Upload not found
+ *       409:
+ *         description: An ingest job is already being created from this upload
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/:sobjectName/bulk-ingest', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.createIngestJob(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/bulk-ingest/{jobId}:
+ *   get:
+ *     summary: Get bulk data load progress
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *                       enum: [Open, UploadComplete, InProgress, JobComplete, Failed, Aborted]
+ *                     numberRecordsProcessed:
+ *                       type: integer
+ *                     numberRecordsFailed:
+ *                       type: integer
+ *                     errorMessage:
+ *                       type: string
+ *       400:
+ *         description: Invalid job Id
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/bulk-ingest/:jobId', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.getIngestJob(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/bulk-ingest/{jobId}/results/{kind}:
+ *   get:
+ *     summary: Download bulk data load results
+ *     description: Successful records (with sf__Id and sf__Created), failed records (with sf__Error) or records that were not processed, as CSV
+ *     tags: [SObjects]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [successful, failed, unprocessed]
+ *     responses:
+ *       200:
+ *         description: CSV file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid job Id or result kind
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/bulk-ingest/:jobId/results/:kind', loginModule.requireAuth, (req, res) => {
+  bulkApiModule.downloadIngestResults(req, res);
+});
+
+// SObject Field Search Routes
+/**
+ * @swagger
+ * /api/sobjects/field-search/build-cache:
+ *   post:
+ *     summary: Start a field metadata cache build
+ *     description: Start a background job that caches field metadata for all SObjects in the org (excluding Share, Change, History, Feed suffixes). Progress is pushed on the fieldCacheBuildProgress socket event. An interrupted build resumes from its checkpoint, and an existing cache is refreshed incrementally (only SObjects modified since the last build are described, using If-Modified-Since).
+ *     tags: [SObject Field Search]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               full:
+ *                 type: boolean
+ *                 description: Describe every SObject again instead of refreshing only the modified ones
+ *               restart:
+ *                 type: boolean
+ *                 description: Discard the checkpoint of an interrupted build instead of resuming it
+ *     responses:
+ *       200:
+ *         description: A build is already running for the org; returns that job (alreadyRunning=true)
+ *       202:
+ *         description: Build started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [running, completed, failed, cancelled]
+ *                     mode:
+ *                       type: string
+ *                       enum: [full, incremental]
+ *                     resumedFrom:
+ *                       type: string
+ *                       nullable: true
+ *                     totalCount:
+ *                       type: integer
+ *                     processedCount:
+ *                       type: integer
+ *                     describedCount:
+ *                       type: integer
+ *                     unchangedCount:
+ *                       type: integer
+ *                     errorCount:
+ *                       type: integer
+ *                     currentSObject:
+ *                       type: string
+ *                       nullable: true
+ *                     startedAt:
+ *                       type: string
+ *                     finishedAt:
+ *                       type: string
+ *                       nullable: true
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/sobjects/field-search/build-cache', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.buildFieldMetadataCache(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/field-search/build-jobs/{jobId}:
+ *   get:
+ *     summary: Get a cache build job
+ *     description: Progress of a field metadata cache build job of the current org (the same payload as the fieldCacheBuildProgress socket event)
+ *     tags: [SObject Field Search]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job not found
+ *   delete:
+ *     summary: Cancel a cache build job
+ *     description: The job stops after the current batch and keeps its checkpoint, so the next build resumes where it stopped
+ *     tags: [SObject Field Search]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation requested
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not running
+ */
+app.get('/api/sobjects/field-search/build-jobs/:jobId', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.getBuildJob(req, res);
+});
+
+app.delete('/api/sobjects/field-search/build-jobs/:jobId', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.cancelBuildJob(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/field-search/cache-status:
+ *   get:
+ *     summary: Check field cache status
+ *     description: Check if field metadata cache exists for the current org
+ *     tags: [SObject Field Search]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache status retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 cached:
+ *                   type: boolean
+ *                 sobjectCount:
+ *                   type: integer
+ *                 cachedAt:
+ *                   type: string
+ *                 buildJob:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The running or most recent cache build job of the org
+ *                 checkpoint:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Progress saved by an interrupted build, which the next build resumes
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     mode:
+ *                       type: string
+ *                     processedCount:
+ *                       type: integer
+ *                     savedAt:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/field-search/cache-status', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.getCacheStatus(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/field-search/search:
+ *   get:
+ *     summary: Search SObjects by field name
+ *     description: |
+ *       Search the cached field metadata. API names and labels are tokenized (camelCase, underscores, namespaces),
+ *       query tokens tolerate one typo from 4 characters and two from 8, and results are ranked by relevance.
+ *       The query may be omitted when at least one filter is given.
+ *     tags: [SObject Field Search]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         description: Field name or label search query (minimum 2 characters, optional when filtering)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated field types, e.g. reference,picklist
+ *       - in: query
+ *         name: externalId
+ *         schema:
+ *           type: boolean
+ *         description: Only External ID fields (true) or only other fields (false)
+ *       - in: query
+ *         name: custom
+ *         schema:
+ *           type: boolean
+ *         description: Only custom fields (true) or only standard fields (false)
+ *       - in: query
+ *         name: namespace
+ *         schema:
+ *           type: string
+ *         description: Managed package namespace prefix of the field, e.g. vlocity_cmt
+ *       - in: query
+ *         name: picklistValue
+ *         schema:
+ *           type: string
+ *         description: Only picklist fields with an active value containing this text
+ *       - in: query
+ *         name: referenceTo
+ *         schema:
+ *           type: string
+ *         description: Only lookup fields referencing this SObject, e.g. Account
+ *       - in: query
+ *         name: fieldLimit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 200
+ *         description: Maximum matching fields returned per SObject
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *         description: Maximum SObjects returned
+ *     responses:
+ *       200:
+ *         description: Search results, best matches first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sobjects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                       matchingFields:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             name:
+ *                               type: string
+ *                             label:
+ *                               type: string
+ *                             type:
+ *                               type: string
+ *                             score:
+ *                               type: number
+ *                             matchedOn:
+ *                               type: string
+ *                               enum: [name, label, tokens, fuzzy, filter]
+ *                             externalId:
+ *                               type: boolean
+ *                             referenceTo:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                             matchingPicklistValues:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                       matchCount:
+ *                         type: integer
+ *                 totalMatches:
+ *                   type: integer
+ *                 totalFieldMatches:
+ *                   type: integer
+ *                 searchQuery:
+ *                   type: string
+ *                 filters:
+ *                   type: object
+ *                 outdatedCache:
+ *                   type: boolean
+ *                   description: The cache predates filter metadata; a full rebuild enables the externalId, referenceTo and picklistValue filters
+ *                 cachedAt:
+ *                   type: string
+ *       400:
+ *         description: Missing query or invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/sobjects/field-search/search', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.searchByFieldName(req, res);
+});
+
+/**
+ * @swagger
+ * /api/sobjects/field-search/sobject/{sobjectName}:
+ *   get:
+ *     summary: Get cached fields of an SObject
+ *     description: Return the fields of one SObject from the field metadata cache without calling Salesforce. Used by the SOQL editor for instant autocomplete while the full describe loads.
+ *     tags: [SObject Field Search]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sobjectName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SObject API name (case-insensitive)
+ *     responses:
+ *       200:
+ *         description: Cached fields, or cached=false when the org has no cache yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 cached:
+ *                   type: boolean
+ *                 sobject:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     fields:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                 excludedSystemFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 cachedAt:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: SObject not found in the cache
+ *       500:
+ *         description: Server error
  */
-app.post('/api/sobjects/execute-soql', loginModule.requireAuth, (req, res) => {
-  sObjectsModule.executeFreeSOQLQuery(req, res);
+app.get('/api/sobjects/field-search/sobject/:sobjectName', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.getCachedSObjectFields(req, res);
 });
 
-// SObject Field Search Routes
 /**
  * @swagger
- * /api/sobjects/field-search/build-cache:
- *   post:
- *     summary: Build field metadata cache
- *     description: Build and cache field metadata for all SObjects in the org (excluding Share, Change, History, Feed suffixes)
+ * /api/sobjects/field-search/clear-cache:
+ *   delete:
+ *     summary: Clear field metadata cache
+ *     description: Clear the cached field metadata for the current org
  *     tags: [SObject Field Search]
  *     security:
  *       - sessionAuth: []
  *     responses:
  *       200:
- *         description: Cache built successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 sobjectCount:
- *                   type: integer
- *                 errorCount:
- *                   type: integer
- *                 cachedAt:
- *                   type: string
+ *         description: Cache cleared successfully
  *       401:
- *         description: Unauthorized - user not authenticated
+ *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-app.post('/api/sobjects/field-search/build-cache', loginModule.requireAuth, (req, res) => {
-  sobjectFieldSearchModule.buildFieldMetadataCache(req, res);
+app.delete('/api/sobjects/field-search/clear-cache', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.clearCache(req, res);
 });
 
 /**
  * @swagger
- * /api/sobjects/field-search/cache-status:
+ * /api/sobjects/field-search/cache-data:
  *   get:
- *     summary: Check field cache status
- *     description: Check if field metadata cache exists for the current org
+ *     summary: Get detailed field cache data
+ *     description: Retrieve detailed statistics and full cache data for admin viewing
  *     tags: [SObject Field Search]
  *     security:
  *       - sessionAuth: []
  *     responses:
  *       200:
- *         description: Cache status retrieved
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 cached:
- *                   type: boolean
- *                 sobjectCount:
- *                   type: integer
- *                 cachedAt:
- *                   type: string
+ *         description: Cache data retrieved successfully
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-app.get('/api/sobjects/field-search/cache-status', loginModule.requireAuth, (req, res) => {
-  sobjectFieldSearchModule.getCacheStatus(req, res);
+app.get('/api/sobjects/field-search/cache-data', loginModule.requireAuth, (req, res) => {
+  sobjectFieldSearchModule.getCacheData(req, res);
 });
 
+// Schema Snapshot Routes
 /**
  * @swagger
- * /api/sobjects/field-search/search:
+ * /api/sobjects/schema-snapshots:
  *   get:
- *     summary: Search SObjects by field name
- *     description: Search for SObjects that contain fields matching the query
- *     tags: [SObject Field Search]
+ *     summary: List schema snapshots
+ *     description: List the saved schema snapshots of every org (without their objects), newest first. Snapshots taken in the current org are flagged with currentOrg.
+ *     tags: [Schema Snapshots]
  *     security:
  *       - sessionAuth: []
- *     parameters:
- *       - in: query
- *         name: query
- *         required: true
- *         schema:
- *           type: string
- *           minLength: 2
- *         description: Field name search query (minimum 2 characters)
  *     responses:
  *       200:
- *         description: Search results
+ *         description: Snapshot summaries
  *         content:
  *           application/json:
  *             schema:
@@ -889,83 +3005,209 @@ app.get('/api/sobjects/field-search/cache-status', loginModule.requireAuth, (req
  *               properties:
  *                 success:
  *                   type: boolean
- *                 sobjects:
+ *                 currentOrgId:
+ *                   type: string
+ *                 snapshots:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
+ *                       id:
+ *                         type: string
  *                       name:
  *                         type: string
- *                       label:
+ *                       orgId:
  *                         type: string
- *                       matchingFields:
- *                         type: array
- *                         items:
- *                           type: object
- *                           properties:
- *                             name:
- *                               type: string
- *                             label:
- *                               type: string
- *                             type:
- *                               type: string
- *                       matchCount:
+ *                       orgName:
+ *                         type: string
+ *                       instanceUrl:
+ *                         type: string
+ *                       createdBy:
+ *                         type: string
+ *                       createdByUserId:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                       sobjectCount:
  *                         type: integer
- *                 totalMatches:
- *                   type: integer
- *                 searchQuery:
- *                   type: string
- *                 cachedAt:
- *                   type: string
+ *                       fieldCount:
+ *                         type: integer
+ *                       errorCount:
+ *                         type: integer
+ *                       currentOrg:
+ *                         type: boolean
+ *                       canDelete:
+ *                         type: boolean
+ *                         description: Whether the current user took the snapshot and may delete it
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Server error
+ *   post:
+ *     summary: Take a schema snapshot
+ *     description: Describe every queryable SObject of the current org (same loop as the field metadata cache) and save its objects, fields, types, lengths and picklist values under a name
+ *     tags: [Schema Snapshots]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 80
+ *                 example: "Production before release 42"
+ *     responses:
+ *       200:
+ *         description: Snapshot saved; returns its summary
+ *       400:
+ *         description: Missing or too long snapshot name
+ *       401:
+ *         description: Unauthorized, or the session has no org or user
+ *       500:
+ *         description: Server error
  */
-app.get('/api/sobjects/field-search/search', loginModule.requireAuth, (req, res) => {
-  sobjectFieldSearchModule.searchByFieldName(req, res);
+app.get('/api/sobjects/schema-snapshots', loginModule.requireAuth, (req, res) => {
+  schemaSnapshotModule.getSnapshots(req, res);
+});
+
+app.post('/api/sobjects/schema-snapshots', loginModule.requireAuth, (req, res) => {
+  schemaSnapshotModule.createSnapshot(req, res);
 });
 
 /**
  * @swagger
- * /api/sobjects/field-search/clear-cache:
- *   delete:
- *     summary: Clear field metadata cache
- *     description: Clear the cached field metadata for the current org
- *     tags: [SObject Field Search]
+ * /api/sobjects/schema-snapshots/diff:
+ *   get:
+ *     summary: Diff two schema snapshots
+ *     description: Report the objects, fields and picklist values the target snapshot adds, removes or changes relative to the base snapshot. The snapshots may come from different orgs.
+ *     tags: [Schema Snapshots]
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the base snapshot (e.g. production)
+ *       - in: query
+ *         name: target
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the target snapshot (e.g. the sandbox to deploy)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, markdown]
+ *           default: json
+ *         description: json returns the diff object; markdown downloads a report
  *     responses:
  *       200:
- *         description: Cache cleared successfully
+ *         description: The diff as JSON, or a Markdown report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 diff:
+ *                   type: object
+ *                   properties:
+ *                     identical:
+ *                       type: boolean
+ *                     summary:
+ *                       type: object
+ *                     addedObjects:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     removedObjects:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     changedObjects:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing snapshot IDs or invalid format
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Snapshot not found
  *       500:
  *         description: Server error
  */
-app.delete('/api/sobjects/field-search/clear-cache', loginModule.requireAuth, (req, res) => {
-  sobjectFieldSearchModule.clearCache(req, res);
+app.get('/api/sobjects/schema-snapshots/diff', loginModule.requireAuth, (req, res) => {
+  schemaSnapshotModule.diffSnapshots(req, res);
 });
 
 /**
  * @swagger
- * /api/sobjects/field-search/cache-data:
+ * /api/sobjects/schema-snapshots/{id}:
  *   get:
- *     summary: Get detailed field cache data
- *     description: Retrieve detailed statistics and full cache data for admin viewing
- *     tags: [SObject Field Search]
+ *     summary: Download a schema snapshot
+ *     description: Return the full snapshot, including every object and field, as a JSON attachment
+ *     tags: [Schema Snapshots]
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Cache data retrieved successfully
+ *         description: The snapshot
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Snapshot not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a schema snapshot
+ *     description: Only the user who took the snapshot, in the org it was taken in, can delete it
+ *     tags: [Schema Snapshots]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Snapshot deleted
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The snapshot was taken by another user
+ *       404:
+ *         description: Snapshot not found
  *       500:
  *         description: Server error
  */
-app.get('/api/sobjects/field-search/cache-data', loginModule.requireAuth, (req, res) => {
-  sobjectFieldSearchModule.getCacheData(req, res);
+app.get('/api/sobjects/schema-snapshots/:id', loginModule.requireAuth, (req, res) => {
+  schemaSnapshotModule.getSnapshot(req, res);
+});
+
+app.delete('/api/sobjects/schema-snapshots/:id', loginModule.requireAuth, (req, res) => {
+  schemaSnapshotModule.deleteSnapshot(req, res);
 });
 
 // Order Management Routes
@@ -974,7 +3216,7 @@ app.get('/api/sobjects/field-search/cache-data', loginModule.requireAuth, (req,
  * /api/orders/search:
  *   get:
  *     summary: Search orders
- *     description: Search for orders using various criteria
+ *     description: Search orders by account name or order number and narrow them by status, subtype, created and effective date, amount and owner. Returns one sorted page with the total number of matches. Without a query or filter no orders are returned. SOQL limits OFFSET to 2000, so deeper pages need narrower filters.
  *     tags: [Order Management]
  *     security:
  *       - sessionAuth: []
@@ -983,14 +3225,100 @@ app.get('/api/sobjects/field-search/cache-data', loginModule.requireAuth, (req,
  *         name: query
  *         schema:
  *           type: string
- *         description: Search query
- *     
+ *         description: Partial account name or order number
  *       - in: query
- *         name: limit
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated vlocity_cmt__OrderStatus__c values
+ *         example: "Failed,In Progress"
+ *       - in: query
+ *         name: subtype
+ *         schema:
+ *           type: string
+ *         description: Comma-separated SubType__c values
+ *       - in: query
+ *         name: createdWithinDays
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         description: Only orders created in the last N days
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Created on or after this day (UTC)
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Created on or before this day (UTC)
+ *       - in: query
+ *         name: effectiveFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: EffectiveDate on or after this day
+ *       - in: query
+ *         name: effectiveTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: EffectiveDate on or before this day
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum TotalAmount
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum TotalAmount
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Owner user ID, or me for the logged-in user
+ *       - in: query
+ *         name: ownerName
+ *         schema:
+ *           type: string
+ *         description: Partial owner name
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdDate, effectiveDate, orderNumber, totalAmount, status, subtype, accountName, ownerName]
+ *           default: createdDate
+ *       - in: query
+ *         name: sortDirection
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 200
  *           default: 50
- *         description: Maximum number of results to return
+ *         description: Orders per page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Alias of pageSize
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -1012,8 +3340,35 @@ app.get('/api/sobjects/field-search/cache-data', loginModule.requireAuth, (req,
  *                         type: string
  *                       status:
  *                         type: string
+ *                       orderSubtype:
+ *                         type: string
+ *                       accountName:
+ *                         type: string
+ *                       effectiveDate:
+ *                         type: string
  *                       totalAmount:
  *                         type: number
+ *                       createdDate:
+ *                         type: string
+ *                       ownerId:
+ *                         type: string
+ *                       ownerName:
+ *                         type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Number of orders matching the filters
+ *                 page:
+ *                   type: integer
+ *                 pageSize:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *                 sortBy:
+ *                   type: string
+ *                 sortDirection:
+ *                   type: string
+ *       400:
+ *         description: Invalid filter, sort or page parameter
  *       401:
  *         description: Unauthorized - user not authenticated
  *       500:
@@ -1064,6 +3419,8 @@ app.get('/api/orders/search', loginModule.requireAuth, (req, res) => {
  *                         type: number
  *                       totalPrice:
  *                         type: number
+ *       400:
+ *         description: Order ID is not a 15 or 18 character Salesforce ID
  *       401:
  *         description: Unauthorized - user not authenticated
  *       404:
@@ -2948,11 +5305,14 @@ io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id, 'from:', socket.handshake.address);
   console.log('📊 Total active connections:', io.engine.clientsCount);
   activeConnections.set(socket.id, socket);
+  platformEventsModule.registerSocket(socket);
+  sobjectFieldSearchModule.registerSocket(socket);
 
   socket.on('disconnect', (reason) => {
     console.log('🔌 Client disconnected:', socket.id, 'Reason:', reason);
     console.log('📊 Total active connections:', io.engine.clientsCount - 1);
     activeConnections.delete(socket.id);
+    platformEventsModule.releaseSocket(socket);
   });
 
   socket.on('ping', () => {
@@ -3006,8 +5366,12 @@ server.listen(PORT, () => {
   console.log(`📦 Using modular architecture:`);
   console.log(`   🔐 LoginModule initialized`);
   console.log(`   📡 PlatformEventsModule initialized`);
+  console.log(`   🕘 PlatformEventHistoryModule initialized (${platformEventHistoryModule.maxEventsPerChannel} events per channel)`);
+  console.log(`   📮 PlatformEventForwardingModule initialized`);
   console.log(`   📊 SObjectsModule initialized`);
+  console.log(`   📦 BulkApiModule initialized (exports in ${bulkApiModule.exportDir})`);
   console.log(`   🔍 SObjectFieldSearchModule initialized`);
+  console.log(`   📸 SchemaSnapshotModule initialized`);
   console.log(`   ⚙️ OrderManagementModule initialized`);
   console.log(`   🔗 OmnistudioModule initialized (with Redis integration)`);
   console.log(`   🔌 RedisModule initialized (${redisModule.isAvailable() ? 'Connected' : 'Offline'})`);
@@ -1,6 +1,7 @@
 const jsforce = require('jsforce');
 const fs = require('fs');
 const path = require('path');
+const { buildSOQL, assertSalesforceId } = require('./soqlBuilder');
 
 class AdminModule {
   constructor(omnistudioModule) {
@@ -266,7 +267,9 @@ class AdminModule {
 
           // Get user details
           const userQuery = await conn.query(
-            `SELECT Id, Name, Username, Email, ProfileId, Profile.Name, UserType FROM User WHERE Id = '${sf.userId}' LIMIT 1`
+            buildSOQL('SELECT Id, Name, Username, Email, ProfileId, Profile.Name, UserType FROM User WHERE Id = :userId LIMIT 1', {
+              userId: assertSalesforceId(sf.userId, 'user ID')
+            })
           );
           
           // Get creator and modifier names
@@ -278,7 +281,9 @@ class AdminModule {
             // Query for Created By and Modified By user names
             if (orgData.CreatedById) {
               const creatorQuery = await conn.query(
-                `SELECT Name FROM User WHERE Id = '${orgData.CreatedById}' LIMIT 1`
+                buildSOQL('SELECT Name FROM User WHERE Id = :userId LIMIT 1', {
+                  userId: assertSalesforceId(orgData.CreatedById, 'user ID')
+                })
               );
               if (creatorQuery.records && creatorQuery.records.length > 0) {
                 creatorName = creatorQuery.records[0].Name;
@@ -287,7 +292,9 @@ class AdminModule {
             
             if (orgData.LastModifiedById) {
               const modifierQuery = await conn.query(
-                `SELECT Name FROM User WHERE Id = '${orgData.LastModifiedById}' LIMIT 1`
+                buildSOQL('SELECT Name FROM User WHERE Id = :userId LIMIT 1', {
+                  userId: assertSalesforceId(orgData.LastModifiedById, 'user ID')
+                })
               );
               if (modifierQuery.records && modifierQuery.records.length > 0) {
                 modifierName = modifierQuery.records[0].Name;
@@ -0,0 +1,880 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const csvParser = require('csv-parser');
+const jsforce = require('jsforce');
+const multer = require('multer');
+const { parseCSVFileStream } = require('./dataCloud');
+const { SOQLParameterError, assertSOQLIdentifier } = require('./soqlBuilder');
+
+const API_VERSION = '65.0';
+const FINAL_JOB_STATES = ['JobComplete', 'Failed', 'Aborted'];
+const EXPORT_DESTINATIONS = ['download', 'disk'];
+// Query jobs and their server exports are removed after a day
+const QUERY_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const INGEST_OPERATIONS = ['insert', 'update', 'upsert', 'delete'];
+const INGEST_RESULT_FILES = {
+  successful: 'successfulResults',
+  failed: 'failedResults',
+  unprocessed: 'unprocessedrecords'
+};
+const MAX_INGEST_FILE_BYTES = 100 * 1024 * 1024; // Bulk API 2.0 accepts up to 150 MB of base64 data per upload
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const BULK_NULL_VALUE = '#N/A'; // Bulk API ignores empty values; this clears the field instead
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Suggest a field for each CSV column: exact API name first, then name or label ignoring case,
+ * spaces and punctuation. A field is suggested for one column at most.
+ */
+function suggestFieldMapping(headers, fields) {
+  const used = new Set();
+  const mapping = {};
+  const find = (predicate) => fields.find(field => !used.has(field.name) && predicate(field));
+
+  headers.forEach(header => {
+    const normalized = normalizeName(header);
+    const field = find(f => f.name === header.trim()) ||
+      find(f => normalizeName(f.name) === normalized) ||
+      find(f => normalizeName(f.label) === normalized) ||
+      find(f => f.custom && normalizeName(f.name.replace(/__c$/i, '')) === normalized);
+    mapping[header] = field ? field.name : null;
+    if (field) {
+      used.add(field.name);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Check a column mapping for an ingest operation against the SObject describe
+ */
+function validateIngestMapping(describe, { operation, mapping, externalIdFieldName }) {
+  if (!INGEST_OPERATIONS.includes(operation)) {
+    return { error: `Invalid operation '${operation}'. Use one of: ${INGEST_OPERATIONS.join(', ')}` };
+  }
+
+  const fieldsByName = new Map(describe.fields.map(field => [field.name, field]));
+  const columns = Object.entries(mapping || {})
+    .filter(([, fieldName]) => fieldName)
+    .map(([header, fieldName]) => ({ header, field: fieldName }));
+
+  if (columns.length === 0) {
+    return { error: 'Map at least one column to a field' };
+  }
+
+  const seen = new Set();
+  for (const { header, field: fieldName } of columns) {
+    const field = fieldsByName.get(fieldName);
+    if (!field) {
+      return { error: `Column '${header}' is mapped to unknown field ${fieldName}` };
+    }
+    if (seen.has(fieldName)) {
+      return { error: `Field ${fieldName} is mapped to more than one column` };
+    }
+    seen.add(fieldName);
+
+    const isKey = fieldName === 'Id' || (operation === 'upsert' && fieldName === externalIdFieldName);
+    if (operation === 'delete' && fieldName !== 'Id') {
+      return { error: 'Delete only takes an Id column' };
+    }
+    if (!isKey && operation === 'insert' && !field.createable) {
+      return { error: `Field ${fieldName} is not createable` };
+    }
+    if (!isKey && operation === 'update' && !field.updateable) {
+      return { error: `Field ${fieldName} is not updateable` };
+    }
+    if (!isKey && operation === 'upsert' && !field.createable && !field.updateable) {
+      return { error: `Field ${fieldName} is neither createable nor updateable` };
+    }
+  }
+
+  if (['update', 'delete'].includes(operation) && !seen.has('Id')) {
+    return { error: `${operation} requires a column mapped to Id` };
+  }
+  if (operation === 'insert' && seen.has('Id')) {
+    return { error: 'Insert cannot take an Id column' };
+  }
+  if (operation === 'upsert') {
+    const externalIdField = fieldsByName.get(externalIdFieldName);
+    if (!externalIdField || (externalIdFieldName !== 'Id' && !externalIdField.externalId)) {
+      return { error: 'Upsert requires Id or an external ID field as the match field' };
+    }
+    if (!seen.has(externalIdFieldName)) {
+      return { error: `Map a column to the external ID field ${externalIdFieldName}` };
+    }
+  }
+
+  return { columns };
+}
+
+/**
+ * Bulk API 2.0 query jobs for extracts too large for the REST query endpoint.
+ *
+ * Result pages are fetched by locator and streamed as they arrive, either straight into an HTTP
+ * response (browser download) or into a CSV file on the server, so memory use stays flat
+ * regardless of the number of rows. Every page repeats the CSV header; only the first is kept.
+ */
+class BulkApiModule {
+  constructor(options = {}) {
+    this.exportDir = options.exportDir || process.env.BULK_EXPORT_DIR || path.join(__dirname, '..', 'bulk_exports');
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.pageSize = options.pageSize || null; // maxRecords per result page; Salesforce picks a size when unset
+    this.queryJobs = new Map(); // jobId -> { orgId, userId, query, destination, createdAt, export }
+    this.uploadDir = path.join(this.exportDir, 'uploads');
+    this.uploads = new Map(); // uploadId -> { orgId, userId, sobjectName, filePath, fileName, headers, recordCount, uploadedAt }
+    this.ingestJobs = new Map(); // jobId -> { orgId, userId, sobjectName, operation, fileName, recordCount, createdAt }
+    this.upload = multer({ dest: this.uploadDir, limits: { fileSize: MAX_INGEST_FILE_BYTES } });
+  }
+
+  /**
+   * Create Salesforce connection from session
+   */
+  createConnection(req) {
+    return new jsforce.Connection({
+      oauth2: req.session.oauth2,
+      accessToken: req.session.salesforce.accessToken,
+      // Lets jsforce refresh the token of long-running exports (needs the OAuth client of the session)
+      refreshToken: (req.session.oauth2 && req.session.salesforce.refreshToken) || undefined,
+      instanceUrl: req.session.salesforce.instanceUrl,
+      version: API_VERSION
+    });
+  }
+
+  getOrgId(req) {
+    return req.session.salesforce.organizationId || req.session.salesforce.orgKey || null;
+  }
+
+  getUserId(req) {
+    return req.session.salesforce.userId || null;
+  }
+
+  /**
+   * False after answering 401 for sessions without a known org and user (e.g. Bearer tokens);
+   * jobs and their files are kept per user, so there is nobody to scope them to
+   */
+  requireOwner(req, res) {
+    if (!this.getOrgId(req) || !this.getUserId(req)) {
+      res.status(401).json({ success: false, message: 'Bulk API jobs need a session with a known org and user' });
+      return false;
+    }
+    return true;
+  }
+
+  isOwner(req, record) {
+    return record.orgId === this.getOrgId(req) && record.userId === this.getUserId(req);
+  }
+
+  isValidJobId(jobId) {
+    return /^[a-zA-Z0-9]{15,18}$/.test(jobId || '');
+  }
+
+  getExportPath(jobId) {
+    return path.join(this.exportDir, `${jobId}.csv`);
+  }
+
+  /**
+   * Local job record, only visible to the user who created it
+   */
+  getQueryJobRecord(req, jobId) {
+    const job = this.queryJobs.get(jobId);
+    return job && this.isOwner(req, job) ? job : null;
+  }
+
+  /**
+   * Remove query jobs older than QUERY_JOB_TTL_MS with their server exports, and export files
+   * left behind by an earlier run of the server. Exports still being written are kept.
+   */
+  async pruneQueryJobs() {
+    const cutoff = Date.now() - QUERY_JOB_TTL_MS;
+    for (const [jobId, job] of this.queryJobs) {
+      const exporting = job.export && ['waiting', 'writing'].includes(job.export.state);
+      if (!exporting && Date.parse(job.createdAt) < cutoff) {
+        this.queryJobs.delete(jobId);
+        await fs.promises.rm(this.getExportPath(jobId), { force: true });
+      }
+    }
+
+    const fileNames = await fs.promises.readdir(this.exportDir).catch(() => []);
+    for (const fileName of fileNames) {
+      if (!fileName.endsWith('.csv') || this.queryJobs.has(path.basename(fileName, '.csv'))) {
+        continue;
+      }
+      const filePath = path.join(this.exportDir, fileName);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (stats && stats.isFile() && stats.mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Wait until a query job reaches a final state; resolves with the job info when it completed
+   */
+  async waitForQueryJob(conn, jobId, onProgress = () => {}) {
+    for (;;) {
+      const info = await conn.request(`/jobs/query/${jobId}`);
+      onProgress(info);
+      if (info.state === 'JobComplete') {
+        return info;
+      }
+      if (FINAL_JOB_STATES.includes(info.state)) {
+        throw new Error(`Bulk query job ${info.state.toLowerCase()}${info.errorMessage ? ': ' + info.errorMessage : ''}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Wait for a writable to drain, or to close when the client went away
+   */
+  async waitForDrain(writable) {
+    const controller = new AbortController();
+    try {
+      await Promise.race([
+        once(writable, 'drain', { signal: controller.signal }),
+        once(writable, 'close', { signal: controller.signal })
+      ]);
+    } finally {
+      controller.abort();
+    }
+  }
+
+  /**
+   * GET one result page with the connection's current access token. Exports can outlive the token,
+   * so a 401 goes through a jsforce request first, which refreshes the token when the session has a
+   * refresh token, and the page is requested again with the new one.
+   */
+  async requestResultPage(conn, jobId, params) {
+    const request = () => axios.get(`${conn.instanceUrl}/services/data/v${API_VERSION}/jobs/query/${jobId}/results`, {
+      params,
+      headers: { Authorization: `Bearer ${conn.accessToken}`, Accept: 'text/csv' },
+      responseType: 'stream'
+    });
+
+    try {
+      return await request();
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
+      }
+      const expiredToken = conn.accessToken;
+      await conn.request(`/jobs/query/${jobId}`);
+      if (conn.accessToken === expiredToken) {
+        throw error;
+      }
+      console.log(`🔑 [BULK_API] Access token refreshed while reading results of query job ${jobId}`);
+      return request();
+    }
+  }
+
+  /**
+   * Stream every result page of a completed query job into a writable stream
+   */
+  async streamQueryResults(conn, jobId, writable, onPage = () => {}) {
+    let locator = null;
+    let firstPage = true;
+    let records = 0;
+
+    do {
+      const response = await this.requestResultPage(conn, jobId, {
+        ...(this.pageSize ? { maxRecords: this.pageSize } : {}),
+        ...(locator ? { locator } : {})
+      });
+
+      let skippingHeader = !firstPage;
+      for await (let chunk of response.data) {
+        if (skippingHeader) {
+          const newline = chunk.indexOf(10);
+          if (newline === -1) {
+            continue;
+          }
+          chunk = chunk.subarray(newline + 1);
+          skippingHeader = false;
+        }
+        if (writable.destroyed) {
+          response.data.destroy();
+          return records;
+        }
+        if (chunk.length > 0 && !writable.write(chunk)) {
+          await this.waitForDrain(writable);
+        }
+      }
+
+      records += parseInt(response.headers['sforce-numberofrecords'], 10) || 0;
+      locator = response.headers['sforce-locator'];
+      if (locator === 'null') {
+        locator = null;
+      }
+      firstPage = false;
+      onPage({ records, locator });
+    } while (locator);
+
+    return records;
+  }
+
+  /**
+   * Background export of a query job to a CSV file on the server
+   */
+  async exportQueryJobToDisk(conn, jobId) {
+    const job = this.queryJobs.get(jobId);
+    const filePath = this.getExportPath(jobId);
+    let file = null;
+
+    try {
+      await this.waitForQueryJob(conn, jobId, info => {
+        job.export.jobState = info.state;
+        job.export.numberRecordsProcessed = info.numberRecordsProcessed || 0;
+      });
+
+      job.export.state = 'writing';
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      file = fs.createWriteStream(filePath);
+      await this.streamQueryResults(conn, jobId, file, ({ records }) => {
+        job.export.recordsWritten = records;
+        job.export.bytesWritten = file.bytesWritten;
+      });
+      file.end();
+      await once(file, 'finish');
+
+      // Removed through DELETE while the file was being written
+      if (this.queryJobs.get(jobId) !== job) {
+        await fs.promises.rm(filePath, { force: true });
+        return;
+      }
+
+      job.export.state = 'complete';
+      job.export.bytesWritten = file.bytesWritten;
+      job.export.completedAt = new Date().toISOString();
+      console.log(`✅ [BULK_API] Query job ${jobId} exported ${job.export.recordsWritten} records to ${filePath}`);
+    } catch (error) {
+      console.error(`❌ [BULK_API] Export of query job ${jobId} failed:`, error.message);
+      job.export.state = 'failed';
+      job.export.error = error.message;
+      if (file) {
+        file.destroy();
+      }
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * POST /api/sobjects/bulk-query - create a Bulk API 2.0 query job
+   */
+  async createQueryJob(req, res) {
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      await this.pruneQueryJobs();
+      const { query, queryAll = false, destination = 'download' } = req.body || {};
+
+      if (!query || query.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'SOQL query is required'
+        });
+      }
+      if (!EXPORT_DESTINATIONS.includes(destination)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid destination '${destination}'. Use one of: ${EXPORT_DESTINATIONS.join(', ')}`
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const info = await conn.requestPost('/jobs/query', {
+        operation: queryAll ? 'queryAll' : 'query',
+        query: query.trim(),
+        contentType: 'CSV',
+        columnDelimiter: 'COMMA',
+        lineEnding: 'LF'
+      });
+
+      const job = {
+        orgId: this.getOrgId(req),
+        userId: this.getUserId(req),
+        query: query.trim(),
+        destination,
+        createdAt: new Date().toISOString(),
+        export: destination === 'disk'
+          ? { state: 'waiting', jobState: info.state, numberRecordsProcessed: 0, recordsWritten: 0, bytesWritten: 0, error: null }
+          : null
+      };
+      this.queryJobs.set(info.id, job);
+      console.log(`📦 [BULK_API] Created query job ${info.id} (${destination}): ${job.query}`);
+
+      if (destination === 'disk') {
+        this.exportQueryJobToDisk(conn, info.id);
+      }
+
+      res.json({
+        success: true,
+        job: this.describeQueryJob(info, job)
+      });
+    } catch (error) {
+      console.error('❌ [BULK_API] Error creating bulk query job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create bulk query job: ' + error.message
+      });
+    }
+  }
+
+  describeQueryJob(info, job) {
+    return {
+      id: info.id,
+      state: info.state,
+      operation: info.operation,
+      object: info.object,
+      numberRecordsProcessed: info.numberRecordsProcessed || 0,
+      retries: info.retries || 0,
+      totalProcessingTime: info.totalProcessingTime || 0,
+      errorMessage: info.errorMessage || null,
+      query: job ? job.query : null,
+      destination: job ? job.destination : 'download',
+      createdAt: job ? job.createdAt : info.createdDate,
+      export: job && job.export ? { ...job.export, fileName: job.export.state === 'complete' ? `${info.id}.csv` : null } : null
+    };
+  }
+
+  /**
+   * GET /api/sobjects/bulk-query/:jobId - job state plus server-side export progress
+   */
+  async getQueryJob(req, res) {
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      const { jobId } = req.params;
+      if (!this.isValidJobId(jobId)) {
+        return res.status(400).json({ success: false, message: `Invalid job Id '${jobId}'` });
+      }
+      const conn = this.createConnection(req);
+      const info = await conn.request(`/jobs/query/${jobId}`);
+
+      res.json({
+        success: true,
+        job: this.describeQueryJob(info, this.getQueryJobRecord(req, jobId))
+      });
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error reading query job ${req.params.jobId}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to read bulk query job: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/sobjects/bulk-query/:jobId/results - download the result CSV
+   */
+  async downloadQueryResults(req, res) {
+    const { jobId } = req.params;
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      if (!this.isValidJobId(jobId)) {
+        return res.status(400).json({ success: false, message: `Invalid job Id '${jobId}'` });
+      }
+      const job = this.getQueryJobRecord(req, jobId);
+      const fileName = `bulk-query-${jobId}.csv`;
+
+      if (job && job.export) {
+        if (job.export.state !== 'complete') {
+          return res.status(409).json({
+            success: false,
+            message: `Server export is ${job.export.state}${job.export.error ? ': ' + job.export.error : ''}`
+          });
+        }
+        return res.download(this.getExportPath(jobId), fileName);
+      }
+
+      const conn = this.createConnection(req);
+      const info = await conn.request(`/jobs/query/${jobId}`);
+      if (info.state !== 'JobComplete') {
+        return res.status(409).json({
+          success: false,
+          message: `Bulk query job is ${info.state}; results are available once it completes`
+        });
+      }
+
+      console.log(`📤 [BULK_API] Streaming results of query job ${jobId}`);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      });
+      const records = await this.streamQueryResults(conn, jobId, res);
+      res.end();
+      console.log(`✅ [BULK_API] Streamed ${records} records of query job ${jobId}`);
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error downloading results of query job ${jobId}:`, error.message);
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download bulk query results: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/sobjects/bulk-query/:jobId - abort a running job and remove its server export
+   */
+  async deleteQueryJob(req, res) {
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      const { jobId } = req.params;
+      if (!this.isValidJobId(jobId)) {
+        return res.status(400).json({ success: false, message: `Invalid job Id '${jobId}'` });
+      }
+      const conn = this.createConnection(req);
+      const info = await conn.request(`/jobs/query/${jobId}`);
+
+      if (!FINAL_JOB_STATES.includes(info.state)) {
+        await conn.requestPatch(`/jobs/query/${jobId}`, { state: 'Aborted' });
+        console.log(`🛑 [BULK_API] Aborted query job ${jobId}`);
+      }
+
+      if (this.getQueryJobRecord(req, jobId)) {
+        this.queryJobs.delete(jobId);
+        await fs.promises.rm(this.getExportPath(jobId), { force: true });
+      }
+
+      res.json({
+        success: true,
+        message: FINAL_JOB_STATES.includes(info.state) ? 'Bulk query job removed' : 'Bulk query job aborted'
+      });
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error deleting query job ${req.params.jobId}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete bulk query job: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * Remove uploads that never became an ingest job
+   */
+  async pruneUploads() {
+    const cutoff = Date.now() - UPLOAD_TTL_MS;
+    for (const [uploadId, upload] of this.uploads) {
+      if (upload.uploadedAt < cutoff && !upload.inUse) {
+        this.uploads.delete(uploadId);
+        await fs.promises.rm(upload.filePath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Rewrite an uploaded CSV with the mapped field names as header, keeping only mapped columns
+   */
+  async writeMappedCSV(sourcePath, targetPath, columns, blankAsNull = false) {
+    let records = 0;
+    const toLines = async function* (rows) {
+      yield columns.map(column => toCsvValue(column.field)).join(',') + '\n';
+      for await (const row of rows) {
+        records++;
+        yield columns.map(column => {
+          const value = row[column.header];
+          return blankAsNull && (value === undefined || value === '') ? BULK_NULL_VALUE : toCsvValue(value);
+        }).join(',') + '\n';
+      }
+    };
+
+    await pipeline(fs.createReadStream(sourcePath), csvParser(), toLines, fs.createWriteStream(targetPath));
+    return records;
+  }
+
+  describeIngestJob(info, job) {
+    return {
+      id: info.id,
+      state: info.state,
+      object: info.object,
+      operation: info.operation,
+      externalIdFieldName: info.externalIdFieldName || null,
+      numberRecordsProcessed: info.numberRecordsProcessed || 0,
+      numberRecordsFailed: info.numberRecordsFailed || 0,
+      retries: info.retries || 0,
+      totalProcessingTime: info.totalProcessingTime || 0,
+      errorMessage: info.errorMessage || null,
+      fileName: job ? job.fileName : null,
+      recordCount: job ? job.recordCount : null,
+      createdAt: job ? job.createdAt : info.createdDate
+    };
+  }
+
+  /**
+   * POST /api/sobjects/:sobjectName/bulk-ingest/upload - store a CSV and suggest a column mapping
+   */
+  async uploadIngestFile(req, res) {
+    if (!this.requireOwner(req, res)) {
+      return;
+    }
+    let sobjectName;
+    try {
+      sobjectName = assertSOQLIdentifier(req.params.sobjectName, 'SObject name');
+    } catch (error) {
+      return res.status(error instanceof SOQLParameterError ? 400 : 500).json({ success: false, message: error.message });
+    }
+
+    try {
+      await fs.promises.mkdir(this.uploadDir, { recursive: true });
+      await new Promise((resolve, reject) => this.upload.single('file')(req, res, error => error ? reject(error) : resolve()));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `CSV file exceeds the ${MAX_INGEST_FILE_BYTES / 1024 / 1024} MB limit of a single Bulk API upload`
+          : 'Failed to upload CSV file: ' + error.message
+      });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A CSV file is required (form field "file")'
+        });
+      }
+
+      await this.pruneUploads();
+      const parsed = await parseCSVFileStream(req.file.path);
+      if (parsed.headers.length === 0) {
+        await fs.promises.rm(req.file.path, { force: true });
+        return res.status(400).json({
+          success: false,
+          message: 'The CSV file has no header row'
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const describe = await conn.sobject(sobjectName).describe();
+      const uploadId = req.file.filename;
+      this.uploads.set(uploadId, {
+        orgId: this.getOrgId(req),
+        userId: this.getUserId(req),
+        sobjectName,
+        filePath: req.file.path,
+        fileName: req.file.originalname,
+        headers: parsed.headers,
+        recordCount: parsed.recordCount,
+        uploadedAt: Date.now()
+      });
+      console.log(`📥 [BULK_API] Uploaded ${req.file.originalname} for ${sobjectName}: ${parsed.recordCount} records, ${parsed.headers.length} columns`);
+
+      res.json({
+        success: true,
+        upload: {
+          id: uploadId,
+          fileName: req.file.originalname,
+          recordCount: parsed.recordCount,
+          headers: parsed.headers,
+          preview: parsed.preview
+        },
+        mapping: suggestFieldMapping(parsed.headers, describe.fields)
+      });
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error reading uploaded CSV for ${req.params.sobjectName}:`, error);
+      if (req.file) {
+        await fs.promises.rm(req.file.path, { force: true });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to read CSV file: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/sobjects/:sobjectName/bulk-ingest - map an uploaded CSV and run it as an ingest job
+   */
+  async createIngestJob(req, res) {
+    const { sobjectName } = req.params;
+    const { uploadId, operation, mapping, externalIdFieldName = null, blankAsNull = false } = req.body || {};
+    const upload = this.uploads.get(uploadId);
+    let jobId = null;
+    let conn = null;
+    let claimed = false;
+
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      if (!upload || !this.isOwner(req, upload) || upload.sobjectName !== sobjectName) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upload not found; upload the CSV file again'
+        });
+      }
+      if (upload.inUse) {
+        return res.status(409).json({
+          success: false,
+          message: 'An ingest job is already being created from this upload'
+        });
+      }
+      // Claimed before the first await, so a concurrent request cannot start a second job from the same file
+      upload.inUse = true;
+      claimed = true;
+
+      conn = this.createConnection(req);
+      const describe = await conn.sobject(sobjectName).describe();
+      const { columns, error } = validateIngestMapping(describe, { operation, mapping, externalIdFieldName });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      const unknownHeader = columns.find(column => !upload.headers.includes(column.header));
+      if (unknownHeader) {
+        return res.status(400).json({ success: false, message: `Column '${unknownHeader.header}' is not in the uploaded file` });
+      }
+
+      const mappedPath = `${upload.filePath}.mapped.csv`;
+      const recordCount = await this.writeMappedCSV(upload.filePath, mappedPath, columns, blankAsNull);
+
+      const info = await conn.requestPost('/jobs/ingest', {
+        object: sobjectName,
+        operation,
+        ...(operation === 'upsert' ? { externalIdFieldName } : {}),
+        contentType: 'CSV',
+        columnDelimiter: 'COMMA',
+        lineEnding: 'LF'
+      });
+      jobId = info.id;
+
+      const { size } = await fs.promises.stat(mappedPath);
+      await axios.put(`${conn.instanceUrl}/services/data/v${API_VERSION}/jobs/ingest/${jobId}/batches`, fs.createReadStream(mappedPath), {
+        headers: { Authorization: `Bearer ${conn.accessToken}`, 'Content-Type': 'text/csv', 'Content-Length': size },
+        maxBodyLength: Infinity
+      });
+      const closed = await conn.requestPatch(`/jobs/ingest/${jobId}`, { state: 'UploadComplete' });
+
+      this.uploads.delete(uploadId);
+      await fs.promises.rm(upload.filePath, { force: true });
+      await fs.promises.rm(mappedPath, { force: true });
+
+      const job = {
+        orgId: upload.orgId,
+        userId: upload.userId,
+        sobjectName,
+        operation,
+        fileName: upload.fileName,
+        recordCount,
+        createdAt: new Date().toISOString()
+      };
+      this.ingestJobs.set(jobId, job);
+      console.log(`📦 [BULK_API] Created ${operation} ingest job ${jobId} for ${sobjectName} with ${recordCount} records`);
+
+      res.json({
+        success: true,
+        job: this.describeIngestJob({ ...info, ...closed }, job)
+      });
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error creating ingest job for ${sobjectName}:`, error.message);
+      if (upload) {
+        await fs.promises.rm(`${upload.filePath}.mapped.csv`, { force: true });
+      }
+      if (jobId) {
+        // Don't leave a half-uploaded job open in the org
+        await conn.requestPatch(`/jobs/ingest/${jobId}`, { state: 'Aborted' }).catch(() => {});
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create bulk ingest job: ' + error.message
+      });
+    } finally {
+      if (claimed) {
+        upload.inUse = false; // The upload can be mapped again unless the job took it
+      }
+    }
+  }
+
+  /**
+   * GET /api/sobjects/bulk-ingest/:jobId - ingest job state and record counts
+   */
+  async getIngestJob(req, res) {
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      const { jobId } = req.params;
+      if (!this.isValidJobId(jobId)) {
+        return res.status(400).json({ success: false, message: `Invalid job Id '${jobId}'` });
+      }
+      const conn = this.createConnection(req);
+      const info = await conn.request(`/jobs/ingest/${jobId}`);
+      const job = this.ingestJobs.get(jobId);
+
+      res.json({
+        success: true,
+        job: this.describeIngestJob(info, job && this.isOwner(req, job) ? job : null)
+      });
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error reading ingest job ${req.params.jobId}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to read bulk ingest job: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/sobjects/bulk-ingest/:jobId/results/:kind - successful, failed or unprocessed records CSV
+   */
+  async downloadIngestResults(req, res) {
+    const { jobId, kind } = req.params;
+    try {
+      if (!this.requireOwner(req, res)) {
+        return;
+      }
+      if (!this.isValidJobId(jobId)) {
+        return res.status(400).json({ success: false, message: `Invalid job Id '${jobId}'` });
+      }
+      if (!INGEST_RESULT_FILES[kind]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid result kind '${kind}'. Use one of: ${Object.keys(INGEST_RESULT_FILES).join(', ')}`
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const response = await axios.get(`${conn.instanceUrl}/services/data/v${API_VERSION}/jobs/ingest/${jobId}/${INGEST_RESULT_FILES[kind]}`, {
+        headers: { Authorization: `Bearer ${conn.accessToken}`, Accept: 'text/csv' },
+        responseType: 'stream'
+      });
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="bulk-ingest-${jobId}-${kind}.csv"`
+      });
+      await pipeline(response.data, res);
+    } catch (error) {
+      console.error(`❌ [BULK_API] Error downloading ${kind} results of ingest job ${jobId}:`, error.message);
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.status(error.response && error.response.status === 404 ? 404 : 500).json({
+        success: false,
+        message: 'Failed to download bulk ingest results: ' + error.message
+      });
+    }
+  }
+}
+
+module.exports = BulkApiModule;
+module.exports.suggestFieldMapping = suggestFieldMapping;
+module.exports.validateIngestMapping = validateIngestMapping;
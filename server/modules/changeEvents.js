@@ -0,0 +1,160 @@
+/**
+ * Change Data Capture helpers: channel names, ChangeEventHeader decoding and field-level changes.
+ *
+ * Channels:
+ *   /data/ChangeEvents          all entities selected for CDC
+ *   /data/AccountChangeEvent    a single entity (standard or Custom__ChangeEvent)
+ *   /data/Orders__chn           a custom channel
+ */
+
+const CHANGE_EVENT_CHANNEL_PATTERN = /^\/data\/[A-Za-z][A-Za-z0-9_]*$/;
+const STANDARD_CHANGE_EVENTS_CHANNEL = '/data/ChangeEvents';
+
+function isChangeEventChannel(name) {
+  return typeof name === 'string' && CHANGE_EVENT_CHANNEL_PATTERN.test(name);
+}
+
+/**
+ * Change event entity of a single-entity channel ('/data/OrderChangeEvent' -> 'OrderChangeEvent'), else null
+ */
+function getChangeEventEntity(channel) {
+  const name = channel.substring('/data/'.length);
+  return /ChangeEvent$/.test(name) ? name : null;
+}
+
+/**
+ * Read a value case-insensitively, following dotted paths for compound fields (BillingAddress.City)
+ */
+function readPath(payload, path) {
+  return path.split('.').reduce((value, segment) => {
+    if (value === null || value === undefined || typeof value !== 'object') {
+      return undefined;
+    }
+    const key = Object.keys(value).find(name => name.toLowerCase() === segment.toLowerCase());
+    return key !== undefined ? value[key] : undefined;
+  }, payload);
+}
+
+/**
+ * The record schema of an Avro field, unwrapping ['null', record] unions
+ */
+function getRecordFields(avroType) {
+  const types = Array.isArray(avroType) ? avroType : [avroType];
+  const record = types.find(type => type && typeof type === 'object' && type.type === 'record');
+  return record ? record.fields : null;
+}
+
+/**
+ * Names of the fields whose bit is set in a hex bitmap ('0x...'), bit 0 being the first field
+ */
+function fieldsFromBitmap(hex, fields, prefix = '') {
+  const bits = BigInt(hex);
+  const names = [];
+  fields.forEach((field, index) => {
+    if ((bits >> BigInt(index)) & 1n) {
+      names.push(prefix + field.name);
+    }
+  });
+  return names;
+}
+
+/**
+ * Pub/Sub API change events encode changedFields/nulledFields/diffFields as bitmaps over the
+ * Avro schema: '0x...' for top-level fields and 'N-0x...' for the nested fields of field N.
+ * CometD already sends field names, which are returned unchanged.
+ */
+function expandFieldBitmap(values, schemaJson) {
+  if (!Array.isArray(values) || values.length === 0 || !values.some(value => /^(\d+-)?0x[0-9a-f]+$/i.test(value))) {
+    return values || [];
+  }
+
+  const schema = typeof schemaJson === 'string' ? JSON.parse(schemaJson) : schemaJson;
+  const topLevelFields = schema.fields || [];
+  const names = [];
+
+  // Compound parents (e.g. Name) are reported through their nested bitmap entries instead
+  const nestedParents = new Set(values
+    .map(value => /^(\d+)-/.exec(value))
+    .filter(Boolean)
+    .map(match => topLevelFields[parseInt(match[1], 10)])
+    .filter(Boolean)
+    .map(field => field.name));
+
+  values.forEach(value => {
+    const nested = /^(\d+)-(0x[0-9a-f]+)$/i.exec(value);
+    if (nested) {
+      const parent = topLevelFields[parseInt(nested[1], 10)];
+      const nestedFields = parent ? getRecordFields(parent.type) : null;
+      if (nestedFields) {
+        names.push(...fieldsFromBitmap(nested[2], nestedFields, `${parent.name}.`));
+      }
+    } else if (/^0x[0-9a-f]+$/i.test(value)) {
+      names.push(...fieldsFromBitmap(value, topLevelFields).filter(name => !nestedParents.has(name)));
+    } else {
+      names.push(value);
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Normalize the ChangeEventHeader of a change event payload (null for platform events)
+ */
+function decodeChangeEventHeader(payload, schemaJson = null) {
+  const header = readPath(payload, 'ChangeEventHeader');
+  if (!header || typeof header !== 'object') {
+    return null;
+  }
+
+  const expand = (values) => schemaJson ? expandFieldBitmap(values, schemaJson) : (values || []);
+  const commitTimestamp = readPath(header, 'commitTimestamp');
+
+  return {
+    entityName: readPath(header, 'entityName'),
+    changeType: readPath(header, 'changeType'),
+    changeOrigin: readPath(header, 'changeOrigin') || '',
+    transactionKey: readPath(header, 'transactionKey'),
+    sequenceNumber: readPath(header, 'sequenceNumber'),
+    commitTimestamp: commitTimestamp !== undefined && commitTimestamp !== null ? Number(commitTimestamp) : null,
+    commitNumber: readPath(header, 'commitNumber'),
+    commitUser: readPath(header, 'commitUser'),
+    recordIds: readPath(header, 'recordIds') || [],
+    changedFields: expand(readPath(header, 'changedFields')),
+    nulledFields: expand(readPath(header, 'nulledFields')),
+    diffFields: expand(readPath(header, 'diffFields'))
+  };
+}
+
+/**
+ * Field-level changes of a change event. previousValues (field -> value, from earlier events of
+ * the same record) adds previousValue where known.
+ */
+function buildFieldChanges(payload, header, previousValues = null) {
+  let fields;
+  if (header.changeType === 'CREATE' || header.changeType === 'UNDELETE') {
+    fields = Object.keys(payload).filter(name => name !== 'ChangeEventHeader' && payload[name] !== null && payload[name] !== undefined);
+  } else if (header.changeType === 'UPDATE') {
+    fields = [...new Set([...header.changedFields, ...header.nulledFields])];
+  } else {
+    fields = []; // DELETE and GAP_* events carry no field values
+  }
+
+  return fields.map(field => {
+    const value = readPath(payload, field);
+    const change = { field, value: value === undefined ? null : value };
+    if (previousValues && Object.prototype.hasOwnProperty.call(previousValues, field)) {
+      change.previousValue = previousValues[field];
+    }
+    return change;
+  });
+}
+
+module.exports = {
+  STANDARD_CHANGE_EVENTS_CHANNEL,
+  isChangeEventChannel,
+  getChangeEventEntity,
+  expandFieldBitmap,
+  decodeChangeEventHeader,
+  buildFieldChanges
+};
@@ -1945,4 +1945,5 @@ class DataCloudModule {
 }
 
 module.exports = DataCloudModule;
+module.exports.parseCSVFileStream = parseCSVFileStream;
 
@@ -0,0 +1,329 @@
+/**
+ * Small, safe expression language for filtering platform event payloads (no eval).
+ *
+ *   Status__c == 'Failed' && Amount__c > 1000
+ *   !(Region__c in ['EMEA', 'APAC']) || Description__c contains 'urgent'
+ *
+ * Operators: || && ! == != > >= < <= in contains startsWith, parentheses.
+ * Identifiers are payload fields (matched case-insensitively, dotted paths allowed);
+ * literals are 'strings', "strings", numbers, true, false, null and [lists].
+ */
+
+class FilterSyntaxError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} at position ${position + 1}` : message);
+    this.name = 'FilterSyntaxError';
+    this.position = position;
+  }
+}
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const KEYWORDS = { true: true, false: false, null: null };
+const WORD_OPERATORS = ['in', 'contains', 'startsWith'];
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', ...WORD_OPERATORS];
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const twoChars = expression.substr(i, 2);
+    if (['&&', '||', '==', '!=', '>=', '<='].includes(twoChars)) {
+      tokens.push({ type: 'operator', value: twoChars, position: i });
+      i += 2;
+      continue;
+    }
+
+    if ('!<>'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if ('()[],'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < expression.length && expression[j] !== char) {
+        if (expression[j] === '\\' && j + 1 < expression.length) {
+          j++;
+        }
+        value += expression[j];
+        j++;
+      }
+      if (j >= expression.length) {
+        throw new FilterSyntaxError('Unterminated string', i);
+      }
+      tokens.push({ type: 'literal', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const numberMatch = /^-?\d+(\.\d+)?/.exec(expression.slice(i));
+    if (numberMatch && (char !== '-' || !tokens.length || tokens[tokens.length - 1].type === 'operator' || ['(', '[', ','].includes(tokens[tokens.length - 1].value))) {
+      tokens.push({ type: 'literal', value: Number(numberMatch[0]), position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(expression.slice(i));
+    if (wordMatch) {
+      const word = wordMatch[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: i });
+      } else if (WORD_OPERATORS.includes(word)) {
+        tokens.push({ type: 'operator', value: word, position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+      continue;
+    }
+
+    throw new FilterSyntaxError(`Unexpected character '${char}'`, i);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing a plain AST
+ */
+function parse(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isToken = (value) => peek() && peek().value === value && peek().type !== 'literal';
+  const expect = (value) => {
+    if (!isToken(value)) {
+      const token = peek();
+      throw new FilterSyntaxError(`Expected '${value}'`, token ? token.position : undefined);
+    }
+    index++;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isToken('||')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isToken('&&')) {
+      index++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isToken('!')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token && token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      index++;
+      const right = token.value === 'in' ? parseList() : parseOperand();
+      return { type: 'compare', operator: token.value, left, right };
+    }
+    return left;
+  };
+
+  const parseList = () => {
+    const token = peek();
+    if (!isToken('[')) {
+      throw new FilterSyntaxError("Expected a list after 'in'", token ? token.position : undefined);
+    }
+    index++;
+    const items = [];
+    while (!isToken(']')) {
+      const item = peek();
+      if (!item || item.type !== 'literal') {
+        throw new FilterSyntaxError('Lists may only contain literals', item ? item.position : undefined);
+      }
+      items.push(item.value);
+      index++;
+      if (!isToken(']')) {
+        expect(',');
+      }
+    }
+    index++;
+    return { type: 'list', items };
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (!token) {
+      throw new FilterSyntaxError('Unexpected end of expression');
+    }
+    if (isToken('(')) {
+      index++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'literal') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'identifier') {
+      index++;
+      return { type: 'field', path: token.value.split('.') };
+    }
+    throw new FilterSyntaxError(`Unexpected '${token.value}'`, token.position);
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new FilterSyntaxError(`Unexpected '${tokens[index].value}'`, tokens[index].position);
+  }
+  return ast;
+}
+
+/**
+ * Read a (dotted) field path from a payload, matching each segment case-insensitively
+ */
+function readField(payload, path) {
+  let value = payload;
+  for (const segment of path) {
+    if (value === null || value === undefined || typeof value !== 'object') {
+      return undefined;
+    }
+    const key = Object.keys(value).find(name => name.toLowerCase() === segment.toLowerCase());
+    value = key !== undefined ? value[key] : undefined;
+  }
+  return value;
+}
+
+function evaluate(node, payload) {
+  switch (node.type) {
+    case 'or':
+      return !!evaluate(node.left, payload) || !!evaluate(node.right, payload);
+    case 'and':
+      return !!evaluate(node.left, payload) && !!evaluate(node.right, payload);
+    case 'not':
+      return !evaluate(node.operand, payload);
+    case 'literal':
+      return node.value;
+    case 'field':
+      return readField(payload, node.path);
+    case 'list':
+      return node.items;
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, payload), evaluate(node.right, payload));
+    default:
+      return false;
+  }
+}
+
+function compare(operator, left, right) {
+  // Treat missing fields like null so `Field__c == null` works for absent values
+  const leftValue = left === undefined ? null : left;
+  const rightValue = right === undefined ? null : right;
+
+  switch (operator) {
+    case '==':
+      return leftValue === rightValue;
+    case '!=':
+      return leftValue !== rightValue;
+    case '>':
+    case '>=':
+    case '<':
+    case '<=': {
+      if (leftValue === null || rightValue === null || typeof leftValue !== typeof rightValue) {
+        return false;
+      }
+      if (operator === '>') return leftValue > rightValue;
+      if (operator === '>=') return leftValue >= rightValue;
+      if (operator === '<') return leftValue < rightValue;
+      return leftValue <= rightValue;
+    }
+    case 'in':
+      return Array.isArray(rightValue) && rightValue.includes(leftValue);
+    case 'contains':
+      return typeof leftValue === 'string' && typeof rightValue === 'string' && leftValue.toLowerCase().includes(rightValue.toLowerCase());
+    case 'startsWith':
+      return typeof leftValue === 'string' && typeof rightValue === 'string' && leftValue.toLowerCase().startsWith(rightValue.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+function collectFields(node, fields = new Set()) {
+  if (node.type === 'field') {
+    fields.add(node.path.join('.'));
+  }
+  ['left', 'right', 'operand'].forEach(child => {
+    if (node[child]) {
+      collectFields(node[child], fields);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Compile a filter expression. Throws FilterSyntaxError for invalid expressions.
+ * Returns { expression, fields, matches(payload) }.
+ */
+function compileFilter(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new FilterSyntaxError('Filter expression must be a non-empty string');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new FilterSyntaxError(`Filter expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const ast = parse(tokenize(expression));
+  return {
+    expression: expression.trim(),
+    fields: Array.from(collectFields(ast)),
+    matches: (payload) => !!evaluate(ast, payload || {})
+  };
+}
+
+/**
+ * Keep only the requested fields of a payload (case-insensitive, original casing preserved)
+ */
+function projectFields(payload, fields) {
+  if (!payload || !fields || fields.length === 0) {
+    return payload;
+  }
+  const wanted = new Set(fields.map(field => field.toLowerCase()));
+  return Object.keys(payload)
+    .filter(name => wanted.has(name.toLowerCase()))
+    .reduce((projected, name) => {
+      projected[name] = payload[name];
+      return projected;
+    }, {});
+}
+
+module.exports = {
+  FilterSyntaxError,
+  compileFilter,
+  projectFields
+};
@@ -0,0 +1,252 @@
+/**
+ * Per-channel throughput, latency and connection metrics for platform event subscriptions.
+ *
+ * Latency is receive time minus publish time, where publish time is the payload's CreatedDate
+ * (ChangeEventHeader.commitTimestamp for change events). Events published before the subscription
+ * started are replays: they are counted but kept out of the latency figures. Events seen twice
+ * (same EventUuid, e.g. redelivered after a rehandshake) are counted as duplicates only.
+ */
+
+const CONNECTION_EVENT_TYPES = ['handshake', 'reconnect', 'handshakeError', 'connectError', 'transportDown', 'streamError'];
+
+class PlatformEventMetrics {
+  constructor(options = {}) {
+    this.windowMinutes = options.windowMinutes || 60; // Minute buckets kept per channel
+    this.seriesMinutes = options.seriesMinutes || 30; // Minutes returned for sparklines
+    this.rateMinutes = options.rateMinutes || 5; // Window of the events/minute average
+    this.maxLatencySamples = options.maxLatencySamples || 500;
+    this.maxTrackedUuids = options.maxTrackedUuids || 1000;
+    this.now = options.now || Date.now;
+    this.orgs = new Map(); // orgId -> Map(`${transport}|${channel}` -> channel metrics)
+  }
+
+  getChannel(orgId, channel, transport, eventName = null) {
+    if (!this.orgs.has(orgId)) {
+      this.orgs.set(orgId, new Map());
+    }
+    const channels = this.orgs.get(orgId);
+    const key = `${transport}|${channel}`;
+    if (!channels.has(key)) {
+      channels.set(key, {
+        channel,
+        transport,
+        eventName,
+        received: 0,
+        duplicates: 0,
+        replayed: 0,
+        firstEventAt: null,
+        lastEventAt: null,
+        buckets: new Map(), // minute start (ms) -> { count, latencySum, latencyCount }
+        latencySamples: [],
+        latencySum: 0,
+        latencyCount: 0,
+        recentUuids: new Set(),
+        connection: Object.fromEntries(CONNECTION_EVENT_TYPES.map(type => [type, 0])),
+        lastError: null,
+        lastErrorAt: null
+      });
+    }
+    const metrics = channels.get(key);
+    metrics.eventName = metrics.eventName || eventName;
+    return metrics;
+  }
+
+  /**
+   * Publish time (ms) of an event payload, or null when it carries none
+   */
+  getPublishTime(payload) {
+    if (!payload) {
+      return null;
+    }
+    const value = payload.ChangeEventHeader ? payload.ChangeEventHeader.commitTimestamp : payload.CreatedDate;
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+  }
+
+  /**
+   * Record a received event
+   */
+  recordEvent(orgId, { channel, transport, eventName, payload, eventUuid, subscribedAt }) {
+    const metrics = this.getChannel(orgId, channel, transport, eventName);
+    const receivedAt = this.now();
+
+    if (eventUuid) {
+      if (metrics.recentUuids.has(eventUuid)) {
+        metrics.duplicates++;
+        return;
+      }
+      metrics.recentUuids.add(eventUuid);
+      if (metrics.recentUuids.size > this.maxTrackedUuids) {
+        metrics.recentUuids.delete(metrics.recentUuids.values().next().value);
+      }
+    }
+
+    metrics.received++;
+    metrics.firstEventAt = metrics.firstEventAt || receivedAt;
+    metrics.lastEventAt = receivedAt;
+
+    const minute = Math.floor(receivedAt / 60000) * 60000;
+    if (!metrics.buckets.has(minute)) {
+      metrics.buckets.set(minute, { count: 0, latencySum: 0, latencyCount: 0 });
+      this.pruneBuckets(metrics);
+    }
+    const bucket = metrics.buckets.get(minute);
+    bucket.count++;
+
+    const publishedAt = this.getPublishTime(payload);
+    if (publishedAt === null) {
+      return;
+    }
+    if (subscribedAt && publishedAt < subscribedAt) {
+      metrics.replayed++;
+      return;
+    }
+
+    const latency = Math.max(0, receivedAt - publishedAt);
+    bucket.latencySum += latency;
+    bucket.latencyCount++;
+    metrics.latencySum += latency;
+    metrics.latencyCount++;
+    metrics.latencySamples.push(latency);
+    if (metrics.latencySamples.length > this.maxLatencySamples) {
+      metrics.latencySamples.shift();
+    }
+  }
+
+  /**
+   * Record a connection-level event (handshake, reconnect, errors) for a channel
+   */
+  recordConnectionEvent(orgId, { channel, transport, eventName }, type, error = null) {
+    if (!CONNECTION_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown connection event type: ${type}`);
+    }
+    const metrics = this.getChannel(orgId, channel, transport, eventName);
+    metrics.connection[type]++;
+    if (error) {
+      metrics.lastError = error;
+      metrics.lastErrorAt = this.now();
+    }
+  }
+
+  pruneBuckets(metrics) {
+    const oldest = Math.floor(this.now() / 60000) * 60000 - (this.windowMinutes - 1) * 60000;
+    for (const minute of metrics.buckets.keys()) {
+      if (minute < oldest) {
+        metrics.buckets.delete(minute);
+      }
+    }
+  }
+
+  percentile(sorted, p) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  }
+
+  describeChannel(metrics) {
+    this.pruneBuckets(metrics);
+    const currentMinute = Math.floor(this.now() / 60000) * 60000;
+
+    const series = [];
+    for (let i = this.seriesMinutes - 1; i >= 0; i--) {
+      const minute = currentMinute - i * 60000;
+      const bucket = metrics.buckets.get(minute);
+      series.push({
+        minute: new Date(minute).toISOString(),
+        count: bucket ? bucket.count : 0,
+        avgLatencyMs: bucket && bucket.latencyCount > 0 ? Math.round(bucket.latencySum / bucket.latencyCount) : null
+      });
+    }
+
+    const recentCount = series.slice(-this.rateMinutes).reduce((sum, point) => sum + point.count, 0);
+    const sorted = [...metrics.latencySamples].sort((a, b) => a - b);
+
+    return {
+      channel: metrics.channel,
+      transport: metrics.transport,
+      eventName: metrics.eventName,
+      received: metrics.received,
+      duplicates: metrics.duplicates,
+      replayed: metrics.replayed,
+      eventsPerMinute: Math.round(recentCount / this.rateMinutes * 100) / 100,
+      lastMinute: series[series.length - 1].count,
+      firstEventAt: metrics.firstEventAt ? new Date(metrics.firstEventAt).toISOString() : null,
+      lastEventAt: metrics.lastEventAt ? new Date(metrics.lastEventAt).toISOString() : null,
+      latency: sorted.length > 0 ? {
+        samples: sorted.length,
+        avgMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50Ms: this.percentile(sorted, 0.5),
+        p95Ms: this.percentile(sorted, 0.95),
+        maxMs: sorted[sorted.length - 1]
+      } : null,
+      latencySumMs: metrics.latencySum,
+      latencyCount: metrics.latencyCount,
+      connection: { ...metrics.connection },
+      lastError: metrics.lastError,
+      lastErrorAt: metrics.lastErrorAt ? new Date(metrics.lastErrorAt).toISOString() : null,
+      series
+    };
+  }
+
+  /**
+   * Metrics of every channel seen in an org
+   */
+  snapshot(orgId) {
+    const channels = this.orgs.get(orgId);
+    return channels ? [...channels.values()].map(metrics => this.describeChannel(metrics)) : [];
+  }
+
+  /**
+   * Render channel snapshots in the Prometheus text exposition format
+   */
+  toPrometheus(orgId, snapshots) {
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const labels = (snapshot, extra = {}) => {
+      const all = { org: orgId, channel: snapshot.channel, transport: snapshot.transport, ...extra };
+      return '{' + Object.entries(all).map(([name, value]) => `${name}="${escape(value)}"`).join(',') + '}';
+    };
+
+    const lines = [];
+    const metric = (name, type, help, rows) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      rows.forEach(row => lines.push(row));
+    };
+
+    metric('platform_events_received_total', 'counter', 'Platform events received per channel',
+      snapshots.map(s => `platform_events_received_total${labels(s)} ${s.received}`));
+    metric('platform_events_duplicates_total', 'counter', 'Events received again with an already seen EventUuid',
+      snapshots.map(s => `platform_events_duplicates_total${labels(s)} ${s.duplicates}`));
+    metric('platform_events_replayed_total', 'counter', 'Events published before the subscription started',
+      snapshots.map(s => `platform_events_replayed_total${labels(s)} ${s.replayed}`));
+    metric('platform_events_per_minute', 'gauge', `Average events per minute over the last ${this.rateMinutes} minutes`,
+      snapshots.map(s => `platform_events_per_minute${labels(s)} ${s.eventsPerMinute}`));
+    metric('platform_events_subscription_active', 'gauge', 'Whether the channel currently has a subscription',
+      snapshots.map(s => `platform_events_subscription_active${labels(s)} ${s.active ? 1 : 0}`));
+
+    const latencyRows = [];
+    snapshots.forEach(s => {
+      if (s.latency) {
+        latencyRows.push(`platform_event_latency_ms${labels(s, { quantile: '0.5' })} ${s.latency.p50Ms}`);
+        latencyRows.push(`platform_event_latency_ms${labels(s, { quantile: '0.95' })} ${s.latency.p95Ms}`);
+      }
+      latencyRows.push(`platform_event_latency_ms_sum${labels(s)} ${s.latencySumMs}`);
+      latencyRows.push(`platform_event_latency_ms_count${labels(s)} ${s.latencyCount}`);
+    });
+    metric('platform_event_latency_ms', 'summary', 'Publish-to-receive latency in milliseconds', latencyRows);
+
+    metric('platform_events_connection_events_total', 'counter', 'Handshakes, reconnects and connection errors per channel',
+      snapshots.flatMap(s => CONNECTION_EVENT_TYPES.map(type =>
+        `platform_events_connection_events_total${labels(s, { type })} ${s.connection[type]}`)));
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONNECTION_EVENT_TYPES,
+  PlatformEventMetrics
+};
@@ -0,0 +1,274 @@
+/**
+ * Search index over the cached field metadata. Field API names and labels are split into tokens
+ * (camelCase, underscores, namespaces), so "order item" finds OrderItemId and vlocity_cmt__OrderItem__c,
+ * and query tokens may be misspelled by one or two characters. Filters narrow the fields by type and
+ * attributes; the remaining fields are ranked by how well they match.
+ */
+
+const DEFAULT_FIELD_LIMIT = 10;
+const MAX_FIELD_LIMIT = 200;
+const DEFAULT_OBJECT_LIMIT = 100;
+const MAX_OBJECT_LIMIT = 500;
+const MIN_QUERY_LENGTH = 2;
+const BOOLEAN_FILTERS = ['externalId', 'custom'];
+
+/**
+ * Lowercase tokens of an API name or label: vlocity_cmt__OrderItemId__c -> vlocity, cmt, order, item, id, c
+ */
+function tokenizeIdentifier(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/([a-zA-Z])([0-9])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Namespace prefix of an API name (vlocity_cmt__Status__c -> vlocity_cmt), null for standard and unmanaged names
+ */
+function getNamespace(name) {
+  const parts = name.split('__');
+  return parts.length >= 3 ? parts[0].toLowerCase() : null;
+}
+
+const compact = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions), giving up above max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos tolerated per query token: none for short tokens, one from 4 characters, two from 8
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+/**
+ * Index entries for every field of the cached metadata ({ SObjectName: { name, label, fields } })
+ */
+function buildFieldSearchIndex(metadata) {
+  const entries = [];
+  Object.values(metadata).forEach(sobject => {
+    sobject.fields.forEach(field => {
+      entries.push({
+        sobject,
+        field,
+        name: field.name.toLowerCase(),
+        baseName: field.name.toLowerCase().replace(/__c$/, ''),
+        label: (field.label || '').toLowerCase(),
+        compactName: compact(field.name),
+        tokens: Array.from(new Set([...tokenizeIdentifier(field.name), ...tokenizeIdentifier(field.label)])),
+        namespace: getNamespace(field.name),
+        type: (field.type || '').toLowerCase(),
+        referenceTo: (field.referenceTo || []).map(name => name.toLowerCase()),
+        picklistValues: (field.picklistValues || []).map(value => value.toLowerCase())
+      });
+    });
+  });
+  return { entries, fieldCount: entries.length };
+}
+
+const parseBoolean = (value, name) => {
+  if (value === 'true' || value === true) return { value: true };
+  if (value === 'false' || value === false) return { value: false };
+  return { error: `Invalid ${name} filter '${value}'. Use true or false` };
+};
+
+const parseLimit = (value, name, defaultValue, maxValue) => {
+  if (value === undefined || value === '') return { value: defaultValue };
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxValue) {
+    return { error: `Invalid ${name} '${value}'. Use a whole number from 1 to ${maxValue}` };
+  }
+  return { value: limit };
+};
+
+/**
+ * Search options from request query parameters:
+ * query, type (comma-separated), externalId, custom, namespace, picklistValue, referenceTo, fieldLimit, limit.
+ * Returns { options } or { error } for invalid parameters.
+ */
+function parseFieldSearchParams(params = {}) {
+  const filters = {};
+
+  if (params.type) {
+    filters.types = String(params.type).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  }
+  for (const name of BOOLEAN_FILTERS) {
+    if (params[name] !== undefined && params[name] !== '') {
+      const parsed = parseBoolean(params[name], name);
+      if (parsed.error) return { error: parsed.error };
+      filters[name] = parsed.value;
+    }
+  }
+  ['namespace', 'picklistValue', 'referenceTo'].forEach(name => {
+    if (params[name] && String(params[name]).trim()) {
+      filters[name] = String(params[name]).trim().toLowerCase();
+    }
+  });
+
+  const fieldLimit = parseLimit(params.fieldLimit, 'fieldLimit', DEFAULT_FIELD_LIMIT, MAX_FIELD_LIMIT);
+  if (fieldLimit.error) return { error: fieldLimit.error };
+  const limit = parseLimit(params.limit, 'limit', DEFAULT_OBJECT_LIMIT, MAX_OBJECT_LIMIT);
+  if (limit.error) return { error: limit.error };
+
+  const query = typeof params.query === 'string' ? params.query.trim() : '';
+  if (query.length < MIN_QUERY_LENGTH && Object.keys(filters).length === 0) {
+    return { error: `Query must be at least ${MIN_QUERY_LENGTH} characters, or use a filter` };
+  }
+
+  return { options: { query, filters, fieldLimit: fieldLimit.value, limit: limit.value } };
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.types && !filters.types.includes(entry.type)) return false;
+  if (filters.externalId !== undefined && !!entry.field.externalId !== filters.externalId) return false;
+  if (filters.custom !== undefined && !!entry.field.custom !== filters.custom) return false;
+  if (filters.namespace && entry.namespace !== filters.namespace) return false;
+  if (filters.referenceTo && !entry.referenceTo.includes(filters.referenceTo)) return false;
+  if (filters.picklistValue && !entry.picklistValues.some(value => value.includes(filters.picklistValue))) return false;
+  return true;
+}
+
+/**
+ * How well one query token matches the entry's best token: 1 exact, 0.8 prefix, 0.6 within the typo allowance
+ */
+function scoreToken(queryToken, tokens) {
+  let best = { score: 0, fuzzy: false };
+  for (const token of tokens) {
+    if (token === queryToken) return { score: 1, fuzzy: false };
+    if (token.startsWith(queryToken) && best.score < 0.8) {
+      best = { score: 0.8, fuzzy: false };
+    } else if (best.score < 0.6) {
+      const typos = allowedTypos(queryToken);
+      // Compare against the token and against its start, so "ordr" still finds "orders"
+      if (typos > 0 && (editDistance(queryToken, token, typos) <= typos ||
+          editDistance(queryToken, token.slice(0, queryToken.length), typos) <= typos)) {
+        best = { score: 0.6, fuzzy: true };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Relevance of a field for the query (0 = no match) and what it matched on
+ */
+function scoreEntry(entry, query) {
+  if (!query.text) return { score: 1, matchedOn: 'filter' };
+
+  if (entry.name === query.text || entry.baseName === query.text) return { score: 100, matchedOn: 'name' };
+  if (entry.label === query.text) return { score: 95, matchedOn: 'label' };
+  if (entry.name.startsWith(query.text)) return { score: 80, matchedOn: 'name' };
+  if (entry.label.startsWith(query.text)) return { score: 75, matchedOn: 'label' };
+  if (entry.name.includes(query.text)) return { score: 65, matchedOn: 'name' };
+  if (query.compact.length >= MIN_QUERY_LENGTH && entry.compactName.includes(query.compact)) return { score: 62, matchedOn: 'name' };
+  if (entry.label.includes(query.text)) return { score: 60, matchedOn: 'label' };
+
+  if (query.tokens.length === 0) return { score: 0 };
+  let total = 0;
+  let fuzzy = false;
+  for (const queryToken of query.tokens) {
+    const match = scoreToken(queryToken, entry.tokens);
+    if (match.score === 0) return { score: 0 };
+    total += match.score;
+    fuzzy = fuzzy || match.fuzzy;
+  }
+  return { score: Math.round(20 + 30 * (total / query.tokens.length)), matchedOn: fuzzy ? 'fuzzy' : 'tokens' };
+}
+
+const toResultField = (entry, match, filters) => {
+  const { field } = entry;
+  const result = { name: field.name, label: field.label, type: field.type, score: match.score, matchedOn: match.matchedOn };
+  ['custom', 'externalId', 'length', 'referenceTo'].forEach(property => {
+    if (field[property] !== undefined) result[property] = field[property];
+  });
+  if (filters.picklistValue) {
+    result.matchingPicklistValues = (field.picklistValues || [])
+      .filter(value => value.toLowerCase().includes(filters.picklistValue));
+  }
+  return result;
+};
+
+/**
+ * Matching fields grouped per SObject, best SObjects first. An SObject ranks by its best field,
+ * with a small bonus for every other matching field.
+ */
+function searchFieldIndex(index, { query = '', filters = {}, fieldLimit = DEFAULT_FIELD_LIMIT, limit = DEFAULT_OBJECT_LIMIT } = {}) {
+  const text = query.trim().toLowerCase();
+  const queryInfo = {
+    text,
+    compact: compact(text),
+    tokens: tokenizeIdentifier(query).filter(token => token.length >= MIN_QUERY_LENGTH)
+  };
+
+  const bySObject = new Map();
+  let totalFieldMatches = 0;
+  index.entries.forEach(entry => {
+    if (!matchesFilters(entry, filters)) return;
+    const match = scoreEntry(entry, queryInfo);
+    if (match.score === 0) return;
+
+    totalFieldMatches++;
+    if (!bySObject.has(entry.sobject.name)) {
+      bySObject.set(entry.sobject.name, { sobject: entry.sobject, fields: [] });
+    }
+    bySObject.get(entry.sobject.name).fields.push(toResultField(entry, match, filters));
+  });
+
+  const sobjects = Array.from(bySObject.values()).map(({ sobject, fields }) => {
+    fields.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    return {
+      name: sobject.name,
+      label: sobject.label,
+      labelPlural: sobject.labelPlural,
+      keyPrefix: sobject.keyPrefix,
+      custom: sobject.custom,
+      score: fields[0].score + Math.min(fields.length - 1, 10) * 0.5,
+      matchingFields: fields.slice(0, fieldLimit),
+      matchCount: fields.length
+    };
+  });
+  sobjects.sort((a, b) => b.score - a.score || b.matchCount - a.matchCount || a.name.localeCompare(b.name));
+
+  return {
+    sobjects: sobjects.slice(0, limit),
+    totalMatches: sobjects.length,
+    totalFieldMatches
+  };
+}
+
+module.exports = {
+  DEFAULT_FIELD_LIMIT,
+  MAX_FIELD_LIMIT,
+  tokenizeIdentifier,
+  getNamespace,
+  editDistance,
+  buildFieldSearchIndex,
+  parseFieldSearchParams,
+  searchFieldIndex
+};
@@ -0,0 +1,323 @@
+const jsforce = require('jsforce');
+const { SOQLParameterError, buildSOQL, likePattern, assertSOQLIdentifier } = require('./soqlBuilder');
+
+// Records read when a field's values cannot be counted with a WHERE clause
+const DATA_SAMPLE_SIZE = 2000;
+// Apex classes or triggers whose source is read when scanning for a standard field
+const APEX_SCAN_LIMIT = 2000;
+// Dependency component types with their own report section; any other type is listed under "other"
+const DEPENDENCY_SECTIONS = {
+  ApexClass: 'apexClasses',
+  ApexTrigger: 'apexTriggers',
+  Flow: 'flows',
+  ValidationRule: 'validationRules',
+  Layout: 'layouts'
+};
+const METADATA_SECTIONS = [...Object.values(DEPENDENCY_SECTIONS), 'other'];
+// Step properties holding expanded copies of other components, which are scanned on their own
+const SKIPPED_STEP_PROPERTIES = ['childIPStructure', 'ipSteps', 'referencedBy'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match of an API name; Tier__c matches Account.Tier__c but not Tier__c2
+const apiNamePattern = (name) => new RegExp(`(^|[^A-Za-z0-9_])${escapeRegExp(name)}($|[^A-Za-z0-9_])`, 'i');
+
+/**
+ * Where a field is used: OmniStudio components (cached Integration Procedures and OmniScripts, Data Mapper
+ * items), Apex, flows, validation rules and layouts through the Tooling API, and whether any record has a value.
+ * Standard fields are not tracked by the dependency API, so only Apex source is scanned for them, and a match
+ * only counts when the SObject is mentioned too ("Name" alone is everywhere).
+ */
+class FieldUsageModule {
+  constructor(omnistudioModule) {
+    this.omnistudioModule = omnistudioModule;
+  }
+
+  /**
+   * Create Salesforce connection from session
+   */
+  createConnection(req) {
+    return new jsforce.Connection({
+      oauth2: req.session.oauth2,
+      accessToken: req.session.salesforce.accessToken,
+      instanceUrl: req.session.salesforce.instanceUrl,
+      version: '65.0'
+    });
+  }
+
+  /**
+   * Runs one report section; a failing section is reported with its error instead of failing the report
+   */
+  async runSection(label, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      console.warn(`⚠️ [FIELD_USAGE] ${label} check failed: ${error.message}`);
+      return { checked: false, error: error.message };
+    }
+  }
+
+  /**
+   * Steps of a cached IP or OmniScript that mention the field, with their path in the component
+   */
+  findStepMatches(steps, fieldPattern, objectPattern, parentPath = '') {
+    const matches = [];
+    (steps || []).forEach(step => {
+      const path = parentPath ? `${parentPath} > ${step.name}` : step.name;
+      const ownContent = { ...step };
+      ['subSteps', 'blockSteps', ...SKIPPED_STEP_PROPERTIES].forEach(property => delete ownContent[property]);
+      const text = JSON.stringify(ownContent);
+
+      if (fieldPattern.test(text)) {
+        matches.push({ step: path, type: step.type, objectMentioned: objectPattern.test(text) });
+      }
+      matches.push(...this.findStepMatches(step.subSteps, fieldPattern, objectPattern, path));
+      matches.push(...this.findStepMatches(step.blockSteps, fieldPattern, objectPattern, path));
+    });
+    return matches;
+  }
+
+  /**
+   * Scan the org's cached Integration Procedures and OmniScripts for the field API name
+   */
+  async findCachedOmniStudioUsages(orgId, sobjectName, field) {
+    const componentData = await this.omnistudioModule.getOrgComponentData(orgId);
+    if (!componentData) {
+      return {
+        checked: false,
+        note: 'OmniStudio components are not loaded for this org; load them in the OmniStudio tab to include them'
+      };
+    }
+
+    const fieldPattern = apiNamePattern(field.name);
+    const objectPattern = apiNamePattern(sobjectName);
+    const components = [...(componentData.integrationProcedures || []), ...(componentData.omniscripts || [])];
+    const items = [];
+    components.forEach(component => {
+      const matches = this.findStepMatches(component.steps, fieldPattern, objectPattern)
+        .filter(match => field.custom || match.objectMentioned);
+      if (matches.length > 0) {
+        items.push({
+          id: component.id,
+          name: component.name,
+          uniqueId: component.uniqueId,
+          componentType: component.componentType,
+          matches
+        });
+      }
+    });
+
+    return { checked: true, loadedAt: componentData.loadedAt, items };
+  }
+
+  /**
+   * Data Mapper items reading or writing the field (mapper content is not part of the component cache)
+   */
+  async findDataMapperUsages(conn, sobjectName, field) {
+    const result = await conn.query(buildSOQL(`
+      SELECT Name, vlocity_cmt__DomainObjectAPIName__c, vlocity_cmt__DomainObjectFieldAPIName__c,
+             vlocity_cmt__InterfaceObjectName__c, vlocity_cmt__InterfaceFieldAPIName__c
+      FROM vlocity_cmt__DRMapItem__c
+      WHERE (vlocity_cmt__DomainObjectAPIName__c = :sobjectName AND vlocity_cmt__DomainObjectFieldAPIName__c LIKE :pattern)
+         OR (vlocity_cmt__InterfaceObjectName__c = :sobjectName AND vlocity_cmt__InterfaceFieldAPIName__c LIKE :pattern)
+      LIMIT ${DATA_SAMPLE_SIZE}
+    `, { sobjectName, pattern: likePattern(field.name) }));
+
+    const fieldPattern = apiNamePattern(field.name);
+    const byBundle = new Map();
+    result.records.forEach(item => {
+      const mappings = [
+        [item.vlocity_cmt__DomainObjectAPIName__c, item.vlocity_cmt__DomainObjectFieldAPIName__c],
+        [item.vlocity_cmt__InterfaceObjectName__c, item.vlocity_cmt__InterfaceFieldAPIName__c]
+      ].filter(([objectName, fieldPath]) => objectName === sobjectName && fieldPattern.test(fieldPath || ''));
+
+      mappings.forEach(([, fieldPath]) => {
+        if (!byBundle.has(item.Name)) {
+          byBundle.set(item.Name, { name: item.Name, componentType: 'data-mapper', fieldPaths: [] });
+        }
+        const bundle = byBundle.get(item.Name);
+        if (!bundle.fieldPaths.includes(fieldPath)) {
+          bundle.fieldPaths.push(fieldPath);
+        }
+      });
+    });
+
+    return { checked: true, items: Array.from(byBundle.values()) };
+  }
+
+  /**
+   * Metadata referencing a custom field, from the Tooling API dependency graph
+   */
+  async findMetadataDependencies(conn, sobjectName, field) {
+    const definition = await conn.tooling.query(buildSOQL(
+      'SELECT DurableId FROM FieldDefinition WHERE EntityDefinition.QualifiedApiName = :sobjectName AND QualifiedApiName = :fieldName',
+      { sobjectName, fieldName: field.name }
+    ));
+    const durableId = definition.records[0]?.DurableId;
+    if (!durableId) {
+      throw new Error(`No field definition found for ${sobjectName}.${field.name}`);
+    }
+    // DurableId is "<entity>.<CustomField ID>"
+    const fieldId = durableId.split('.').pop();
+
+    const result = await conn.tooling.query(buildSOQL(
+      'SELECT MetadataComponentId, MetadataComponentName, MetadataComponentType FROM MetadataComponentDependency WHERE RefMetadataComponentId = :fieldId',
+      { fieldId }
+    ));
+
+    const sections = { apexClasses: [], apexTriggers: [], flows: [], validationRules: [], layouts: [], other: [] };
+    result.records.forEach(dependency => {
+      const section = DEPENDENCY_SECTIONS[dependency.MetadataComponentType] || 'other';
+      sections[section].push({
+        id: dependency.MetadataComponentId,
+        name: dependency.MetadataComponentName,
+        type: dependency.MetadataComponentType
+      });
+    });
+
+    return { checked: true, source: 'dependencies', ...sections };
+  }
+
+  /**
+   * Apex classes and triggers whose source mentions both the field and its SObject
+   */
+  async findApexSourceUsages(conn, sobjectName, field) {
+    const fieldPattern = apiNamePattern(field.name);
+    const objectPattern = apiNamePattern(sobjectName);
+    let truncated = false;
+    const scan = async (type) => {
+      const result = await conn.tooling.query(`SELECT Id, Name, Body FROM ${type} WHERE NamespacePrefix = null`,
+        { autoFetch: true, maxFetch: APEX_SCAN_LIMIT });
+      if (result.totalSize > result.records.length) truncated = true;
+      return result.records
+        .filter(record => record.Body && fieldPattern.test(record.Body) && objectPattern.test(record.Body))
+        .map(record => ({ id: record.Id, name: record.Name, type }));
+    };
+    const apexClasses = await scan('ApexClass');
+    const apexTriggers = await scan('ApexTrigger');
+
+    return {
+      checked: true,
+      source: 'apex-source',
+      // More classes or triggers than APEX_SCAN_LIMIT; the rest were not read
+      truncated,
+      note: 'Standard fields are not tracked by the dependency API; only Apex source was scanned' +
+        (truncated ? ` (the first ${APEX_SCAN_LIMIT} classes and ${APEX_SCAN_LIMIT} triggers)` : ''),
+      apexClasses,
+      apexTriggers,
+      flows: null,
+      validationRules: null,
+      layouts: null,
+      other: []
+    };
+  }
+
+  /**
+   * Records with a value in the field: an exact COUNT() when the field is filterable, otherwise
+   * (or when the count times out on a large object) the share of a sample of records
+   */
+  async countPopulatedRecords(conn, sobjectName, field) {
+    // Checkboxes are never null; "populated" means checked
+    const condition = field.type === 'boolean' ? `${field.name} = true` : `${field.name} != null`;
+
+    if (field.filterable) {
+      try {
+        const populated = await conn.query(`SELECT COUNT() FROM ${sobjectName} WHERE ${condition}`);
+        const total = await conn.query(`SELECT COUNT() FROM ${sobjectName}`);
+        return {
+          checked: true,
+          sampled: false,
+          populatedCount: populated.totalSize,
+          totalCount: total.totalSize,
+          hasData: populated.totalSize > 0
+        };
+      } catch (error) {
+        console.warn(`⚠️ [FIELD_USAGE] COUNT() on ${sobjectName}.${field.name} failed, sampling instead: ${error.message}`);
+      }
+    }
+
+    const sample = await conn.query(`SELECT Id, ${field.name} FROM ${sobjectName} LIMIT ${DATA_SAMPLE_SIZE}`);
+    const populatedCount = sample.records.filter(record => {
+      const value = record[field.name];
+      return field.type === 'boolean' ? value === true : value !== null && value !== undefined && value !== '';
+    }).length;
+
+    return {
+      checked: true,
+      sampled: true,
+      sampleSize: sample.records.length,
+      populatedCount,
+      totalCount: null,
+      hasData: populatedCount > 0
+    };
+  }
+
+  /**
+   * Usage report of one field: where it is referenced and whether it holds data
+   */
+  async getFieldUsage(req, res) {
+    try {
+      const sobjectName = assertSOQLIdentifier(req.params.sobjectName, 'SObject name');
+      const fieldName = assertSOQLIdentifier(req.params.fieldName, 'field name');
+      const orgId = req.session.salesforce.organizationId;
+      const conn = this.createConnection(req);
+
+      const describe = await conn.sobject(sobjectName).describe();
+      const field = describe.fields.find(candidate => candidate.name.toLowerCase() === fieldName.toLowerCase());
+      if (!field) {
+        return res.status(404).json({
+          success: false,
+          message: `Field ${fieldName} not found on ${describe.name}`
+        });
+      }
+
+      console.log(`🔎 [FIELD_USAGE] Analyzing usage of ${describe.name}.${field.name}`);
+
+      const omniStudio = await this.runSection('OmniStudio', () => this.findCachedOmniStudioUsages(orgId, describe.name, field));
+      const dataMappers = await this.runSection('Data Mapper', () => this.findDataMapperUsages(conn, describe.name, field));
+      const metadata = await this.runSection('Metadata', () => (field.custom
+        ? this.findMetadataDependencies(conn, describe.name, field)
+        : this.findApexSourceUsages(conn, describe.name, field)));
+      const data = await this.runSection('Data', () => this.countPopulatedRecords(conn, describe.name, field));
+
+      const metadataReferences = METADATA_SECTIONS.reduce((count, section) => count + (metadata[section]?.length || 0), 0);
+      const referenceCount = (omniStudio.items?.length || 0) + (dataMappers.items?.length || 0) + metadataReferences;
+      // A full sample may have missed the records that hold a value; a partial one read every record
+      const incomplete = [omniStudio, dataMappers, metadata, data].some(section => !section.checked) ||
+        metadata.source === 'apex-source' ||
+        (data.sampled && data.sampleSize >= DATA_SAMPLE_SIZE);
+
+      console.log(`✅ [FIELD_USAGE] ${describe.name}.${field.name}: ${referenceCount} references, data ${data.hasData ? 'present' : 'not found'}`);
+
+      res.json({
+        success: true,
+        sobject: describe.name,
+        field: {
+          name: field.name,
+          label: field.label,
+          type: field.type,
+          custom: field.custom
+        },
+        summary: {
+          referenceCount,
+          hasData: data.checked ? data.hasData : null,
+          // Nothing references it and no record holds a value, with every source checked
+          retirementCandidate: !incomplete && referenceCount === 0 && !data.hasData
+        },
+        omniStudio,
+        dataMappers,
+        metadata,
+        data,
+        analyzedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ [FIELD_USAGE] Error analyzing ${req.params.sobjectName}.${req.params.fieldName}:`, error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: 'Failed to analyze field usage: ' + error.message
+      });
+    }
+  }
+}
+
+module.exports = FieldUsageModule;
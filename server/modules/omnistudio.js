@@ -1,4 +1,5 @@
 const jsforce = require('jsforce');
+const { buildSOQL, likePattern } = require('./soqlBuilder');
 
 class OmnistudioModule {
   constructor(redisModule = null) {
@@ -1784,9 +1785,9 @@ ${child.children[0].eleArray.slice(0, 3).map((item, i) =>
           });
       }
 
-      // Add search filter if provided
+      // Add search filter if provided (the data mapper query has no WHERE clause of its own)
       if (searchTerm) {
-            query += ` AND Name LIKE '%${searchTerm}%'`;
+        query += buildSOQL(` ${query.includes('WHERE') ? 'AND' : 'WHERE'} Name LIKE :pattern`, { pattern: likePattern(searchTerm) });
       }
 
       // Add ordering
@@ -1872,18 +1873,18 @@ ${child.children[0].eleArray.slice(0, 3).map((item, i) =>
         case 'integration-procedure':
         case 'omniscript':
           // Both use the same detail query
-          query = `SELECT Name,Id,vlocity_cmt__OmniScriptId__c,vlocity_cmt__Sequence__c,vlocity_cmt__Content__c 
+          query = buildSOQL(`SELECT Name,Id,vlocity_cmt__OmniScriptId__c,vlocity_cmt__Sequence__c,vlocity_cmt__Content__c 
                   FROM vlocity_cmt__OmniScriptDefinition__c 
-                  WHERE vlocity_cmt__OmniScriptId__r.Name='${instanceName}' AND vlocity_cmt__OmniScriptId__r.vlocity_cmt__IsActive__c=true 
+                  WHERE vlocity_cmt__OmniScriptId__r.Name=:instanceName AND vlocity_cmt__OmniScriptId__r.vlocity_cmt__IsActive__c=true 
                   ORDER BY vlocity_cmt__Sequence__c ASC 
-                  LIMIT 1`;
+                  LIMIT 1`, { instanceName });
           break;
 
         case 'data-mapper':
-          query = `SELECT Name,vlocity_cmt__ConfigurationAttribute__c,vlocity_cmt__ConfigurationGroup__c,vlocity_cmt__ConfigurationKey__c,vlocity_cmt__ConfigurationPattern__c,vlocity_cmt__ConfigurationProcess__c,vlocity_cmt__ConfigurationType__c,vlocity_cmt__ConfigurationValue__c,vlocity_cmt__DomainObjectAPIName__c,vlocity_cmt__DomainObjectCreationOrder__c,vlocity_cmt__DomainObjectFieldAPIName__c,vlocity_cmt__DomainObjectFieldType__c,vlocity_cmt__FilterGroup__c,vlocity_cmt__FilterOperator__c,vlocity_cmt__FilterValue__c,vlocity_cmt__FormulaConverted__c,vlocity_cmt__FormulaOrder__c,vlocity_cmt__FormulaResultPath__c,vlocity_cmt__Formula__c,vlocity_cmt__GlobalKey__c,vlocity_cmt__InterfaceFieldAPIName__c,vlocity_cmt__InterfaceObjectLookupOrder__c,vlocity_cmt__InterfaceObjectName__c,vlocity_cmt__LookupDomainObjectFieldName__c,vlocity_cmt__LookupDomainObjectName__c,vlocity_cmt__LookupDomainObjectRequestedFieldName__c 
+          query = buildSOQL(`SELECT Name,vlocity_cmt__ConfigurationAttribute__c,vlocity_cmt__ConfigurationGroup__c,vlocity_cmt__ConfigurationKey__c,vlocity_cmt__ConfigurationPattern__c,vlocity_cmt__ConfigurationProcess__c,vlocity_cmt__ConfigurationType__c,vlocity_cmt__ConfigurationValue__c,vlocity_cmt__DomainObjectAPIName__c,vlocity_cmt__DomainObjectCreationOrder__c,vlocity_cmt__DomainObjectFieldAPIName__c,vlocity_cmt__DomainObjectFieldType__c,vlocity_cmt__FilterGroup__c,vlocity_cmt__FilterOperator__c,vlocity_cmt__FilterValue__c,vlocity_cmt__FormulaConverted__c,vlocity_cmt__FormulaOrder__c,vlocity_cmt__FormulaResultPath__c,vlocity_cmt__Formula__c,vlocity_cmt__GlobalKey__c,vlocity_cmt__InterfaceFieldAPIName__c,vlocity_cmt__InterfaceObjectLookupOrder__c,vlocity_cmt__InterfaceObjectName__c,vlocity_cmt__LookupDomainObjectFieldName__c,vlocity_cmt__LookupDomainObjectName__c,vlocity_cmt__LookupDomainObjectRequestedFieldName__c 
                   FROM vlocity_cmt__DRMapItem__c 
-                  WHERE Name='${instanceName}' 
-                  ORDER BY vlocity_cmt__DomainObjectCreationOrder__c ASC`;
+                  WHERE Name=:instanceName 
+                  ORDER BY vlocity_cmt__DomainObjectCreationOrder__c ASC`, { instanceName });
           break;
 
         default:
@@ -2604,19 +2605,19 @@ ${child.children[0].eleArray.slice(0, 3).map((item, i) =>
       const connection = this.createConnection(req);
       
       // Query for the referenced IP
-      const query = `
+      const query = buildSOQL(`
         SELECT Id, Name, vlocity_cmt__Type__c, vlocity_cmt__SubType__c, vlocity_cmt__Version__c,
                vlocity_cmt__ProcedureKey__c, vlocity_cmt__IsActive__c,
                (SELECT Id, Name, vlocity_cmt__Sequence__c, vlocity_cmt__Content__c 
                 FROM vlocity_cmt__OmniScriptDefinitions__r 
                 ORDER BY vlocity_cmt__Sequence__c ASC LIMIT 1)
         FROM vlocity_cmt__OmniScript__c 
-        WHERE Name = '${ipName}' 
+        WHERE Name = :ipName 
           AND vlocity_cmt__IsProcedure__c=true 
           AND vlocity_cmt__IsActive__c=true
         ORDER BY vlocity_cmt__Version__c DESC
         LIMIT 1
-      `;
+      `, { ipName });
       
       const result = await connection.query(query);
       
@@ -2672,19 +2673,19 @@ ${child.children[0].eleArray.slice(0, 3).map((item, i) =>
       if (componentType === 'integration-procedure' || componentType === 'omniscript') {
         const isProcedure = componentType === 'integration-procedure';
         
-        query = `
+        query = buildSOQL(`
           SELECT Id, Name, vlocity_cmt__Type__c, vlocity_cmt__SubType__c, vlocity_cmt__Version__c,
                  vlocity_cmt__ProcedureKey__c, vlocity_cmt__IsActive__c,
                  (SELECT Id, Name, vlocity_cmt__Sequence__c, vlocity_cmt__Content__c 
                   FROM vlocity_cmt__OmniScriptDefinitions__r 
                   ORDER BY vlocity_cmt__Sequence__c ASC LIMIT 1)
           FROM vlocity_cmt__OmniScript__c 
-          WHERE Name = '${instanceName}' 
-            AND vlocity_cmt__IsProcedure__c=${isProcedure} 
+          WHERE Name = :instanceName 
+            AND vlocity_cmt__IsProcedure__c=:isProcedure 
             AND vlocity_cmt__IsActive__c=true
           ORDER BY vlocity_cmt__Version__c DESC
           LIMIT 1
-        `;
+        `, { instanceName, isProcedure });
       } else {
         return res.status(400).json({
           success: false,
@@ -3354,18 +3355,18 @@ ${child.children[0].eleArray.slice(0, 3).map((item, i) =>
       const connection = this.createConnection(req);
       
       // Query for the referenced IP
-      const query = `
+      const query = buildSOQL(`
         SELECT Id, Name, vlocity_cmt__Type__c, vlocity_cmt__SubType__c, vlocity_cmt__Version__c,
                vlocity_cmt__ProcedureKey__c, vlocity_cmt__IsActive__c,
                (SELECT Id, Name, vlocity_cmt__Sequence__c, vlocity_cmt__Content__c 
                 FROM vlocity_cmt__OmniScriptDefinitions__r 
                 ORDER BY vlocity_cmt__Sequence__c ASC LIMIT 1)
         FROM vlocity_cmt__OmniScript__c 
-        WHERE Name = '${ipName}' 
+        WHERE Name = :ipName 
           AND vlocity_cmt__IsProcedure__c=true
           AND vlocity_cmt__IsActive__c=true
         ORDER BY vlocity_cmt__Version__c DESC
-        LIMIT 1`;
+        LIMIT 1`, { ipName });
       
       const result = await connection.query(query);
       
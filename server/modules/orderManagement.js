@@ -1,4 +1,6 @@
 const jsforce = require('jsforce');
+const { SOQLParameterError, buildSOQL, assertSalesforceId } = require('./soqlBuilder');
+const { parseOrderSearchParams, hasSearchCriteria, buildOrderSearchQueries } = require('./orderSearch');
 
 class OrderManagementModule {
   constructor() {
@@ -17,32 +19,25 @@ class OrderManagementModule {
   }
 
   /**
-   * Search for orders by account name or order number
+   * Search orders by account name or order number, narrowed by status, subtype, created and
+   * effective date, amount and owner filters, one sorted page at a time
    */
   async searchOrders(req, res) {
     try {
-      const { query } = req.query;
-      
-      if (!query || query.trim().length === 0) {
-        return res.json({ success: true, orders: [] });
+      const { options, error } = parseOrderSearchParams(req.query, { userId: req.session?.salesforce?.userId });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
       }
 
-      const conn = this.createConnection(req);
+      const pagination = { page: options.page, pageSize: options.pageSize, sortBy: options.sortBy, sortDirection: options.sortDirection };
+      if (!hasSearchCriteria(options)) {
+        return res.json({ success: true, orders: [], total: 0, hasMore: false, ...pagination });
+      }
 
-      const searchPattern = query.trim();
-      
-      // Search for orders by account name or order number
-      // Using SOQL to search Order object
-      const soqlQuery = `
-        SELECT Id, OrderNumber, vlocity_cmt__OrderStatus__c, SubType__c, Account.Name, EffectiveDate, 
-               TotalAmount, CreatedDate
-        FROM Order 
-        WHERE (Account.Name LIKE '%${searchPattern}%' OR OrderNumber LIKE '%${searchPattern}%')
-        ORDER BY CreatedDate DESC
-        LIMIT 50
-      `;
+      const conn = this.createConnection(req);
+      const { recordsQuery, countQuery } = buildOrderSearchQueries(options);
 
-      const result = await conn.query(soqlQuery);
+      const [result, countResult] = await Promise.all([conn.query(recordsQuery), conn.query(countQuery)]);
       
       const orders = result.records.map(order => ({
         id: order.Id,
@@ -52,16 +47,22 @@ class OrderManagementModule {
         accountName: order.Account ? order.Account.Name : 'N/A',
         effectiveDate: order.EffectiveDate,
         totalAmount: order.TotalAmount,
-        createdDate: order.CreatedDate
+        createdDate: order.CreatedDate,
+        ownerId: order.OwnerId,
+        ownerName: order.Owner ? order.Owner.Name : null
       }));
+      const total = countResult.totalSize;
 
       res.json({
         success: true,
-        orders
+        orders,
+        total,
+        hasMore: (options.page - 1) * options.pageSize + orders.length < total,
+        ...pagination
       });
     } catch (error) {
       console.error('❌ [ORDER_MGMT] Error searching orders:', error);
-      res.status(500).json({ 
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({ 
         success: false, 
         message: 'Failed to search orders: ' + error.message 
       });
@@ -73,20 +74,20 @@ class OrderManagementModule {
    */
   async getOrderItems(req, res) {
     try {
-      const { orderId } = req.params;
+      const orderId = assertSalesforceId(req.params.orderId, 'order ID');
 
       const conn = this.createConnection(req);
 
       // Query for order items with product details, pricing information, and parent relationship
-      const soqlQuery = `
+      const soqlQuery = buildSOQL(`
         SELECT Id, OrderId, Product2Id, Product2.Name, Quantity, 
                vlocity_cmt__OneTimeCharge__c, vlocity_cmt__RecurringCharge__c,
                UnitPrice, TotalPrice, Description, vlocity_cmt__ParentItemId__c,
                vlocity_cmt__AssetReferenceId__c
         FROM OrderItem 
-        WHERE OrderId = '${orderId}'
+        WHERE OrderId = :orderId
         ORDER BY vlocity_cmt__ParentItemId__c NULLS FIRST, Product2.Name ASC
-      `;
+      `, { orderId });
 
       const result = await conn.query(soqlQuery);
       
@@ -113,7 +114,7 @@ class OrderManagementModule {
       });
     } catch (error) {
       console.error('❌ [ORDER_MGMT] Error fetching order items:', error);
-      res.status(500).json({ 
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({ 
         success: false, 
         message: 'Failed to fetch order items: ' + error.message 
       });
@@ -125,14 +126,14 @@ class OrderManagementModule {
    */
   async activateOrder(req, res) {
     try {
-      const { orderId } = req.params;
+      const orderId = assertSalesforceId(req.params.orderId, 'order ID');
 
       const conn = this.createConnection(req);
 
       // First, verify the order is in "In Progress" status
-      const orderCheck = await conn.query(`
-        SELECT Id, vlocity_cmt__OrderStatus__c FROM Order WHERE Id = '${orderId}' AND vlocity_cmt__OrderStatus__c = 'In Progress'
-      `);
+      const orderCheck = await conn.query(buildSOQL(`
+        SELECT Id, vlocity_cmt__OrderStatus__c FROM Order WHERE Id = :orderId AND vlocity_cmt__OrderStatus__c = 'In Progress'
+      `, { orderId }));
 
       if (orderCheck.records.length === 0) {
         return res.status(400).json({ 
@@ -146,19 +147,19 @@ class OrderManagementModule {
       // The actual object name may vary based on your Salesforce setup
       let orchestrationQuery;
       try {
-        orchestrationQuery = await conn.query(`
+        orchestrationQuery = await conn.query(buildSOQL(`
           SELECT Id, vlocity_cmt__State__c FROM vlocity_cmt__OrchestrationItem__c 
-          WHERE vlocity_cmt__FulfilmentRequestLineId__r.vlocity_cmt__FulfilmentRequestID__r.vlocity_cmt__OrderId__c = '${orderId}' 
+          WHERE vlocity_cmt__FulfilmentRequestLineId__r.vlocity_cmt__FulfilmentRequestID__r.vlocity_cmt__OrderId__c = :orderId 
           AND (vlocity_cmt__State__c = 'Running' OR vlocity_cmt__State__c = 'Fatally Failed')
-        `);
+        `, { orderId }));
       } catch (orchError) {
         // If OrchestrationItem__c doesn't exist, try OrderItem or other related objects
         console.log('⚠️ [ORDER_MGMT] vlocity_cmt__OrchestrationItem__c not found, trying alternative objects...');
         try {
-          orchestrationQuery = await conn.query(`
+          orchestrationQuery = await conn.query(buildSOQL(`
             SELECT Id, Status FROM OrderItem 
-            WHERE OrderId = '${orderId}' AND (Status = 'Running' OR Status = 'Fatally Failed')
-          `);
+            WHERE OrderId = :orderId AND (Status = 'Running' OR Status = 'Fatally Failed')
+          `, { orderId }));
         } catch (altError) {
           return res.status(400).json({ 
             success: false, 
@@ -211,7 +212,7 @@ class OrderManagementModule {
 
     } catch (error) {
       console.error(`❌ [ORDER_MGMT] Error activating order ${req.params.orderId}:`, error);
-      res.status(500).json({ 
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({ 
         success: false, 
         message: 'Failed to activate order: ' + error.message 
       });
@@ -224,7 +225,7 @@ class OrderManagementModule {
    */
   async getOrchestrationStatus(req, res) {
     try {
-      const { orderId } = req.params;
+      const orderId = assertSalesforceId(req.params.orderId, 'order ID');
 
       const conn = this.createConnection(req);
 
@@ -234,18 +235,18 @@ class OrderManagementModule {
       let isVlocityObject = true;
       
       try {
-        orchestrationQuery = await conn.query(`
+        orchestrationQuery = await conn.query(buildSOQL(`
           SELECT Id, vlocity_cmt__State__c FROM vlocity_cmt__OrchestrationItem__c 
-          WHERE vlocity_cmt__FulfilmentRequestLineId__r.vlocity_cmt__FulfilmentRequestID__r.vlocity_cmt__OrderId__c = '${orderId}'
-        `);
+          WHERE vlocity_cmt__FulfilmentRequestLineId__r.vlocity_cmt__FulfilmentRequestID__r.vlocity_cmt__OrderId__c = :orderId
+        `, { orderId }));
       } catch (orchError) {
         console.log('⚠️ [ORDER_MGMT] vlocity_cmt__OrchestrationItem__c not found for status check, trying OrderItem fallback...');
         isVlocityObject = false;
         try {
-          orchestrationQuery = await conn.query(`
+          orchestrationQuery = await conn.query(buildSOQL(`
             SELECT Id, Status FROM OrderItem 
-            WHERE OrderId = '${orderId}'
-          `);
+            WHERE OrderId = :orderId
+          `, { orderId }));
           fieldName = 'Status';
         } catch (altError) {
           return res.status(400).json({ 
@@ -356,7 +357,7 @@ class OrderManagementModule {
 
     } catch (error) {
       console.error(`❌ [ORDER_MGMT] Error checking orchestration status for order ${req.params.orderId}:`, error);
-      res.status(500).json({ 
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({ 
         success: false, 
         message: 'Failed to check orchestration status: ' + error.message 
       });
@@ -0,0 +1,244 @@
+const { SOQLParameterError, buildSOQL, likePattern, dateLiteral, isSalesforceId } = require('./soqlBuilder');
+
+/**
+ * Order search filters, sorting and pagination.
+ *
+ * Request parameters are parsed into options first so invalid input is reported as a 400 before
+ * anything is queried. Pages are fetched with LIMIT/OFFSET, and SOQL caps OFFSET at 2000, so deep
+ * pages require narrower filters. Created date ranges are whole days in UTC.
+ */
+
+// Sortable columns: sortBy parameter -> Order field
+const ORDER_SORT_FIELDS = {
+  createdDate: 'CreatedDate',
+  effectiveDate: 'EffectiveDate',
+  orderNumber: 'OrderNumber',
+  totalAmount: 'TotalAmount',
+  status: 'vlocity_cmt__OrderStatus__c',
+  subtype: 'SubType__c',
+  accountName: 'Account.Name',
+  ownerName: 'Owner.Name'
+};
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_OFFSET = 2000;
+const MAX_CREATED_WITHIN_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const parseList = (value) => Array.from(new Set(String(value).split(',').map(entry => entry.trim()).filter(Boolean)));
+
+const parseWholeNumber = (value, name, defaultValue, minValue, maxValue) => {
+  if (isBlank(value)) return { value: defaultValue };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minValue || number > maxValue) {
+    return { error: `Invalid ${name} '${value}'. Use a whole number from ${minValue} to ${maxValue}` };
+  }
+  return { value: number };
+};
+
+const parseAmount = (value, name) => {
+  if (isBlank(value)) return { value: undefined };
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) {
+    return { error: `Invalid ${name} '${value}'. Use a number` };
+  }
+  return { value: amount };
+};
+
+const parseDate = (value, name) => {
+  if (isBlank(value)) return { value: undefined };
+  try {
+    dateLiteral(String(value).trim(), name);
+    return { value: String(value).trim() };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+const parseRange = (params, fromName, toName, parse) => {
+  const from = parse(params[fromName], fromName);
+  if (from.error) return { error: from.error };
+  const to = parse(params[toName], toName);
+  if (to.error) return { error: to.error };
+  if (from.value !== undefined && to.value !== undefined && from.value > to.value) {
+    return { error: `${fromName} must not be after ${toName}` };
+  }
+  return { from: from.value, to: to.value };
+};
+
+/**
+ * Search options from request query parameters:
+ * query, status and subtype (comma-separated), createdWithinDays, createdFrom/createdTo,
+ * effectiveFrom/effectiveTo (YYYY-MM-DD), minAmount/maxAmount, owner ('me' or a user ID), ownerName,
+ * sortBy, sortDirection, page and pageSize (limit is accepted as an alias of pageSize).
+ * userId is the session user that owner=me refers to. Returns { options } or { error } for invalid parameters.
+ */
+function parseOrderSearchParams(params = {}, { userId } = {}) {
+  const filters = {};
+
+  if (!isBlank(params.status)) filters.statuses = parseList(params.status);
+  if (!isBlank(params.subtype)) filters.subtypes = parseList(params.subtype);
+
+  const createdWithinDays = parseWholeNumber(params.createdWithinDays, 'createdWithinDays', undefined, 1, MAX_CREATED_WITHIN_DAYS);
+  if (createdWithinDays.error) return { error: createdWithinDays.error };
+  if (createdWithinDays.value !== undefined) filters.createdWithinDays = createdWithinDays.value;
+
+  const created = parseRange(params, 'createdFrom', 'createdTo', parseDate);
+  if (created.error) return { error: created.error };
+  const effective = parseRange(params, 'effectiveFrom', 'effectiveTo', parseDate);
+  if (effective.error) return { error: effective.error };
+  const amount = parseRange(params, 'minAmount', 'maxAmount', parseAmount);
+  if (amount.error) return { error: amount.error };
+  Object.entries({
+    createdFrom: created.from,
+    createdTo: created.to,
+    effectiveFrom: effective.from,
+    effectiveTo: effective.to,
+    minAmount: amount.from,
+    maxAmount: amount.to
+  }).forEach(([name, value]) => {
+    if (value !== undefined) filters[name] = value;
+  });
+
+  if (!isBlank(params.owner)) {
+    const owner = String(params.owner).trim();
+    if (owner === 'me') {
+      if (!userId) return { error: 'owner=me requires a session with a user ID' };
+      filters.ownerId = userId;
+    } else if (isSalesforceId(owner)) {
+      filters.ownerId = owner;
+    } else {
+      return { error: `Invalid owner '${owner}'. Use 'me' or a 15 or 18 character user ID` };
+    }
+  }
+  if (!isBlank(params.ownerName)) filters.ownerName = String(params.ownerName).trim();
+
+  const sortBy = isBlank(params.sortBy) ? 'createdDate' : String(params.sortBy);
+  if (!Object.prototype.hasOwnProperty.call(ORDER_SORT_FIELDS, sortBy)) {
+    return { error: `Invalid sortBy '${sortBy}'. Use one of: ${Object.keys(ORDER_SORT_FIELDS).join(', ')}` };
+  }
+  const sortDirection = isBlank(params.sortDirection) ? 'desc' : String(params.sortDirection).toLowerCase();
+  if (!SORT_DIRECTIONS.includes(sortDirection)) {
+    return { error: `Invalid sortDirection '${params.sortDirection}'. Use asc or desc` };
+  }
+
+  const pageSize = parseWholeNumber(isBlank(params.pageSize) ? params.limit : params.pageSize, 'pageSize', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+  if (pageSize.error) return { error: pageSize.error };
+  const page = parseWholeNumber(params.page, 'page', 1, 1, Number.MAX_SAFE_INTEGER);
+  if (page.error) return { error: page.error };
+  if ((page.value - 1) * pageSize.value > MAX_OFFSET) {
+    return { error: `Page ${page.value} is beyond the first ${MAX_OFFSET + pageSize.value} results Salesforce can page through. Narrow the filters instead` };
+  }
+
+  const query = typeof params.query === 'string' ? params.query.trim() : '';
+
+  return {
+    options: { query, filters, sortBy, sortDirection, page: page.value, pageSize: pageSize.value }
+  };
+}
+
+/**
+ * Whether the options restrict the search at all; an empty search returns no orders rather than the whole org
+ */
+function hasSearchCriteria(options) {
+  return options.query.length > 0 || Object.keys(options.filters).length > 0;
+}
+
+/**
+ * WHERE clause of the search with its binds. now anchors createdWithinDays.
+ */
+function buildOrderWhereClause(options, now = new Date()) {
+  const { query, filters } = options;
+  const conditions = [];
+  const binds = {};
+
+  if (query) {
+    conditions.push('(Account.Name LIKE :pattern OR OrderNumber LIKE :pattern)');
+    binds.pattern = likePattern(query);
+  }
+  if (filters.statuses) {
+    conditions.push('vlocity_cmt__OrderStatus__c IN :statuses');
+    binds.statuses = filters.statuses;
+  }
+  if (filters.subtypes) {
+    conditions.push('SubType__c IN :subtypes');
+    binds.subtypes = filters.subtypes;
+  }
+  if (filters.createdWithinDays !== undefined) {
+    conditions.push('CreatedDate >= :createdSince');
+    binds.createdSince = new Date(now.getTime() - filters.createdWithinDays * DAY_MS);
+  }
+  if (filters.createdFrom) {
+    conditions.push('CreatedDate >= :createdFrom');
+    binds.createdFrom = new Date(`${filters.createdFrom}T00:00:00Z`);
+  }
+  if (filters.createdTo) {
+    // Through the end of the day
+    conditions.push('CreatedDate < :createdBefore');
+    binds.createdBefore = new Date(new Date(`${filters.createdTo}T00:00:00Z`).getTime() + DAY_MS);
+  }
+  if (filters.effectiveFrom) {
+    conditions.push('EffectiveDate >= :effectiveFrom');
+    binds.effectiveFrom = dateLiteral(filters.effectiveFrom, 'effectiveFrom');
+  }
+  if (filters.effectiveTo) {
+    conditions.push('EffectiveDate <= :effectiveTo');
+    binds.effectiveTo = dateLiteral(filters.effectiveTo, 'effectiveTo');
+  }
+  if (filters.minAmount !== undefined) {
+    conditions.push('TotalAmount >= :minAmount');
+    binds.minAmount = filters.minAmount;
+  }
+  if (filters.maxAmount !== undefined) {
+    conditions.push('TotalAmount <= :maxAmount');
+    binds.maxAmount = filters.maxAmount;
+  }
+  if (filters.ownerId) {
+    conditions.push('OwnerId = :ownerId');
+    binds.ownerId = filters.ownerId;
+  }
+  if (filters.ownerName) {
+    conditions.push('Owner.Name LIKE :ownerPattern');
+    binds.ownerPattern = likePattern(filters.ownerName);
+  }
+
+  if (conditions.length === 0) {
+    throw new SOQLParameterError('Order search needs a query or at least one filter');
+  }
+  return { where: conditions.join(' AND '), binds };
+}
+
+/**
+ * SOQL for one page of matching orders and for the total count
+ */
+function buildOrderSearchQueries(options, now = new Date()) {
+  const { where, binds } = buildOrderWhereClause(options, now);
+  const direction = options.sortDirection.toUpperCase();
+  // Id breaks ties so rows do not move between pages
+  const orderBy = `${ORDER_SORT_FIELDS[options.sortBy]} ${direction} NULLS LAST, Id ${direction}`;
+
+  return {
+    recordsQuery: buildSOQL(`
+      SELECT Id, OrderNumber, vlocity_cmt__OrderStatus__c, SubType__c, Account.Name, EffectiveDate,
+             TotalAmount, CreatedDate, OwnerId, Owner.Name
+      FROM Order
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT :pageSize OFFSET :offset
+    `, { ...binds, pageSize: options.pageSize, offset: (options.page - 1) * options.pageSize }),
+    countQuery: buildSOQL(`SELECT COUNT() FROM Order WHERE ${where}`, binds)
+  };
+}
+
+module.exports = {
+  ORDER_SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_OFFSET,
+  parseOrderSearchParams,
+  hasSearchCriteria,
+  buildOrderSearchQueries
+};
@@ -0,0 +1,208 @@
+/**
+ * Dependent picklist matrices and per-record-type picklist availability.
+ *
+ * The describe marks the controller values each dependent value is valid for with `validFor`, a base64
+ * bitmap: bit i (most significant bit first) is set when the value may be picked with controller value i.
+ * A checkbox controller has two positions, 0 = unchecked and 1 = checked. The UI API picklist-values
+ * resource returns the same mapping already decoded, restricted to the values of one record type.
+ */
+
+const PICKLIST_TYPES = ['picklist', 'multipicklist'];
+
+/**
+ * Controller value indexes a dependent value is valid for
+ */
+function decodeValidFor(validFor, controllerValueCount) {
+  if (!validFor) {
+    return [];
+  }
+  const bytes = Buffer.from(validFor, 'base64');
+  const indexes = [];
+  for (let i = 0; i < controllerValueCount && (i >> 3) < bytes.length; i++) {
+    if (bytes[i >> 3] & (0x80 >> (i % 8))) {
+      indexes.push(i);
+    }
+  }
+  return indexes;
+}
+
+/**
+ * Values of a controlling field, in validFor index order
+ */
+function getControllerValues(controller) {
+  if (controller.type === 'boolean') {
+    return [
+      { value: 'false', label: 'Unchecked', active: true },
+      { value: 'true', label: 'Checked', active: true }
+    ];
+  }
+  return (controller.picklistValues || []).map(entry => ({ value: entry.value, label: entry.label, active: !!entry.active }));
+}
+
+const fieldSummary = (field) => ({ name: field.name, label: field.label, type: field.type });
+
+/**
+ * Controller -> dependent mappings, listing every controller value with the dependent values it allows
+ */
+function toMappings(controllerValues, dependentValues) {
+  return controllerValues.map(controllerValue => ({
+    controllerValue: controllerValue.value,
+    dependentValues: dependentValues
+      .filter(dependentValue => dependentValue.validFor.includes(controllerValue.value))
+      .map(dependentValue => dependentValue.value)
+  }));
+}
+
+/**
+ * Dependency matrix of a picklist from the describe. Without a controller the matrix only lists the values.
+ */
+function buildDependencyMatrix(dependent, controller) {
+  const controllerValues = controller ? getControllerValues(controller) : [];
+  const dependentValues = (dependent.picklistValues || []).map(entry => ({
+    value: entry.value,
+    label: entry.label,
+    active: !!entry.active,
+    defaultValue: !!entry.defaultValue,
+    validFor: controller
+      ? decodeValidFor(entry.validFor, controllerValues.length).map(index => controllerValues[index].value)
+      : []
+  }));
+
+  return {
+    controller: controller ? fieldSummary(controller) : null,
+    dependent: fieldSummary(dependent),
+    controllerValues,
+    dependentValues,
+    mappings: controller ? toMappings(controllerValues, dependentValues) : [],
+    // Values no controller value allows; they can never be picked
+    unreachableValues: controller ? dependentValues.filter(entry => entry.validFor.length === 0).map(entry => entry.value) : []
+  };
+}
+
+/**
+ * Dependency matrix restricted to one record type, from the UI API picklistFieldValues of that record type.
+ * Controller values not available in the record type are left out.
+ */
+function buildRecordTypeDependencyMatrix(dependent, controller, picklistFieldValues) {
+  const dependentValuesForRecordType = picklistFieldValues[dependent.name];
+  if (!dependentValuesForRecordType) {
+    throw new Error(`${dependent.name} has no values for this record type`);
+  }
+
+  let controllerValues = [];
+  let indexToControllerValue = {};
+  if (controller) {
+    const controllerValuesForRecordType = picklistFieldValues[controller.name];
+    const available = controllerValuesForRecordType
+      ? new Set(controllerValuesForRecordType.values.map(entry => entry.value))
+      : null;
+    controllerValues = getControllerValues(controller).filter(entry => !available || available.has(entry.value));
+    indexToControllerValue = Object.fromEntries(
+      Object.entries(dependentValuesForRecordType.controllerValues || {}).map(([value, index]) => [index, value])
+    );
+  }
+  const controllerValueSet = new Set(controllerValues.map(entry => entry.value));
+  const describedValues = new Map((dependent.picklistValues || []).map(entry => [entry.value, entry]));
+
+  const dependentValues = dependentValuesForRecordType.values.map(entry => ({
+    value: entry.value,
+    label: entry.label,
+    active: describedValues.has(entry.value) ? !!describedValues.get(entry.value).active : true,
+    defaultValue: dependentValuesForRecordType.defaultValue?.value === entry.value,
+    validFor: (entry.validFor || [])
+      .map(index => indexToControllerValue[index])
+      .filter(value => controllerValueSet.has(value))
+  }));
+
+  return {
+    controller: controller ? fieldSummary(controller) : null,
+    dependent: fieldSummary(dependent),
+    controllerValues,
+    dependentValues,
+    mappings: controller ? toMappings(controllerValues, dependentValues) : [],
+    unreachableValues: controller ? dependentValues.filter(entry => entry.validFor.length === 0).map(entry => entry.value) : []
+  };
+}
+
+/**
+ * Which record types offer each value of a picklist. recordTypes holds, per record type, its
+ * recordTypeInfo fields and the UI API picklistFieldValues.
+ */
+function buildRecordTypeAvailability(field, recordTypes) {
+  const availableValues = new Map(); // recordTypeId -> values offered by the record type
+  const columns = recordTypes.map(recordType => {
+    const fieldValues = recordType.picklistFieldValues[field.name];
+    availableValues.set(recordType.recordTypeId, new Set((fieldValues?.values || []).map(entry => entry.value)));
+    return {
+      recordTypeId: recordType.recordTypeId,
+      name: recordType.name,
+      developerName: recordType.developerName,
+      master: !!recordType.master,
+      defaultValue: fieldValues?.defaultValue?.value || null
+    };
+  });
+
+  return {
+    field: fieldSummary(field),
+    recordTypes: columns,
+    values: (field.picklistValues || []).map(entry => ({
+      value: entry.value,
+      label: entry.label,
+      active: !!entry.active,
+      availableIn: columns
+        .filter(column => availableValues.get(column.recordTypeId).has(entry.value))
+        .map(column => column.recordTypeId)
+    }))
+  };
+}
+
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * One row per dependent value and one column per controller value, X where the value may be picked
+ */
+function dependencyMatrixToCsv(matrix) {
+  if (!matrix.controller) {
+    return toCsv([
+      ['Value', 'Label', 'Active'],
+      ...matrix.dependentValues.map(entry => [entry.value, entry.label, entry.active])
+    ]);
+  }
+  return toCsv([
+    [`${matrix.dependent.name} \\ ${matrix.controller.name}`, ...matrix.controllerValues.map(entry => entry.value)],
+    ...matrix.dependentValues.map(entry => [
+      entry.value,
+      ...matrix.controllerValues.map(controllerValue => (entry.validFor.includes(controllerValue.value) ? 'X' : ''))
+    ])
+  ]);
+}
+
+/**
+ * One row per picklist value and one column per record type, X where the record type offers the value
+ */
+function recordTypeAvailabilityToCsv(availability) {
+  return toCsv([
+    ['Value', 'Label', 'Active', ...availability.recordTypes.map(recordType => recordType.name)],
+    ...availability.values.map(entry => [
+      entry.value,
+      entry.label,
+      entry.active,
+      ...availability.recordTypes.map(recordType => (entry.availableIn.includes(recordType.recordTypeId) ? 'X' : ''))
+    ])
+  ]);
+}
+
+module.exports = {
+  PICKLIST_TYPES,
+  decodeValidFor,
+  buildDependencyMatrix,
+  buildRecordTypeDependencyMatrix,
+  buildRecordTypeAvailability,
+  dependencyMatrixToCsv,
+  recordTypeAvailabilityToCsv
+};
@@ -0,0 +1,697 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { FilterSyntaxError, compileFilter } = require('./eventFilter');
+const { isChangeEventChannel } = require('./changeEvents');
+
+/**
+ * Forwards received platform events to HTTP endpoints.
+ *
+ * Rules (per org) match a channel and an optional filter expression. Matching events are POSTed
+ * as JSON with an HMAC-SHA256 signature; failed deliveries are retried with exponential backoff
+ * and end up in a dead-letter store that can be retried from the Admin Console.
+ *
+ * The module holds its own server-side subscription (through PlatformEventsModule) for the channel
+ * of every enabled rule, so events are forwarded whether or not a browser is listening.
+ *
+ * Every user of an org sees its rules, but only the user who created a rule can change or delete
+ * it, or retry and clear its dead letters. Rules and dead letters are stored in Redis as one hash
+ * field each, so concurrent edits and deliveries never overwrite each other.
+ *
+ * Signature: X-Event-Signature: sha256=<hex HMAC of "<X-Event-Timestamp>.<body>" with the rule secret>
+ */
+class PlatformEventForwardingModule {
+  constructor(redisModule, platformEventsModule = null, options = {}) {
+    this.redisModule = redisModule;
+    this.platformEventsModule = platformEventsModule; // Optional; without it nothing is subscribed
+    this.RULES_KEY_PREFIX = 'platform_event_forwarding_rules:'; // Hash per org: rule id -> rule
+    this.DEAD_LETTER_KEY_PREFIX = 'platform_event_dead_letter_entries:'; // Hash per org: delivery id -> dead letter
+    this.rulesCache = new Map(); // orgId -> rules (also the fallback store when Redis is offline)
+    this.compiledFilters = new Map(); // ruleId -> compiled filter
+    this.deliveryLog = new Map(); // orgId -> recent delivery attempts (newest first)
+    this.deadLetters = new Map(); // orgId -> failed deliveries (newest first)
+    this.MAX_LOG_ENTRIES = 500;
+    this.MAX_DEAD_LETTERS = 200;
+    this.DEFAULT_MAX_ATTEMPTS = 5;
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 1000;
+    this.maxDelayMs = options.maxDelayMs || 60000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.LISTENER_ID = 'event-forwarding';
+    this.subscribedChannels = new Map(); // orgId -> Set of channels the forwarding listener is on
+    this.subscriptionErrors = new Map(); // orgId -> Map(channel -> last subscribe error)
+    this.subscriptionSyncs = new Map(); // orgId -> queued subscription sync
+    this.resumedOrgs = new Set(); // Orgs whose subscriptions were started since the server started
+  }
+
+  getOrgId(req) {
+    return req.session.salesforce.organizationId || req.session.salesforce.orgKey || null;
+  }
+
+  /**
+   * Org of the request, or null after answering 401 for sessions without one (e.g. Bearer tokens)
+   */
+  requireOrgId(req, res) {
+    const orgId = this.getOrgId(req);
+    if (!orgId) {
+      res.status(401).json({ success: false, message: 'Event forwarding needs a session with a known org' });
+    }
+    return orgId;
+  }
+
+  /**
+   * Org of the request, or null after answering 401 for sessions without an org and user
+   */
+  requireOrgAndUser(req, res) {
+    const orgId = this.getOrgId(req);
+    if (!orgId || !req.session.salesforce.userId) {
+      res.status(401).json({ success: false, message: 'Changing event forwarding needs a session with a known org and user' });
+      return null;
+    }
+    return orgId;
+  }
+
+  /**
+   * Whether the session's user created the rule
+   */
+  isRuleOwner(rule, session) {
+    const { userId } = session.salesforce;
+    return Boolean(rule && userId && rule.createdByUserId === userId);
+  }
+
+  useRedis() {
+    return !!(this.redisModule && this.redisModule.isAvailable());
+  }
+
+  getRulesKey(orgId) {
+    return `${this.RULES_KEY_PREFIX}${orgId}`;
+  }
+
+  getDeadLetterKey(orgId) {
+    return `${this.DEAD_LETTER_KEY_PREFIX}${orgId}`;
+  }
+
+  /**
+   * Load the forwarding rules of an org, oldest first (cached after the first read)
+   */
+  async getRules(orgId) {
+    if (!this.rulesCache.has(orgId)) {
+      let rules = [];
+      if (this.useRedis()) {
+        rules = Object.values(await this.redisModule.getHashValues(this.getRulesKey(orgId), true))
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      }
+      // Another request may have loaded (and changed) the rules meanwhile
+      if (!this.rulesCache.has(orgId)) {
+        this.rulesCache.set(orgId, rules);
+      }
+    }
+    return this.rulesCache.get(orgId);
+  }
+
+  /**
+   * Add or replace one rule
+   */
+  async saveRule(orgId, rule) {
+    const rules = await this.getRules(orgId);
+    const index = rules.findIndex(entry => entry.id === rule.id);
+    if (index === -1) {
+      rules.push(rule);
+    } else {
+      rules[index] = rule;
+    }
+    this.compiledFilters.delete(rule.id);
+    if (this.useRedis()) {
+      await this.redisModule.setHashField(this.getRulesKey(orgId), rule.id, rule);
+    }
+  }
+
+  async removeRule(orgId, ruleId) {
+    const rules = await this.getRules(orgId);
+    const index = rules.findIndex(entry => entry.id === ruleId);
+    if (index !== -1) {
+      rules.splice(index, 1);
+    }
+    this.compiledFilters.delete(ruleId);
+    if (this.useRedis()) {
+      await this.redisModule.deleteHashField(this.getRulesKey(orgId), ruleId);
+    }
+  }
+
+  /**
+   * Subscribe to the channel of every enabled rule and leave channels no rule uses anymore.
+   * Syncs of an org run one after another; a channel that fails to subscribe is reported in
+   * the rules listing and retried on the next sync.
+   */
+  syncSubscriptions(orgId) {
+    const previous = this.subscriptionSyncs.get(orgId) || Promise.resolve();
+    const sync = previous.then(() => this.applySubscriptions(orgId));
+    this.subscriptionSyncs.set(orgId, sync.catch(() => {}));
+    return sync;
+  }
+
+  async applySubscriptions(orgId) {
+    if (!this.platformEventsModule) {
+      return;
+    }
+
+    const rules = await this.getRules(orgId);
+    const wanted = new Set(rules.filter(rule => rule.enabled !== false).map(rule => rule.channel));
+    const subscribed = this.subscribedChannels.get(orgId) || new Set();
+    this.subscribedChannels.set(orgId, subscribed);
+    const errors = new Map();
+
+    subscribed.forEach(channel => {
+      if (!wanted.has(channel)) {
+        this.platformEventsModule.removeServerListener(orgId, channel, this.LISTENER_ID);
+        subscribed.delete(channel);
+        console.log(`🔕 [EVENT_FORWARDING] Stopped listening to ${channel} (no enabled rule)`);
+      }
+    });
+
+    for (const channel of wanted) {
+      try {
+        // Also restarts a subscription that gave up reconnecting
+        await this.platformEventsModule.addServerListener(orgId, channel, this.LISTENER_ID, (eventName, eventData) => {
+          if (eventName !== 'platformEvent') {
+            return;
+          }
+          this.forward(orgId, eventData).catch(error => {
+            console.error(`❌ [EVENT_FORWARDING] Failed to forward ${eventData.eventName}:`, error.message);
+          });
+        });
+        subscribed.add(channel);
+      } catch (error) {
+        errors.set(channel, error.message);
+        console.error(`❌ [EVENT_FORWARDING] Could not subscribe to ${channel}:`, error.message);
+      }
+    }
+    this.subscriptionErrors.set(orgId, errors);
+  }
+
+  /**
+   * Remember the session's credentials for the org's background subscriptions and sync them
+   * with the rules without holding up the request
+   */
+  refreshSubscriptions(orgId, session) {
+    if (!this.platformEventsModule) {
+      return;
+    }
+    this.platformEventsModule.rememberCredentials(orgId, session);
+    this.syncSubscriptions(orgId).catch(error => {
+      console.error('❌ [EVENT_FORWARDING] Error syncing forwarding subscriptions:', error.message);
+    });
+  }
+
+  /**
+   * Start the forwarding subscriptions of an org the first time one of its sessions is seen;
+   * rules survive a server restart, subscriptions do not
+   */
+  resumeSubscriptions(session) {
+    const salesforce = session && session.salesforce;
+    const orgId = salesforce && salesforce.accessToken ? (salesforce.organizationId || salesforce.orgKey) : null;
+    if (!orgId || this.resumedOrgs.has(orgId)) {
+      return;
+    }
+    this.resumedOrgs.add(orgId);
+    this.refreshSubscriptions(orgId, session);
+  }
+
+  /**
+   * Subscription state of each channel with an enabled rule
+   */
+  getSubscriptionStatus(orgId, rules) {
+    const subscribed = this.subscribedChannels.get(orgId) || new Set();
+    const errors = this.subscriptionErrors.get(orgId) || new Map();
+    const channels = [...new Set(rules.filter(rule => rule.enabled !== false).map(rule => rule.channel))];
+    return channels.map(channel => ({ channel, subscribed: subscribed.has(channel), error: errors.get(channel) || null }));
+  }
+
+  getCompiledFilter(rule) {
+    if (!rule.filter) {
+      return null;
+    }
+    if (!this.compiledFilters.has(rule.id)) {
+      this.compiledFilters.set(rule.id, compileFilter(rule.filter));
+    }
+    return this.compiledFilters.get(rule.id);
+  }
+
+  /**
+   * Validate a rule definition. Returns a list of errors (empty when valid).
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule.name || typeof rule.name !== 'string') {
+      errors.push('name is required');
+    }
+    if (!rule.channel || !(/^\/event\/[A-Za-z][A-Za-z0-9_]*__e$/.test(rule.channel) || isChangeEventChannel(rule.channel))) {
+      errors.push('channel must be a platform event channel (/event/Name__e) or a change event channel (/data/...)');
+    }
+
+    try {
+      const url = new URL(rule.url);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        errors.push('url must use http or https');
+      }
+    } catch (urlError) {
+      errors.push('url must be a valid URL');
+    }
+
+    if (rule.filter) {
+      try {
+        compileFilter(rule.filter);
+      } catch (error) {
+        if (!(error instanceof FilterSyntaxError)) {
+          throw error;
+        }
+        errors.push(`filter: ${error.message}`);
+      }
+    }
+
+    if (rule.secret !== undefined && rule.secret !== null && typeof rule.secret !== 'string') {
+      errors.push('secret must be a string');
+    }
+    if (rule.maxAttempts !== undefined && (!Number.isInteger(rule.maxAttempts) || rule.maxAttempts < 1 || rule.maxAttempts > 10)) {
+      errors.push('maxAttempts must be an integer between 1 and 10');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Rule as returned by the API: the secret never leaves the server
+   */
+  toPublicRule(rule, session) {
+    const { secret, createdByUserId, ...publicRule } = rule;
+    return { ...publicRule, hasSecret: !!secret, canEdit: this.isRuleOwner(rule, session) };
+  }
+
+  /**
+   * Sign a request body: HMAC-SHA256 over "<timestamp>.<body>"
+   */
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Forward a received event to every enabled rule matching its channel and filter.
+   * Called for each event of the forwarding subscriptions; deliveries run in the background.
+   */
+  async forward(orgId, eventData) {
+    const rules = await this.getRules(orgId);
+    const payload = eventData.message && eventData.message.payload ? eventData.message.payload : {};
+
+    const deliveries = [];
+    rules
+      .filter(rule => rule.enabled !== false && rule.channel === eventData.channel)
+      .forEach(rule => {
+        try {
+          const filter = this.getCompiledFilter(rule);
+          if (filter && !filter.matches(payload)) {
+            return;
+          }
+        } catch (error) {
+          console.error(`❌ [EVENT_FORWARDING] Invalid filter on rule ${rule.name}:`, error.message);
+          return;
+        }
+
+        const delivery = {
+          id: crypto.randomUUID(),
+          ruleId: rule.id,
+          ruleName: rule.name,
+          url: rule.url,
+          channel: eventData.channel,
+          eventName: eventData.eventName,
+          replayId: eventData.replayId,
+          body: {
+            eventName: eventData.eventName,
+            channel: eventData.channel,
+            transport: eventData.transport,
+            replayId: eventData.replayId,
+            timestamp: eventData.timestamp,
+            payload,
+            changeEvent: eventData.changeEvent || undefined
+          }
+        };
+        deliveries.push(this.deliver(orgId, rule, delivery));
+      });
+
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * Delay before the next attempt: exponential backoff with jitter, capped at maxDelayMs
+   */
+  getBackoffDelay(attempt) {
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, attempt - 1), this.maxDelayMs);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Network errors, timeouts, 429 and 5xx are retried; other responses are final
+   */
+  isRetryable(status) {
+    return status === null || status === 429 || status >= 500;
+  }
+
+  /**
+   * POST a delivery, retrying with backoff up to maxAttempts (the rule's by default).
+   * Resolves with the final log entry.
+   */
+  async deliver(orgId, rule, delivery, { maxAttempts = rule.maxAttempts || this.DEFAULT_MAX_ATTEMPTS } = {}) {
+    const body = JSON.stringify(delivery.body);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Date.now().toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Delivery-Id': delivery.id,
+        'X-Event-Timestamp': timestamp,
+        'X-Event-Channel': delivery.channel
+      };
+      if (rule.secret) {
+        headers['X-Event-Signature'] = this.sign(rule.secret, timestamp, body);
+      }
+
+      const startedAt = Date.now();
+      let status = null;
+      let errorMessage = null;
+      try {
+        const response = await axios.post(rule.url, body, {
+          headers,
+          timeout: this.timeoutMs,
+          validateStatus: () => true,
+          transformRequest: [(data) => data] // Send the exact bytes that were signed
+        });
+        status = response.status;
+        if (status < 200 || status >= 300) {
+          errorMessage = `HTTP ${status}`;
+        }
+      } catch (error) {
+        errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+      }
+
+      const logEntry = {
+        deliveryId: delivery.id,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        url: rule.url,
+        channel: delivery.channel,
+        eventName: delivery.eventName,
+        replayId: delivery.replayId,
+        attempt,
+        maxAttempts,
+        status,
+        success: !errorMessage,
+        error: errorMessage,
+        durationMs: Date.now() - startedAt,
+        timestamp: new Date().toISOString()
+      };
+      this.appendLog(orgId, logEntry);
+
+      if (!errorMessage) {
+        console.log(`📬 [EVENT_FORWARDING] Delivered ${delivery.eventName} to ${rule.name} (attempt ${attempt}, HTTP ${status})`);
+        return logEntry;
+      }
+
+      if (!this.isRetryable(status) || attempt === maxAttempts) {
+        console.error(`❌ [EVENT_FORWARDING] Delivery of ${delivery.eventName} to ${rule.name} failed after ${attempt} attempt(s): ${errorMessage}`);
+        await this.addDeadLetter(orgId, { ...delivery, attempts: attempt, lastError: errorMessage, lastStatus: status, failedAt: logEntry.timestamp });
+        return logEntry;
+      }
+
+      const delay = this.getBackoffDelay(attempt);
+      console.warn(`⚠️ [EVENT_FORWARDING] Delivery to ${rule.name} failed (${errorMessage}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  appendLog(orgId, entry) {
+    if (!this.deliveryLog.has(orgId)) {
+      this.deliveryLog.set(orgId, []);
+    }
+    const log = this.deliveryLog.get(orgId);
+    log.unshift(entry);
+    log.length = Math.min(log.length, this.MAX_LOG_ENTRIES);
+  }
+
+  /**
+   * Dead letters are kept in memory and persisted to Redis so they survive restarts (newest first)
+   */
+  async getDeadLetters(orgId) {
+    if (!this.deadLetters.has(orgId)) {
+      let deadLetters = [];
+      if (this.useRedis()) {
+        deadLetters = Object.values(await this.redisModule.getHashValues(this.getDeadLetterKey(orgId), true))
+          .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+      }
+      if (!this.deadLetters.has(orgId)) {
+        this.deadLetters.set(orgId, deadLetters);
+      }
+    }
+    return this.deadLetters.get(orgId);
+  }
+
+  async addDeadLetter(orgId, deadLetter) {
+    const deadLetters = await this.getDeadLetters(orgId);
+    deadLetters.unshift(deadLetter);
+    const dropped = deadLetters.splice(this.MAX_DEAD_LETTERS);
+    if (this.useRedis()) {
+      await this.redisModule.setHashField(this.getDeadLetterKey(orgId), deadLetter.id, deadLetter);
+      for (const entry of dropped) {
+        await this.redisModule.deleteHashField(this.getDeadLetterKey(orgId), entry.id);
+      }
+    }
+  }
+
+  async removeDeadLetters(orgId, ids) {
+    const deadLetters = await this.getDeadLetters(orgId);
+    for (let index = deadLetters.length - 1; index >= 0; index--) {
+      if (ids.includes(deadLetters[index].id)) {
+        deadLetters.splice(index, 1);
+      }
+    }
+    if (this.useRedis()) {
+      for (const id of ids) {
+        await this.redisModule.deleteHashField(this.getDeadLetterKey(orgId), id);
+      }
+    }
+  }
+
+  /**
+   * GET /api/platform-events/forwarding/rules
+   */
+  async listRules(req, res) {
+    try {
+      const orgId = this.requireOrgId(req, res);
+      if (!orgId) {
+        return;
+      }
+      const rules = await this.getRules(orgId);
+      res.json({
+        success: true,
+        rules: rules.map(rule => this.toPublicRule(rule, req.session)),
+        subscriptions: this.getSubscriptionStatus(orgId, rules)
+      });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error listing forwarding rules:', error);
+      res.status(500).json({ success: false, message: 'Failed to list forwarding rules: ' + error.message });
+    }
+  }
+
+  /**
+   * POST /api/platform-events/forwarding/rules
+   */
+  async createRule(req, res) {
+    try {
+      const orgId = this.requireOrgAndUser(req, res);
+      if (!orgId) {
+        return;
+      }
+      const { name, channel, filter, url, secret, enabled = true, maxAttempts } = req.body;
+      const rule = {
+        id: crypto.randomUUID(),
+        name,
+        channel,
+        filter: filter || null,
+        url,
+        secret: secret || null,
+        enabled: enabled !== false,
+        maxAttempts: maxAttempts !== undefined ? maxAttempts : this.DEFAULT_MAX_ATTEMPTS,
+        createdBy: req.session.salesforce.username || null,
+        createdByUserId: req.session.salesforce.userId,
+        createdAt: new Date().toISOString()
+      };
+
+      const errors = this.validateRule(rule);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid forwarding rule: ' + errors.join('; '), errors });
+      }
+
+      await this.saveRule(orgId, rule);
+      console.log(`➕ [EVENT_FORWARDING] Added rule ${rule.name} (${rule.channel} -> ${rule.url})`);
+      this.refreshSubscriptions(orgId, req.session);
+
+      res.json({ success: true, rule: this.toPublicRule(rule, req.session) });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error creating forwarding rule:', error);
+      res.status(500).json({ success: false, message: 'Failed to create forwarding rule: ' + error.message });
+    }
+  }
+
+  /**
+   * PUT /api/platform-events/forwarding/rules/:ruleId - omitted fields (and an omitted secret) are kept
+   */
+  async updateRule(req, res) {
+    try {
+      const orgId = this.requireOrgAndUser(req, res);
+      if (!orgId) {
+        return;
+      }
+      const rules = await this.getRules(orgId);
+      const existing = rules.find(rule => rule.id === req.params.ruleId);
+      if (!existing) {
+        return res.status(404).json({ success: false, message: 'Forwarding rule not found' });
+      }
+      if (!this.isRuleOwner(existing, req.session)) {
+        return res.status(403).json({ success: false, message: 'Only the user who created a forwarding rule can change it' });
+      }
+
+      const allowed = ['name', 'channel', 'filter', 'url', 'secret', 'enabled', 'maxAttempts'];
+      const updated = { ...existing, updatedAt: new Date().toISOString() };
+      allowed.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updated[field] = req.body[field];
+        }
+      });
+
+      const errors = this.validateRule(updated);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid forwarding rule: ' + errors.join('; '), errors });
+      }
+
+      await this.saveRule(orgId, updated);
+      this.refreshSubscriptions(orgId, req.session);
+      res.json({ success: true, rule: this.toPublicRule(updated, req.session) });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error updating forwarding rule:', error);
+      res.status(500).json({ success: false, message: 'Failed to update forwarding rule: ' + error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/platform-events/forwarding/rules/:ruleId
+   */
+  async deleteRule(req, res) {
+    try {
+      const orgId = this.requireOrgAndUser(req, res);
+      if (!orgId) {
+        return;
+      }
+      const rule = (await this.getRules(orgId)).find(entry => entry.id === req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({ success: false, message: 'Forwarding rule not found' });
+      }
+      if (!this.isRuleOwner(rule, req.session)) {
+        return res.status(403).json({ success: false, message: 'Only the user who created a forwarding rule can delete it' });
+      }
+
+      await this.removeRule(orgId, rule.id);
+      this.refreshSubscriptions(orgId, req.session);
+      res.json({ success: true, message: 'Forwarding rule deleted' });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error deleting forwarding rule:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete forwarding rule: ' + error.message });
+    }
+  }
+
+  /**
+   * GET /api/platform-events/forwarding/deliveries - delivery log and dead letters for the Admin Console
+   */
+  async getDeliveries(req, res) {
+    try {
+      const orgId = this.requireOrgId(req, res);
+      if (!orgId) {
+        return;
+      }
+      const log = this.deliveryLog.get(orgId) || [];
+      const deadLetters = await this.getDeadLetters(orgId);
+      const ownRuleIds = new Set((await this.getRules(orgId)).filter(rule => this.isRuleOwner(rule, req.session)).map(rule => rule.id));
+
+      res.json({
+        success: true,
+        data: {
+          deliveries: log,
+          deadLetters: deadLetters.map(({ body, ...deadLetter }) => ({ ...deadLetter, payload: body.payload, canRetry: ownRuleIds.has(deadLetter.ruleId) })),
+          stats: {
+            attempts: log.length,
+            succeeded: log.filter(entry => entry.success).length,
+            failed: log.filter(entry => !entry.success).length,
+            deadLetters: deadLetters.length
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error reading delivery log:', error);
+      res.status(500).json({ success: false, message: 'Failed to read delivery log: ' + error.message });
+    }
+  }
+
+  /**
+   * POST /api/platform-events/forwarding/dead-letters/:deliveryId/retry - a single attempt, so the
+   * request is not held open for the backoff schedule; a failure goes back to the dead letters
+   */
+  async retryDeadLetter(req, res) {
+    try {
+      const orgId = this.requireOrgAndUser(req, res);
+      if (!orgId) {
+        return;
+      }
+      const deadLetters = await this.getDeadLetters(orgId);
+      const deadLetter = deadLetters.find(entry => entry.id === req.params.deliveryId);
+      if (!deadLetter) {
+        return res.status(404).json({ success: false, message: 'Dead letter not found' });
+      }
+
+      const rule = (await this.getRules(orgId)).find(entry => entry.id === deadLetter.ruleId);
+      if (!rule) {
+        return res.status(409).json({ success: false, message: 'The forwarding rule of this delivery no longer exists' });
+      }
+      if (!this.isRuleOwner(rule, req.session)) {
+        return res.status(403).json({ success: false, message: 'Only the user who created the forwarding rule can retry its deliveries' });
+      }
+
+      await this.removeDeadLetters(orgId, [deadLetter.id]);
+      const { attempts, lastError, lastStatus, failedAt, ...delivery } = deadLetter;
+      const result = await this.deliver(orgId, rule, delivery, { maxAttempts: 1 });
+
+      res.json({ success: result.success, message: result.success ? 'Delivery succeeded' : `Delivery failed again: ${result.error}`, result });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error retrying dead letter:', error);
+      res.status(500).json({ success: false, message: 'Failed to retry delivery: ' + error.message });
+    }
+  }
+
+  /**
+   * DELETE /api/platform-events/forwarding/dead-letters - the dead letters of the caller's rules
+   * and of rules that no longer exist
+   */
+  async clearDeadLetters(req, res) {
+    try {
+      const orgId = this.requireOrgAndUser(req, res);
+      if (!orgId) {
+        return;
+      }
+      const rules = await this.getRules(orgId);
+      const otherRuleIds = new Set(rules.filter(rule => !this.isRuleOwner(rule, req.session)).map(rule => rule.id));
+      const ids = (await this.getDeadLetters(orgId)).filter(entry => !otherRuleIds.has(entry.ruleId)).map(entry => entry.id);
+      await this.removeDeadLetters(orgId, ids);
+      res.json({ success: true, message: `Cleared ${ids.length} dead letters` });
+    } catch (error) {
+      console.error('❌ [EVENT_FORWARDING] Error clearing dead letters:', error);
+      res.status(500).json({ success: false, message: 'Failed to clear dead letters: ' + error.message });
+    }
+  }
+}
+
+module.exports = PlatformEventForwardingModule;
@@ -0,0 +1,304 @@
+/**
+ * Server-side history of received platform events, keyed by org and channel.
+ * Uses a capped Redis stream per channel when Redis is available and an
+ * in-memory ring buffer per channel otherwise.
+ */
+class PlatformEventHistoryModule {
+  constructor(redisModule, options = {}) {
+    this.redisModule = redisModule;
+    this.HISTORY_KEY_PREFIX = 'platform_event_history:';
+    this.maxEventsPerChannel = options.maxEventsPerChannel
+      || parseInt(process.env.PLATFORM_EVENT_HISTORY_MAX, 10)
+      || 1000;
+    this.memoryHistory = new Map(); // key -> array of records (oldest first)
+    this.DEFAULT_PAGE_SIZE = 50;
+    this.MAX_PAGE_SIZE = 500;
+    this.EXPORT_FORMATS = ['csv', 'ndjson'];
+  }
+
+  getHistoryKey(orgId, channel) {
+    return `${this.HISTORY_KEY_PREFIX}${orgId}:${channel}`;
+  }
+
+  /**
+   * Org of the request, or null when the session has none (Bearer token requests)
+   */
+  getOrgId(req) {
+    return req.session.salesforce.organizationId || req.session.salesforce.orgKey || null;
+  }
+
+  useRedis() {
+    return !!(this.redisModule && this.redisModule.isAvailable());
+  }
+
+  /**
+   * Store a received event (the same shape that is emitted on the platformEvent socket event)
+   */
+  async record(orgId, eventData) {
+    const record = {
+      eventName: eventData.eventName,
+      eventLabel: eventData.eventLabel,
+      channel: eventData.channel || `/event/${eventData.eventName}`,
+      transport: eventData.transport,
+      replayId: eventData.replayId,
+      timestamp: eventData.timestamp,
+      payload: eventData.message && eventData.message.payload ? eventData.message.payload : {}
+    };
+    if (eventData.changeEvent) {
+      record.changeEvent = eventData.changeEvent;
+    }
+    const key = this.getHistoryKey(orgId, record.channel);
+
+    try {
+      if (this.useRedis()) {
+        const id = await this.redisModule.appendToStream(key, { event: JSON.stringify(record) }, this.maxEventsPerChannel);
+        if (id) {
+          return;
+        }
+      }
+
+      if (!this.memoryHistory.has(key)) {
+        this.memoryHistory.set(key, []);
+      }
+      const buffer = this.memoryHistory.get(key);
+      buffer.push(record);
+      if (buffer.length > this.maxEventsPerChannel) {
+        buffer.splice(0, buffer.length - this.maxEventsPerChannel);
+      }
+    } catch (error) {
+      console.error(`❌ [PLATFORM_EVENT_HISTORY] Failed to record event for ${record.channel}:`, error.message);
+    }
+  }
+
+  /**
+   * List the channels that have history for an org
+   */
+  async getChannels(orgId) {
+    const prefix = this.getHistoryKey(orgId, '');
+    const keys = new Set(Array.from(this.memoryHistory.keys()).filter(key => key.startsWith(prefix)));
+    if (this.useRedis()) {
+      (await this.redisModule.getKeys(`${prefix}*`)).forEach(key => keys.add(key));
+    }
+    return Array.from(keys).map(key => key.substring(prefix.length)).sort();
+  }
+
+  /**
+   * Read the stored events of one channel between two timestamps (ms, inclusive)
+   */
+  async readChannel(orgId, channel, fromMs, toMs) {
+    const key = this.getHistoryKey(orgId, channel);
+    const records = [];
+
+    if (this.useRedis()) {
+      // Stream IDs start with the insertion time in ms, so the time range maps onto XRANGE
+      const entries = await this.redisModule.readStreamRange(
+        key,
+        fromMs !== null ? String(fromMs) : '-',
+        toMs !== null ? String(toMs) : '+'
+      );
+      entries.forEach(entry => {
+        try {
+          records.push(JSON.parse(entry.message.event));
+        } catch (parseError) {
+          console.warn(`⚠️ [PLATFORM_EVENT_HISTORY] Skipping unreadable entry ${entry.id} in ${key}`);
+        }
+      });
+    }
+
+    (this.memoryHistory.get(key) || []).forEach(record => records.push(record));
+
+    return records.filter(record => {
+      const time = Date.parse(record.timestamp);
+      return (fromMs === null || time >= fromMs) && (toMs === null || time <= toMs);
+    });
+  }
+
+  /**
+   * Parse and validate history query parameters. Returns { options } or { error }.
+   */
+  parseQuery(query) {
+    const parseTime = (value, name) => {
+      if (value === undefined || value === '') {
+        return null;
+      }
+      const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+      if (isNaN(time)) {
+        throw new Error(`Invalid ${name} '${value}'. Use an ISO date or epoch milliseconds.`);
+      }
+      return time;
+    };
+
+    try {
+      const from = parseTime(query.from, 'from');
+      const to = parseTime(query.to, 'to');
+      if (from !== null && to !== null && from > to) {
+        throw new Error('from must be before to');
+      }
+
+      const limit = query.limit !== undefined ? parseInt(query.limit, 10) : this.DEFAULT_PAGE_SIZE;
+      const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+      if (isNaN(limit) || limit < 1 || limit > this.MAX_PAGE_SIZE) {
+        throw new Error(`limit must be between 1 and ${this.MAX_PAGE_SIZE}`);
+      }
+      if (isNaN(offset) || offset < 0) {
+        throw new Error('offset must be 0 or greater');
+      }
+
+      const channels = query.channel
+        ? String(query.channel).split(',').map(channel => channel.trim()).filter(Boolean)
+          .map(channel => channel.startsWith('/') ? channel : `/event/${channel}`)
+        : null;
+
+      return {
+        options: {
+          from,
+          to,
+          limit,
+          offset,
+          channels,
+          search: query.search ? String(query.search).toLowerCase() : ''
+        }
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Find events across channels, newest first
+   */
+  async search(orgId, options) {
+    const channels = options.channels || await this.getChannels(orgId);
+    const perChannel = await Promise.all(
+      channels.map(channel => this.readChannel(orgId, channel, options.from, options.to))
+    );
+
+    let events = perChannel.flat();
+    if (options.search) {
+      events = events.filter(record =>
+        JSON.stringify(record.payload).toLowerCase().includes(options.search) ||
+        (record.eventName || '').toLowerCase().includes(options.search) ||
+        String(record.replayId).toLowerCase().includes(options.search)
+      );
+    }
+
+    events.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    return { channels, total: events.length, events };
+  }
+
+  /**
+   * Quote a value for CSV
+   */
+  toCsvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV with the event metadata columns followed by one column per payload field
+   */
+  toCSV(events) {
+    const metadataColumns = ['timestamp', 'eventName', 'channel', 'transport', 'replayId'];
+    const payloadColumns = [];
+    events.forEach(record => {
+      Object.keys(record.payload || {}).forEach(field => {
+        if (!payloadColumns.includes(field)) {
+          payloadColumns.push(field);
+        }
+      });
+    });
+
+    const lines = [[...metadataColumns, ...payloadColumns].map(column => this.toCsvValue(column)).join(',')];
+    events.forEach(record => {
+      lines.push([
+        ...metadataColumns.map(column => this.toCsvValue(record[column])),
+        ...payloadColumns.map(field => this.toCsvValue((record.payload || {})[field]))
+      ].join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  toNDJSON(events) {
+    return events.map(record => JSON.stringify(record)).join('\n') + (events.length ? '\n' : '');
+  }
+
+  /**
+   * GET /api/platform-events/history
+   */
+  async getHistory(req, res) {
+    try {
+      const { options, error } = this.parseQuery(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const orgId = this.getOrgId(req);
+      if (!orgId) {
+        return res.status(401).json({ success: false, message: 'Platform event history needs a session with a known org' });
+      }
+      const { channels, total, events } = await this.search(orgId, options);
+
+      res.json({
+        success: true,
+        storage: this.useRedis() ? 'redis' : 'memory',
+        channels,
+        total,
+        offset: options.offset,
+        limit: options.limit,
+        hasMore: options.offset + options.limit < total,
+        events: events.slice(options.offset, options.offset + options.limit)
+      });
+    } catch (error) {
+      console.error('❌ [PLATFORM_EVENT_HISTORY] Error reading event history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to read platform event history: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/platform-events/history/export - all matching events as CSV or NDJSON
+   */
+  async exportHistory(req, res) {
+    try {
+      const format = (req.query.format || 'csv').toLowerCase();
+      if (!this.EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format '${format}'. Use one of: ${this.EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      const { options, error } = this.parseQuery({ ...req.query, limit: undefined, offset: undefined });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const orgId = this.getOrgId(req);
+      if (!orgId) {
+        return res.status(401).json({ success: false, message: 'Platform event history needs a session with a known org' });
+      }
+      const { events } = await this.search(orgId, options);
+      const fileName = `platform-events-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+
+      console.log(`📤 [PLATFORM_EVENT_HISTORY] Exporting ${events.length} events as ${format}`);
+      res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      });
+      res.send(format === 'csv' ? this.toCSV(events) : this.toNDJSON(events));
+    } catch (error) {
+      console.error('❌ [PLATFORM_EVENT_HISTORY] Error exporting event history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export platform event history: ' + error.message
+      });
+    }
+  }
+}
+
+module.exports = PlatformEventHistoryModule;
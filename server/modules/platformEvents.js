@@ -1,10 +1,716 @@
 const jsforce = require('jsforce');
+const { StreamingExtension } = require('jsforce/api/streaming');
+const PubSubApiClient = require('./pubSubApi');
+const { FilterSyntaxError, compileFilter, projectFields } = require('./eventFilter');
+const {
+  STANDARD_CHANGE_EVENTS_CHANNEL,
+  isChangeEventChannel,
+  getChangeEventEntity,
+  decodeChangeEventHeader,
+  buildFieldChanges
+} = require('./changeEvents');
+const { PlatformEventMetrics } = require('./eventMetrics');
+const { SOQLParameterError, assertSOQLIdentifier } = require('./soqlBuilder');
 
 class PlatformEventsModule {
-  constructor(io, platformEventSubscriptions) {
+  constructor(io, platformEventSubscriptions, redisModule, historyModule = null) {
     this.io = io;
     this.platformEventSubscriptions = platformEventSubscriptions;
-    this.isSubscriptionInProgress = false;
+    this.redisModule = redisModule;
+    this.historyModule = historyModule; // Optional PlatformEventHistoryModule
+    this.subscriptionLocks = new Set(); // Session IDs with a subscribe request in flight
+    this.sessionSubscriptions = new Map(); // sessionId -> Set of subscription keys it listens to
+    this.sessionSockets = new Map(); // sessionId -> Set of connected socket IDs
+    this.releaseTimers = new Map(); // sessionId -> pending release after its last socket left
+    this.LISTENER_GRACE_MS = 30000; // Survive socket.io reconnects without dropping subscriptions
+    this.REPLAY_KEY_PREFIX = 'platform_event_replay:';
+    this.REPLAY_LATEST = -1; // Only new events
+    this.REPLAY_ALL = -2; // All events in the retention window
+    this.replayIdCache = new Map(); // In-memory fallback when Redis is offline
+    this.TRANSPORTS = ['cometd', 'pubsub'];
+    this.pubSubSchemaCache = new Map(); // Avro schemas by schemaId, shared by all Pub/Sub subscriptions
+    this.MAX_TRACKED_RECORDS = 1000; // Per change event subscription, for previous values in field diffs
+    this.metrics = new PlatformEventMetrics();
+    this.orgCredentials = new Map(); // orgId -> latest OAuth credentials, used to resubscribe without a request in flight
+    this.credentialRefreshes = new Map(); // orgId -> in-flight access token refresh
+    this.RECONNECT_BASE_DELAY_MS = 1000;
+    this.RECONNECT_MAX_DELAY_MS = 60000;
+    this.MAX_RECONNECT_ATTEMPTS = 8; // Then the subscription is reported as failed until someone subscribes again
+  }
+
+  /**
+   * Key of a shared subscription: one CometD/Pub/Sub subscription per org, transport and channel
+   */
+  getSubscriptionKey(orgId, transport, channel) {
+    return `${orgId}|${transport}|${channel}`;
+  }
+
+  /**
+   * socket.io room that receives the events of an org + user
+   */
+  getListenerRoom(orgId, userId) {
+    return `org:${orgId}:user:${userId}`;
+  }
+
+  /**
+   * Org of a session (null if it cannot be resolved, e.g. Bearer token requests carry no org)
+   */
+  getSessionOrgId(session) {
+    if (!session || !session.salesforce) {
+      return null;
+    }
+    return session.salesforce.organizationId || session.salesforce.orgKey || null;
+  }
+
+  /**
+   * Resolve org, user and room for a session (null unless both org and user are known,
+   * so sessions without them never share subscriptions, replay positions or rooms)
+   */
+  getSessionContext(session) {
+    const orgId = this.getSessionOrgId(session);
+    const userId = session && session.salesforce ? session.salesforce.userId : null;
+    if (!orgId || !userId) {
+      return null;
+    }
+    return { orgId, userId, room: this.getListenerRoom(orgId, userId) };
+  }
+
+  /**
+   * Emit to the rooms of every session listening to a shared subscription.
+   * Each listener's filter and field projection is applied to platform event payloads;
+   * listeners with the same room and filter receive a single copy.
+   * Server-side listeners (no room) get every event unfiltered through their onEvent callback.
+   */
+  emitToListeners(entry, eventName, data) {
+    const deliveries = new Map();
+    entry.listeners.forEach(listener => {
+      if (listener.onEvent) {
+        try {
+          listener.onEvent(eventName, data);
+        } catch (error) {
+          console.error(`❌ [PLATFORM_EVENTS] Server listener failed on ${eventName} for ${entry.channel}:`, error.message);
+        }
+        return;
+      }
+      const deliveryKey = [listener.room, listener.filter ? listener.filter.expression : '', (listener.fields || []).join(',')].join('|');
+      if (!deliveries.has(deliveryKey)) {
+        deliveries.set(deliveryKey, listener);
+      }
+    });
+
+    const rooms = [];
+    deliveries.forEach(listener => {
+      let listenerData = data;
+      const payload = data.message && data.message.payload;
+      if (payload) {
+        if (listener.filter && !listener.filter.matches(payload)) {
+          return;
+        }
+        if (listener.fields && listener.fields.length > 0) {
+          listenerData = { ...data, message: { ...data.message, payload: projectFields(payload, listener.fields) } };
+          if (data.changeEvent) {
+            const wanted = listener.fields.map(field => field.toLowerCase());
+            listenerData.changeEvent = {
+              ...data.changeEvent,
+              fieldChanges: data.changeEvent.fieldChanges.filter(change => wanted.includes(change.field.split('.')[0].toLowerCase()))
+            };
+          }
+        }
+      }
+      this.io.to(listener.room).emit(eventName, listenerData);
+      rooms.push(listener.room);
+    });
+    return rooms;
+  }
+
+  /**
+   * Decode the ChangeEventHeader of a change event and build its field-level changes.
+   * The entry remembers the last known values per record so diffs can show previous values.
+   * Returns null for platform events.
+   */
+  describeChangeEvent(entry, payload, schemaJson = null) {
+    if (!isChangeEventChannel(entry.channel) || !payload) {
+      return null;
+    }
+    const header = decodeChangeEventHeader(payload, schemaJson);
+    if (!header) {
+      return null;
+    }
+
+    if (!entry.recordState) {
+      entry.recordState = new Map();
+    }
+    const previousValues = header.recordIds.length > 0 ? entry.recordState.get(header.recordIds[0]) : null;
+    const fieldChanges = buildFieldChanges(payload, header, previousValues);
+
+    header.recordIds.forEach(recordId => {
+      if (header.changeType === 'DELETE') {
+        entry.recordState.delete(recordId);
+        return;
+      }
+      const state = { ...(entry.recordState.get(recordId) || {}) };
+      fieldChanges.forEach(change => {
+        state[change.field] = change.value;
+      });
+      // Re-insert so the Map's insertion order works as LRU
+      entry.recordState.delete(recordId);
+      entry.recordState.set(recordId, state);
+    });
+    while (entry.recordState.size > this.MAX_TRACKED_RECORDS) {
+      entry.recordState.delete(entry.recordState.keys().next().value);
+    }
+
+    return { ...header, fieldChanges };
+  }
+
+  /**
+   * Store a received event in the history (unfiltered, once per shared subscription)
+   */
+  recordHistory(orgId, eventData) {
+    if (!this.historyModule) {
+      return;
+    }
+    this.historyModule.record(orgId, eventData).catch(error => {
+      console.error(`❌ [PLATFORM_EVENTS] Failed to record ${eventData.eventName} in history:`, error.message);
+    });
+  }
+
+  /**
+   * Count a received event in the channel metrics (throughput and publish-to-receive latency)
+   */
+  recordEventMetrics(orgId, entry, message) {
+    this.metrics.recordEvent(orgId, {
+      channel: entry.channel,
+      transport: entry.transport,
+      eventName: entry.eventName,
+      payload: message.payload,
+      eventUuid: message.event ? message.event.EventUuid : null,
+      subscribedAt: entry.subscribedAt
+    });
+  }
+
+  /**
+   * Faye extension watching the health of a CometD subscription: counts handshakes and failures in the
+   * metrics, tracks the connection state and resubscribes (refreshing the token on auth errors) once
+   * Salesforce tells Faye not to reconnect by itself (advice.reconnect = none).
+   */
+  createHealthExtension(orgId, entry) {
+    return {
+      incoming: (message, callback) => {
+        const isMeta = message.channel === '/meta/handshake' || message.channel === '/meta/connect';
+        if (message.channel === '/meta/handshake') {
+          if (message.successful) {
+            this.metrics.recordConnectionEvent(orgId, entry, entry.handshakes++ > 0 ? 'reconnect' : 'handshake');
+          } else {
+            this.metrics.recordConnectionEvent(orgId, entry, 'handshakeError', message.error || 'Handshake failed');
+          }
+        } else if (message.channel === '/meta/connect' && message.successful === false) {
+          this.metrics.recordConnectionEvent(orgId, entry, 'connectError', message.error || 'Connect failed');
+        }
+
+        if (isMeta && message.successful === false) {
+          const reason = message.error || `${message.channel} failed`;
+          if (message.advice && message.advice.reconnect === 'none') {
+            this.scheduleResubscribe(entry, reason, { authFailure: this.isAuthError(reason) });
+          } else if (entry.state === 'connected') {
+            this.setSubscriptionState(entry, 'reconnecting', reason);
+          }
+        } else if (message.channel === '/meta/connect' && message.successful && entry.state === 'reconnecting' && !entry.reconnectTimer) {
+          this.setSubscriptionState(entry, 'connected', 'Connection restored');
+        }
+        callback(message);
+      }
+    };
+  }
+
+  /**
+   * Whether an error (message) means the access token is no longer valid
+   */
+  isAuthError(error) {
+    const message = typeof error === 'string' ? error : (error && (error.details || error.message)) || '';
+    return /^40[13]::Authentication invalid|INVALID_SESSION_ID|Session expired|^401\b|status code 401\b/i.test(message) ||
+      (error && error.code === 16); // gRPC UNAUTHENTICATED
+  }
+
+  /**
+   * Update the health of a subscription and tell its listeners (subscriptionState socket event)
+   */
+  setSubscriptionState(entry, state, reason = null) {
+    if (entry.state === state && entry.stateReason === reason) {
+      return;
+    }
+    entry.state = state;
+    entry.stateReason = reason;
+    entry.stateChangedAt = new Date().toISOString();
+    if (state === 'connected') {
+      entry.lastConnectedAt = entry.stateChangedAt;
+      entry.nextRetryAt = null;
+    }
+
+    const icon = { connected: '✅', reconnecting: '🔄', failed: '❌' }[state] || 'ℹ️';
+    console.log(`${icon} [PLATFORM_EVENTS] ${entry.channel} (${entry.transport}) is ${state}${reason ? `: ${reason}` : ''}`);
+    this.emitToListeners(entry, 'subscriptionState', {
+      eventName: entry.eventName,
+      channel: entry.channel,
+      transport: entry.transport,
+      state,
+      reason,
+      reconnectAttempts: entry.reconnectAttempts,
+      nextRetryAt: entry.nextRetryAt,
+      timestamp: entry.stateChangedAt
+    });
+  }
+
+  /**
+   * Remember the OAuth credentials of a session so shared subscriptions of its org can be
+   * re-established (and their access token refreshed) from a background reconnect
+   */
+  rememberCredentials(orgId, session) {
+    const previous = this.orgCredentials.get(orgId) || {};
+    this.orgCredentials.set(orgId, {
+      accessToken: session.salesforce.accessToken,
+      refreshToken: session.salesforce.refreshToken || previous.refreshToken || null,
+      instanceUrl: session.salesforce.instanceUrl,
+      oauth2: session.oauth2 || previous.oauth2 || null,
+      tenantId: session.salesforce.organizationId || previous.tenantId || null
+    });
+  }
+
+  /**
+   * Get a new access token for an org with the stored refresh token (one refresh at a time per org)
+   */
+  async refreshCredentials(orgId) {
+    if (!this.credentialRefreshes.has(orgId)) {
+      const refresh = (async () => {
+        const credentials = this.orgCredentials.get(orgId);
+        if (!credentials || !credentials.refreshToken || !credentials.oauth2) {
+          const error = new Error('Access token expired and no refresh token is available; log in again to resume');
+          error.permanent = true;
+          throw error;
+        }
+
+        const result = await new jsforce.OAuth2(credentials.oauth2).refreshToken(credentials.refreshToken);
+        const refreshed = {
+          ...credentials,
+          accessToken: result.access_token,
+          instanceUrl: result.instance_url || credentials.instanceUrl
+        };
+        this.orgCredentials.set(orgId, refreshed);
+        console.log(`🔑 [PLATFORM_EVENTS] Refreshed the access token of org ${orgId} for streaming`);
+        return refreshed;
+      })();
+      this.credentialRefreshes.set(orgId, refresh);
+      refresh.catch(() => {}).finally(() => this.credentialRefreshes.delete(orgId));
+    }
+    return this.credentialRefreshes.get(orgId);
+  }
+
+  /**
+   * Delay before reconnect attempt n: exponential backoff with jitter
+   */
+  getReconnectDelay(attempt) {
+    const delay = Math.min(this.RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt - 1), this.RECONNECT_MAX_DELAY_MS);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Tear down a broken subscription and resubscribe after a backoff delay.
+   * Gives up (state failed) after MAX_RECONNECT_ATTEMPTS or when the token cannot be refreshed.
+   */
+  scheduleResubscribe(entry, reason, { authFailure = false } = {}) {
+    const key = this.getSubscriptionKey(entry.orgId, entry.transport, entry.channel);
+    if (entry.cancelled || entry.reconnectTimer || this.platformEventSubscriptions.get(key) !== entry) {
+      return; // Released, already scheduled, or replaced
+    }
+
+    entry.teardown();
+    entry.needsTokenRefresh = entry.needsTokenRefresh || authFailure;
+    if (entry.reconnectAttempts >= this.MAX_RECONNECT_ATTEMPTS) {
+      this.setSubscriptionState(entry, 'failed', `${reason} (gave up after ${entry.reconnectAttempts} attempts)`);
+      return;
+    }
+
+    entry.reconnectAttempts++;
+    const delay = this.getReconnectDelay(entry.reconnectAttempts);
+    entry.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    this.setSubscriptionState(entry, 'reconnecting', reason);
+
+    entry.reconnectTimer = setTimeout(() => {
+      entry.reconnectTimer = null;
+      this.resubscribe(entry).catch(error => {
+        console.error(`❌ [PLATFORM_EVENTS] Resubscribing to ${entry.channel} failed (attempt ${entry.reconnectAttempts}):`, error.message);
+        if (error.permanent) {
+          this.setSubscriptionState(entry, 'failed', error.message);
+          return;
+        }
+        this.scheduleResubscribe(entry, error.message, { authFailure: this.isAuthError(error) });
+      });
+    }, delay);
+  }
+
+  /**
+   * Replace a broken subscription with a new one resuming after its last replayId
+   */
+  async resubscribe(entry) {
+    const { orgId, channel, transport } = entry;
+    let credentials = this.orgCredentials.get(orgId);
+    if (entry.needsTokenRefresh) {
+      credentials = await this.refreshCredentials(orgId);
+      entry.needsTokenRefresh = false;
+    }
+    if (!credentials) {
+      const error = new Error('No credentials available to resubscribe; subscribe again');
+      error.permanent = true;
+      throw error;
+    }
+
+    const hasReplayId = entry.lastReplayId !== undefined && entry.lastReplayId !== null;
+    const replacement = transport === 'pubsub'
+      ? await this.createPubSubSubscription(
+        { accessToken: credentials.accessToken, instanceUrl: credentials.instanceUrl, tenantId: credentials.tenantId || orgId },
+        orgId, entry.event, channel,
+        hasReplayId ? { replayPreset: 'CUSTOM', replayId: entry.lastReplayId } : { replayPreset: 'LATEST', replayId: null },
+        entry.listeners
+      )
+      : await this.createReplaySubscription(
+        this.createOrgConnection(credentials), orgId, entry.event, channel,
+        hasReplayId ? entry.lastReplayId : this.REPLAY_LATEST, entry.listeners
+      );
+
+    if (entry.cancelled) {
+      replacement.cancel();
+      return;
+    }
+
+    replacement.recordState = entry.recordState;
+    this.platformEventSubscriptions.set(this.getSubscriptionKey(orgId, transport, channel), replacement);
+    this.setSubscriptionState(replacement, 'connected', `Reconnected after ${entry.reconnectAttempts} attempt(s)`);
+  }
+
+  /**
+   * Validate the per-event filters of a subscribe request against the events' describe.
+   * Returns { listenerOptions: Map(eventName -> { filter, fields }), errors: [{ eventName, error }] }.
+   */
+  async compileEventFilters(conn, filters, eventNames) {
+    const listenerOptions = new Map();
+    const errors = [];
+
+    if (filters === undefined || filters === null) {
+      return { listenerOptions, errors };
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push({ eventName: null, error: 'filters must be an object keyed by event name' });
+      return { listenerOptions, errors };
+    }
+
+    for (const [eventName, options] of Object.entries(filters)) {
+      if (!eventNames.includes(eventName)) {
+        errors.push({ eventName, error: 'filter given for an event that is not selected' });
+        continue;
+      }
+
+      const { filter: expression, fields } = options || {};
+      if (!expression && (!fields || fields.length === 0)) {
+        continue;
+      }
+
+      let compiled = null;
+      try {
+        if (expression) {
+          compiled = compileFilter(expression);
+        }
+      } catch (error) {
+        if (!(error instanceof FilterSyntaxError)) {
+          throw error;
+        }
+        errors.push({ eventName, error: error.message });
+        continue;
+      }
+
+      if (fields !== undefined && (!Array.isArray(fields) || !fields.every(field => typeof field === 'string' && field.trim()))) {
+        errors.push({ eventName, error: 'fields must be an array of field names' });
+        continue;
+      }
+
+      // Referenced fields must exist on the event (multi-entity change event channels can't be checked)
+      const describeName = isChangeEventChannel(eventName) ? getChangeEventEntity(eventName) : eventName;
+      if (describeName) {
+        const describe = await conn.sobject(describeName).describe();
+        const knownFields = new Set(describe.fields.map(field => field.name.toLowerCase()));
+        const referencedFields = [...(compiled ? compiled.fields : []), ...(fields || [])];
+        const unknownFields = referencedFields.filter(field => !knownFields.has(field.split('.')[0].trim().toLowerCase()));
+        if (unknownFields.length > 0) {
+          errors.push({ eventName, error: `Unknown field(s): ${[...new Set(unknownFields)].join(', ')}` });
+          continue;
+        }
+      }
+
+      listenerOptions.set(eventName, {
+        filter: compiled,
+        fields: fields ? fields.map(field => field.trim()) : []
+      });
+    }
+
+    return { listenerOptions, errors };
+  }
+
+  /**
+   * Join a newly connected socket to its org + user room (session shared via io.engine.use).
+   * session is the socket's own session, optionally as loaded by a later request of that session.
+   */
+  registerSocket(socket, session = socket.request.session) {
+    const context = this.getSessionContext(session);
+    if (!context) {
+      return;
+    }
+
+    const sessionId = session.id;
+    socket.join(context.room);
+    socket.data.platformEventsSessionId = sessionId;
+
+    if (!this.sessionSockets.has(sessionId)) {
+      this.sessionSockets.set(sessionId, new Set());
+    }
+    this.sessionSockets.get(sessionId).add(socket.id);
+
+    // A reconnect within the grace period keeps the session's subscriptions alive
+    if (this.releaseTimers.has(sessionId)) {
+      clearTimeout(this.releaseTimers.get(sessionId));
+      this.releaseTimers.delete(sessionId);
+      console.log(`🔄 [PLATFORM_EVENTS] Session ${sessionId.substring(0, 8)} reconnected, keeping its subscriptions`);
+    }
+
+    console.log(`🚪 [PLATFORM_EVENTS] Socket ${socket.id} joined room ${context.room}`);
+  }
+
+  /**
+   * Release a session's subscriptions once its last socket has been gone for the grace period
+   */
+  releaseSocket(socket) {
+    const sessionId = socket.data.platformEventsSessionId;
+    if (!sessionId || !this.sessionSockets.has(sessionId)) {
+      return;
+    }
+
+    const sockets = this.sessionSockets.get(sessionId);
+    sockets.delete(socket.id);
+    if (sockets.size > 0) {
+      return;
+    }
+
+    this.sessionSockets.delete(sessionId);
+    if (!this.sessionSubscriptions.has(sessionId)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.releaseTimers.delete(sessionId);
+      this.releaseSessionSubscriptions(sessionId).catch(error => {
+        console.error(`❌ [PLATFORM_EVENTS] Error releasing subscriptions for disconnected session:`, error);
+      });
+    }, this.LISTENER_GRACE_MS);
+    this.releaseTimers.set(sessionId, timer);
+  }
+
+  /**
+   * Remove a session as listener from all of its subscriptions.
+   * Shared subscriptions are cancelled when their last listener leaves.
+   */
+  async releaseSessionSubscriptions(sessionId) {
+    const subscriptionKeys = this.sessionSubscriptions.get(sessionId);
+    this.sessionSubscriptions.delete(sessionId);
+    if (!subscriptionKeys || subscriptionKeys.size === 0) {
+      return 0;
+    }
+
+    let cancelledCount = 0;
+    subscriptionKeys.forEach(key => {
+      const entry = this.platformEventSubscriptions.get(key);
+      if (!entry) {
+        return;
+      }
+
+      entry.listeners.delete(sessionId);
+      if (entry.listeners.size > 0) {
+        console.log(`👥 [PLATFORM_EVENTS] ${entry.channel} still has ${entry.listeners.size} listener(s), keeping subscription`);
+        return;
+      }
+
+      try {
+        entry.cancel();
+        console.log(`✅ [PLATFORM_EVENTS] Cancelled subscription for ${entry.channel} (last listener left)`);
+      } catch (error) {
+        console.error(`❌ [PLATFORM_EVENTS] Error cancelling subscription for ${entry.channel}:`, error);
+      }
+      this.platformEventSubscriptions.delete(key);
+      cancelledCount++;
+    });
+
+    if (cancelledCount > 0) {
+      // Give Salesforce a moment to process the cancellations
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    console.log(`🧹 [PLATFORM_EVENTS] Released ${subscriptionKeys.size} subscription(s) for session, cancelled ${cancelledCount}. Active subscriptions: ${this.platformEventSubscriptions.size}`);
+    return cancelledCount;
+  }
+
+  /**
+   * Listen to an org channel from inside the server (e.g. event forwarding), independent of any
+   * browser session. Joins the shared CometD subscription of the channel or starts one from the
+   * stored replayId with the org's remembered credentials. onEvent(eventName, data) receives every event.
+   */
+  async addServerListener(orgId, channel, listenerId, onEvent) {
+    const key = this.getSubscriptionKey(orgId, 'cometd', channel);
+    const listener = { room: null, filter: null, fields: [], onEvent };
+    let subscription = this.platformEventSubscriptions.get(key);
+    let listeners = new Map();
+    if (subscription && subscription.state === 'failed') {
+      console.log(`♻️ [PLATFORM_EVENTS] Replacing failed subscription for ${channel}`);
+      subscription.cancel();
+      listeners = new Map(subscription.listeners);
+      subscription = null;
+    }
+
+    if (subscription) {
+      subscription.listeners.set(listenerId, listener);
+      console.log(`👥 [PLATFORM_EVENTS] ${listenerId} joined existing subscription for ${channel} (${subscription.listeners.size} listeners)`);
+      return subscription;
+    }
+
+    const credentials = this.orgCredentials.get(orgId);
+    if (!credentials) {
+      throw new Error(`No credentials for org ${orgId}; log in to start listening to ${channel}`);
+    }
+
+    const apiName = channel.replace(/^\/(event|data)\//, '');
+    const event = { QualifiedApiName: apiName, Label: channel === STANDARD_CHANGE_EVENTS_CHANNEL ? 'All Change Events' : apiName };
+    listeners.set(listenerId, listener);
+    const startReplayId = await this.resolveReplayId(orgId, channel, 'stored');
+    subscription = await this.createReplaySubscription(this.createOrgConnection(credentials), orgId, event, channel, startReplayId, listeners);
+    this.platformEventSubscriptions.set(key, subscription);
+    console.log(`🎯 [PLATFORM_EVENTS] ${listenerId} subscribed to ${channel} (replay from ${subscription.replayFrom})`);
+    return subscription;
+  }
+
+  /**
+   * Stop a server-side listener; the subscription is cancelled when it was the last listener
+   */
+  removeServerListener(orgId, channel, listenerId) {
+    const key = this.getSubscriptionKey(orgId, 'cometd', channel);
+    const entry = this.platformEventSubscriptions.get(key);
+    if (!entry || !entry.listeners.delete(listenerId) || entry.listeners.size > 0) {
+      return false;
+    }
+
+    try {
+      entry.cancel();
+      console.log(`✅ [PLATFORM_EVENTS] Cancelled subscription for ${channel} (last listener left)`);
+    } catch (error) {
+      console.error(`❌ [PLATFORM_EVENTS] Error cancelling subscription for ${channel}:`, error);
+    }
+    this.platformEventSubscriptions.delete(key);
+    return true;
+  }
+
+  /**
+   * Get org-specific Redis key for the last seen replayId of a channel
+   */
+  getReplayKey(orgId, channel) {
+    return `${this.REPLAY_KEY_PREFIX}${orgId}:${channel}`;
+  }
+
+  /**
+   * Load the last persisted replayId for a channel (null if none)
+   */
+  async loadReplayId(orgId, channel) {
+    const key = this.getReplayKey(orgId, channel);
+
+    if (this.redisModule && this.redisModule.isAvailable()) {
+      const stored = await this.redisModule.get(key, true);
+      if (stored !== null && stored !== undefined && !isNaN(parseInt(stored, 10))) {
+        return parseInt(stored, 10);
+      }
+    }
+
+    return this.replayIdCache.has(key) ? this.replayIdCache.get(key) : null;
+  }
+
+  /**
+   * Load the last persisted Pub/Sub API replayId (base64 bytes) for a channel (null if none)
+   */
+  async loadPubSubReplayId(orgId, channel) {
+    const key = this.getReplayKey(orgId, `pubsub:${channel}`);
+
+    if (this.redisModule && this.redisModule.isAvailable()) {
+      const stored = await this.redisModule.get(key);
+      if (stored) {
+        return stored;
+      }
+    }
+
+    return this.replayIdCache.has(key) ? this.replayIdCache.get(key) : null;
+  }
+
+  /**
+   * Persist the last seen replayId for a channel
+   */
+  async saveReplayId(orgId, channel, replayId) {
+    const key = this.getReplayKey(orgId, channel);
+    this.replayIdCache.set(key, replayId);
+
+    if (this.redisModule && this.redisModule.isAvailable()) {
+      await this.redisModule.set(key, replayId);
+    }
+  }
+
+  /**
+   * Resolve the replayId a channel subscription should start from.
+   * replayFrom: 'stored' (resume after last seen event, default), 'latest' (-1),
+   * 'all' (-2) or an explicit numeric ReplayId.
+   */
+  async resolveReplayId(orgId, channel, replayFrom) {
+    if (replayFrom === 'latest') {
+      return this.REPLAY_LATEST;
+    }
+    if (replayFrom === 'all') {
+      return this.REPLAY_ALL;
+    }
+    if (replayFrom !== undefined && replayFrom !== null && replayFrom !== 'stored') {
+      return parseInt(replayFrom, 10);
+    }
+
+    const storedReplayId = await this.loadReplayId(orgId, channel);
+    return storedReplayId !== null ? storedReplayId : this.REPLAY_LATEST;
+  }
+
+  /**
+   * Resolve the Pub/Sub API replay preset for a channel subscription.
+   * Explicit replay points are base64 encoded replayId bytes.
+   */
+  async resolvePubSubReplay(orgId, channel, replayFrom) {
+    if (replayFrom === 'latest') {
+      return { replayPreset: 'LATEST', replayId: null };
+    }
+    if (replayFrom === 'all') {
+      return { replayPreset: 'EARLIEST', replayId: null };
+    }
+    if (replayFrom !== undefined && replayFrom !== null && replayFrom !== 'stored') {
+      return { replayPreset: 'CUSTOM', replayId: String(replayFrom) };
+    }
+
+    const storedReplayId = await this.loadPubSubReplayId(orgId, channel);
+    return storedReplayId
+      ? { replayPreset: 'CUSTOM', replayId: storedReplayId }
+      : { replayPreset: 'LATEST', replayId: null };
+  }
+
+  /**
+   * Check if a subscribe error means the requested replayId fell outside the retention window
+   */
+  isInvalidReplayIdError(error) {
+    const message = (error && (error.message || String(error))) || '';
+    return /replayId .* (was )?invalid/i.test(message) || message.includes('400::The replayId');
   }
 
   /**
@@ -18,6 +724,17 @@ class PlatformEventsModule {
     });
   }
 
+  /**
+   * Create a Salesforce connection from remembered org credentials (background resubscribes)
+   */
+  createOrgConnection(credentials) {
+    return new jsforce.Connection({
+      oauth2: credentials.oauth2 || undefined,
+      accessToken: credentials.accessToken,
+      instanceUrl: credentials.instanceUrl
+    });
+  }
+
   /**een
    * Fetch all available platform events
    */
@@ -31,9 +748,13 @@ class PlatformEventsModule {
         IsCustomizable: true
       }, 'QualifiedApiName, Label, DeveloperName');
 
+      const { changeEventChannels, discoveryError } = await this.discoverChangeEventChannels(conn);
+
       res.json({
         success: true,
-        platformEvents: result || []
+        platformEvents: result || [],
+        changeEventChannels,
+        changeEventDiscoveryError: discoveryError
       });
     } catch (error) {
       console.error('Error fetching platform events:', error);
@@ -45,7 +766,56 @@ class PlatformEventsModule {
   }
 
   /**
-   * Async function to properly cleanup subscriptions
+   * Discover Change Data Capture channels: the standard /data/ChangeEvents channel, one channel per
+   * entity selected for CDC, and custom channels (Tooling API PlatformEventChannel/-Member).
+   * Falls back to the standard channel only when the Tooling API can't be queried.
+   */
+  async discoverChangeEventChannels(conn) {
+    const changeEventChannels = [
+      { channel: STANDARD_CHANGE_EVENTS_CHANNEL, label: 'All Change Events', type: 'standard', entities: [] }
+    ];
+
+    try {
+      const [channelResult, memberResult] = await Promise.all([
+        conn.tooling.query("SELECT Id, DeveloperName, MasterLabel FROM PlatformEventChannel WHERE ChannelType = 'data'"),
+        conn.tooling.query('SELECT Id, EventChannel, SelectedEntity FROM PlatformEventChannelMember')
+      ]);
+
+      const customChannels = new Map();
+      (channelResult.records || []).forEach(record => {
+        const name = record.DeveloperName.endsWith('__chn') ? record.DeveloperName : `${record.DeveloperName}__chn`;
+        const customChannel = { channel: `/data/${name}`, label: record.MasterLabel || name, type: 'custom', entities: [] };
+        customChannels.set(record.Id, customChannel);
+        customChannels.set(name, customChannel);
+      });
+
+      const entityChannels = new Map();
+      (memberResult.records || []).forEach(member => {
+        const entity = member.SelectedEntity;
+        const customChannel = customChannels.get(member.EventChannel);
+        if (customChannel) {
+          customChannel.entities.push(entity);
+        } else if (entity && !entityChannels.has(entity)) {
+          // Members of the standard ChangeEvents channel also get their own /data/<Entity> channel
+          changeEventChannels[0].entities.push(entity);
+          entityChannels.set(entity, { channel: `/data/${entity}`, label: entity, type: 'entity', entities: [entity] });
+        }
+      });
+
+      changeEventChannels.push(
+        ...Array.from(entityChannels.values()).sort((a, b) => a.channel.localeCompare(b.channel)),
+        ...[...new Set(customChannels.values())].sort((a, b) => a.channel.localeCompare(b.channel))
+      );
+      console.log(`🔄 [PLATFORM_EVENTS] Discovered ${changeEventChannels.length} change event channels`);
+      return { changeEventChannels, discoveryError: null };
+    } catch (error) {
+      console.warn('⚠️ [PLATFORM_EVENTS] Could not discover change event channels via the Tooling API:', error.message);
+      return { changeEventChannels, discoveryError: error.message };
+    }
+  }
+
+  /**
+   * Cancel every subscription of every session (server shutdown)
    */
   async cleanupSubscriptions() {
     console.log(`🧹 [PLATFORM_EVENTS] Starting cleanup of ${this.platformEventSubscriptions.size} existing subscriptions...`);
@@ -53,14 +823,14 @@ class PlatformEventsModule {
     console.log(`🧹 [PLATFORM_EVENTS] Existing subscriptions:`, existingEventNames);
     
     const cleanupPromises = [];
-    this.platformEventSubscriptions.forEach((subscription, eventName) => {
+    this.platformEventSubscriptions.forEach((subscription, key) => {
       const cleanupPromise = new Promise((resolve) => {
         try {
           subscription.cancel();
-          console.log(`✅ [PLATFORM_EVENTS] Cancelled existing subscription for ${eventName}`);
+          console.log(`✅ [PLATFORM_EVENTS] Cancelled existing subscription for ${key}`);
           resolve();
         } catch (error) {
-          console.error(`❌ [PLATFORM_EVENTS] Error cancelling subscription for ${eventName}:`, error);
+          console.error(`❌ [PLATFORM_EVENTS] Error cancelling subscription for ${key}:`, error);
           resolve(); // Don't block other cleanups
         }
       });
@@ -74,27 +844,301 @@ class PlatformEventsModule {
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     this.platformEventSubscriptions.clear();
-    this.globalSalesforceConnection = null; // Reset connection
+    this.sessionSubscriptions.clear();
+    this.releaseTimers.forEach(timer => clearTimeout(timer));
+    this.releaseTimers.clear();
     console.log(`🧹 [PLATFORM_EVENTS] Cleanup complete. Active subscriptions: ${this.platformEventSubscriptions.size}`);
   }
 
   /**
-   * Subscribe to platform events
+   * Wait for a Faye subscription to be acknowledged by Salesforce
+   */
+  waitForSubscription(fayeSubscription, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Subscription was not acknowledged within ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+
+      fayeSubscription.callback(() => {
+        clearTimeout(timer);
+        resolve(fayeSubscription);
+      });
+      fayeSubscription.errback((error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Subscribe to a channel through a dedicated CometD client carrying the replay extension.
+   * The replay extension keeps track of the latest replayId, so Faye's automatic
+   * rehandshake after a dropped connection resumes right after the last received event.
+   * If the requested replayId is no longer retained, falls back to -2 (all retained events).
+   */
+  async createReplaySubscription(conn, orgId, event, channel, startReplayId, listeners) {
+    const eventName = event.QualifiedApiName;
+    const replayExt = new StreamingExtension.Replay(channel, startReplayId);
+
+    const entry = {
+      orgId,
+      event,
+      eventName,
+      channel,
+      transport: 'cometd',
+      replayFrom: startReplayId,
+      lastReplayId: startReplayId >= 0 ? startReplayId : null,
+      listeners,
+      state: 'connecting',
+      reconnectAttempts: 0,
+      subscribedAt: Date.now(),
+      handshakes: 0,
+      fayeClient: null,
+      fayeSubscription: null,
+      teardown: () => {
+        if (entry.fayeSubscription) {
+          entry.fayeSubscription.cancel();
+          entry.fayeSubscription = null;
+        }
+        fayeClient.disconnect();
+      },
+      cancel: () => {
+        entry.cancelled = true;
+        clearTimeout(entry.reconnectTimer);
+        entry.teardown();
+      }
+    };
+
+    const fayeClient = conn.streaming.createClient([replayExt, this.createHealthExtension(orgId, entry)]);
+    entry.fayeClient = fayeClient;
+    fayeClient.on('transport:down', () => {
+      console.warn(`⚠️ [PLATFORM_EVENTS] CometD transport down for ${channel}, Faye will reconnect`);
+      this.metrics.recordConnectionEvent(orgId, entry, 'transportDown', 'Transport down');
+      if (entry.state === 'connected') {
+        this.setSubscriptionState(entry, 'reconnecting', 'Connection lost');
+      }
+    });
+    fayeClient.on('transport:up', () => {
+      if (entry.state === 'reconnecting' && !entry.reconnectTimer) {
+        this.setSubscriptionState(entry, 'connected', 'Connection restored');
+      }
+    });
+
+    const fayeSubscription = fayeClient.subscribe(channel, (message) => {
+      const timestamp = new Date().toISOString();
+      const subscriptionId = `${eventName}-${Math.random().toString(36).substr(2, 6)}`;
+      const replayId = message.event?.replayId;
+      
+      console.log(`📨 [PLATFORM_EVENTS] [${subscriptionId}] Received platform event: ${eventName} (replayId ${replayId}) at ${timestamp}`);
+      
+      // Emit to the rooms of the sessions listening to this channel
+      const eventData = {
+        eventName,
+        eventLabel: event.Label,
+        channel,
+        message,
+        changeEvent: this.describeChangeEvent(entry, message.payload),
+        replayId,
+        transport: 'cometd',
+        timestamp,
+        subscriptionId // Add for debugging
+      };
+      
+      this.recordEventMetrics(orgId, entry, message);
+      const rooms = this.emitToListeners(entry, 'platformEvent', eventData);
+      console.log(`✅ [PLATFORM_EVENTS] Event delivered: ${eventName} at ${timestamp} with ID ${subscriptionId} to ${rooms.length} room(s)`);
+      this.recordHistory(orgId, eventData);
+
+      // Remember how far we got so a restart can resume from here
+      if (replayId !== undefined && replayId !== null) {
+        entry.lastReplayId = replayId;
+        this.saveReplayId(orgId, channel, replayId).catch(error => {
+          console.error(`❌ [PLATFORM_EVENTS] Failed to persist replayId ${replayId} for ${channel}:`, error.message);
+        });
+      }
+    });
+
+    try {
+      entry.fayeSubscription = await this.waitForSubscription(fayeSubscription);
+      entry.state = 'connected';
+      entry.lastConnectedAt = new Date().toISOString();
+    } catch (error) {
+      fayeSubscription.cancel();
+      fayeClient.disconnect();
+
+      if (startReplayId >= 0 && this.isInvalidReplayIdError(error)) {
+        console.warn(`⚠️ [PLATFORM_EVENTS] ReplayId ${startReplayId} for ${channel} is outside the retention window, replaying all retained events instead`);
+        this.emitToListeners(entry, 'platformEventReplayGap', {
+          eventName,
+          channel,
+          requestedReplayId: startReplayId,
+          fallbackReplayId: this.REPLAY_ALL,
+          message: error.message || String(error),
+          timestamp: new Date().toISOString()
+        });
+        return this.createReplaySubscription(conn, orgId, event, channel, this.REPLAY_ALL, listeners);
+      }
+
+      throw error;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Subscribe to a channel through the Pub/Sub API (gRPC). Decoded events are emitted on the
+   * same 'platformEvent' socket event as CometD ones, shaped like a CometD message.
+   * A stored replayId that is no longer retained falls back to EARLIEST.
+   */
+  async createPubSubSubscription(auth, orgId, event, channel, replay, listeners) {
+    const eventName = event.QualifiedApiName;
+    const pubSubClient = new PubSubApiClient({ auth, schemaCache: this.pubSubSchemaCache });
+    let receivedAny = false;
+
+    const entry = {
+      orgId,
+      event,
+      eventName,
+      channel,
+      transport: 'pubsub',
+      replayFrom: replay.replayPreset === 'CUSTOM' ? replay.replayId : replay.replayPreset,
+      lastReplayId: replay.replayId,
+      listeners,
+      state: 'connected', // gRPC streams have no subscribe acknowledgement; failures arrive through onError
+      lastConnectedAt: new Date().toISOString(),
+      reconnectAttempts: 0,
+      subscribedAt: Date.now(),
+      handle: null,
+      teardown: () => {
+        if (entry.handle) {
+          entry.handle.cancel();
+          entry.handle = null;
+        }
+        pubSubClient.close();
+      },
+      cancel: () => {
+        entry.cancelled = true;
+        clearTimeout(entry.reconnectTimer);
+        entry.teardown();
+      }
+    };
+
+    entry.handle = pubSubClient.subscribe(channel, {
+      ...replay,
+      onEvent: (decodedEvent) => {
+        receivedAny = true;
+        const timestamp = new Date().toISOString();
+        const subscriptionId = `${eventName}-${Math.random().toString(36).substr(2, 6)}`;
+
+        console.log(`📨 [PLATFORM_EVENTS] [${subscriptionId}] Received Pub/Sub event: ${eventName} (replayId ${decodedEvent.replayId}) at ${timestamp}`);
+
+        const eventData = {
+          eventName,
+          eventLabel: event.Label,
+          channel,
+          message: {
+            schema: decodedEvent.schemaId,
+            payload: decodedEvent.payload,
+            event: { replayId: decodedEvent.replayId, EventUuid: decodedEvent.id }
+          },
+          changeEvent: this.describeChangeEvent(
+            entry,
+            decodedEvent.payload,
+            this.pubSubSchemaCache.has(decodedEvent.schemaId) ? this.pubSubSchemaCache.get(decodedEvent.schemaId).schemaJson : null
+          ),
+          replayId: decodedEvent.replayId,
+          transport: 'pubsub',
+          timestamp,
+          subscriptionId
+        };
+
+        this.recordEventMetrics(orgId, entry, eventData.message);
+        this.emitToListeners(entry, 'platformEvent', eventData);
+        this.recordHistory(orgId, eventData);
+
+        entry.lastReplayId = decodedEvent.replayId;
+        this.saveReplayId(orgId, `pubsub:${channel}`, decodedEvent.replayId).catch(error => {
+          console.error(`❌ [PLATFORM_EVENTS] Failed to persist Pub/Sub replayId for ${channel}:`, error.message);
+        });
+      },
+      onError: (error) => {
+        this.metrics.recordConnectionEvent(orgId, entry, 'streamError', error.details || error.message);
+        const isReplayRejected = !receivedAny && replay.replayPreset === 'CUSTOM' &&
+          (error.code === 3 || /replay/i.test(error.details || error.message || '')); // 3 = INVALID_ARGUMENT
+
+        const key = this.getSubscriptionKey(orgId, 'pubsub', channel);
+        if (isReplayRejected && this.platformEventSubscriptions.get(key) === entry) {
+          console.warn(`⚠️ [PLATFORM_EVENTS] Pub/Sub replayId for ${channel} was rejected, replaying all retained events instead`);
+          this.emitToListeners(entry, 'platformEventReplayGap', {
+            eventName,
+            channel,
+            requestedReplayId: replay.replayId,
+            fallbackReplayId: 'EARLIEST',
+            message: error.details || error.message,
+            timestamp: new Date().toISOString()
+          });
+          entry.cancel();
+          this.createPubSubSubscription(auth, orgId, event, channel, { replayPreset: 'EARLIEST', replayId: null }, entry.listeners)
+            .then(replacement => this.platformEventSubscriptions.set(key, replacement))
+            .catch(subError => console.error(`❌ [PLATFORM_EVENTS] Pub/Sub resubscribe failed for ${channel}:`, subError.message));
+        } else if (typeof error.code === 'number') {
+          // gRPC status errors end the stream (decode errors of single events don't)
+          this.scheduleResubscribe(entry, error.details || error.message, { authFailure: this.isAuthError(error) });
+        }
+      },
+      onEnd: () => {
+        this.scheduleResubscribe(entry, 'Pub/Sub stream ended by the server');
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Build Pub/Sub API credentials from the session (tenantId is the org ID)
+   */
+  async getPubSubAuth(req, conn) {
+    let tenantId = req.session.salesforce.organizationId;
+    if (!tenantId) {
+      const identity = await conn.identity();
+      tenantId = identity.organization_id;
+    }
+
+    return {
+      accessToken: req.session.salesforce.accessToken,
+      instanceUrl: req.session.salesforce.instanceUrl,
+      tenantId
+    };
+  }
+
+  /**
+   * Subscribe the requesting session to platform events.
+   * Sessions watching the same org channel share one subscription; events go to the session's org + user room.
    */
   async subscribeToPlatformEvents(req, res) {
-    // Prevent concurrent subscription requests
-    if (this.isSubscriptionInProgress) {
-      console.warn('⚠️ [PLATFORM_EVENTS] Subscription request rejected - another subscription is in progress');
+    const sessionId = req.session.id;
+
+    // Prevent concurrent subscription requests from the same session
+    if (this.subscriptionLocks.has(sessionId)) {
+      console.warn('⚠️ [PLATFORM_EVENTS] Subscription request rejected - another subscription is in progress for this session');
       return res.status(429).json({ 
         success: false, 
         message: 'Another subscription is in progress. Please wait.' 
       });
     }
 
+    const context = this.getSessionContext(req.session);
+    if (!context) {
+      return res.status(401).json({
+        success: false,
+        message: 'Platform event subscriptions need a session with a known org and user. Log in through the app instead of using a Bearer token.'
+      });
+    }
+
     try {
-      this.isSubscriptionInProgress = true;
+      this.subscriptionLocks.add(sessionId);
       
-      const { selectedEvents } = req.body;
+      const { selectedEvents, replayFrom = 'stored', transport = 'cometd', socketId, filters } = req.body;
       
       if (!selectedEvents || !Array.isArray(selectedEvents) || selectedEvents.length === 0) {
         return res.status(400).json({ 
@@ -103,6 +1147,34 @@ class PlatformEventsModule {
         });
       }
 
+      if (!this.TRANSPORTS.includes(transport)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid transport '${transport}'. Use one of: ${this.TRANSPORTS.join(', ')}`
+        });
+      }
+
+      // CometD replayIds are integers, Pub/Sub API replayIds are base64 encoded bytes
+      const explicitReplayPattern = transport === 'pubsub' ? /^[A-Za-z0-9+/]+={0,2}$/ : /^-?\d+$/;
+      if (!['stored', 'latest', 'all'].includes(replayFrom) && !explicitReplayPattern.test(String(replayFrom))) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid replayFrom value '${replayFrom}'. Use 'stored', 'latest', 'all' or a ${transport === 'pubsub' ? 'base64' : 'numeric'} ReplayId.`
+        });
+      }
+
+      const { orgId, room } = context;
+
+      // Make sure the caller's socket is in the room before events start flowing. Only a socket
+      // that was opened by this same session may be registered, never another user's socket.
+      if (socketId && this.io.sockets && this.io.sockets.sockets.has(socketId)) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        const socketSession = socket.request && socket.request.session;
+        if (!socket.data.platformEventsSessionId && socketSession && socketSession.id === sessionId) {
+          this.registerSocket(socket, req.session);
+        }
+      }
+
       // Deduplicate selected events to prevent multiple subscriptions to the same event
       const uniqueSelectedEvents = [...new Set(selectedEvents)];
       if (uniqueSelectedEvents.length !== selectedEvents.length) {
@@ -110,110 +1182,123 @@ class PlatformEventsModule {
       }
       console.log(`📋 [PLATFORM_EVENTS] Processing subscription request for events:`, uniqueSelectedEvents);
 
-      // Clean up existing subscriptions first
-      await this.cleanupSubscriptions();
+      const conn = this.createConnection(req);
+      this.rememberCredentials(orgId, req.session);
 
-      // Create or reuse Salesforce connection
-      if (!this.globalSalesforceConnection) {
-        this.globalSalesforceConnection = new jsforce.Connection({
-          oauth2: req.session.oauth2,
-          accessToken: req.session.salesforce.accessToken,
-          instanceUrl: req.session.salesforce.instanceUrl
+      // Filters are validated before touching the session's current subscriptions
+      const { listenerOptions, errors: filterErrors } = await this.compileEventFilters(conn, filters, uniqueSelectedEvents);
+      if (filterErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid filters: ' + filterErrors.map(e => e.eventName ? `${e.eventName}: ${e.error}` : e.error).join('; '),
+          filterErrors
         });
-        console.log('🔗 [PLATFORM_EVENTS] Created new Salesforce connection');
-      } else {
-        console.log('🔗 [PLATFORM_EVENTS] Reusing existing Salesforce connection');
       }
-      
-      const conn = this.globalSalesforceConnection;
+
+      // Leave this session's previous subscriptions (others keep theirs)
+      await this.releaseSessionSubscriptions(sessionId);
+
+      // Platform events are selected by API name, Change Data Capture channels by channel path
+      const selectedChangeChannels = uniqueSelectedEvents.filter(isChangeEventChannel);
+      const selectedPlatformEvents = uniqueSelectedEvents.filter(name => !isChangeEventChannel(name));
 
       // Get selected platform events details
-      const platformEventsResult = await conn.sobject('EntityDefinition').find({
-        QualifiedApiName: { $in: uniqueSelectedEvents },
-        IsCustomizable: true
-      }, 'QualifiedApiName, Label');
+      const platformEventsResult = selectedPlatformEvents.length > 0
+        ? await conn.sobject('EntityDefinition').find({
+          QualifiedApiName: { $in: selectedPlatformEvents },
+          IsCustomizable: true
+        }, 'QualifiedApiName, Label')
+        : [];
 
-      const platformEvents = platformEventsResult || [];
+      const platformEvents = [
+        ...(platformEventsResult || []).map(event => ({ ...event, channel: `/event/${event.QualifiedApiName}`, selection: event.QualifiedApiName })),
+        ...selectedChangeChannels.map(channel => ({
+          QualifiedApiName: channel.substring('/data/'.length),
+          Label: channel === STANDARD_CHANGE_EVENTS_CHANNEL ? 'All Change Events' : channel.substring('/data/'.length),
+          channel,
+          selection: channel
+        }))
+      ];
       const subscriptions = [];
+      const sessionKeys = new Set();
+      let pubSubAuth = null;
 
       console.log(`📋 [PLATFORM_EVENTS] Subscribing to ${uniqueSelectedEvents.length} unique selected events:`, uniqueSelectedEvents);
 
-      // Subscribe to each selected platform event
+      // Subscribe to each selected platform event or change event channel
       for (const event of platformEvents) {
         const eventName = event.QualifiedApiName;
-        const channel = `/event/${eventName}`;
-        
-        // Double-check that we don't already have a subscription for this event
-        if (this.platformEventSubscriptions.has(eventName)) {
-          console.warn(`⚠️ [PLATFORM_EVENTS] Subscription already exists for ${eventName}, skipping...`);
-          continue;
-        }
+        const { channel } = event;
+        const key = this.getSubscriptionKey(orgId, transport, channel);
+        const listener = { room, filter: null, fields: [], ...listenerOptions.get(event.selection) };
         
         try {
-          const subscription = conn.streaming.topic(channel).subscribe((message) => {
-            const timestamp = new Date().toISOString();
-            const subscriptionId = `${eventName}-${Math.random().toString(36).substr(2, 6)}`;
-            
-            console.log(`📨 [PLATFORM_EVENTS] [${subscriptionId}] Received platform event: ${eventName} at ${timestamp}`);
-            console.log(`📡 [PLATFORM_EVENTS] Active subscriptions: ${this.platformEventSubscriptions.size}`);
-            console.log(`📡 [PLATFORM_EVENTS] Broadcasting to ${this.io.engine.clientsCount} connected WebSocket clients`);
-            
-            // Emit to all connected clients
-            const eventData = {
-              eventName,
-              eventLabel: event.Label,
-              message,
-              timestamp,
-              subscriptionId // Add for debugging
-            };
-            
-            this.io.emit('platformEvent', eventData);
-            console.log(`✅ [PLATFORM_EVENTS] Event broadcasted: ${eventName} at ${timestamp} with ID ${subscriptionId}`);
-            
-            // Log all active subscriptions for this event type
-            const sameEventSubs = Array.from(this.platformEventSubscriptions.keys()).filter(key => key === eventName);
-            if (sameEventSubs.length > 1) {
-              console.warn(`⚠️ [PLATFORM_EVENTS] WARNING: Multiple subscriptions detected for ${eventName}:`, sameEventSubs.length);
+          let subscription = this.platformEventSubscriptions.get(key);
+          let listeners = new Map();
+          if (subscription && subscription.state === 'failed') {
+            // Start the failed subscription over with this session's credentials, keeping its listeners
+            console.log(`♻️ [PLATFORM_EVENTS] Replacing failed subscription for ${channel}`);
+            subscription.cancel();
+            listeners = new Map(subscription.listeners);
+            subscription = null;
+          }
+          listeners.set(sessionId, listener);
+          const shared = !!subscription;
+
+          if (shared) {
+            // Join the existing subscription; its replay position is already set
+            subscription.listeners.set(sessionId, listener);
+            console.log(`👥 [PLATFORM_EVENTS] Joined existing subscription for ${channel} (${subscription.listeners.size} listeners)`);
+          } else if (transport === 'pubsub') {
+            if (!pubSubAuth) {
+              pubSubAuth = await this.getPubSubAuth(req, conn);
+              this.orgCredentials.get(orgId).tenantId = pubSubAuth.tenantId;
             }
-          });
+            const replay = await this.resolvePubSubReplay(orgId, channel, replayFrom);
+            subscription = await this.createPubSubSubscription(pubSubAuth, orgId, event, channel, replay, listeners);
+          } else {
+            const startReplayId = await this.resolveReplayId(orgId, channel, replayFrom);
+            subscription = await this.createReplaySubscription(conn, orgId, event, channel, startReplayId, listeners);
+          }
 
           subscriptions.push({
             eventName,
             eventLabel: event.Label,
             channel,
-            subscription
+            transport,
+            replayFrom: subscription.replayFrom,
+            shared,
+            state: subscription.state,
+            listenerCount: subscription.listeners.size,
+            filter: listener.filter ? listener.filter.expression : null,
+            fields: listener.fields
           });
 
           // Store subscription for cleanup later
-          this.platformEventSubscriptions.set(eventName, subscription);
-          console.log(`🎯 Successfully subscribed to ${eventName} on channel ${channel}`);
+          this.platformEventSubscriptions.set(key, subscription);
+          sessionKeys.add(key);
+          console.log(`🎯 Successfully subscribed to ${eventName} on channel ${channel} via ${transport} (replay from ${subscription.replayFrom}${shared ? ', shared' : ''})`);
         } catch (subError) {
           console.error(`❌ Error subscribing to ${eventName}:`, subError);
         }
       }
 
-      console.log(`🎉 [PLATFORM_EVENTS] Subscription complete!`);
-      console.log(`📊 [PLATFORM_EVENTS] Final state - Active subscriptions: ${this.platformEventSubscriptions.size}`);
-      console.log(`📊 [PLATFORM_EVENTS] Subscriptions created in this request: ${subscriptions.length}`);
-      console.log(`📊 [PLATFORM_EVENTS] Active subscription events:`, Array.from(this.platformEventSubscriptions.keys()));
-
-      // Verify subscription count matches expected
-      if (this.platformEventSubscriptions.size !== subscriptions.length) {
-        console.warn(`⚠️ [PLATFORM_EVENTS] WARNING: Subscription count mismatch! Expected: ${subscriptions.length}, Actual: ${this.platformEventSubscriptions.size}`);
+      if (sessionKeys.size > 0) {
+        this.sessionSubscriptions.set(sessionId, sessionKeys);
       }
 
+      console.log(`🎉 [PLATFORM_EVENTS] Subscription complete!`);
+      console.log(`📊 [PLATFORM_EVENTS] Subscriptions for this session: ${subscriptions.length}, shared subscriptions overall: ${this.platformEventSubscriptions.size}`);
+
       res.json({
         success: true,
         message: `Successfully subscribed to ${subscriptions.length} selected platform events`,
         originalSelectedCount: selectedEvents.length,
         uniqueSelectedCount: uniqueSelectedEvents.length,
         subscribedCount: subscriptions.length,
-        activeSubscriptionsCount: this.platformEventSubscriptions.size,
-        subscriptions: subscriptions.map(s => ({
-          eventName: s.eventName,
-          eventLabel: s.eventLabel,
-          channel: s.channel
-        }))
+        activeSubscriptionsCount: sessionKeys.size,
+        room,
+        subscriptions
       });
 
     } catch (error) {
@@ -223,22 +1308,185 @@ class PlatformEventsModule {
         message: 'Failed to subscribe to platform events: ' + error.message 
       });
     } finally {
-      this.isSubscriptionInProgress = false;
+      this.subscriptionLocks.delete(sessionId);
       console.log('🔓 [PLATFORM_EVENTS] Subscription lock released');
     }
   }
 
   /**
-   * Manual cleanup endpoint
+   * Validate a single event payload against the platform event's describe fields.
+   * Returns a list of human readable errors (empty when valid).
+   */
+  validateEventPayload(fields, payload) {
+    const errors = [];
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return ['Event payload must be a JSON object'];
+    }
+
+    const publishableFields = new Map(
+      fields.filter(field => field.createable).map(field => [field.name.toLowerCase(), field])
+    );
+
+    // Unknown or read-only fields
+    Object.keys(payload).forEach(fieldName => {
+      if (!publishableFields.has(fieldName.toLowerCase())) {
+        errors.push(`${fieldName}: not a publishable field on this event`);
+      }
+    });
+
+    publishableFields.forEach(field => {
+      const key = Object.keys(payload).find(name => name.toLowerCase() === field.name.toLowerCase());
+      const value = key !== undefined ? payload[key] : undefined;
+
+      if (value === undefined || value === null || value === '') {
+        if (!field.nillable && !field.defaultedOnCreate && field.type !== 'boolean') {
+          errors.push(`${field.name}: required`);
+        }
+        return;
+      }
+
+      switch (field.type) {
+        case 'boolean':
+          if (typeof value !== 'boolean') {
+            errors.push(`${field.name}: expected true or false`);
+          }
+          break;
+        case 'int':
+          if (!Number.isInteger(value)) {
+            errors.push(`${field.name}: expected an integer`);
+          }
+          break;
+        case 'double':
+        case 'currency':
+        case 'percent':
+          if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${field.name}: expected a number`);
+          } else if (field.precision) {
+            const integerDigits = Math.trunc(Math.abs(value)).toString().length;
+            if (integerDigits > field.precision - (field.scale || 0)) {
+              errors.push(`${field.name}: at most ${field.precision - (field.scale || 0)} digits before the decimal point`);
+            }
+          }
+          break;
+        case 'date':
+          if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            errors.push(`${field.name}: expected a date (YYYY-MM-DD)`);
+          }
+          break;
+        case 'datetime':
+          if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+            errors.push(`${field.name}: expected an ISO 8601 date/time`);
+          }
+          break;
+        case 'reference':
+        case 'id':
+          if (typeof value !== 'string' || !/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(value)) {
+            errors.push(`${field.name}: expected a 15 or 18 character record ID`);
+          }
+          break;
+        default:
+          // string, textarea, picklist, email, phone, url, ...
+          if (typeof value !== 'string') {
+            errors.push(`${field.name}: expected text`);
+          } else if (field.length && value.length > field.length) {
+            errors.push(`${field.name}: ${value.length} characters exceeds the maximum length of ${field.length}`);
+          }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Publish one or more platform events (bulk via sObject collections, 200 per request)
+   */
+  async publishPlatformEvent(req, res) {
+    try {
+      // The event name goes into REST resource paths
+      const eventName = assertSOQLIdentifier(req.params.eventName, 'platform event name');
+      const { payload, events } = req.body;
+
+      if (!eventName.endsWith('__e')) {
+        return res.status(400).json({
+          success: false,
+          message: `${eventName} is not a platform event (API name must end with __e)`
+        });
+      }
+
+      const eventPayloads = Array.isArray(events) ? events : (payload !== undefined ? [payload] : []);
+      if (eventPayloads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide either a "payload" object or a non-empty "events" array'
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const describe = await conn.sobject(eventName).describe();
+
+      const validationErrors = eventPayloads
+        .map((eventPayload, index) => ({ index, errors: this.validateEventPayload(describe.fields, eventPayload) }))
+        .filter(result => result.errors.length > 0);
+
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${validationErrors.length} of ${eventPayloads.length} events failed validation`,
+          validationErrors
+        });
+      }
+
+      console.log(`📤 [PLATFORM_EVENTS] Publishing ${eventPayloads.length} ${eventName} event(s)`);
+
+      const results = [];
+      const COLLECTION_LIMIT = 200;
+      for (let start = 0; start < eventPayloads.length; start += COLLECTION_LIMIT) {
+        const chunk = eventPayloads.slice(start, start + COLLECTION_LIMIT);
+        // Always the collection form, so a single event also reports its failure per event instead of throwing
+        const saveResults = await conn.sobject(eventName).create(chunk, { allOrNone: false });
+
+        saveResults.forEach((saveResult, offset) => {
+          results.push({
+            index: start + offset,
+            success: saveResult.success,
+            id: saveResult.id || null,
+            errors: (saveResult.errors || []).map(error => error.message || String(error))
+          });
+        });
+      }
+
+      const publishedCount = results.filter(result => result.success).length;
+      console.log(`✅ [PLATFORM_EVENTS] Published ${publishedCount}/${results.length} ${eventName} event(s)`);
+
+      res.json({
+        success: publishedCount === results.length,
+        message: `Published ${publishedCount} of ${results.length} ${eventName} event(s)`,
+        eventName,
+        publishedCount,
+        failedCount: results.length - publishedCount,
+        results
+      });
+    } catch (error) {
+      console.error(`❌ [PLATFORM_EVENTS] Error publishing ${req.params.eventName}:`, error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: 'Failed to publish platform event: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * Manual cleanup endpoint - releases the requesting session's subscriptions
    */
   async manualCleanup(req, res) {
     try {
       console.log('🧹 [PLATFORM_EVENTS] Manual cleanup requested');
-      await this.cleanupSubscriptions();
+      await this.releaseSessionSubscriptions(req.session.id);
       res.json({ 
         success: true, 
         message: 'Cleanup completed',
-        activeSubscriptions: this.platformEventSubscriptions.size
+        activeSubscriptions: 0
       });
     } catch (error) {
       console.error('❌ [PLATFORM_EVENTS] Error during manual cleanup:', error);
@@ -250,17 +1498,45 @@ class PlatformEventsModule {
   }
 
   /**
-   * Get subscription status
+   * Get subscription status for the requesting session
    */
   getSubscriptionStatus(req, res) {
     try {
-      const activeSubscriptions = Array.from(this.platformEventSubscriptions.keys());
+      const sessionId = req.session.id;
+      const subscriptionKeys = Array.from(this.sessionSubscriptions.get(sessionId) || []);
+      const entries = subscriptionKeys
+        .map(key => this.platformEventSubscriptions.get(key))
+        .filter(Boolean);
+      const channels = entries.map(entry => {
+        const listener = entry.listeners.get(sessionId);
+        return {
+          eventName: entry.eventName,
+          channel: entry.channel,
+          transport: entry.transport,
+          replayFrom: entry.replayFrom,
+          lastReplayId: entry.lastReplayId,
+          state: entry.state,
+          stateReason: entry.stateReason || null,
+          reconnectAttempts: entry.reconnectAttempts || 0,
+          nextRetryAt: entry.state === 'reconnecting' ? entry.nextRetryAt : null,
+          lastConnectedAt: entry.lastConnectedAt || null,
+          listenerCount: entry.listeners.size,
+          filter: listener && listener.filter ? listener.filter.expression : null,
+          fields: listener ? listener.fields : []
+        };
+      });
+      // Failed subscriptions stay listed (with their reason) but are no longer counted as active
+      const activeEntries = entries.filter(entry => entry.state !== 'failed');
       res.json({
         success: true,
-        activeSubscriptionsCount: this.platformEventSubscriptions.size,
-        activeSubscriptions,
-        isSubscriptionInProgress: this.isSubscriptionInProgress,
-        hasGlobalConnection: !!this.globalSalesforceConnection
+        activeSubscriptionsCount: activeEntries.length,
+        activeSubscriptions: activeEntries.map(entry => entry.eventName),
+        failedSubscriptionsCount: entries.length - activeEntries.length,
+        reconnectingSubscriptionsCount: entries.filter(entry => entry.state === 'reconnecting').length,
+        channels,
+        isSubscriptionInProgress: this.subscriptionLocks.has(sessionId),
+        connectedSockets: (this.sessionSockets.get(sessionId) || new Set()).size,
+        sharedSubscriptionsCount: this.platformEventSubscriptions.size
       });
     } catch (error) {
       console.error('❌ [PLATFORM_EVENTS] Error getting subscription status:', error);
@@ -270,6 +1546,52 @@ class PlatformEventsModule {
       });
     }
   }
+
+  /**
+   * Per-channel throughput, latency and connection metrics of the current org,
+   * as JSON or (format=prometheus) in the Prometheus text format
+   */
+  getMetrics(req, res) {
+    try {
+      const orgId = this.getSessionOrgId(req.session);
+      if (!orgId) {
+        return res.status(401).json({ success: false, message: 'Platform event metrics need a session with a known org' });
+      }
+      const format = req.query.format || 'json';
+      if (!['json', 'prometheus'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'format must be json or prometheus' });
+      }
+
+      const channels = this.metrics.snapshot(orgId).map(channel => ({
+        ...channel,
+        active: this.platformEventSubscriptions.has(this.getSubscriptionKey(orgId, channel.transport, channel.channel))
+      }));
+
+      if (format === 'prometheus') {
+        return res.type('text/plain; version=0.0.4').send(this.metrics.toPrometheus(orgId, channels));
+      }
+
+      res.json({
+        success: true,
+        generatedAt: new Date().toISOString(),
+        totals: {
+          channels: channels.length,
+          activeChannels: channels.filter(channel => channel.active).length,
+          received: channels.reduce((sum, channel) => sum + channel.received, 0),
+          eventsPerMinute: Math.round(channels.reduce((sum, channel) => sum + channel.eventsPerMinute, 0) * 100) / 100,
+          connectionErrors: channels.reduce((sum, channel) =>
+            sum + channel.connection.handshakeError + channel.connection.connectError + channel.connection.streamError, 0)
+        },
+        channels
+      });
+    } catch (error) {
+      console.error('❌ [PLATFORM_EVENTS] Error getting platform event metrics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get platform event metrics: ' + error.message
+      });
+    }
+  }
 }
 
 module.exports = PlatformEventsModule;
@@ -0,0 +1,208 @@
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const avro = require('avsc');
+
+const PROTO_PATH = path.join(__dirname, '..', 'proto', 'pubsub_api.proto');
+
+let pubSubPackage = null;
+
+/**
+ * Load (once) the Pub/Sub API gRPC package definition
+ */
+function loadPubSubPackage() {
+  if (!pubSubPackage) {
+    const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+      keepCase: true,
+      longs: String,
+      enums: String,
+      defaults: true,
+      oneofs: true
+    });
+    pubSubPackage = grpc.loadPackageDefinition(packageDefinition).eventbus.v1;
+  }
+  return pubSubPackage;
+}
+
+/**
+ * Salesforce Pub/Sub API client (gRPC + Avro).
+ * Schemas are fetched once per schemaId and kept in the (optionally shared) schema cache.
+ */
+class PubSubApiClient {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || process.env.SALESFORCE_PUBSUB_ENDPOINT || 'api.pubsub.salesforce.com:7443';
+    this.insecure = options.insecure !== undefined
+      ? options.insecure
+      : process.env.SALESFORCE_PUBSUB_INSECURE === 'true'; // Plaintext, for local stand-in servers only
+    this.auth = options.auth; // { accessToken, instanceUrl, tenantId }
+    this.schemaCache = options.schemaCache || new Map();
+    this.batchSize = options.batchSize || 100;
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the gRPC client
+   */
+  getClient() {
+    if (!this.client) {
+      const { PubSub } = loadPubSubPackage();
+      const credentials = this.insecure
+        ? grpc.credentials.createInsecure()
+        : grpc.credentials.createSsl();
+      this.client = new PubSub(this.endpoint, credentials);
+      console.log(`🔗 [PUBSUB] Created Pub/Sub API client for ${this.endpoint}${this.insecure ? ' (insecure)' : ''}`);
+    }
+    return this.client;
+  }
+
+  /**
+   * Build the auth metadata the Pub/Sub API expects on every call
+   */
+  buildMetadata() {
+    const metadata = new grpc.Metadata();
+    metadata.add('accesstoken', this.auth.accessToken);
+    metadata.add('instanceurl', this.auth.instanceUrl);
+    metadata.add('tenantid', this.auth.tenantId);
+    return metadata;
+  }
+
+  /**
+   * Get topic information (schemaId, publish/subscribe permissions)
+   */
+  getTopic(topicName) {
+    return new Promise((resolve, reject) => {
+      this.getClient().GetTopic({ topic_name: topicName }, this.buildMetadata(), (error, topicInfo) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve(topicInfo);
+      });
+    });
+  }
+
+  /**
+   * Get the Avro schema for a schemaId, using the cache when possible
+   */
+  async getSchema(schemaId) {
+    if (this.schemaCache.has(schemaId)) {
+      return this.schemaCache.get(schemaId);
+    }
+
+    const schemaInfo = await new Promise((resolve, reject) => {
+      this.getClient().GetSchema({ schema_id: schemaId }, this.buildMetadata(), (error, info) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve(info);
+      });
+    });
+
+    const schema = {
+      schemaId,
+      schemaJson: schemaInfo.schema_json,
+      type: avro.Type.forSchema(JSON.parse(schemaInfo.schema_json))
+    };
+    this.schemaCache.set(schemaId, schema);
+    console.log(`📐 [PUBSUB] Cached Avro schema ${schemaId}`);
+    return schema;
+  }
+
+  /**
+   * Decode a ConsumerEvent into a plain object
+   */
+  async decodeEvent(consumerEvent) {
+    const { event, replay_id: replayIdBytes } = consumerEvent;
+    const schema = await this.getSchema(event.schema_id);
+
+    return {
+      id: event.id,
+      schemaId: event.schema_id,
+      replayId: Buffer.from(replayIdBytes).toString('base64'),
+      payload: schema.type.fromBuffer(Buffer.from(event.payload))
+    };
+  }
+
+  /**
+   * Subscribe to a topic. replayPreset is LATEST, EARLIEST or CUSTOM (with a base64 replayId).
+   * Events are decoded and delivered to onEvent in stream order.
+   * Returns a handle with cancel().
+   */
+  subscribe(topicName, { replayPreset = 'LATEST', replayId = null, onEvent, onError, onEnd }) {
+    const call = this.getClient().Subscribe(this.buildMetadata());
+    let cancelled = false;
+    let delivery = Promise.resolve();
+
+    const requestMore = (isFirstRequest) => {
+      const fetchRequest = { topic_name: topicName, num_requested: this.batchSize };
+      if (isFirstRequest) {
+        fetchRequest.replay_preset = replayPreset;
+        if (replayPreset === 'CUSTOM') {
+          fetchRequest.replay_id = Buffer.from(replayId, 'base64');
+        }
+      }
+      call.write(fetchRequest);
+    };
+
+    call.on('data', (fetchResponse) => {
+      for (const consumerEvent of fetchResponse.events) {
+        // Chain deliveries so slow schema lookups can't reorder events
+        delivery = delivery
+          .then(() => this.decodeEvent(consumerEvent))
+          .then(decodedEvent => {
+            if (!cancelled && onEvent) {
+              onEvent(decodedEvent);
+            }
+          })
+          .catch(error => {
+            console.error(`❌ [PUBSUB] Failed to decode event on ${topicName}:`, error.message);
+            if (!cancelled && onError) {
+              onError(error);
+            }
+          });
+      }
+
+      // Pull-based flow control: ask for the next batch once the current one is delivered
+      if (!cancelled && fetchResponse.pending_num_requested === 0) {
+        requestMore(false);
+      }
+    });
+
+    call.on('error', (error) => {
+      if (cancelled && error.code === grpc.status.CANCELLED) {
+        return;
+      }
+      console.error(`❌ [PUBSUB] Subscription to ${topicName} failed:`, error.details || error.message);
+      if (onError) {
+        onError(error);
+      }
+    });
+
+    call.on('end', () => {
+      if (!cancelled && onEnd) {
+        onEnd();
+      }
+    });
+
+    requestMore(true);
+    console.log(`🎯 [PUBSUB] Subscribed to ${topicName} (replay preset ${replayPreset})`);
+
+    return {
+      cancel: () => {
+        cancelled = true;
+        call.cancel();
+      }
+    };
+  }
+
+  /**
+   * Close the underlying gRPC channel
+   */
+  close() {
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = PubSubApiClient;
@@ -304,6 +304,133 @@ class RedisModule {
     }
   }
 
+  /**
+   * Append an entry to a Redis stream, trimming it to roughly maxLength entries
+   * @param {string} key - Stream key
+   * @param {object} fields - Flat object of string fields
+   * @param {number} maxLength - Approximate maximum number of entries to keep
+   */
+  async appendToStream(key, fields, maxLength) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const options = maxLength
+        ? { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLength } }
+        : undefined;
+      return await this.client.xAdd(key, '*', fields, options);
+    } catch (error) {
+      console.error(`❌ [REDIS] Failed to append to stream '${key}':`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a range of entries from a Redis stream
+   * @param {string} key - Stream key
+   * @param {string} start - Start ID ('-' for the oldest entry)
+   * @param {string} end - End ID ('+' for the newest entry)
+   * @param {number} count - Optional maximum number of entries
+   */
+  async readStreamRange(key, start = '-', end = '+', count = null) {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    try {
+      return await this.client.xRange(key, start, end, count ? { COUNT: count } : undefined);
+    } catch (error) {
+      console.error(`❌ [REDIS] Failed to read stream '${key}':`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Set one field of a Redis hash (only that field is written, so concurrent writers do not overwrite each other)
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   * @param {any} value - Value to store (non-strings are stored as JSON)
+   */
+  async setHashField(key, field, value) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      await this.client.hSet(key, field, typeof value === 'string' ? value : JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error(`❌ [REDIS] Failed to set field '${field}' of hash '${key}':`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get every field of a Redis hash
+   * @param {string} key - Hash key
+   * @param {boolean} parseJson - Whether to parse the values as JSON
+   */
+  async getHashValues(key, parseJson = false) {
+    if (!this.isAvailable()) {
+      return {};
+    }
+
+    try {
+      const hash = await this.client.hGetAll(key);
+      if (!parseJson) {
+        return hash;
+      }
+      const parsed = {};
+      Object.entries(hash).forEach(([field, value]) => {
+        try {
+          parsed[field] = JSON.parse(value);
+        } catch (parseError) {
+          console.error(`❌ [REDIS] Failed to parse JSON for field '${field}' of hash '${key}':`, parseError.message);
+        }
+      });
+      return parsed;
+    } catch (error) {
+      console.error(`❌ [REDIS] Failed to read hash '${key}':`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Delete one field of a Redis hash
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   */
+  async deleteHashField(key, field) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      return (await this.client.hDel(key, field)) > 0;
+    } catch (error) {
+      console.error(`❌ [REDIS] Failed to delete field '${field}' of hash '${key}':`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get all keys matching a pattern
+   * @param {string} pattern - Key pattern, e.g. 'prefix:*'
+   */
+  async getKeys(pattern) {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    try {
+      return await this.client.keys(pattern);
+    } catch (error) {
+      console.error(`❌ [REDIS] Failed to list keys '${pattern}':`, error.message);
+      return [];
+    }
+  }
+
   /**
    * Set system-level setting for an org
    * @param {string} orgId - Organization ID
@@ -0,0 +1,285 @@
+/**
+ * Schema snapshots and their diff. A snapshot keeps, per SObject, the field properties that break
+ * deployments or integrations when they drift between orgs (type, length, picklist values...);
+ * diffSchemaSnapshots compares two of them and schemaDiffToMarkdown renders the report.
+ */
+
+// Field properties compared by the diff, in report order
+const COMPARED_FIELD_PROPERTIES = [
+  'type', 'label', 'length', 'precision', 'scale', 'referenceTo',
+  'nillable', 'unique', 'externalId', 'calculated', 'controllerName'
+];
+const PICKLIST_TYPES = ['picklist', 'multipicklist', 'combobox'];
+
+/**
+ * Snapshot entry of one SObject from its describe. Empty numbers, strings and lists are left out
+ * to keep snapshots small; the booleans are always stored.
+ */
+function buildSnapshotEntry(sobject, describe) {
+  const fields = {};
+  describe.fields.forEach(field => {
+    const entry = {
+      label: field.label,
+      type: field.type,
+      nillable: !!field.nillable,
+      unique: !!field.unique,
+      externalId: !!field.externalId,
+      calculated: !!field.calculated
+    };
+    ['length', 'precision', 'scale'].forEach(property => {
+      if (field[property] > 0) {
+        entry[property] = field[property];
+      }
+    });
+    if (field.referenceTo && field.referenceTo.length > 0) {
+      entry.referenceTo = [...field.referenceTo].sort();
+    }
+    if (field.controllerName) {
+      entry.controllerName = field.controllerName;
+    }
+    if (PICKLIST_TYPES.includes(field.type) && field.picklistValues && field.picklistValues.length > 0) {
+      entry.picklistValues = field.picklistValues.map(value => ({
+        value: value.value,
+        label: value.label,
+        active: !!value.active
+      }));
+    }
+    fields[field.name] = entry;
+  });
+
+  return {
+    name: sobject.name,
+    label: sobject.label,
+    custom: !!sobject.custom,
+    fields
+  };
+}
+
+const normalizeValue = (value) => (value === undefined ? null : value);
+
+const sameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+function diffPicklistValues(baseValues = [], targetValues = []) {
+  const baseByValue = new Map(baseValues.map(entry => [entry.value, entry]));
+  const targetByValue = new Map(targetValues.map(entry => [entry.value, entry]));
+
+  const added = targetValues.filter(entry => !baseByValue.has(entry.value));
+  const removed = baseValues.filter(entry => !targetByValue.has(entry.value));
+  const changed = [];
+  baseValues.forEach(baseEntry => {
+    const targetEntry = targetByValue.get(baseEntry.value);
+    if (!targetEntry) return;
+    const changes = ['label', 'active']
+      .filter(property => !sameValue(baseEntry[property], targetEntry[property]))
+      .map(property => ({ property, from: normalizeValue(baseEntry[property]), to: normalizeValue(targetEntry[property]) }));
+    if (changes.length > 0) {
+      changed.push({ value: baseEntry.value, changes });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+function diffField(name, baseField, targetField) {
+  const changes = COMPARED_FIELD_PROPERTIES
+    .filter(property => !sameValue(baseField[property], targetField[property]))
+    .map(property => ({ property, from: normalizeValue(baseField[property]), to: normalizeValue(targetField[property]) }));
+  const picklist = diffPicklistValues(baseField.picklistValues, targetField.picklistValues);
+  const picklistChangeCount = picklist.added.length + picklist.removed.length + picklist.changed.length;
+
+  if (changes.length === 0 && picklistChangeCount === 0) {
+    return null;
+  }
+  return { name, label: targetField.label, changes, picklist, picklistChangeCount };
+}
+
+const fieldSummary = (name, field) => ({ name, label: field.label, type: field.type });
+
+function diffSObject(baseObject, targetObject) {
+  const baseFields = baseObject.fields || {};
+  const targetFields = targetObject.fields || {};
+
+  const addedFields = Object.keys(targetFields)
+    .filter(name => !baseFields[name])
+    .map(name => fieldSummary(name, targetFields[name]))
+    .sort(byName);
+  const removedFields = Object.keys(baseFields)
+    .filter(name => !targetFields[name])
+    .map(name => fieldSummary(name, baseFields[name]))
+    .sort(byName);
+  const changedFields = Object.keys(baseFields)
+    .filter(name => targetFields[name])
+    .map(name => diffField(name, baseFields[name], targetFields[name]))
+    .filter(Boolean)
+    .sort(byName);
+  const labelChange = sameValue(baseObject.label, targetObject.label)
+    ? null
+    : { from: normalizeValue(baseObject.label), to: normalizeValue(targetObject.label) };
+
+  if (!labelChange && addedFields.length === 0 && removedFields.length === 0 && changedFields.length === 0) {
+    return null;
+  }
+  return { name: targetObject.name, label: targetObject.label, labelChange, addedFields, removedFields, changedFields };
+}
+
+const snapshotInfo = (snapshot) => ({
+  id: snapshot.id,
+  name: snapshot.name,
+  orgId: snapshot.orgId,
+  instanceUrl: snapshot.instanceUrl,
+  createdAt: snapshot.createdAt
+});
+
+const objectSummary = (object) => ({
+  name: object.name,
+  label: object.label,
+  custom: object.custom,
+  fieldCount: Object.keys(object.fields || {}).length
+});
+
+/**
+ * Compare two snapshots: what the target adds, removes or changes relative to the base
+ * (e.g. base = production, target = the sandbox about to be deployed)
+ */
+function diffSchemaSnapshots(base, target) {
+  const baseObjects = base.objects || {};
+  const targetObjects = target.objects || {};
+
+  const addedObjects = Object.keys(targetObjects)
+    .filter(name => !baseObjects[name])
+    .map(name => objectSummary(targetObjects[name]))
+    .sort(byName);
+  const removedObjects = Object.keys(baseObjects)
+    .filter(name => !targetObjects[name])
+    .map(name => objectSummary(baseObjects[name]))
+    .sort(byName);
+  const changedObjects = Object.keys(baseObjects)
+    .filter(name => targetObjects[name])
+    .map(name => diffSObject(baseObjects[name], targetObjects[name]))
+    .filter(Boolean)
+    .sort(byName);
+
+  const summary = {
+    addedObjects: addedObjects.length,
+    removedObjects: removedObjects.length,
+    changedObjects: changedObjects.length,
+    addedFields: 0,
+    removedFields: 0,
+    changedFields: 0,
+    picklistValueChanges: 0
+  };
+  changedObjects.forEach(object => {
+    summary.addedFields += object.addedFields.length;
+    summary.removedFields += object.removedFields.length;
+    summary.changedFields += object.changedFields.length;
+    object.changedFields.forEach(field => {
+      summary.picklistValueChanges += field.picklistChangeCount;
+    });
+  });
+
+  return {
+    base: snapshotInfo(base),
+    target: snapshotInfo(target),
+    identical: addedObjects.length === 0 && removedObjects.length === 0 && changedObjects.length === 0,
+    summary,
+    addedObjects,
+    removedObjects,
+    changedObjects
+  };
+}
+
+const escapeMarkdownCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const formatDiffValue = (value) => {
+  if (value === null) {
+    return '—';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ') || '—';
+  }
+  return String(value);
+};
+
+const describeSnapshot = (info) => `${info.name} (${info.instanceUrl || info.orgId}, ${info.createdAt})`;
+
+/**
+ * Markdown report of a diff, for pull requests and deployment checklists
+ */
+function schemaDiffToMarkdown(diff) {
+  const lines = [
+    '# Schema diff',
+    '',
+    `- **Base:** ${describeSnapshot(diff.base)}`,
+    `- **Target:** ${describeSnapshot(diff.target)}`,
+    ''
+  ];
+
+  if (diff.identical) {
+    lines.push('No differences.');
+    return lines.join('\n') + '\n';
+  }
+
+  const { summary } = diff;
+  lines.push(
+    '## Summary',
+    '',
+    '| | Added | Removed | Changed |',
+    '|---|---|---|---|',
+    `| Objects | ${summary.addedObjects} | ${summary.removedObjects} | ${summary.changedObjects} |`,
+    `| Fields | ${summary.addedFields} | ${summary.removedFields} | ${summary.changedFields} |`,
+    '',
+    `Picklist value changes: ${summary.picklistValueChanges}`,
+    ''
+  );
+
+  const listObjects = (title, objects) => {
+    if (objects.length === 0) return;
+    lines.push(`## ${title}`, '');
+    objects.forEach(object => lines.push(`- \`${object.name}\` (${object.label}, ${object.fieldCount} fields)`));
+    lines.push('');
+  };
+  listObjects('Added objects', diff.addedObjects);
+  listObjects('Removed objects', diff.removedObjects);
+
+  if (diff.changedObjects.length > 0) {
+    lines.push('## Changed objects', '');
+  }
+  diff.changedObjects.forEach(object => {
+    lines.push(`### ${object.name} (${object.label})`, '');
+    if (object.labelChange) {
+      lines.push(`Label: ${formatDiffValue(object.labelChange.from)} → ${formatDiffValue(object.labelChange.to)}`, '');
+    }
+    object.addedFields.forEach(field => lines.push(`- ➕ \`${field.name}\` (${field.label}, ${field.type})`));
+    object.removedFields.forEach(field => lines.push(`- ➖ \`${field.name}\` (${field.label}, ${field.type})`));
+    if (object.addedFields.length > 0 || object.removedFields.length > 0) {
+      lines.push('');
+    }
+
+    if (object.changedFields.length > 0) {
+      lines.push('| Field | Change | Base | Target |', '|---|---|---|---|');
+      object.changedFields.forEach(field => {
+        const row = (change, from, to) => lines.push(
+          `| \`${field.name}\` | ${change} | ${escapeMarkdownCell(from)} | ${escapeMarkdownCell(to)} |`
+        );
+        field.changes.forEach(change => row(change.property, formatDiffValue(change.from), formatDiffValue(change.to)));
+        field.picklist.added.forEach(entry => row('picklist value added', '—', entry.value));
+        field.picklist.removed.forEach(entry => row('picklist value removed', entry.value, '—'));
+        field.picklist.changed.forEach(entry => entry.changes.forEach(change => row(
+          `picklist value ${change.property} (${entry.value})`, formatDiffValue(change.from), formatDiffValue(change.to)
+        )));
+      });
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  COMPARED_FIELD_PROPERTIES,
+  buildSnapshotEntry,
+  diffSchemaSnapshots,
+  schemaDiffToMarkdown
+};
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { buildSnapshotEntry, diffSchemaSnapshots, schemaDiffToMarkdown } = require('./schemaDiff');
+
+/**
+ * Named schema snapshots per org, taken with the field search module's describe loop.
+ * Snapshots are listed across orgs so a sandbox can be compared with production, but only the
+ * user who took a snapshot can delete it. They are kept in Redis without expiry when it is
+ * available (with a hash per org of snapshot summaries as the index) and in memory otherwise.
+ */
+class SchemaSnapshotModule {
+  constructor(redisModule, sobjectFieldSearchModule) {
+    this.redisModule = redisModule;
+    this.sobjectFieldSearchModule = sobjectFieldSearchModule;
+    this.SNAPSHOT_KEY_PREFIX = 'schema_snapshot:';
+    this.INDEX_KEY_PREFIX = 'schema_snapshot_summaries:'; // Hash per org: snapshot id -> summary
+    this.MAX_NAME_LENGTH = 80;
+    this.DIFF_FORMATS = ['json', 'markdown'];
+    this.memorySnapshots = new Map(); // id -> snapshot
+  }
+
+  useRedis() {
+    return !!(this.redisModule && this.redisModule.isAvailable());
+  }
+
+  getSnapshotKey(id) {
+    return `${this.SNAPSHOT_KEY_PREFIX}${id}`;
+  }
+
+  getIndexKey(orgId) {
+    return `${this.INDEX_KEY_PREFIX}${orgId}`;
+  }
+
+  /**
+   * Snapshot without its objects, as shown in the snapshot list
+   */
+  toSummary(snapshot) {
+    const summary = { ...snapshot };
+    delete summary.objects;
+    return summary;
+  }
+
+  async saveSnapshot(snapshot) {
+    if (this.useRedis()) {
+      const stored = await this.redisModule.set(this.getSnapshotKey(snapshot.id), JSON.stringify(snapshot));
+      if (stored) {
+        await this.redisModule.setHashField(this.getIndexKey(snapshot.orgId), snapshot.id, this.toSummary(snapshot));
+        return;
+      }
+    }
+    this.memorySnapshots.set(snapshot.id, snapshot);
+  }
+
+  async loadSnapshot(id) {
+    if (this.memorySnapshots.has(id)) {
+      return this.memorySnapshots.get(id);
+    }
+    if (this.useRedis()) {
+      return await this.redisModule.get(this.getSnapshotKey(id), true);
+    }
+    return null;
+  }
+
+  /**
+   * Summaries of every stored snapshot, newest first
+   */
+  async listSnapshots() {
+    const summaries = Array.from(this.memorySnapshots.values()).map(snapshot => this.toSummary(snapshot));
+    if (this.useRedis()) {
+      const indexKeys = await this.redisModule.getKeys(`${this.INDEX_KEY_PREFIX}*`);
+      for (const indexKey of indexKeys) {
+        summaries.push(...Object.values(await this.redisModule.getHashValues(indexKey, true)));
+      }
+    }
+    return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async removeSnapshot(snapshot) {
+    if (this.memorySnapshots.delete(snapshot.id)) {
+      return;
+    }
+    if (this.useRedis()) {
+      await this.redisModule.deleteHashField(this.getIndexKey(snapshot.orgId), snapshot.id);
+      await this.redisModule.delete(this.getSnapshotKey(snapshot.id));
+    }
+  }
+
+  /**
+   * Whether the session's user took the snapshot (in the same org)
+   */
+  isOwner(snapshot, session) {
+    const { organizationId, userId } = session.salesforce;
+    return Boolean(userId && snapshot.createdByUserId === userId && snapshot.orgId === organizationId);
+  }
+
+  /**
+   * POST /api/sobjects/schema-snapshots - describe the current org and store it under a name
+   */
+  async createSnapshot(req, res) {
+    try {
+      const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+      if (!name || name.length > this.MAX_NAME_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Snapshot name is required (at most ${this.MAX_NAME_LENGTH} characters)`
+        });
+      }
+
+      const { organizationId, userId, instanceUrl, orgName, username } = req.session.salesforce;
+      if (!organizationId || !userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Schema snapshots need a session with a known org and user'
+        });
+      }
+      console.log(`📸 [SCHEMA_SNAPSHOT] Taking snapshot '${name}' of org ${organizationId}`);
+
+      const conn = this.sobjectFieldSearchModule.createConnection(req);
+      const { entries, processedCount, errorCount } = await this.sobjectFieldSearchModule
+        .describeQueryableSObjects(conn, buildSnapshotEntry);
+
+      const snapshot = {
+        id: crypto.randomUUID(),
+        name,
+        orgId: organizationId,
+        orgName: orgName || null,
+        instanceUrl,
+        createdBy: username || null,
+        createdByUserId: userId,
+        createdAt: new Date().toISOString(),
+        sobjectCount: processedCount,
+        fieldCount: Object.values(entries).reduce((sum, object) => sum + Object.keys(object.fields).length, 0),
+        errorCount,
+        objects: entries
+      };
+      await this.saveSnapshot(snapshot);
+
+      console.log(`✅ [SCHEMA_SNAPSHOT] Saved snapshot '${name}': ${snapshot.sobjectCount} SObjects, ${snapshot.fieldCount} fields`);
+
+      res.json({
+        success: true,
+        snapshot: this.toSummary(snapshot)
+      });
+    } catch (error) {
+      console.error('❌ [SCHEMA_SNAPSHOT] Error taking schema snapshot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to take schema snapshot: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/sobjects/schema-snapshots - snapshots of every org, flagged when taken in the current one
+   */
+  async getSnapshots(req, res) {
+    try {
+      const currentOrgId = req.session.salesforce.organizationId;
+      const snapshots = await this.listSnapshots();
+
+      res.json({
+        success: true,
+        currentOrgId,
+        snapshots: snapshots.map(summary => ({
+          ...summary,
+          currentOrg: summary.orgId === currentOrgId,
+          canDelete: this.isOwner(summary, req.session)
+        }))
+      });
+    } catch (error) {
+      console.error('❌ [SCHEMA_SNAPSHOT] Error listing schema snapshots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list schema snapshots: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/sobjects/schema-snapshots/:id - the full snapshot, as a JSON download
+   */
+  async getSnapshot(req, res) {
+    try {
+      const snapshot = await this.loadSnapshot(req.params.id);
+      if (!snapshot) {
+        return res.status(404).json({ success: false, message: `Schema snapshot '${req.params.id}' not found` });
+      }
+
+      const fileName = `schema-snapshot-${snapshot.name.replace(/[^A-Za-z0-9_-]+/g, '_')}.json`;
+      res.set({ 'Content-Disposition': `attachment; filename="${fileName}"` });
+      res.json(snapshot);
+    } catch (error) {
+      console.error('❌ [SCHEMA_SNAPSHOT] Error retrieving schema snapshot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve schema snapshot: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/sobjects/schema-snapshots/:id
+   */
+  async deleteSnapshot(req, res) {
+    try {
+      const snapshot = await this.loadSnapshot(req.params.id);
+      if (!snapshot) {
+        return res.status(404).json({ success: false, message: `Schema snapshot '${req.params.id}' not found` });
+      }
+      if (!this.isOwner(snapshot, req.session)) {
+        return res.status(403).json({ success: false, message: 'Only the user who took a schema snapshot can delete it' });
+      }
+
+      await this.removeSnapshot(snapshot);
+
+      console.log(`🗑️ [SCHEMA_SNAPSHOT] Deleted snapshot ${req.params.id}`);
+      res.json({ success: true, message: 'Schema snapshot deleted' });
+    } catch (error) {
+      console.error('❌ [SCHEMA_SNAPSHOT] Error deleting schema snapshot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete schema snapshot: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/sobjects/schema-snapshots/diff?base=&target=&format= - JSON for the UI or a Markdown report
+   */
+  async diffSnapshots(req, res) {
+    try {
+      const { base, target } = req.query;
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!base || !target) {
+        return res.status(400).json({ success: false, message: 'Both base and target snapshot IDs are required' });
+      }
+      if (!this.DIFF_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format '${format}'. Use one of: ${this.DIFF_FORMATS.join(', ')}`
+        });
+      }
+
+      const [baseSnapshot, targetSnapshot] = await Promise.all([this.loadSnapshot(base), this.loadSnapshot(target)]);
+      const missing = [[base, baseSnapshot], [target, targetSnapshot]].find(([, snapshot]) => !snapshot);
+      if (missing) {
+        return res.status(404).json({ success: false, message: `Schema snapshot '${missing[0]}' not found` });
+      }
+
+      const diff = diffSchemaSnapshots(baseSnapshot, targetSnapshot);
+      console.log(`🔀 [SCHEMA_SNAPSHOT] Diffed '${baseSnapshot.name}' → '${targetSnapshot.name}': ${diff.identical ? 'identical' : 'differences found'}`);
+
+      if (format === 'markdown') {
+        res.set({
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Content-Disposition': 'attachment; filename="schema-diff.md"'
+        });
+        return res.send(schemaDiffToMarkdown(diff));
+      }
+
+      res.json({ success: true, diff });
+    } catch (error) {
+      console.error('❌ [SCHEMA_SNAPSHOT] Error diffing schema snapshots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to diff schema snapshots: ' + error.message
+      });
+    }
+  }
+}
+
+module.exports = SchemaSnapshotModule;
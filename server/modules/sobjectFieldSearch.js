@@ -1,11 +1,23 @@
+const crypto = require('crypto');
 const jsforce = require('jsforce');
 const RedisModule = require('./redis');
+const { buildFieldSearchIndex, parseFieldSearchParams, searchFieldIndex } = require('./fieldSearchIndex');
+
+// Describe errors that would fail every remaining object too; the build stops and can be resumed
+const FATAL_DESCRIBE_ERRORS = ['INVALID_SESSION_ID', 'REQUEST_LIMIT_EXCEEDED', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT'];
 
 class SObjectFieldSearchModule {
-  constructor() {
+  constructor(io = null) {
+    this.io = io;
     this.redisModule = new RedisModule();
     this.CACHE_KEY_PREFIX = 'sobject_field_metadata:';
+    this.CHECKPOINT_KEY_PREFIX = 'sobject_field_metadata_checkpoint:';
     this.CACHE_EXPIRY = 86400; // 24 hours in seconds
+    this.CHECKPOINT_INTERVAL = 25; // SObjects
+    // Bumped when cache entries gain attributes, so the next build describes every SObject again
+    this.CACHE_VERSION = 2;
+    this.buildJobs = new Map(); // jobId -> job status
+    this.searchIndexes = new Map(); // orgId -> { cachedAt, index }
   }
 
   /**
@@ -96,82 +108,358 @@ class SObjectFieldSearchModule {
       cleanedField.scale = field.scale;
     }
 
+    // Attributes the field search filters on, only when set
+    if (field.externalId) {
+      cleanedField.externalId = true;
+    }
+
+    if (field.referenceTo && field.referenceTo.length > 0) {
+      cleanedField.referenceTo = field.referenceTo;
+    }
+
+    const activePicklistValues = (field.picklistValues || []).filter(value => value.active).map(value => value.value);
+    if (activePicklistValues.length > 0) {
+      cleanedField.picklistValues = activePicklistValues;
+    }
+
     return cleanedField;
   }
 
   /**
-   * Build and cache all SObject field metadata for an org
+   * Describe an SObject only if it changed since the given date (If-Modified-Since).
+   * Returns null when Salesforce answers 304 Not Modified, which jsforce resolves with an empty body.
+   */
+  async describeIfModified(conn, sobjectName, since) {
+    const describe = await conn.request({
+      method: 'GET',
+      url: `/sobjects/${sobjectName}/describe`,
+      headers: { 'If-Modified-Since': new Date(since).toUTCString() }
+    });
+    return describe && Array.isArray(describe.fields) ? describe : null;
+  }
+
+  /**
+   * Describe every queryable SObject of the org (minus the excluded suffixes) in small batches.
+   * buildEntry(sobject, describe) maps each describe to what the caller wants to keep; the entries
+   * come back keyed by SObject name. Objects that fail to describe are counted and skipped, except
+   * for errors that would fail every remaining object too (expired session, network), which are thrown.
+   *
+   * Options:
+   * - completed: entries from an earlier, interrupted run; those objects are not described again
+   * - previous: { entries, since } of an earlier build; objects not modified since then keep their entry
+   * - onProgress(progress): called after every object
+   * - onBatch(entries): awaited after every batch (checkpointing)
+   * - isCancelled(): checked before every batch; a cancelled run returns what it has with cancelled: true
+   */
+  async describeQueryableSObjects(conn, buildEntry, options = {}) {
+    const { completed = {}, previous = null, onProgress = () => {}, onBatch = async () => {}, isCancelled = () => false } = options;
+
+    // Get all SObjects
+    const globalDescribe = await conn.describeGlobal();
+    const queryableSObjects = globalDescribe.sobjects.filter(obj => {
+      return obj.queryable && !this.shouldExcludeSObject(obj.name);
+    });
+
+    console.log(`📊 [FIELD_SEARCH] Found ${queryableSObjects.length} queryable SObjects (after filtering)`);
+
+    const entries = {};
+    const progress = {
+      totalCount: queryableSObjects.length,
+      processedCount: 0,
+      describedCount: 0,
+      unchangedCount: 0,
+      errorCount: 0,
+      currentSObject: null
+    };
+
+    queryableSObjects.forEach(sobject => {
+      if (completed[sobject.name]) {
+        entries[sobject.name] = completed[sobject.name];
+        progress.processedCount++;
+      }
+    });
+    const pendingSObjects = queryableSObjects.filter(sobject => !completed[sobject.name]);
+    if (progress.processedCount > 0) {
+      console.log(`⏩ [FIELD_SEARCH] Resuming: ${progress.processedCount} SObjects already done, ${pendingSObjects.length} to go`);
+    }
+    onProgress({ ...progress });
+
+    // Process SObjects in batches to avoid overwhelming the API
+    const batchSize = 5;
+    for (let i = 0; i < pendingSObjects.length; i += batchSize) {
+      if (isCancelled()) {
+        return { entries, ...progress, cancelled: true };
+      }
+      const batch = pendingSObjects.slice(i, i + batchSize);
+      let fatalError = null;
+      
+      // Process batch in parallel
+      await Promise.all(batch.map(async (sobject) => {
+        try {
+          const previousEntry = previous && previous.entries[sobject.name];
+          const describe = previousEntry
+            ? await this.describeIfModified(conn, sobject.name, previous.since)
+            : await conn.sobject(sobject.name).describe();
+
+          if (describe) {
+            entries[sobject.name] = buildEntry(sobject, describe);
+            progress.describedCount++;
+          } else {
+            entries[sobject.name] = previousEntry;
+            progress.unchangedCount++;
+          }
+          progress.processedCount++;
+          
+          if (progress.processedCount % 10 === 0) {
+            console.log(`📦 [FIELD_SEARCH] Progress: ${progress.processedCount}/${progress.totalCount} SObjects processed`);
+          }
+        } catch (error) {
+          if (this.isFatalDescribeError(error)) {
+            fatalError = fatalError || error;
+            return;
+          }
+          progress.errorCount++;
+          console.warn(`⚠️ [FIELD_SEARCH] Failed to describe ${sobject.name}:`, error.message);
+        }
+        progress.currentSObject = sobject.name;
+        onProgress({ ...progress });
+      }));
+
+      await onBatch(entries);
+      if (fatalError) {
+        throw fatalError;
+      }
+
+      // Small delay between batches to avoid rate limiting
+      if (i + batchSize < pendingSObjects.length) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+
+    return { entries, ...progress, cancelled: false };
+  }
+
+  /**
+   * Errors after which describing the remaining objects is pointless
+   */
+  isFatalDescribeError(error) {
+    const code = error.errorCode || error.code || error.name;
+    return FATAL_DESCRIBE_ERRORS.includes(code);
+  }
+
+  /**
+   * Cache entry of one SObject: minimal field metadata, without system default fields
+   */
+  buildCacheEntry(sobject, describe) {
+    return {
+      name: sobject.name,
+      label: sobject.label,
+      labelPlural: sobject.labelPlural,
+      keyPrefix: sobject.keyPrefix,
+      custom: sobject.custom,
+      fields: describe.fields
+        .filter(field => !this.isSystemDefaultField(field.name))
+        .map(field => this.cleanFieldData(field))
+    };
+  }
+
+  getCheckpointKey(orgId) {
+    return `${this.CHECKPOINT_KEY_PREFIX}${orgId}`;
+  }
+
+  async getCheckpoint(orgId) {
+    try {
+      return await this.redisModule.get(this.getCheckpointKey(orgId), true);
+    } catch (error) {
+      console.error('❌ [FIELD_SEARCH] Error retrieving cache build checkpoint:', error);
+      return null;
+    }
+  }
+
+  async saveCheckpoint(job, entries) {
+    const checkpoint = {
+      jobId: job.jobId,
+      mode: job.mode,
+      startedAt: job.startedAt,
+      savedAt: new Date().toISOString(),
+      processedCount: Object.keys(entries).length,
+      entries
+    };
+    await this.redisModule.set(this.getCheckpointKey(job.orgId), JSON.stringify(checkpoint), this.CACHE_EXPIRY);
+  }
+
+  /**
+   * Checkpoint without its entries, as reported to the UI
+   */
+  toCheckpointStatus(checkpoint) {
+    if (!checkpoint) {
+      return null;
+    }
+    const { jobId, mode, startedAt, savedAt, processedCount } = checkpoint;
+    return { jobId, mode, startedAt, savedAt, processedCount };
+  }
+
+  /**
+   * The running job of an org, or its most recent one
+   */
+  getLatestBuildJob(orgId) {
+    const jobs = Array.from(this.buildJobs.values()).filter(job => job.orgId === orgId);
+    return jobs.find(job => job.status === 'running') || jobs[jobs.length - 1] || null;
+  }
+
+  toJobStatus(job) {
+    if (!job) {
+      return null;
+    }
+    const status = { ...job };
+    delete status.cancelRequested;
+    return status;
+  }
+
+  /**
+   * Push a job's progress to the sockets of its org
+   */
+  emitBuildProgress(job) {
+    if (this.io) {
+      this.io.to(this.getBuildRoom(job.orgId)).emit('fieldCacheBuildProgress', this.toJobStatus(job));
+    }
+  }
+
+  getBuildRoom(orgId) {
+    return `field_cache_build:${orgId}`;
+  }
+
+  /**
+   * Join a newly connected socket to the cache build room of its org (session shared via io.engine.use)
+   */
+  registerSocket(socket) {
+    const session = socket.request.session;
+    if (session && session.salesforce && session.salesforce.organizationId) {
+      socket.join(this.getBuildRoom(session.salesforce.organizationId));
+    }
+  }
+
+  /**
+   * Start (or resume) a background build of the field metadata cache for the org.
+   * Responds right away with the job; progress is pushed on the fieldCacheBuildProgress socket event.
+   * An interrupted build resumes from its checkpoint unless restart is set; an existing cache is
+   * refreshed incrementally (only objects modified since the last build are described) unless full is set.
    */
   async buildFieldMetadataCache(req, res) {
     try {
-      const conn = this.createConnection(req);
       const orgId = req.session.salesforce.organizationId;
-      
-      console.log(`🔧 [FIELD_SEARCH] Building field metadata cache for org: ${orgId}`);
-      
-      // Get all SObjects
-      const globalDescribe = await conn.describeGlobal();
-      const queryableSObjects = globalDescribe.sobjects.filter(obj => {
-        return obj.queryable && !this.shouldExcludeSObject(obj.name);
+      const { full = false, restart = false } = req.body || {};
+
+      const runningJob = this.getLatestBuildJob(orgId);
+      if (runningJob && runningJob.status === 'running') {
+        return res.json({
+          success: true,
+          alreadyRunning: true,
+          message: 'A cache build is already running for this org',
+          job: this.toJobStatus(runningJob)
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const checkpoint = restart ? null : await this.getCheckpoint(orgId);
+      const incremental = checkpoint ? checkpoint.mode === 'incremental' : !full;
+      const existingCache = incremental ? await this.getCachedMetadata(orgId) : null;
+      // Entries of an older cache version lack attributes; they cannot be reused
+      const cachedData = existingCache && existingCache.version === this.CACHE_VERSION ? existingCache : null;
+      const mode = cachedData ? 'incremental' : 'full';
+
+      // Only the latest job of an org is kept
+      this.buildJobs.forEach((job, jobId) => {
+        if (job.orgId === orgId) {
+          this.buildJobs.delete(jobId);
+        }
       });
 
-      console.log(`📊 [FIELD_SEARCH] Found ${queryableSObjects.length} queryable SObjects (after filtering)`);
-
-      const metadataCache = {};
-      let processedCount = 0;
-      let errorCount = 0;
-
-      // Process SObjects in batches to avoid overwhelming the API
-      const batchSize = 5;
-      for (let i = 0; i < queryableSObjects.length; i += batchSize) {
-        const batch = queryableSObjects.slice(i, i + batchSize);
-        
-        // Process batch in parallel
-        await Promise.all(batch.map(async (sobject) => {
-          try {
-            const describe = await conn.sobject(sobject.name).describe();
-            
-            // Filter out system default fields and clean field data
-            const filteredFields = describe.fields
-              .filter(field => !this.isSystemDefaultField(field.name))
-              .map(field => this.cleanFieldData(field));
-            
-            // Store minimal field metadata
-            metadataCache[sobject.name] = {
-              name: sobject.name,
-              label: sobject.label,
-              labelPlural: sobject.labelPlural,
-              keyPrefix: sobject.keyPrefix,
-              custom: sobject.custom,
-              fields: filteredFields
-            };
-            
-            processedCount++;
-            
-            if (processedCount % 10 === 0) {
-              console.log(`📦 [FIELD_SEARCH] Progress: ${processedCount}/${queryableSObjects.length} SObjects processed`);
-            }
-          } catch (error) {
-            errorCount++;
-            console.warn(`⚠️ [FIELD_SEARCH] Failed to describe ${sobject.name}:`, error.message);
-          }
-        }));
+      const job = {
+        jobId: crypto.randomUUID(),
+        orgId,
+        status: 'running',
+        mode,
+        resumedFrom: checkpoint ? checkpoint.jobId : null,
+        startedAt: checkpoint ? checkpoint.startedAt : new Date().toISOString(),
+        finishedAt: null,
+        totalCount: null,
+        processedCount: checkpoint ? checkpoint.processedCount : 0,
+        describedCount: 0,
+        unchangedCount: 0,
+        errorCount: 0,
+        currentSObject: null,
+        error: null,
+        cancelRequested: false
+      };
+      this.buildJobs.set(job.jobId, job);
 
-        // Small delay between batches to avoid rate limiting
-        if (i + batchSize < queryableSObjects.length) {
-          await new Promise(resolve => setTimeout(resolve, 200));
+      console.log(`🔧 [FIELD_SEARCH] Starting ${mode} field metadata cache build ${job.jobId} for org: ${orgId}` +
+        (checkpoint ? ` (resuming ${checkpoint.jobId} at ${checkpoint.processedCount} SObjects)` : ''));
+
+      res.status(202).json({
+        success: true,
+        message: 'Field metadata cache build started',
+        job: this.toJobStatus(job)
+      });
+
+      await this.runCacheBuild(job, conn, { checkpoint, cachedData });
+    } catch (error) {
+      console.error('❌ [FIELD_SEARCH] Error starting field metadata cache build:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to start field metadata cache build: ' + error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a cache build job to completion, failure or cancellation. Progress is checkpointed every
+   * CHECKPOINT_INTERVAL objects and whenever the job stops early, so the next build resumes from there.
+   */
+  async runCacheBuild(job, conn, { checkpoint = null, cachedData = null } = {}) {
+    let entries = checkpoint ? checkpoint.entries : {};
+    let checkpointedCount = job.processedCount;
+
+    try {
+      const result = await this.describeQueryableSObjects(conn, (sobject, describe) => this.buildCacheEntry(sobject, describe), {
+        completed: entries,
+        previous: cachedData ? { entries: cachedData.metadata, since: cachedData.buildStartedAt || cachedData.cachedAt } : null,
+        isCancelled: () => job.cancelRequested,
+        onProgress: (progress) => {
+          Object.assign(job, progress);
+          this.emitBuildProgress(job);
+        },
+        onBatch: async (batchEntries) => {
+          entries = batchEntries;
+          if (Object.keys(entries).length - checkpointedCount >= this.CHECKPOINT_INTERVAL) {
+            await this.saveCheckpoint(job, entries);
+            checkpointedCount = Object.keys(entries).length;
+          }
         }
+      });
+
+      if (result.cancelled) {
+        await this.saveCheckpoint(job, result.entries);
+        Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString(), currentSObject: null });
+        console.log(`⏹️ [FIELD_SEARCH] Cache build ${job.jobId} cancelled at ${job.processedCount}/${job.totalCount} SObjects`);
+        this.emitBuildProgress(job);
+        return;
       }
 
-      console.log(`✅ [FIELD_SEARCH] Cache build complete. Processed: ${processedCount}, Errors: ${errorCount}`);
+      console.log(`✅ [FIELD_SEARCH] Cache build complete. Processed: ${result.processedCount} (described ${result.describedCount}, unchanged ${result.unchangedCount}), Errors: ${result.errorCount}`);
       console.log(`🔧 [FIELD_SEARCH] System fields filtered, optimized field data stored`);
 
       // Store in Redis
-      const cacheKey = this.getOrgCacheKey(orgId);
+      const cacheKey = this.getOrgCacheKey(job.orgId);
       const cacheData = {
-        metadata: metadataCache,
+        metadata: result.entries,
         cachedAt: new Date().toISOString(),
-        sobjectCount: processedCount,
+        buildStartedAt: job.startedAt,
+        version: this.CACHE_VERSION,
+        sobjectCount: result.processedCount,
         optimized: true,
         excludedSystemFields: [
           'Id', 'IsDeleted', 'Name', 'CreatedDate', 'CreatedById',
@@ -181,25 +469,66 @@ class SObjectFieldSearchModule {
       };
 
       await this.redisModule.set(cacheKey, JSON.stringify(cacheData), this.CACHE_EXPIRY);
+      await this.redisModule.delete(this.getCheckpointKey(job.orgId));
 
-      console.log(`💾 [FIELD_SEARCH] Cached ${processedCount} SObjects for org ${orgId}`);
+      console.log(`💾 [FIELD_SEARCH] Cached ${result.processedCount} SObjects for org ${job.orgId}`);
 
-      res.json({
-        success: true,
-        message: 'Field metadata cache built successfully',
-        sobjectCount: processedCount,
-        errorCount: errorCount,
-        cachedAt: cacheData.cachedAt
+      Object.assign(job, {
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        cachedAt: cacheData.cachedAt,
+        sobjectCount: result.processedCount,
+        currentSObject: null
       });
+      this.emitBuildProgress(job);
     } catch (error) {
-      console.error('❌ [FIELD_SEARCH] Error building field metadata cache:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to build field metadata cache: ' + error.message
+      console.error(`❌ [FIELD_SEARCH] Cache build ${job.jobId} failed:`, error);
+      if (Object.keys(entries).length > 0) {
+        try {
+          await this.saveCheckpoint(job, entries);
+        } catch (checkpointError) {
+          console.error('❌ [FIELD_SEARCH] Failed to save cache build checkpoint:', checkpointError);
+        }
+      }
+      Object.assign(job, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: error.message,
+        currentSObject: null
       });
+      this.emitBuildProgress(job);
     }
   }
 
+  /**
+   * GET /api/sobjects/field-search/build-jobs/:jobId - status of a cache build job
+   */
+  async getBuildJob(req, res) {
+    const job = this.buildJobs.get(req.params.jobId);
+    if (!job || job.orgId !== req.session.salesforce.organizationId) {
+      return res.status(404).json({ success: false, message: `Cache build job '${req.params.jobId}' not found` });
+    }
+    res.json({ success: true, job: this.toJobStatus(job) });
+  }
+
+  /**
+   * DELETE /api/sobjects/field-search/build-jobs/:jobId - cancel a running build; it stops after the
+   * current batch and keeps its checkpoint so it can be resumed
+   */
+  async cancelBuildJob(req, res) {
+    const job = this.buildJobs.get(req.params.jobId);
+    if (!job || job.orgId !== req.session.salesforce.organizationId) {
+      return res.status(404).json({ success: false, message: `Cache build job '${req.params.jobId}' not found` });
+    }
+    if (job.status !== 'running') {
+      return res.status(409).json({ success: false, message: `Cache build job is already ${job.status}`, job: this.toJobStatus(job) });
+    }
+
+    job.cancelRequested = true;
+    console.log(`⏹️ [FIELD_SEARCH] Cancel requested for cache build ${job.jobId}`);
+    res.json({ success: true, message: 'Cancelling after the current batch', job: this.toJobStatus(job) });
+  }
+
   /**
    * Get cached field metadata for an org
    */
@@ -226,12 +555,18 @@ class SObjectFieldSearchModule {
     try {
       const orgId = req.session.salesforce.organizationId;
       const cachedData = await this.getCachedMetadata(orgId);
+      // The running or last build, and the checkpoint an interrupted build left behind
+      const buildStatus = {
+        buildJob: this.toJobStatus(this.getLatestBuildJob(orgId)),
+        checkpoint: this.toCheckpointStatus(await this.getCheckpoint(orgId))
+      };
 
       if (!cachedData) {
         return res.json({
           success: true,
           cached: false,
-          message: 'No cache found for this org'
+          message: 'No cache found for this org',
+          ...buildStatus
         });
       }
 
@@ -239,7 +574,8 @@ class SObjectFieldSearchModule {
         success: true,
         cached: true,
         sobjectCount: cachedData.sobjectCount,
-        cachedAt: cachedData.cachedAt
+        cachedAt: cachedData.cachedAt,
+        ...buildStatus
       });
     } catch (error) {
       console.error('❌ [FIELD_SEARCH] Error checking cache status:', error);
@@ -251,22 +587,37 @@ class SObjectFieldSearchModule {
   }
 
   /**
-   * Search SObjects by field name using cached metadata
+   * Search index of an org's cached metadata, rebuilt when the cache changes
+   */
+  getSearchIndex(orgId, cachedData) {
+    const existing = this.searchIndexes.get(orgId);
+    if (existing && existing.cachedAt === cachedData.cachedAt) {
+      return existing.index;
+    }
+
+    const index = buildFieldSearchIndex(cachedData.metadata);
+    this.searchIndexes.set(orgId, { cachedAt: cachedData.cachedAt, index });
+    console.log(`🗂️ [FIELD_SEARCH] Indexed ${index.fieldCount} fields for org ${orgId}`);
+    return index;
+  }
+
+  /**
+   * Search SObjects by field name using cached metadata: fuzzy, token-aware matching on API names and
+   * labels, filters by type and attributes (see parseFieldSearchParams), ranked by relevance
    */
   async searchByFieldName(req, res) {
     try {
-      const { query } = req.query;
       const orgId = req.session.salesforce.organizationId;
+      const { options, error } = parseFieldSearchParams(req.query);
 
-      if (!query || query.trim().length < 2) {
-        return res.json({
-          success: true,
-          sobjects: [],
-          message: 'Query must be at least 2 characters'
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
         });
       }
 
-      console.log(`🔍 [FIELD_SEARCH] Searching for fields matching: "${query}"`);
+      console.log(`🔍 [FIELD_SEARCH] Searching for fields matching: "${options.query}"`, options.filters);
 
       // Get cached metadata
       const cachedData = await this.getCachedMetadata(orgId);
@@ -279,55 +630,17 @@ class SObjectFieldSearchModule {
         });
       }
 
-      const searchPattern = query.trim().toLowerCase();
-      const matchingSObjects = [];
-
-      // Search through cached metadata
-      Object.values(cachedData.metadata).forEach(sobject => {
-        const matchingFields = sobject.fields.filter(field =>
-          field.name.toLowerCase().includes(searchPattern) ||
-          field.label.toLowerCase().includes(searchPattern)
-        );
-
-        if (matchingFields.length > 0) {
-          matchingSObjects.push({
-            name: sobject.name,
-            label: sobject.label,
-            labelPlural: sobject.labelPlural,
-            keyPrefix: sobject.keyPrefix,
-            custom: sobject.custom,
-            matchingFields: matchingFields.slice(0, 10), // Limit to 10 fields per object
-            matchCount: matchingFields.length
-          });
-        }
-      });
+      const result = searchFieldIndex(this.getSearchIndex(orgId, cachedData), options);
 
-      // Sort by relevance: exact matches first, then by match count
-      matchingSObjects.sort((a, b) => {
-        // Check for exact field name matches
-        const aExactMatch = a.matchingFields.some(f => 
-          f.name.toLowerCase() === searchPattern || 
-          f.label.toLowerCase() === searchPattern
-        );
-        const bExactMatch = b.matchingFields.some(f => 
-          f.name.toLowerCase() === searchPattern || 
-          f.label.toLowerCase() === searchPattern
-        );
-
-        if (aExactMatch && !bExactMatch) return -1;
-        if (!aExactMatch && bExactMatch) return 1;
-
-        // Then by match count
-        return b.matchCount - a.matchCount;
-      });
-
-      console.log(`✅ [FIELD_SEARCH] Found ${matchingSObjects.length} SObjects with matching fields`);
+      console.log(`✅ [FIELD_SEARCH] Found ${result.totalMatches} SObjects with ${result.totalFieldMatches} matching fields`);
 
       res.json({
         success: true,
-        sobjects: matchingSObjects.slice(0, 100), // Limit to 100 results
-        totalMatches: matchingSObjects.length,
-        searchQuery: query,
+        ...result,
+        searchQuery: options.query,
+        filters: options.filters,
+        // Caches built before filter attributes were stored cannot answer attribute filters
+        outdatedCache: cachedData.version !== this.CACHE_VERSION,
         cachedAt: cachedData.cachedAt
       });
     } catch (error) {
@@ -339,6 +652,58 @@ class SObjectFieldSearchModule {
     }
   }
 
+  /**
+   * Get the cached fields of a single SObject (fast lookup for editor autocomplete)
+   */
+  async getCachedSObjectFields(req, res) {
+    try {
+      const { sobjectName } = req.params;
+      const orgId = req.session.salesforce.organizationId;
+      const cachedData = await this.getCachedMetadata(orgId);
+
+      if (!cachedData) {
+        return res.json({
+          success: true,
+          cached: false,
+          message: 'No cache found for this org'
+        });
+      }
+
+      // Cache keys keep the API name's casing; SOQL object names are case-insensitive
+      const cacheKey = Object.keys(cachedData.metadata)
+        .find(name => name.toLowerCase() === sobjectName.toLowerCase());
+
+      if (!cacheKey) {
+        return res.status(404).json({
+          success: false,
+          cached: true,
+          message: `SObject '${sobjectName}' not found in field metadata cache`
+        });
+      }
+
+      const sobject = cachedData.metadata[cacheKey];
+
+      res.json({
+        success: true,
+        cached: true,
+        sobject: {
+          name: sobject.name,
+          label: sobject.label,
+          custom: sobject.custom,
+          fields: sobject.fields
+        },
+        excludedSystemFields: cachedData.excludedSystemFields || [],
+        cachedAt: cachedData.cachedAt
+      });
+    } catch (error) {
+      console.error('❌ [FIELD_SEARCH] Error retrieving cached SObject fields:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve cached SObject fields: ' + error.message
+      });
+    }
+  }
+
   /**
    * Clear cache for an org
    */
@@ -348,6 +713,8 @@ class SObjectFieldSearchModule {
       const cacheKey = this.getOrgCacheKey(orgId);
       
       await this.redisModule.delete(cacheKey);
+      await this.redisModule.delete(this.getCheckpointKey(orgId));
+      this.searchIndexes.delete(orgId);
       
       console.log(`🗑️ [FIELD_SEARCH] Cache cleared for org ${orgId}`);
       
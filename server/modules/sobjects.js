@@ -1,8 +1,65 @@
 const jsforce = require('jsforce');
+const {
+  SOQLParameterError,
+  buildSOQL,
+  buildSOSL,
+  isSalesforceId,
+  assertSalesforceId,
+  assertSOQLIdentifier,
+  validateWhereCondition
+} = require('./soqlBuilder');
+const {
+  PICKLIST_TYPES,
+  buildDependencyMatrix,
+  buildRecordTypeDependencyMatrix,
+  buildRecordTypeAvailability,
+  dependencyMatrixToCsv,
+  recordTypeAvailabilityToCsv
+} = require('./picklistDependencies');
+
+// sObject Collections accept at most 200 records per request
+const COLLECTION_CHUNK_SIZE = 200;
+// Query plans costing more than the optimizer's selectivity threshold (1) are not selective
+const SELECTIVITY_THRESHOLD = 1;
+// Rows fetched per related list by the record viewer, unless the request asks for more (up to the max)
+const RELATED_LIST_DEFAULT_ROWS = 5;
+const RELATED_LIST_MAX_ROWS = 50;
+// SOQL allows at most 20 parent-to-child subqueries in one query
+const MAX_SUBQUERIES_PER_QUERY = 20;
+// Queries are sent as GET URLs, which Salesforce caps at about 16k characters; longer field lists are split
+const MAX_SELECT_LIST_LENGTH = 8000;
+// The org's object list rarely changes, and a describeGlobal per record lookup is slow on large orgs
+const GLOBAL_DESCRIBE_TTL_MS = 10 * 60 * 1000;
+// Salesforce errors caused by the query text itself; these are the caller's mistake (400), not ours
+const INVALID_QUERY_ERROR_CODES = ['MALFORMED_QUERY', 'INVALID_FIELD', 'INVALID_TYPE', 'INVALID_ID_FIELD', 'INVALID_QUERY_FILTER_OPERATOR'];
+const PICKLIST_EXPORT_FORMATS = ['json', 'csv'];
+
+const stripAttributes = ({ attributes, ...fields }) => fields;
+
+/**
+ * Split field names into select lists of at most maxLength characters, each starting with Id
+ */
+const chunkSelectList = (fieldNames, maxLength = MAX_SELECT_LIST_LENGTH) => {
+  const chunks = [];
+  let current = ['Id'];
+  let length = 'Id'.length;
+  fieldNames.filter(name => name !== 'Id').forEach(name => {
+    if (current.length > 1 && length + name.length + 2 > maxLength) {
+      chunks.push(current);
+      current = ['Id'];
+      length = 'Id'.length;
+    }
+    current.push(name);
+    length += name.length + 2;
+  });
+  chunks.push(current);
+  return chunks.map(chunk => chunk.join(', '));
+};
 
 class SObjectsModule {
   constructor() {
     // No more global connection storage
+    this.globalDescribeCache = new Map(); // orgId -> { describe, fetchedAt }
   }
 
   /**
@@ -17,6 +74,25 @@ class SObjectsModule {
     });
   }
 
+  /**
+   * describeGlobal of the session's org, cached per org for GLOBAL_DESCRIBE_TTL_MS.
+   * Sessions without an org ID are not cached.
+   */
+  async getGlobalDescribe(req, conn) {
+    const salesforce = req.session && req.session.salesforce;
+    const orgId = salesforce ? salesforce.organizationId || salesforce.orgKey : null;
+    const cached = orgId ? this.globalDescribeCache.get(orgId) : null;
+    if (cached && Date.now() - cached.fetchedAt < GLOBAL_DESCRIBE_TTL_MS) {
+      return cached.describe;
+    }
+
+    const describe = await conn.describeGlobal();
+    if (orgId) {
+      this.globalDescribeCache.set(orgId, { describe, fetchedAt: Date.now() });
+    }
+    return describe;
+  }
+
   /**
    * Search for SObjects by name or label
    */
@@ -132,8 +208,10 @@ class SObjectsModule {
    */
   async querySObjectRecords(req, res) {
     try {
-      const { sobjectName } = req.params;
+      const sobjectName = assertSOQLIdentifier(req.params.sobjectName, 'SObject name');
       const { condition } = req.query;
+      // The condition is free-form SOQL typed by the user; reject anything that escapes the WHERE clause
+      const whereCondition = condition && condition.trim() ? validateWhereCondition(condition) : null;
 
       const conn = this.createConnection(req);
       
@@ -177,8 +255,8 @@ class SObjectsModule {
       soql = `SELECT ${fieldsToSelect.join(', ')} FROM ${sobjectName}`;
       
       // Add WHERE clause if condition is provided
-      if (condition && condition.trim()) {
-        soql += ` WHERE ${condition.trim()}`;
+      if (whereCondition) {
+        soql += ` WHERE ${whereCondition}`;
       }
       
       // Add ORDER BY for consistent results (most recent first if possible)
@@ -243,7 +321,7 @@ class SObjectsModule {
       });
     } catch (error) {
       console.error(`❌ [SOBJECTS] Error querying SObject ${req.params.sobjectName}:`, error);
-      res.status(500).json({ 
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({ 
         success: false, 
         message: `Failed to query SObject: ${error.message}`,
         soql: req.query.soql || 'N/A'
@@ -293,6 +371,7 @@ class SObjectsModule {
             nillable: field.nillable,
             createable: field.createable,
             updateable: field.updateable,
+            defaultedOnCreate: field.defaultedOnCreate,
             unique: field.unique,
             externalId: field.externalId,
             idLookup: field.idLookup,
@@ -338,6 +417,308 @@ class SObjectsModule {
     }
   }
 
+  /**
+   * Describe of an SObject and one of its picklist fields, for the picklist views. Returns
+   * { describe, field, format } or { status, message } when the request cannot be served.
+   */
+  async describePicklistField(conn, req) {
+    const sobjectName = assertSOQLIdentifier(req.params.sobjectName, 'SObject name');
+    const fieldName = assertSOQLIdentifier(req.params.fieldName, 'field name');
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!PICKLIST_EXPORT_FORMATS.includes(format)) {
+      return { status: 400, message: `Invalid format '${format}'. Use one of: ${PICKLIST_EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const describe = await conn.sobject(sobjectName).describe();
+    const field = describe.fields.find(candidate => candidate.name.toLowerCase() === fieldName.toLowerCase());
+    if (!field) {
+      return { status: 404, message: `Field ${fieldName} not found on ${describe.name}` };
+    }
+    if (!PICKLIST_TYPES.includes(field.type)) {
+      return { status: 400, message: `${describe.name}.${field.name} is a ${field.type} field, not a picklist` };
+    }
+    return { describe, field, format };
+  }
+
+  /**
+   * Picklist values of every picklist field available in one record type, from the UI API
+   */
+  async getRecordTypePicklistValues(conn, sobjectName, recordTypeId) {
+    const result = await conn.request({
+      method: 'GET',
+      url: `/ui-api/object-info/${sobjectName}/picklist-values/${recordTypeId}`
+    });
+    return result.picklistFieldValues || {};
+  }
+
+  /**
+   * Record types a user can pick from, as listed by the describe
+   */
+  getAvailableRecordTypes(describe) {
+    return (describe.recordTypeInfos || [])
+      .filter(recordType => recordType.available)
+      .map(recordType => ({
+        recordTypeId: recordType.recordTypeId,
+        name: recordType.name,
+        developerName: recordType.developerName,
+        master: !!recordType.master
+      }));
+  }
+
+  sendPicklistCsv(res, fileName, csv) {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(csv);
+  }
+
+  /**
+   * Controller -> dependent matrix of a picklist, decoded from the describe's validFor bitmaps,
+   * or from the UI API when restricted to one record type (?recordTypeId=). ?format=csv downloads it.
+   */
+  async getPicklistDependencyMatrix(req, res) {
+    try {
+      const conn = this.createConnection(req);
+      const { describe, field, format, status, message } = await this.describePicklistField(conn, req);
+      if (status) {
+        return res.status(status).json({ success: false, message });
+      }
+
+      const controller = field.controllerName
+        ? describe.fields.find(candidate => candidate.name === field.controllerName)
+        : null;
+      const recordTypeId = req.query.recordTypeId ? assertSalesforceId(req.query.recordTypeId, 'record type ID') : null;
+
+      console.log(`🧮 [SOBJECTS] Building picklist matrix of ${describe.name}.${field.name}${recordTypeId ? ` for record type ${recordTypeId}` : ''}`);
+
+      const matrix = recordTypeId
+        ? buildRecordTypeDependencyMatrix(field, controller, await this.getRecordTypePicklistValues(conn, describe.name, recordTypeId))
+        : buildDependencyMatrix(field, controller);
+
+      if (format === 'csv') {
+        const suffix = recordTypeId ? `-${recordTypeId}` : '';
+        return this.sendPicklistCsv(res, `${describe.name}.${field.name}-dependencies${suffix}.csv`, dependencyMatrixToCsv(matrix));
+      }
+
+      res.json({
+        success: true,
+        sobject: describe.name,
+        recordTypeId,
+        recordTypes: this.getAvailableRecordTypes(describe),
+        matrix
+      });
+    } catch (error) {
+      console.error(`❌ [SOBJECTS] Error building picklist matrix of ${req.params.sobjectName}.${req.params.fieldName}:`, error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: 'Failed to build picklist dependency matrix: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * Which record types offer each value of a picklist, from the UI API picklist values of every
+   * available record type. ?format=csv downloads it.
+   */
+  async getPicklistRecordTypeAvailability(req, res) {
+    try {
+      const conn = this.createConnection(req);
+      const { describe, field, format, status, message } = await this.describePicklistField(conn, req);
+      if (status) {
+        return res.status(status).json({ success: false, message });
+      }
+
+      const recordTypes = [];
+      // One UI API request per record type; sequential to stay gentle on API limits
+      for (const recordType of this.getAvailableRecordTypes(describe)) {
+        recordTypes.push({
+          ...recordType,
+          picklistFieldValues: await this.getRecordTypePicklistValues(conn, describe.name, recordType.recordTypeId)
+        });
+      }
+
+      console.log(`🧮 [SOBJECTS] Checked ${describe.name}.${field.name} values in ${recordTypes.length} record types`);
+
+      const availability = buildRecordTypeAvailability(field, recordTypes);
+
+      if (format === 'csv') {
+        return this.sendPicklistCsv(res, `${describe.name}.${field.name}-record-types.csv`, recordTypeAvailabilityToCsv(availability));
+      }
+
+      res.json({
+        success: true,
+        sobject: describe.name,
+        availability
+      });
+    } catch (error) {
+      console.error(`❌ [SOBJECTS] Error checking record type availability of ${req.params.sobjectName}.${req.params.fieldName}:`, error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: 'Failed to check picklist availability by record type: ' + error.message
+      });
+    }
+  }
+
+  /**
+   * Search records across objects with SOSL. The request names the objects to return, each with
+   * its own field list and limit; results are grouped per object in the requested order.
+   */
+  async searchRecords(req, res) {
+    try {
+      const { searchTerm, searchIn, objects, limit } = req.body || {};
+      const sosl = buildSOSL({ searchTerm, searchIn, returning: objects, limit });
+
+      const conn = this.createConnection(req);
+
+      console.log(`🔎 [SOBJECTS] Executing SOSL: ${sosl}`);
+
+      const result = await conn.search(sosl);
+      const searchRecords = result.searchRecords || [];
+      const results = objects.map(({ name }) => ({
+        sobject: name,
+        records: searchRecords
+          .filter(record => record.attributes?.type?.toLowerCase() === name.toLowerCase())
+          .map(stripAttributes)
+      }));
+
+      console.log(`✅ [SOBJECTS] SOSL search returned ${searchRecords.length} records`);
+
+      res.json({
+        success: true,
+        sosl,
+        totalSize: searchRecords.length,
+        results
+      });
+    } catch (error) {
+      console.error('❌ [SOBJECTS] Error executing SOSL search:', error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: 'Failed to search records: ' + error.message,
+        errorCode: error.name || 'UNKNOWN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Fetch the first rows of each child relationship of a record, batching up to 20 subqueries per
+   * query. Some relationships cannot be used as subqueries; when a batch fails it is retried one
+   * relationship at a time so only the offending relationship reports an error.
+   */
+  async fetchRelatedLists(conn, sobjectName, id, relationships, limit) {
+    const toRelatedList = (rel, rows, error) => ({
+      relationshipName: rel.relationshipName,
+      childSObject: rel.childSObject,
+      field: rel.field,
+      records: rows.map(stripAttributes),
+      hasMore: rows.length >= limit,
+      ...(error && { error })
+    });
+
+    const queryBatch = async (batch) => {
+      const subqueries = batch.map(rel => `(SELECT FIELDS(STANDARD) FROM ${rel.relationshipName} LIMIT ${limit})`);
+      const soql = buildSOQL(`SELECT Id, ${subqueries.join(', ')} FROM ${sobjectName} WHERE Id = :id`, { id });
+      const result = await conn.query(soql);
+      const record = result.records[0] || {};
+      return batch.map(rel => toRelatedList(rel, record[rel.relationshipName]?.records || []));
+    };
+
+    const relatedLists = [];
+    for (let i = 0; i < relationships.length; i += MAX_SUBQUERIES_PER_QUERY) {
+      const batch = relationships.slice(i, i + MAX_SUBQUERIES_PER_QUERY);
+      try {
+        relatedLists.push(...await queryBatch(batch));
+      } catch (batchError) {
+        console.warn(`⚠️ [SOBJECTS] Related list batch for ${sobjectName} failed, retrying individually: ${batchError.message}`);
+        for (const rel of batch) {
+          try {
+            relatedLists.push(...await queryBatch([rel]));
+          } catch (error) {
+            relatedLists.push(toRelatedList(rel, [], error.message));
+          }
+        }
+      }
+    }
+    return relatedLists;
+  }
+
+  /**
+   * Fetch a single record by ID: the SObject is resolved from the key prefix, every readable
+   * field is selected (over several queries for very wide objects) and the first rows of each
+   * child relationship are included
+   */
+  async getRecord(req, res) {
+    try {
+      const id = assertSalesforceId(req.params.id, 'record ID');
+      const requestedRows = parseInt(req.query.relatedLimit, 10) || RELATED_LIST_DEFAULT_ROWS;
+      const relatedLimit = Math.min(Math.max(requestedRows, 1), RELATED_LIST_MAX_ROWS);
+
+      const conn = this.createConnection(req);
+
+      const globalDescribe = await this.getGlobalDescribe(req, conn);
+      const keyPrefix = id.substring(0, 3);
+      const sobject = globalDescribe.sobjects.find(candidate => candidate.keyPrefix === keyPrefix);
+      if (!sobject) {
+        return res.status(404).json({
+          success: false,
+          message: `No SObject found for key prefix ${keyPrefix}`
+        });
+      }
+
+      console.log(`🗂️ [SOBJECTS] Fetching ${sobject.name} record ${id}`);
+
+      const describe = await conn.sobject(sobject.name).describe();
+      // Binary fields can be megabytes each and are not displayable
+      const fields = describe.fields.filter(field => field.type !== 'base64');
+      let record = {};
+      for (const selectList of chunkSelectList(fields.map(field => field.name))) {
+        const result = await conn.query(buildSOQL(`SELECT ${selectList} FROM ${describe.name} WHERE Id = :id`, { id }));
+        if (result.records.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: `No ${describe.name} record found with ID ${id}`
+          });
+        }
+        record = { ...record, ...stripAttributes(result.records[0]) };
+      }
+
+      const queryable = new Set(globalDescribe.sobjects.filter(candidate => candidate.queryable).map(candidate => candidate.name));
+      const relationships = (describe.childRelationships || [])
+        .filter(rel => rel.relationshipName && !rel.deprecatedAndHidden && queryable.has(rel.childSObject));
+      const relatedLists = await this.fetchRelatedLists(conn, describe.name, id, relationships, relatedLimit);
+      const nameField = describe.fields.find(field => field.nameField);
+
+      console.log(`✅ [SOBJECTS] Fetched ${describe.name} record ${id} with ${relatedLists.length} related lists`);
+
+      res.json({
+        success: true,
+        id: record.Id,
+        name: nameField ? record[nameField.name] : null,
+        sobject: {
+          name: describe.name,
+          label: describe.label,
+          keyPrefix: describe.keyPrefix
+        },
+        fields: fields.map(field => ({
+          name: field.name,
+          label: field.label,
+          type: field.type,
+          referenceTo: field.referenceTo,
+          relationshipName: field.relationshipName
+        })),
+        record,
+        relatedLimit,
+        relatedLists
+      });
+    } catch (error) {
+      console.error(`❌ [SOBJECTS] Error fetching record ${req.params.id}:`, error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: 'Failed to fetch record: ' + error.message
+      });
+    }
+  }
+
   /**
    * Execute a free text SOQL query
    */
@@ -432,6 +813,251 @@ class SObjectsModule {
       });
     }
   }
+
+  /**
+   * Shape the REST query plan resource response for display. Salesforce returns plans cheapest
+   * first and runs the first one; a plan is non-selective when its relative cost exceeds 1.
+   */
+  summarizeQueryPlans(result) {
+    const plans = (result.plans || []).map(plan => ({
+      leadingOperationType: plan.leadingOperationType,
+      sobjectType: plan.sobjectType,
+      cardinality: plan.cardinality,
+      sobjectCardinality: plan.sobjectCardinality,
+      relativeCost: plan.relativeCost,
+      fields: plan.fields || [],
+      notes: (plan.notes || []).map(note => ({
+        description: note.description,
+        fields: note.fields || [],
+        tableEnumOrId: note.tableEnumOrId
+      })),
+      selective: plan.relativeCost <= SELECTIVITY_THRESHOLD
+    }));
+
+    return {
+      sourceQuery: result.sourceQuery,
+      plans,
+      selective: plans.length > 0 && plans[0].selective
+    };
+  }
+
+  /**
+   * Explain a SOQL query through the REST query plan resource (?explain=) without running it
+   */
+  async explainQuery(req, res) {
+    try {
+      const { query } = req.body;
+
+      if (!query || query.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'SOQL query is required'
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const soqlQuery = query.trim();
+
+      console.log(`🧭 [SOBJECTS] Explaining SOQL query: ${soqlQuery}`);
+
+      const result = await conn.request(`/query/?explain=${encodeURIComponent(soqlQuery)}`);
+      const summary = this.summarizeQueryPlans(result);
+
+      console.log(`✅ [SOBJECTS] Query plan returned ${summary.plans.length} plan(s), leading: ${summary.plans[0]?.leadingOperationType || 'none'} (cost ${summary.plans[0]?.relativeCost ?? 'n/a'})`);
+
+      res.json({
+        success: true,
+        ...summary
+      });
+    } catch (error) {
+      console.error('❌ [SOBJECTS] Error explaining SOQL query:', error);
+      const errorCode = error.errorCode || error.name || 'UNKNOWN_ERROR';
+      res.status(INVALID_QUERY_ERROR_CODES.includes(errorCode) ? 400 : 500).json({
+        success: false,
+        message: 'Failed to explain query: ' + error.message,
+        errorCode
+      });
+    }
+  }
+
+  /**
+   * Check pending record changes against the SObject describe.
+   * Rows that fail are reported per row and left out of the save.
+   */
+  validateRecordChanges(describe, { create = [], update = [], delete: deleteIds = [] }) {
+    const fieldsByName = new Map(describe.fields.map(field => [field.name, field]));
+    const errors = [];
+    const valid = { create: [], update: [], delete: [] };
+
+    const checkFields = (operation, record) => {
+      const flag = operation === 'create' ? 'createable' : 'updateable';
+      const fields = {};
+      for (const [name, value] of Object.entries(record || {})) {
+        if (name === 'attributes' || name === 'Id') {
+          continue;
+        }
+        const field = fieldsByName.get(name);
+        if (!field) {
+          return { error: `Unknown field ${name} on ${describe.name}` };
+        }
+        if (!field[flag]) {
+          return { error: `Field ${name} is not ${flag}` };
+        }
+        fields[name] = value === '' ? null : value;
+      }
+      if (Object.keys(fields).length === 0) {
+        return { error: 'No field values to save' };
+      }
+      return { fields };
+    };
+
+    create.forEach((record, index) => {
+      if (!describe.createable) {
+        errors.push({ operation: 'create', index, id: null, message: `${describe.name} records cannot be created` });
+        return;
+      }
+      const { fields, error } = checkFields('create', record);
+      if (error) {
+        errors.push({ operation: 'create', index, id: null, message: error });
+      } else {
+        valid.create.push({ index, record: fields });
+      }
+    });
+
+    update.forEach((record, index) => {
+      const id = record && record.Id;
+      if (!describe.updateable) {
+        errors.push({ operation: 'update', index, id: id || null, message: `${describe.name} records cannot be updated` });
+        return;
+      }
+      if (!isSalesforceId(id)) {
+        errors.push({ operation: 'update', index, id: id || null, message: 'A valid record Id is required' });
+        return;
+      }
+      const { fields, error } = checkFields('update', record);
+      if (error) {
+        errors.push({ operation: 'update', index, id, message: error });
+      } else {
+        valid.update.push({ index, record: { Id: id, ...fields } });
+      }
+    });
+
+    deleteIds.forEach((id, index) => {
+      if (!describe.deletable) {
+        errors.push({ operation: 'delete', index, id: id || null, message: `${describe.name} records cannot be deleted` });
+      } else if (!isSalesforceId(id)) {
+        errors.push({ operation: 'delete', index, id: id || null, message: 'A valid record Id is required' });
+      } else {
+        valid.delete.push({ index, id });
+      }
+    });
+
+    return { ...valid, errors };
+  }
+
+  /**
+   * Send one DML operation through the sObject Collections API, 200 rows at a time
+   */
+  async runRecordCollection(conn, sobjectName, operation, rows) {
+    const results = [];
+    for (let start = 0; start < rows.length; start += COLLECTION_CHUNK_SIZE) {
+      const chunk = rows.slice(start, start + COLLECTION_CHUNK_SIZE);
+      let response;
+      if (operation === 'delete') {
+        const ids = chunk.map(row => row.id).join(',');
+        response = await conn.requestDelete(`/composite/sobjects?ids=${ids}&allOrNone=false`);
+      } else {
+        const body = {
+          allOrNone: false,
+          records: chunk.map(row => ({ attributes: { type: sobjectName }, ...row.record }))
+        };
+        response = operation === 'create'
+          ? await conn.requestPost('/composite/sobjects', body)
+          : await conn.requestPatch('/composite/sobjects', body);
+      }
+
+      // Collection results come back in request order
+      chunk.forEach((row, position) => {
+        const result = response[position] || {};
+        results.push({
+          operation,
+          index: row.index,
+          id: result.id || row.id || (row.record && row.record.Id) || null,
+          success: result.success === true,
+          errors: (result.errors || []).map(error => ({
+            statusCode: error.statusCode,
+            message: error.message,
+            fields: error.fields || []
+          }))
+        });
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Create, update and delete records of one SObject in a single batched save
+   */
+  async saveRecords(req, res) {
+    try {
+      const sobjectName = assertSOQLIdentifier(req.params.sobjectName, 'SObject name');
+      const { create = [], update = [], delete: deleteIds = [] } = req.body || {};
+
+      if (![create, update, deleteIds].every(Array.isArray)) {
+        return res.status(400).json({
+          success: false,
+          message: 'create, update and delete must be arrays'
+        });
+      }
+      if (create.length + update.length + deleteIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No record changes to save'
+        });
+      }
+
+      const conn = this.createConnection(req);
+      const describe = await conn.sobject(sobjectName).describe();
+      const changes = this.validateRecordChanges(describe, { create, update, delete: deleteIds });
+
+      const results = changes.errors.map(error => ({
+        operation: error.operation,
+        index: error.index,
+        id: error.id,
+        success: false,
+        errors: [{ statusCode: 'INVALID_INPUT', message: error.message, fields: [] }]
+      }));
+
+      for (const operation of ['create', 'update', 'delete']) {
+        if (changes[operation].length > 0) {
+          console.log(`✏️ [SOBJECTS] ${operation} ${changes[operation].length} ${sobjectName} record(s)`);
+          results.push(...await this.runRecordCollection(conn, sobjectName, operation, changes[operation]));
+        }
+      }
+
+      const succeeded = (operation) => results.filter(result => result.operation === operation && result.success).length;
+      const summary = {
+        created: succeeded('create'),
+        updated: succeeded('update'),
+        deleted: succeeded('delete'),
+        failed: results.filter(result => !result.success).length
+      };
+
+      console.log(`✅ [SOBJECTS] Saved ${sobjectName} records: ${JSON.stringify(summary)}`);
+
+      res.json({
+        success: true,
+        results,
+        summary
+      });
+    } catch (error) {
+      console.error(`❌ [SOBJECTS] Error saving ${req.params.sobjectName} records:`, error);
+      res.status(error instanceof SOQLParameterError ? 400 : 500).json({
+        success: false,
+        message: `Failed to save records: ${error.message}`
+      });
+    }
+  }
 }
 
 module.exports = SObjectsModule;
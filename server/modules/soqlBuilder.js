@@ -0,0 +1,322 @@
+/**
+ * Building blocks for SOQL and SOSL that contain user input. Never interpolate request values into
+ * a query string; bind them instead:
+ *
+ *   buildSOQL('SELECT Id FROM Order WHERE Id = :orderId', { orderId: assertSalesforceId(orderId, 'order ID') })
+ *   buildSOQL('SELECT Id FROM Order WHERE OrderNumber LIKE :pattern', { pattern: likePattern(term) })
+ *
+ * Bound values are rendered as SOQL literals: strings are quoted and escaped, numbers, booleans,
+ * null and Dates are formatted, and arrays become (a, b, c) lists for IN / NOT IN.
+ */
+
+class SOQLParameterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SOQLParameterError';
+  }
+}
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+// API names (Account, vlocity_cmt__Order__c) and relationship paths (Account.Owner.Name)
+const IDENTIFIER_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z][A-Za-z0-9_]*)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BIND_PATTERN = /^:([A-Za-z_][A-Za-z0-9_]*)/;
+// Clauses that may not appear at the top level of a user-supplied WHERE condition
+const CLAUSE_KEYWORDS = ['SELECT', 'FROM', 'WHERE', 'WITH', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'FOR', 'UPDATE', 'USING'];
+// Characters with a meaning inside SOSL FIND {...}; * and ? are left alone so wildcards keep working
+const SOSL_RESERVED_PATTERN = /[\\{}[\]()^~:'"+\-&|!]/g;
+const SOSL_SEARCH_GROUPS = ['ALL', 'NAME', 'EMAIL', 'PHONE', 'SIDEBAR'];
+// SOSL returns at most 2000 records, overall and per object
+const SOSL_MAX_LIMIT = 2000;
+
+const STRING_ESCAPES = {
+  '\\': '\\\\',
+  '\'': '\\\'',
+  '"': '\\"',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f'
+};
+
+// A value that is already valid SOQL (produced by likePattern); bound as-is
+class SOQLLiteral {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Escape the body of a SOQL string literal (without the surrounding quotes)
+ */
+function escapeSOQLString(value) {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, char => STRING_ESCAPES[char]);
+}
+
+/**
+ * Quoted LIKE pattern matching `value` literally; % and _ in the value are escaped
+ * so they cannot act as wildcards. match is 'contains', 'startsWith', 'endsWith' or 'exact'.
+ */
+function likePattern(value, match = 'contains') {
+  const escaped = escapeSOQLString(value).replace(/[%_]/g, char => `\\${char}`);
+  const patterns = {
+    contains: `%${escaped}%`,
+    startsWith: `${escaped}%`,
+    endsWith: `%${escaped}`,
+    exact: escaped
+  };
+  if (!(match in patterns)) {
+    throw new SOQLParameterError(`Unknown LIKE match type '${match}'`);
+  }
+  return new SOQLLiteral(`'${patterns[match]}'`);
+}
+
+/**
+ * Unquoted date literal (2024-05-31) for comparing Date fields such as EffectiveDate.
+ * Bound Date objects render as datetimes, which SOQL rejects for Date fields.
+ */
+function dateLiteral(value, label = 'date') {
+  const date = typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new SOQLParameterError(`Invalid ${label} '${value}': expected YYYY-MM-DD`);
+  }
+  return new SOQLLiteral(value);
+}
+
+/**
+ * Render a JavaScript value as a SOQL literal
+ */
+function formatSOQLValue(value) {
+  if (value instanceof SOQLLiteral) {
+    return value.text;
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'string') {
+    return `'${escapeSOQLString(value)}'`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new SOQLParameterError(`Cannot bind non-finite number ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new SOQLParameterError('Cannot bind an invalid Date');
+    }
+    return value.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      throw new SOQLParameterError('Cannot bind an empty list');
+    }
+    return `(${value.map(formatSOQLValue).join(', ')})`;
+  }
+  throw new SOQLParameterError(`Cannot bind a value of type ${typeof value}`);
+}
+
+/**
+ * Replace :name bind parameters in a query template with literals from params.
+ * Text inside string literals is left alone; every bind must have a defined value.
+ */
+function buildSOQL(template, params = {}) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += template[++i] || '';
+      } else if (char === '\'') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '\'') {
+      inString = true;
+      output += char;
+      continue;
+    }
+
+    const bind = char === ':' && template.slice(i).match(BIND_PATTERN);
+    if (bind) {
+      const name = bind[1];
+      if (!Object.prototype.hasOwnProperty.call(params, name) || params[name] === undefined) {
+        throw new SOQLParameterError(`Missing value for bind parameter :${name}`);
+      }
+      output += formatSOQLValue(params[name]);
+      i += bind[0].length - 1;
+      continue;
+    }
+
+    output += char;
+  }
+
+  if (inString) {
+    throw new SOQLParameterError('Unterminated string literal in query template');
+  }
+  return output;
+}
+
+function isSalesforceId(value) {
+  return typeof value === 'string' && SALESFORCE_ID_PATTERN.test(value);
+}
+
+/**
+ * Return value if it is a 15 or 18 character Salesforce ID, otherwise throw
+ */
+function assertSalesforceId(value, label = 'record ID') {
+  if (!isSalesforceId(value)) {
+    throw new SOQLParameterError(`Invalid ${label}: expected a 15 or 18 character Salesforce ID`);
+  }
+  return value;
+}
+
+/**
+ * Return name if it is a valid SObject/field API name or relationship path, otherwise throw.
+ * Identifiers cannot be bound, so this guards object and field names placed into a query.
+ */
+function assertSOQLIdentifier(name, label = 'name') {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new SOQLParameterError(`Invalid ${label} '${name}'`);
+  }
+  return name;
+}
+
+/**
+ * Check a free-form WHERE condition typed by a user before appending it to a generated query:
+ * strings must be terminated, parentheses balanced, and no clause (LIMIT, ORDER BY, FROM, ...)
+ * may appear outside parentheses. Returns the trimmed condition wrapped in parentheses.
+ */
+function validateWhereCondition(condition) {
+  const text = String(condition).trim();
+  let depth = 0;
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '\'') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '\'') {
+      inString = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth < 0) {
+        throw new SOQLParameterError(`Unbalanced ')' at position ${i + 1} of the condition`);
+      }
+    } else if (char === ';') {
+      throw new SOQLParameterError(`Unexpected ';' at position ${i + 1} of the condition`);
+    } else if (depth === 0 && /[A-Za-z]/.test(char) && (i === 0 || !/[A-Za-z0-9_.]/.test(text[i - 1]))) {
+      const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      if (CLAUSE_KEYWORDS.includes(word.toUpperCase())) {
+        throw new SOQLParameterError(`The condition may not contain ${word.toUpperCase()} outside parentheses`);
+      }
+      i += word.length - 1;
+    }
+  }
+
+  if (inString) {
+    throw new SOQLParameterError('Unterminated string literal in the condition');
+  }
+  if (depth !== 0) {
+    throw new SOQLParameterError('Unbalanced \'(\' in the condition');
+  }
+  return `(${text})`;
+}
+
+/**
+ * Escape a search term for the braces of a SOSL FIND clause
+ */
+function escapeSOSLTerm(term) {
+  return String(term).replace(SOSL_RESERVED_PATTERN, char => `\\${char}`);
+}
+
+function assertSOSLLimit(limit, label) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > SOSL_MAX_LIMIT) {
+    throw new SOQLParameterError(`Invalid ${label}: expected a whole number between 1 and ${SOSL_MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+/**
+ * Build FIND {term} IN <group> FIELDS RETURNING Object(Field, ... LIMIT n), ... [LIMIT n].
+ * returning is [{ name, fields, limit }]; every object and field name is validated and the
+ * term is escaped, so the result is safe to send as-is.
+ */
+function buildSOSL({ searchTerm, searchIn = 'ALL', returning, limit }) {
+  const term = String(searchTerm || '').trim();
+  if (term.replace(/[*?\s]/g, '').length < 2) {
+    throw new SOQLParameterError('Search term must contain at least 2 characters besides wildcards');
+  }
+
+  const group = String(searchIn).toUpperCase();
+  if (!SOSL_SEARCH_GROUPS.includes(group)) {
+    throw new SOQLParameterError(`Invalid search group '${searchIn}': expected one of ${SOSL_SEARCH_GROUPS.join(', ')}`);
+  }
+
+  if (!Array.isArray(returning) || returning.length === 0) {
+    throw new SOQLParameterError('At least one object to return is required');
+  }
+
+  const objects = returning.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new SOQLParameterError(`Invalid returning entry ${index}: expected an object with a name`);
+    }
+    const { name, fields = [], limit: objectLimit } = entry;
+    const sobjectName = assertSOQLIdentifier(name, 'SObject name');
+    if (!Array.isArray(fields)) {
+      throw new SOQLParameterError(`Invalid fields for ${sobjectName}: expected an array of field names`);
+    }
+    const fieldNames = ['Id', ...fields.map(field => assertSOQLIdentifier(field, `field name for ${sobjectName}`))]
+      .filter((field, index, all) => all.findIndex(other => other.toLowerCase() === field.toLowerCase()) === index);
+    const limitClause = objectLimit === undefined || objectLimit === null
+      ? ''
+      : ` LIMIT ${assertSOSLLimit(objectLimit, `limit for ${sobjectName}`)}`;
+    return `${sobjectName}(${fieldNames.join(', ')}${limitClause})`;
+  });
+
+  let sosl = `FIND {${escapeSOSLTerm(term)}} IN ${group} FIELDS RETURNING ${objects.join(', ')}`;
+  if (limit !== undefined && limit !== null) {
+    sosl += ` LIMIT ${assertSOSLLimit(limit, 'limit')}`;
+  }
+  return sosl;
+}
+
+module.exports = {
+  SOQLParameterError,
+  escapeSOQLString,
+  likePattern,
+  dateLiteral,
+  formatSOQLValue,
+  buildSOQL,
+  isSalesforceId,
+  assertSalesforceId,
+  assertSOQLIdentifier,
+  validateWhereCondition,
+  escapeSOSLTerm,
+  buildSOSL
+};
@@ -0,0 +1,435 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+
+const BulkApiModule = require('../modules/bulkApi');
+const { suggestFieldMapping, validateIngestMapping } = BulkApiModule;
+
+// Job logs are emitted between awaits; Node 20's test runner can mis-parse that emoji output
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const JOB_ID = '750000000000001AAA';
+const INGEST_JOB_ID = '750000000000002AAA';
+const ORG_ID = '00D000000000001';
+const USER_ID = '005000000000001';
+
+const accountDescribe = {
+  name: 'Account',
+  fields: [
+    { name: 'Id', label: 'Account ID', createable: false, updateable: false },
+    { name: 'Name', label: 'Account Name', createable: true, updateable: true },
+    { name: 'Industry', label: 'Industry', createable: true, updateable: true },
+    { name: 'Legacy_Key__c', label: 'Legacy Key', custom: true, externalId: true, createable: true, updateable: true },
+    { name: 'CreatedDate', label: 'Created Date', createable: false, updateable: false }
+  ]
+};
+
+// Local stand-in for the Bulk API 2.0 endpoints; query results come in two pages that both repeat the header.
+// With expireTokenAfterFirstPage the first access token stops working once the first page was served.
+async function startSalesforce({ finalState = 'JobComplete', expireTokenAfterFirstPage = false } = {}) {
+  const calls = [];
+  let polls = 0;
+  let tokenExpired = false;
+  const pages = {
+    '': { body: 'Id,Name\n"001A","Acme, Inc."\n"001B","Globex"\n', locator: 'PAGE2', records: 2 },
+    PAGE2: { body: 'Id,Name\n"001C","Initech"\n', locator: 'null', records: 1 }
+  };
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      const isJson = (request.headers['content-type'] || '').includes('json');
+      calls.push({ method: request.method, path: url.pathname, query: url.searchParams, body: body && isJson ? JSON.parse(body) : body || null, authorization: request.headers.authorization });
+      const json = (payload) => {
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify(payload));
+      };
+
+      if (url.pathname === '/services/oauth2/token') {
+        const instanceUrl = `http://127.0.0.1:${server.address().port}`;
+        return json({ access_token: 'token-2', instance_url: instanceUrl, id: `${instanceUrl}/id/${ORG_ID}/${USER_ID}` });
+      }
+      if (tokenExpired && request.headers.authorization === 'Bearer token-1') {
+        response.statusCode = 401;
+        return json([{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+      }
+
+      if (url.pathname.endsWith('/sobjects/Account/describe')) {
+        return json(accountDescribe);
+      }
+      if (request.method === 'POST' && url.pathname.endsWith('/jobs/ingest')) {
+        return json({ id: INGEST_JOB_ID, state: 'Open', object: 'Account', operation: calls[calls.length - 1].body.operation });
+      }
+      if (request.method === 'PUT' && url.pathname.endsWith(`/jobs/ingest/${INGEST_JOB_ID}/batches`)) {
+        response.statusCode = 201;
+        return response.end();
+      }
+      if (url.pathname.endsWith(`/jobs/ingest/${INGEST_JOB_ID}`)) {
+        return json({ id: INGEST_JOB_ID, state: request.method === 'PATCH' ? 'UploadComplete' : 'JobComplete', numberRecordsProcessed: 2, numberRecordsFailed: 1 });
+      }
+      if (url.pathname.endsWith(`/jobs/ingest/${INGEST_JOB_ID}/failedResults`)) {
+        response.setHeader('Content-Type', 'text/csv');
+        return response.end('"sf__Id","sf__Error",Name\n"","REQUIRED_FIELD_MISSING:Required fields are missing: [Name]:Name --",""\n');
+      }
+      if (request.method === 'POST' && url.pathname.endsWith('/jobs/query')) {
+        return json({ id: JOB_ID, state: 'UploadComplete', operation: 'query', object: 'OrderItem' });
+      }
+      if (url.pathname.endsWith(`/jobs/query/${JOB_ID}/results`)) {
+        const page = pages[url.searchParams.get('locator') || ''];
+        tokenExpired = tokenExpired || expireTokenAfterFirstPage;
+        response.setHeader('Content-Type', 'text/csv');
+        response.setHeader('Sforce-Locator', page.locator);
+        response.setHeader('Sforce-NumberOfRecords', String(page.records));
+        return response.end(page.body);
+      }
+      if (url.pathname.endsWith(`/jobs/query/${JOB_ID}`)) {
+        if (request.method === 'PATCH') {
+          return json({ id: JOB_ID, state: 'Aborted' });
+        }
+        polls++;
+        const state = polls === 1 ? 'InProgress' : finalState;
+        return json({
+          id: JOB_ID, state, operation: 'query', object: 'OrderItem', numberRecordsProcessed: state === 'JobComplete' ? 3 : 0,
+          errorMessage: state === 'Failed' ? 'INVALID_FIELD: No such column' : undefined
+        });
+      }
+      response.statusCode = 404;
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { calls, instanceUrl: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Express app exposing the module's handlers behind a fake authenticated session; an X-Test-Session
+// header (JSON) overrides fields of the default session, its oauth2 sets the session's OAuth client
+async function startApp(bulkApiModule, instanceUrl) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const { oauth2, ...overrides } = req.get('x-test-session') ? JSON.parse(req.get('x-test-session')) : {};
+    req.session = { oauth2, salesforce: { accessToken: 'token-1', instanceUrl, organizationId: ORG_ID, userId: USER_ID, ...overrides } };
+    next();
+  });
+  app.post('/bulk-query', (req, res) => bulkApiModule.createQueryJob(req, res));
+  app.get('/bulk-query/:jobId', (req, res) => bulkApiModule.getQueryJob(req, res));
+  app.delete('/bulk-query/:jobId', (req, res) => bulkApiModule.deleteQueryJob(req, res));
+  app.get('/bulk-query/:jobId/results', (req, res) => bulkApiModule.downloadQueryResults(req, res));
+  app.post('/:sobjectName/bulk-ingest/upload', (req, res) => bulkApiModule.uploadIngestFile(req, res));
+  app.post('/:sobjectName/bulk-ingest', (req, res) => bulkApiModule.createIngestJob(req, res));
+  app.get('/bulk-ingest/:jobId', (req, res) => bulkApiModule.getIngestJob(req, res));
+  app.get('/bulk-ingest/:jobId/results/:kind', (req, res) => bulkApiModule.downloadIngestResults(req, res));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return { baseUrl, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (condition()) {
+        clearInterval(poll);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(poll);
+        reject(new Error('Timed out waiting for condition'));
+      }
+    }, 5);
+  });
+}
+
+async function withServers(options, run) {
+  const salesforce = await startSalesforce(options);
+  const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-exports-'));
+  const bulkApiModule = new BulkApiModule({ exportDir, pollIntervalMs: 5 });
+  const app = await startApp(bulkApiModule, salesforce.instanceUrl);
+  try {
+    await run({ salesforce, app, bulkApiModule, exportDir });
+  } finally {
+    await app.close();
+    await salesforce.close();
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  }
+}
+
+const post = (url, body, headers = {}) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+const asSession = (overrides) => ({ 'X-Test-Session': JSON.stringify(overrides) });
+
+test('creates a query job and streams every result page to the browser with one header', async () => {
+  await withServers({}, async ({ salesforce, app }) => {
+    const created = await (await post(`${app.baseUrl}/bulk-query`, { query: ' SELECT Id, Name FROM OrderItem ', queryAll: true })).json();
+    assert.strictEqual(created.job.id, JOB_ID);
+    assert.strictEqual(created.job.destination, 'download');
+    assert.deepStrictEqual(salesforce.calls[0].body, {
+      operation: 'queryAll', query: 'SELECT Id, Name FROM OrderItem', contentType: 'CSV', columnDelimiter: 'COMMA', lineEnding: 'LF'
+    });
+
+    const early = await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}/results`);
+    assert.strictEqual(early.status, 409);
+
+    const download = await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}/results`);
+    assert.strictEqual(download.status, 200);
+    assert.match(download.headers.get('content-disposition'), /attachment; filename="bulk-query-750000000000001AAA.csv"/);
+    assert.strictEqual(await download.text(), 'Id,Name\n"001A","Acme, Inc."\n"001B","Globex"\n"001C","Initech"\n');
+
+    const pageRequests = salesforce.calls.filter(call => call.path.endsWith('/results'));
+    assert.deepStrictEqual(pageRequests.map(call => call.query.get('locator')), [null, 'PAGE2']);
+    assert.strictEqual(pageRequests[0].authorization, 'Bearer token-1');
+  });
+});
+
+test('exports to a file on the server and reports progress until the download is ready', async () => {
+  await withServers({}, async ({ app, bulkApiModule, exportDir }) => {
+    await post(`${app.baseUrl}/bulk-query`, { query: 'SELECT Id, Name FROM OrderItem', destination: 'disk' });
+    await waitFor(() => bulkApiModule.queryJobs.get(JOB_ID).export.state === 'complete');
+
+    const { job } = await (await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}`)).json();
+    assert.strictEqual(job.export.recordsWritten, 3);
+    assert.strictEqual(job.export.fileName, `${JOB_ID}.csv`);
+    assert.strictEqual(job.export.bytesWritten, fs.statSync(path.join(exportDir, `${JOB_ID}.csv`)).size);
+
+    const download = await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}/results`);
+    assert.strictEqual((await download.text()).split('\n').filter(line => line.startsWith('Id,')).length, 1);
+
+    const removed = await (await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}`, { method: 'DELETE' })).json();
+    assert.strictEqual(removed.message, 'Bulk query job removed');
+    assert.strictEqual(fs.existsSync(path.join(exportDir, `${JOB_ID}.csv`)), false);
+  });
+});
+
+test('marks a server export as failed when the job fails', async () => {
+  await withServers({ finalState: 'Failed' }, async ({ app, bulkApiModule, exportDir }) => {
+    await post(`${app.baseUrl}/bulk-query`, { query: 'SELECT Nope FROM OrderItem', destination: 'disk' });
+    await waitFor(() => bulkApiModule.queryJobs.get(JOB_ID).export.state === 'failed');
+
+    assert.match(bulkApiModule.queryJobs.get(JOB_ID).export.error, /failed: INVALID_FIELD/);
+    const download = await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}/results`);
+    assert.strictEqual(download.status, 409);
+    assert.strictEqual(fs.existsSync(path.join(exportDir, `${JOB_ID}.csv`)), false);
+  });
+});
+
+test('refreshes an expired access token between result pages of a server export', async () => {
+  await withServers({ expireTokenAfterFirstPage: true }, async ({ salesforce, app, bulkApiModule }) => {
+    const session = asSession({
+      refreshToken: 'refresh-1',
+      oauth2: { clientId: 'client-id', clientSecret: 'client-secret', redirectUri: 'http://localhost/callback', loginUrl: salesforce.instanceUrl }
+    });
+    await post(`${app.baseUrl}/bulk-query`, { query: 'SELECT Id, Name FROM OrderItem', destination: 'disk' }, session);
+    await waitFor(() => bulkApiModule.queryJobs.get(JOB_ID).export.state !== 'waiting' && bulkApiModule.queryJobs.get(JOB_ID).export.state !== 'writing');
+
+    assert.strictEqual(bulkApiModule.queryJobs.get(JOB_ID).export.state, 'complete');
+    assert.strictEqual(bulkApiModule.queryJobs.get(JOB_ID).export.recordsWritten, 3);
+    const pageRequests = salesforce.calls.filter(call => call.path.endsWith('/results'));
+    assert.deepStrictEqual(pageRequests.map(call => call.authorization), ['Bearer token-1', 'Bearer token-1', 'Bearer token-2']);
+    assert.strictEqual(salesforce.calls.filter(call => call.path === '/services/oauth2/token').length, 1);
+  });
+});
+
+test('prunes query jobs and export files older than a day, but not running exports', async () => {
+  const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-exports-'));
+  const bulkApiModule = new BulkApiModule({ exportDir });
+  const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  const exportFile = (name, modified = new Date()) => {
+    fs.writeFileSync(path.join(exportDir, name), 'Id\n');
+    fs.utimesSync(path.join(exportDir, name), modified, modified);
+  };
+
+  try {
+    bulkApiModule.queryJobs.set('750000000000011AAA', { createdAt: twoDaysAgo.toISOString(), export: { state: 'complete' } });
+    bulkApiModule.queryJobs.set('750000000000012AAA', { createdAt: twoDaysAgo.toISOString(), export: { state: 'writing' } });
+    bulkApiModule.queryJobs.set('750000000000013AAA', { createdAt: new Date().toISOString(), export: null });
+    exportFile('750000000000011AAA.csv');
+    exportFile('750000000000012AAA.csv');
+    exportFile('750000000000014AAA.csv', twoDaysAgo); // From before a restart
+    exportFile('750000000000015AAA.csv');
+
+    await bulkApiModule.pruneQueryJobs();
+
+    assert.deepStrictEqual([...bulkApiModule.queryJobs.keys()], ['750000000000012AAA', '750000000000013AAA']);
+    assert.deepStrictEqual(fs.readdirSync(exportDir).filter(name => name.endsWith('.csv')).sort(), ['750000000000012AAA.csv', '750000000000015AAA.csv']);
+  } finally {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  }
+});
+
+test('validates the query, destination and job Id', async () => {
+  await withServers({}, async ({ salesforce, app }) => {
+    assert.strictEqual((await post(`${app.baseUrl}/bulk-query`, { query: ' ' })).status, 400);
+    assert.strictEqual((await post(`${app.baseUrl}/bulk-query`, { query: 'SELECT Id FROM Account', destination: 's3' })).status, 400);
+    assert.strictEqual((await fetch(`${app.baseUrl}/bulk-query/..%2F..%2Fetc`)).status, 400);
+    assert.strictEqual(salesforce.calls.length, 0);
+  });
+});
+
+test('keeps server exports to the user and org that started the job', async () => {
+  await withServers({}, async ({ app, bulkApiModule, exportDir }) => {
+    const bearer = asSession({ organizationId: null, userId: null });
+    const refused = await post(`${app.baseUrl}/bulk-query`, { query: 'SELECT Id FROM OrderItem', destination: 'disk' }, bearer);
+    assert.strictEqual(refused.status, 401);
+    assert.strictEqual((await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}/results`, { headers: bearer })).status, 401);
+
+    await post(`${app.baseUrl}/bulk-query`, { query: 'SELECT Id, Name FROM OrderItem', destination: 'disk' });
+    await waitFor(() => bulkApiModule.queryJobs.get(JOB_ID).export.state === 'complete');
+    assert.strictEqual(bulkApiModule.queryJobs.get(JOB_ID).userId, USER_ID);
+
+    for (const headers of [asSession({ userId: '005000000000002' }), asSession({ organizationId: '00D000000000002' })]) {
+      const { job } = await (await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}`, { headers })).json();
+      assert.strictEqual(job.export, null);
+      await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}`, { method: 'DELETE', headers });
+      assert.strictEqual(fs.existsSync(path.join(exportDir, `${JOB_ID}.csv`)), true);
+    }
+
+    const { job } = await (await fetch(`${app.baseUrl}/bulk-query/${JOB_ID}`)).json();
+    assert.strictEqual(job.export.state, 'complete');
+  });
+});
+
+test('suggests a field per CSV column by API name, label or custom field name', () => {
+  const mapping = suggestFieldMapping(['Id', 'account name', 'INDUSTRY', 'Legacy Key', 'legacy_key', 'Notes'], accountDescribe.fields);
+  assert.deepStrictEqual(mapping, {
+    Id: 'Id',
+    'account name': 'Name',
+    INDUSTRY: 'Industry',
+    'Legacy Key': 'Legacy_Key__c',
+    legacy_key: null, // already taken by the previous column
+    Notes: null
+  });
+});
+
+test('validates ingest mappings for each operation', () => {
+  const check = (operation, mapping, externalIdFieldName) =>
+    validateIngestMapping(accountDescribe, { operation, mapping, externalIdFieldName }).error || null;
+
+  assert.strictEqual(check('insert', { A: 'Name', B: 'Industry', C: null }), null);
+  assert.match(check('insert', { A: 'Name', B: 'CreatedDate' }), /CreatedDate is not createable/);
+  assert.match(check('insert', { A: 'Id', B: 'Name' }), /Insert cannot take an Id column/);
+  assert.match(check('update', { A: 'Name' }), /update requires a column mapped to Id/);
+  assert.strictEqual(check('update', { A: 'Id', B: 'Name' }), null);
+  assert.match(check('delete', { A: 'Id', B: 'Name' }), /Delete only takes an Id column/);
+  assert.match(check('upsert', { A: 'Name' }, 'Name'), /external ID field/);
+  assert.match(check('upsert', { A: 'Name' }, 'Legacy_Key__c'), /Map a column to the external ID field/);
+  assert.strictEqual(check('upsert', { A: 'Legacy_Key__c', B: 'Name' }, 'Legacy_Key__c'), null);
+  assert.match(check('insert', { A: 'Name', B: 'Name' }), /mapped to more than one column/);
+  assert.match(check('merge', { A: 'Name' }), /Invalid operation/);
+  assert.match(check('insert', {}), /at least one column/);
+});
+
+test('uploads a CSV, runs the mapped ingest job and serves the failed records', async () => {
+  await withServers({}, async ({ salesforce, app, bulkApiModule, exportDir }) => {
+    const form = new FormData();
+    const csv = 'Legacy Key,Account Name,Notes\nK-1,"Acme, Inc.",ignored\nK-2,,ignored\n';
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'accounts.csv');
+
+    const uploaded = await (await fetch(`${app.baseUrl}/Account/bulk-ingest/upload`, { method: 'POST', body: form })).json();
+    assert.strictEqual(uploaded.upload.recordCount, 2);
+    assert.deepStrictEqual(uploaded.mapping, { 'Legacy Key': 'Legacy_Key__c', 'Account Name': 'Name', Notes: null });
+
+    const created = await (await post(`${app.baseUrl}/Account/bulk-ingest`, {
+      uploadId: uploaded.upload.id,
+      operation: 'upsert',
+      externalIdFieldName: 'Legacy_Key__c',
+      mapping: uploaded.mapping,
+      blankAsNull: true
+    })).json();
+    assert.strictEqual(created.job.id, INGEST_JOB_ID);
+    assert.strictEqual(created.job.state, 'UploadComplete');
+    assert.strictEqual(created.job.recordCount, 2);
+
+    const jobRequest = salesforce.calls.find(call => call.method === 'POST' && call.path.endsWith('/jobs/ingest'));
+    assert.deepStrictEqual(jobRequest.body, {
+      object: 'Account', operation: 'upsert', externalIdFieldName: 'Legacy_Key__c', contentType: 'CSV', columnDelimiter: 'COMMA', lineEnding: 'LF'
+    });
+    const batch = salesforce.calls.find(call => call.method === 'PUT');
+    assert.strictEqual(batch.body, 'Legacy_Key__c,Name\nK-1,"Acme, Inc."\nK-2,#N/A\n');
+    assert.deepStrictEqual(salesforce.calls.find(call => call.method === 'PATCH').body, { state: 'UploadComplete' });
+
+    // The upload and its mapped copy are removed once the job holds the data
+    assert.strictEqual(bulkApiModule.uploads.size, 0);
+    assert.deepStrictEqual(fs.readdirSync(path.join(exportDir, 'uploads')), []);
+
+    const { job } = await (await fetch(`${app.baseUrl}/bulk-ingest/${INGEST_JOB_ID}`)).json();
+    assert.strictEqual(job.numberRecordsFailed, 1);
+    assert.strictEqual(job.fileName, 'accounts.csv');
+
+    const failed = await fetch(`${app.baseUrl}/bulk-ingest/${INGEST_JOB_ID}/results/failed`);
+    assert.match(failed.headers.get('content-disposition'), /bulk-ingest-750000000000002AAA-failed\.csv/);
+    assert.match(await failed.text(), /REQUIRED_FIELD_MISSING/);
+    assert.strictEqual((await fetch(`${app.baseUrl}/bulk-ingest/${INGEST_JOB_ID}/results/everything`)).status, 400);
+  });
+});
+
+test('rejects ingest jobs for unknown uploads or invalid mappings', async () => {
+  await withServers({}, async ({ salesforce, app }) => {
+    const missing = await post(`${app.baseUrl}/Account/bulk-ingest`, { uploadId: 'nope', operation: 'insert', mapping: { A: 'Name' } });
+    assert.strictEqual(missing.status, 404);
+
+    const form = new FormData();
+    form.append('file', new Blob(['Name\nAcme\n'], { type: 'text/csv' }), 'accounts.csv');
+    const uploaded = await (await fetch(`${app.baseUrl}/Account/bulk-ingest/upload`, { method: 'POST', body: form })).json();
+
+    const invalid = await post(`${app.baseUrl}/Account/bulk-ingest`, { uploadId: uploaded.upload.id, operation: 'update', mapping: { Name: 'Name' } });
+    assert.strictEqual(invalid.status, 400);
+    assert.match((await invalid.json()).message, /requires a column mapped to Id/);
+    assert.strictEqual(salesforce.calls.some(call => call.path.includes('/jobs/ingest')), false);
+  });
+});
+
+test('keeps uploads and ingest jobs to the user and org that uploaded the file', async () => {
+  await withServers({}, async ({ salesforce, app, exportDir }) => {
+    const upload = (headers = {}, sobjectName = 'Account') => {
+      const form = new FormData();
+      form.append('file', new Blob(['Name\nAcme\n'], { type: 'text/csv' }), 'accounts.csv');
+      return fetch(`${app.baseUrl}/${sobjectName}/bulk-ingest/upload`, { method: 'POST', body: form, headers });
+    };
+
+    assert.strictEqual((await upload(asSession({ organizationId: null, userId: null }))).status, 401);
+    const invalid = await upload({}, 'Account;DROP');
+    assert.strictEqual(invalid.status, 400);
+    assert.match((await invalid.json()).message, /SObject name/);
+    assert.deepStrictEqual(fs.existsSync(path.join(exportDir, 'uploads')) ? fs.readdirSync(path.join(exportDir, 'uploads')) : [], []);
+
+    const uploaded = await (await upload()).json();
+    const request = { uploadId: uploaded.upload.id, operation: 'insert', mapping: { Name: 'Name' } };
+    for (const headers of [asSession({ userId: '005000000000002' }), asSession({ organizationId: '00D000000000002' })]) {
+      assert.strictEqual((await post(`${app.baseUrl}/Account/bulk-ingest`, request, headers)).status, 404);
+    }
+    assert.strictEqual((await post(`${app.baseUrl}/Account/bulk-ingest`, request, asSession({ organizationId: null }))).status, 401);
+    assert.strictEqual(salesforce.calls.some(call => call.path.includes('/jobs/ingest')), false);
+
+    const created = await (await post(`${app.baseUrl}/Account/bulk-ingest`, request)).json();
+    const other = await (await fetch(`${app.baseUrl}/bulk-ingest/${created.job.id}`, { headers: asSession({ userId: '005000000000002' }) })).json();
+    assert.strictEqual(other.job.fileName, null);
+    const own = await (await fetch(`${app.baseUrl}/bulk-ingest/${created.job.id}`)).json();
+    assert.strictEqual(own.job.fileName, 'accounts.csv');
+  });
+});
+
+test('creates one ingest job when the same upload is submitted twice at once', async () => {
+  await withServers({}, async ({ salesforce, app, bulkApiModule }) => {
+    const form = new FormData();
+    form.append('file', new Blob(['Name\nAcme\n'], { type: 'text/csv' }), 'accounts.csv');
+    const uploaded = await (await fetch(`${app.baseUrl}/Account/bulk-ingest/upload`, { method: 'POST', body: form })).json();
+    const request = { uploadId: uploaded.upload.id, operation: 'update', mapping: { Name: 'Name' } };
+
+    // A rejected mapping releases the upload for another attempt
+    assert.strictEqual((await post(`${app.baseUrl}/Account/bulk-ingest`, request)).status, 400);
+    assert.strictEqual(bulkApiModule.uploads.get(uploaded.upload.id).inUse, false);
+
+    request.operation = 'insert';
+    const responses = await Promise.all([post(`${app.baseUrl}/Account/bulk-ingest`, request), post(`${app.baseUrl}/Account/bulk-ingest`, request)]);
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 409]);
+    assert.strictEqual(salesforce.calls.filter(call => call.method === 'POST' && call.path.endsWith('/jobs/ingest')).length, 1);
+    assert.strictEqual(bulkApiModule.uploads.size, 0);
+  });
+});
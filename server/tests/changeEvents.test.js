@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  isChangeEventChannel,
+  getChangeEventEntity,
+  expandFieldBitmap,
+  decodeChangeEventHeader,
+  buildFieldChanges
+} = require('../modules/changeEvents');
+const PlatformEventsModule = require('../modules/platformEvents');
+
+const header = (changeType, changedFields = [], extra = {}) => ({
+  entityName: 'Order',
+  changeType,
+  changeOrigin: 'com/salesforce/api/rest/60.0',
+  transactionKey: 'tx-1',
+  sequenceNumber: 1,
+  commitTimestamp: 1760000000000,
+  commitNumber: 42,
+  commitUser: '005000000000001',
+  recordIds: ['801000000000001'],
+  changedFields,
+  nulledFields: [],
+  diffFields: [],
+  ...extra
+});
+
+test('recognizes change event channels', () => {
+  assert.strictEqual(isChangeEventChannel('/data/ChangeEvents'), true);
+  assert.strictEqual(isChangeEventChannel('/data/OrderItemChangeEvent'), true);
+  assert.strictEqual(isChangeEventChannel('/data/Orders__chn'), true);
+  assert.strictEqual(isChangeEventChannel('Order_Event__e'), false);
+  assert.strictEqual(isChangeEventChannel('/data/../x'), false);
+  assert.strictEqual(getChangeEventEntity('/data/OrderChangeEvent'), 'OrderChangeEvent');
+  assert.strictEqual(getChangeEventEntity('/data/Orders__chn'), null);
+});
+
+test('decodes the CometD ChangeEventHeader', () => {
+  const decoded = decodeChangeEventHeader({ ChangeEventHeader: header('UPDATE', ['Status', 'LastModifiedDate']), Status: 'Activated' });
+
+  assert.strictEqual(decoded.entityName, 'Order');
+  assert.strictEqual(decoded.changeType, 'UPDATE');
+  assert.deepStrictEqual(decoded.recordIds, ['801000000000001']);
+  assert.strictEqual(decoded.commitUser, '005000000000001');
+  assert.deepStrictEqual(decoded.changedFields, ['Status', 'LastModifiedDate']);
+  assert.strictEqual(decodeChangeEventHeader({ Status__c: 'New' }), null);
+});
+
+test('expands Pub/Sub changedFields bitmaps using the Avro schema', () => {
+  const schema = {
+    fields: [
+      { name: 'ChangeEventHeader', type: 'ChangeEventHeader' },
+      { name: 'Name', type: ['null', { type: 'record', name: 'Name', fields: [{ name: 'FirstName' }, { name: 'LastName' }] }] },
+      { name: 'Status', type: ['null', 'string'] },
+      { name: 'TotalAmount', type: ['null', 'double'] }
+    ]
+  };
+
+  // Bits 1 (Name), 2 (Status) and 3 (TotalAmount); Name's nested bit 1 (LastName)
+  assert.deepStrictEqual(expandFieldBitmap(['0xE', '1-0x2'], JSON.stringify(schema)), ['Status', 'TotalAmount', 'Name.LastName']);
+  assert.deepStrictEqual(expandFieldBitmap(['Status'], schema), ['Status']);
+});
+
+test('builds field changes per change type', () => {
+  const created = { ChangeEventHeader: header('CREATE'), Status: 'Draft', TotalAmount: 10, Description: null };
+  assert.deepStrictEqual(buildFieldChanges(created, decodeChangeEventHeader(created)).map(c => c.field), ['Status', 'TotalAmount']);
+
+  const updated = { ChangeEventHeader: header('UPDATE', ['Status', 'BillingAddress.City'], { nulledFields: ['Description'] }), Status: 'Activated', BillingAddress: { City: 'Paris' } };
+  assert.deepStrictEqual(buildFieldChanges(updated, decodeChangeEventHeader(updated), { Status: 'Draft' }), [
+    { field: 'Status', value: 'Activated', previousValue: 'Draft' },
+    { field: 'BillingAddress.City', value: 'Paris' },
+    { field: 'Description', value: null }
+  ]);
+
+  const deleted = { ChangeEventHeader: header('DELETE') };
+  assert.deepStrictEqual(buildFieldChanges(deleted, decodeChangeEventHeader(deleted)), []);
+});
+
+test('PlatformEventsModule tracks record values so later updates show previous values', () => {
+  const platformEventsModule = new PlatformEventsModule({}, new Map(), null);
+  const entry = { channel: '/data/OrderChangeEvent' };
+
+  platformEventsModule.describeChangeEvent(entry, { ChangeEventHeader: header('CREATE'), Status: 'Draft' });
+  const update = platformEventsModule.describeChangeEvent(entry, { ChangeEventHeader: header('UPDATE', ['Status']), Status: 'Activated' });
+  assert.deepStrictEqual(update.fieldChanges, [{ field: 'Status', value: 'Activated', previousValue: 'Draft' }]);
+
+  platformEventsModule.describeChangeEvent(entry, { ChangeEventHeader: header('DELETE') });
+  assert.strictEqual(entry.recordState.size, 0);
+
+  assert.strictEqual(platformEventsModule.describeChangeEvent({ channel: '/event/Order_Event__e' }, { Status__c: 'x' }), null);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { FilterSyntaxError, compileFilter, projectFields } = require('../modules/eventFilter');
+
+const payload = {
+  Status__c: 'Failed',
+  Amount__c: 1500,
+  Region__c: 'EMEA',
+  Description__c: 'Urgent: payment declined',
+  IsRetry__c: false,
+  ChangeEventHeader: { changeType: 'UPDATE' }
+};
+
+test('evaluates comparisons combined with && and ||', () => {
+  assert.strictEqual(compileFilter("Status__c == 'Failed' && Amount__c > 1000").matches(payload), true);
+  assert.strictEqual(compileFilter("Status__c == 'Failed' && Amount__c > 2000").matches(payload), false);
+  assert.strictEqual(compileFilter("Amount__c > 2000 || Region__c == \"EMEA\"").matches(payload), true);
+  assert.strictEqual(compileFilter('Amount__c >= 1500 && Amount__c <= 1500 && Amount__c != -1').matches(payload), true);
+});
+
+test('supports negation, parentheses, lists and string operators', () => {
+  assert.strictEqual(compileFilter("!(Region__c in ['APAC', 'AMER'])").matches(payload), true);
+  assert.strictEqual(compileFilter("Description__c contains 'URGENT' && Description__c startsWith 'urgent'").matches(payload), true);
+  assert.strictEqual(compileFilter('!IsRetry__c').matches(payload), true);
+});
+
+test('matches field names case-insensitively, follows dotted paths and treats missing fields as null', () => {
+  assert.strictEqual(compileFilter("status__C == 'Failed'").matches(payload), true);
+  assert.strictEqual(compileFilter("ChangeEventHeader.changeType == 'UPDATE'").matches(payload), true);
+  assert.strictEqual(compileFilter('Missing__c == null').matches(payload), true);
+  assert.strictEqual(compileFilter('Missing__c > 1').matches(payload), false);
+});
+
+test('reports the referenced fields', () => {
+  assert.deepStrictEqual(compileFilter("Status__c == 'Failed' && (Amount__c > 1 || Status__c == 'New')").fields, ['Status__c', 'Amount__c']);
+});
+
+test('rejects invalid expressions with a position', () => {
+  const invalid = ["Status__c == 'Failed", 'Amount__c >', 'Amount__c > 1 )', "process.exit(1)", 'Status__c = 1', "Region__c in 'EMEA'", ''];
+  invalid.forEach(expression => {
+    assert.throws(() => compileFilter(expression), FilterSyntaxError, expression);
+  });
+  assert.throws(() => compileFilter('Amount__c > 1 )'), /position 15/);
+});
+
+test('projects only the requested fields', () => {
+  assert.deepStrictEqual(projectFields(payload, ['status__c', 'Amount__c']), { Status__c: 'Failed', Amount__c: 1500 });
+  assert.strictEqual(projectFields(payload, []), payload);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { PlatformEventMetrics } = require('../modules/eventMetrics');
+const PlatformEventsModule = require('../modules/platformEvents');
+const { createResponse } = require('./helpers/response');
+
+const T0 = Date.parse('2026-01-01T10:00:00.000Z');
+const channel = { channel: '/event/Order_Event__e', transport: 'cometd', eventName: 'Order_Event__e' };
+
+function createClock(start = T0) {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+}
+
+test('measures publish-to-receive latency from CreatedDate and commitTimestamp', () => {
+  const clock = createClock();
+  const metrics = new PlatformEventMetrics({ now: clock.now });
+
+  metrics.recordEvent('00DA', { ...channel, payload: { CreatedDate: new Date(T0 - 120).toISOString() }, subscribedAt: T0 - 60000 });
+  metrics.recordEvent('00DA', { ...channel, payload: { CreatedDate: T0 - 80 }, subscribedAt: T0 - 60000 }); // Pub/Sub: epoch millis
+  metrics.recordEvent('00DA', {
+    channel: '/data/OrderChangeEvent', transport: 'pubsub',
+    payload: { ChangeEventHeader: { commitTimestamp: T0 - 40 } }, subscribedAt: T0 - 60000
+  });
+
+  const [orders, changes] = metrics.snapshot('00DA');
+  assert.deepStrictEqual(orders.latency, { samples: 2, avgMs: 100, p50Ms: 80, p95Ms: 120, maxMs: 120 });
+  assert.strictEqual(changes.latency.p50Ms, 40);
+  assert.strictEqual(changes.transport, 'pubsub');
+});
+
+test('keeps replayed events out of latency and counts duplicate EventUuids once', () => {
+  const clock = createClock();
+  const metrics = new PlatformEventMetrics({ now: clock.now });
+
+  metrics.recordEvent('00DA', { ...channel, payload: { CreatedDate: T0 - 3600000 }, eventUuid: 'a', subscribedAt: T0 - 1000 });
+  metrics.recordEvent('00DA', { ...channel, payload: { CreatedDate: T0 - 50 }, eventUuid: 'b', subscribedAt: T0 - 1000 });
+  metrics.recordEvent('00DA', { ...channel, payload: { CreatedDate: T0 - 50 }, eventUuid: 'b', subscribedAt: T0 - 1000 });
+
+  const [orders] = metrics.snapshot('00DA');
+  assert.strictEqual(orders.received, 2);
+  assert.strictEqual(orders.replayed, 1);
+  assert.strictEqual(orders.duplicates, 1);
+  assert.strictEqual(orders.latency.samples, 1);
+  assert.deepStrictEqual(metrics.snapshot('00DB'), []);
+});
+
+test('builds per-minute series and events/minute over the rate window', () => {
+  const clock = createClock();
+  const metrics = new PlatformEventMetrics({ now: clock.now, seriesMinutes: 10, rateMinutes: 5 });
+
+  for (let minute = 0; minute < 8; minute++) {
+    for (let i = 0; i <= minute; i++) {
+      metrics.recordEvent('00DA', { ...channel, payload: {} });
+    }
+    clock.time += 60000;
+  }
+  clock.time -= 60000;
+
+  const [orders] = metrics.snapshot('00DA');
+  assert.strictEqual(orders.series.length, 10);
+  assert.deepStrictEqual(orders.series.map(point => point.count), [0, 0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.strictEqual(orders.lastMinute, 8);
+  assert.strictEqual(orders.eventsPerMinute, 6); // (4 + 5 + 6 + 7 + 8) / 5
+  assert.strictEqual(orders.received, 36);
+});
+
+test('renders Prometheus text with escaped labels', () => {
+  const clock = createClock();
+  const metrics = new PlatformEventMetrics({ now: clock.now });
+  metrics.recordEvent('00DA', { ...channel, payload: { CreatedDate: T0 - 25 } });
+  metrics.recordConnectionEvent('00DA', channel, 'handshakeError', '403::Unknown client');
+
+  const text = metrics.toPrometheus('00D"A', metrics.snapshot('00DA').map(s => ({ ...s, active: true })));
+
+  assert.match(text, /# TYPE platform_events_received_total counter/);
+  assert.match(text, /platform_events_received_total\{org="00D\\"A",channel="\/event\/Order_Event__e",transport="cometd"\} 1/);
+  assert.match(text, /platform_event_latency_ms\{org="00D\\"A",channel="\/event\/Order_Event__e",transport="cometd",quantile="0.5"\} 25/);
+  assert.match(text, /platform_event_latency_ms_count\{[^}]*\} 1/);
+  assert.match(text, /platform_events_connection_events_total\{[^}]*type="handshakeError"\} 1/);
+  assert.match(text, /platform_events_subscription_active\{[^}]*\} 1/);
+});
+
+test('PlatformEventsModule counts CometD rehandshakes and serves metrics per org', () => {
+  const platformEventsModule = new PlatformEventsModule({}, new Map(), null);
+  const entry = { ...channel, handshakes: 0, listeners: new Map() };
+  const extension = platformEventsModule.createHealthExtension('00DA', entry);
+  const passThrough = [];
+
+  extension.incoming({ channel: '/meta/handshake', successful: true }, message => passThrough.push(message));
+  extension.incoming({ channel: '/meta/connect', successful: false, error: '403::Unknown client' }, message => passThrough.push(message));
+  extension.incoming({ channel: '/meta/handshake', successful: true }, message => passThrough.push(message));
+  assert.strictEqual(passThrough.length, 3);
+
+  platformEventsModule.platformEventSubscriptions.set(platformEventsModule.getSubscriptionKey('00DA', 'cometd', channel.channel), entry);
+  const res = createResponse();
+  platformEventsModule.getMetrics({ query: {}, session: { salesforce: { organizationId: '00DA' } } }, res);
+
+  const [metrics] = res.body.channels;
+  assert.strictEqual(metrics.active, true);
+  assert.strictEqual(metrics.connection.handshake, 1);
+  assert.strictEqual(metrics.connection.reconnect, 1);
+  assert.strictEqual(metrics.connection.connectError, 1);
+  assert.strictEqual(metrics.lastError, '403::Unknown client');
+  assert.strictEqual(res.body.totals.connectionErrors, 1);
+});
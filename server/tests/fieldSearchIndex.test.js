@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  tokenizeIdentifier,
+  editDistance,
+  buildFieldSearchIndex,
+  parseFieldSearchParams,
+  searchFieldIndex
+} = require('../modules/fieldSearchIndex');
+
+const metadata = {
+  Account: {
+    name: 'Account',
+    label: 'Account',
+    custom: false,
+    fields: [
+      { name: 'Industry', label: 'Industry', type: 'picklist', picklistValues: ['Banking', 'Energy'] },
+      { name: 'ParentId', label: 'Parent Account ID', type: 'reference', referenceTo: ['Account'] },
+      { name: 'External_Key__c', label: 'External Key', type: 'string', custom: true, externalId: true }
+    ]
+  },
+  vlocity_cmt__OrderItem__c: {
+    name: 'vlocity_cmt__OrderItem__c',
+    label: 'Order Item',
+    custom: true,
+    fields: [
+      { name: 'vlocity_cmt__OrderItemId__c', label: 'Order Item Id', type: 'string', custom: true },
+      { name: 'vlocity_cmt__AccountId__c', label: 'Account', type: 'reference', custom: true, referenceTo: ['Account'] }
+    ]
+  },
+  Order: {
+    name: 'Order',
+    label: 'Order',
+    custom: false,
+    fields: [
+      { name: 'AccountId', label: 'Account ID', type: 'reference', referenceTo: ['Account'] },
+      { name: 'Status', label: 'Status', type: 'picklist', picklistValues: ['Draft', 'Activated'] }
+    ]
+  }
+};
+
+const index = buildFieldSearchIndex(metadata);
+
+const search = (params) => {
+  const { options, error } = parseFieldSearchParams(params);
+  assert.strictEqual(error, undefined);
+  return searchFieldIndex(index, options);
+};
+
+const fieldNames = (result) => result.sobjects.flatMap(sobject => sobject.matchingFields.map(field => `${sobject.name}.${field.name}`));
+
+test('tokenizes camelCase, underscores and namespaces', () => {
+  assert.deepStrictEqual(tokenizeIdentifier('vlocity_cmt__OrderItemId__c'), ['vlocity', 'cmt', 'order', 'item', 'id', 'c']);
+  assert.deepStrictEqual(tokenizeIdentifier('SBQQ__QuoteLine2__c'), ['sbqq', 'quote', 'line', '2', 'c']);
+  assert.deepStrictEqual(tokenizeIdentifier('Parent Account ID'), ['parent', 'account', 'id']);
+});
+
+test('measures edit distance with transpositions and gives up above the limit', () => {
+  assert.strictEqual(editDistance('acount', 'account', 2), 1);
+  assert.strictEqual(editDistance('acocunt', 'account', 2), 1);
+  assert.strictEqual(editDistance('status', 'industry', 2), 3);
+});
+
+test('ranks exact matches first and finds fields by tokens and typos', () => {
+  const exact = search({ query: 'status' });
+  assert.deepStrictEqual(fieldNames(exact), ['Order.Status']);
+  assert.strictEqual(exact.sobjects[0].matchingFields[0].matchedOn, 'name');
+
+  assert.deepStrictEqual(fieldNames(search({ query: 'order item' })), ['vlocity_cmt__OrderItem__c.vlocity_cmt__OrderItemId__c']);
+
+  const typo = search({ query: 'industy' });
+  assert.deepStrictEqual(fieldNames(typo), ['Account.Industry']);
+  assert.strictEqual(typo.sobjects[0].matchingFields[0].matchedOn, 'fuzzy');
+
+  const ranked = search({ query: 'accountid' });
+  assert.strictEqual(ranked.sobjects[0].name, 'Order');
+  assert.deepStrictEqual(ranked.sobjects[0].matchingFields.map(field => field.score), [100]);
+});
+
+test('filters by type, attributes, namespace, references and picklist values without a query', () => {
+  assert.deepStrictEqual(fieldNames(search({ type: 'reference', referenceTo: 'account', namespace: 'vlocity_cmt' })), [
+    'vlocity_cmt__OrderItem__c.vlocity_cmt__AccountId__c'
+  ]);
+  assert.deepStrictEqual(fieldNames(search({ externalId: 'true' })), ['Account.External_Key__c']);
+  assert.deepStrictEqual(fieldNames(search({ query: 'account', custom: 'false', type: 'reference' })).sort(), [
+    'Account.ParentId', 'Order.AccountId'
+  ]);
+
+  const picklist = search({ picklistValue: 'activ' });
+  assert.deepStrictEqual(fieldNames(picklist), ['Order.Status']);
+  assert.deepStrictEqual(picklist.sobjects[0].matchingFields[0].matchingPicklistValues, ['Activated']);
+});
+
+test('validates parameters and caps fields per object', () => {
+  assert.match(parseFieldSearchParams({ query: 'a' }).error, /at least 2 characters/);
+  assert.match(parseFieldSearchParams({ query: 'name', custom: 'yes' }).error, /Invalid custom filter/);
+  assert.match(parseFieldSearchParams({ query: 'name', fieldLimit: '0' }).error, /Invalid fieldLimit/);
+
+  const capped = search({ query: 'id', fieldLimit: '1' });
+  const vlocity = capped.sobjects.find(sobject => sobject.name === 'vlocity_cmt__OrderItem__c');
+  assert.strictEqual(vlocity.matchingFields.length, 1);
+  assert.strictEqual(vlocity.matchCount, 2);
+  assert.strictEqual(capped.totalFieldMatches, 4);
+});
@@ -0,0 +1,169 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const FieldUsageModule = require('../modules/fieldUsage');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const describe = {
+  name: 'Account',
+  fields: [
+    { name: 'Tier__c', label: 'Tier', type: 'picklist', custom: true, filterable: true },
+    { name: 'Description', label: 'Description', type: 'textarea', custom: false, filterable: false }
+  ]
+};
+
+const componentData = {
+  loadedAt: '2026-10-17T08:00:00.000Z',
+  integrationProcedures: [{
+    id: 'a1',
+    name: 'Account_Enrich',
+    uniqueId: 'Account_Enrich',
+    componentType: 'integration-procedure',
+    steps: [{
+      name: 'Conditions',
+      type: 'Conditional Block',
+      propSetMap: { executionConditionalFormula: 'true' },
+      blockSteps: [{ name: 'SetTier', type: 'Set Values', propSetMap: { elementValueMap: { tier: '%Account:Tier__c%' } } }],
+      // Expanded copy of another component; it is scanned as that component
+      childIPStructure: { steps: [{ name: 'Nested', propSetMap: { field: 'Tier__c' } }] }
+    }]
+  }],
+  omniscripts: [{
+    id: 'a2',
+    name: 'Onboarding',
+    componentType: 'omniscript',
+    steps: [{ name: 'Info', type: 'Step', propSetMap: { label: 'Tier__c2' } }]
+  }]
+};
+
+function fakeConnection({ queries = {}, tooling = {} } = {}) {
+  const calls = [];
+  const answer = (answers, soql) => {
+    calls.push(soql.replace(/\s+/g, ' ').trim());
+    const key = Object.keys(answers).find(candidate => soql.includes(candidate));
+    const result = key ? answers[key] : { totalSize: 0, records: [] };
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+  };
+  return {
+    calls,
+    sobject: () => ({ describe: async () => describe }),
+    query: async (soql) => answer(queries, soql),
+    tooling: { query: async (soql) => answer(tooling, soql) }
+  };
+}
+
+function callGetFieldUsage(conn, fieldName, cached = componentData) {
+  const fieldUsageModule = new FieldUsageModule({ getOrgComponentData: async () => cached });
+  fieldUsageModule.createConnection = () => conn;
+
+  const res = createResponse();
+  const req = { params: { sobjectName: 'Account', fieldName }, session: { salesforce: { organizationId: '00D000000000001AAA' } } };
+  return fieldUsageModule.getFieldUsage(req, res).then(() => res);
+}
+
+test('reports OmniStudio, Data Mapper and dependency references and counts populated records of a custom field', async () => {
+  const conn = fakeConnection({
+    queries: {
+      vlocity_cmt__DRMapItem__c: {
+        records: [
+          { Name: 'DR_Account_Extract', vlocity_cmt__DomainObjectAPIName__c: 'Account', vlocity_cmt__DomainObjectFieldAPIName__c: 'Tier__c' },
+          { Name: 'DR_Account_Extract', vlocity_cmt__InterfaceObjectName__c: 'Account', vlocity_cmt__InterfaceFieldAPIName__c: 'Tier__c' },
+          { Name: 'DR_Other', vlocity_cmt__DomainObjectAPIName__c: 'Account', vlocity_cmt__DomainObjectFieldAPIName__c: 'Tier__c2' }
+        ]
+      },
+      'WHERE Tier__c != null': { totalSize: 12, records: [] },
+      'SELECT COUNT() FROM Account': { totalSize: 40, records: [] }
+    },
+    tooling: {
+      FieldDefinition: { records: [{ DurableId: 'Account.00N000000000001' }] },
+      MetadataComponentDependency: {
+        records: [
+          { MetadataComponentId: '01p1', MetadataComponentName: 'AccountService', MetadataComponentType: 'ApexClass' },
+          { MetadataComponentId: '03d1', MetadataComponentName: 'Tier_Required', MetadataComponentType: 'ValidationRule' },
+          { MetadataComponentId: '0Qk1', MetadataComponentName: 'Tier Report', MetadataComponentType: 'Report' }
+        ]
+      }
+    }
+  });
+
+  const res = await callGetFieldUsage(conn, 'tier__c');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.field, { name: 'Tier__c', label: 'Tier', type: 'picklist', custom: true });
+  assert.deepStrictEqual(res.body.omniStudio.items.map(item => [item.name, item.matches.map(match => match.step)]), [
+    ['Account_Enrich', ['Conditions > SetTier']]
+  ]);
+  assert.deepStrictEqual(res.body.dataMappers.items, [{ name: 'DR_Account_Extract', componentType: 'data-mapper', fieldPaths: ['Tier__c'] }]);
+  assert.ok(conn.calls.some(soql => soql.includes("RefMetadataComponentId = '00N000000000001'")));
+  assert.deepStrictEqual(res.body.metadata.apexClasses.map(item => item.name), ['AccountService']);
+  assert.deepStrictEqual(res.body.metadata.validationRules.map(item => item.name), ['Tier_Required']);
+  assert.deepStrictEqual(res.body.metadata.other.map(item => item.type), ['Report']);
+  assert.deepStrictEqual(res.body.data, { checked: true, sampled: false, populatedCount: 12, totalCount: 40, hasData: true });
+  assert.deepStrictEqual(res.body.summary, { referenceCount: 5, hasData: true, retirementCandidate: false });
+});
+
+test('scans Apex source and samples records for a standard field and reports sections that could not be checked', async () => {
+  const conn = fakeConnection({
+    queries: {
+      vlocity_cmt__DRMapItem__c: Object.assign(new Error("sObject type 'vlocity_cmt__DRMapItem__c' is not supported"), { errorCode: 'INVALID_TYPE' }),
+      'SELECT Id, Description FROM Account': { records: [{ Description: null }, { Description: '' }] }
+    },
+    tooling: {
+      'FROM ApexClass': {
+        records: [
+          { Id: '01p1', Name: 'AccountNotes', Body: 'acc.Description = note; Account acc;' },
+          { Id: '01p2', Name: 'CaseNotes', Body: 'Case c; c.Description = note;' }
+        ]
+      }
+    }
+  });
+
+  const res = await callGetFieldUsage(conn, 'Description', null);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.omniStudio.checked, false);
+  assert.match(res.body.dataMappers.error, /not supported/);
+  assert.strictEqual(res.body.metadata.source, 'apex-source');
+  assert.deepStrictEqual(res.body.metadata.apexClasses.map(item => item.name), ['AccountNotes']);
+  assert.strictEqual(res.body.metadata.truncated, false);
+  assert.strictEqual(res.body.metadata.flows, null);
+  assert.ok(!conn.calls.some(soql => soql.includes('COUNT()')));
+  assert.deepStrictEqual(res.body.data, { checked: true, sampled: true, sampleSize: 2, populatedCount: 0, totalCount: null, hasData: false });
+  assert.strictEqual(res.body.summary.retirementCandidate, false);
+});
+
+test('caps the Apex source scan and reports when classes were left out', async () => {
+  const conn = fakeConnection({
+    tooling: {
+      'FROM ApexClass': { totalSize: 2500, records: [{ Id: '01p1', Name: 'AccountNotes', Body: 'Account acc; acc.Description = note;' }] }
+    }
+  });
+  const toolingQuery = conn.tooling.query;
+  const options = [];
+  conn.tooling.query = (soql, queryOptions) => {
+    options.push(queryOptions);
+    return toolingQuery(soql);
+  };
+
+  const res = await callGetFieldUsage(conn, 'Description');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(options.every(queryOptions => queryOptions.autoFetch && queryOptions.maxFetch === 2000));
+  assert.strictEqual(res.body.metadata.truncated, true);
+  assert.match(res.body.metadata.note, /first 2000 classes/);
+  assert.deepStrictEqual(res.body.metadata.apexClasses.map(item => item.name), ['AccountNotes']);
+  assert.strictEqual(res.body.summary.retirementCandidate, false);
+});
+
+test('rejects invalid names and unknown fields', async () => {
+  const invalid = await callGetFieldUsage(fakeConnection(), 'Tier__c; DELETE');
+  assert.strictEqual(invalid.statusCode, 400);
+
+  const unknown = await callGetFieldUsage(fakeConnection(), 'Missing__c');
+  assert.strictEqual(unknown.statusCode, 404);
+  assert.strictEqual(unknown.body.success, false);
+});
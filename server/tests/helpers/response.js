@@ -0,0 +1,14 @@
+/**
+ * Minimal stand-in for an Express response: records the status code, the body passed to
+ * json() or send() and the headers passed to set()
+ */
+function createResponse() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  res.set = (headers) => { Object.assign(res.headers, headers); return res; };
+  return res;
+}
+
+module.exports = { createResponse };
@@ -0,0 +1,98 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const OrderManagementModule = require('../modules/orderManagement');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const ORDER_ID = '801000000000001AAA';
+
+// Fake jsforce connection recording every SOQL query
+function createModule(records = []) {
+  const queries = [];
+  const orderManagement = new OrderManagementModule();
+  orderManagement.createConnection = () => ({
+    query: (soql) => {
+      queries.push(soql.replace(/\s+/g, ' ').trim());
+      return Promise.resolve({ totalSize: records.length, done: true, records });
+    }
+  });
+  return { orderManagement, queries };
+}
+
+function call(method, req) {
+  const res = createResponse();
+  return method(req, res).then(() => res);
+}
+
+test('searches orders with an escaped LIKE pattern', async () => {
+  const { orderManagement, queries } = createModule();
+
+  const res = await call(orderManagement.searchOrders.bind(orderManagement), { query: { query: " 50%_off' OR Name != '" } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(queries[0], /WHERE \(Account\.Name LIKE '%50\\%\\_off\\' OR Name != \\'%' OR OrderNumber LIKE '%50\\%\\_off\\' OR Name != \\'%'\)/);
+});
+
+test('returns one page of filtered orders with the total count', async () => {
+  const { orderManagement, queries } = createModule([
+    { Id: ORDER_ID, OrderNumber: '00000101', vlocity_cmt__OrderStatus__c: 'Failed', Account: { Name: 'Acme' }, OwnerId: '005000000000001AAA', Owner: { Name: 'Ops User' } }
+  ]);
+
+  const res = await call(orderManagement.searchOrders.bind(orderManagement), {
+    query: { status: 'Failed', createdWithinDays: '7', owner: 'me', page: '1', pageSize: '1' },
+    session: { salesforce: { userId: '005000000000001AAA' } }
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(queries.length, 2);
+  assert.match(queries[0], /WHERE vlocity_cmt__OrderStatus__c IN \('Failed'\) AND CreatedDate >= \S+ AND OwnerId = '005000000000001AAA' ORDER BY CreatedDate DESC NULLS LAST, Id DESC LIMIT 1 OFFSET 0$/);
+  assert.match(queries[1], /^SELECT COUNT\(\) FROM Order WHERE vlocity_cmt__OrderStatus__c IN \('Failed'\)/);
+  assert.deepStrictEqual(res.body.orders[0], {
+    id: ORDER_ID,
+    orderNumber: '00000101',
+    status: 'Failed',
+    orderSubtype: undefined,
+    accountName: 'Acme',
+    effectiveDate: undefined,
+    totalAmount: undefined,
+    createdDate: undefined,
+    ownerId: '005000000000001AAA',
+    ownerName: 'Ops User'
+  });
+  assert.strictEqual(res.body.total, 1);
+  assert.strictEqual(res.body.hasMore, false);
+  assert.strictEqual(res.body.sortBy, 'createdDate');
+});
+
+test('rejects invalid search filters and skips the query without criteria', async () => {
+  const { orderManagement, queries } = createModule();
+  const search = orderManagement.searchOrders.bind(orderManagement);
+
+  const invalid = await call(search, { query: { status: 'Failed', sortBy: 'Name; DELETE' } });
+  assert.strictEqual(invalid.statusCode, 400);
+  assert.match(invalid.body.message, /Invalid sortBy/);
+
+  const empty = await call(search, { query: { query: '  ' } });
+  assert.strictEqual(empty.statusCode, 200);
+  assert.deepStrictEqual(empty.body.orders, []);
+  assert.strictEqual(empty.body.total, 0);
+  assert.strictEqual(queries.length, 0);
+});
+
+test('binds the order ID and rejects malformed IDs before querying', async () => {
+  const { orderManagement, queries } = createModule([{ Id: '802000000000001AAA', OrderId: ORDER_ID, Product2: { Name: 'Fibre' } }]);
+
+  const ok = await call(orderManagement.getOrderItems.bind(orderManagement), { params: { orderId: ORDER_ID } });
+  assert.strictEqual(ok.statusCode, 200);
+  assert.match(queries[0], new RegExp(`WHERE OrderId = '${ORDER_ID}'`));
+
+  for (const method of ['getOrderItems', 'activateOrder', 'getOrchestrationStatus']) {
+    const res = await call(orderManagement[method].bind(orderManagement), { params: { orderId: "x' OR Id != '" } });
+    assert.strictEqual(res.statusCode, 400, method);
+    assert.match(res.body.message, /Invalid order ID/);
+  }
+  assert.strictEqual(queries.length, 1);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseOrderSearchParams,
+  hasSearchCriteria,
+  buildOrderSearchQueries
+} = require('../modules/orderSearch');
+
+const USER_ID = '005000000000001AAA';
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+const normalize = (soql) => soql.replace(/\s+/g, ' ').trim();
+
+test('parses filters, sorting and pagination with defaults', () => {
+  const defaults = parseOrderSearchParams({ query: '  Acme ' });
+  assert.deepStrictEqual(defaults.options, {
+    query: 'Acme',
+    filters: {},
+    sortBy: 'createdDate',
+    sortDirection: 'desc',
+    page: 1,
+    pageSize: 50
+  });
+
+  const { options } = parseOrderSearchParams({
+    status: 'Failed, In Progress,Failed',
+    subtype: 'New',
+    createdWithinDays: '7',
+    effectiveFrom: '2026-01-01',
+    effectiveTo: '2026-01-31',
+    minAmount: '100',
+    maxAmount: '2500.50',
+    owner: 'me',
+    sortBy: 'totalAmount',
+    sortDirection: 'ASC',
+    page: '3',
+    limit: '25'
+  }, { userId: USER_ID });
+
+  assert.deepStrictEqual(options.filters, {
+    statuses: ['Failed', 'In Progress'],
+    subtypes: ['New'],
+    createdWithinDays: 7,
+    effectiveFrom: '2026-01-01',
+    effectiveTo: '2026-01-31',
+    minAmount: 100,
+    maxAmount: 2500.5,
+    ownerId: USER_ID
+  });
+  assert.strictEqual(options.sortBy, 'totalAmount');
+  assert.strictEqual(options.sortDirection, 'asc');
+  assert.strictEqual(options.page, 3);
+  assert.strictEqual(options.pageSize, 25);
+  assert.strictEqual(hasSearchCriteria(options), true);
+  assert.strictEqual(hasSearchCriteria(parseOrderSearchParams({ query: ' ' }).options), false);
+});
+
+test('rejects invalid filters, sort columns and pages beyond the OFFSET limit', () => {
+  const invalid = [
+    [{ status: 'Failed', sortBy: 'Name' }, /Invalid sortBy 'Name'/],
+    [{ status: 'Failed', sortBy: 'constructor' }, /Invalid sortBy 'constructor'/],
+    [{ status: 'Failed', sortBy: '__proto__' }, /Invalid sortBy '__proto__'/],
+    [{ status: 'Failed', sortDirection: 'up' }, /Invalid sortDirection/],
+    [{ status: 'Failed', pageSize: '500' }, /Invalid pageSize '500'/],
+    [{ status: 'Failed', page: '0' }, /Invalid page '0'/],
+    [{ status: 'Failed', page: '42', pageSize: '100' }, /Narrow the filters/],
+    [{ createdFrom: '2026-02-30' }, /Invalid createdFrom '2026-02-30'/],
+    [{ effectiveFrom: '2026-02-01', effectiveTo: '2026-01-01' }, /effectiveFrom must not be after effectiveTo/],
+    [{ minAmount: 'lots' }, /Invalid minAmount 'lots'/],
+    [{ createdWithinDays: '1000' }, /Invalid createdWithinDays/],
+    [{ owner: "x' OR Id != '" }, /Invalid owner/],
+    [{ owner: 'me' }, /owner=me requires a session/]
+  ];
+  for (const [params, message] of invalid) {
+    const { options, error } = parseOrderSearchParams(params);
+    assert.strictEqual(options, undefined, JSON.stringify(params));
+    assert.match(error, message);
+  }
+});
+
+test('builds a sorted page query and a matching count query with bound filters', () => {
+  const { options } = parseOrderSearchParams({
+    query: 'Acme',
+    status: "Failed,Can't Fulfil",
+    createdWithinDays: '7',
+    createdTo: '2026-03-09',
+    effectiveFrom: '2026-01-01',
+    minAmount: '100',
+    ownerName: 'Ops_Team',
+    sortBy: 'accountName',
+    sortDirection: 'asc',
+    page: '2',
+    pageSize: '20'
+  });
+
+  const { recordsQuery, countQuery } = buildOrderSearchQueries(options, NOW);
+  const where = "WHERE (Account.Name LIKE '%Acme%' OR OrderNumber LIKE '%Acme%')" +
+    " AND vlocity_cmt__OrderStatus__c IN ('Failed', 'Can\\'t Fulfil')" +
+    ' AND CreatedDate >= 2026-03-03T12:00:00Z' +
+    ' AND CreatedDate < 2026-03-10T00:00:00Z' +
+    ' AND EffectiveDate >= 2026-01-01' +
+    ' AND TotalAmount >= 100' +
+    " AND Owner.Name LIKE '%Ops\\_Team%'";
+
+  assert.strictEqual(
+    normalize(recordsQuery),
+    'SELECT Id, OrderNumber, vlocity_cmt__OrderStatus__c, SubType__c, Account.Name, EffectiveDate, TotalAmount, CreatedDate, OwnerId, Owner.Name ' +
+    `FROM Order ${where} ORDER BY Account.Name ASC NULLS LAST, Id ASC LIMIT 20 OFFSET 20`
+  );
+  assert.strictEqual(countQuery, `SELECT COUNT() FROM Order ${where}`);
+});
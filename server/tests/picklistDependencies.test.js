@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  decodeValidFor,
+  buildDependencyMatrix,
+  buildRecordTypeDependencyMatrix,
+  buildRecordTypeAvailability,
+  dependencyMatrixToCsv,
+  recordTypeAvailabilityToCsv
+} = require('../modules/picklistDependencies');
+
+// validFor bitmap with the given controller indexes set, most significant bit first
+const validFor = (...indexes) => {
+  const bytes = Buffer.alloc(3);
+  indexes.forEach(index => { bytes[index >> 3] |= 0x80 >> (index % 8); });
+  return bytes.toString('base64');
+};
+
+const subtype = {
+  name: 'Subtype__c',
+  label: 'Subtype',
+  type: 'picklist',
+  picklistValues: [
+    { value: 'New', label: 'New', active: true, defaultValue: false },
+    { value: 'Renewal', label: 'Renewal', active: true, defaultValue: false },
+    { value: 'Amendment', label: 'Amendment', active: true, defaultValue: false }
+  ]
+};
+
+const status = {
+  name: 'Status__c',
+  label: 'Status',
+  type: 'picklist',
+  controllerName: 'Subtype__c',
+  dependentPicklist: true,
+  picklistValues: [
+    { value: 'Draft', label: 'Draft', active: true, defaultValue: true, validFor: validFor(0, 1, 2) },
+    { value: 'Submitted', label: 'Submitted', active: true, defaultValue: false, validFor: validFor(0, 2) },
+    { value: 'Renewed', label: 'Renewed', active: true, defaultValue: false, validFor: validFor(1) },
+    { value: 'Legacy', label: 'Legacy, old', active: false, defaultValue: false, validFor: validFor() }
+  ]
+};
+
+test('decodes validFor bitmaps most significant bit first', () => {
+  assert.deepStrictEqual(decodeValidFor(validFor(0, 7, 8, 13), 16), [0, 7, 8, 13]);
+  assert.deepStrictEqual(decodeValidFor(validFor(0, 9), 5), [0]);
+  assert.deepStrictEqual(decodeValidFor(undefined, 5), []);
+});
+
+test('builds the controller to dependent matrix from the describe', () => {
+  const matrix = buildDependencyMatrix(status, subtype);
+
+  assert.deepStrictEqual(matrix.controller, { name: 'Subtype__c', label: 'Subtype', type: 'picklist' });
+  assert.deepStrictEqual(matrix.dependentValues.map(entry => [entry.value, entry.validFor]), [
+    ['Draft', ['New', 'Renewal', 'Amendment']],
+    ['Submitted', ['New', 'Amendment']],
+    ['Renewed', ['Renewal']],
+    ['Legacy', []]
+  ]);
+  assert.deepStrictEqual(matrix.mappings, [
+    { controllerValue: 'New', dependentValues: ['Draft', 'Submitted'] },
+    { controllerValue: 'Renewal', dependentValues: ['Draft', 'Renewed'] },
+    { controllerValue: 'Amendment', dependentValues: ['Draft', 'Submitted'] }
+  ]);
+  assert.deepStrictEqual(matrix.unreachableValues, ['Legacy']);
+
+  assert.strictEqual(dependencyMatrixToCsv(matrix), [
+    'Status__c \\ Subtype__c,New,Renewal,Amendment',
+    'Draft,X,X,X',
+    'Submitted,X,,X',
+    'Renewed,,X,',
+    'Legacy,,,',
+    ''
+  ].join('\r\n'));
+});
+
+test('maps checkbox controllers to unchecked and checked', () => {
+  const matrix = buildDependencyMatrix(
+    { ...status, controllerName: 'Is_Partner__c', picklistValues: [{ value: 'Draft', label: 'Draft', active: true, validFor: validFor(1) }] },
+    { name: 'Is_Partner__c', label: 'Partner', type: 'boolean' }
+  );
+  assert.deepStrictEqual(matrix.mappings, [
+    { controllerValue: 'false', dependentValues: [] },
+    { controllerValue: 'true', dependentValues: ['Draft'] }
+  ]);
+});
+
+test('restricts the matrix to the values of a record type from the UI API', () => {
+  const picklistFieldValues = {
+    Subtype__c: { values: [{ value: 'New', label: 'New', validFor: [] }, { value: 'Renewal', label: 'Renewal', validFor: [] }] },
+    Status__c: {
+      controllerValues: { New: 0, Renewal: 1, Amendment: 2 },
+      defaultValue: { value: 'Submitted' },
+      values: [
+        { value: 'Submitted', label: 'Submitted', validFor: [0, 2] },
+        { value: 'Renewed', label: 'Renewed', validFor: [1] }
+      ]
+    }
+  };
+
+  const matrix = buildRecordTypeDependencyMatrix(status, subtype, picklistFieldValues);
+
+  assert.deepStrictEqual(matrix.controllerValues.map(entry => entry.value), ['New', 'Renewal']);
+  assert.deepStrictEqual(matrix.dependentValues.map(entry => [entry.value, entry.validFor, entry.defaultValue]), [
+    ['Submitted', ['New'], true],
+    ['Renewed', ['Renewal'], false]
+  ]);
+  assert.throws(() => buildRecordTypeDependencyMatrix(status, subtype, {}), /no values for this record type/);
+});
+
+test('lists the record types offering each value and exports them as CSV', () => {
+  const availability = buildRecordTypeAvailability(status, [
+    {
+      recordTypeId: '012000000000001AAA',
+      name: 'Sales',
+      developerName: 'Sales',
+      picklistFieldValues: { Status__c: { defaultValue: { value: 'Draft' }, values: [{ value: 'Draft' }, { value: 'Submitted' }] } }
+    },
+    {
+      recordTypeId: '012000000000002AAA',
+      name: 'Renewals',
+      developerName: 'Renewals',
+      picklistFieldValues: { Status__c: { defaultValue: null, values: [{ value: 'Draft' }, { value: 'Renewed' }] } }
+    }
+  ]);
+
+  assert.deepStrictEqual(availability.recordTypes.map(recordType => [recordType.name, recordType.defaultValue]), [
+    ['Sales', 'Draft'],
+    ['Renewals', null]
+  ]);
+  assert.deepStrictEqual(availability.values.map(entry => [entry.value, entry.availableIn.length]), [
+    ['Draft', 2], ['Submitted', 1], ['Renewed', 1], ['Legacy', 0]
+  ]);
+  assert.strictEqual(recordTypeAvailabilityToCsv(availability).split('\r\n')[4], 'Legacy,"Legacy, old",false,,');
+});
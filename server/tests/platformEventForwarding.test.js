@@ -0,0 +1,371 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const PlatformEventForwardingModule = require('../modules/platformEventForwarding');
+const PlatformEventsModule = require('../modules/platformEvents');
+const { createResponse } = require('./helpers/response');
+
+// Delivery logs are emitted between awaits; Node 20's test runner can mis-parse that emoji output
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const req = (body = {}, params = {}, userId = '005A') => ({ body, params, session: { salesforce: { organizationId: '00DA', userId, username: `${userId}@example.com` } } });
+
+// Redis stand-in with the hash subset the module uses
+function createRedis() {
+  const hashes = new Map();
+  return {
+    hashes,
+    isAvailable: () => true,
+    setHashField: async (key, field, value) => {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, JSON.stringify(value));
+      return true;
+    },
+    getHashValues: async (key) => Object.fromEntries(Array.from(hashes.get(key) || []).map(([field, value]) => [field, JSON.parse(value)])),
+    deleteHashField: async (key, field) => Boolean(hashes.get(key) && hashes.get(key).delete(field))
+  };
+}
+
+// Local HTTP stand-in for the receiving endpoint: answers with the queued status codes (then 200)
+async function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.push({ headers: request.headers, body });
+      response.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const orderEvent = (payload) => ({
+  eventName: 'Order_Event__e',
+  channel: '/event/Order_Event__e',
+  transport: 'cometd',
+  replayId: 7,
+  timestamp: '2026-01-01T10:00:00.000Z',
+  message: { payload }
+});
+
+async function createRule(forwarding, rule) {
+  const res = createResponse();
+  await forwarding.createRule(req(rule), res);
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body.rule;
+}
+
+test('signs forwarded events with an HMAC of the timestamp and body', async () => {
+  const receiver = await startReceiver();
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    const rule = await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url, secret: 's3cret' });
+    assert.strictEqual(rule.hasSecret, true);
+    assert.strictEqual(rule.secret, undefined);
+
+    await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+
+    assert.strictEqual(receiver.received.length, 1);
+    const { headers, body } = receiver.received[0];
+    const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(`${headers['x-event-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-event-signature'], expected);
+    assert.deepStrictEqual(JSON.parse(body).payload, { Status__c: 'New' });
+    assert.strictEqual(JSON.parse(body).replayId, 7);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('only forwards events matching the rule channel and filter', async () => {
+  const receiver = await startReceiver();
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    await createRule(forwarding, { name: 'Failed orders', channel: '/event/Order_Event__e', filter: "Status__c == 'Failed'", url: receiver.url });
+    await createRule(forwarding, { name: 'Invoices', channel: '/event/Invoice__e', url: receiver.url });
+
+    await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+    await forwarding.forward('00DA', orderEvent({ Status__c: 'Failed' }));
+    await forwarding.forward('00DB', orderEvent({ Status__c: 'Failed' }));
+
+    assert.strictEqual(receiver.received.length, 1);
+    assert.strictEqual(receiver.received[0].headers['x-event-signature'], undefined);
+    assert.deepStrictEqual(JSON.parse(receiver.received[0].body).payload, { Status__c: 'Failed' });
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('retries 5xx responses with backoff until the delivery succeeds', async () => {
+  const receiver = await startReceiver([503, 500]);
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url });
+
+    const [result] = await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.attempt, 3);
+    assert.strictEqual(receiver.received.length, 3);
+    assert.strictEqual(new Set(receiver.received.map(r => r.headers['x-delivery-id'])).size, 1);
+
+    const res = createResponse();
+    await forwarding.getDeliveries(req(), res);
+    assert.deepStrictEqual(res.body.data.deliveries.map(d => d.status), [200, 500, 503]);
+    assert.strictEqual(res.body.data.deadLetters.length, 0);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('dead-letters deliveries after the last attempt and retries them on request', async () => {
+  const receiver = await startReceiver([500, 500]);
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url, maxAttempts: 2 });
+
+    await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+
+    let res = createResponse();
+    await forwarding.getDeliveries(req(), res);
+    assert.strictEqual(res.body.data.deadLetters.length, 1);
+    assert.strictEqual(res.body.data.deadLetters[0].attempts, 2);
+    assert.strictEqual(res.body.data.deadLetters[0].lastError, 'HTTP 500');
+    assert.deepStrictEqual(res.body.data.deadLetters[0].payload, { Status__c: 'New' });
+
+    const deliveryId = res.body.data.deadLetters[0].id;
+    res = createResponse();
+    await forwarding.retryDeadLetter(req({}, { deliveryId }), res);
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(receiver.received.length, 3);
+    assert.strictEqual((await forwarding.getDeadLetters('00DA')).length, 0);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('retries a dead letter with a single attempt and dead-letters it again on failure', async () => {
+  const receiver = await startReceiver([500, 500, 503]);
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url, maxAttempts: 2 });
+    await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+    const [deadLetter] = await forwarding.getDeadLetters('00DA');
+
+    const res = createResponse();
+    await forwarding.retryDeadLetter(req({}, { deliveryId: deadLetter.id }), res);
+
+    assert.strictEqual(res.body.success, false);
+    assert.strictEqual(res.body.result.maxAttempts, 1);
+    assert.strictEqual(receiver.received.length, 3);
+    const deadLetters = await forwarding.getDeadLetters('00DA');
+    assert.strictEqual(deadLetters.length, 1);
+    assert.strictEqual(deadLetters[0].id, deadLetter.id);
+    assert.strictEqual(deadLetters[0].lastError, 'HTTP 503');
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('does not retry client errors', async () => {
+  const receiver = await startReceiver([400]);
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url });
+
+    const [result] = await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(receiver.received.length, 1);
+    assert.strictEqual((await forwarding.getDeadLetters('00DA')).length, 1);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('rejects invalid rules', async () => {
+  const forwarding = new PlatformEventForwardingModule(null);
+  const res = createResponse();
+
+  await forwarding.createRule(req({ name: 'Bad', channel: 'Order_Event__e', url: 'ftp://example.com', filter: 'Status__c ==' }), res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.errors.length, 3);
+});
+
+test('rejects sessions without an org', async () => {
+  const forwarding = new PlatformEventForwardingModule(null);
+  const res = createResponse();
+
+  await forwarding.listRules({ body: {}, params: {}, session: { salesforce: { accessToken: 'token' } } }, res);
+
+  assert.strictEqual(res.statusCode, 401);
+});
+
+// Fake jsforce connection whose CometD clients acknowledge subscriptions and keep the message handler
+function createStreamingConnection() {
+  const clients = [];
+  return {
+    clients,
+    streaming: {
+      createClient: () => {
+        const client = {
+          channel: null,
+          handler: null,
+          disconnected: false,
+          on: () => {},
+          disconnect: () => { client.disconnected = true; },
+          subscribe: (channel, handler) => {
+            client.channel = channel;
+            client.handler = handler;
+            return { callback: (fn) => setImmediate(fn), errback: () => {}, cancel: () => {} };
+          }
+        };
+        clients.push(client);
+        return client;
+      }
+    }
+  };
+}
+
+test('keeps its own subscription to the channel of each enabled rule', async () => {
+  const receiver = await startReceiver();
+  try {
+    const subscriptions = new Map();
+    const platformEventsModule = new PlatformEventsModule({ to: () => ({ emit: () => {} }) }, subscriptions, null);
+    const conn = createStreamingConnection();
+    platformEventsModule.createOrgConnection = () => conn;
+    const forwarding = new PlatformEventForwardingModule(null, platformEventsModule, { baseDelayMs: 1 });
+
+    const rule = await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url });
+    await forwarding.syncSubscriptions('00DA');
+
+    const key = platformEventsModule.getSubscriptionKey('00DA', 'cometd', '/event/Order_Event__e');
+    assert.strictEqual(subscriptions.get(key).listeners.has(forwarding.LISTENER_ID), true);
+    assert.strictEqual(conn.clients.length, 1);
+
+    // A browser session sharing the subscription leaves; forwarding keeps it alive
+    subscriptions.get(key).listeners.set('session-1', { room: 'org:00DA:user:005A' });
+    platformEventsModule.sessionSubscriptions.set('session-1', new Set([key]));
+    await platformEventsModule.releaseSessionSubscriptions('session-1');
+    assert.strictEqual(subscriptions.has(key), true);
+
+    conn.clients[0].handler({ event: { replayId: 11 }, payload: { Status__c: 'New' } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(receiver.received.length, 1);
+    assert.strictEqual(JSON.parse(receiver.received[0].body).replayId, 11);
+
+    const listRes = createResponse();
+    await forwarding.listRules(req(), listRes);
+    assert.deepStrictEqual(listRes.body.subscriptions, [{ channel: '/event/Order_Event__e', subscribed: true, error: null }]);
+
+    // Disabling the only rule of the channel ends the subscription
+    const updateRes = createResponse();
+    await forwarding.updateRule(req({ enabled: false }, { ruleId: rule.id }), updateRes);
+    await forwarding.syncSubscriptions('00DA');
+    assert.strictEqual(subscriptions.has(key), false);
+    assert.strictEqual(conn.clients[0].disconnected, true);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('reports channels it could not subscribe to without org credentials', async () => {
+  const platformEventsModule = new PlatformEventsModule({ to: () => ({ emit: () => {} }) }, new Map(), null);
+  const forwarding = new PlatformEventForwardingModule(null, platformEventsModule);
+  forwarding.rulesCache.set('00DB', [{ id: 'r1', name: 'Orders', channel: '/event/Order_Event__e', url: 'http://127.0.0.1/hook', enabled: true }]);
+
+  await forwarding.syncSubscriptions('00DB');
+
+  assert.deepStrictEqual(forwarding.getSubscriptionStatus('00DB', await forwarding.getRules('00DB')), [
+    { channel: '/event/Order_Event__e', subscribed: false, error: 'No credentials for org 00DB; log in to start listening to /event/Order_Event__e' }
+  ]);
+});
+
+test('only lets the creator of a rule change it or retry and clear its dead letters', async () => {
+  const receiver = await startReceiver([400, 400]);
+  try {
+    const forwarding = new PlatformEventForwardingModule(null, null, { baseDelayMs: 1 });
+    const rule = await createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url });
+    assert.strictEqual(rule.createdBy, '005A@example.com');
+    assert.strictEqual(rule.createdByUserId, undefined);
+    assert.strictEqual(rule.canEdit, true);
+    await forwarding.forward('00DA', orderEvent({ Status__c: 'New' }));
+    const [deadLetter] = await forwarding.getDeadLetters('00DA');
+
+    let res = createResponse();
+    await forwarding.listRules(req({}, {}, '005B'), res);
+    assert.strictEqual(res.body.rules[0].canEdit, false);
+    res = createResponse();
+    await forwarding.getDeliveries(req({}, {}, '005B'), res);
+    assert.strictEqual(res.body.data.deadLetters[0].canRetry, false);
+
+    res = createResponse();
+    await forwarding.updateRule(req({ url: 'https://attacker.example.com/hook' }, { ruleId: rule.id }, '005B'), res);
+    assert.strictEqual(res.statusCode, 403);
+    res = createResponse();
+    await forwarding.deleteRule(req({}, { ruleId: rule.id }, '005B'), res);
+    assert.strictEqual(res.statusCode, 403);
+    res = createResponse();
+    await forwarding.retryDeadLetter(req({}, { deliveryId: deadLetter.id }, '005B'), res);
+    assert.strictEqual(res.statusCode, 403);
+    res = createResponse();
+    await forwarding.clearDeadLetters(req({}, {}, '005B'), res);
+    assert.strictEqual(res.body.message, 'Cleared 0 dead letters');
+    res = createResponse();
+    await forwarding.updateRule({ body: { enabled: false }, params: { ruleId: rule.id }, session: { salesforce: { organizationId: '00DA' } } }, res);
+    assert.strictEqual(res.statusCode, 401);
+
+    assert.strictEqual((await forwarding.getRules('00DA'))[0].url, receiver.url);
+    assert.strictEqual((await forwarding.getDeadLetters('00DA')).length, 1);
+    assert.strictEqual(receiver.received.length, 1);
+
+    res = createResponse();
+    await forwarding.clearDeadLetters(req(), res);
+    assert.strictEqual(res.body.message, 'Cleared 1 dead letters');
+    res = createResponse();
+    await forwarding.deleteRule(req({}, { ruleId: rule.id }), res);
+    assert.strictEqual(res.statusCode, 200);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('stores each rule and dead letter in its own Redis hash field', async () => {
+  const receiver = await startReceiver([400, 400, 400, 400]);
+  try {
+    const redis = createRedis();
+    const forwarding = new PlatformEventForwardingModule(redis, null, { baseDelayMs: 1 });
+    const [first, second] = await Promise.all([
+      createRule(forwarding, { name: 'Orders', channel: '/event/Order_Event__e', url: receiver.url }),
+      createRule(forwarding, { name: 'Orders 2', channel: '/event/Order_Event__e', url: receiver.url })
+    ]);
+    await Promise.all([
+      forwarding.forward('00DA', orderEvent({ Status__c: 'New' })),
+      forwarding.forward('00DA', orderEvent({ Status__c: 'Failed' }))
+    ]);
+
+    const rulesHash = redis.hashes.get(forwarding.getRulesKey('00DA'));
+    assert.deepStrictEqual([...rulesHash.keys()].sort(), [first.id, second.id].sort());
+    assert.strictEqual(redis.hashes.get(forwarding.getDeadLetterKey('00DA')).size, 4);
+
+    // A fresh module (after a restart) reads both back
+    const restarted = new PlatformEventForwardingModule(redis, null);
+    assert.deepStrictEqual((await restarted.getRules('00DA')).map(rule => rule.name).sort(), ['Orders', 'Orders 2']);
+    assert.strictEqual((await restarted.getDeadLetters('00DA')).length, 4);
+
+    const res = createResponse();
+    await forwarding.deleteRule(req({}, { ruleId: first.id }), res);
+    assert.deepStrictEqual([...rulesHash.keys()], [second.id]);
+    await forwarding.clearDeadLetters(req(), createResponse());
+    assert.strictEqual(redis.hashes.get(forwarding.getDeadLetterKey('00DA')).size, 0);
+  } finally {
+    await receiver.close();
+  }
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const PlatformEventHistoryModule = require('../modules/platformEventHistory');
+const { createResponse } = require('./helpers/response');
+
+function eventData(eventName, replayId, timestamp, payload) {
+  return { eventName, replayId, timestamp, transport: 'cometd', message: { payload } };
+}
+
+const req = (query) => ({ query, session: { salesforce: { organizationId: '00DA' } } });
+
+async function seededHistory() {
+  const history = new PlatformEventHistoryModule(null, { maxEventsPerChannel: 3 });
+  await history.record('00DA', eventData('Order__e', 1, '2026-01-01T10:00:00.000Z', { Status__c: 'New' }));
+  await history.record('00DA', eventData('Order__e', 2, '2026-01-01T11:00:00.000Z', { Status__c: 'Failed', Note__c: 'card "declined", retry' }));
+  await history.record('00DA', eventData('Order__e', 3, '2026-01-01T12:00:00.000Z', { Status__c: 'Activated' }));
+  await history.record('00DA', eventData('Order__e', 4, '2026-01-01T13:00:00.000Z', { Status__c: 'Failed' }));
+  await history.record('00DA', eventData('Invoice__e', 9, '2026-01-01T12:30:00.000Z', { Total__c: 10 }));
+  await history.record('00DB', eventData('Order__e', 5, '2026-01-01T12:00:00.000Z', { Status__c: 'Failed' }));
+  return history;
+}
+
+test('keeps only the newest events per channel in the in-memory ring buffer', async () => {
+  const history = await seededHistory();
+  const res = createResponse();
+
+  await history.getHistory(req({ channel: 'Order__e' }), res);
+
+  assert.strictEqual(res.body.storage, 'memory');
+  assert.deepStrictEqual(res.body.events.map(e => e.replayId), [4, 3, 2]);
+});
+
+test('filters by time range and payload text and paginates newest first', async () => {
+  const history = await seededHistory();
+
+  const searchRes = createResponse();
+  await history.getHistory(req({ search: 'failed' }), searchRes);
+  assert.deepStrictEqual(searchRes.body.events.map(e => e.replayId), [4, 2]);
+  assert.deepStrictEqual(searchRes.body.channels, ['/event/Invoice__e', '/event/Order__e']);
+
+  const rangeRes = createResponse();
+  await history.getHistory(req({ from: '2026-01-01T11:30:00Z', to: '2026-01-01T12:45:00Z', limit: '1', offset: '1' }), rangeRes);
+  assert.strictEqual(rangeRes.body.total, 2);
+  assert.strictEqual(rangeRes.body.hasMore, false);
+  assert.deepStrictEqual(rangeRes.body.events.map(e => e.replayId), [3]);
+});
+
+test('rejects invalid query parameters', async () => {
+  const history = await seededHistory();
+  for (const query of [{ from: 'yesterday' }, { limit: '0' }, { from: '2026-01-02', to: '2026-01-01' }]) {
+    const res = createResponse();
+    await history.getHistory(req(query), res);
+    assert.strictEqual(res.statusCode, 400, JSON.stringify(query));
+  }
+});
+
+test('exports CSV with one column per payload field and NDJSON', async () => {
+  const history = await seededHistory();
+
+  const csvRes = createResponse();
+  await history.exportHistory(req({ format: 'csv', channel: 'Order__e', search: 'declined' }), csvRes);
+  assert.match(csvRes.headers['Content-Type'], /text\/csv/);
+  assert.strictEqual(
+    csvRes.body,
+    'timestamp,eventName,channel,transport,replayId,Status__c,Note__c\r\n' +
+    '2026-01-01T11:00:00.000Z,Order__e,/event/Order__e,cometd,2,Failed,"card ""declined"", retry"\r\n'
+  );
+
+  const ndjsonRes = createResponse();
+  await history.exportHistory(req({ format: 'ndjson', channel: 'Invoice__e' }), ndjsonRes);
+  assert.deepStrictEqual(JSON.parse(ndjsonRes.body.trim()).payload, { Total__c: 10 });
+
+  const invalidRes = createResponse();
+  await history.exportHistory(req({ format: 'xml' }), invalidRes);
+  assert.strictEqual(invalidRes.statusCode, 400);
+});
+
+test('stores events in a capped Redis stream when Redis is available', async () => {
+  const streams = new Map();
+  const redisModule = {
+    isAvailable: () => true,
+    appendToStream: async (key, fields, maxLength) => {
+      const entries = streams.get(key) || [];
+      entries.push({ id: `${Date.now()}-${entries.length}`, message: fields, maxLength });
+      streams.set(key, entries);
+      return entries[entries.length - 1].id;
+    },
+    readStreamRange: async (key) => streams.get(key) || [],
+    getKeys: async (pattern) => Array.from(streams.keys()).filter(key => key.startsWith(pattern.replace('*', '')))
+  };
+  const history = new PlatformEventHistoryModule(redisModule, { maxEventsPerChannel: 250 });
+
+  await history.record('00DA', eventData('Order__e', 1, new Date().toISOString(), { Status__c: 'New' }));
+
+  const [entry] = streams.get('platform_event_history:00DA:/event/Order__e');
+  assert.strictEqual(entry.maxLength, 250);
+  assert.strictEqual(history.memoryHistory.size, 0);
+
+  const res = createResponse();
+  await history.getHistory(req({}), res);
+  assert.strictEqual(res.body.storage, 'redis');
+  assert.deepStrictEqual(res.body.events[0].payload, { Status__c: 'New' });
+});
+
+test('refuses to read history for sessions without an org', async () => {
+  const history = await seededHistory();
+  const bearerReq = { query: {}, session: { salesforce: { accessToken: 't', instanceUrl: 'https://x' } } };
+
+  const res = createResponse();
+  await history.getHistory(bearerReq, res);
+  assert.strictEqual(res.statusCode, 401);
+
+  const exportRes = createResponse();
+  await history.exportHistory(bearerReq, exportRes);
+  assert.strictEqual(exportRes.statusCode, 401);
+});
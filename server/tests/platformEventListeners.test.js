@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const PlatformEventsModule = require('../modules/platformEvents');
+const { compileFilter } = require('../modules/eventFilter');
+const { createResponse } = require('./helpers/response');
+
+function createModule() {
+  const emitted = [];
+  const io = { to: (rooms) => ({ emit: (name, data) => emitted.push({ name, data, rooms }) }) };
+  const platformEventsModule = new PlatformEventsModule(io, new Map(), null);
+  return { platformEventsModule, emitted };
+}
+
+function addSharedEntry(platformEventsModule, key, listeners) {
+  const entry = { eventName: 'Order_Event__e', channel: '/event/Order_Event__e', listeners, cancelled: 0 };
+  entry.cancel = () => { entry.cancelled++; };
+  platformEventsModule.platformEventSubscriptions.set(key, entry);
+  listeners.forEach((room, sessionId) => {
+    platformEventsModule.sessionSubscriptions.set(sessionId, new Set([key]));
+  });
+  return entry;
+}
+
+function createSocket(id, sessionId, salesforce) {
+  const socket = { id, data: {}, rooms: [], request: { session: { id: sessionId, salesforce } } };
+  socket.join = (room) => socket.rooms.push(room);
+  return socket;
+}
+
+test('emits only to the rooms of the sessions listening to a subscription', () => {
+  const { platformEventsModule, emitted } = createModule();
+  const entry = { listeners: new Map([['s1', { room: 'org:A:user:1' }], ['s2', { room: 'org:A:user:1' }], ['s3', { room: 'org:A:user:2' }]]) };
+
+  platformEventsModule.emitToListeners(entry, 'platformEvent', { replayId: 1 });
+
+  assert.deepStrictEqual(emitted.map(e => e.rooms), ['org:A:user:1', 'org:A:user:2']);
+});
+
+test('keeps a shared subscription until its last listener releases it', async () => {
+  const { platformEventsModule } = createModule();
+  const key = platformEventsModule.getSubscriptionKey('A', 'cometd', '/event/Order_Event__e');
+  const entry = addSharedEntry(platformEventsModule, key, new Map([['s1', { room: 'org:A:user:1' }], ['s2', { room: 'org:A:user:2' }]]));
+
+  await platformEventsModule.releaseSessionSubscriptions('s1');
+  assert.strictEqual(entry.cancelled, 0);
+  assert.deepStrictEqual([...entry.listeners.keys()], ['s2']);
+
+  await platformEventsModule.releaseSessionSubscriptions('s2');
+  assert.strictEqual(entry.cancelled, 1);
+  assert.strictEqual(platformEventsModule.platformEventSubscriptions.size, 0);
+});
+
+test('applies each listener filter and projection before emitting', () => {
+  const { platformEventsModule, emitted } = createModule();
+  const entry = {
+    listeners: new Map([
+      ['s1', { room: 'org:A:user:1', filter: compileFilter("Status__c == 'Failed' && Amount__c > 1000"), fields: ['Status__c'] }],
+      ['s2', { room: 'org:A:user:2', filter: null, fields: [] }]
+    ])
+  };
+
+  platformEventsModule.emitToListeners(entry, 'platformEvent', { message: { payload: { Status__c: 'Failed', Amount__c: 1500 } } });
+  platformEventsModule.emitToListeners(entry, 'platformEvent', { message: { payload: { Status__c: 'Failed', Amount__c: 20 } } });
+
+  assert.deepStrictEqual(emitted.map(e => e.rooms), ['org:A:user:1', 'org:A:user:2', 'org:A:user:2']);
+  assert.deepStrictEqual(emitted[0].data.message.payload, { Status__c: 'Failed' });
+  assert.deepStrictEqual(emitted[1].data.message.payload, { Status__c: 'Failed', Amount__c: 1500 });
+});
+
+test('releases a session after its last socket disconnects, unless it reconnects in time', async () => {
+  const { platformEventsModule } = createModule();
+  platformEventsModule.LISTENER_GRACE_MS = 20;
+  const salesforce = { organizationId: 'A', userId: '1' };
+  const key = platformEventsModule.getSubscriptionKey('A', 'cometd', '/event/Order_Event__e');
+  const entry = addSharedEntry(platformEventsModule, key, new Map([['s1', { room: 'org:A:user:1' }]]));
+
+  const firstSocket = createSocket('socket-1', 's1', salesforce);
+  platformEventsModule.registerSocket(firstSocket);
+  assert.deepStrictEqual(firstSocket.rooms, ['org:A:user:1']);
+
+  // Reconnect within the grace period keeps the subscription
+  platformEventsModule.releaseSocket(firstSocket);
+  platformEventsModule.registerSocket(createSocket('socket-2', 's1', salesforce));
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.strictEqual(entry.cancelled, 0);
+
+  // Last socket gone for good releases it
+  platformEventsModule.releaseSocket({ id: 'socket-2', data: { platformEventsSessionId: 's1' } });
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.strictEqual(entry.cancelled, 1);
+  assert.strictEqual(platformEventsModule.sessionSubscriptions.has('s1'), false);
+});
+
+test('does not resolve an org or user for sessions that carry none', () => {
+  const { platformEventsModule } = createModule();
+
+  // Bearer token requests only carry a token and instance URL
+  assert.strictEqual(platformEventsModule.getSessionContext({ salesforce: { accessToken: 't', instanceUrl: 'https://x' } }), null);
+  assert.strictEqual(platformEventsModule.getSessionContext({ salesforce: { organizationId: 'A' } }), null);
+  assert.deepStrictEqual(platformEventsModule.getSessionContext({ salesforce: { organizationId: 'A', userId: '1' } }), {
+    orgId: 'A',
+    userId: '1',
+    room: 'org:A:user:1'
+  });
+
+  const bearerSocket = createSocket('socket-1', 's1', { accessToken: 't' });
+  platformEventsModule.registerSocket(bearerSocket);
+  assert.deepStrictEqual(bearerSocket.rooms, []);
+});
+
+function callSubscribe(platformEventsModule, req) {
+  const res = createResponse();
+  return platformEventsModule.subscribeToPlatformEvents(req, res).then(() => res);
+}
+
+test('rejects subscriptions without an org and user and never adopts another session\'s socket', async () => {
+  const { platformEventsModule } = createModule();
+  const otherSocket = createSocket('socket-other', 's2', { organizationId: 'B', userId: '9' });
+  const ownSocket = createSocket('socket-own', 's1', { organizationId: 'A', userId: '1' });
+  platformEventsModule.io.sockets = { sockets: new Map([[otherSocket.id, otherSocket], [ownSocket.id, ownSocket]]) };
+  platformEventsModule.createConnection = () => ({ sobject: () => ({ find: async () => [] }) });
+
+  const bearer = await callSubscribe(platformEventsModule, {
+    session: { id: 's3', salesforce: { accessToken: 't', instanceUrl: 'https://x' } },
+    body: { selectedEvents: ['Order_Event__e'], socketId: ownSocket.id }
+  });
+  assert.strictEqual(bearer.statusCode, 401);
+  assert.deepStrictEqual(ownSocket.rooms, []);
+
+  const session = { id: 's1', salesforce: { organizationId: 'A', userId: '1', accessToken: 't', instanceUrl: 'https://x' } };
+  const hijack = await callSubscribe(platformEventsModule, { session, body: { selectedEvents: ['Order_Event__e'], socketId: otherSocket.id } });
+  assert.strictEqual(hijack.statusCode, 200);
+  assert.deepStrictEqual(otherSocket.rooms, []);
+  assert.strictEqual(otherSocket.request.session.id, 's2');
+  assert.strictEqual(otherSocket.data.platformEventsSessionId, undefined);
+
+  const own = await callSubscribe(platformEventsModule, { session, body: { selectedEvents: ['Order_Event__e'], socketId: ownSocket.id } });
+  assert.strictEqual(own.statusCode, 200);
+  assert.deepStrictEqual(ownSocket.rooms, ['org:A:user:1']);
+});
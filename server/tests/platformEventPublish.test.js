@@ -0,0 +1,110 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const PlatformEventsModule = require('../modules/platformEvents');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+
+const platformEventsModule = new PlatformEventsModule({ emit: () => {} }, new Map(), null);
+
+const FIELDS = [
+  { name: 'CreatedDate', type: 'datetime', createable: false, nillable: false },
+  { name: 'ReplayId', type: 'string', createable: false, nillable: true },
+  { name: 'Status__c', type: 'picklist', length: 20, createable: true, nillable: false },
+  { name: 'Order_Id__c', type: 'reference', createable: true, nillable: true },
+  { name: 'Amount__c', type: 'currency', precision: 6, scale: 2, createable: true, nillable: true },
+  { name: 'Retry_Count__c', type: 'int', createable: true, nillable: true },
+  { name: 'Is_Test__c', type: 'boolean', createable: true, nillable: false },
+  { name: 'Due_Date__c', type: 'date', createable: true, nillable: true },
+  { name: 'Message__c', type: 'textarea', length: 10, createable: true, nillable: true }
+];
+
+test('accepts a valid payload with case-insensitive field names', () => {
+  const errors = platformEventsModule.validateEventPayload(FIELDS, {
+    status__c: 'Failed',
+    Order_Id__c: '801000000000001AAA',
+    Amount__c: 1500.25,
+    Retry_Count__c: 2,
+    Is_Test__c: true,
+    Due_Date__c: '2026-10-18'
+  });
+  assert.deepStrictEqual(errors, []);
+});
+
+test('reports missing required fields but not booleans', () => {
+  const errors = platformEventsModule.validateEventPayload(FIELDS, {});
+  assert.deepStrictEqual(errors, ['Status__c: required']);
+});
+
+test('rejects unknown and read-only fields', () => {
+  const errors = platformEventsModule.validateEventPayload(FIELDS, { Status__c: 'New', ReplayId: '1', Bogus__c: 'x' });
+  assert.deepStrictEqual(errors, [
+    'ReplayId: not a publishable field on this event',
+    'Bogus__c: not a publishable field on this event'
+  ]);
+});
+
+test('checks types and lengths', () => {
+  const errors = platformEventsModule.validateEventPayload(FIELDS, {
+    Status__c: 'New',
+    Order_Id__c: 'not-an-id',
+    Amount__c: 123456,
+    Retry_Count__c: 1.5,
+    Is_Test__c: 'yes',
+    Due_Date__c: '18/10/2026',
+    Message__c: 'this message is too long'
+  });
+  assert.deepStrictEqual(errors, [
+    'Order_Id__c: expected a 15 or 18 character record ID',
+    'Amount__c: at most 4 digits before the decimal point',
+    'Retry_Count__c: expected an integer',
+    'Is_Test__c: expected true or false',
+    'Due_Date__c: expected a date (YYYY-MM-DD)',
+    'Message__c: 24 characters exceeds the maximum length of 10'
+  ]);
+});
+
+test('rejects non-object payloads', () => {
+  assert.deepStrictEqual(platformEventsModule.validateEventPayload(FIELDS, ['a']), ['Event payload must be a JSON object']);
+});
+
+test('publishes a single event through the collection form and reports its failure per event', async () => {
+  const creates = [];
+  const publisher = new PlatformEventsModule({ emit: () => {} }, new Map(), null);
+  publisher.createConnection = () => ({
+    sobject: () => ({
+      describe: async () => ({ fields: FIELDS }),
+      create: async (records, options) => {
+        creates.push({ records, options });
+        return [{ success: false, errors: [{ message: 'Status__c: bad value for restricted picklist field' }] }];
+      }
+    })
+  });
+  const res = createResponse();
+
+  await publisher.publishPlatformEvent({ params: { eventName: 'Order_Event__e' }, body: { payload: { Status__c: 'Nope' } } }, res);
+
+  assert.deepStrictEqual(creates, [{ records: [{ Status__c: 'Nope' }], options: { allOrNone: false } }]);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.success, false);
+  assert.strictEqual(res.body.failedCount, 1);
+  assert.deepStrictEqual(res.body.results, [{ index: 0, success: false, id: null, errors: ['Status__c: bad value for restricted picklist field'] }]);
+});
+
+test('rejects event names that are not a platform event API name before calling Salesforce', async () => {
+  const publisher = new PlatformEventsModule({ emit: () => {} }, new Map(), null);
+  publisher.createConnection = () => assert.fail('no connection expected');
+
+  for (const eventName of ['Order_Event__e/describe', '../sobjects/Order_Event__e', 'Order Event__e']) {
+    const res = createResponse();
+    await publisher.publishPlatformEvent({ params: { eventName }, body: { payload: { Status__c: 'New' } } }, res);
+    assert.strictEqual(res.statusCode, 400, eventName);
+    assert.match(res.body.message, /Invalid platform event name/);
+  }
+
+  const res = createResponse();
+  await publisher.publishPlatformEvent({ params: { eventName: 'Account' }, body: { payload: { Name: 'Acme' } } }, res);
+  assert.strictEqual(res.statusCode, 400);
+  assert.match(res.body.message, /Account is not a platform event/);
+});
@@ -0,0 +1,156 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const PlatformEventsModule = require('../modules/platformEvents');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const ORG_ID = '00D000000000001';
+const CHANNEL = '/event/Order_Event__e';
+const event = { QualifiedApiName: 'Order_Event__e', Label: 'Order Event' };
+const INVALID_REPLAY_ERROR = '400::The replayId {42} you provided was invalid.  Please provide a valid ID, -2 to replay all events, or -1 to replay only new events.';
+
+function createModule(redisModule = null) {
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (name, data) => emitted.push({ room, name, data }) }) };
+  return { platformEventsModule: new PlatformEventsModule(io, new Map(), redisModule), emitted };
+}
+
+// Redis stand-in with the get/set/isAvailable subset the module uses
+function createRedis(values = {}) {
+  const store = new Map(Object.entries(values));
+  return {
+    store,
+    isAvailable: () => true,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => { store.set(key, value); return true; }
+  };
+}
+
+// Fake jsforce connection; subscribeErrors holds the error for each successive subscribe (null acknowledges)
+function createFakeConnection(subscribeErrors) {
+  const clients = [];
+  const conn = {
+    clients,
+    streaming: {
+      createClient: (extensions) => {
+        const client = {
+          extensions,
+          disconnected: false,
+          on: () => {},
+          disconnect: () => { client.disconnected = true; },
+          subscribe: () => {
+            const error = subscribeErrors[clients.length - 1];
+            return {
+              callback: (fn) => { if (!error) setImmediate(fn); },
+              errback: (fn) => { if (error) setImmediate(() => fn(new Error(error))); },
+              cancel: () => {}
+            };
+          }
+        };
+        clients.push(client);
+        return client;
+      }
+    }
+  };
+  return conn;
+}
+
+// replayId the Replay extension sends for the channel in the /meta/subscribe message
+function subscribedReplayId(client) {
+  let sent = null;
+  client.extensions[0].outgoing({ channel: '/meta/subscribe', subscription: CHANNEL }, (message) => { sent = message; });
+  return sent.ext.replay[CHANNEL];
+}
+
+test('resolves latest, all and explicit replay points without reading the store', async () => {
+  const { platformEventsModule } = createModule();
+  await platformEventsModule.saveReplayId(ORG_ID, CHANNEL, 99);
+
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, 'latest'), -1);
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, 'all'), -2);
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, '42'), 42);
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, -2), -2);
+});
+
+test('resumes from the stored replayId per org and channel, or only new events when none is stored', async () => {
+  const { platformEventsModule } = createModule();
+
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, 'stored'), -1);
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, undefined), -1);
+
+  await platformEventsModule.saveReplayId(ORG_ID, CHANNEL, 1234);
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, 'stored'), 1234);
+  assert.strictEqual(await platformEventsModule.resolveReplayId('00D000000000002', CHANNEL, 'stored'), -1);
+  assert.strictEqual(await platformEventsModule.resolveReplayId(ORG_ID, '/event/Other__e', 'stored'), -1);
+});
+
+test('reads stored replayIds from Redis and ignores values that are not numbers', async () => {
+  const redis = createRedis();
+  const { platformEventsModule } = createModule(redis);
+
+  await platformEventsModule.saveReplayId(ORG_ID, CHANNEL, 77);
+  assert.strictEqual(redis.store.get(platformEventsModule.getReplayKey(ORG_ID, CHANNEL)), 77);
+
+  // Written by another instance
+  const restarted = createModule(createRedis({ [platformEventsModule.getReplayKey(ORG_ID, CHANNEL)]: '501' })).platformEventsModule;
+  assert.strictEqual(await restarted.resolveReplayId(ORG_ID, CHANNEL, 'stored'), 501);
+
+  const corrupted = createModule(createRedis({ [platformEventsModule.getReplayKey(ORG_ID, CHANNEL)]: 'garbage' })).platformEventsModule;
+  assert.strictEqual(await corrupted.resolveReplayId(ORG_ID, CHANNEL, 'stored'), -1);
+});
+
+test('recognizes replayId errors from Salesforce', () => {
+  const { platformEventsModule } = createModule();
+
+  assert.strictEqual(platformEventsModule.isInvalidReplayIdError(new Error(INVALID_REPLAY_ERROR)), true);
+  assert.strictEqual(platformEventsModule.isInvalidReplayIdError('The replayId 42 was invalid'), true);
+  assert.strictEqual(platformEventsModule.isInvalidReplayIdError(new Error('403::Unknown client')), false);
+  assert.strictEqual(platformEventsModule.isInvalidReplayIdError(null), false);
+});
+
+test('falls back to all retained events when the stored replayId has expired', async () => {
+  const { platformEventsModule, emitted } = createModule();
+  const conn = createFakeConnection([INVALID_REPLAY_ERROR, null]);
+  const listeners = new Map([['session-1', { room: `org:${ORG_ID}:user:005A` }]]);
+
+  await platformEventsModule.saveReplayId(ORG_ID, CHANNEL, 42);
+  const startReplayId = await platformEventsModule.resolveReplayId(ORG_ID, CHANNEL, 'stored');
+  const entry = await platformEventsModule.createReplaySubscription(conn, ORG_ID, event, CHANNEL, startReplayId, listeners);
+
+  assert.strictEqual(conn.clients.length, 2);
+  assert.strictEqual(subscribedReplayId(conn.clients[0]), 42);
+  assert.strictEqual(conn.clients[0].disconnected, true);
+  assert.strictEqual(subscribedReplayId(conn.clients[1]), -2);
+  assert.strictEqual(entry.replayFrom, -2);
+  assert.strictEqual(entry.state, 'connected');
+
+  const gaps = emitted.filter(e => e.name === 'platformEventReplayGap');
+  assert.strictEqual(gaps.length, 1);
+  assert.strictEqual(gaps[0].room, `org:${ORG_ID}:user:005A`);
+  assert.strictEqual(gaps[0].data.requestedReplayId, 42);
+  assert.strictEqual(gaps[0].data.fallbackReplayId, -2);
+  entry.cancel();
+});
+
+test('does not retry other subscribe errors or replay errors without an explicit replayId', async () => {
+  const { platformEventsModule, emitted } = createModule();
+  const listeners = new Map([['session-1', { room: `org:${ORG_ID}:user:005A` }]]);
+
+  const refused = createFakeConnection(['403::Unknown client']);
+  await assert.rejects(
+    platformEventsModule.createReplaySubscription(refused, ORG_ID, event, CHANNEL, 42, listeners),
+    /Unknown client/
+  );
+  assert.strictEqual(refused.clients.length, 1);
+
+  const latest = createFakeConnection([INVALID_REPLAY_ERROR]);
+  await assert.rejects(
+    platformEventsModule.createReplaySubscription(latest, ORG_ID, event, CHANNEL, -1, listeners),
+    /replayId/
+  );
+  assert.strictEqual(latest.clients.length, 1);
+  assert.strictEqual(emitted.filter(e => e.name === 'platformEventReplayGap').length, 0);
+});
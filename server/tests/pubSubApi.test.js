@@ -0,0 +1,203 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const avro = require('avsc');
+
+const PubSubApiClient = require('../modules/pubSubApi');
+const PlatformEventsModule = require('../modules/platformEvents');
+
+// Local stand-in for the Salesforce Pub/Sub API: one fixed schema and a scripted event stream
+const SCHEMA_ID = 'stand-in-schema-1';
+const SCHEMA = {
+  type: 'record',
+  name: 'Order_Event__e',
+  namespace: 'com.sforce.eventbus',
+  fields: [
+    { name: 'CreatedDate', type: 'long' },
+    { name: 'CreatedById', type: 'string' },
+    { name: 'Status__c', type: ['null', 'string'], default: null },
+    { name: 'Amount__c', type: ['null', 'double'], default: null }
+  ]
+};
+const schemaType = avro.Type.forSchema(SCHEMA);
+const SCRIPTED_EVENTS = [
+  { CreatedDate: 1760000000000, CreatedById: '005000000000001', Status__c: 'Failed', Amount__c: 1500 },
+  { CreatedDate: 1760000001000, CreatedById: '005000000000001', Status__c: 'Activated', Amount__c: 20 },
+  { CreatedDate: 1760000002000, CreatedById: '005000000000002', Status__c: null, Amount__c: null }
+];
+
+let server;
+let endpoint;
+let getSchemaCalls = 0;
+let receivedMetadata = null;
+let firstFetchRequest = null;
+
+function replayIdBytes(index) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(1000 + index));
+  return buffer;
+}
+
+before(async () => {
+  const packageDefinition = protoLoader.loadSync(path.join(__dirname, '..', 'proto', 'pubsub_api.proto'), {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true
+  });
+  const { PubSub } = grpc.loadPackageDefinition(packageDefinition).eventbus.v1;
+
+  server = new grpc.Server();
+  server.addService(PubSub.service, {
+    GetSchema: (call, callback) => {
+      getSchemaCalls++;
+      callback(null, { schema_id: SCHEMA_ID, schema_json: JSON.stringify(SCHEMA), rpc_id: 'rpc-schema' });
+    },
+    GetTopic: (call, callback) => {
+      callback(null, { topic_name: call.request.topic_name, schema_id: SCHEMA_ID, can_subscribe: true, can_publish: true });
+    },
+    Publish: (call, callback) => {
+      callback(null, { results: [], schema_id: SCHEMA_ID });
+    },
+    Subscribe: (call) => {
+      receivedMetadata = call.metadata.getMap();
+      call.on('data', (fetchRequest) => {
+        if (firstFetchRequest) {
+          return;
+        }
+        firstFetchRequest = fetchRequest;
+        call.write({
+          events: SCRIPTED_EVENTS.map((payload, index) => ({
+            event: { id: `uuid-${index}`, schema_id: SCHEMA_ID, payload: schemaType.toBuffer(payload) },
+            replay_id: replayIdBytes(index)
+          })),
+          latest_replay_id: replayIdBytes(SCRIPTED_EVENTS.length - 1),
+          rpc_id: 'rpc-subscribe',
+          pending_num_requested: fetchRequest.num_requested - SCRIPTED_EVENTS.length
+        });
+      });
+      call.on('end', () => call.end());
+    }
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, boundPort) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(boundPort);
+    });
+  });
+  endpoint = `127.0.0.1:${port}`;
+});
+
+after(() => {
+  server.forceShutdown();
+});
+
+const auth = { accessToken: 'token-123', instanceUrl: 'https://example.my.salesforce.com', tenantId: '00D000000000001' };
+
+function collectEvents(client, count, options) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const handle = client.subscribe('/event/Order_Event__e', {
+      ...options,
+      onEvent: (decodedEvent) => {
+        events.push(decodedEvent);
+        if (events.length === count) {
+          handle.cancel();
+          resolve(events);
+        }
+      },
+      onError: reject
+    });
+  });
+}
+
+test('decodes the scripted stream in order using the fetched schema', async () => {
+  firstFetchRequest = null;
+  const client = new PubSubApiClient({ endpoint, insecure: true, auth });
+
+  const events = await collectEvents(client, SCRIPTED_EVENTS.length, { replayPreset: 'EARLIEST' });
+  client.close();
+
+  assert.deepStrictEqual(events.map(e => e.payload.Status__c), ['Failed', 'Activated', null]);
+  assert.strictEqual(events[0].payload.Amount__c, 1500);
+  assert.strictEqual(events[0].schemaId, SCHEMA_ID);
+  assert.strictEqual(events[1].replayId, replayIdBytes(1).toString('base64'));
+  assert.strictEqual(firstFetchRequest.replay_preset, 'EARLIEST');
+  assert.strictEqual(receivedMetadata.accesstoken, 'token-123');
+  assert.strictEqual(receivedMetadata.tenantid, '00D000000000001');
+});
+
+test('fetches each schema once and reuses the shared cache', async () => {
+  getSchemaCalls = 0;
+  firstFetchRequest = null;
+  const schemaCache = new Map();
+
+  const firstClient = new PubSubApiClient({ endpoint, insecure: true, auth, schemaCache });
+  await collectEvents(firstClient, SCRIPTED_EVENTS.length, {});
+  firstClient.close();
+
+  firstFetchRequest = null;
+  const secondClient = new PubSubApiClient({ endpoint, insecure: true, auth, schemaCache });
+  await collectEvents(secondClient, SCRIPTED_EVENTS.length, {});
+  secondClient.close();
+
+  assert.strictEqual(getSchemaCalls, 1);
+  assert.ok(schemaCache.has(SCHEMA_ID));
+});
+
+test('sends the custom replayId bytes on the first fetch request', async () => {
+  firstFetchRequest = null;
+  const client = new PubSubApiClient({ endpoint, insecure: true, auth });
+  const replayId = replayIdBytes(7).toString('base64');
+
+  await collectEvents(client, 1, { replayPreset: 'CUSTOM', replayId });
+  client.close();
+
+  assert.strictEqual(firstFetchRequest.replay_preset, 'CUSTOM');
+  assert.strictEqual(Buffer.from(firstFetchRequest.replay_id).toString('base64'), replayId);
+});
+
+test('PlatformEventsModule emits Pub/Sub events on the platformEvent socket event', async () => {
+  firstFetchRequest = null;
+  process.env.SALESFORCE_PUBSUB_ENDPOINT = endpoint;
+  process.env.SALESFORCE_PUBSUB_INSECURE = 'true';
+
+  const emitted = [];
+  const io = { to: (rooms) => ({ emit: (name, data) => emitted.push({ name, data, rooms }) }) };
+  const platformEventsModule = new PlatformEventsModule(io, new Map(), null);
+
+  const entry = await platformEventsModule.createPubSubSubscription(
+    auth,
+    auth.tenantId,
+    { QualifiedApiName: 'Order_Event__e', Label: 'Order Event' },
+    '/event/Order_Event__e',
+    { replayPreset: 'LATEST', replayId: null },
+    new Map([['session-1', { room: 'org:00D000000000001:user:005000000000001' }]])
+  );
+
+  await new Promise(resolve => {
+    const poll = setInterval(() => {
+      if (emitted.length === SCRIPTED_EVENTS.length) {
+        clearInterval(poll);
+        resolve();
+      }
+    }, 10);
+  });
+  entry.cancel();
+  delete process.env.SALESFORCE_PUBSUB_ENDPOINT;
+  delete process.env.SALESFORCE_PUBSUB_INSECURE;
+
+  assert.ok(emitted.every(e => e.name === 'platformEvent'));
+  assert.strictEqual(emitted[0].rooms, 'org:00D000000000001:user:005000000000001');
+  assert.strictEqual(emitted[0].data.eventName, 'Order_Event__e');
+  assert.strictEqual(emitted[0].data.transport, 'pubsub');
+  assert.strictEqual(emitted[0].data.message.payload.Status__c, 'Failed');
+  assert.strictEqual(emitted[2].data.message.event.replayId, replayIdBytes(2).toString('base64'));
+  assert.strictEqual(entry.lastReplayId, replayIdBytes(2).toString('base64'));
+});
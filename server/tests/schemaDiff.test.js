@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { buildSnapshotEntry, diffSchemaSnapshots, schemaDiffToMarkdown } = require('../modules/schemaDiff');
+
+const account = (fields) => ({ name: 'Account', label: 'Account', custom: false, fields });
+
+const snapshot = (id, objects) => ({
+  id,
+  name: id,
+  orgId: `00D${id}`,
+  instanceUrl: `https://${id}.my.salesforce.com`,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  objects
+});
+
+test('builds snapshot entries with lengths, references and picklist values only where they apply', () => {
+  const entry = buildSnapshotEntry({ name: 'Account', label: 'Account', custom: false }, {
+    fields: [
+      { name: 'Name', label: 'Account Name', type: 'string', length: 255, precision: 0, nillable: false, referenceTo: [], picklistValues: [] },
+      { name: 'ParentId', label: 'Parent', type: 'reference', length: 18, nillable: true, referenceTo: ['Account'], picklistValues: [] },
+      { name: 'Rating', label: 'Rating', type: 'picklist', length: 255, nillable: true, picklistValues: [{ value: 'Hot', label: 'Hot', active: true }] }
+    ]
+  });
+
+  assert.deepStrictEqual(entry.fields.Name, {
+    label: 'Account Name', type: 'string', nillable: false, unique: false, externalId: false, calculated: false, length: 255
+  });
+  assert.deepStrictEqual(entry.fields.ParentId.referenceTo, ['Account']);
+  assert.strictEqual(entry.fields.ParentId.picklistValues, undefined);
+  assert.deepStrictEqual(entry.fields.Rating.picklistValues, [{ value: 'Hot', label: 'Hot', active: true }]);
+});
+
+test('reports added, removed and changed objects, fields and picklist values', () => {
+  const base = snapshot('prod', {
+    Account: account({
+      Industry: { label: 'Industry', type: 'picklist', picklistValues: [
+        { value: 'Banking', label: 'Banking', active: true },
+        { value: 'Retail', label: 'Retail', active: true }
+      ] },
+      Legacy__c: { label: 'Legacy', type: 'string', length: 50 },
+      Code__c: { label: 'Code', type: 'string', length: 10 }
+    }),
+    Old__c: { name: 'Old__c', label: 'Old', custom: true, fields: { Name: { label: 'Name', type: 'string' } } }
+  });
+  const target = snapshot('sandbox', {
+    Account: account({
+      Industry: { label: 'Industry', type: 'picklist', picklistValues: [
+        { value: 'Banking', label: 'Banking', active: false },
+        { value: 'Energy', label: 'Energy', active: true }
+      ] },
+      Code__c: { label: 'Code', type: 'string', length: 20 },
+      Tier__c: { label: 'Tier', type: 'picklist' }
+    }),
+    New__c: { name: 'New__c', label: 'New', custom: true, fields: {} }
+  });
+
+  const diff = diffSchemaSnapshots(base, target);
+
+  assert.strictEqual(diff.identical, false);
+  assert.deepStrictEqual(diff.summary, {
+    addedObjects: 1, removedObjects: 1, changedObjects: 1,
+    addedFields: 1, removedFields: 1, changedFields: 2, picklistValueChanges: 3
+  });
+  assert.deepStrictEqual(diff.addedObjects.map(object => object.name), ['New__c']);
+  assert.deepStrictEqual(diff.removedObjects.map(object => object.name), ['Old__c']);
+
+  const [changedAccount] = diff.changedObjects;
+  assert.deepStrictEqual(changedAccount.addedFields, [{ name: 'Tier__c', label: 'Tier', type: 'picklist' }]);
+  assert.deepStrictEqual(changedAccount.removedFields.map(field => field.name), ['Legacy__c']);
+  assert.deepStrictEqual(changedAccount.changedFields[0].changes, [{ property: 'length', from: 10, to: 20 }]);
+  const industry = changedAccount.changedFields[1];
+  assert.deepStrictEqual(industry.picklist.added.map(entry => entry.value), ['Energy']);
+  assert.deepStrictEqual(industry.picklist.removed.map(entry => entry.value), ['Retail']);
+  assert.deepStrictEqual(industry.picklist.changed, [{ value: 'Banking', changes: [{ property: 'active', from: true, to: false }] }]);
+
+  const markdown = schemaDiffToMarkdown(diff);
+  assert.match(markdown, /\| Fields \| 1 \| 1 \| 2 \|/);
+  assert.match(markdown, /- `New__c` \(New, 0 fields\)/);
+  assert.match(markdown, /\| `Code__c` \| length \| 10 \| 20 \|/);
+  assert.match(markdown, /\| `Industry` \| picklist value removed \| Retail \| — \|/);
+  assert.match(markdown, /\| `Industry` \| picklist value active \(Banking\) \| true \| false \|/);
+});
+
+test('treats snapshots with the same schema as identical', () => {
+  const objects = { Account: account({ Name: { label: 'Name', type: 'string', length: 255 } }) };
+  const diff = diffSchemaSnapshots(snapshot('monday', objects), snapshot('friday', objects));
+
+  assert.strictEqual(diff.identical, true);
+  assert.deepStrictEqual(diff.changedObjects, []);
+  assert.match(schemaDiffToMarkdown(diff), /No differences\./);
+});
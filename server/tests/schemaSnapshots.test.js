@@ -0,0 +1,149 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const RedisModule = require('../modules/redis');
+const SObjectFieldSearchModule = require('../modules/sobjectFieldSearch');
+const SchemaSnapshotModule = require('../modules/schemaSnapshots');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+// The field search module creates its own Redis client; keep it from reconnecting forever so the test can exit
+mock.method(RedisModule.prototype, 'initializeConnection', async () => {});
+
+function fakeConnection(fieldsBySObject) {
+  return {
+    describeGlobal: async () => ({
+      sobjects: Object.keys(fieldsBySObject).map(name => ({ name, label: name, queryable: true, custom: false }))
+    }),
+    sobject: (name) => ({ describe: async () => ({ fields: fieldsBySObject[name] }) })
+  };
+}
+
+// No Redis by default: snapshots are kept in memory
+function createModule(fieldsByOrg, redisModule = { isAvailable: () => false }) {
+  const fieldSearchModule = new SObjectFieldSearchModule();
+  fieldSearchModule.createConnection = (req) => fakeConnection(fieldsByOrg[req.session.salesforce.organizationId]);
+  return new SchemaSnapshotModule(redisModule, fieldSearchModule);
+}
+
+// Redis stand-in with the string and hash subset the module uses
+function createRedis() {
+  const strings = new Map();
+  const hashes = new Map();
+  return {
+    strings,
+    hashes,
+    isAvailable: () => true,
+    set: async (key, value) => { strings.set(key, value); return true; },
+    get: async (key, parseJson) => (strings.has(key) ? (parseJson ? JSON.parse(strings.get(key)) : strings.get(key)) : null),
+    delete: async (key) => strings.delete(key),
+    getKeys: async (pattern) => Array.from(hashes.keys()).filter(key => key.startsWith(pattern.replace('*', ''))),
+    setHashField: async (key, field, value) => {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, JSON.stringify(value));
+      return true;
+    },
+    getHashValues: async (key) => Object.fromEntries(Array.from(hashes.get(key) || []).map(([field, value]) => [field, JSON.parse(value)])),
+    deleteHashField: async (key, field) => Boolean(hashes.get(key) && hashes.get(key).delete(field))
+  };
+}
+
+function call(method, req) {
+  const res = createResponse();
+  return method(req, res).then(() => res);
+}
+
+const session = (organizationId, userId = '005A') => ({ salesforce: { organizationId, userId, instanceUrl: `https://${organizationId}.example.com` } });
+
+test('snapshots two orgs and diffs them as JSON and Markdown', async () => {
+  const snapshotModule = createModule({
+    '00DPROD': { Account: [{ name: 'Code__c', label: 'Code', type: 'string', length: 10 }] },
+    '00DSBX': {
+      Account: [
+        { name: 'Code__c', label: 'Code', type: 'string', length: 20 },
+        { name: 'Tier__c', label: 'Tier', type: 'picklist', picklistValues: [{ value: 'Gold', label: 'Gold', active: true }] }
+      ]
+    }
+  });
+  const take = (orgId, name) => call(snapshotModule.createSnapshot.bind(snapshotModule), { body: { name }, session: session(orgId) });
+
+  const production = await take('00DPROD', 'Production');
+  const sandbox = await take('00DSBX', 'Sandbox');
+  assert.strictEqual(production.statusCode, 200);
+  assert.strictEqual(sandbox.body.snapshot.fieldCount, 2);
+  assert.strictEqual(sandbox.body.snapshot.objects, undefined);
+
+  const list = await call(snapshotModule.getSnapshots.bind(snapshotModule), { session: session('00DSBX') });
+  assert.deepStrictEqual(
+    list.body.snapshots.map(summary => [summary.name, summary.currentOrg]).sort(),
+    [['Production', false], ['Sandbox', true]]
+  );
+
+  const query = { base: production.body.snapshot.id, target: sandbox.body.snapshot.id };
+  const diff = await call(snapshotModule.diffSnapshots.bind(snapshotModule), { query, session: session('00DSBX') });
+  assert.strictEqual(diff.body.diff.summary.addedFields, 1);
+  assert.strictEqual(diff.body.diff.summary.changedFields, 1);
+
+  const markdown = await call(snapshotModule.diffSnapshots.bind(snapshotModule), { query: { ...query, format: 'markdown' }, session: session('00DSBX') });
+  assert.match(markdown.headers['Content-Type'], /text\/markdown/);
+  assert.match(markdown.body, /- ➕ `Tier__c` \(Tier, picklist\)/);
+});
+
+test('validates snapshot names, diff parameters and unknown snapshots', async () => {
+  const snapshotModule = createModule({});
+
+  const unnamed = await call(snapshotModule.createSnapshot.bind(snapshotModule), { body: { name: '  ' }, session: session('00DPROD') });
+  assert.strictEqual(unnamed.statusCode, 400);
+
+  const missingTarget = await call(snapshotModule.diffSnapshots.bind(snapshotModule), { query: { base: 'a' } });
+  assert.strictEqual(missingTarget.statusCode, 400);
+
+  const unknown = await call(snapshotModule.diffSnapshots.bind(snapshotModule), { query: { base: 'a', target: 'b' } });
+  assert.strictEqual(unknown.statusCode, 404);
+
+  const deleted = await call(snapshotModule.deleteSnapshot.bind(snapshotModule), { params: { id: 'a' } });
+  assert.strictEqual(deleted.statusCode, 404);
+});
+
+test('only lets the user who took a snapshot delete it', async () => {
+  const snapshotModule = createModule({ '00DPROD': { Account: [] } });
+  const taken = await call(snapshotModule.createSnapshot.bind(snapshotModule), { body: { name: 'Production' }, session: session('00DPROD', '005OWNER') });
+  const { id } = taken.body.snapshot;
+  assert.strictEqual(taken.body.snapshot.createdByUserId, '005OWNER');
+
+  const list = await call(snapshotModule.getSnapshots.bind(snapshotModule), { session: session('00DPROD', '005OTHER') });
+  assert.strictEqual(list.body.snapshots[0].canDelete, false);
+
+  const byOtherUser = await call(snapshotModule.deleteSnapshot.bind(snapshotModule), { params: { id }, session: session('00DPROD', '005OTHER') });
+  assert.strictEqual(byOtherUser.statusCode, 403);
+  // Same user ID in another org is another user
+  const fromOtherOrg = await call(snapshotModule.deleteSnapshot.bind(snapshotModule), { params: { id }, session: session('00DSBX', '005OWNER') });
+  assert.strictEqual(fromOtherOrg.statusCode, 403);
+  const withoutUser = await call(snapshotModule.deleteSnapshot.bind(snapshotModule), { params: { id }, session: { salesforce: { accessToken: 'token' } } });
+  assert.strictEqual(withoutUser.statusCode, 403);
+
+  const byOwner = await call(snapshotModule.deleteSnapshot.bind(snapshotModule), { params: { id }, session: session('00DPROD', '005OWNER') });
+  assert.strictEqual(byOwner.statusCode, 200);
+  assert.strictEqual((await snapshotModule.listSnapshots()).length, 0);
+
+  const bearer = await call(snapshotModule.createSnapshot.bind(snapshotModule), { body: { name: 'No user' }, session: { salesforce: { accessToken: 'token' } } });
+  assert.strictEqual(bearer.statusCode, 401);
+});
+
+test('indexes snapshots in a Redis hash per org so concurrent saves are all kept', async () => {
+  const redis = createRedis();
+  const snapshotModule = createModule({ '00DPROD': { Account: [] } }, redis);
+  const take = (name) => call(snapshotModule.createSnapshot.bind(snapshotModule), { body: { name }, session: session('00DPROD') });
+
+  const [first, second] = await Promise.all([take('First'), take('Second')]);
+  const index = redis.hashes.get(snapshotModule.getIndexKey('00DPROD'));
+  assert.deepStrictEqual(Array.from(index.keys()).sort(), [first.body.snapshot.id, second.body.snapshot.id].sort());
+  assert.deepStrictEqual((await snapshotModule.listSnapshots()).map(summary => summary.name).sort(), ['First', 'Second']);
+
+  const deleted = await call(snapshotModule.deleteSnapshot.bind(snapshotModule), { params: { id: first.body.snapshot.id }, session: session('00DPROD') });
+  assert.strictEqual(deleted.statusCode, 200);
+  assert.deepStrictEqual(Array.from(index.keys()), [second.body.snapshot.id]);
+  assert.strictEqual(redis.strings.has(snapshotModule.getSnapshotKey(first.body.snapshot.id)), false);
+});
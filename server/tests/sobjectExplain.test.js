@@ -0,0 +1,88 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const SObjectsModule = require('../modules/sobjects');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const explainResponse = {
+  sourceQuery: "SELECT Id FROM vlocity_cmt__OrchestrationItem__c WHERE vlocity_cmt__State__c = 'Running'",
+  plans: [
+    {
+      cardinality: 2400000,
+      fields: [],
+      leadingOperationType: 'TableScan',
+      notes: [
+        { description: 'Not considering filter for optimization because unindexed', fields: ['vlocity_cmt__State__c'], tableEnumOrId: 'vlocity_cmt__OrchestrationItem__c' }
+      ],
+      relativeCost: 2.8,
+      sobjectCardinality: 2400000,
+      sobjectType: 'vlocity_cmt__OrchestrationItem__c'
+    },
+    {
+      cardinality: 1200,
+      fields: ['CreatedDate'],
+      leadingOperationType: 'Index',
+      relativeCost: 0.4,
+      sobjectCardinality: 2400000,
+      sobjectType: 'vlocity_cmt__OrchestrationItem__c'
+    }
+  ]
+};
+
+function callExplain(sObjectsModule, body) {
+  const res = createResponse();
+  return sObjectsModule.explainQuery({ body }, res).then(() => res);
+}
+
+test('explains a query through the REST query plan resource and flags non-selective plans', async () => {
+  const sObjectsModule = new SObjectsModule();
+  const requests = [];
+  sObjectsModule.createConnection = () => ({
+    request: (url) => {
+      requests.push(url);
+      return Promise.resolve(explainResponse);
+    }
+  });
+
+  const res = await callExplain(sObjectsModule, { query: `  ${explainResponse.sourceQuery}  ` });
+
+  assert.deepStrictEqual(requests, [`/query/?explain=${encodeURIComponent(explainResponse.sourceQuery)}`]);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(res.body.selective, false);
+  assert.deepStrictEqual(res.body.plans.map(plan => [plan.leadingOperationType, plan.selective]), [['TableScan', false], ['Index', true]]);
+  assert.deepStrictEqual(res.body.plans[0].notes[0].fields, ['vlocity_cmt__State__c']);
+  assert.deepStrictEqual(res.body.plans[1].notes, []);
+});
+
+test('rejects empty explain requests and reports Salesforce errors', async () => {
+  const sObjectsModule = new SObjectsModule();
+  let nextError = null;
+  sObjectsModule.createConnection = () => ({
+    request: () => Promise.reject(nextError)
+  });
+  // Shaped like jsforce's HTTP API errors: the Salesforce error code is the name and errorCode
+  const salesforceError = (errorCode, message) => Object.assign(new Error(message), { name: errorCode, errorCode });
+
+  const empty = await callExplain(sObjectsModule, { query: '  ' });
+  assert.strictEqual(empty.statusCode, 400);
+
+  nextError = salesforceError('MALFORMED_QUERY', 'unexpected token: FORM');
+  const malformed = await callExplain(sObjectsModule, { query: 'SELECT Id FORM Account' });
+  assert.strictEqual(malformed.statusCode, 400);
+  assert.strictEqual(malformed.body.errorCode, 'MALFORMED_QUERY');
+  assert.match(malformed.body.message, /unexpected token: FORM/);
+
+  nextError = salesforceError('INVALID_FIELD', "No such column 'Nme' on entity 'Account'");
+  const invalidField = await callExplain(sObjectsModule, { query: 'SELECT Nme FROM Account' });
+  assert.strictEqual(invalidField.statusCode, 400);
+  assert.strictEqual(invalidField.body.errorCode, 'INVALID_FIELD');
+
+  nextError = salesforceError('REQUEST_LIMIT_EXCEEDED', 'TotalRequests Limit exceeded.');
+  const limited = await callExplain(sObjectsModule, { query: 'SELECT Id FROM Account' });
+  assert.strictEqual(limited.statusCode, 500);
+  assert.strictEqual(limited.body.errorCode, 'REQUEST_LIMIT_EXCEEDED');
+});
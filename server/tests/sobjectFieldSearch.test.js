@@ -0,0 +1,190 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const RedisModule = require('../modules/redis');
+const SObjectFieldSearchModule = require('../modules/sobjectFieldSearch');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+// The module creates its own Redis client; keep it from reconnecting forever so the test can exit
+mock.method(RedisModule.prototype, 'initializeConnection', async () => {});
+
+const cacheData = {
+  metadata: {
+    Account: {
+      name: 'Account',
+      label: 'Account',
+      custom: false,
+      fields: [
+        { name: 'Industry', label: 'Industry', type: 'picklist' },
+        { name: 'ParentId', label: 'Parent Account ID', type: 'reference' }
+      ]
+    }
+  },
+  cachedAt: '2026-10-01T00:00:00.000Z',
+  sobjectCount: 1,
+  excludedSystemFields: ['Id', 'Name']
+};
+
+function callGetCachedSObjectFields(cached, sobjectName) {
+  const fieldSearchModule = new SObjectFieldSearchModule();
+  fieldSearchModule.redisModule = { get: async () => (cached ? JSON.stringify(cached) : null) };
+
+  const res = createResponse();
+  const req = { params: { sobjectName }, session: { salesforce: { organizationId: '00D000000000001AAA' } } };
+  return fieldSearchModule.getCachedSObjectFields(req, res).then(() => res);
+}
+
+test('returns cached fields of an SObject regardless of name casing', async () => {
+  const res = await callGetCachedSObjectFields(cacheData, 'account');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.cached, true);
+  assert.strictEqual(res.body.sobject.name, 'Account');
+  assert.deepStrictEqual(res.body.sobject.fields.map(field => field.name), ['Industry', 'ParentId']);
+  assert.deepStrictEqual(res.body.excludedSystemFields, ['Id', 'Name']);
+});
+
+test('reports a missing cache and unknown SObjects', async () => {
+  const uncached = await callGetCachedSObjectFields(null, 'Account');
+  assert.strictEqual(uncached.statusCode, 200);
+  assert.strictEqual(uncached.body.cached, false);
+
+  const unknown = await callGetCachedSObjectFields(cacheData, 'Contact');
+  assert.strictEqual(unknown.statusCode, 404);
+  assert.strictEqual(unknown.body.success, false);
+});
+
+function fakeRedis(initial = {}) {
+  const store = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    store,
+    get: async (key, parseJson) => (store.has(key) ? (parseJson ? JSON.parse(store.get(key)) : store.get(key)) : null),
+    set: async (key, value) => { store.set(key, typeof value === 'string' ? value : JSON.stringify(value)); return true; },
+    delete: async (key) => store.delete(key)
+  };
+}
+
+// describes: name -> fields, or an Error to throw; conditional describes of unmodified objects answer with an empty body
+function fakeBuildConnection(describes, { modified = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    describeGlobal: async () => ({
+      sobjects: Object.keys(describes).map(name => ({ name, label: name, queryable: true, custom: false }))
+    }),
+    sobject: (name) => ({
+      describe: async () => {
+        calls.push(`describe ${name}`);
+        if (describes[name] instanceof Error) throw describes[name];
+        return { fields: describes[name] };
+      }
+    }),
+    request: async ({ url, headers }) => {
+      const name = url.split('/')[2];
+      calls.push(`conditional ${name} since ${headers['If-Modified-Since']}`);
+      return modified.includes(name) ? { fields: describes[name] } : '';
+    }
+  };
+}
+
+function startBuild(fieldSearchModule, conn, body = {}) {
+  fieldSearchModule.createConnection = () => conn;
+  const res = createResponse();
+  const req = { body, session: { salesforce: { organizationId: '00D000000000001AAA' } } };
+  return fieldSearchModule.buildFieldMetadataCache(req, res).then(() => res);
+}
+
+const fields = (...names) => names.map(name => ({ name, label: name, type: 'string', length: 80 }));
+const cacheKey = 'sobject_field_metadata:00D000000000001AAA';
+const checkpointKey = 'sobject_field_metadata_checkpoint:00D000000000001AAA';
+
+test('refreshes an existing cache incrementally and pushes progress to the org room', async () => {
+  const emitted = [];
+  const fieldSearchModule = new SObjectFieldSearchModule({
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, status: payload.status }) })
+  });
+  fieldSearchModule.redisModule = fakeRedis({
+    [cacheKey]: {
+      ...cacheData,
+      buildStartedAt: '2026-10-01T00:00:00.000Z',
+      version: fieldSearchModule.CACHE_VERSION,
+      metadata: { ...cacheData.metadata, Contact: { name: 'Contact', label: 'Contact', fields: fields('Email') } }
+    }
+  });
+  const conn = fakeBuildConnection({
+    Account: fields('Industry', 'Tier__c'),
+    Contact: fields('Email'),
+    Invoice__c: fields('Amount__c')
+  }, { modified: ['Account'] });
+
+  const res = await startBuild(fieldSearchModule, conn);
+
+  assert.strictEqual(res.statusCode, 202);
+  assert.strictEqual(res.body.job.mode, 'incremental');
+  assert.deepStrictEqual(conn.calls.sort(), [
+    'conditional Account since Thu, 01 Oct 2026 00:00:00 GMT',
+    'conditional Contact since Thu, 01 Oct 2026 00:00:00 GMT',
+    'describe Invoice__c'
+  ]);
+
+  const job = fieldSearchModule.getLatestBuildJob('00D000000000001AAA');
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual([job.describedCount, job.unchangedCount, job.processedCount], [2, 1, 3]);
+
+  const saved = JSON.parse(fieldSearchModule.redisModule.store.get(cacheKey));
+  assert.deepStrictEqual(saved.metadata.Account.fields.map(field => field.name), ['Industry', 'Tier__c']);
+  assert.deepStrictEqual(saved.metadata.Contact.fields.map(field => field.name), ['Email']);
+  assert.strictEqual(saved.sobjectCount, 3);
+  assert.ok(emitted.every(entry => entry.room === 'field_cache_build:00D000000000001AAA' && entry.event === 'fieldCacheBuildProgress'));
+  assert.strictEqual(emitted[emitted.length - 1].status, 'completed');
+});
+
+test('checkpoints a build that fails on an expired session and resumes it where it stopped', async () => {
+  const fieldSearchModule = new SObjectFieldSearchModule();
+  fieldSearchModule.redisModule = fakeRedis();
+  const expired = Object.assign(new Error('Session expired or invalid'), { errorCode: 'INVALID_SESSION_ID' });
+
+  await startBuild(fieldSearchModule, fakeBuildConnection({ Account: fields('Industry'), Contact: expired }));
+
+  const failedJob = fieldSearchModule.getLatestBuildJob('00D000000000001AAA');
+  assert.strictEqual(failedJob.status, 'failed');
+  assert.strictEqual(fieldSearchModule.redisModule.store.has(cacheKey), false);
+  const checkpoint = JSON.parse(fieldSearchModule.redisModule.store.get(checkpointKey));
+  assert.deepStrictEqual(Object.keys(checkpoint.entries), ['Account']);
+
+  const conn = fakeBuildConnection({ Account: fields('Industry'), Contact: fields('Email') });
+  const res = await startBuild(fieldSearchModule, conn);
+
+  assert.strictEqual(res.body.job.resumedFrom, failedJob.jobId);
+  assert.deepStrictEqual(conn.calls, ['describe Contact']);
+  assert.strictEqual(fieldSearchModule.getLatestBuildJob('00D000000000001AAA').status, 'completed');
+  assert.deepStrictEqual(Object.keys(JSON.parse(fieldSearchModule.redisModule.store.get(cacheKey)).metadata).sort(), ['Account', 'Contact']);
+  assert.strictEqual(fieldSearchModule.redisModule.store.has(checkpointKey), false);
+});
+
+test('cancels a running build after the current batch and keeps its checkpoint', async () => {
+  const fieldSearchModule = new SObjectFieldSearchModule();
+  fieldSearchModule.redisModule = fakeRedis();
+  const describes = Object.fromEntries(['A', 'B', 'C', 'D', 'E', 'F', 'G'].map(name => [name, fields('Name__c')]));
+  const conn = fakeBuildConnection(describes);
+  const cancelRes = { status: (code) => ({ json: (payload) => ({ code, payload }) }), json: (payload) => payload };
+  conn.sobject = (name) => ({
+    describe: async () => {
+      conn.calls.push(name);
+      const job = fieldSearchModule.getLatestBuildJob('00D000000000001AAA');
+      fieldSearchModule.cancelBuildJob({ params: { jobId: job.jobId }, session: { salesforce: { organizationId: job.orgId } } }, cancelRes);
+      return { fields: describes[name] };
+    }
+  });
+
+  await startBuild(fieldSearchModule, conn);
+
+  const job = fieldSearchModule.getLatestBuildJob('00D000000000001AAA');
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(job.cancelRequested, true);
+  assert.strictEqual(conn.calls.length, 5);
+  assert.strictEqual(JSON.parse(fieldSearchModule.redisModule.store.get(checkpointKey)).processedCount, 5);
+  assert.strictEqual(fieldSearchModule.redisModule.store.has(cacheKey), false);
+});
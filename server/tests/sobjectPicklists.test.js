@@ -0,0 +1,87 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const SObjectsModule = require('../modules/sobjects');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const orderDescribe = {
+  name: 'Order',
+  recordTypeInfos: [
+    { recordTypeId: '012000000000000AAA', name: 'Master', developerName: 'Master', master: true, available: false },
+    { recordTypeId: '012000000000001AAA', name: 'Sales', developerName: 'Sales', master: false, available: true },
+    { recordTypeId: '012000000000002AAA', name: 'Renewals', developerName: 'Renewals', master: false, available: true }
+  ],
+  fields: [
+    { name: 'Subtype__c', label: 'Subtype', type: 'picklist', picklistValues: [{ value: 'New', label: 'New', active: true }] },
+    {
+      name: 'Status',
+      label: 'Status',
+      type: 'picklist',
+      controllerName: 'Subtype__c',
+      picklistValues: [
+        { value: 'Draft', label: 'Draft', active: true, validFor: 'gA==' },
+        { value: 'Activated', label: 'Activated', active: true, validFor: 'AA==' }
+      ]
+    },
+    { name: 'OrderNumber', label: 'Order Number', type: 'string' }
+  ]
+};
+
+const picklistValuesByRecordType = {
+  '012000000000001AAA': { Status: { values: [{ value: 'Draft' }, { value: 'Activated' }] } },
+  '012000000000002AAA': { Status: { values: [{ value: 'Draft' }] } }
+};
+
+function callHandler(handler, fieldName, query = {}) {
+  const sObjectsModule = new SObjectsModule();
+  const requests = [];
+  sObjectsModule.createConnection = () => ({
+    sobject: () => ({ describe: async () => orderDescribe }),
+    request: async ({ url }) => {
+      requests.push(url);
+      return { picklistFieldValues: picklistValuesByRecordType[url.split('/').pop()] };
+    }
+  });
+
+  const res = createResponse();
+  const req = { params: { sobjectName: 'Order', fieldName }, query, session: { salesforce: { organizationId: '00D000000000001AAA' } } };
+  return sObjectsModule[handler](req, res).then(() => ({ res, requests }));
+}
+
+test('returns the dependency matrix with the available record types, or as CSV', async () => {
+  const { res } = await callHandler('getPicklistDependencyMatrix', 'status');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.matrix.mappings, [{ controllerValue: 'New', dependentValues: ['Draft'] }]);
+  assert.deepStrictEqual(res.body.recordTypes.map(recordType => recordType.name), ['Sales', 'Renewals']);
+
+  const { res: csv } = await callHandler('getPicklistDependencyMatrix', 'Status', { format: 'csv' });
+  assert.strictEqual(csv.headers['Content-Disposition'], 'attachment; filename="Order.Status-dependencies.csv"');
+  assert.strictEqual(csv.body, 'Status \\ Subtype__c,New\r\nDraft,X\r\nActivated,\r\n');
+});
+
+test('checks every available record type through the UI API', async () => {
+  const { res, requests } = await callHandler('getPicklistRecordTypeAvailability', 'Status');
+
+  assert.deepStrictEqual(requests, [
+    '/ui-api/object-info/Order/picklist-values/012000000000001AAA',
+    '/ui-api/object-info/Order/picklist-values/012000000000002AAA'
+  ]);
+  assert.deepStrictEqual(res.body.availability.values.map(entry => [entry.value, entry.availableIn]), [
+    ['Draft', ['012000000000001AAA', '012000000000002AAA']],
+    ['Activated', ['012000000000001AAA']]
+  ]);
+});
+
+test('rejects fields that are not picklists, unknown fields, bad record type IDs and formats', async () => {
+  const notPicklist = await callHandler('getPicklistDependencyMatrix', 'OrderNumber');
+  assert.strictEqual(notPicklist.res.statusCode, 400);
+  assert.match(notPicklist.res.body.message, /not a picklist/);
+
+  assert.strictEqual((await callHandler('getPicklistDependencyMatrix', 'Missing__c')).res.statusCode, 404);
+  assert.strictEqual((await callHandler('getPicklistDependencyMatrix', 'Status', { recordTypeId: 'sales' })).res.statusCode, 400);
+  assert.strictEqual((await callHandler('getPicklistRecordTypeAvailability', 'Status', { format: 'xml' })).res.statusCode, 400);
+});
@@ -0,0 +1,164 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const SObjectsModule = require('../modules/sobjects');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const ORDER_ID = '801000000000001AAA';
+
+// 22 child relationships: two subquery batches, one of which contains a relationship that cannot be subqueried
+const childRelationships = Array.from({ length: 22 }, (_, index) => ({
+  childSObject: `Child${index}__c`,
+  field: 'Order__c',
+  relationshipName: `Children${index}__r`
+})).concat([
+  { childSObject: 'OrderHistory', field: 'OrderId', relationshipName: 'Histories', deprecatedAndHidden: true },
+  { childSObject: 'NotQueryable__c', field: 'Order__c', relationshipName: 'Hidden__r' }
+]);
+
+const globalDescribe = {
+  sobjects: [
+    { name: 'Account', keyPrefix: '001', queryable: true },
+    { name: 'Order', keyPrefix: '801', queryable: true },
+    { name: 'NotQueryable__c', keyPrefix: 'a0X', queryable: false },
+    ...childRelationships.filter(rel => rel.childSObject.startsWith('Child')).map(rel => ({ name: rel.childSObject, queryable: true }))
+  ]
+};
+
+const orderDescribe = {
+  name: 'Order',
+  label: 'Order',
+  keyPrefix: '801',
+  fields: [
+    { name: 'Id', label: 'Order ID', type: 'id' },
+    { name: 'OrderNumber', label: 'Order Number', type: 'string', nameField: true },
+    { name: 'AccountId', label: 'Account ID', type: 'reference', referenceTo: ['Account'], relationshipName: 'Account' },
+    { name: 'Signature__c', label: 'Signature', type: 'base64' }
+  ],
+  childRelationships
+};
+
+function createFakeConnection() {
+  const queries = [];
+  return {
+    queries,
+    describeGlobal: () => Promise.resolve(globalDescribe),
+    sobject: () => ({ describe: () => Promise.resolve(orderDescribe) }),
+    query: (soql) => {
+      queries.push(soql);
+      if (soql.includes('FROM Children21__r')) {
+        return Promise.reject(new Error("Didn't understand relationship 'Children21__r'"));
+      }
+      const record = { attributes: { type: 'Order' }, Id: ORDER_ID, OrderNumber: '00000100', AccountId: '001000000000001AAA' };
+      for (const match of soql.matchAll(/FROM (Children\d+__r)/g)) {
+        record[match[1]] = match[1] === 'Children0__r'
+          ? { records: [{ attributes: { type: 'Child0__c' }, Id: 'a01000000000001AAA' }, { Id: 'a01000000000002AAA' }] }
+          : null;
+      }
+      return Promise.resolve({ records: [record] });
+    }
+  };
+}
+
+function callGetRecord(sObjectsModule, id, query = {}) {
+  const res = createResponse();
+  return sObjectsModule.getRecord({ params: { id }, query }, res).then(() => res);
+}
+
+test('resolves the SObject from the key prefix and returns fields and related lists', async () => {
+  const sObjectsModule = new SObjectsModule();
+  const conn = createFakeConnection();
+  sObjectsModule.createConnection = () => conn;
+
+  const res = await callGetRecord(sObjectsModule, ORDER_ID, { relatedLimit: '2' });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(res.body.sobject, { name: 'Order', label: 'Order', keyPrefix: '801' });
+  assert.strictEqual(res.body.name, '00000100');
+  assert.strictEqual(conn.queries[0], `SELECT Id, OrderNumber, AccountId FROM Order WHERE Id = '${ORDER_ID}'`);
+  assert.deepStrictEqual(res.body.record, { Id: ORDER_ID, OrderNumber: '00000100', AccountId: '001000000000001AAA' });
+  assert.deepStrictEqual(res.body.fields.map(field => field.name), ['Id', 'OrderNumber', 'AccountId']);
+
+  // Hidden and non-queryable children are skipped; 22 relationships need two batches of subqueries
+  assert.strictEqual(res.body.relatedLists.length, 22);
+  assert.ok(conn.queries[1].includes('(SELECT FIELDS(STANDARD) FROM Children0__r LIMIT 2)'));
+  assert.strictEqual((conn.queries[1].match(/\(SELECT/g) || []).length, 20);
+
+  const [first, second] = res.body.relatedLists;
+  assert.deepStrictEqual(first.records, [{ Id: 'a01000000000001AAA' }, { Id: 'a01000000000002AAA' }]);
+  assert.strictEqual(first.hasMore, true);
+  assert.deepStrictEqual(second.records, []);
+  assert.strictEqual(second.hasMore, false);
+
+  // The failing second batch is retried per relationship so only the bad one reports an error
+  const failed = res.body.relatedLists.filter(list => list.error);
+  assert.deepStrictEqual(failed.map(list => list.relationshipName), ['Children21__r']);
+  assert.deepStrictEqual(res.body.relatedLists[20].records, []);
+  assert.strictEqual(res.body.relatedLists[20].error, undefined);
+});
+
+test('rejects invalid IDs and unknown key prefixes', async () => {
+  const sObjectsModule = new SObjectsModule();
+  sObjectsModule.createConnection = () => createFakeConnection();
+
+  const invalid = await callGetRecord(sObjectsModule, "801' OR Id != '");
+  assert.strictEqual(invalid.statusCode, 400);
+  assert.match(invalid.body.message, /Invalid record ID/);
+
+  const unknown = await callGetRecord(sObjectsModule, 'zzz000000000001AAA');
+  assert.strictEqual(unknown.statusCode, 404);
+  assert.match(unknown.body.message, /No SObject found for key prefix zzz/);
+});
+
+test('splits the field list of wide objects over several queries and merges the record', async () => {
+  const sObjectsModule = new SObjectsModule();
+  const wideFields = Array.from({ length: 400 }, (_, index) => ({ name: `Long_Field_Name_Number_${index}__c`, label: `Field ${index}`, type: 'string' }));
+  const queries = [];
+  sObjectsModule.createConnection = () => ({
+    describeGlobal: () => Promise.resolve(globalDescribe),
+    sobject: () => ({ describe: () => Promise.resolve({ ...orderDescribe, fields: [orderDescribe.fields[0], ...wideFields], childRelationships: [] }) }),
+    query: (soql) => {
+      queries.push(soql);
+      const selected = soql.match(/^SELECT (.*) FROM Order/)[1].split(', ');
+      return Promise.resolve({ records: [Object.fromEntries(selected.map(name => [name, name === 'Id' ? ORDER_ID : `${name} value`]))] });
+    }
+  });
+
+  const res = await callGetRecord(sObjectsModule, ORDER_ID);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(queries.length > 1);
+  queries.forEach(soql => {
+    assert.ok(soql.startsWith('SELECT Id, '));
+    assert.ok(soql.length < 8100, `query of ${soql.length} characters`);
+  });
+  assert.strictEqual(Object.keys(res.body.record).length, 401);
+  assert.strictEqual(res.body.record.Long_Field_Name_Number_399__c, 'Long_Field_Name_Number_399__c value');
+});
+
+test('caches the global describe per org', async () => {
+  const sObjectsModule = new SObjectsModule();
+  const conn = createFakeConnection();
+  let describeGlobalCalls = 0;
+  conn.describeGlobal = () => {
+    describeGlobalCalls++;
+    return Promise.resolve(globalDescribe);
+  };
+  sObjectsModule.createConnection = () => conn;
+  const getRecord = (organizationId) => {
+    const res = createResponse();
+    return sObjectsModule.getRecord({ params: { id: ORDER_ID }, query: {}, session: { salesforce: { organizationId } } }, res).then(() => res);
+  };
+
+  assert.strictEqual((await getRecord('00DA')).statusCode, 200);
+  assert.strictEqual((await getRecord('00DA')).statusCode, 200);
+  assert.strictEqual(describeGlobalCalls, 1);
+
+  assert.strictEqual((await getRecord('00DB')).statusCode, 200);
+  assert.strictEqual(describeGlobalCalls, 2);
+});
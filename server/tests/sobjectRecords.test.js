@@ -0,0 +1,156 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const SObjectsModule = require('../modules/sobjects');
+const { createResponse } = require('./helpers/response');
+
+// Save logs are emitted between awaits; Node 20's test runner can mis-parse that emoji output
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const ID_1 = '001000000000001AAA';
+const ID_2 = '001000000000002AAA';
+
+const describe = {
+  name: 'Account',
+  createable: true,
+  updateable: true,
+  deletable: true,
+  fields: [
+    { name: 'Id', createable: false, updateable: false },
+    { name: 'Name', createable: true, updateable: true },
+    { name: 'Industry', createable: true, updateable: true, type: 'picklist' },
+    { name: 'AccountNumber', createable: true, updateable: false },
+    { name: 'CreatedDate', createable: false, updateable: false }
+  ]
+};
+
+// Fake jsforce connection answering sObject Collections requests from a handler
+function createFakeConnection(handler) {
+  const requests = [];
+  const respond = (method, url, body) => {
+    requests.push({ method, url, body });
+    return Promise.resolve(handler(method, url, body));
+  };
+  return {
+    requests,
+    sobject: () => ({ describe: () => Promise.resolve(describe) }),
+    requestPost: (url, body) => respond('POST', url, body),
+    requestPatch: (url, body) => respond('PATCH', url, body),
+    requestDelete: (url) => respond('DELETE', url)
+  };
+}
+
+function callSaveRecords(sObjectsModule, body, sobjectName = 'Account') {
+  const res = createResponse();
+  return sObjectsModule.saveRecords({ params: { sobjectName }, body }, res).then(() => res);
+}
+
+test('validates record changes against createable/updateable describe flags', () => {
+  const sObjectsModule = new SObjectsModule();
+  const changes = sObjectsModule.validateRecordChanges(describe, {
+    create: [{ Name: 'Acme', Industry: '' }, { Name: 'Globex', CreatedDate: '2026-01-01' }],
+    update: [{ Id: ID_1, Name: 'Acme 2', attributes: { type: 'Account' } }, { Id: ID_2, AccountNumber: '42' }, { Name: 'No Id' }],
+    delete: [ID_1, 'not-an-id']
+  });
+
+  assert.deepStrictEqual(changes.create, [{ index: 0, record: { Name: 'Acme', Industry: null } }]);
+  assert.deepStrictEqual(changes.update, [{ index: 0, record: { Id: ID_1, Name: 'Acme 2' } }]);
+  assert.deepStrictEqual(changes.delete, [{ index: 0, id: ID_1 }]);
+  assert.deepStrictEqual(changes.errors.map(error => [error.operation, error.index, error.message]), [
+    ['create', 1, 'Field CreatedDate is not createable'],
+    ['update', 1, 'Field AccountNumber is not updateable'],
+    ['update', 2, 'A valid record Id is required'],
+    ['delete', 1, 'A valid record Id is required']
+  ]);
+
+  const readOnly = sObjectsModule.validateRecordChanges({ ...describe, deletable: false }, { delete: [ID_1] });
+  assert.match(readOnly.errors[0].message, /cannot be deleted/);
+});
+
+test('saves changes through sObject Collections and maps per-row results', async () => {
+  const conn = createFakeConnection((method, url, body) => {
+    if (method === 'POST') {
+      return [{ id: ID_2, success: true, errors: [] }];
+    }
+    if (method === 'PATCH') {
+      return body.records.map(record => record.Id === ID_1
+        ? { id: ID_1, success: true, errors: [] }
+        : { success: false, errors: [{ statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION', message: 'Name is too short', fields: ['Name'] }] });
+    }
+    return [{ id: ID_1, success: true, errors: [] }];
+  });
+  const sObjectsModule = new SObjectsModule();
+  sObjectsModule.createConnection = () => conn;
+
+  const res = await callSaveRecords(sObjectsModule, {
+    create: [{ Name: 'Initech' }],
+    update: [{ Id: ID_1, Name: 'Acme 2' }, { Id: ID_2, Name: 'X' }, { Id: ID_2, AccountNumber: '1' }],
+    delete: [ID_1]
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(conn.requests.map(request => request.method), ['POST', 'PATCH', 'DELETE']);
+  assert.deepStrictEqual(conn.requests[0].body, { allOrNone: false, records: [{ attributes: { type: 'Account' }, Name: 'Initech' }] });
+  assert.strictEqual(conn.requests[1].body.records.length, 2);
+  assert.strictEqual(conn.requests[2].url, `/composite/sobjects?ids=${ID_1}&allOrNone=false`);
+
+  const failedUpdate = res.body.results.find(result => result.operation === 'update' && result.index === 1);
+  assert.strictEqual(failedUpdate.success, false);
+  assert.strictEqual(failedUpdate.id, ID_2);
+  assert.deepStrictEqual(failedUpdate.errors[0].fields, ['Name']);
+
+  const rejectedUpdate = res.body.results.find(result => result.operation === 'update' && result.index === 2);
+  assert.strictEqual(rejectedUpdate.errors[0].statusCode, 'INVALID_INPUT');
+  assert.deepStrictEqual(res.body.summary, { created: 1, updated: 1, deleted: 1, failed: 2 });
+});
+
+test('splits large saves into chunks of 200 records', async () => {
+  const conn = createFakeConnection((method, url, body) => body.records.map(() => ({ id: ID_1, success: true, errors: [] })));
+  const sObjectsModule = new SObjectsModule();
+  sObjectsModule.createConnection = () => conn;
+
+  const create = Array.from({ length: 450 }, (_, index) => ({ Name: `Account ${index}` }));
+  const res = await callSaveRecords(sObjectsModule, { create });
+
+  assert.deepStrictEqual(conn.requests.map(request => request.body.records.length), [200, 200, 50]);
+  assert.strictEqual(res.body.summary.created, 450);
+  assert.strictEqual(res.body.results[449].index, 449);
+});
+
+test('rejects empty or malformed save requests', async () => {
+  const sObjectsModule = new SObjectsModule();
+  sObjectsModule.createConnection = () => { throw new Error('should not connect'); };
+
+  assert.strictEqual((await callSaveRecords(sObjectsModule, {})).statusCode, 400);
+  assert.strictEqual((await callSaveRecords(sObjectsModule, { update: { Id: ID_1 } })).statusCode, 400);
+
+  // The SObject name ends up in the collection records' attributes
+  const invalidName = await callSaveRecords(sObjectsModule, { create: [{ Name: 'Acme' }] }, 'Account","Name":"x');
+  assert.strictEqual(invalidName.statusCode, 400);
+  assert.match(invalidName.body.message, /Invalid SObject name/);
+});
+
+test('wraps the record query condition and rejects conditions that escape the WHERE clause', async () => {
+  const queries = [];
+  const sObjectsModule = new SObjectsModule();
+  sObjectsModule.createConnection = () => ({
+    sobject: () => ({ describe: () => Promise.resolve(describe) }),
+    query: (soql) => {
+      queries.push(soql);
+      return Promise.resolve({ totalSize: 0, done: true, records: [] });
+    }
+  });
+  const callQuery = (sobjectName, condition) => {
+    const res = createResponse();
+    return sObjectsModule.querySObjectRecords({ params: { sobjectName }, query: { condition } }, res).then(() => res);
+  };
+
+  const ok = await callQuery('Account', "Name = 'Acme' OR Industry = 'Tech'");
+  assert.strictEqual(ok.statusCode, 200);
+  assert.match(queries[0], / FROM Account WHERE \(Name = 'Acme' OR Industry = 'Tech'\) ORDER BY CreatedDate DESC LIMIT 20$/);
+
+  assert.strictEqual((await callQuery('Account', "Name = 'x' LIMIT 50000")).statusCode, 400);
+  assert.strictEqual((await callQuery('Account WHERE Id != null', '')).statusCode, 400);
+  assert.strictEqual(queries.length, 1);
+});
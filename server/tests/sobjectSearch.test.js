@@ -0,0 +1,62 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+
+const SObjectsModule = require('../modules/sobjects');
+const { createResponse } = require('./helpers/response');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+function callSearch(sObjectsModule, body) {
+  const res = createResponse();
+  return sObjectsModule.searchRecords({ body }, res).then(() => res);
+}
+
+test('runs a SOSL search and groups the records per requested object', async () => {
+  const sObjectsModule = new SObjectsModule();
+  const searches = [];
+  sObjectsModule.createConnection = () => ({
+    search: (sosl) => {
+      searches.push(sosl);
+      return Promise.resolve({
+        searchRecords: [
+          { attributes: { type: 'Contact' }, Id: '003000000000001AAA', Name: 'Jane Doe', Email: 'jane@example.com' },
+          { attributes: { type: 'Account' }, Id: '001000000000001AAA', Name: 'Acme' },
+          { attributes: { type: 'Contact' }, Id: '003000000000002AAA', Name: 'Jane Roe', Email: 'jane@example.com' }
+        ]
+      });
+    }
+  });
+
+  const res = await callSearch(sObjectsModule, {
+    searchTerm: 'jane@example.com',
+    searchIn: 'EMAIL',
+    objects: [
+      { name: 'Account', fields: ['Name'], limit: 10 },
+      { name: 'Contact', fields: ['Name', 'Email'], limit: 10 },
+      { name: 'Order', fields: ['OrderNumber'], limit: 10 }
+    ]
+  });
+
+  assert.deepStrictEqual(searches, [
+    'FIND {jane@example.com} IN EMAIL FIELDS RETURNING Account(Id, Name LIMIT 10), Contact(Id, Name, Email LIMIT 10), Order(Id, OrderNumber LIMIT 10)'
+  ]);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.totalSize, 3);
+  assert.deepStrictEqual(res.body.results.map(group => [group.sobject, group.records.length]), [['Account', 1], ['Contact', 2], ['Order', 0]]);
+  assert.deepStrictEqual(res.body.results[1].records[0], { Id: '003000000000001AAA', Name: 'Jane Doe', Email: 'jane@example.com' });
+});
+
+test('rejects searches that fail validation without calling Salesforce', async () => {
+  const sObjectsModule = new SObjectsModule();
+  sObjectsModule.createConnection = () => assert.fail('should not connect');
+
+  const res = await callSearch(sObjectsModule, { searchTerm: 'x', objects: [{ name: 'Account' }] });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.match(res.body.message, /at least 2 characters/);
+
+  const malformed = await callSearch(sObjectsModule, { searchTerm: 'acme', objects: [{ name: 'Account', fields: 'Name' }] });
+  assert.strictEqual(malformed.statusCode, 400);
+  assert.match(malformed.body.message, /Invalid fields for Account/);
+});
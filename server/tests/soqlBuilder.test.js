@@ -0,0 +1,164 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SOQLParameterError,
+  escapeSOQLString,
+  likePattern,
+  dateLiteral,
+  formatSOQLValue,
+  buildSOQL,
+  isSalesforceId,
+  assertSalesforceId,
+  assertSOQLIdentifier,
+  validateWhereCondition,
+  escapeSOSLTerm,
+  buildSOSL
+} = require('../modules/soqlBuilder');
+
+test('escapes quotes, backslashes and control characters in string literals', () => {
+  assert.strictEqual(escapeSOQLString("O'Brien"), "O\\'Brien");
+  assert.strictEqual(escapeSOQLString('C:\\temp'), 'C:\\\\temp');
+  assert.strictEqual(escapeSOQLString('say "hi"\n\tbye'), 'say \\"hi\\"\\n\\tbye');
+  // A trailing backslash must not swallow the closing quote
+  assert.strictEqual(formatSOQLValue('abc\\'), "'abc\\\\'");
+});
+
+test('binds quote-injection attempts as a single literal', () => {
+  const soql = buildSOQL('SELECT Id FROM Order WHERE OrderNumber = :orderNumber LIMIT 1', {
+    orderNumber: "x' OR Name != '"
+  });
+  assert.strictEqual(soql, "SELECT Id FROM Order WHERE OrderNumber = 'x\\' OR Name != \\'' LIMIT 1");
+
+  const backslashBreakout = buildSOQL('SELECT Id FROM Account WHERE Name = :name', { name: "\\' OR Id != null OR Name = '" });
+  assert.strictEqual(backslashBreakout, "SELECT Id FROM Account WHERE Name = '\\\\\\' OR Id != null OR Name = \\''");
+});
+
+test('escapes LIKE wildcards so search terms match literally', () => {
+  assert.strictEqual(likePattern('100%').toString(), "'%100\\%%'");
+  assert.strictEqual(likePattern('ORD_1', 'startsWith').toString(), "'ORD\\_1%'");
+  assert.strictEqual(likePattern("it's", 'endsWith').toString(), "'%it\\'s'");
+  assert.strictEqual(likePattern('a\\b', 'exact').toString(), "'a\\\\b'");
+
+  const soql = buildSOQL('SELECT Id FROM Order WHERE (Account.Name LIKE :pattern OR OrderNumber LIKE :pattern)', {
+    pattern: likePattern("%' OR Name LIKE '%")
+  });
+  assert.strictEqual(soql, "SELECT Id FROM Order WHERE (Account.Name LIKE '%\\%\\' OR Name LIKE \\'\\%%' OR OrderNumber LIKE '%\\%\\' OR Name LIKE \\'\\%%')");
+
+  assert.throws(() => likePattern('x', 'fuzzy'), SOQLParameterError);
+});
+
+test('binds date literals unquoted and rejects anything but real calendar dates', () => {
+  assert.strictEqual(buildSOQL('SELECT Id FROM Order WHERE EffectiveDate >= :from', { from: dateLiteral('2026-02-28') }),
+    'SELECT Id FROM Order WHERE EffectiveDate >= 2026-02-28');
+
+  for (const value of ['2026-02-30', '2026-2-1', "2026-01-01' OR Id != '", 20260101]) {
+    assert.throws(() => dateLiteral(value, 'effectiveFrom'), SOQLParameterError);
+  }
+});
+
+test('formats numbers, booleans, null, dates and lists', () => {
+  const soql = buildSOQL(
+    'SELECT Id FROM Opportunity WHERE Amount > :amount AND IsWon = :won AND CloseDate__c != :none AND CreatedDate >= :since AND StageName IN :stages',
+    { amount: 1500.5, won: false, none: null, since: new Date('2026-01-02T03:04:05.678Z'), stages: ['Closed Won', "Partner's"] }
+  );
+  assert.strictEqual(
+    soql,
+    "SELECT Id FROM Opportunity WHERE Amount > 1500.5 AND IsWon = false AND CloseDate__c != null AND CreatedDate >= 2026-01-02T03:04:05Z AND StageName IN ('Closed Won', 'Partner\\'s')"
+  );
+
+  assert.throws(() => formatSOQLValue([]), SOQLParameterError);
+  assert.throws(() => formatSOQLValue(Infinity), SOQLParameterError);
+  assert.throws(() => formatSOQLValue({ Id: '1' }), SOQLParameterError);
+});
+
+test('leaves bind-like text inside string literals and date literals alone', () => {
+  const soql = buildSOQL("SELECT Id FROM Case WHERE Subject = 'Re: :name' AND CreatedDate = LAST_N_DAYS:30 AND OwnerId = :ownerId", {
+    ownerId: '005000000000001AAA'
+  });
+  assert.strictEqual(soql, "SELECT Id FROM Case WHERE Subject = 'Re: :name' AND CreatedDate = LAST_N_DAYS:30 AND OwnerId = '005000000000001AAA'");
+});
+
+test('rejects missing bind values and unterminated templates', () => {
+  assert.throws(() => buildSOQL('SELECT Id FROM Account WHERE Id = :id', {}), /Missing value for bind parameter :id/);
+  assert.throws(() => buildSOQL('SELECT Id FROM Account WHERE Id = :id', { id: undefined }), SOQLParameterError);
+  assert.throws(() => buildSOQL("SELECT Id FROM Account WHERE Name = 'open"), /Unterminated string literal/);
+});
+
+test('validates Salesforce ID format', () => {
+  assert.strictEqual(isSalesforceId('801000000000001'), true);
+  assert.strictEqual(isSalesforceId('801000000000001AAA'), true);
+  assert.strictEqual(isSalesforceId('801000000000001AA'), false);
+  assert.strictEqual(isSalesforceId("801000000000001' OR Id != '"), false);
+  assert.strictEqual(isSalesforceId(null), false);
+
+  assert.strictEqual(assertSalesforceId('801000000000001AAA', 'order ID'), '801000000000001AAA');
+  assert.throws(() => assertSalesforceId("x' OR Id != '", 'order ID'), /Invalid order ID: expected a 15 or 18 character Salesforce ID/);
+});
+
+test('validates SObject and field identifiers', () => {
+  assert.strictEqual(assertSOQLIdentifier('vlocity_cmt__OrchestrationItem__c'), 'vlocity_cmt__OrchestrationItem__c');
+  assert.strictEqual(assertSOQLIdentifier('Account.Owner.Name'), 'Account.Owner.Name');
+  assert.throws(() => assertSOQLIdentifier('Account WHERE Id != null', 'SObject name'), /Invalid SObject name/);
+  assert.throws(() => assertSOQLIdentifier('Account--'), SOQLParameterError);
+  assert.throws(() => assertSOQLIdentifier(''), SOQLParameterError);
+});
+
+test('accepts ordinary WHERE conditions and wraps them in parentheses', () => {
+  assert.strictEqual(validateWhereCondition("  Name LIKE 'A%' OR Industry = 'Tech'  "), "(Name LIKE 'A%' OR Industry = 'Tech')");
+  assert.strictEqual(
+    validateWhereCondition("Id IN (SELECT AccountId FROM Contact WHERE Email != null) AND Description = 'limit (order) by'"),
+    "(Id IN (SELECT AccountId FROM Contact WHERE Email != null) AND Description = 'limit (order) by')"
+  );
+  assert.strictEqual(validateWhereCondition("Name = 'it\\'s' AND CreatedDate = LAST_N_DAYS:7"), "(Name = 'it\\'s' AND CreatedDate = LAST_N_DAYS:7)");
+  assert.strictEqual(validateWhereCondition('Forecast__c = true AND Order__c != null'), '(Forecast__c = true AND Order__c != null)');
+});
+
+test('rejects WHERE conditions that escape the clause', () => {
+  assert.throws(() => validateWhereCondition("Name = 'x' LIMIT 50000"), /may not contain LIMIT/);
+  assert.throws(() => validateWhereCondition("Name = 'x' ORDER BY Name"), /may not contain ORDER/);
+  assert.throws(() => validateWhereCondition("Name = 'x') OR (Id != null"), /Unbalanced '\)'/);
+  assert.throws(() => validateWhereCondition("(Name = 'x'"), /Unbalanced '\('/);
+  assert.throws(() => validateWhereCondition("Name = 'x"), /Unterminated string literal/);
+  assert.throws(() => validateWhereCondition("Name = 'x\\'"), /Unterminated string literal/);
+  assert.throws(() => validateWhereCondition("Name = 'x'; DELETE"), /Unexpected ';'/);
+});
+
+test('escapes SOSL reserved characters but keeps wildcards', () => {
+  assert.strictEqual(escapeSOSLTerm('jane.doe-smith@example.com'), 'jane.doe\\-smith@example.com');
+  assert.strictEqual(escapeSOSLTerm('acme*'), 'acme*');
+  assert.strictEqual(escapeSOSLTerm("x} RETURNING User(Id) {"), 'x\\} RETURNING User\\(Id\\) \\{');
+  assert.strictEqual(escapeSOSLTerm("O'Brien & \\ \"Co\""), "O\\'Brien \\& \\\\ \\\"Co\\\"");
+});
+
+test('builds SOSL with per-object field lists and limits', () => {
+  const sosl = buildSOSL({
+    searchTerm: '  jane@example.com ',
+    searchIn: 'email',
+    returning: [
+      { name: 'Account', fields: ['Name'], limit: 5 },
+      { name: 'Contact', fields: ['Name', 'Email', 'id'] },
+      { name: 'Order', fields: ['OrderNumber', 'Account.Name'], limit: 20 }
+    ],
+    limit: 100
+  });
+  assert.strictEqual(
+    sosl,
+    'FIND {jane@example.com} IN EMAIL FIELDS RETURNING Account(Id, Name LIMIT 5), Contact(Id, Name, Email), Order(Id, OrderNumber, Account.Name LIMIT 20) LIMIT 100'
+  );
+});
+
+test('rejects invalid SOSL input', () => {
+  const returning = [{ name: 'Account' }];
+  assert.throws(() => buildSOSL({ searchTerm: 'a*', returning }), /at least 2 characters/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', searchIn: 'BODY', returning }), /Invalid search group 'BODY'/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [] }), /At least one object/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [{ name: 'Account) RETURNING User(Id' }] }), /Invalid SObject name/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [{ name: 'Account', fields: ['Name LIMIT 1'] }] }), /Invalid field name for Account/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [{ name: 'Account', limit: 5000 }] }), /Invalid limit for Account/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning, limit: '10' }), SOQLParameterError);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: ['Account'] }), /Invalid returning entry 0/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [{ name: 'Account' }, null] }), /Invalid returning entry 1/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [{ name: 'Account', fields: 'Name' }] }), /Invalid fields for Account/);
+  assert.throws(() => buildSOSL({ searchTerm: 'acme', returning: [{ name: 'Account', fields: null }] }), SOQLParameterError);
+});
@@ -0,0 +1,204 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const PlatformEventsModule = require('../modules/platformEvents');
+const { createResponse } = require('./helpers/response');
+
+// Reconnect logs are emitted between awaits; Node 20's test runner can mis-parse that emoji output
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const ORG_ID = '00D000000000001';
+const CHANNEL = '/event/Order_Event__e';
+const event = { QualifiedApiName: 'Order_Event__e', Label: 'Order Event' };
+
+// Fake jsforce connection whose Faye clients acknowledge subscriptions (or reject them when ack is false)
+function createFakeConnection(clients, accessToken, { ack = true } = {}) {
+  return {
+    accessToken,
+    streaming: {
+      createClient: (extensions) => {
+        const client = {
+          accessToken,
+          extensions,
+          handlers: {},
+          disconnected: false,
+          on: (name, handler) => { client.handlers[name] = handler; },
+          disconnect: () => { client.disconnected = true; },
+          subscribe: () => {
+            const subscription = {
+              callback: (fn) => { if (ack) setImmediate(fn); },
+              errback: (fn) => { if (!ack) setImmediate(() => fn(new Error('Connection refused'))); },
+              cancel: () => {}
+            };
+            return subscription;
+          },
+          receive: (message) => extensions.forEach(extension => extension.incoming(message, () => {}))
+        };
+        clients.push(client);
+        return client;
+      }
+    }
+  };
+}
+
+function createModule(emitted) {
+  const io = { to: (room) => ({ emit: (name, data) => emitted.push({ room, name, data }) }) };
+  const platformEventsModule = new PlatformEventsModule(io, new Map(), null);
+  platformEventsModule.RECONNECT_BASE_DELAY_MS = 1;
+  platformEventsModule.RECONNECT_MAX_DELAY_MS = 5;
+  return platformEventsModule;
+}
+
+async function subscribe(platformEventsModule, conn) {
+  const listeners = new Map([['session-1', { room: `org:${ORG_ID}:user:005A` }]]);
+  const entry = await platformEventsModule.createReplaySubscription(conn, ORG_ID, event, CHANNEL, -1, listeners);
+  platformEventsModule.platformEventSubscriptions.set(platformEventsModule.getSubscriptionKey(ORG_ID, 'cometd', CHANNEL), entry);
+  platformEventsModule.sessionSubscriptions.set('session-1', new Set([platformEventsModule.getSubscriptionKey(ORG_ID, 'cometd', CHANNEL)]));
+  return entry;
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (condition()) {
+        clearInterval(poll);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(poll);
+        reject(new Error('Timed out waiting for condition'));
+      }
+    }, 5);
+  });
+}
+
+function getStatus(platformEventsModule) {
+  const res = createResponse();
+  platformEventsModule.getSubscriptionStatus({ session: { id: 'session-1' } }, res);
+  return res.body;
+}
+
+// Local stand-in for the Salesforce token endpoint
+async function startTokenEndpoint() {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      requests.push(new URLSearchParams(body));
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({ access_token: 'fresh-token', instance_url: 'https://example.my.salesforce.com' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, loginUrl: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('refreshes the access token and resubscribes after a CometD auth failure', async () => {
+  const tokenEndpoint = await startTokenEndpoint();
+  try {
+    const emitted = [];
+    const clients = [];
+    const platformEventsModule = createModule(emitted);
+    platformEventsModule.createOrgConnection = (credentials) => createFakeConnection(clients, credentials.accessToken);
+    platformEventsModule.rememberCredentials(ORG_ID, {
+      salesforce: { accessToken: 'expired-token', refreshToken: 'refresh-1', instanceUrl: 'https://example.my.salesforce.com', organizationId: ORG_ID },
+      oauth2: { clientId: 'client', clientSecret: 'secret', loginUrl: tokenEndpoint.loginUrl }
+    });
+
+    const entry = await subscribe(platformEventsModule, createFakeConnection(clients, 'expired-token'));
+    entry.lastReplayId = 41;
+    assert.strictEqual(entry.state, 'connected');
+
+    clients[0].receive({ channel: '/meta/connect', successful: false, error: '401::Authentication invalid', advice: { reconnect: 'none' } });
+    assert.strictEqual(entry.state, 'reconnecting');
+    assert.strictEqual(clients[0].disconnected, true);
+
+    const key = platformEventsModule.getSubscriptionKey(ORG_ID, 'cometd', CHANNEL);
+    await waitFor(() => platformEventsModule.platformEventSubscriptions.get(key) !== entry);
+
+    const replacement = platformEventsModule.platformEventSubscriptions.get(key);
+    assert.strictEqual(replacement.state, 'connected');
+    assert.strictEqual(replacement.replayFrom, 41);
+    assert.strictEqual(clients[1].accessToken, 'fresh-token');
+    assert.strictEqual(tokenEndpoint.requests[0].get('grant_type'), 'refresh_token');
+    assert.strictEqual(tokenEndpoint.requests[0].get('refresh_token'), 'refresh-1');
+
+    const states = emitted.filter(e => e.name === 'subscriptionState').map(e => e.data.state);
+    assert.deepStrictEqual(states, ['reconnecting', 'connected']);
+    assert.strictEqual(getStatus(platformEventsModule).channels[0].state, 'connected');
+    replacement.cancel();
+  } finally {
+    await tokenEndpoint.close();
+  }
+});
+
+test('gives up after the maximum number of attempts and reports the subscription as failed', async () => {
+  const emitted = [];
+  const clients = [];
+  const platformEventsModule = createModule(emitted);
+  platformEventsModule.MAX_RECONNECT_ATTEMPTS = 2;
+  platformEventsModule.createOrgConnection = (credentials) => createFakeConnection(clients, credentials.accessToken, { ack: false });
+  platformEventsModule.rememberCredentials(ORG_ID, { salesforce: { accessToken: 'token', instanceUrl: 'https://example.my.salesforce.com' } });
+
+  const entry = await subscribe(platformEventsModule, createFakeConnection(clients, 'token'));
+  clients[0].receive({ channel: '/meta/handshake', successful: false, error: '403::Handshake denied', advice: { reconnect: 'none' } });
+
+  await waitFor(() => entry.state === 'failed');
+  assert.match(entry.stateReason, /gave up after 2 attempts/);
+  assert.strictEqual(clients.length, 3);
+
+  const status = getStatus(platformEventsModule);
+  assert.strictEqual(status.activeSubscriptionsCount, 0);
+  assert.strictEqual(status.failedSubscriptionsCount, 1);
+  assert.strictEqual(status.channels[0].state, 'failed');
+  assert.deepStrictEqual(
+    emitted.filter(e => e.name === 'subscriptionState').map(e => e.data.state),
+    ['reconnecting', 'reconnecting', 'failed']
+  );
+});
+
+test('fails without retrying when the token expired and there is no refresh token', async () => {
+  const emitted = [];
+  const clients = [];
+  const platformEventsModule = createModule(emitted);
+  platformEventsModule.createOrgConnection = (credentials) => createFakeConnection(clients, credentials.accessToken);
+  platformEventsModule.rememberCredentials(ORG_ID, { salesforce: { accessToken: 'token', instanceUrl: 'https://example.my.salesforce.com' } });
+
+  const entry = await subscribe(platformEventsModule, createFakeConnection(clients, 'token'));
+  clients[0].receive({ channel: '/meta/connect', successful: false, error: '401::Authentication invalid', advice: { reconnect: 'none' } });
+
+  await waitFor(() => entry.state === 'failed');
+  assert.match(entry.stateReason, /no refresh token/);
+  assert.strictEqual(clients.length, 1);
+});
+
+test('tracks transport drops that Faye recovers from by itself', async () => {
+  const emitted = [];
+  const clients = [];
+  const platformEventsModule = createModule(emitted);
+  const entry = await subscribe(platformEventsModule, createFakeConnection(clients, 'token'));
+
+  clients[0].handlers['transport:down']();
+  assert.strictEqual(entry.state, 'reconnecting');
+  clients[0].handlers['transport:up']();
+  assert.strictEqual(entry.state, 'connected');
+  assert.strictEqual(entry.reconnectAttempts, 0);
+
+  platformEventsModule.releaseSessionSubscriptions('session-1');
+  assert.strictEqual(entry.cancelled, true);
+});
+
+test('only treats Bayeux and HTTP 401 statuses as auth errors', () => {
+  const platformEventsModule = createModule([]);
+
+  assert.strictEqual(platformEventsModule.isAuthError('401::Authentication invalid'), true);
+  assert.strictEqual(platformEventsModule.isAuthError('401 Unauthorized'), true);
+  assert.strictEqual(platformEventsModule.isAuthError(new Error('Request failed with status code 401')), true);
+  assert.strictEqual(platformEventsModule.isAuthError({ code: 16, details: 'UNAUTHENTICATED' }), true);
+  assert.strictEqual(platformEventsModule.isAuthError('Connection lost after replayId 24017401'), false);
+  assert.strictEqual(platformEventsModule.isAuthError('No events for record 001000000004011AAA'), false);
+});